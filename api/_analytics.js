@@ -0,0 +1,396 @@
+/**
+ * Shared analytics data path: posted posts with their cached Ayrshare
+ * analytics, the workspace summary built from them (api/analytics.js) and
+ * per-post normalized metrics (api/post/analytics.js). Client reports
+ * (_reports.js) are built from the same functions.
+ */
+
+/**
+ * Map a posts row to the shape processAnalytics expects
+ */
+function toAnalyticsPost(post) {
+  return {
+    id: post.ayr_post_id || post.id,
+    post: post.caption || post.content || '',
+    platforms: post.platforms || [],
+    created: post.posted_at || post.created_at,
+    publishDate: post.posted_at || post.created_at,
+    analytics: post.analytics || {}
+  };
+}
+
+/**
+ * Posted posts with cached analytics, newest first
+ * @param {Object} supabase
+ * @param {string} workspaceId
+ * @param {Object} range
+ * @param {Date} range.from
+ * @param {Date} [range.to]
+ * @returns {Promise<{posts: Object[], error: Object|null}>}
+ */
+async function fetchPostedAnalytics(supabase, workspaceId, { from, to }) {
+  let query = supabase
+    .from('posts')
+    .select('id, caption, content, platforms, posted_at, created_at, analytics, ayr_post_id')
+    .eq('workspace_id', workspaceId)
+    .eq('status', 'posted')
+    .not('analytics', 'is', null)
+    .gte('posted_at', from.toISOString())
+    .order('posted_at', { ascending: false });
+  if (to) query = query.lte('posted_at', to.toISOString());
+
+  const { data, error } = await query;
+  if (error) return { posts: [], error };
+  return { posts: (data || []).map(toAnalyticsPost), error: null };
+}
+
+/**
+ * Process raw posts into analytics metrics
+ * @param {Array} posts - Raw posts from Ayrshare
+ * @param {number} periodDays - Number of days to analyze
+ * @param {string} timezone - User's timezone
+ * @param {Date} now - End of the period (defaults to now)
+ */
+function processAnalytics(posts, periodDays, timezone = 'UTC', now = new Date()) {
+  // Filter posts within the period
+  const periodStart = new Date(now.getTime() - periodDays * 24 * 60 * 60 * 1000);
+
+  const filteredPosts = posts.filter(post => {
+    const postDate = new Date(post.created || post.publishDate);
+    return postDate >= periodStart;
+  });
+
+  // Platform breakdown
+  const platformMap = {};
+  const dailyMap = {};
+
+  filteredPosts.forEach(post => {
+    const platforms = post.platforms || [];
+    const postDate = new Date(post.created || post.publishDate);
+    const dayKey = postDate.toISOString().split('T')[0];
+
+    // Initialize daily entry
+    if (!dailyMap[dayKey]) {
+      dailyMap[dayKey] = { date: dayKey, posts: 0, engagements: 0 };
+    }
+    dailyMap[dayKey].posts++;
+
+    // Process each platform result
+    platforms.forEach(platform => {
+      const platformLower = platform.toLowerCase();
+
+      if (!platformMap[platformLower]) {
+        platformMap[platformLower] = {
+          platform: platformLower,
+          posts: 0,
+          likes: 0,
+          comments: 0,
+          shares: 0,
+          impressions: 0,
+          engagements: 0
+        };
+      }
+
+      platformMap[platformLower].posts++;
+
+      // Extract engagement from post analytics (Ayrshare format)
+      // Ayrshare returns: { instagram: { analytics: { likeCount, commentsCount, ... } } }
+      const platformData = post.analytics?.[platformLower] || post[platformLower] || {};
+      const analytics = platformData.analytics || platformData;
+
+      // Handle both camelCase (Ayrshare) and snake_case formats
+      const likes = analytics.likeCount || analytics.likes || analytics.like_count || 0;
+      const comments = analytics.commentsCount || analytics.comments || analytics.comment_count || 0;
+      const shares = analytics.shareCount || analytics.sharesCount || analytics.shares || analytics.share_count || analytics.retweets || 0;
+      const impressions = analytics.viewsCount || analytics.videoViews || analytics.impressions || analytics.views || 0;
+
+      platformMap[platformLower].likes += likes;
+      platformMap[platformLower].comments += comments;
+      platformMap[platformLower].shares += shares;
+      platformMap[platformLower].impressions += impressions;
+      platformMap[platformLower].engagements += likes + comments + shares;
+
+      dailyMap[dayKey].engagements += likes + comments + shares;
+    });
+  });
+
+  // Convert to arrays and sort
+  const platformStats = Object.values(platformMap).sort((a, b) => b.engagements - a.engagements);
+
+  // Fill in missing days for daily stats
+  const dailyStats = [];
+  for (let i = periodDays - 1; i >= 0; i--) {
+    const date = new Date(now.getTime() - i * 24 * 60 * 60 * 1000);
+    const dayKey = date.toISOString().split('T')[0];
+    dailyStats.push(dailyMap[dayKey] || { date: dayKey, posts: 0, engagements: 0 });
+  }
+
+  // Calculate totals
+  const totalPosts = filteredPosts.length;
+  const totalEngagements = platformStats.reduce((sum, p) => sum + p.engagements, 0);
+  const totalImpressions = platformStats.reduce((sum, p) => sum + p.impressions, 0);
+  const avgEngagement = totalPosts > 0 ? Math.round(totalEngagements / totalPosts * 10) / 10 : 0;
+
+  // Get top performing posts
+  const topPosts = filteredPosts
+    .map(post => {
+      let totalEng = 0;
+      const platforms = post.platforms || [];
+      platforms.forEach(platform => {
+        const platformData = post.analytics?.[platform.toLowerCase()] || post[platform.toLowerCase()] || {};
+        const analytics = platformData.analytics || platformData;
+
+        const likes = analytics.likeCount || analytics.likes || 0;
+        const comments = analytics.commentsCount || analytics.comments || 0;
+        const shares = analytics.shareCount || analytics.sharesCount || analytics.shares || 0;
+
+        totalEng += likes + comments + shares;
+      });
+      return {
+        id: post.id,
+        text: (post.post || '').substring(0, 100),
+        platforms: post.platforms,
+        engagements: totalEng,
+        date: post.created || post.publishDate
+      };
+    })
+    .sort((a, b) => b.engagements - a.engagements)
+    .slice(0, 5);
+
+  // Calculate engagement trend (compare to previous period)
+  const midPoint = Math.floor(dailyStats.length / 2);
+  const firstHalf = dailyStats.slice(0, midPoint);
+  const secondHalf = dailyStats.slice(midPoint);
+
+  const firstHalfEng = firstHalf.reduce((sum, d) => sum + d.engagements, 0);
+  const secondHalfEng = secondHalf.reduce((sum, d) => sum + d.engagements, 0);
+  const trendPercent = firstHalfEng > 0
+    ? Math.round((secondHalfEng - firstHalfEng) / firstHalfEng * 100)
+    : 0;
+
+  return {
+    summary: {
+      totalPosts,
+      totalEngagements,
+      totalImpressions,
+      avgEngagement,
+      trendPercent
+    },
+    platformStats,
+    dailyStats,
+    topPosts
+  };
+}
+
+/**
+ * Normalize analytics data from Ayrshare into a consistent format
+ * Handles different response structures and metric names across platforms
+ */
+function normalizeAnalytics(data, postId) {
+  // Ayrshare returns platforms as top-level keys (instagram, tiktok, etc.)
+  // Each platform has an "analytics" object inside it
+
+  // Initialize aggregated totals
+  const aggregated = {
+    views: 0,
+    likes: 0,
+    comments: 0,
+    shares: 0,
+    reach: 0,
+    clicks: 0,
+    engagementRate: 0,
+    totalEngagements: 0
+  };
+
+  // Platform-specific analytics
+  const byPlatform = {};
+
+  // List of possible social media platform keys
+  const platformKeys = ['instagram', 'tiktok', 'facebook', 'twitter', 'x', 'linkedin', 'youtube', 'pinterest'];
+
+  // Iterate through each platform in the response
+  Object.keys(data).forEach(key => {
+    const lowerKey = key.toLowerCase();
+
+    // Skip non-platform keys (id, status, etc.)
+    if (!platformKeys.includes(lowerKey)) {
+      return;
+    }
+
+    const platformData = data[key];
+
+    // Extract analytics from platform data
+    // Ayrshare format: { instagram: { analytics: {...}, id: "...", postUrl: "..." } }
+    const analyticsData = platformData.analytics || platformData;
+
+    if (!analyticsData || typeof analyticsData !== 'object') {
+      return;
+    }
+
+    const normalized = normalizePlatformMetrics(analyticsData, lowerKey);
+    byPlatform[lowerKey] = normalized;
+
+    // Aggregate totals
+    aggregated.views += normalized.views || 0;
+    aggregated.likes += normalized.likes || 0;
+    aggregated.comments += normalized.comments || 0;
+    aggregated.shares += normalized.shares || 0;
+    aggregated.reach += normalized.reach || 0;
+    aggregated.clicks += normalized.clicks || 0;
+    aggregated.totalEngagements += normalized.totalEngagements || 0;
+  });
+
+  // Calculate overall engagement rate
+  if (aggregated.views > 0) {
+    aggregated.engagementRate = parseFloat(
+      ((aggregated.totalEngagements / aggregated.views) * 100).toFixed(2)
+    );
+  }
+
+  return {
+    postId,
+    aggregated,
+    byPlatform,
+    platformCount: Object.keys(byPlatform).length,
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Normalize metrics for a specific platform
+ * Different platforms use different metric names
+ */
+function normalizePlatformMetrics(data, platform) {
+  const normalized = {
+    platform,
+    views: 0,
+    likes: 0,
+    comments: 0,
+    shares: 0,
+    reach: null,
+    clicks: null,
+    engagementRate: null,
+    totalEngagements: 0,
+    rawData: data // Keep raw data for debugging
+  };
+
+  // Helper: safely extract reactions count (may be an object like {like: 1, love: 2} or a number)
+  const getReactionsCount = (reactions) => {
+    if (typeof reactions === 'number') return reactions;
+    if (reactions && typeof reactions === 'object') {
+      return Object.values(reactions).reduce((sum, val) => sum + (typeof val === 'number' ? val : 0), 0);
+    }
+    return 0;
+  };
+
+  // Platform-specific metric mapping
+  // Ayrshare uses camelCase: likeCount, commentsCount, viewsCount, etc.
+  switch (platform) {
+    case 'facebook':
+      normalized.views = data.impressions || data.views || data.viewsCount || 0;
+      normalized.likes = data.likeCount || data.likes || getReactionsCount(data.reactions) || 0;
+      normalized.comments = data.commentsCount || data.comments || 0;
+      normalized.shares = data.sharesCount || data.shares || 0;
+      normalized.reach = data.reachCount || data.reach || null;
+      normalized.clicks = data.clicks || data.link_clicks || null;
+      break;
+
+    case 'instagram':
+      normalized.views = data.viewsCount || data.impressions || data.reach || 0;
+      normalized.likes = data.likeCount || data.likes || 0;
+      normalized.comments = data.commentsCount || data.comments || 0;
+      normalized.shares = data.sharesCount || data.shares || 0;
+      normalized.reach = data.reachCount || data.reach || null;
+      normalized.clicks = data.profile_visits || null;
+      break;
+
+    case 'twitter':
+    case 'x':
+    case 'x/twitter':
+      normalized.views = data.impressions || data.views || data.viewsCount || 0;
+      normalized.likes = data.likeCount || data.likes || data.favorites || 0;
+      normalized.comments = data.commentsCount || data.replies || data.comments || 0;
+      normalized.shares = data.retweetsCount || data.retweets || 0;
+      normalized.reach = data.impressions || null;
+      normalized.clicks = data.url_clicks || data.clicks || null;
+      break;
+
+    case 'linkedin': {
+      // LinkedIn analytics from Ayrshare may come back as:
+      // { "(urn:li:activity:123...)": { totalShareStatistics: { likeCount, commentCount, ... } } }
+      // Detect this shape and unwrap it before reading metrics.
+      const linkedinKeys = Object.keys(data);
+      let ld = data; // default: flat object
+      if (linkedinKeys.length > 0 && linkedinKeys[0].toLowerCase().includes('urn:li:')) {
+        const firstActivity = data[linkedinKeys[0]];
+        ld = firstActivity.totalShareStatistics || firstActivity.analytics || firstActivity || {};
+      }
+      normalized.views    = ld.impressionCount || ld.impressions || ld.views || ld.viewsCount || 0;
+      normalized.likes    = ld.likeCount    || ld.likes    || getReactionsCount(ld.reactions) || 0;
+      normalized.comments = ld.commentCount || ld.commentsCount || ld.comments || 0;
+      normalized.shares   = ld.shareCount   || ld.sharesCount   || ld.shares  || 0;
+      normalized.reach    = ld.impressionCount || ld.impressions || null;
+      normalized.clicks   = ld.clickCount   || ld.clicks   || null;
+      break;
+    }
+
+    case 'tiktok':
+      normalized.views = data.videoViews || data.views || data.viewsCount || 0;
+      normalized.likes = data.likeCount || data.likes || 0;
+      normalized.comments = data.commentsCount || data.comments || 0;
+      normalized.shares = data.shareCount || data.shares || 0;
+      normalized.reach = data.reach || data.videoViews || null;
+      normalized.clicks = null; // Not available
+      break;
+
+    case 'youtube':
+      normalized.views = data.viewsCount || data.views || 0;
+      normalized.likes = data.likeCount || data.likes || 0;
+      normalized.comments = data.commentsCount || data.comments || 0;
+      normalized.shares = data.sharesCount || data.shares || 0;
+      normalized.reach = data.views || null;
+      normalized.clicks = null;
+      break;
+
+    default:
+      // Generic fallback - try both camelCase and regular naming
+      normalized.views = data.viewsCount || data.videoViews || data.impressions || data.views || 0;
+      normalized.likes = data.likeCount || data.likes || 0;
+      normalized.comments = data.commentsCount || data.comments || 0;
+      normalized.shares = data.sharesCount || data.shareCount || data.shares || 0;
+      normalized.reach = data.reachCount || data.reach || null;
+      normalized.clicks = data.clicks || null;
+  }
+
+  // Ensure all numeric fields are actual numbers (guards against URN strings
+  // leaking in from unexpected Ayrshare response shapes)
+  ['views', 'likes', 'comments', 'shares', 'clicks', 'reach'].forEach(field => {
+    const v = normalized[field];
+    if (v !== null && typeof v !== 'number') {
+      normalized[field] = typeof v === 'string' ? (parseFloat(v) || 0) : 0;
+    }
+  });
+
+  // Calculate total engagements
+  normalized.totalEngagements =
+    (normalized.likes || 0) +
+    (normalized.comments || 0) +
+    (normalized.shares || 0);
+
+  // Calculate engagement rate if we have views
+  if (normalized.views > 0) {
+    normalized.engagementRate = parseFloat(
+      ((normalized.totalEngagements / normalized.views) * 100).toFixed(2)
+    );
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  toAnalyticsPost,
+  fetchPostedAnalytics,
+  processAnalytics,
+  normalizeAnalytics,
+  normalizePlatformMetrics
+};
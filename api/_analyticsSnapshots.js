@@ -0,0 +1,466 @@
+const axios = require("axios");
+const { logError } = require("./_utils");
+const { runWithConcurrency } = require("./_publishQueue");
+
+/**
+ * Analytics history (post_metric_snapshots, account_metric_snapshots)
+ *
+ * posts.analytics only holds Ayrshare's latest numbers. The snapshot cron
+ * (api/analytics-snapshots.js) also stores them as a time series: per post
+ * and platform, hourly while a post is new and less often as it ages, plus
+ * one follower count per connected account per day.
+ */
+
+const BASE_AYRSHARE = "https://api.ayrshare.com/api";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Posts older than this stop being captured; their last snapshot is their lifetime total
+const SNAPSHOT_MAX_AGE_DAYS = 30;
+const FIRST_WINDOW_HOURS = 48;
+const POSTS_PER_RUN = 150;
+const SNAPSHOT_CONCURRENCY = 4;
+// Cron runs drift a little, so a capture that's nearly due counts as due
+const SNAPSHOT_SLACK_MS = 5 * 60 * 1000;
+
+/**
+ * How long to wait between captures of a post this old
+ * @param {number} ageHours - Hours since the post went out
+ * @returns {number} Interval in ms
+ */
+function getSnapshotInterval(ageHours) {
+  if (ageHours < FIRST_WINDOW_HOURS) return HOUR_MS;
+  if (ageHours < 7 * 24) return 6 * HOUR_MS;
+  return DAY_MS;
+}
+
+/**
+ * Whether a post should be captured on this run
+ * @param {string} postedAt
+ * @param {string|null} lastCapturedAt - Its latest snapshot, if any
+ */
+function isSnapshotDue(postedAt, lastCapturedAt, now = new Date()) {
+  const ageMs = now - new Date(postedAt);
+  if (!(ageMs >= 0) || ageMs > SNAPSHOT_MAX_AGE_DAYS * DAY_MS) return false;
+  if (!lastCapturedAt) return true;
+
+  const interval = getSnapshotInterval(ageMs / HOUR_MS);
+  return now - new Date(lastCapturedAt) >= interval - SNAPSHOT_SLACK_MS;
+}
+
+/**
+ * One platform's numbers from Ayrshare's post analytics, which come as
+ * { instagram: { analytics: { likeCount, ... } } } with names varying by platform
+ */
+function getPlatformMetrics(analytics, platform) {
+  const platformData = analytics?.[platform.toLowerCase()] || {};
+  const data = platformData.analytics || platformData;
+
+  return {
+    likes: data.likeCount || data.likes || data.like_count || 0,
+    comments: data.commentsCount || data.comments || data.comment_count || 0,
+    shares: data.shareCount || data.sharesCount || data.shares || data.share_count || data.retweets || 0,
+    impressions: data.viewsCount || data.videoViews || data.impressions || data.views || 0
+  };
+}
+
+/**
+ * post_metric_snapshots rows for one capture of a post
+ * @param {Object} post - { id, workspace_id, platforms }
+ * @param {Object} analytics - Ayrshare post analytics
+ */
+function buildPostSnapshotRows(post, analytics, capturedAt = new Date()) {
+  return (post.platforms || []).map(platform => ({
+    workspace_id: post.workspace_id,
+    post_id: post.id,
+    platform: platform.toLowerCase(),
+    ...getPlatformMetrics(analytics, platform),
+    captured_at: capturedAt.toISOString()
+  }));
+}
+
+/**
+ * Follower count from one platform's account analytics, or null if it has none
+ */
+function getFollowerCount(platformData) {
+  const data = platformData?.analytics || platformData || {};
+  const count = data.followersCount ?? data.followerCount ?? data.followers_count
+    ?? data.fanCount ?? data.subscriberCount ?? data.followers;
+  const value = Number(count);
+  return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+/**
+ * account_metric_snapshots rows from Ayrshare's social analytics
+ * @param {string} workspaceId
+ * @param {Object} socialAnalytics - { instagram: { analytics: { followersCount } }, ... }
+ */
+function buildAccountSnapshotRows(workspaceId, socialAnalytics, now = new Date()) {
+  return Object.entries(socialAnalytics || {})
+    .map(([platform, data]) => ({ platform: platform.toLowerCase(), followers: getFollowerCount(data) }))
+    .filter(row => row.followers !== null)
+    .map(row => ({
+      workspace_id: workspaceId,
+      ...row,
+      captured_on: now.toISOString().slice(0, 10),
+      captured_at: now.toISOString()
+    }));
+}
+
+/**
+ * Store one capture of a post. Used by the cron and the manual syncs.
+ * @returns {Promise<number>} Rows written
+ */
+async function recordPostSnapshot(supabase, post, analytics, capturedAt = new Date()) {
+  const rows = buildPostSnapshotRows(post, analytics, capturedAt);
+  if (rows.length === 0) return 0;
+
+  const { error } = await supabase.from('post_metric_snapshots').insert(rows);
+  if (error) {
+    logError('analyticsSnapshots.recordPost', error, { postId: post.id });
+    return 0;
+  }
+  return rows.length;
+}
+
+// ---------------------------------------------------------------------------
+// Time series
+// ---------------------------------------------------------------------------
+
+const emptyTotals = () => ({ likes: 0, comments: 0, shares: 0, impressions: 0, engagements: 0 });
+
+/**
+ * A post's totals as of a moment: each platform's latest snapshot at or
+ * before the cutoff, added up
+ * @param {Object[]} rows - post_metric_snapshots rows for one post
+ * @returns {Object|null} null when nothing was captured by then
+ */
+function sumSnapshotsAt(rows, cutoff) {
+  const cutoffTime = new Date(cutoff).getTime();
+  const latest = new Map();
+
+  for (const row of rows) {
+    const time = new Date(row.captured_at).getTime();
+    if (time > cutoffTime) continue;
+    const current = latest.get(row.platform);
+    if (!current || time > new Date(current.captured_at).getTime()) latest.set(row.platform, row);
+  }
+
+  if (latest.size === 0) return null;
+
+  const totals = emptyTotals();
+  for (const row of latest.values()) {
+    totals.likes += Number(row.likes) || 0;
+    totals.comments += Number(row.comments) || 0;
+    totals.shares += Number(row.shares) || 0;
+    totals.impressions += Number(row.impressions) || 0;
+  }
+  totals.engagements = totals.likes + totals.comments + totals.shares;
+  return totals;
+}
+
+/**
+ * A post's growth curve: its totals at each capture
+ * @returns {{ capturedAt: string, hours: number, engagements: number, impressions: number }[]}
+ */
+function buildPostGrowthCurve(rows, postedAt) {
+  const postedTime = new Date(postedAt).getTime();
+  const times = [...new Set(rows.map(row => new Date(row.captured_at).getTime()))].sort((a, b) => a - b);
+
+  return times.map(time => {
+    const totals = sumSnapshotsAt(rows, time);
+    return {
+      capturedAt: new Date(time).toISOString(),
+      hours: Math.round(((time - postedTime) / HOUR_MS) * 10) / 10,
+      engagements: totals.engagements,
+      impressions: totals.impressions
+    };
+  });
+}
+
+/**
+ * What a post did in its first 48 hours against its lifetime so far
+ * @returns {{ first48h: Object|null, lifetime: Object, first48hShare: number|null, complete: boolean }|null}
+ *   first48h is null when nothing was captured in that window (e.g. posts from
+ *   before snapshots began); complete is false while the window is still open
+ */
+function compareFirstWindow(rows, postedAt, now = new Date()) {
+  const lifetime = sumSnapshotsAt(rows, now);
+  if (!lifetime) return null;
+
+  const windowEnd = new Date(new Date(postedAt).getTime() + FIRST_WINDOW_HOURS * HOUR_MS);
+  const first48h = sumSnapshotsAt(rows, windowEnd);
+
+  return {
+    first48h,
+    lifetime,
+    first48hShare: first48h && lifetime.engagements > 0
+      ? Math.round((first48h.engagements / lifetime.engagements) * 100)
+      : null,
+    complete: now >= windowEnd
+  };
+}
+
+/**
+ * Daily follower counts per platform over a period. Days without a capture
+ * carry the previous count forward.
+ * @param {Object[]} rows - account_metric_snapshots rows, may start before `from`
+ * @param {Object} range
+ * @param {Date} range.from
+ * @param {Date} range.to
+ * @returns {{ daily: Object[], platforms: Object[] }} daily rows are { date, total, <platform>: count }
+ */
+function buildFollowerSeries(rows, { from, to }) {
+  const sorted = [...rows].sort((a, b) => a.captured_on.localeCompare(b.captured_on));
+  const platforms = [...new Set(sorted.map(row => row.platform))].sort();
+  const fromDay = from.toISOString().slice(0, 10);
+
+  const last = {};
+  let index = 0;
+  // Counts from before the period seed the first day
+  while (index < sorted.length && sorted[index].captured_on < fromDay) {
+    last[sorted[index].platform] = Number(sorted[index].followers);
+    index++;
+  }
+
+  const daily = [];
+  for (const day = new Date(fromDay); day <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    const date = day.toISOString().slice(0, 10);
+    while (index < sorted.length && sorted[index].captured_on <= date) {
+      last[sorted[index].platform] = Number(sorted[index].followers);
+      index++;
+    }
+
+    const entry = { date, total: null };
+    for (const platform of platforms) {
+      if (last[platform] === undefined) continue;
+      entry[platform] = last[platform];
+      entry.total = (entry.total || 0) + last[platform];
+    }
+    daily.push(entry);
+  }
+
+  return {
+    daily,
+    platforms: platforms.map(platform => {
+      const known = daily.filter(day => day[platform] !== undefined);
+      const start = known.length ? known[0][platform] : null;
+      const end = known.length ? known[known.length - 1][platform] : null;
+      return { platform, start, end, change: start === null ? null : end - start };
+    })
+  };
+}
+
+/**
+ * Percent change from one period to the next, or null without a baseline.
+ * Measured against the baseline's size, so going from -10 to 10 is +200%.
+ */
+function getPeriodChange(current, previous) {
+  if (!previous) return null;
+  return Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10;
+}
+
+/**
+ * Posts, engagements and impressions for posts published in [from, to)
+ * @param {Object[]} posts - { posted_at, platforms, analytics }
+ */
+function summarizePeriod(posts, from, to) {
+  const inPeriod = posts.filter(post => {
+    const postedAt = new Date(post.posted_at);
+    return postedAt >= from && postedAt < to;
+  });
+
+  const totals = { posts: inPeriod.length, engagements: 0, impressions: 0 };
+  for (const post of inPeriod) {
+    for (const platform of post.platforms || []) {
+      const metrics = getPlatformMetrics(post.analytics, platform);
+      totals.engagements += metrics.likes + metrics.comments + metrics.shares;
+      totals.impressions += metrics.impressions;
+    }
+  }
+  return totals;
+}
+
+// ---------------------------------------------------------------------------
+// Cron
+// ---------------------------------------------------------------------------
+
+const ayrshareHeaders = (profileKey) => ({
+  "Content-Type": "application/json",
+  Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
+  "Profile-Key": profileKey
+});
+
+// Latest numbers for one post, or null if Ayrshare has none
+async function fetchPostAnalytics(profileKey, post) {
+  try {
+    const response = await axios.post(
+      `${BASE_AYRSHARE}/analytics/post`,
+      { id: post.ayr_post_id, platforms: post.platforms || [] },
+      { headers: ayrshareHeaders(profileKey), timeout: 30000 }
+    );
+    return response.data || null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+// Account analytics for every connected platform
+async function fetchAccountAnalytics(profileKey) {
+  const { data: user } = await axios.get(`${BASE_AYRSHARE}/user`, {
+    headers: ayrshareHeaders(profileKey),
+    timeout: 30000
+  });
+  const platforms = user?.activeSocialAccounts || [];
+  if (platforms.length === 0) return {};
+
+  const { data } = await axios.post(
+    `${BASE_AYRSHARE}/analytics/social`,
+    { platforms },
+    { headers: ayrshareHeaders(profileKey), timeout: 30000 }
+  );
+  return data || {};
+}
+
+/**
+ * Queue a workspace's due posts and capture today's follower counts if
+ * they haven't been yet
+ */
+async function scanWorkspace(supabase, workspace, { now, fetchAccounts, dueJobs, summary }) {
+  const { data: posts, error: postsError } = await supabase
+    .from('posts')
+    .select('id, workspace_id, ayr_post_id, platforms, posted_at')
+    .eq('workspace_id', workspace.id)
+    .eq('status', 'posted')
+    .not('ayr_post_id', 'is', null)
+    .gte('posted_at', new Date(now - SNAPSHOT_MAX_AGE_DAYS * DAY_MS).toISOString());
+
+  if (postsError) throw postsError;
+
+  if (posts?.length) {
+    // The longest interval is a day, so older captures don't change what's due
+    const { data: latest, error: latestError } = await supabase.rpc('latest_post_snapshots', {
+      p_workspace_id: workspace.id,
+      p_since: new Date(now - DAY_MS - HOUR_MS).toISOString()
+    });
+
+    if (latestError) throw latestError;
+    const lastCaptured = new Map((latest || []).map(row => [row.post_id, row.captured_at]));
+
+    for (const post of posts) {
+      if (isSnapshotDue(post.posted_at, lastCaptured.get(post.id), now)) {
+        dueJobs.push({ post, profileKey: workspace.ayr_profile_key });
+      }
+    }
+  }
+
+  const { data: capturedToday } = await supabase
+    .from('account_metric_snapshots')
+    .select('id')
+    .eq('workspace_id', workspace.id)
+    .eq('captured_on', now.toISOString().slice(0, 10))
+    .limit(1);
+
+  if (!capturedToday?.length) {
+    const rows = buildAccountSnapshotRows(workspace.id, await fetchAccounts(workspace.ayr_profile_key), now);
+    if (rows.length) {
+      const { error: upsertError } = await supabase
+        .from('account_metric_snapshots')
+        .upsert(rows, { onConflict: 'workspace_id,platform,captured_on' });
+      if (upsertError) throw upsertError;
+      summary.accountSnapshots += rows.length;
+    }
+  }
+}
+
+/**
+ * Capture due posts and today's follower counts for every workspace
+ * connected to Ayrshare
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {number} options.deadline - ms timestamp; workspaces and posts not started by then wait for the next run
+ * @param {Function} options.fetchPost - (profileKey, post) => analytics|null
+ * @param {Function} options.fetchAccounts - (profileKey) => social analytics
+ */
+async function processAnalyticsSnapshots(supabase, {
+  now = new Date(),
+  deadline = Infinity,
+  fetchPost = fetchPostAnalytics,
+  fetchAccounts = fetchAccountAnalytics
+} = {}) {
+  const summary = {
+    workspaces: 0,
+    workspacesDeferred: 0,
+    postsDue: 0,
+    postSnapshots: 0,
+    accountSnapshots: 0,
+    failed: 0,
+    deferred: 0
+  };
+
+  const { data: workspaces, error } = await supabase
+    .from('workspaces')
+    .select('id, ayr_profile_key')
+    .not('ayr_profile_key', 'is', null);
+
+  if (error) throw error;
+  summary.workspaces = (workspaces || []).length;
+
+  const dueJobs = [];
+  const { unstarted: unscanned } = await runWithConcurrency(workspaces || [], SNAPSHOT_CONCURRENCY, async (workspace) => {
+    try {
+      await scanWorkspace(supabase, workspace, { now, fetchAccounts, dueJobs, summary });
+    } catch (workspaceError) {
+      summary.failed++;
+      logError('analyticsSnapshots.workspace', workspaceError, { workspaceId: workspace.id });
+    }
+  }, { deadline });
+  summary.workspacesDeferred = unscanned.length;
+
+  // Newest posts first: they change fastest and are captured most often
+  dueJobs.sort((a, b) => new Date(b.post.posted_at) - new Date(a.post.posted_at));
+  summary.postsDue = dueJobs.length;
+  summary.deferred = Math.max(0, dueJobs.length - POSTS_PER_RUN);
+
+  const { unstarted } = await runWithConcurrency(dueJobs.slice(0, POSTS_PER_RUN), SNAPSHOT_CONCURRENCY, async ({ post, profileKey }) => {
+    try {
+      const analytics = await fetchPost(profileKey, post);
+      if (!analytics) return;
+
+      // Keep the latest numbers on the post, as the manual sync does
+      await supabase
+        .from('posts')
+        .update({ analytics, analytics_updated_at: now.toISOString() })
+        .eq('id', post.id);
+
+      summary.postSnapshots += await recordPostSnapshot(supabase, post, analytics, now);
+    } catch (postError) {
+      summary.failed++;
+      logError('analyticsSnapshots.post', postError, { postId: post.id });
+    }
+  }, { deadline });
+
+  summary.deferred += unstarted.length;
+  return summary;
+}
+
+module.exports = {
+  FIRST_WINDOW_HOURS,
+  SNAPSHOT_MAX_AGE_DAYS,
+  getSnapshotInterval,
+  isSnapshotDue,
+  getPlatformMetrics,
+  buildPostSnapshotRows,
+  getFollowerCount,
+  buildAccountSnapshotRows,
+  recordPostSnapshot,
+  sumSnapshotsAt,
+  buildPostGrowthCurve,
+  compareFirstWindow,
+  buildFollowerSeries,
+  getPeriodChange,
+  summarizePeriod,
+  processAnalyticsSnapshots
+};
@@ -0,0 +1,109 @@
+const { logError } = require("./_utils");
+const { hasFeature } = require("./_utils-access-control");
+
+/**
+ * Approval workflow checks shared by everything that creates scheduled posts
+ */
+
+// Deadline tracking (api/_approvalSla.js) covers one review stage, so anything
+// that moves a post to a new stage spreads this into its update
+const CLEARED_APPROVAL_SLA = {
+  approval_reminder_sent_at: null,
+  approval_escalated_at: null
+};
+
+// Helper to check if workspace has client members
+// Used to determine if scheduled posts require client approval before going out
+async function workspaceHasClients(supabase, workspaceId) {
+  if (!workspaceId) return false;
+
+  try {
+    // Check for viewer/client roles (all naming conventions across migrations)
+    const { data: clients } = await supabase
+      .from('workspace_members')
+      .select('id, role')
+      .eq('workspace_id', workspaceId)
+      .in('role', ['viewer', 'client', 'view_only'])
+      .limit(1);
+
+    console.log(`[workspaceHasClients] workspaceId: ${workspaceId}, clients found:`, clients?.length || 0);
+
+    return clients && clients.length > 0;
+  } catch (error) {
+    logError('workspaceHasClients', error, { workspaceId });
+    return false;
+  }
+}
+
+// Helper to check if workspace has final approvers
+// Used to determine if posts need internal review before client approval
+async function workspaceHasFinalApprovers(supabase, workspaceId) {
+  if (!workspaceId) return false;
+
+  try {
+    const { data: finalApprovers, error: queryError } = await supabase
+      .from('workspace_members')
+      .select('id')
+      .eq('workspace_id', workspaceId)
+      .eq('can_final_approval', true)
+      .limit(1);
+
+    if (queryError) {
+      logError('workspaceHasFinalApprovers.query', queryError, { workspaceId });
+      return false;
+    }
+
+    const result = (finalApprovers?.length || 0) > 0;
+    console.log(`[workspaceHasFinalApprovers] workspaceId: ${workspaceId}, result: ${result}`);
+    return result;
+  } catch (error) {
+    logError('workspaceHasFinalApprovers.exception', error, { workspaceId });
+    return false;
+  }
+}
+
+/**
+ * Work out whether new scheduled posts in a workspace need approval
+ * Approval is required when the owner's tier has approval workflows or the
+ * workspace has client members; final approvers add an internal review step.
+ * A non-empty approvalChain (api/_approvalChain.js) replaces both, per post.
+ * @returns {Promise<{ requiresApproval: boolean, hasFinalApprovers: boolean, approvalChain: object[], tier: string }>}
+ */
+async function getApprovalRequirement(supabase, workspaceId) {
+  let tier = 'free';
+
+  const { data: workspace } = await supabase
+    .from('workspaces')
+    .select('owner_id, approval_chain')
+    .eq('id', workspaceId)
+    .single();
+
+  if (workspace?.owner_id) {
+    const { data: ownerProfile } = await supabase
+      .from('user_profiles')
+      .select('subscription_tier')
+      .eq('id', workspace.owner_id)
+      .single();
+
+    tier = ownerProfile?.subscription_tier || 'free';
+  }
+
+  const [hasClients, hasFinalApprovers] = await Promise.all([
+    workspaceHasClients(supabase, workspaceId),
+    workspaceHasFinalApprovers(supabase, workspaceId)
+  ]);
+
+  return {
+    requiresApproval: hasFeature(tier, 'approvalWorkflows') || hasClients,
+    hasFinalApprovers,
+    approvalChain: Array.isArray(workspace?.approval_chain) ? workspace.approval_chain : [],
+    tier
+  };
+}
+
+module.exports = {
+  CLEARED_APPROVAL_SLA,
+  workspaceHasClients,
+  workspaceHasFinalApprovers,
+  getApprovalRequirement
+};
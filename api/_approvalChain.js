@@ -0,0 +1,337 @@
+const { isValidUUID } = require("./_utils");
+const { normalizeRole } = require("./_utils-access-control");
+const { COMPOSE_PLATFORMS } = require("./_queues");
+const { CLEARED_APPROVAL_SLA } = require("./_approval");
+const { sendStageApprovalRequestNotification } = require("./notifications/helpers");
+
+/**
+ * Approval chains
+ *
+ * workspaces.approval_chain is an ordered list of stages a post must clear
+ * before it is scheduled:
+ *   { name, approverIds, roles, rule, skipPlatforms, skipTags }
+ * A stage's approvers are the named members plus every member holding one of
+ * its roles. With rule 'any' one sign-off clears the stage; with 'all' every
+ * approver has to sign off. A stage is skipped for posts going only to
+ * skipPlatforms, or tagged with one of skipTags (post_settings.tags).
+ *
+ * Posts in a chain keep approval_status 'pending' and track their stage in
+ * posts.approval_stage; sign-offs are kept in post_stage_approvals. A
+ * workspace with an empty chain keeps the final approver / client flow.
+ */
+
+const APPROVAL_RULES = ['any', 'all'];
+const CHAIN_ROLES = ['owner', 'member', 'viewer'];
+
+const MAX_STAGES = 8;
+const MAX_STAGE_NAME_LENGTH = 60;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#/, '').toLowerCase();
+}
+
+function parseSettings(postSettings) {
+  if (typeof postSettings !== 'string') return postSettings || {};
+  try {
+    return JSON.parse(postSettings);
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Validate and tidy the tags in a post's settings
+ * @returns {{ settings: object } | { error: string }}
+ */
+function applyPostTags(settings) {
+  const { tags, ...otherSettings } = settings || {};
+  if (tags == null) {
+    return { settings: otherSettings };
+  }
+
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { error: "tags must be a list of text" };
+  }
+
+  const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  if (normalized.length === 0) {
+    return { settings: otherSettings };
+  }
+  if (normalized.length > MAX_TAGS) {
+    return { error: `A post can have at most ${MAX_TAGS} tags` };
+  }
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+  }
+
+  return { settings: { ...otherSettings, tags: normalized } };
+}
+
+/**
+ * Validate an approval chain and normalize each stage
+ * @returns {{ chain: object[] } | { error: string }}
+ */
+function validateApprovalChain(stages) {
+  if (!Array.isArray(stages)) return { error: "stages must be a list" };
+  if (stages.length > MAX_STAGES) return { error: `An approval chain can have at most ${MAX_STAGES} stages` };
+
+  const chain = [];
+  for (const [index, stage] of stages.entries()) {
+    const label = `Stage ${index + 1}`;
+    const name = typeof stage?.name === 'string' ? stage.name.trim() : '';
+    if (!name) return { error: `${label} needs a name` };
+    if (name.length > MAX_STAGE_NAME_LENGTH) {
+      return { error: `${label} name exceeds maximum length of ${MAX_STAGE_NAME_LENGTH} characters` };
+    }
+
+    const approverIds = [...new Set(stage.approverIds || [])];
+    if (!approverIds.every(id => isValidUUID(id))) return { error: `${label} has an invalid approver` };
+
+    const roles = [...new Set(stage.roles || [])];
+    const unknownRole = roles.find(role => !CHAIN_ROLES.includes(role));
+    if (unknownRole) return { error: `${label} has an unknown role: ${unknownRole}` };
+
+    if (approverIds.length === 0 && roles.length === 0) {
+      return { error: `${label} needs at least one approver or role` };
+    }
+
+    const rule = stage.rule || 'any';
+    if (!APPROVAL_RULES.includes(rule)) return { error: `${label} rule must be one of: ${APPROVAL_RULES.join(', ')}` };
+
+    const skipPlatforms = [...new Set(stage.skipPlatforms || [])];
+    const unknownPlatform = skipPlatforms.find(p => !COMPOSE_PLATFORMS.includes(p));
+    if (unknownPlatform) return { error: `${label} has an unknown platform: ${unknownPlatform}` };
+
+    const tagResult = applyPostTags({ tags: stage.skipTags || [] });
+    if (tagResult.error) return { error: `${label}: ${tagResult.error}` };
+
+    chain.push({
+      name,
+      approverIds,
+      roles,
+      rule,
+      skipPlatforms,
+      skipTags: tagResult.settings.tags || []
+    });
+  }
+
+  return { chain };
+}
+
+/**
+ * Whether a stage is skipped for a post
+ * @param {object} post - Post (or post being created) with platforms and post_settings
+ */
+function isStageSkipped(stage, post) {
+  const platforms = post.platforms || [];
+  if (stage.skipPlatforms?.length > 0 && platforms.length > 0 &&
+      platforms.every(p => stage.skipPlatforms.includes(p))) {
+    return true;
+  }
+
+  const tags = parseSettings(post.post_settings).tags || [];
+  return tags.some(tag => stage.skipTags?.includes(tag));
+}
+
+/**
+ * Index of the first stage at or after `from` that applies to the post
+ * @returns {number|null} null when no stage is left
+ */
+function findNextStage(chain, post, from = 0) {
+  for (let index = from; index < (chain || []).length; index++) {
+    if (!isStageSkipped(chain[index], post)) return index;
+  }
+  return null;
+}
+
+/**
+ * Approval fields for a post entering the chain, or null when every stage is
+ * skipped and the post needs no approval
+ */
+function startApprovalChain(chain, post) {
+  const stage = findNextStage(chain, post);
+  if (stage === null) return null;
+  return { approval_status: 'pending', approval_stage: stage, ...CLEARED_APPROVAL_SLA };
+}
+
+function isStageApprover(stage, member) {
+  if (!stage || !member) return false;
+  return (stage.approverIds || []).includes(member.user_id) ||
+    (stage.roles || []).includes(normalizeRole(member.role));
+}
+
+/**
+ * Whether a stage's sign-offs clear it
+ * @param {string[]} approverIds - Current approvers of the stage
+ * @param {string[]} signedOffIds - Members who have approved at this stage
+ */
+function isStageComplete(stage, approverIds, signedOffIds) {
+  const valid = signedOffIds.filter(id => approverIds.includes(id));
+  if (stage.rule === 'all') {
+    return approverIds.length > 0 && approverIds.every(id => valid.includes(id));
+  }
+  return valid.length > 0;
+}
+
+async function getApprovalChain(supabase, workspaceId) {
+  const { data, error } = await supabase
+    .from('workspaces')
+    .select('approval_chain')
+    .eq('id', workspaceId)
+    .single();
+
+  if (error) throw error;
+  return Array.isArray(data?.approval_chain) ? data.approval_chain : [];
+}
+
+/**
+ * Members who approve at a stage
+ * @returns {Promise<Array<{ user_id: string, role: string }>>}
+ */
+async function getStageApprovers(supabase, workspaceId, stage) {
+  const { data: members, error } = await supabase
+    .from('workspace_members')
+    .select('user_id, role')
+    .eq('workspace_id', workspaceId);
+
+  if (error) throw error;
+  return (members || []).filter(member => isStageApprover(stage, member));
+}
+
+async function getStageSignOffs(supabase, postId, stageIndex) {
+  const { data, error } = await supabase
+    .from('post_stage_approvals')
+    .select('user_id')
+    .eq('post_id', postId)
+    .eq('stage', stageIndex);
+
+  if (error) throw error;
+  return (data || []).map(row => row.user_id);
+}
+
+async function clearStageSignOffs(supabase, postId) {
+  const { error } = await supabase
+    .from('post_stage_approvals')
+    .delete()
+    .eq('post_id', postId);
+
+  if (error) throw error;
+}
+
+/**
+ * Record a member's approval at the post's current stage and move the post on
+ * once the stage is cleared
+ * @param {object} post - Post row with id, workspace_id, approval_stage, platforms, post_settings
+ * @returns {Promise<{ alreadySigned?: boolean, complete: boolean, signedOff: number, required: number,
+ *   nextStage?: number|null, approved?: boolean, advanced?: boolean }>}
+ */
+async function recordStageApproval(supabase, post, chain, userId) {
+  const stageIndex = post.approval_stage;
+  const stage = chain[stageIndex];
+
+  const { error: insertError } = await supabase
+    .from('post_stage_approvals')
+    .insert({
+      post_id: post.id,
+      workspace_id: post.workspace_id,
+      stage: stageIndex,
+      user_id: userId
+    });
+
+  const alreadySigned = insertError?.code === '23505';
+  if (insertError && !alreadySigned) throw insertError;
+
+  const [approvers, signedOffIds] = await Promise.all([
+    getStageApprovers(supabase, post.workspace_id, stage),
+    getStageSignOffs(supabase, post.id, stageIndex)
+  ]);
+  const approverIds = approvers.map(a => a.user_id);
+  const progress = {
+    alreadySigned,
+    signedOff: signedOffIds.filter(id => approverIds.includes(id)).length,
+    required: stage.rule === 'all' ? approverIds.length : 1
+  };
+
+  if (!isStageComplete(stage, approverIds, signedOffIds)) {
+    return { ...progress, complete: false };
+  }
+
+  const nextStage = findNextStage(chain, post, stageIndex + 1);
+  const update = nextStage === null
+    ? { approval_status: 'approved', ...CLEARED_APPROVAL_SLA }
+    : { approval_stage: nextStage, ...CLEARED_APPROVAL_SLA };
+
+  // Only one of two concurrent final sign-offs moves the post on
+  const { data: moved, error: updateError } = await supabase
+    .from('posts')
+    .update(update)
+    .eq('id', post.id)
+    .eq('approval_status', 'pending')
+    .eq('approval_stage', stageIndex)
+    .select('id');
+
+  if (updateError) throw updateError;
+
+  return {
+    ...progress,
+    complete: true,
+    nextStage,
+    approved: nextStage === null,
+    advanced: (moved || []).length > 0
+  };
+}
+
+/**
+ * Ask the approvers of the post's current stage to review it
+ * @param {string} actorId - Member who sent the post to this stage
+ */
+async function notifyStageApprovers(supabase, post, chain, actorId) {
+  const stage = chain[post.approval_stage];
+  if (!stage) return;
+
+  const approvers = await getStageApprovers(supabase, post.workspace_id, stage);
+  await sendStageApprovalRequestNotification(supabase, {
+    workspaceId: post.workspace_id,
+    postId: post.id,
+    platforms: post.platforms,
+    stageName: stage.name,
+    approverIds: approvers.map(a => a.user_id),
+    createdByUserId: actorId
+  });
+}
+
+/**
+ * Stage summary shown with a post in the approvals views
+ */
+function describeStage(chain, post) {
+  const stage = chain?.[post.approval_stage];
+  if (!stage) return null;
+
+  return {
+    index: post.approval_stage,
+    number: post.approval_stage + 1,
+    total: chain.length,
+    name: stage.name,
+    rule: stage.rule
+  };
+}
+
+module.exports = {
+  APPROVAL_RULES,
+  CHAIN_ROLES,
+  applyPostTags,
+  validateApprovalChain,
+  isStageSkipped,
+  findNextStage,
+  startApprovalChain,
+  isStageApprover,
+  isStageComplete,
+  getApprovalChain,
+  getStageApprovers,
+  clearStageSignOffs,
+  recordStageApproval,
+  notifyStageApprovers,
+  describeStage
+};
@@ -0,0 +1,274 @@
+const { logError } = require("./_utils");
+const { formatZonedDateTime } = require("./_timezone");
+const { CLEARED_APPROVAL_SLA } = require("./_approval");
+const { getStageApprovers } = require("./_approvalChain");
+const { AUDIT_ACTIONS, postAuditEntry, recordAudit } = require("./_audit");
+const {
+  sendApprovalReminderNotification,
+  sendApprovalDeadlinePassedNotification
+} = require("./notifications/helpers");
+
+/**
+ * Approval deadlines
+ *
+ * A workspace can require posts to be approved approval_deadline_hours before
+ * their scheduled_at. Approvers of the post's current review stage are
+ * reminded as the deadline approaches; once it passes, the workspace's
+ * approval_fallback is applied: approve the post, push it back, or hold it
+ * and alert the owner. Run every few minutes by /api/approval-deadlines.
+ *
+ * approval_reminder_sent_at and approval_escalated_at track one review stage,
+ * so anything that moves a post to a new stage clears them (CLEARED_APPROVAL_SLA
+ * in api/_approval.js).
+ */
+
+const APPROVAL_FALLBACKS = ['auto_approve', 'auto_reschedule', 'hold'];
+
+// Review stages that are waiting on an approver (changes_requested waits on the creator)
+const AWAITING_APPROVAL_STATUSES = ['pending', 'pending_internal', 'pending_client'];
+
+// Approvers are reminded this long before the deadline
+const APPROVAL_REMINDER_LEAD_HOURS = 24;
+
+// A rescheduled post gets this long to be approved before its new deadline
+const RESCHEDULE_GRACE_HOURS = 24;
+
+// Largest approval_deadline_hours the workspaces column allows
+const MAX_DEADLINE_HOURS = 168;
+
+const POSTS_PER_RUN = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Deadline for approving a post, or null when the workspace has none
+ * @returns {Date|null}
+ */
+function getApprovalDeadline(scheduledAt, deadlineHours) {
+  if (deadlineHours == null || !scheduledAt) return null;
+  const scheduledMs = new Date(scheduledAt).getTime();
+  if (isNaN(scheduledMs)) return null;
+  return new Date(scheduledMs - deadlineHours * HOUR_MS);
+}
+
+/**
+ * What the deadline runner should do with a post right now
+ * @param {object} post - Post row with scheduled_at, approval_status and the SLA columns
+ * @param {object} workspace - Workspace row with approval_deadline_hours
+ * @returns {'remind'|'fallback'|null}
+ */
+function getDeadlineAction(post, workspace, now = new Date()) {
+  if (!AWAITING_APPROVAL_STATUSES.includes(post.approval_status)) return null;
+  if (post.approval_escalated_at) return null;
+
+  const deadline = getApprovalDeadline(post.scheduled_at, workspace?.approval_deadline_hours);
+  if (!deadline) return null;
+
+  if (now >= deadline) return 'fallback';
+
+  const remindAt = deadline.getTime() - APPROVAL_REMINDER_LEAD_HOURS * HOUR_MS;
+  if (!post.approval_reminder_sent_at && now.getTime() >= remindAt) return 'remind';
+
+  return null;
+}
+
+/**
+ * New scheduled time for a post pushed back by the auto_reschedule fallback
+ * @returns {Date}
+ */
+function getRescheduledTime(deadlineHours, now = new Date()) {
+  const next = new Date(now.getTime() + (deadlineHours + RESCHEDULE_GRACE_HOURS) * HOUR_MS);
+  next.setUTCSeconds(0, 0);
+  return next;
+}
+
+function formatForWorkspace(date, workspace) {
+  return `${formatZonedDateTime(date, workspace.timezone || 'UTC')} (${workspace.timezone || 'UTC'})`;
+}
+
+async function sendReminder(supabase, post, workspace, now) {
+  // Claim the reminder so overlapping runs don't both send it
+  const { data: claimed, error } = await supabase
+    .from('posts')
+    .update({ approval_reminder_sent_at: now.toISOString() })
+    .eq('id', post.id)
+    .is('approval_reminder_sent_at', null)
+    .select('id');
+
+  if (error) {
+    logError('approvalSla.remind.claim', error, { postId: post.id });
+    return false;
+  }
+  if (!claimed || claimed.length === 0) return false;
+
+  // Posts in an approval chain go to the approvers of their stage
+  const stage = post.approval_stage != null ? workspace.approval_chain?.[post.approval_stage] : null;
+  const approverIds = stage
+    ? (await getStageApprovers(supabase, post.workspace_id, stage)).map(a => a.user_id)
+    : undefined;
+
+  const deadline = getApprovalDeadline(post.scheduled_at, workspace.approval_deadline_hours);
+  await sendApprovalReminderNotification(supabase, {
+    workspaceId: post.workspace_id,
+    postId: post.id,
+    approvalStatus: post.approval_status,
+    approverIds,
+    caption: post.caption,
+    platforms: post.platforms,
+    deadlineLabel: formatForWorkspace(deadline, workspace)
+  });
+
+  return true;
+}
+
+/**
+ * Audit a fallback that changed the post, credited to the deadline runner
+ * rather than a member. Holding a post only alerts the owner, so it isn't audited.
+ */
+async function recordFallbackAudit(supabase, post, fallback, update) {
+  const entry = fallback === 'auto_approve'
+    ? {
+        action: AUDIT_ACTIONS.POST_APPROVED,
+        before: { status: 'pending_approval', approval_status: post.approval_status },
+        after: { status: update.status, approval_status: update.approval_status }
+      }
+    : fallback === 'auto_reschedule'
+      ? {
+          action: AUDIT_ACTIONS.POST_UPDATED,
+          before: { scheduled_at: post.scheduled_at },
+          after: { scheduled_at: update.scheduled_at }
+        }
+      : null;
+
+  if (!entry) return;
+
+  await recordAudit(supabase, postAuditEntry(entry.action, post, {
+    before: entry.before,
+    after: entry.after,
+    actorId: null,
+    actorEmail: 'approval deadline',
+    metadata: { fallback }
+  }));
+}
+
+async function applyFallback(supabase, post, workspace, now) {
+  const fallback = APPROVAL_FALLBACKS.includes(workspace.approval_fallback)
+    ? workspace.approval_fallback
+    : 'hold';
+
+  let update;
+  let scheduledAt = post.scheduled_at;
+
+  if (fallback === 'auto_approve') {
+    // The scheduler publishes it on its next run (late if scheduled_at has passed)
+    update = {
+      approval_status: 'approved',
+      status: 'scheduled',
+      last_error: null,
+      approval_escalated_at: now.toISOString()
+    };
+  } else if (fallback === 'auto_reschedule') {
+    // Starts a fresh review window, so the SLA columns are cleared rather than set
+    scheduledAt = getRescheduledTime(workspace.approval_deadline_hours, now).toISOString();
+    update = { scheduled_at: scheduledAt, ...CLEARED_APPROVAL_SLA };
+  } else {
+    update = { approval_escalated_at: now.toISOString() };
+  }
+
+  // Only act on the post as this run saw it
+  const { data: claimed, error } = await supabase
+    .from('posts')
+    .update(update)
+    .eq('id', post.id)
+    .eq('status', 'pending_approval')
+    .eq('approval_status', post.approval_status)
+    .eq('scheduled_at', post.scheduled_at)
+    .is('approval_escalated_at', null)
+    .select('id');
+
+  if (error) {
+    logError('approvalSla.fallback.update', error, { postId: post.id, fallback });
+    return null;
+  }
+  if (!claimed || claimed.length === 0) return null;
+
+  await recordFallbackAudit(supabase, post, fallback, update);
+
+  await sendApprovalDeadlinePassedNotification(supabase, {
+    workspaceId: post.workspace_id,
+    postId: post.id,
+    ownerId: workspace.owner_id,
+    createdByUserId: post.created_by || post.user_id,
+    fallback,
+    caption: post.caption,
+    scheduledLabel: formatForWorkspace(scheduledAt, workspace)
+  });
+
+  return fallback;
+}
+
+/**
+ * Send due reminders and apply fallbacks for posts awaiting approval in
+ * workspaces that have an approval deadline
+ * @returns {Promise<{ checked: number, reminded: number, escalated: object }>}
+ */
+async function processApprovalDeadlines(supabase, { now = new Date() } = {}) {
+  const horizon = new Date(now.getTime() + (MAX_DEADLINE_HOURS + APPROVAL_REMINDER_LEAD_HOURS) * HOUR_MS);
+
+  const { data: posts, error } = await supabase
+    .from('posts')
+    .select(`
+      id,
+      workspace_id,
+      caption,
+      platforms,
+      scheduled_at,
+      approval_status,
+      created_by,
+      user_id,
+      approval_reminder_sent_at,
+      approval_escalated_at,
+      approval_stage,
+      workspace:workspaces!inner(id, owner_id, timezone, approval_deadline_hours, approval_fallback, approval_chain)
+    `)
+    .eq('status', 'pending_approval')
+    .in('approval_status', AWAITING_APPROVAL_STATUSES)
+    .is('approval_escalated_at', null)
+    .not('workspace.approval_deadline_hours', 'is', null)
+    .lte('scheduled_at', horizon.toISOString())
+    .order('scheduled_at', { ascending: true })
+    .limit(POSTS_PER_RUN);
+
+  if (error) throw error;
+
+  const summary = {
+    checked: (posts || []).length,
+    reminded: 0,
+    escalated: { auto_approve: 0, auto_reschedule: 0, hold: 0 }
+  };
+
+  for (const post of (posts || [])) {
+    try {
+      const action = getDeadlineAction(post, post.workspace, now);
+      if (action === 'remind') {
+        if (await sendReminder(supabase, post, post.workspace, now)) summary.reminded++;
+      } else if (action === 'fallback') {
+        const applied = await applyFallback(supabase, post, post.workspace, now);
+        if (applied) summary.escalated[applied]++;
+      }
+    } catch (postError) {
+      logError('approvalSla.post', postError, { postId: post.id, workspaceId: post.workspace_id });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  APPROVAL_FALLBACKS,
+  AWAITING_APPROVAL_STATUSES,
+  getApprovalDeadline,
+  getDeadlineAction,
+  getRescheduledTime,
+  processApprovalDeadlines
+};
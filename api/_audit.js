@@ -0,0 +1,223 @@
+const { logError } = require("./_utils");
+const { escapeCsvCell } = require("./_postCsv");
+
+/**
+ * Workspace audit trail (workspace_audit_log). Handlers record an entry after
+ * an action succeeds; the table is append-only (see the migration). Recording
+ * never throws - a failed audit insert is logged, the action still succeeds.
+ */
+
+const AUDIT_ACTIONS = {
+  POST_CREATED: 'post.created',
+  POST_UPDATED: 'post.updated',
+  POST_DELETED: 'post.deleted',
+  POST_APPROVED: 'post.approved',
+  POST_REJECTED: 'post.rejected',
+  POST_CHANGES_REQUESTED: 'post.changes_requested',
+  MEMBER_ROLE_CHANGED: 'member.role_changed',
+  MEMBER_PERMISSIONS_CHANGED: 'member.permissions_changed',
+  MEMBER_REMOVED: 'member.removed',
+  MEMBER_LEFT: 'member.left',
+  INVITATION_SENT: 'invitation.sent',
+  INVITATION_CANCELLED: 'invitation.cancelled',
+  INVITATION_ACCEPTED: 'invitation.accepted',
+  ACCOUNT_LINKED: 'social_account.linked',
+  ACCOUNT_UNLINKED: 'social_account.unlinked',
+  BILLING_SUBSCRIPTION_CHANGED: 'billing.subscription_changed',
+  BILLING_SUBSCRIPTION_CANCELLED: 'billing.subscription_cancelled',
+  BILLING_PAYMENT_FAILED: 'billing.payment_failed',
+  ASSET_DELETED: 'asset.deleted',
+  LINK_DOMAIN_ADDED: 'link_domain.added',
+  LINK_DOMAIN_VERIFIED: 'link_domain.verified',
+  LINK_DOMAIN_REMOVED: 'link_domain.removed'
+};
+
+// Post fields compared in post.updated entries
+const POST_AUDIT_FIELDS = ['caption', 'platforms', 'scheduled_at', 'media_urls', 'status', 'approval_status'];
+
+const AUDIT_CSV_COLUMNS = ['timestamp', 'actor', 'action', 'target_type', 'target', 'before', 'after', 'ip_address'];
+
+// Page size for the audit page; CSV exports go up to MAX_EXPORT_ROWS
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_EXPORT_ROWS = 5000;
+
+/**
+ * Caller's IP, from the proxy header when present
+ */
+function getRequestIp(req) {
+  return req?.headers?.['x-forwarded-for']?.split(',')[0]?.trim() || req?.socket?.remoteAddress || null;
+}
+
+/**
+ * Keep only the fields whose value changed, so entries show the actual edit
+ * @returns {{ before: Object|null, after: Object|null }}
+ */
+function diffValues(before, after) {
+  if (!before || !after) return { before: before || null, after: after || null };
+
+  const changedBefore = {};
+  const changedAfter = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changedBefore[key] = before[key] ?? null;
+      changedAfter[key] = after[key] ?? null;
+    }
+  }
+
+  return { before: changedBefore, after: changedAfter };
+}
+
+function pickPostAuditFields(post) {
+  if (!post) return null;
+  return Object.fromEntries(POST_AUDIT_FIELDS.map(field => [field, post[field] ?? null]));
+}
+
+/**
+ * Audit entry for a post, labelled with the start of its caption
+ * @param {Object} extra - before/after/metadata and any other entry fields
+ */
+function postAuditEntry(action, post, extra = {}) {
+  return {
+    workspaceId: post.workspace_id,
+    action,
+    targetType: 'post',
+    targetId: post.id,
+    targetLabel: (post.caption || '').slice(0, 80) || '(no caption)',
+    ...extra
+  };
+}
+
+/**
+ * Audit entry for an invitation, labelled with the invitee's email
+ */
+function invitationAuditEntry(action, invitation, extra = {}) {
+  return {
+    workspaceId: invitation.workspace_id,
+    action,
+    targetType: 'invitation',
+    targetId: invitation.id,
+    targetLabel: invitation.email,
+    ...extra
+  };
+}
+
+/**
+ * Label for a member target - their email, falling back to name or user ID
+ */
+async function getMemberLabel(supabase, userId) {
+  const { data: profile } = await supabase
+    .from('user_profiles')
+    .select('email, full_name')
+    .eq('id', userId)
+    .maybeSingle();
+
+  return profile?.email || profile?.full_name || userId;
+}
+
+function toAuditRow(entry, req) {
+  return {
+    workspace_id: entry.workspaceId,
+    actor_id: entry.actorId !== undefined ? entry.actorId : (req?.user?.id || null),
+    actor_email: entry.actorEmail || req?.user?.email || null,
+    action: entry.action,
+    target_type: entry.targetType || null,
+    target_id: entry.targetId ? String(entry.targetId) : null,
+    target_label: entry.targetLabel ? String(entry.targetLabel).slice(0, 200) : null,
+    before_values: entry.before || null,
+    after_values: entry.after || null,
+    metadata: entry.metadata || {},
+    ip_address: getRequestIp(req)
+  };
+}
+
+/**
+ * Append one or more audit entries
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object|Object[]} entries - { workspaceId, action, targetType, targetId, targetLabel,
+ *   before, after, metadata, actorId?, actorEmail? } - the actor defaults to req.user
+ * @param {Object} [req] - Request, for the actor and IP address
+ */
+async function recordAudit(supabase, entries, req) {
+  const rows = (Array.isArray(entries) ? entries : [entries])
+    .filter(entry => entry?.workspaceId && entry.action)
+    .map(entry => toAuditRow(entry, req));
+
+  if (rows.length === 0) return;
+
+  try {
+    const { error } = await supabase.from('workspace_audit_log').insert(rows);
+    if (error) {
+      logError('audit.record', error, { actions: rows.map(r => r.action) });
+    }
+  } catch (error) {
+    logError('audit.record', error, { actions: rows.map(r => r.action) });
+  }
+}
+
+/**
+ * Apply the audit page's filters to a workspace_audit_log query
+ *
+ * @param {Object} query - Supabase query builder
+ * @param {Object} filters - { action, actorId, targetType, targetId, from, to, search }
+ */
+function applyAuditFilters(query, filters = {}) {
+  const { action, actorId, targetType, targetId, from, to, search } = filters;
+
+  if (action) {
+    // "post" matches every post.* action
+    query = action.includes('.') ? query.eq('action', action) : query.like('action', `${action}.%`);
+  }
+  if (actorId) query = query.eq('actor_id', actorId);
+  if (targetType) query = query.eq('target_type', targetType);
+  if (targetId) query = query.eq('target_id', targetId);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+  if (search) {
+    const term = search.replace(/[%,()]/g, ' ').trim();
+    if (term) {
+      query = query.or(`target_label.ilike.%${term}%,actor_email.ilike.%${term}%,target_id.eq.${term}`);
+    }
+  }
+
+  return query;
+}
+
+/**
+ * CSV of audit entries, with before/after values as JSON
+ */
+function buildAuditCsv(entries) {
+  const lines = [AUDIT_CSV_COLUMNS.join(',')];
+
+  for (const entry of entries) {
+    const values = {
+      timestamp: entry.created_at,
+      actor: entry.actor_email || entry.actor_id || 'system',
+      action: entry.action,
+      target_type: entry.target_type,
+      target: entry.target_label || entry.target_id,
+      before: entry.before_values ? JSON.stringify(entry.before_values) : '',
+      after: entry.after_values ? JSON.stringify(entry.after_values) : '',
+      ip_address: entry.ip_address
+    };
+    lines.push(AUDIT_CSV_COLUMNS.map(column => escapeCsvCell(values[column])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  POST_AUDIT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_EXPORT_ROWS,
+  getRequestIp,
+  diffValues,
+  pickPostAuditFields,
+  postAuditEntry,
+  invitationAuditEntry,
+  getMemberLabel,
+  recordAudit,
+  applyAuditFilters,
+  buildAuditCsv
+};
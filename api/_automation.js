@@ -0,0 +1,499 @@
+const { logError, invalidateWorkspaceCache } = require("./_utils");
+const { sendInboxMessage, replyToComment } = require("./_inbox");
+const { sendAutomationNotification } = require("./notifications/helpers");
+
+/**
+ * Automation Rules Engine
+ *
+ * A rule is "when <trigger> happens in this workspace, do <action>". Rules are
+ * evaluated every minute by api/automations/run.js; each firing is recorded in
+ * automation_runs, whose unique (rule_id, subject_type, subject_id) index makes
+ * a rule act at most once per post / comment / message. Each rule keeps a
+ * trigger_cursor so every run picks up where the last one stopped.
+ */
+
+// Trigger type -> what kind of record it fires on
+const TRIGGER_TYPES = {
+  post_published: { subjectType: 'post', label: 'Post published' },
+  post_failed: { subjectType: 'post', label: 'Post failed' },
+  comment_keyword: { subjectType: 'comment', label: 'New comment with keyword' },
+  new_dm: { subjectType: 'message', label: 'New direct message' },
+  approval_pending: { subjectType: 'post', label: 'Approval pending' }
+};
+
+// Action type -> triggers it can follow
+const ACTION_TYPES = {
+  auto_reply: { triggers: ['comment_keyword', 'new_dm'], label: 'Auto-reply' },
+  notify: { triggers: Object.keys(TRIGGER_TYPES), label: 'Notify members' },
+  requeue_post: { triggers: ['post_failed'], label: 'Re-queue post' },
+  tag_asset: { triggers: ['post_published', 'post_failed'], label: 'Tag assets' }
+};
+
+const NOTIFY_ROLES = ['owner', 'member', 'viewer'];
+
+// Only events this recent (and newer than the rule itself) can fire a rule
+const LOOKBACK_HOURS = 24;
+const MAX_EVENTS_PER_RULE = 20;
+const MAX_REPLY_LENGTH = 2000;
+const MAX_APPROVAL_HOURS = 720;
+const MAX_REQUEUE_DELAY_MINUTES = 1440;
+
+const isNonEmptyStringArray = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.trim());
+
+/**
+ * Validate a rule definition
+ * @returns {string|null} Error message, or null when the rule is valid
+ */
+function validateRule({ triggerType, triggerConfig = {}, actionType, actionConfig = {} }) {
+  if (!TRIGGER_TYPES[triggerType]) {
+    return `Invalid triggerType. Must be one of: ${Object.keys(TRIGGER_TYPES).join(', ')}`;
+  }
+
+  if (!ACTION_TYPES[actionType]) {
+    return `Invalid actionType. Must be one of: ${Object.keys(ACTION_TYPES).join(', ')}`;
+  }
+
+  if (!ACTION_TYPES[actionType].triggers.includes(triggerType)) {
+    return `${ACTION_TYPES[actionType].label} can't be used with the "${TRIGGER_TYPES[triggerType].label}" trigger`;
+  }
+
+  if (triggerConfig.platforms !== undefined && !isNonEmptyStringArray(triggerConfig.platforms)) {
+    return "triggerConfig.platforms must be a non-empty list of platforms";
+  }
+
+  if (triggerType === 'comment_keyword' && !isNonEmptyStringArray(triggerConfig.keywords)) {
+    return "triggerConfig.keywords must contain at least one keyword";
+  }
+
+  if (triggerType === 'approval_pending') {
+    const hours = Number(triggerConfig.hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_APPROVAL_HOURS) {
+      return `triggerConfig.hours must be between 1 and ${MAX_APPROVAL_HOURS}`;
+    }
+  }
+
+  if (actionType === 'auto_reply') {
+    if (typeof actionConfig.message !== 'string' || !actionConfig.message.trim()) {
+      return "actionConfig.message is required for auto-replies";
+    }
+    if (actionConfig.message.length > MAX_REPLY_LENGTH) {
+      return `actionConfig.message exceeds maximum length of ${MAX_REPLY_LENGTH} characters`;
+    }
+  }
+
+  if (actionType === 'notify') {
+    if (actionConfig.message !== undefined && typeof actionConfig.message !== 'string') {
+      return "actionConfig.message must be a string";
+    }
+    if (actionConfig.roles !== undefined &&
+        (!Array.isArray(actionConfig.roles) || actionConfig.roles.some(r => !NOTIFY_ROLES.includes(r)))) {
+      return `actionConfig.roles may only contain: ${NOTIFY_ROLES.join(', ')}`;
+    }
+  }
+
+  if (actionType === 'requeue_post' && actionConfig.delayMinutes !== undefined) {
+    const delay = Number(actionConfig.delayMinutes);
+    if (!Number.isInteger(delay) || delay < 0 || delay > MAX_REQUEUE_DELAY_MINUTES) {
+      return `actionConfig.delayMinutes must be a whole number between 0 and ${MAX_REQUEUE_DELAY_MINUTES}`;
+    }
+  }
+
+  if (actionType === 'tag_asset' && !isNonEmptyStringArray(actionConfig.tags)) {
+    return "actionConfig.tags must contain at least one tag";
+  }
+
+  return null;
+}
+
+/**
+ * Find the first keyword contained in the text (case-insensitive)
+ * @returns {string|null} The matched keyword
+ */
+function matchKeyword(text, keywords = []) {
+  if (!text) return null;
+  const haystack = text.toLowerCase();
+  return keywords.find(k => k.trim() && haystack.includes(k.trim().toLowerCase())) || null;
+}
+
+function matchesPlatforms(eventPlatforms, allowedPlatforms) {
+  if (!allowedPlatforms || allowedPlatforms.length === 0) return true;
+  const allowed = allowedPlatforms.map(p => p.toLowerCase());
+  return (eventPlatforms || []).some(p => p && allowed.includes(p.toLowerCase()));
+}
+
+/**
+ * Earliest event time a rule may react to
+ */
+function getWindowStart(rule, now) {
+  const lookback = now.getTime() - LOOKBACK_HOURS * 60 * 60 * 1000;
+  const createdAt = rule.created_at ? new Date(rule.created_at).getTime() : lookback;
+  return new Date(Math.max(lookback, createdAt)).toISOString();
+}
+
+/**
+ * Restrict a trigger query to rows after the rule's cursor, in (column, id) order
+ */
+function afterCursor(query, column, cursor) {
+  if (!cursor?.at || !cursor?.id) return query;
+  return query.or(`${column}.gt."${cursor.at}",and(${column}.eq."${cursor.at}",id.gt.${cursor.id})`);
+}
+
+/**
+ * Query the records that currently satisfy a rule's trigger.
+ * Each trigger scans its table in (timestamp, id) order from the rule's
+ * trigger_cursor, so rows a rule has already looked at aren't fetched again
+ * and a backlog larger than one batch is worked through over several runs.
+ * @returns {Promise<{events: Array<{subjectType, subjectId, platforms, post?, comment?, message?, keyword?}>, cursor: object|null}>}
+ *   cursor is the last row consumed, or null when nothing new was scanned
+ */
+async function findTriggerEvents(supabase, rule, now = new Date()) {
+  const config = rule.trigger_config || {};
+  const since = getWindowStart(rule, now);
+  const cursor = rule.trigger_cursor;
+  let rows = [];
+  let column;
+  let toEvent;
+  let batchSize = MAX_EVENTS_PER_RULE;
+
+  switch (rule.trigger_type) {
+    case 'post_published':
+    case 'post_failed': {
+      column = 'posted_at';
+      const { data, error } = await afterCursor(supabase
+        .from('posts')
+        .select('id, workspace_id, caption, platforms, media_urls, created_by, user_id, posted_at, last_error')
+        .eq('workspace_id', rule.workspace_id)
+        .eq('status', rule.trigger_type === 'post_published' ? 'posted' : 'failed')
+        .gte('posted_at', since), column, cursor)
+        .order('posted_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(batchSize);
+
+      if (error) throw error;
+      rows = data || [];
+      toEvent = post => ({ subjectType: 'post', subjectId: post.id, platforms: post.platforms, post });
+      break;
+    }
+
+    case 'approval_pending': {
+      // Fires for posts still waiting on approval after `hours`, however long ago they were submitted
+      column = 'updated_at';
+      const cutoff = new Date(now.getTime() - Number(config.hours) * 60 * 60 * 1000).toISOString();
+      const { data, error } = await afterCursor(supabase
+        .from('posts')
+        .select('id, workspace_id, caption, platforms, created_by, user_id, scheduled_at, updated_at')
+        .eq('workspace_id', rule.workspace_id)
+        .in('approval_status', ['pending', 'pending_internal', 'pending_client'])
+        .lte('updated_at', cutoff), column, cursor)
+        .order('updated_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(batchSize);
+
+      if (error) throw error;
+      rows = data || [];
+      toEvent = post => ({ subjectType: 'post', subjectId: post.id, platforms: post.platforms, post });
+      break;
+    }
+
+    case 'comment_keyword': {
+      // updated_at is stamped on insert; created_at carries the platform's timestamp,
+      // which can be older than the window for late webhook deliveries.
+      // Most comments won't match, so scan a wider batch than we act on.
+      column = 'updated_at';
+      batchSize = 100;
+      const { data, error } = await afterCursor(supabase
+        .from('social_engagement_comments')
+        .select('id, post_id, platform, external_id, comment_text, author_username, updated_at, posts(ayr_post_id)')
+        .eq('workspace_id', rule.workspace_id)
+        .gte('updated_at', since), column, cursor)
+        .order('updated_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(batchSize);
+
+      if (error) throw error;
+      rows = data || [];
+      toEvent = comment => {
+        const keyword = matchKeyword(comment.comment_text, config.keywords);
+        return keyword && { subjectType: 'comment', subjectId: comment.id, platforms: [comment.platform], keyword, comment };
+      };
+      break;
+    }
+
+    case 'new_dm': {
+      column = 'created_at';
+      const { data, error } = await afterCursor(supabase
+        .from('inbox_messages')
+        .select('id, conversation_id, sender_name, message_text, created_at, inbox_conversations!inner(workspace_id, platform)')
+        .eq('inbox_conversations.workspace_id', rule.workspace_id)
+        .eq('sender_type', 'correspondent')
+        .gte('created_at', since), column, cursor)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(batchSize);
+
+      if (error) throw error;
+      rows = data || [];
+      toEvent = message => ({
+        subjectType: 'message',
+        subjectId: message.id,
+        platforms: [message.inbox_conversations?.platform],
+        message
+      });
+      break;
+    }
+
+    default:
+      return { events: [], cursor: null };
+  }
+
+  // Stop at MAX_EVENTS_PER_RULE events; the cursor only moves past rows we got to
+  const events = [];
+  let lastRow = null;
+  for (const row of rows) {
+    if (events.length >= MAX_EVENTS_PER_RULE) break;
+    lastRow = row;
+    const event = toEvent(row);
+    if (event && matchesPlatforms(event.platforms, config.platforms)) {
+      events.push(event);
+    }
+  }
+
+  return {
+    events,
+    cursor: lastRow ? { at: lastRow[column], id: lastRow.id } : null
+  };
+}
+
+/**
+ * Default notification text for a rule firing
+ */
+function describeEvent(triggerType, event) {
+  const platforms = (event.platforms || []).filter(Boolean).join(', ');
+
+  switch (triggerType) {
+    case 'post_published':
+      return `A post was published to ${platforms}.`;
+    case 'post_failed':
+      return `A post for ${platforms} failed to publish.${event.post?.last_error ? ' Error: ' + event.post.last_error.substring(0, 100) : ''}`;
+    case 'approval_pending':
+      return `A post for ${platforms} is still waiting for approval.`;
+    case 'comment_keyword':
+      return `${event.comment?.author_username || 'Someone'} commented "${(event.comment?.comment_text || '').substring(0, 80)}" on ${platforms}.`;
+    case 'new_dm':
+      return `New ${platforms} message from ${event.message?.sender_name || 'a contact'}: ${(event.message?.message_text || '').substring(0, 80)}`;
+    default:
+      return 'An automation rule was triggered.';
+  }
+}
+
+/**
+ * Perform a rule's action for one event
+ * @returns {Promise<{status: 'success'|'skipped', result: object}>} Throws when the action fails
+ */
+async function executeAction(supabase, rule, event) {
+  const config = rule.action_config || {};
+
+  switch (rule.action_type) {
+    case 'auto_reply': {
+      if (event.subjectType === 'message') {
+        const sent = await sendInboxMessage(supabase, {
+          workspaceId: rule.workspace_id,
+          platform: event.message.inbox_conversations?.platform,
+          conversationId: event.message.conversation_id,
+          message: config.message,
+          senderName: 'Automation'
+        });
+        if (!sent.success) throw new Error(sent.error);
+        return { status: 'success', result: { messageId: sent.message?.id || null } };
+      }
+
+      const ayrPostId = event.comment.posts?.ayr_post_id;
+      if (!ayrPostId) {
+        return { status: 'skipped', result: { reason: 'Post has no Ayrshare ID to reply on' } };
+      }
+
+      const replied = await replyToComment({
+        workspaceId: rule.workspace_id,
+        postId: ayrPostId,
+        commentId: event.comment.external_id,
+        platform: event.comment.platform,
+        reply: config.message
+      });
+      if (!replied.success) throw new Error(replied.error);
+      return { status: 'success', result: { replyId: replied.reply.id || null, keyword: event.keyword } };
+    }
+
+    case 'notify': {
+      const notified = await sendAutomationNotification(supabase, {
+        workspaceId: rule.workspace_id,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        message: config.message?.trim() || describeEvent(rule.trigger_type, event),
+        postId: event.post?.id || event.comment?.post_id || null,
+        roles: config.roles
+      });
+      return { status: 'success', result: { notified } };
+    }
+
+    case 'requeue_post': {
+      const delayMinutes = Number(config.delayMinutes) || 0;
+      const scheduledAt = new Date(Date.now() + delayMinutes * 60 * 1000).toISOString();
+
+      // Only re-queue if nobody has touched the post since it failed
+      const { data: requeued, error } = await supabase
+        .from('posts')
+        .update({
+          status: 'scheduled',
+          scheduled_at: scheduledAt,
+          last_error: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', event.post.id)
+        .eq('status', 'failed')
+        .select('id');
+
+      if (error) throw error;
+      if (!requeued || requeued.length === 0) {
+        return { status: 'skipped', result: { reason: 'Post is no longer in failed state' } };
+      }
+
+      await invalidateWorkspaceCache(rule.workspace_id);
+      return { status: 'success', result: { scheduledAt } };
+    }
+
+    case 'tag_asset': {
+      const mediaUrls = (event.post.media_urls || []).filter(Boolean);
+      if (mediaUrls.length === 0) {
+        return { status: 'skipped', result: { reason: 'Post has no media' } };
+      }
+
+      const { data: assets, error } = await supabase
+        .from('media_assets')
+        .select('id, tags')
+        .eq('workspace_id', rule.workspace_id)
+        .in('public_url', mediaUrls);
+
+      if (error) throw error;
+      if (!assets || assets.length === 0) {
+        return { status: 'skipped', result: { reason: 'Post media is not in the asset library' } };
+      }
+
+      const newTags = config.tags.map(t => t.trim()).filter(Boolean);
+      for (const asset of assets) {
+        const tags = Array.from(new Set([...(asset.tags || []), ...newTags]));
+        const { error: updateError } = await supabase
+          .from('media_assets')
+          .update({ tags })
+          .eq('id', asset.id);
+        if (updateError) throw updateError;
+      }
+
+      return { status: 'success', result: { assetIds: assets.map(a => a.id), tags: newTags } };
+    }
+
+    default:
+      throw new Error(`Unknown action type: ${rule.action_type}`);
+  }
+}
+
+/**
+ * Evaluate one rule: find new trigger events, act on each once and record the run
+ */
+async function evaluateRule(supabase, rule, now = new Date()) {
+  const summary = { ruleId: rule.id, matched: 0, succeeded: 0, failed: 0, skipped: 0 };
+  let nextCursor = null;
+
+  try {
+    const { events, cursor } = await findTriggerEvents(supabase, rule, now);
+
+    if (events.length > 0) {
+      const { data: previousRuns, error: runsError } = await supabase
+        .from('automation_runs')
+        .select('subject_id')
+        .eq('rule_id', rule.id)
+        .in('subject_id', events.map(e => e.subjectId));
+
+      if (runsError) throw runsError;
+
+      const alreadyRun = new Set((previousRuns || []).map(r => r.subject_id));
+
+      for (const event of events.filter(e => !alreadyRun.has(e.subjectId))) {
+        // Claim the subject first; the unique index rejects overlapping runners
+        const { data: run, error: claimError } = await supabase
+          .from('automation_runs')
+          .insert({
+            rule_id: rule.id,
+            workspace_id: rule.workspace_id,
+            trigger_type: rule.trigger_type,
+            action_type: rule.action_type,
+            subject_type: event.subjectType,
+            subject_id: event.subjectId,
+            status: 'running'
+          })
+          .select('id')
+          .single();
+
+        if (claimError) {
+          // Anything but "another runner has it" leaves the cursor where it was for a retry
+          if (claimError.code !== '23505') throw claimError;
+          continue;
+        }
+
+        summary.matched++;
+
+        let outcome;
+        try {
+          outcome = await executeAction(supabase, rule, event);
+        } catch (actionError) {
+          logError('automation.action', actionError, { ruleId: rule.id, action: rule.action_type, subjectId: event.subjectId });
+          outcome = { status: 'failed', result: null, errorMessage: actionError.message || String(actionError) };
+        }
+
+        summary[outcome.status === 'success' ? 'succeeded' : outcome.status]++;
+
+        const { error: completeError } = await supabase
+          .from('automation_runs')
+          .update({
+            status: outcome.status,
+            result: outcome.result,
+            error_message: outcome.errorMessage || null,
+            completed_at: new Date().toISOString()
+          })
+          .eq('id', run.id);
+
+        if (completeError) {
+          logError('automation.completeRun', completeError, { runId: run.id });
+        }
+      }
+    }
+
+    // Only advance once every event in the batch has been handled
+    nextCursor = cursor;
+  } finally {
+    // Always rotate the rule to the back of the queue, even if it failed,
+    // so a broken rule can't keep the runner from reaching the others
+    const { error } = await supabase
+      .from('automation_rules')
+      .update({ last_evaluated_at: now.toISOString(), ...(nextCursor && { trigger_cursor: nextCursor }) })
+      .eq('id', rule.id);
+
+    if (error) {
+      logError('automation.markEvaluated', error, { ruleId: rule.id });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  TRIGGER_TYPES,
+  ACTION_TYPES,
+  NOTIFY_ROLES,
+  LOOKBACK_HOURS,
+  validateRule,
+  matchKeyword,
+  findTriggerEvents,
+  executeAction,
+  evaluateRule
+};
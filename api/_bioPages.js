@@ -0,0 +1,117 @@
+const { SLUG_PATTERN, buildShortUrl, getLinkState } = require("./_shortLinks");
+
+/**
+ * Link-in-bio pages (bio_pages, bio_links)
+ *
+ * Each workspace can publish one page at /bio/<slug>. Managed links are
+ * short links with a title; the recent posts feed uses the short links
+ * already attributed to published posts. Either way visitors go through
+ * /l/<code>, so their clicks land in link_clicks and the link analytics.
+ */
+
+const MAX_BIO_LINKS = 20;
+const RECENT_POSTS_LIMIT = 6;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const IMAGE_URL_PATTERN = /\.(jpe?g|png|webp|gif)(\?|$)/i;
+
+/**
+ * Lowercase a bio page slug and check it's usable in a URL
+ * @returns {{ slug: string|null, error: string|null }}
+ */
+function normalizeBioSlug(value) {
+  const slug = String(value || '').trim().toLowerCase();
+  if (!SLUG_PATTERN.test(slug)) {
+    return {
+      slug: null,
+      error: "Page addresses are 3-50 letters, numbers or hyphens, and can't start or end with a hyphen"
+    };
+  }
+  return { slug, error: null };
+}
+
+/**
+ * Check a managed link's title and destination
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBioLink({ title, url }) {
+  if (!title || !String(title).trim()) return "Title is required";
+  if (String(title).trim().length > 80) return "Title must be 80 characters or fewer";
+
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return "Links must start with http:// or https://";
+  } catch {
+    return "Enter a full URL, starting with https://";
+  }
+  return null;
+}
+
+const toHexColor = (value) => (HEX_COLOR_PATTERN.test(value || '') ? value.toLowerCase() : null);
+
+/**
+ * Tiles for the recent posts feed: the newest published posts with a working
+ * short link, one tile per post
+ * @param {Object[]} postLinks - short_links rows with posts(...) and link_domains(domain) embedded
+ */
+function getRecentPostTiles(postLinks, limit = RECENT_POSTS_LIMIT, now = new Date()) {
+  const byPost = new Map();
+
+  for (const link of postLinks) {
+    const post = link.posts;
+    if (!post || post.status !== 'posted' || byPost.has(post.id)) continue;
+    if (getLinkState(link, now) !== 'active') continue;
+
+    const image = (post.media_urls || []).find(url => IMAGE_URL_PATTERN.test(url));
+    byPost.set(post.id, {
+      postId: post.id,
+      caption: (post.caption || '').slice(0, 140),
+      imageUrl: image || null,
+      url: buildShortUrl(link.short_code, link.link_domains?.domain),
+      postedAt: post.posted_at
+    });
+  }
+
+  return [...byPost.values()]
+    .sort((a, b) => new Date(b.postedAt || 0) - new Date(a.postedAt || 0))
+    .slice(0, limit);
+}
+
+/**
+ * What the public page shows. Only working links are included.
+ * @param {Object} params
+ * @param {Object} params.page - bio_pages row
+ * @param {Object|null} params.brand - brand_profiles row
+ * @param {Object} params.workspace - { name, logo_url }
+ * @param {Object[]} params.links - bio_links rows with short_links(...) embedded, in order
+ * @param {Object[]} params.postLinks - See getRecentPostTiles
+ */
+function buildPublicBioPage({ page, brand, workspace, links, postLinks = [] }, now = new Date()) {
+  return {
+    slug: page.slug,
+    name: brand?.brand_name || workspace?.name || page.slug,
+    description: brand?.brand_description || null,
+    logoUrl: brand?.logo_url || workspace?.logo_url || null,
+    websiteUrl: brand?.website_url || null,
+    colors: {
+      primary: toHexColor(brand?.primary_color),
+      accent: toHexColor(brand?.accent_color)
+    },
+    links: links
+      .filter(link => link.short_links && getLinkState(link.short_links, now) === 'active')
+      .map(link => ({
+        id: link.id,
+        title: link.title,
+        url: buildShortUrl(link.short_links.short_code, link.short_links.link_domains?.domain)
+      })),
+    posts: page.show_recent_posts ? getRecentPostTiles(postLinks, RECENT_POSTS_LIMIT, now) : []
+  };
+}
+
+module.exports = {
+  MAX_BIO_LINKS,
+  normalizeBioSlug,
+  validateBioLink,
+  getRecentPostTiles,
+  buildPublicBioPage
+};
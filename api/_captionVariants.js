@@ -0,0 +1,90 @@
+const { COMPOSE_PLATFORMS } = require("./_queues");
+
+/**
+ * Per-platform caption variants
+ *
+ * post_settings.captionVariants holds overrides of the caption keyed by
+ * platform ({ linkedin: '...', twitter: '...' }). The caption column stays the
+ * text for every platform without an override, so one post still covers all
+ * of its networks for approvals and analytics.
+ *
+ * Ayrshare takes the variants as a `post` object keyed by platform, with
+ * `default` used for the rest.
+ */
+
+const MAX_CAPTION_LENGTH = 5000;
+
+/**
+ * Validate and tidy the caption variants in a post's settings. Blank variants
+ * and variants for platforms the post isn't going to are dropped.
+ * @returns {{ settings: object } | { error: string }}
+ */
+function applyCaptionVariants(settings, platforms) {
+  const { captionVariants, ...otherSettings } = settings || {};
+  if (captionVariants == null) {
+    return { settings: otherSettings };
+  }
+
+  if (typeof captionVariants !== 'object' || Array.isArray(captionVariants)) {
+    return { error: "captionVariants must be an object keyed by platform" };
+  }
+
+  const variants = {};
+  for (const [platform, value] of Object.entries(captionVariants)) {
+    if (!COMPOSE_PLATFORMS.includes(platform)) {
+      return { error: `Unknown platform in captionVariants: ${platform}` };
+    }
+    if (typeof value !== 'string') {
+      return { error: `The ${platform} caption must be text` };
+    }
+
+    const text = value.trim();
+    if (!text || !platforms.includes(platform)) continue;
+    if (text.length > MAX_CAPTION_LENGTH) {
+      return { error: `The ${platform} caption exceeds maximum length of ${MAX_CAPTION_LENGTH} characters` };
+    }
+    variants[platform] = text;
+  }
+
+  if (Object.keys(variants).length === 0) {
+    return { settings: otherSettings };
+  }
+
+  return { settings: { ...otherSettings, captionVariants: variants } };
+}
+
+/**
+ * Build the Ayrshare `post` field: the caption itself, or an object with a
+ * `default` caption and one entry per platform that has its own text
+ * @returns {string|object}
+ */
+function buildAyrsharePost(caption, platforms, variants) {
+  const overrides = (platforms || []).filter(p => variants?.[p] && variants[p] !== caption);
+  if (overrides.length === 0) {
+    return caption;
+  }
+
+  const post = { default: caption };
+  for (const platform of overrides) {
+    post[platform] = variants[platform];
+  }
+  return post;
+}
+
+// Text a platform will receive from an Ayrshare `post` field
+function getPlatformCaption(post, platform) {
+  return typeof post === 'string' ? post : (post[platform] ?? post.default);
+}
+
+// Replace the text a platform receives. With a plain caption every platform
+// shares the text, so the whole caption is replaced.
+function setPlatformCaption(post, platform, text) {
+  return typeof post === 'string' ? text : { ...post, [platform]: text };
+}
+
+module.exports = {
+  applyCaptionVariants,
+  buildAyrsharePost,
+  getPlatformCaption,
+  setPlatformCaption
+};
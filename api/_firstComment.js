@@ -0,0 +1,126 @@
+const { logError } = require("./_utils");
+const { postComment } = require("./_inbox");
+
+/**
+ * First comments
+ *
+ * post_settings.firstComment is posted as a comment on the published post,
+ * for networks where hashtags and links read better outside the caption.
+ * It is sent once, by whichever of the scheduler, "Post now" or the Ayrshare
+ * webhook sees the post published first; the outcome is kept in the
+ * first_comment_* columns and shown in PostDetailPanel.
+ */
+
+const FIRST_COMMENT_PLATFORMS = ['instagram', 'linkedin'];
+const MAX_FIRST_COMMENT_LENGTH = 2000;
+
+/**
+ * Validate and tidy the first comment in a post's settings
+ * @returns {{ settings: object } | { error: string }}
+ */
+function applyFirstComment(settings) {
+  const { firstComment, ...otherSettings } = settings || {};
+  if (firstComment == null) {
+    return { settings: otherSettings };
+  }
+
+  if (typeof firstComment !== 'string') {
+    return { error: "firstComment must be text" };
+  }
+
+  const text = firstComment.trim();
+  if (!text) {
+    return { settings: otherSettings };
+  }
+
+  if (text.length > MAX_FIRST_COMMENT_LENGTH) {
+    return { error: `First comment exceeds maximum length of ${MAX_FIRST_COMMENT_LENGTH} characters` };
+  }
+
+  return { settings: { ...otherSettings, firstComment: text } };
+}
+
+/**
+ * Platforms of a post that take a first comment
+ */
+function getFirstCommentPlatforms(platforms) {
+  return (platforms || []).filter(p => FIRST_COMMENT_PLATFORMS.includes(p.toLowerCase()));
+}
+
+function parseSettings(postSettings) {
+  if (typeof postSettings !== 'string') return postSettings || {};
+  try {
+    return JSON.parse(postSettings);
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Post the first comment for a published post, unless it has none or it was
+ * already attempted
+ * @param {object} post - Post row with id, workspace_id, ayr_post_id, platforms, post_settings
+ * @returns {Promise<{ status: 'posted'|'failed', error?: string } | null>} null when nothing was sent
+ */
+async function postFirstComment(supabase, post) {
+  const comment = parseSettings(post.post_settings).firstComment;
+  const platforms = getFirstCommentPlatforms(post.platforms);
+  if (!comment || platforms.length === 0 || !post.ayr_post_id) {
+    return null;
+  }
+
+  // Claim the post so the scheduler and the webhook can't both comment
+  const { data: claimed, error: claimError } = await supabase
+    .from('posts')
+    .update({ first_comment_status: 'posting' })
+    .eq('id', post.id)
+    .is('first_comment_status', null)
+    .select('id');
+
+  if (claimError) {
+    logError('firstComment.claim', claimError, { postId: post.id });
+    return null;
+  }
+  if (!claimed || claimed.length === 0) {
+    return null;
+  }
+
+  // Always settle the claim, or a throw here would leave the post 'posting' for good
+  let outcome;
+  try {
+    const result = await postComment({
+      workspaceId: post.workspace_id,
+      postId: post.ayr_post_id,
+      platforms,
+      comment
+    });
+    outcome = result.success
+      ? { status: 'posted' }
+      : { status: 'failed', error: result.error };
+  } catch (commentError) {
+    logError('firstComment.post', commentError, { postId: post.id });
+    outcome = { status: 'failed', error: commentError.message || String(commentError) };
+  }
+
+  const { error: updateError } = await supabase
+    .from('posts')
+    .update({
+      first_comment_status: outcome.status,
+      first_comment_error: outcome.error || null,
+      first_comment_at: new Date().toISOString()
+    })
+    .eq('id', post.id);
+
+  if (updateError) {
+    logError('firstComment.update', updateError, { postId: post.id });
+  }
+
+  return outcome;
+}
+
+module.exports = {
+  FIRST_COMMENT_PLATFORMS,
+  applyFirstComment,
+  getFirstCommentPlatforms,
+  postFirstComment
+};
@@ -0,0 +1,440 @@
+const axios = require("axios");
+const {
+  ErrorCodes,
+  logError,
+  getWorkspaceProfileKey,
+  isServiceConfigured,
+  isValidUUID
+} = require("./_utils");
+const { validateReplyText } = require("./_inboxPlatforms");
+
+const BASE_AYRSHARE = "https://api.ayrshare.com/api";
+
+// open = needs a reply, pending = waiting on the correspondent, closed = done
+const CONVERSATION_STATUSES = ['open', 'pending', 'closed'];
+
+const MAX_NOTE_LENGTH = 2000;
+
+/**
+ * Send a message in an inbox conversation via Ayrshare and save it to the local cache.
+ * Shared by POST /api/inbox/messages and automation auto-replies.
+ *
+ * Direct messages go through Ayrshare's messages API, comment threads are
+ * answered as a reply to the top-level comment and Google Business reviews
+ * get an owner reply (see api/_inboxPlatforms.js).
+ *
+ * Returns { success: true, message, ayrshareResponse } or
+ * { success: false, error, code, details } where code is one of ErrorCodes.
+ */
+async function sendInboxMessage(supabase, { workspaceId, platform, conversationId, message, mediaUrl = null, senderName = 'You' }) {
+  if (!isServiceConfigured('ayrshare')) {
+    return { success: false, error: "Social media service is not configured", code: ErrorCodes.CONFIG_ERROR };
+  }
+
+  const profileKey = await getWorkspaceProfileKey(workspaceId);
+  if (!profileKey) {
+    return { success: false, error: "No social accounts connected for this workspace", code: ErrorCodes.VALIDATION_ERROR };
+  }
+
+  // Get the conversation to check if we can reply and get Ayrshare conversation ID
+  const { data: conversation, error: convError } = await supabase
+    .from('inbox_conversations')
+    .select('id, platform, conversation_type, ayrshare_conversation_id, source_post_id, correspondent_id, can_reply, reply_restriction')
+    .eq('id', conversationId)
+    .eq('workspace_id', workspaceId)
+    .single();
+
+  if (convError && convError.code !== 'PGRST116') {
+    logError('inbox.send.getConversation', convError, { conversationId });
+  }
+
+  if (!conversation) {
+    return { success: false, error: "Conversation not found", code: ErrorCodes.NOT_FOUND };
+  }
+
+  if (!conversation.can_reply) {
+    return {
+      success: false,
+      error: conversation.reply_restriction || "Cannot reply to this conversation",
+      code: ErrorCodes.VALIDATION_ERROR
+    };
+  }
+
+  const conversationPlatform = conversation.platform || platform;
+  const lengthError = validateReplyText(conversationPlatform, message);
+  if (lengthError) {
+    return { success: false, error: lengthError, code: ErrorCodes.VALIDATION_ERROR };
+  }
+
+  const delivery = await deliverReply(conversation, { profileKey, workspaceId, platform: conversationPlatform, message, mediaUrl });
+  if (!delivery.success) {
+    return delivery;
+  }
+
+  // Save message to local cache
+  const sentMessage = {
+    conversation_id: conversationId,
+    ayrshare_message_id: delivery.messageId,
+    platform_message_id: delivery.platformMessageId,
+    sender_type: 'user',
+    sender_name: senderName,
+    message_text: message,
+    media_urls: mediaUrl ? [mediaUrl] : [],
+    sent_at: new Date().toISOString(),
+    metadata: { ayrshareResponse: delivery.ayrshareResponse }
+  };
+
+  // A review has a single owner reply, so replying again replaces it
+  const { data: savedMessage, error: saveError } = await supabase
+    .from('inbox_messages')
+    .upsert([sentMessage], { onConflict: 'ayrshare_message_id' })
+    .select()
+    .single();
+
+  if (saveError) {
+    logError('inbox.send.save', saveError, { conversationId });
+  }
+
+  // Update conversation's last message
+  const { error: updateError } = await supabase
+    .from('inbox_conversations')
+    .update({
+      last_message_text: message,
+      last_message_at: new Date().toISOString(),
+      last_message_sender: 'user',
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', conversationId);
+
+  if (updateError) {
+    logError('inbox.send.updateConversation', updateError, { conversationId });
+  }
+
+  return { success: true, message: savedMessage || sentMessage, ayrshareResponse: delivery.ayrshareResponse };
+}
+
+/**
+ * Send the reply to Ayrshare the way the conversation type needs.
+ * Returns { success: true, messageId, platformMessageId, ayrshareResponse } or an error result.
+ */
+async function deliverReply(conversation, { profileKey, workspaceId, platform, message, mediaUrl }) {
+  if (conversation.conversation_type === 'comment') {
+    const result = await replyToComment({
+      workspaceId,
+      postId: conversation.source_post_id,
+      commentId: conversation.ayrshare_conversation_id,
+      platform,
+      reply: message
+    });
+    if (!result.success) return result;
+    return { success: true, messageId: result.reply.id, platformMessageId: null, ayrshareResponse: result.ayrshareResponse };
+  }
+
+  if (conversation.conversation_type === 'review') {
+    const result = await replyToReview({ workspaceId, reviewId: conversation.ayrshare_conversation_id, reply: message });
+    if (!result.success) return result;
+    return {
+      success: true,
+      messageId: `review_reply_${conversation.ayrshare_conversation_id}`,
+      platformMessageId: null,
+      ayrshareResponse: result.ayrshareResponse
+    };
+  }
+
+  // Build message payload for Ayrshare
+  const messagePayload = {
+    conversationId: conversation.ayrshare_conversation_id,
+    message: message
+  };
+
+  if (mediaUrl) {
+    messagePayload.mediaUrls = [mediaUrl];
+  }
+
+  // Send message via Ayrshare
+  let response;
+  try {
+    response = await axios.post(
+      `${BASE_AYRSHARE}/messages/${platform}`,
+      messagePayload,
+      {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
+          "Profile-Key": profileKey
+        },
+        timeout: 30000
+      }
+    );
+  } catch (axiosError) {
+    logError('inbox.send.ayrshare', axiosError, { platform, conversationId: conversation.id });
+    return {
+      success: false,
+      error: "Failed to send message",
+      code: ErrorCodes.EXTERNAL_API_ERROR,
+      details: axiosError.response?.data
+    };
+  }
+
+  if (response.data.status === 'error') {
+    return { success: false, error: "Failed to send message", code: ErrorCodes.EXTERNAL_API_ERROR, details: response.data };
+  }
+
+  return {
+    success: true,
+    messageId: response.data.id || response.data.messageId,
+    platformMessageId: response.data.platformMessageId,
+    ayrshareResponse: response.data
+  };
+}
+
+/**
+ * Reply to a follower comment on a published post via Ayrshare.
+ * Shared by POST /api/comments/reply/[commentId] and automation auto-replies.
+ *
+ * @param {string} postId - Ayrshare post ID the comment belongs to
+ * Returns { success: true, reply, ayrshareResponse } or { success: false, error, code, details }
+ */
+async function replyToComment({ workspaceId, postId, commentId, platform, reply }) {
+  const profileKey = await getWorkspaceProfileKey(workspaceId);
+  if (!profileKey) {
+    return { success: false, error: "No Ayrshare profile found for this workspace", code: ErrorCodes.VALIDATION_ERROR };
+  }
+
+  // Ayrshare expects: POST /comments with { id, commentId, comment, platforms[] }
+  try {
+    const response = await axios.post(
+      `${BASE_AYRSHARE}/comments`,
+      {
+        id: postId,
+        commentId: commentId,
+        comment: reply,
+        platforms: [platform || 'facebook']
+      },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
+          "Profile-Key": profileKey
+        },
+        timeout: 30000
+      }
+    );
+
+    if (!response.data || (response.data.status !== 'success' && !response.data.id)) {
+      return { success: false, error: "Failed to post reply", code: ErrorCodes.EXTERNAL_API_ERROR, details: response.data };
+    }
+
+    return {
+      success: true,
+      reply: {
+        id: response.data.id || response.data.reply_id,
+        message: reply,
+        commentId: commentId,
+        postId: postId,
+        created_time: new Date().toISOString()
+      },
+      ayrshareResponse: response.data
+    };
+  } catch (ayrshareError) {
+    logError('comments.reply.ayrshare', ayrshareError, { postId, commentId });
+
+    return {
+      success: false,
+      error: ayrshareError.response?.data?.message || ayrshareError.response?.data?.error || 'Failed to post reply',
+      code: ErrorCodes.EXTERNAL_API_ERROR,
+      details: ayrshareError.response?.data
+    };
+  }
+}
+
+/**
+ * Post a top-level comment on a published post via Ayrshare.
+ * Shared by POST /api/comments and first comments after publishing.
+ *
+ * @param {string} postId - Ayrshare post ID
+ * @param {string[]} platforms - Platforms to comment on
+ * Returns { success: true, comment, ayrshareResponse } or { success: false, error, code, details }
+ */
+async function postComment({ workspaceId, postId, platforms, comment }) {
+  const profileKey = await getWorkspaceProfileKey(workspaceId);
+  if (!profileKey) {
+    return { success: false, error: "No Ayrshare profile found for this workspace", code: ErrorCodes.VALIDATION_ERROR };
+  }
+
+  // Ayrshare expects: POST /comments with { id, comment, platforms[] }
+  try {
+    const response = await axios.post(
+      `${BASE_AYRSHARE}/comments`,
+      {
+        id: postId,
+        comment: comment,
+        platforms: platforms
+      },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
+          "Profile-Key": profileKey
+        },
+        timeout: 30000
+      }
+    );
+
+    if (!response.data || (response.data.status !== 'success' && !response.data.id)) {
+      return { success: false, error: "Failed to post comment", code: ErrorCodes.EXTERNAL_API_ERROR, details: response.data };
+    }
+
+    return {
+      success: true,
+      comment: {
+        id: response.data.id || response.data.comment_id,
+        message: comment,
+        postId: postId,
+        created_time: new Date().toISOString(),
+        from: {
+          name: 'You',
+          id: 'self'
+        }
+      },
+      ayrshareResponse: response.data
+    };
+  } catch (ayrshareError) {
+    logError('comments.post.ayrshare', ayrshareError, { postId });
+
+    return {
+      success: false,
+      error: ayrshareError.response?.data?.message || ayrshareError.response?.data?.error || 'Failed to post comment',
+      code: ErrorCodes.EXTERNAL_API_ERROR,
+      details: ayrshareError.response?.data
+    };
+  }
+}
+
+/**
+ * Reply to a Google Business review via Ayrshare. A review has one owner
+ * reply; replying again replaces it.
+ *
+ * Returns { success: true, ayrshareResponse } or { success: false, error, code, details }
+ */
+async function replyToReview({ workspaceId, reviewId, reply }) {
+  const profileKey = await getWorkspaceProfileKey(workspaceId);
+  if (!profileKey) {
+    return { success: false, error: "No Ayrshare profile found for this workspace", code: ErrorCodes.VALIDATION_ERROR };
+  }
+
+  try {
+    const response = await axios.post(
+      `${BASE_AYRSHARE}/reviews`,
+      {
+        platform: 'gmb',
+        reviewId,
+        reply
+      },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
+          "Profile-Key": profileKey
+        },
+        timeout: 30000
+      }
+    );
+
+    if (response.data?.status === 'error') {
+      return { success: false, error: "Failed to reply to review", code: ErrorCodes.EXTERNAL_API_ERROR, details: response.data };
+    }
+
+    return { success: true, ayrshareResponse: response.data };
+  } catch (ayrshareError) {
+    logError('inbox.review.reply.ayrshare', ayrshareError, { reviewId });
+
+    return {
+      success: false,
+      error: ayrshareError.response?.data?.message || ayrshareError.response?.data?.error || 'Failed to reply to review',
+      code: ErrorCodes.EXTERNAL_API_ERROR,
+      details: ayrshareError.response?.data
+    };
+  }
+}
+
+/**
+ * Save a synced comment thread or review (see normalizeCommentThread and
+ * normalizeReview in api/_inboxPlatforms.js). Messages already stored are
+ * skipped, so only new ones reach the unread-count trigger.
+ *
+ * Returns { conversationId } or { error }.
+ */
+async function saveInboxThread(supabase, { conversation, messages }) {
+  const { data: saved, error: convError } = await supabase
+    .from('inbox_conversations')
+    .upsert({ ...conversation, updated_at: new Date().toISOString() }, {
+      onConflict: 'workspace_id,platform,ayrshare_conversation_id'
+    })
+    .select('id')
+    .single();
+
+  if (convError) {
+    logError('inbox.thread.saveConversation', convError, { conversationId: conversation.ayrshare_conversation_id });
+    return { error: convError.message };
+  }
+
+  if (messages.length > 0) {
+    const { error: msgError } = await supabase
+      .from('inbox_messages')
+      .upsert(messages.map(message => ({ ...message, conversation_id: saved.id })), {
+        onConflict: 'ayrshare_message_id',
+        ignoreDuplicates: true
+      });
+
+    if (msgError) {
+      logError('inbox.thread.saveMessages', msgError, { conversationId: saved.id });
+    }
+  }
+
+  return { conversationId: saved.id };
+}
+
+/**
+ * Build the inbox_conversations update for an assignment and/or status change.
+ * assignedTo is a member's user ID, or null to unassign; omitted fields are left alone.
+ *
+ * Returns { update } or { error }.
+ */
+function buildConversationUpdate({ assignedTo, status }, actorId, now = new Date()) {
+  const update = {};
+
+  if (assignedTo !== undefined) {
+    if (assignedTo !== null && !isValidUUID(assignedTo)) {
+      return { error: "Invalid assignedTo format" };
+    }
+    update.assigned_to = assignedTo;
+    update.assigned_by = assignedTo ? actorId : null;
+    update.assigned_at = assignedTo ? now.toISOString() : null;
+  }
+
+  if (status !== undefined) {
+    if (!CONVERSATION_STATUSES.includes(status)) {
+      return { error: `status must be one of: ${CONVERSATION_STATUSES.join(', ')}` };
+    }
+    update.status = status;
+    update.status_changed_at = now.toISOString();
+  }
+
+  if (Object.keys(update).length === 0) {
+    return { error: "Nothing to update. Provide assignedTo and/or status" };
+  }
+
+  return { update };
+}
+
+module.exports = {
+  CONVERSATION_STATUSES,
+  MAX_NOTE_LENGTH,
+  buildConversationUpdate,
+  sendInboxMessage,
+  saveInboxThread,
+  replyToComment,
+  replyToReview,
+  postComment
+};
@@ -0,0 +1,197 @@
+/**
+ * Inbox platforms
+ *
+ * Which platforms the inbox covers, what kind of conversation each one
+ * produces and the rules for replying. Ayrshare only exposes direct
+ * messages for Facebook, Instagram and X, so the other platforms come into
+ * the inbox as comment threads on our published posts (one conversation
+ * per top-level comment) and Google Business as reviews.
+ *
+ * Platform keys are Ayrshare's ('gmb' for Google Business).
+ */
+
+// dm = direct messages, comment = a comment thread on one of our posts, review = a Google Business review
+const CONVERSATION_TYPES = ['dm', 'comment', 'review'];
+
+const INBOX_PLATFORMS = {
+  facebook: { name: 'Facebook', label: 'Facebook Messenger', type: 'dm', maxReplyLength: 2000 },
+  instagram: { name: 'Instagram', label: 'Instagram DM', type: 'dm', maxReplyLength: 1000, replyWindowDays: 7 },
+  twitter: { name: 'X', label: 'X Direct Messages', type: 'dm', maxReplyLength: 2000 },
+  linkedin: { name: 'LinkedIn', label: 'LinkedIn Comments', type: 'comment', maxReplyLength: 1250 },
+  tiktok: { name: 'TikTok', label: 'TikTok Comments', type: 'comment', maxReplyLength: 150 },
+  threads: { name: 'Threads', label: 'Threads Replies', type: 'comment', maxReplyLength: 500 },
+  bluesky: { name: 'Bluesky', label: 'Bluesky Replies', type: 'comment', maxReplyLength: 300 },
+  youtube: { name: 'YouTube', label: 'YouTube Comments', type: 'comment', maxReplyLength: 2000 },
+  gmb: { name: 'Google Business', label: 'Google Business Reviews', type: 'review', maxReplyLength: 2000 }
+};
+
+const SUPPORTED_PLATFORMS = Object.keys(INBOX_PLATFORMS);
+
+// Names used elsewhere in the app (compose, CSV import) for the same platforms
+const PLATFORM_ALIASES = {
+  googlebusiness: 'gmb',
+  google: 'gmb',
+  x: 'twitter',
+  'x/twitter': 'twitter'
+};
+
+/**
+ * Map a platform name to its inbox key, or null if the inbox doesn't cover it
+ */
+function normalizeInboxPlatform(platform) {
+  if (!platform || typeof platform !== 'string') return null;
+  const key = platform.toLowerCase();
+  const normalized = PLATFORM_ALIASES[key] || key;
+  return INBOX_PLATFORMS[normalized] ? normalized : null;
+}
+
+function getPlatformsByType(type) {
+  return SUPPORTED_PLATFORMS.filter(platform => INBOX_PLATFORMS[platform].type === type);
+}
+
+/**
+ * Why a reply can't be sent in this conversation right now, or null if it can.
+ *
+ * @param {string} platform - Inbox platform key
+ * @param {string|Date} lastCorrespondentAt - When the correspondent last wrote
+ */
+function getReplyRestriction(platform, { lastCorrespondentAt, now = new Date() } = {}) {
+  const config = INBOX_PLATFORMS[platform];
+  if (!config) return "Replies aren't supported for this platform";
+
+  if (config.replyWindowDays && lastCorrespondentAt) {
+    const windowStart = new Date(now);
+    windowStart.setDate(windowStart.getDate() - config.replyWindowDays);
+    if (new Date(lastCorrespondentAt) <= windowStart) {
+      return `${config.name} conversations expire after ${config.replyWindowDays} days of inactivity from the contact`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check reply text against the platform's length limit
+ * @returns {string|null} error message
+ */
+function validateReplyText(platform, text) {
+  const config = INBOX_PLATFORMS[platform];
+  if (!text || !String(text).trim()) return "Reply text cannot be empty";
+  if (config && text.length > config.maxReplyLength) {
+    return `${config.name} replies can be at most ${config.maxReplyLength} characters`;
+  }
+  return null;
+}
+
+const authorName = (entry) =>
+  entry.from?.name || entry.from?.username || entry.userName || entry.username || entry.owner || entry.author_name || 'Unknown';
+
+const commentIdOf = (entry) => entry.commentId || entry.id || entry.comment_id;
+
+/**
+ * Turn one top-level comment from Ayrshare's GET /comments/:id response into
+ * an inbox conversation plus its messages (the comment and any replies).
+ * Replies can't be told apart from our own, so they all count as the
+ * correspondent's; replies sent from the inbox are already stored as ours.
+ */
+function normalizeCommentThread(platform, ayrPostId, comment, { workspaceId, postCaption } = {}) {
+  const commentId = String(commentIdOf(comment));
+  const sentAt = comment.created || comment.created_time || comment.timestamp || comment.created_at || new Date().toISOString();
+  const replies = Array.isArray(comment.replies) ? comment.replies : Array.isArray(comment.comments) ? comment.comments : [];
+
+  const messages = [comment, ...replies].filter(commentIdOf).map(entry => ({
+    ayrshare_message_id: String(commentIdOf(entry)),
+    sender_type: 'correspondent',
+    sender_name: authorName(entry),
+    message_text: entry.comment || entry.text || entry.message || '',
+    media_urls: [],
+    sent_at: entry.created || entry.created_time || entry.timestamp || entry.created_at || sentAt,
+    metadata: { raw: entry }
+  }));
+
+  return {
+    conversation: {
+      workspace_id: workspaceId,
+      platform,
+      conversation_type: 'comment',
+      ayrshare_conversation_id: commentId,
+      source_post_id: ayrPostId,
+      correspondent_id: comment.from?.id || comment.author_id || comment.user_id || null,
+      correspondent_name: authorName(comment),
+      correspondent_username: comment.from?.username || comment.userName || comment.username || null,
+      correspondent_avatar: comment.from?.profile_url || comment.profileImage || comment.profileImageUrl || null,
+      can_reply: true,
+      reply_restriction: null,
+      metadata: { postCaption: postCaption || null, syncedAt: new Date().toISOString() }
+    },
+    messages
+  };
+}
+
+// Google reports ratings as words
+const STAR_RATINGS = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
+
+/**
+ * Turn a Google Business review from Ayrshare's GET /reviews into an inbox
+ * conversation. The review is the correspondent's message and an existing
+ * owner reply is ours.
+ */
+function normalizeReview(review, { workspaceId } = {}) {
+  const reviewId = String(review.reviewId || review.id || review.name);
+  const rating = typeof review.rating === 'number'
+    ? review.rating
+    : STAR_RATINGS[review.starRating || review.rating] || null;
+  const reviewer = review.reviewer || {};
+  const sentAt = review.createTime || review.created || review.updateTime || new Date().toISOString();
+  const ownerReply = review.reviewReply || review.reply;
+
+  const messages = [{
+    ayrshare_message_id: `review_${reviewId}`,
+    sender_type: 'correspondent',
+    sender_name: reviewer.displayName || review.reviewerName || 'Google user',
+    message_text: review.comment || review.text || (rating ? `Left a ${rating}-star rating` : 'Left a rating'),
+    media_urls: [],
+    sent_at: sentAt,
+    metadata: { raw: review, rating }
+  }];
+
+  if (ownerReply?.comment) {
+    messages.push({
+      ayrshare_message_id: `review_reply_${reviewId}`,
+      sender_type: 'user',
+      sender_name: 'You',
+      message_text: ownerReply.comment,
+      media_urls: [],
+      sent_at: ownerReply.updateTime || sentAt,
+      metadata: { raw: ownerReply }
+    });
+  }
+
+  return {
+    conversation: {
+      workspace_id: workspaceId,
+      platform: 'gmb',
+      conversation_type: 'review',
+      ayrshare_conversation_id: reviewId,
+      correspondent_name: reviewer.displayName || review.reviewerName || 'Google user',
+      correspondent_avatar: reviewer.profilePhotoUrl || null,
+      review_rating: rating,
+      can_reply: true,
+      reply_restriction: null,
+      metadata: { syncedAt: new Date().toISOString() }
+    },
+    messages
+  };
+}
+
+module.exports = {
+  CONVERSATION_TYPES,
+  INBOX_PLATFORMS,
+  SUPPORTED_PLATFORMS,
+  normalizeInboxPlatform,
+  getPlatformsByType,
+  getReplyRestriction,
+  validateReplyText,
+  normalizeCommentThread,
+  normalizeReview
+};
@@ -0,0 +1,119 @@
+const dns = require("dns");
+const { getBaseUrl } = require("./_shortLinks");
+
+/**
+ * Custom short link domains (link_domains), e.g. go.clientbrand.com
+ *
+ * A workspace adds a domain and gets two DNS records to create: a TXT record
+ * proving they own it, and a CNAME (or A record at the apex) pointing it at
+ * the app. Verification checks both. The domain also has to be added to the
+ * Vercel project so the app serves it; after that, /l/<code> on that host
+ * resolves links with that domain_id.
+ */
+
+const VERIFY_RECORD_PREFIX = '_woozy-verify';
+
+// Where custom domains must point. Vercel's defaults unless overridden.
+const getCnameTarget = () => process.env.LINK_DOMAIN_CNAME_TARGET || 'cname.vercel-dns.com';
+const getApexTarget = () => process.env.LINK_DOMAIN_A_RECORD || '76.76.21.21';
+
+const HOSTNAME_PATTERN = /^(?=.{4,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Hostnames that serve the app itself, where links use the default domain
+ */
+function isAppHost(host) {
+  if (!host) return true;
+  if (host === 'localhost' || host.endsWith('.vercel.app')) return true;
+
+  const appHosts = [getBaseUrl(), process.env.FRONTEND_URL]
+    .filter(Boolean)
+    .map(url => {
+      try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return null; }
+    });
+  return appHosts.includes(host.replace(/^www\./, ''));
+}
+
+/**
+ * Bare lowercase hostname from what a user typed, or null if it isn't one we can use
+ * Accepts "https://Go.Brand.com/", "go.brand.com." etc.
+ */
+function normalizeDomain(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const domain = input.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .split(/[/?#]/)[0]
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+
+  if (!HOSTNAME_PATTERN.test(domain) || isAppHost(domain)) return null;
+  return domain;
+}
+
+/**
+ * Host a request was made to, without the port
+ */
+function getRequestHost(req) {
+  const header = req.headers?.['x-forwarded-host'] || req.headers?.host || '';
+  return header.split(',')[0].trim().toLowerCase().replace(/:\d+$/, '') || null;
+}
+
+/**
+ * The DNS records a domain needs
+ * @returns {Array<{ type: string, name: string, value: string }>}
+ */
+function getDnsRecords(domain, token) {
+  const isApex = domain.split('.').length === 2;
+  return [
+    { type: 'TXT', name: `${VERIFY_RECORD_PREFIX}.${domain}`, value: `woozy-verify=${token}` },
+    isApex
+      ? { type: 'A', name: domain, value: getApexTarget() }
+      : { type: 'CNAME', name: domain, value: getCnameTarget() }
+  ];
+}
+
+const resolveOrEmpty = async (resolve, name) => {
+  try {
+    return await resolve(name);
+  } catch (error) {
+    if (['ENOTFOUND', 'ENODATA', 'ESERVFAIL', 'NXDOMAIN'].includes(error.code)) return [];
+    throw error;
+  }
+};
+
+/**
+ * Look up a domain's DNS records
+ * @param {Object} [resolver] - dns.promises, or a stand-in with resolveTxt/resolveCname/resolve4
+ * @returns {Promise<{ verified: boolean, error: string|null }>}
+ */
+async function checkDomainDns(domain, token, resolver = dns.promises) {
+  const [txtRecord, routingRecord] = getDnsRecords(domain, token);
+
+  const txt = await resolveOrEmpty(resolver.resolveTxt.bind(resolver), txtRecord.name);
+  if (!txt.some(chunks => chunks.join('') === txtRecord.value)) {
+    return { verified: false, error: `TXT record ${txtRecord.name} not found` };
+  }
+
+  if (routingRecord.type === 'CNAME') {
+    const cnames = await resolveOrEmpty(resolver.resolveCname.bind(resolver), domain);
+    if (!cnames.some(name => name.replace(/\.$/, '').toLowerCase() === routingRecord.value)) {
+      return { verified: false, error: `${domain} must be a CNAME to ${routingRecord.value}` };
+    }
+  } else {
+    const addresses = await resolveOrEmpty(resolver.resolve4.bind(resolver), domain);
+    if (!addresses.includes(routingRecord.value)) {
+      return { verified: false, error: `${domain} must have an A record of ${routingRecord.value}` };
+    }
+  }
+
+  return { verified: true, error: null };
+}
+
+module.exports = {
+  isAppHost,
+  normalizeDomain,
+  getRequestHost,
+  getDnsRecords,
+  checkDomainDns
+};
@@ -0,0 +1,224 @@
+const { COMPOSE_PLATFORMS } = require("./_queues");
+
+/**
+ * Short link click tracking and reporting
+ *
+ * api/l/[code].js classifies each click as it redirects: bots, crawlers and
+ * link-preview fetchers (the requests X, Slack, iMessage etc. make to unfurl a
+ * link) are stored with is_bot so they can be left out of the counts. Each
+ * click is credited to the platform it came from, using the link's own
+ * platform when it was made for one, then the in-app browser, then the
+ * referer. Links are tied to posts by the attribute_short_links() trigger.
+ */
+
+// Crawlers, unfurlers and HTTP libraries. Matched case-insensitively.
+const BOT_PATTERN = new RegExp([
+  'bot\\b', 'bot/', 'crawler', 'spider', 'slurp', 'facebookexternalhit', 'facebookcatalog',
+  'twitterbot', 'slackbot', 'slack-imgproxy', 'linkedinbot', 'discordbot', 'telegrambot',
+  'whatsapp', 'skypeuripreview', 'pinterestbot', 'redditbot', 'applebot', 'embedly',
+  'iframely', 'vkshare', 'bitlybot', 'tumblr', 'mastodon', 'bluesky cardyb', 'google-pagerenderer',
+  'googleother', 'headlesschrome', 'lighthouse', 'preview', 'curl/', 'wget/', 'python-',
+  'go-http-client', 'node-fetch', 'axios/', 'okhttp', 'java/', 'libwww', 'httpclient'
+].join('|'), 'i');
+
+// In-app browsers announce the app in the user agent
+const IN_APP_PLATFORMS = [
+  [/instagram/i, 'instagram'],
+  [/FBAN|FBAV|FB_IAB/, 'facebook'],
+  [/LinkedInApp/i, 'linkedin'],
+  [/musical_ly|BytedanceWebview|TikTok/i, 'tiktok'],
+  [/Barcelona/, 'threads'],
+  [/Pinterest/i, 'pinterest'],
+  [/Twitter/i, 'twitter']
+];
+
+// Referer hosts, including the platforms' own link wrappers
+const REFERER_PLATFORMS = [
+  [/(^|\.)t\.co$|(^|\.)(twitter|x)\.com$/, 'twitter'],
+  [/(^|\.)(facebook\.com|fb\.com|fb\.me)$/, 'facebook'],
+  [/(^|\.)instagram\.com$/, 'instagram'],
+  [/(^|\.)(linkedin\.com|lnkd\.in)$/, 'linkedin'],
+  [/(^|\.)tiktok\.com$/, 'tiktok'],
+  [/(^|\.)(youtube\.com|youtu\.be)$/, 'youtube'],
+  [/(^|\.)(pinterest\.[a-z.]+|pin\.it)$/, 'pinterest'],
+  [/(^|\.)threads\.(net|com)$/, 'threads'],
+  [/(^|\.)bsky\.(app|social)$/, 'bluesky'],
+  [/(^|\.)(business\.google\.com|g\.page)$/, 'googleBusiness']
+];
+
+/**
+ * Whether a request is a bot or a link-preview fetch rather than a person
+ * @param {Object} headers - Request headers (lowercase keys)
+ */
+function isBotRequest(headers = {}) {
+  const userAgent = headers['user-agent'];
+  if (!userAgent) return true;
+
+  // Browsers prefetching or prerendering a link the user hasn't opened
+  const purpose = headers['sec-purpose'] || headers['purpose'] || headers['x-purpose'] || '';
+  if (/prefetch|preview/i.test(purpose)) return true;
+
+  return BOT_PATTERN.test(userAgent);
+}
+
+/**
+ * Device type, OS and browser from a user agent
+ * @returns {{ device_type: string, os: string, browser: string }}
+ */
+function parseUserAgent(userAgent = '') {
+  const ua = userAgent || '';
+
+  let os = 'Other';
+  if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+  else if (/Android/.test(ua)) os = 'Android';
+  else if (/CrOS/.test(ua)) os = 'ChromeOS';
+  else if (/Windows/.test(ua)) os = 'Windows';
+  else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) deviceType = 'tablet';
+  else if (/Mobi|iPhone|iPod|Android/.test(ua)) deviceType = 'mobile';
+
+  const inApp = IN_APP_PLATFORMS.find(([pattern]) => pattern.test(ua));
+  let browser = 'Other';
+  if (inApp) browser = `${inApp[1]} app`;
+  else if (/Edg\//.test(ua)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+  else if (/SamsungBrowser/.test(ua)) browser = 'Samsung Internet';
+  else if (/Firefox\/|FxiOS/.test(ua)) browser = 'Firefox';
+  else if (/Chrome\/|CriOS/.test(ua)) browser = 'Chrome';
+  else if (/Safari\//.test(ua)) browser = 'Safari';
+
+  return { device_type: deviceType, os, browser };
+}
+
+/**
+ * Host a click came from, without www, or null for direct traffic
+ */
+function getRefererHost(referer) {
+  if (!referer) return null;
+  try {
+    return new URL(referer).hostname.replace(/^www\./, '').toLowerCase() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Platform a click came from
+ * @param {Object} params
+ * @param {string|null} params.linkPlatform - Platform the link was made for, if any
+ * @param {string} params.userAgent
+ * @param {string} params.referer
+ * @returns {string|null}
+ */
+function getClickPlatform({ linkPlatform, userAgent, referer }) {
+  if (linkPlatform) return linkPlatform;
+
+  const inApp = IN_APP_PLATFORMS.find(([pattern]) => pattern.test(userAgent || ''));
+  if (inApp) return inApp[1];
+
+  const host = getRefererHost(referer);
+  if (!host) return null;
+  const match = REFERER_PLATFORMS.find(([pattern]) => pattern.test(host));
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether a platform value from the client is one we publish to
+ */
+function isValidLinkPlatform(platform) {
+  return COMPOSE_PLATFORMS.includes(platform);
+}
+
+/**
+ * The link_clicks row for a request
+ * @param {Object} shortLink - { id, workspace_id, platform }
+ * @param {Object} req
+ */
+function buildClickRecord(shortLink, req) {
+  const headers = req.headers || {};
+  const userAgent = headers['user-agent'] || null;
+  const referer = headers['referer'] || null;
+  const decodeHeader = (value) => {
+    if (!value) return null;
+    try { return decodeURIComponent(value); } catch { return value; }
+  };
+
+  return {
+    short_link_id: shortLink.id,
+    workspace_id: shortLink.workspace_id,
+    ip_address: headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || null,
+    user_agent: userAgent,
+    referer,
+    referer_host: getRefererHost(referer),
+    platform: getClickPlatform({ linkPlatform: shortLink.platform, userAgent, referer }),
+    // Set by Vercel's edge from the client IP
+    country: decodeHeader(headers['x-vercel-ip-country']),
+    city: decodeHeader(headers['x-vercel-ip-city']),
+    is_bot: isBotRequest(headers),
+    ...parseUserAgent(userAgent)
+  };
+}
+
+const countBy = (rows, key) => {
+  const counts = new Map();
+  for (const row of rows) {
+    const value = typeof key === 'function' ? key(row) : row[key];
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([name, clicks]) => ({ name, clicks }))
+    .sort((a, b) => b.clicks - a.clicks);
+};
+
+/**
+ * Link analytics from raw link_clicks rows
+ * @param {Object[]} clicks - link_clicks rows, bots included, with post_id from their link
+ * @param {Object} options
+ * @param {Date} options.from - First day of the period
+ * @param {Date} options.to - Last day of the period
+ * @param {Object} options.postCaptions - post_id → caption
+ */
+function summarizeLinkClicks(clicks, { from, to, postCaptions = {} }) {
+  const human = clicks.filter(click => !click.is_bot);
+
+  // One entry per day so the chart shows quiet days as zero
+  const daily = [];
+  const byDay = new Map(countBy(human, click => click.clicked_at.slice(0, 10)).map(d => [d.name, d.clicks]));
+  for (const day = new Date(from.toISOString().slice(0, 10)); day <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    const date = day.toISOString().slice(0, 10);
+    daily.push({ date, clicks: byDay.get(date) || 0 });
+  }
+
+  const visitors = new Set(human.map(click => `${click.ip_address}|${click.user_agent}`));
+
+  return {
+    totals: {
+      clicks: human.length,
+      uniqueVisitors: visitors.size,
+      botClicks: clicks.length - human.length
+    },
+    daily,
+    byPost: countBy(human.filter(click => click.post_id), 'post_id').map(({ name, clicks: count }) => ({
+      postId: name,
+      caption: postCaptions[name] || null,
+      clicks: count
+    })),
+    byPlatform: countBy(human, click => click.platform || 'other'),
+    byReferrer: countBy(human, click => click.referer_host || 'direct'),
+    byDevice: countBy(human, click => click.device_type || 'desktop'),
+    byOs: countBy(human, click => click.os || 'Other')
+  };
+}
+
+module.exports = {
+  isBotRequest,
+  parseUserAgent,
+  getRefererHost,
+  getClickPlatform,
+  isValidLinkPlatform,
+  buildClickRecord,
+  summarizeLinkClicks
+};
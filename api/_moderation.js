@@ -0,0 +1,479 @@
+const axios = require("axios");
+const { ErrorCodes, getWorkspaceProfileKey, logError } = require("./_utils");
+
+/**
+ * Comment Moderation
+ *
+ * Workspace rules that act on incoming follower comments (from the Ayrshare
+ * webhook and api/sync-comments.js). Every comment a rule catches gets one
+ * comment_moderation_events row, which is the review queue: the team can keep
+ * the action or undo it.
+ */
+
+const BASE_AYRSHARE = "https://api.ayrshare.com/api";
+
+const MODERATION_RULE_TYPES = {
+  keyword: { label: 'Blocked keywords' },
+  regex: { label: 'Blocked patterns' },
+  link_spam: { label: 'Link-only spam' },
+  repeat_commenter: { label: 'Repeated commenter' }
+};
+
+// Strongest first: when several rules match, the first action here wins
+const MODERATION_ACTIONS = ['delete', 'hide', 'flag'];
+
+// Platforms where Ayrshare can hide a comment; elsewhere a hide rule only flags
+const HIDE_PLATFORMS = ['facebook', 'instagram', 'twitter'];
+
+const MAX_PATTERN_LENGTH = 200;
+// Patterns only see the start of very long comments, which bounds the cost of a slow one
+const MAX_PATTERN_INPUT_LENGTH = 2000;
+const DEFAULT_LINK_SPAM_MAX_WORDS = 2;
+const DEFAULT_REPEAT_THRESHOLD = 3;
+const DEFAULT_REPEAT_WINDOW_MINUTES = 60;
+const MAX_REPEAT_WINDOW_MINUTES = 10080;
+
+const URL_PATTERN = /(https?:\/\/\S+|www\.\S+|\b[a-z0-9-]+\.(com|net|org|io|co|ly|me|info|biz|xyz|link|site|shop)(\/\S*)?)/gi;
+
+const isNonEmptyStringArray = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.trim());
+
+const QUANTIFIER_AT = /^(?:[*+]|\{\d+(?:,\d*)?\})/;
+
+/**
+ * Whether a pattern can backtrack catastrophically on a crafted comment:
+ * a repeated group that itself contains a repeat, like (a+)+ or (\w*\s?)*,
+ * or a backreference. Patterns run against comments anyone can post.
+ */
+function isUnsafePattern(pattern) {
+  if (/\\[1-9]|\\k</.test(pattern)) return true;
+
+  // One entry per open group: does anything inside it repeat?
+  const groups = [{ repeats: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; quantifier characters inside it are literal
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const quantified = QUANTIFIER_AT.test(pattern.slice(i + 1));
+      if (quantified && group.repeats) return true;
+      if (quantified || group.repeats) groups[groups.length - 1].repeats = true;
+    } else if (QUANTIFIER_AT.test(pattern.slice(i))) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compile a blocked pattern (case-insensitive)
+ * @returns {RegExp|null} null when the pattern is invalid or unsafe to run
+ */
+function compilePattern(pattern) {
+  if (isUnsafePattern(pattern)) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate a moderation rule
+ * @param {Object} rule - { name, ruleType, config, action, platforms }
+ * @param {Object} options - { partial: true } when validating an update
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateModerationRule({ name, ruleType, config, action, platforms }, { partial = false } = {}) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return "Rule name is required";
+    if (name.trim().length > 100) return "Rule name must be 100 characters or fewer";
+  }
+
+  if (!partial || action !== undefined) {
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return `Invalid action. Must be one of: ${MODERATION_ACTIONS.join(', ')}`;
+    }
+  }
+
+  if (platforms !== undefined && platforms !== null && !isNonEmptyStringArray(platforms)) {
+    return "platforms must be a non-empty list of platforms";
+  }
+
+  // The rule type is fixed after creation, so config is checked against it
+  if (!partial && !MODERATION_RULE_TYPES[ruleType]) {
+    return `Invalid ruleType. Must be one of: ${Object.keys(MODERATION_RULE_TYPES).join(', ')}`;
+  }
+
+  if (config === undefined && partial) return null;
+  const cfg = config || {};
+
+  if (ruleType === 'keyword' && !isNonEmptyStringArray(cfg.keywords)) {
+    return "config.keywords must contain at least one keyword";
+  }
+
+  if (ruleType === 'regex') {
+    if (!isNonEmptyStringArray(cfg.patterns)) {
+      return "config.patterns must contain at least one pattern";
+    }
+    for (const pattern of cfg.patterns) {
+      if (pattern.length > MAX_PATTERN_LENGTH) {
+        return `Patterns must be ${MAX_PATTERN_LENGTH} characters or fewer`;
+      }
+      if (isUnsafePattern(pattern)) {
+        return `Pattern ${pattern} nests repeats or uses a backreference, which can make matching hang. Simplify it`;
+      }
+      if (!compilePattern(pattern)) {
+        return `Invalid pattern: ${pattern}`;
+      }
+    }
+  }
+
+  if (ruleType === 'link_spam' && cfg.maxOtherWords !== undefined) {
+    const words = Number(cfg.maxOtherWords);
+    if (!Number.isInteger(words) || words < 0 || words > 20) {
+      return "config.maxOtherWords must be a whole number between 0 and 20";
+    }
+  }
+
+  if (ruleType === 'repeat_commenter') {
+    if (cfg.threshold !== undefined) {
+      const threshold = Number(cfg.threshold);
+      if (!Number.isInteger(threshold) || threshold < 2 || threshold > 100) {
+        return "config.threshold must be a whole number between 2 and 100";
+      }
+    }
+    if (cfg.windowMinutes !== undefined) {
+      const minutes = Number(cfg.windowMinutes);
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_REPEAT_WINDOW_MINUTES) {
+        return `config.windowMinutes must be a whole number between 1 and ${MAX_REPEAT_WINDOW_MINUTES}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a comment is just links, allowing a few other words ("check this")
+ */
+function isLinkOnlyComment(text, maxOtherWords = DEFAULT_LINK_SPAM_MAX_WORDS) {
+  if (!text) return false;
+  const links = text.match(URL_PATTERN);
+  if (!links) return false;
+
+  const otherWords = text
+    .replace(URL_PATTERN, ' ')
+    .split(/\s+/)
+    .filter(word => /[\p{L}\p{N}]/u.test(word));
+
+  return otherWords.length <= maxOtherWords;
+}
+
+function appliesToPlatform(rule, platform) {
+  if (!rule.platforms || rule.platforms.length === 0) return true;
+  return rule.platforms.some(p => p.toLowerCase() === (platform || '').toLowerCase());
+}
+
+/**
+ * Why a rule matches the comment, or null when it doesn't
+ */
+function matchRule(rule, comment, { authorCommentCount = 0 } = {}) {
+  const config = rule.config || {};
+  const text = comment.comment_text || '';
+
+  switch (rule.rule_type) {
+    case 'keyword': {
+      const haystack = text.toLowerCase();
+      const keyword = (config.keywords || []).find(k => k.trim() && haystack.includes(k.trim().toLowerCase()));
+      return keyword ? `Contains blocked keyword "${keyword.trim()}"` : null;
+    }
+    case 'regex': {
+      const sample = text.slice(0, MAX_PATTERN_INPUT_LENGTH);
+      const pattern = (config.patterns || []).find(p => compilePattern(p)?.test(sample));
+      return pattern ? `Matches blocked pattern /${pattern}/` : null;
+    }
+    case 'link_spam': {
+      const maxOtherWords = config.maxOtherWords ?? DEFAULT_LINK_SPAM_MAX_WORDS;
+      return isLinkOnlyComment(text, maxOtherWords) ? "Link-only comment" : null;
+    }
+    case 'repeat_commenter': {
+      const threshold = config.threshold || DEFAULT_REPEAT_THRESHOLD;
+      const windowMinutes = config.windowMinutes || DEFAULT_REPEAT_WINDOW_MINUTES;
+      return authorCommentCount >= threshold
+        ? `${authorCommentCount} comments from this account in ${windowMinutes} minutes`
+        : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Run a comment against the workspace's active rules
+ * @param {Object} comment - social_engagement_comments row
+ * @param {Array} rules - comment_moderation_rules rows
+ * @param {Object} context - { authorCommentCount } for repeat-commenter rules
+ * @returns {{ rule, action, reason }|null} The strongest matching rule
+ */
+function evaluateComment(comment, rules = [], context = {}) {
+  let strongest = null;
+
+  for (const rule of rules) {
+    if (rule.is_active === false || !appliesToPlatform(rule, comment.platform)) continue;
+
+    const reason = matchRule(rule, comment, context);
+    if (!reason) continue;
+
+    if (!strongest || MODERATION_ACTIONS.indexOf(rule.action) < MODERATION_ACTIONS.indexOf(strongest.action)) {
+      strongest = { rule, action: rule.action, reason };
+    }
+  }
+
+  return strongest;
+}
+
+async function loadModerationRules(supabase, workspaceId) {
+  const { data: rules, error } = await supabase
+    .from('comment_moderation_rules')
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .eq('is_active', true);
+
+  if (error) {
+    logError('moderation.loadRules', error, { workspaceId });
+    return [];
+  }
+  return rules || [];
+}
+
+/**
+ * Comments the author has left in the workspace within the longest
+ * repeat-commenter window, including this one
+ */
+async function countRecentAuthorComments(supabase, comment, rules) {
+  const windows = rules
+    .filter(r => r.rule_type === 'repeat_commenter')
+    .map(r => r.config?.windowMinutes || DEFAULT_REPEAT_WINDOW_MINUTES);
+  if (windows.length === 0 || !comment.author_username || comment.author_username === 'Unknown') return 0;
+
+  const since = new Date(Date.now() - Math.max(...windows) * 60 * 1000).toISOString();
+  const { count, error } = await supabase
+    .from('social_engagement_comments')
+    .select('id', { count: 'exact', head: true })
+    .eq('workspace_id', comment.workspace_id)
+    .eq('platform', comment.platform)
+    .eq('author_username', comment.author_username)
+    .gte('created_at', since);
+
+  if (error) {
+    logError('moderation.countAuthorComments', error, { commentId: comment.id });
+    return 0;
+  }
+  return count || 0;
+}
+
+function ayrshareHeaders(profileKey) {
+  return {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
+    "Profile-Key": profileKey
+  };
+}
+
+/**
+ * Hide or unhide a comment on the platform via Ayrshare
+ */
+async function setCommentHidden(profileKey, { externalId, platform, hidden }) {
+  const response = await axios.patch(
+    `${BASE_AYRSHARE}/comments/${externalId}`,
+    { platform, hide: hidden },
+    { headers: ayrshareHeaders(profileKey), timeout: 30000 }
+  );
+  if (response.data?.status === 'error') {
+    throw new Error(response.data.message || `Failed to ${hidden ? 'hide' : 'unhide'} comment`);
+  }
+}
+
+async function deleteComment(profileKey, { externalId, platform }) {
+  const response = await axios.delete(`${BASE_AYRSHARE}/comments/${externalId}`, {
+    headers: ayrshareHeaders(profileKey),
+    params: { platform },
+    timeout: 30000
+  });
+  if (response.data?.status === 'error') {
+    throw new Error(response.data.message || "Failed to delete comment");
+  }
+}
+
+/**
+ * Carry out a rule's action on the platform
+ * @returns {{ status: string, errorMessage: string|null }} the comment's moderation_status
+ */
+async function applyModerationAction(comment, action, profileKey) {
+  if (action === 'flag') return { status: 'flagged', errorMessage: null };
+
+  if (action === 'hide' && !HIDE_PLATFORMS.includes(comment.platform)) {
+    return { status: 'flagged', errorMessage: `Comments can't be hidden on ${comment.platform}; flagged for review instead` };
+  }
+
+  if (!profileKey) {
+    return { status: 'flagged', errorMessage: "No social accounts connected; flagged for review instead" };
+  }
+
+  try {
+    if (action === 'hide') {
+      await setCommentHidden(profileKey, { externalId: comment.external_id, platform: comment.platform, hidden: true });
+      return { status: 'hidden', errorMessage: null };
+    }
+    await deleteComment(profileKey, { externalId: comment.external_id, platform: comment.platform });
+    return { status: 'deleted', errorMessage: null };
+  } catch (error) {
+    logError('moderation.applyAction', error, { commentId: comment.id, action });
+    const message = error.response?.data?.message || error.message;
+    return { status: 'flagged', errorMessage: `Could not ${action} the comment (${message}); flagged for review instead` };
+  }
+}
+
+/**
+ * Moderate a newly stored comment. Callers processing many comments for one
+ * workspace can pass the rules and profile key to avoid reloading them.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} comment - social_engagement_comments row (needs id, workspace_id, platform, external_id, comment_text, author_username)
+ * @param {Object} options - { rules, profileKey }
+ * @returns {Promise<Object|null>} The comment_moderation_events row, or null when no rule matched
+ */
+async function moderateComment(supabase, comment, options = {}) {
+  const rules = options.rules || await loadModerationRules(supabase, comment.workspace_id);
+  if (rules.length === 0) return null;
+
+  const authorCommentCount = await countRecentAuthorComments(supabase, comment, rules);
+  const match = evaluateComment(comment, rules, { authorCommentCount });
+  if (!match) return null;
+
+  const profileKey = match.action === 'flag'
+    ? null
+    : options.profileKey !== undefined ? options.profileKey : await getWorkspaceProfileKey(comment.workspace_id);
+  const { status, errorMessage } = await applyModerationAction(comment, match.action, profileKey);
+
+  const { error: commentError } = await supabase
+    .from('social_engagement_comments')
+    .update({ moderation_status: status, updated_at: new Date().toISOString() })
+    .eq('id', comment.id);
+
+  if (commentError) {
+    logError('moderation.updateComment', commentError, { commentId: comment.id });
+  }
+
+  const { data: event, error: eventError } = await supabase
+    .from('comment_moderation_events')
+    .insert({
+      workspace_id: comment.workspace_id,
+      comment_id: comment.id,
+      rule_id: match.rule.id,
+      rule_name: match.rule.name,
+      action: match.action,
+      reason: match.reason,
+      error_message: errorMessage
+    })
+    .select()
+    .single();
+
+  if (eventError) {
+    // Already moderated (e.g. webhook and sync raced)
+    if (eventError.code !== '23505') {
+      logError('moderation.recordEvent', eventError, { commentId: comment.id });
+    }
+    return null;
+  }
+
+  return event;
+}
+
+/**
+ * Undo a moderation action: unhide the comment on the platform and mark it
+ * visible. Deleted comments can't be restored.
+ *
+ * Returns { success: true, event } or { success: false, error, code }
+ */
+async function undoModeration(supabase, event, { userId }) {
+  if (event.status === 'undone') {
+    return { success: false, error: "This action has already been undone", code: ErrorCodes.VALIDATION_ERROR };
+  }
+
+  const { data: comment } = await supabase
+    .from('social_engagement_comments')
+    .select('id, workspace_id, platform, external_id, moderation_status')
+    .eq('id', event.comment_id)
+    .single();
+
+  if (!comment) {
+    return { success: false, error: "Comment not found", code: ErrorCodes.NOT_FOUND };
+  }
+
+  if (comment.moderation_status === 'deleted') {
+    return {
+      success: false,
+      error: "Deleted comments can't be restored on the platform",
+      code: ErrorCodes.VALIDATION_ERROR
+    };
+  }
+
+  if (comment.moderation_status === 'hidden') {
+    const profileKey = await getWorkspaceProfileKey(comment.workspace_id);
+    if (!profileKey) {
+      return { success: false, error: "No Ayrshare profile found for this workspace", code: ErrorCodes.VALIDATION_ERROR };
+    }
+    try {
+      await setCommentHidden(profileKey, { externalId: comment.external_id, platform: comment.platform, hidden: false });
+    } catch (error) {
+      logError('moderation.undo.unhide', error, { eventId: event.id });
+      return {
+        success: false,
+        error: error.response?.data?.message || "Failed to unhide comment",
+        code: ErrorCodes.EXTERNAL_API_ERROR
+      };
+    }
+  }
+
+  const now = new Date().toISOString();
+  await supabase
+    .from('social_engagement_comments')
+    .update({ moderation_status: 'visible', updated_at: now })
+    .eq('id', comment.id);
+
+  const { data: updated, error } = await supabase
+    .from('comment_moderation_events')
+    .update({ status: 'undone', reviewed_by: userId, reviewed_at: now })
+    .eq('id', event.id)
+    .select()
+    .single();
+
+  if (error) {
+    logError('moderation.undo.update', error, { eventId: event.id });
+    return { success: false, error: "Failed to update moderation event", code: ErrorCodes.DATABASE_ERROR };
+  }
+
+  return { success: true, event: updated };
+}
+
+module.exports = {
+  MODERATION_RULE_TYPES,
+  MODERATION_ACTIONS,
+  HIDE_PLATFORMS,
+  validateModerationRule,
+  isLinkOnlyComment,
+  evaluateComment,
+  loadModerationRules,
+  moderateComment,
+  undoModeration
+};
@@ -112,6 +112,8 @@ async function createNotification({
     // Map notification types to preference columns
     const emailPreferenceMap = {
       'approval_request': prefs.email_approval_requests,
+      'approval_reminder': prefs.email_approval_requests,
+      'approval_deadline_passed': prefs.email_approval_requests,
       'approval_approved': prefs.email_post_approved,
       'approval_rejected': prefs.email_post_rejected,
       'post_approved': prefs.email_post_approved,
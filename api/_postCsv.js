@@ -0,0 +1,315 @@
+const { COMPOSE_PLATFORMS } = require("./_queues");
+const { zonedTimeToUtc, formatZonedDateTime } = require("./_timezone");
+
+/**
+ * CSV import/export of posts
+ *
+ * One format is used both ways so a calendar can go out to a spreadsheet and
+ * come back in. Times are wall-clock times in the workspace timezone.
+ */
+
+const CSV_COLUMNS = [
+  'text',
+  'platforms',
+  'scheduled_time',
+  'media_urls',
+  'instagram_type',
+  'thread_post',
+  'thread_numbers'
+];
+
+const MAX_IMPORT_ROWS = 500;
+const MAX_TEXT_LENGTH = 5000;
+const INSTAGRAM_TYPES = ['feed', 'story', 'reel'];
+
+// Spreadsheet-friendly spellings of the compose platform keys
+const PLATFORM_ALIASES = {
+  x: 'twitter',
+  'x/twitter': 'twitter',
+  google: 'googleBusiness',
+  googlebusiness: 'googleBusiness',
+  'google business': 'googleBusiness',
+  gmb: 'googleBusiness'
+};
+
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::\d{2})?$/;
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', ''];
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * @returns {string[][]} Rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function escapeCsvCell(value) {
+  let cell = value == null ? '' : String(value);
+  if (FORMULA_PREFIX.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+// Undo the formula guard added on export
+function unescapeCsvCell(value) {
+  const cell = (value || '').trim();
+  return cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+/**
+ * Split import CSV text into records keyed by column name
+ * @returns {{ records: Array<{ row: number, values: object }> } | { error: string }}
+ */
+function readImportCsv(text) {
+  const rows = parseCsv(text || '');
+  if (rows.length === 0) {
+    return { error: "The CSV file is empty" };
+  }
+
+  const header = rows[0].map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+  const missing = ['text', 'platforms'].filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    return { error: `Missing required columns: ${missing.join(', ')}` };
+  }
+
+  const records = [];
+  rows.slice(1).forEach((cells, index) => {
+    if (cells.every(c => !c.trim())) return;
+    const values = {};
+    header.forEach((column, i) => {
+      if (CSV_COLUMNS.includes(column)) values[column] = unescapeCsvCell(cells[i]);
+    });
+    // Row numbers as a spreadsheet shows them (header is row 1)
+    records.push({ row: index + 2, values });
+  });
+
+  if (records.length === 0) {
+    return { error: "The CSV file has no posts in it" };
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `A single import can have at most ${MAX_IMPORT_ROWS} posts` };
+  }
+
+  return { records };
+}
+
+function parseBoolean(value) {
+  const normalized = (value || '').toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return null;
+}
+
+function parsePlatforms(value) {
+  const platforms = [];
+  const unknown = [];
+
+  for (const raw of (value || '').split(/[,;|]/)) {
+    const name = raw.trim();
+    if (!name) continue;
+    const lower = name.toLowerCase();
+    const key = PLATFORM_ALIASES[lower] || COMPOSE_PLATFORMS.find(p => p.toLowerCase() === lower);
+    if (!key) {
+      unknown.push(name);
+    } else if (!platforms.includes(key)) {
+      platforms.push(key);
+    }
+  }
+
+  return { platforms, unknown };
+}
+
+function parseScheduledTime(value, timezone) {
+  const match = DATE_TIME_PATTERN.exec(value);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  // Reject dates Date.UTC would silently roll over (e.g. 2026-02-30)
+  const calendar = new Date(Date.UTC(year, month - 1, day));
+  if (calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day || hour > 23) {
+    return null;
+  }
+
+  return zonedTimeToUtc(year, month, day, hour, minute, timezone);
+}
+
+function getMediaKind(url) {
+  const ext = url.split('?')[0].split('.').pop()?.toLowerCase() || '';
+  if (['mp4', 'mov', 'webm', 'avi'].includes(ext)) return { isVideo: true, ext };
+  return { isVideo: false, ext };
+}
+
+/**
+ * Validate one CSV record with the same platform rules Compose applies
+ * @param {object} values - Cells keyed by column name
+ * @param {object} options - { timezone, mode: 'scheduled'|'draft', now }
+ * @returns {{ errors: string[], post: object|null }}
+ */
+function validateCsvRecord(values, { timezone = 'UTC', mode = 'scheduled', now = new Date() } = {}) {
+  const errors = [];
+
+  const text = values.text || '';
+  if (!text) {
+    errors.push("text is required");
+  } else if (text.length > MAX_TEXT_LENGTH) {
+    errors.push(`text exceeds maximum length of ${MAX_TEXT_LENGTH} characters`);
+  }
+
+  const { platforms, unknown } = parsePlatforms(values.platforms);
+  if (unknown.length > 0) {
+    errors.push(`Unknown platform: ${unknown.join(', ')}`);
+  } else if (platforms.length === 0) {
+    errors.push("At least one platform is required");
+  }
+
+  let scheduledAt = null;
+  if (values.scheduled_time) {
+    scheduledAt = parseScheduledTime(values.scheduled_time, timezone);
+    if (!scheduledAt) {
+      errors.push("scheduled_time must be YYYY-MM-DD HH:MM");
+    } else if (mode === 'scheduled' && scheduledAt <= now) {
+      errors.push("scheduled_time is in the past");
+    }
+  } else if (mode === 'scheduled') {
+    errors.push("scheduled_time is required");
+  }
+
+  const mediaUrls = (values.media_urls || '').split(/[\s|]+/).filter(Boolean);
+  const badUrl = mediaUrls.find(url => !/^https?:\/\/\S+$/i.test(url));
+  if (badUrl) {
+    errors.push(`Invalid media URL: ${badUrl}`);
+  }
+
+  const postSettings = {};
+  const hasInstagram = platforms.includes('instagram');
+  const hasTwitter = platforms.includes('twitter');
+  const instagramType = (values.instagram_type || '').toLowerCase();
+
+  if (hasInstagram) {
+    if (!instagramType) {
+      errors.push("instagram_type (feed, story or reel) is required for Instagram");
+    } else if (!INSTAGRAM_TYPES.includes(instagramType)) {
+      errors.push("instagram_type must be feed, story or reel");
+    } else {
+      postSettings.instagramType = instagramType;
+    }
+  }
+
+  const threadPost = parseBoolean(values.thread_post);
+  const threadNumber = parseBoolean(values.thread_numbers);
+  if (threadPost === null || threadNumber === null) {
+    errors.push("thread_post and thread_numbers must be true or false");
+  } else if (hasTwitter && threadPost) {
+    postSettings.threadPost = true;
+    // Compose numbers threads unless told not to
+    postSettings.threadNumber = values.thread_numbers ? threadNumber : true;
+  }
+
+  for (const url of mediaUrls) {
+    const { isVideo, ext } = getMediaKind(url);
+    if (platforms.includes('tiktok') && ['png', 'gif', 'webp'].includes(ext)) {
+      errors.push(`TikTok does not support ${ext.toUpperCase()} images`);
+    }
+    if (hasInstagram && postSettings.instagramType === 'reel' && !isVideo) {
+      errors.push("Instagram Reels require a video file, not an image");
+    }
+    if (hasInstagram && ext === 'webp') {
+      errors.push("Instagram may not support WebP images");
+    }
+  }
+
+  const uniqueErrors = [...new Set(errors)];
+  if (uniqueErrors.length > 0) {
+    return { errors: uniqueErrors, post: null };
+  }
+
+  return {
+    errors: [],
+    post: {
+      caption: text,
+      platforms,
+      scheduledAt: scheduledAt ? scheduledAt.toISOString() : null,
+      mediaUrls,
+      postSettings
+    }
+  };
+}
+
+/**
+ * Build CSV text in the import format
+ * @param {Array<{ caption, platforms, scheduledAt, mediaUrls, postSettings }>} posts
+ */
+function buildPostsCsv(posts, timezone = 'UTC') {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  for (const post of posts) {
+    const settings = post.postSettings || {};
+    const values = {
+      text: post.caption || '',
+      platforms: (post.platforms || []).join(', '),
+      scheduled_time: post.scheduledAt ? formatZonedDateTime(post.scheduledAt, timezone) : '',
+      media_urls: (post.mediaUrls || []).filter(url => /^https?:\/\//i.test(url)).join(' | '),
+      instagram_type: settings.instagramType || '',
+      thread_post: settings.threadPost ? 'true' : 'false',
+      thread_numbers: settings.threadPost && settings.threadNumber === false ? 'false' : 'true'
+    };
+    lines.push(CSV_COLUMNS.map(column => escapeCsvCell(values[column])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  escapeCsvCell,
+  readImportCsv,
+  validateCsvRecord,
+  buildPostsCsv
+};
@@ -0,0 +1,203 @@
+const crypto = require("crypto");
+const { ErrorCodes, logError } = require("./_utils");
+
+/**
+ * Scheduler publish queue helpers
+ *
+ * Each scheduler run claims a batch of due posts with claim_due_posts (see
+ * 20261019_scheduler_leases.sql), which moves them to status 'publishing'
+ * under a lease. A run that dies mid-batch leaves its posts publishing; once
+ * the lease expires the next run recovers them.
+ */
+
+// Posts claimed per run, and the most any one workspace can take of that
+const PUBLISH_BATCH_SIZE = 25;
+const PUBLISH_PER_WORKSPACE = 5;
+
+// Ayrshare calls in flight at once
+const PUBLISH_CONCURRENCY = 5;
+
+// Longer than the function's maxDuration, so a live run never loses its lease
+const PUBLISH_LEASE_SECONDS = 180;
+
+// Claimed posts not started by then are handed back for the next run, which
+// leaves time for a started Ayrshare call (55s timeout) to finish
+const PUBLISH_START_DEADLINE_MS = 40 * 1000;
+
+// A post whose lease expired after it was sent to Ayrshare is marked failed
+// with a timeout error, so reconciliation checks Ayrshare before anyone retries
+const LEASE_TIMEOUT_ERROR = 'Publishing timeout: the scheduler stopped before Ayrshare confirmed the post';
+
+// Written alongside the final status of a claimed post
+const CLEARED_LEASE = { publish_claim_id: null, publish_lease_expires_at: null };
+
+/**
+ * Claim a fair batch of due posts for this run
+ * @returns {Promise<{ success: true, claimId: string, posts: object[] } | { success: false, error: string, code: string }>}
+ */
+async function claimDuePosts(supabase, {
+  batchSize = PUBLISH_BATCH_SIZE,
+  perWorkspace = PUBLISH_PER_WORKSPACE,
+  leaseSeconds = PUBLISH_LEASE_SECONDS
+} = {}) {
+  const claimId = crypto.randomUUID();
+  const { data, error } = await supabase.rpc('claim_due_posts', {
+    p_claim_id: claimId,
+    p_batch_size: batchSize,
+    p_per_workspace: perWorkspace,
+    p_lease_seconds: leaseSeconds
+  });
+
+  if (error) {
+    logError('publishQueue.claim', error);
+    return { success: false, error: "Failed to claim due posts", code: ErrorCodes.DATABASE_ERROR };
+  }
+
+  return { success: true, claimId, posts: data || [] };
+}
+
+/**
+ * Record that a claimed post is about to be sent to Ayrshare. From here on
+ * an expired lease can't safely be retried (see recoverExpiredClaims).
+ */
+async function markPublishStarted(supabase, postId, claimId) {
+  const { error } = await supabase
+    .from('posts')
+    .update({ publish_started_at: new Date().toISOString() })
+    .eq('id', postId)
+    .eq('publish_claim_id', claimId)
+    .eq('status', 'publishing');
+
+  if (error) {
+    logError('publishQueue.markStarted', error, { postId });
+  }
+}
+
+/**
+ * Hand claimed posts this run didn't get to back to the scheduled state
+ */
+async function releaseClaims(supabase, postIds, claimId) {
+  if (postIds.length === 0) return 0;
+
+  const { data, error } = await supabase
+    .from('posts')
+    .update({ status: 'scheduled', ...CLEARED_LEASE })
+    .in('id', postIds)
+    .eq('publish_claim_id', claimId)
+    .eq('status', 'publishing')
+    .select('id');
+
+  if (error) {
+    logError('publishQueue.release', error, { claimId, count: postIds.length });
+    return 0;
+  }
+
+  return (data || []).length;
+}
+
+/**
+ * Recover posts left publishing by a run that died.
+ * Posts never sent to Ayrshare go back to scheduled; posts that were sent are
+ * marked failed with a timeout error so reconciliation can find them.
+ * @returns {Promise<{ requeued: number, failed: object[] }>} failed holds the posts for notifications
+ */
+async function recoverExpiredClaims(supabase, now = new Date()) {
+  const nowIso = now.toISOString();
+
+  const { data: requeued, error: requeueError } = await supabase
+    .from('posts')
+    .update({ status: 'scheduled', ...CLEARED_LEASE })
+    .eq('status', 'publishing')
+    .lt('publish_lease_expires_at', nowIso)
+    .is('publish_started_at', null)
+    .select('id');
+
+  if (requeueError) {
+    logError('publishQueue.recover.requeue', requeueError);
+  }
+
+  const { data: failed, error: failError } = await supabase
+    .from('posts')
+    .update({ status: 'failed', last_error: LEASE_TIMEOUT_ERROR, posted_at: nowIso, ...CLEARED_LEASE })
+    .eq('status', 'publishing')
+    .lt('publish_lease_expires_at', nowIso)
+    .not('publish_started_at', 'is', null)
+    .select('id, workspace_id, platforms, created_by, user_id');
+
+  if (failError) {
+    logError('publishQueue.recover.fail', failError);
+  }
+
+  return { requeued: (requeued || []).length, failed: failed || [] };
+}
+
+/**
+ * Run worker over items with at most `limit` in flight. Items not started
+ * before `deadline` (ms timestamp) are returned as unstarted.
+ * @returns {Promise<{ unstarted: any[] }>}
+ */
+async function runWithConcurrency(items, limit, worker, { deadline = Infinity } = {}) {
+  let next = 0;
+  const unstarted = [];
+
+  async function lane() {
+    while (next < items.length) {
+      const item = items[next++];
+      if (Date.now() >= deadline) {
+        unstarted.push(item);
+        continue;
+      }
+      await worker(item);
+    }
+  }
+
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, lane);
+  await Promise.all(lanes);
+  return { unstarted };
+}
+
+/**
+ * Seconds between when a post was due and when it went out
+ */
+function getLatenessSeconds(scheduledAt, postedAt) {
+  if (!scheduledAt) return null;
+  const lateMs = new Date(postedAt).getTime() - new Date(scheduledAt).getTime();
+  if (isNaN(lateMs)) return null;
+  return Math.max(0, Math.round(lateMs / 1000));
+}
+
+/**
+ * Summarize the lateness of posts published in one run
+ * @param {number[]} values - Lateness in seconds
+ */
+function summarizeLateness(values) {
+  if (values.length === 0) {
+    return { count: 0, avgSeconds: null, p95Seconds: null, maxSeconds: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const p95Index = Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1);
+
+  return {
+    count: sorted.length,
+    avgSeconds: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    p95Seconds: sorted[p95Index],
+    maxSeconds: sorted[sorted.length - 1]
+  };
+}
+
+module.exports = {
+  PUBLISH_BATCH_SIZE,
+  PUBLISH_PER_WORKSPACE,
+  PUBLISH_CONCURRENCY,
+  PUBLISH_LEASE_SECONDS,
+  PUBLISH_START_DEADLINE_MS,
+  CLEARED_LEASE,
+  claimDuePosts,
+  markPublishStarted,
+  releaseClaims,
+  recoverExpiredClaims,
+  runWithConcurrency,
+  getLatenessSeconds,
+  summarizeLateness
+};
@@ -0,0 +1,304 @@
+const { ErrorCodes, logError } = require("./_utils");
+const { isValidTimezone, getZonedParts, zonedTimeToUtc } = require("./_timezone");
+
+/**
+ * Content queue helpers
+ *
+ * A queue is a named set of weekly slots ({ day, time, platforms }) in the
+ * queue's timezone. Posts added to a queue are given the earliest slot that no
+ * other queued post occupies; published evergreen posts are copied back into
+ * the queue by the scheduler, no sooner than min_repeat_gap_days later.
+ */
+
+// Platform keys as sent by the compose network selector
+const COMPOSE_PLATFORMS = [
+  'facebook', 'instagram', 'twitter', 'linkedin', 'tiktok', 'youtube',
+  'pinterest', 'threads', 'bluesky', 'googleBusiness'
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_SLOTS = 50;
+const MAX_NAME_LENGTH = 100;
+
+// How far ahead to look for a free slot before giving up
+const SLOT_SEARCH_DAYS = 366;
+
+// Statuses that still hold on to their slot
+const SLOT_HOLDING_STATUSES = ['scheduled', 'pending_approval', 'publishing'];
+
+// Partial unique index on posts (queue_id, scheduled_at) over those statuses
+const SLOT_UNIQUE_INDEX = 'idx_posts_queue_slot_unique';
+
+// Slots to try after losing a race for one before giving up
+const MAX_SLOT_RETRIES = 5;
+
+/**
+ * Validate a queue definition (only the fields present are checked on update)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateQueue({ name, timezone, slots, minRepeatGapDays }, { partial = false } = {}) {
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string' || !name.trim()) return "name is required";
+    if (name.length > MAX_NAME_LENGTH) return `name exceeds maximum length of ${MAX_NAME_LENGTH} characters`;
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return "Invalid timezone";
+  }
+
+  if (!partial || slots !== undefined) {
+    if (!Array.isArray(slots) || slots.length === 0) return "At least one slot is required";
+    if (slots.length > MAX_SLOTS) return `A queue can have at most ${MAX_SLOTS} slots`;
+
+    for (const slot of slots) {
+      if (!Number.isInteger(slot?.day) || slot.day < 0 || slot.day > 6) {
+        return "Slot day must be 0 (Sunday) to 6 (Saturday)";
+      }
+      if (!TIME_PATTERN.test(slot.time || '')) {
+        return "Slot time must be HH:MM (24-hour)";
+      }
+      if (!Array.isArray(slot.platforms) || slot.platforms.length === 0) {
+        return "Each slot needs at least one platform";
+      }
+      const unknown = slot.platforms.find(p => !COMPOSE_PLATFORMS.includes(p));
+      if (unknown) return `Unknown platform: ${unknown}`;
+    }
+
+    const keys = slots.map(s => `${s.day}-${s.time}`);
+    if (new Set(keys).size !== keys.length) return "Slots must not repeat the same day and time";
+  }
+
+  if (minRepeatGapDays !== undefined) {
+    const gap = Number(minRepeatGapDays);
+    if (!Number.isInteger(gap) || gap < 1 || gap > 365) return "minRepeatGapDays must be between 1 and 365";
+  }
+
+  return null;
+}
+
+/**
+ * Slot occurrences after `from`, in chronological order
+ * @returns {Array<{ at: Date, platforms: string[] }>}
+ */
+function listSlotTimes(queue, from = new Date(), days = SLOT_SEARCH_DAYS) {
+  const timeZone = queue.timezone || 'UTC';
+  const slots = [...(queue.slots || [])].sort((a, b) => a.time.localeCompare(b.time));
+  const today = getZonedParts(from, timeZone);
+  const occurrences = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    // Calendar arithmetic on a UTC date avoids DST skips
+    const calendarDay = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const weekday = calendarDay.getUTCDay();
+
+    for (const slot of slots) {
+      if (slot.day !== weekday) continue;
+      const [hour, minute] = slot.time.split(':').map(Number);
+      const at = zonedTimeToUtc(
+        calendarDay.getUTCFullYear(),
+        calendarDay.getUTCMonth() + 1,
+        calendarDay.getUTCDate(),
+        hour,
+        minute,
+        timeZone
+      );
+      if (at > from) {
+        occurrences.push({ at, platforms: slot.platforms });
+      }
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Earliest slot after `from` that isn't in `takenTimes`
+ * @param {Set<string>} takenTimes - ISO timestamps of occupied slots
+ * @returns {{ at: Date, platforms: string[] }|null}
+ */
+function findNextFreeSlot(queue, takenTimes, from = new Date()) {
+  return listSlotTimes(queue, from).find(slot => !takenTimes.has(slot.at.toISOString())) || null;
+}
+
+async function getTakenSlotTimes(supabase, queueId, from) {
+  const { data, error } = await supabase
+    .from('posts')
+    .select('scheduled_at')
+    .eq('queue_id', queueId)
+    .in('status', SLOT_HOLDING_STATUSES)
+    .gte('scheduled_at', from.toISOString());
+
+  if (error) throw error;
+  return new Set((data || []).map(p => new Date(p.scheduled_at).toISOString()));
+}
+
+/**
+ * Load a queue and work out its next free slot
+ * `skip` holds ISO times to treat as taken on top of the queued posts
+ * Returns { success: true, queue, scheduledAt, platforms } or { success: false, error, code }
+ */
+async function reserveQueueSlot(supabase, { queueId, workspaceId, notBefore = new Date(), skip = [] }) {
+  const { data: queue, error } = await supabase
+    .from('content_queues')
+    .select('*')
+    .eq('id', queueId)
+    .eq('workspace_id', workspaceId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    logError('queues.reserve.fetch', error, { queueId });
+    return { success: false, error: "Failed to load queue", code: ErrorCodes.DATABASE_ERROR };
+  }
+
+  if (!queue) {
+    return { success: false, error: "Queue not found", code: ErrorCodes.NOT_FOUND };
+  }
+
+  if (!queue.is_active) {
+    return { success: false, error: "This queue is paused", code: ErrorCodes.VALIDATION_ERROR };
+  }
+
+  const from = notBefore > new Date() ? notBefore : new Date();
+  let taken;
+  try {
+    taken = await getTakenSlotTimes(supabase, queue.id, from);
+  } catch (takenError) {
+    logError('queues.reserve.taken', takenError, { queueId });
+    return { success: false, error: "Failed to load queued posts", code: ErrorCodes.DATABASE_ERROR };
+  }
+  skip.forEach(time => taken.add(time));
+  const slot = findNextFreeSlot(queue, taken, from);
+
+  if (!slot) {
+    return { success: false, error: "This queue has no free slots in the next year", code: ErrorCodes.VALIDATION_ERROR };
+  }
+
+  return { success: true, queue, scheduledAt: slot.at.toISOString(), platforms: slot.platforms };
+}
+
+const isSlotConflict = (error) => error?.code === '23505' && (error.message || '').includes(SLOT_UNIQUE_INDEX);
+
+/**
+ * Insert a post row. A queued row that loses its slot to a concurrent insert
+ * (the unique slot index rejects it) moves to the queue's next free slot,
+ * taking that slot's time and platforms.
+ * @param {object} row - posts row; queue_id and workspace_id set for queued posts
+ * @param {object} options
+ * @param {Date} options.notBefore - Earliest time a retried slot may take
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ */
+async function insertQueuedPost(supabase, row, { notBefore } = {}) {
+  const tried = [];
+  let current = row;
+
+  for (let attempt = 0; ; attempt++) {
+    const { data, error } = await supabase.from('posts').insert([current]).select().single();
+    if (!row.queue_id || !isSlotConflict(error) || attempt >= MAX_SLOT_RETRIES) {
+      return { data, error };
+    }
+
+    tried.push(new Date(current.scheduled_at).toISOString());
+    const slot = await reserveQueueSlot(supabase, {
+      queueId: row.queue_id,
+      workspaceId: row.workspace_id,
+      notBefore,
+      skip: tried
+    });
+    if (!slot.success) {
+      return { data: null, error: { ...error, message: slot.error } };
+    }
+
+    console.log('[Queues] Slot taken, moving to the next one:', current.scheduled_at, '->', slot.scheduledAt);
+    current = { ...current, scheduled_at: slot.scheduledAt, platforms: slot.platforms };
+  }
+}
+
+// Let the next scheduler run retry after a transient failure
+async function releaseRecycleClaim(supabase, postId) {
+  await supabase.from('posts').update({ recycled_at: null }).eq('id', postId);
+}
+
+/**
+ * Queue a fresh copy of a published evergreen post at the back of its queue,
+ * no sooner than the queue's min_repeat_gap_days after it went out.
+ * The original is claimed first (recycled_at) so overlapping scheduler runs
+ * can't copy it twice. A post whose queue has no room drops out of rotation.
+ * @returns {Promise<object|null>} The new post, or null when nothing was queued
+ */
+async function recycleEvergreenPost(supabase, post) {
+  const gapMs = (post.content_queues?.min_repeat_gap_days || 30) * 24 * 60 * 60 * 1000;
+  let notBefore = new Date(new Date(post.posted_at || Date.now()).getTime() + gapMs);
+
+  // Back of the queue: after everything already waiting in it
+  const { data: last, error: lastError } = await supabase
+    .from('posts')
+    .select('scheduled_at')
+    .eq('queue_id', post.queue_id)
+    .in('status', SLOT_HOLDING_STATUSES)
+    .order('scheduled_at', { ascending: false })
+    .limit(1);
+
+  if (lastError) throw lastError;
+  if (last?.[0] && new Date(last[0].scheduled_at) > notBefore) {
+    notBefore = new Date(last[0].scheduled_at);
+  }
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('posts')
+    .update({ recycled_at: new Date().toISOString() })
+    .eq('id', post.id)
+    .is('recycled_at', null)
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) return null;
+
+  const slot = await reserveQueueSlot(supabase, {
+    queueId: post.queue_id,
+    workspaceId: post.workspace_id,
+    notBefore
+  });
+
+  if (!slot.success) {
+    console.warn(`[Queues] Could not recycle post ${post.id}: ${slot.error}`);
+    if (slot.code === ErrorCodes.DATABASE_ERROR) {
+      await releaseRecycleClaim(supabase, post.id);
+    }
+    return null;
+  }
+
+  const { data: copy, error } = await insertQueuedPost(supabase, {
+    user_id: post.user_id,
+    workspace_id: post.workspace_id,
+    created_by: post.created_by,
+    caption: post.caption,
+    media_urls: post.media_urls || [],
+    platforms: slot.platforms,
+    post_settings: post.post_settings,
+    status: 'scheduled',
+    scheduled_at: slot.scheduledAt,
+    // Content was already approved the first time round
+    approval_status: 'approved',
+    requires_approval: false,
+    queue_id: post.queue_id,
+    is_evergreen: true,
+    recycled_from_post_id: post.id
+  }, { notBefore });
+
+  if (error) {
+    await releaseRecycleClaim(supabase, post.id);
+    throw error;
+  }
+
+  return copy;
+}
+
+module.exports = {
+  COMPOSE_PLATFORMS,
+  validateQueue,
+  listSlotTimes,
+  findNextFreeSlot,
+  reserveQueueSlot,
+  insertQueuedPost,
+  recycleEvergreenPost
+};
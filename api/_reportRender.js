@@ -0,0 +1,623 @@
+const axios = require("axios");
+const dns = require("dns");
+const https = require("https");
+const net = require("net");
+const { logError } = require("./_utils");
+
+/**
+ * Client report rendering (see _reports.js for the data)
+ *
+ * Each section is described once as blocks (stat tiles, tables, notes) and
+ * drawn by both renderers: standalone HTML with inline styles and the logo
+ * embedded, or an A4 PDF. Both use the report's agency name, logo and colors
+ * and never mention Woozy Social.
+ */
+
+const DEFAULT_PRIMARY = '#1a1a2e';
+const DEFAULT_ACCENT = '#ffc801';
+
+const LOGO_TYPES = ['image/png', 'image/jpeg'];
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+
+// The logo URL is user input fetched by the server, so it may only reach the
+// public internet: no loopback, private, link-local (cloud metadata) or
+// otherwise reserved addresses
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const PLATFORM_LABELS = {
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  linkedin: 'LinkedIn',
+  youtube: 'YouTube',
+  tiktok: 'TikTok',
+  twitter: 'X',
+  pinterest: 'Pinterest',
+  threads: 'Threads',
+  bluesky: 'Bluesky',
+  other: 'Other'
+};
+
+const PDF_MARGIN = 48;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const getTextColor = (hex) => {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#111111' : '#ffffff';
+};
+
+function getBranding(report) {
+  const primary = report.primary_color || DEFAULT_PRIMARY;
+  const accent = report.accent_color || DEFAULT_ACCENT;
+  return {
+    agencyName: report.agency_name || null,
+    primary,
+    accent,
+    onPrimary: getTextColor(primary)
+  };
+}
+
+const formatNumber = (value) => Number(value || 0).toLocaleString('en-US');
+const formatPlatform = (platform) => PLATFORM_LABELS[platform] || platform;
+const formatChange = (value) =>
+  (value === null || value === undefined ? 'No previous data' : `${value >= 0 ? '+' : ''}${value}% vs previous period`);
+const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return '-';
+  return hours < 48 ? `${hours}h` : `${Math.round(hours / 24 * 10) / 10}d`;
+};
+const formatDate = (value, timeZone) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone });
+const truncate = (text, length) => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length - 3)}...` : value;
+};
+
+/**
+ * A section's content as blocks both renderers can draw
+ *   { type: 'stats', items: [{ label, value, note? }] }
+ *   { type: 'table', columns: [{ label, width, align? }], rows: [[cell, ...]] }
+ *   { type: 'note', text }
+ */
+function describeSection({ key, data }, timeZone = 'UTC') {
+  switch (key) {
+    case 'summary':
+      return [{
+        type: 'stats',
+        items: [
+          { label: 'Posts', value: formatNumber(data.totalPosts), note: formatChange(data.change.posts) },
+          { label: 'Engagements', value: formatNumber(data.totalEngagements), note: formatChange(data.change.engagements) },
+          { label: 'Impressions', value: formatNumber(data.totalImpressions), note: formatChange(data.change.impressions) },
+          { label: 'Avg. engagements per post', value: formatNumber(data.avgEngagement) }
+        ]
+      }];
+
+    case 'top_posts':
+      if (data.length === 0) return [{ type: 'note', text: 'No posts with analytics in this period.' }];
+      return [{
+        type: 'table',
+        columns: [
+          { label: 'Post', width: 0.36 },
+          { label: 'Platforms', width: 0.18 },
+          { label: 'Published', width: 0.12 },
+          { label: 'Engagements', width: 0.12, align: 'right' },
+          { label: 'Views', width: 0.11, align: 'right' },
+          { label: 'Eng. rate', width: 0.11, align: 'right' }
+        ],
+        rows: data.map(post => [
+          truncate(post.text, 60) || 'Untitled post',
+          (post.platforms || []).map(formatPlatform).join(', '),
+          post.date ? formatDate(post.date, timeZone) : '-',
+          formatNumber(post.engagements),
+          formatNumber(post.views),
+          post.engagementRate ? `${post.engagementRate}%` : '-'
+        ])
+      }];
+
+    case 'platforms':
+      if (data.length === 0) return [{ type: 'note', text: 'No platform activity in this period.' }];
+      return [{
+        type: 'table',
+        columns: [
+          { label: 'Platform', width: 0.2 },
+          { label: 'Posts', width: 0.1, align: 'right' },
+          { label: 'Likes', width: 0.13, align: 'right' },
+          { label: 'Comments', width: 0.14, align: 'right' },
+          { label: 'Shares', width: 0.13, align: 'right' },
+          { label: 'Impressions', width: 0.15, align: 'right' },
+          { label: 'Engagements', width: 0.15, align: 'right' }
+        ],
+        rows: data.map(stat => [
+          formatPlatform(stat.platform),
+          formatNumber(stat.posts),
+          formatNumber(stat.likes),
+          formatNumber(stat.comments),
+          formatNumber(stat.shares),
+          formatNumber(stat.impressions),
+          formatNumber(stat.engagements)
+        ])
+      }];
+
+    case 'best_times':
+      if (data.length === 0) return [{ type: 'note', text: 'Not enough posts in this period to compare posting times.' }];
+      return [
+        {
+          type: 'table',
+          columns: [
+            { label: 'Day', width: 0.3 },
+            { label: 'Time', width: 0.2 },
+            { label: 'Posts', width: 0.2, align: 'right' },
+            { label: 'Avg. engagements', width: 0.3, align: 'right' }
+          ],
+          rows: data.map(slot => [slot.day, slot.time, formatNumber(slot.posts), formatNumber(slot.avgEngagements)])
+        },
+        { type: 'note', text: `Times are in ${timeZone}, ranked by average engagements per post.` }
+      ];
+
+    case 'link_clicks': {
+      const blocks = [{
+        type: 'stats',
+        items: [
+          { label: 'Link clicks', value: formatNumber(data.totals.clicks) },
+          { label: 'Unique visitors', value: formatNumber(data.totals.uniqueVisitors) },
+          {
+            label: 'Top source',
+            value: data.byPlatform[0] ? formatPlatform(data.byPlatform[0].name) : '-'
+          }
+        ]
+      }];
+      if (data.byPost.length > 0) {
+        blocks.push({
+          type: 'table',
+          columns: [{ label: 'Post', width: 0.8 }, { label: 'Clicks', width: 0.2, align: 'right' }],
+          rows: data.byPost.map(post => [truncate(post.caption, 90) || 'Untitled post', formatNumber(post.clicks)])
+        });
+      }
+      return blocks;
+    }
+
+    case 'approvals':
+      if (data.reviewed === 0) return [{ type: 'note', text: 'No posts were approved or rejected in this period.' }];
+      return [{
+        type: 'stats',
+        items: [
+          { label: 'Posts reviewed', value: formatNumber(data.reviewed), note: `${data.approved} approved, ${data.rejected} rejected` },
+          { label: 'Median turnaround', value: formatHours(data.medianHours) },
+          { label: 'Average turnaround', value: formatHours(data.avgHours) },
+          { label: 'Decided within 24h', value: data.within24hPercent === null ? '-' : `${data.within24hPercent}%` }
+        ]
+      }];
+
+    default:
+      return [];
+  }
+}
+
+function buildFilename(report, period) {
+  const slugify = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return [slugify(report.name) || 'report', slugify(period.label)].filter(Boolean).join('-');
+}
+
+/**
+ * Whether an IP address is one the logo fetch must not connect to
+ */
+function isBlockedAddress(address) {
+  const mappedIpv4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mappedIpv4) return isBlockedAddress(mappedIpv4[1]);
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Checked when the socket connects, so a host can't pass a separate check and
+// then resolve somewhere else
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`Logo host ${hostname} is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const logoAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+/**
+ * Fetch the agency logo for embedding. PNG and JPEG only, since that's all
+ * PDFKit can draw; anything else is left out. Only public https hosts are
+ * fetched, without following redirects.
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }|null>}
+ */
+async function loadLogo(url) {
+  if (!url) return null;
+
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'https:') return null;
+
+    // IP literals connect without a lookup
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedAddress(host)) return null;
+
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 5000,
+      maxContentLength: MAX_LOGO_BYTES,
+      maxRedirects: 0,
+      httpsAgent: logoAgent,
+      proxy: false
+    });
+    const mimeType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!LOGO_TYPES.includes(mimeType)) return null;
+    return { buffer: Buffer.from(response.data), mimeType };
+  } catch (error) {
+    logError('reports.logo', error, { url });
+    return null;
+  }
+}
+
+// =====================================================
+// HTML
+// =====================================================
+
+function renderHtmlBlock(block) {
+  if (block.type === 'note') {
+    return `<p class="note">${escapeHtml(block.text)}</p>`;
+  }
+
+  if (block.type === 'stats') {
+    return `<div class="stats">${block.items.map(item => `
+      <div class="stat">
+        <div class="stat-label">${escapeHtml(item.label)}</div>
+        <div class="stat-value">${escapeHtml(item.value)}</div>
+        ${item.note ? `<div class="stat-note">${escapeHtml(item.note)}</div>` : ''}
+      </div>`).join('')}
+    </div>`;
+  }
+
+  const cellClass = (column) => (column.align === 'right' ? ' class="num"' : '');
+  return `<table>
+      <thead><tr>${block.columns.map(column => `<th${cellClass(column)}>${escapeHtml(column.label)}</th>`).join('')}</tr></thead>
+      <tbody>${block.rows.map(row => `
+        <tr>${row.map((cell, i) => `<td${cellClass(block.columns[i])}>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * The report as a single HTML file
+ * @param {Object} report - client_reports row
+ * @param {Object} data - See buildReportData
+ * @param {Object} options
+ * @param {Object|null} options.logo - See loadLogo
+ */
+function renderReportHtml(report, data, { logo = null } = {}) {
+  const brand = getBranding(report);
+  const timeZone = report.timezone || 'UTC';
+  const title = `${report.name} - ${data.period.label}`;
+
+  const sections = data.sections.map(section => `
+  <section>
+    <h2>${escapeHtml(section.title)}</h2>
+    ${describeSection(section, timeZone).map(renderHtmlBlock).join('\n    ')}
+  </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #1f2937; background: #f5f5f7; }
+    .report { max-width: 880px; margin: 0 auto; background: #ffffff; }
+    header { display: flex; align-items: center; gap: 24px; padding: 32px 40px; background: ${brand.primary}; color: ${brand.onPrimary}; }
+    header img { max-height: 56px; max-width: 180px; }
+    .agency { margin: 0 0 4px; font-size: 13px; opacity: 0.8; }
+    h1 { margin: 0; font-size: 26px; }
+    .period { margin: 6px 0 0; font-size: 15px; opacity: 0.9; }
+    main { padding: 8px 40px 32px; }
+    section { padding: 24px 0; border-bottom: 1px solid #eeeeee; }
+    section:last-child { border-bottom: none; }
+    h2 { margin: 0 0 16px; font-size: 18px; color: ${brand.primary}; padding-left: 12px; border-left: 4px solid ${brand.accent}; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 12px; }
+    .stat { padding: 14px 16px; background: #f8f8fa; border-radius: 8px; border-top: 3px solid ${brand.accent}; }
+    .stat-label { font-size: 12px; color: #6b7280; }
+    .stat-value { margin-top: 4px; font-size: 24px; font-weight: 700; color: #111111; }
+    .stat-note { margin-top: 4px; font-size: 12px; color: #6b7280; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; margin-top: 12px; }
+    th { text-align: left; font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; padding: 8px; border-bottom: 2px solid ${brand.accent}; }
+    td { padding: 8px; border-bottom: 1px solid #f0f0f0; }
+    .num { text-align: right; }
+    .note { margin: 12px 0 0; font-size: 13px; color: #6b7280; }
+    footer { padding: 16px 40px 24px; font-size: 12px; color: #9ca3af; }
+    @media print { body { background: #ffffff; } section { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <div class="report">
+    <header>
+      ${logo ? `<img src="data:${logo.mimeType};base64,${logo.buffer.toString('base64')}" alt="${escapeHtml(brand.agencyName || 'Logo')}">` : ''}
+      <div>
+        ${brand.agencyName ? `<p class="agency">${escapeHtml(brand.agencyName)}</p>` : ''}
+        <h1>${escapeHtml(report.name)}</h1>
+        <p class="period">${escapeHtml(data.period.label)}</p>
+      </div>
+    </header>
+    <main>${sections}
+    </main>
+    <footer>${brand.agencyName ? `Prepared by ${escapeHtml(brand.agencyName)} &middot; ` : ''}Generated ${escapeHtml(formatDate(new Date(), timeZone))}</footer>
+  </div>
+</body>
+</html>
+`;
+}
+
+// =====================================================
+// PDF
+// =====================================================
+
+// The standard PDF fonts only cover Latin-1, so emoji and the like are dropped
+const toPdfText = (text) => String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '');
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PDF_MARGIN) {
+    doc.addPage();
+  }
+}
+
+function drawPdfStats(doc, items, brand) {
+  const contentWidth = doc.page.width - PDF_MARGIN * 2;
+  const perRow = items.length <= 4 ? items.length : 3;
+  const gap = 10;
+  const width = (contentWidth - gap * (perRow - 1)) / perRow;
+  const height = 64;
+
+  for (let start = 0; start < items.length; start += perRow) {
+    ensureSpace(doc, height + gap);
+    const top = doc.y;
+
+    items.slice(start, start + perRow).forEach((item, i) => {
+      const left = PDF_MARGIN + i * (width + gap);
+      doc.rect(left, top, width, height).fill('#f8f8fa');
+      doc.rect(left, top, width, 3).fill(brand.accent);
+      doc.fillColor('#6b7280').font('Helvetica').fontSize(8)
+        .text(toPdfText(item.label), left + 10, top + 10, { width: width - 20, lineBreak: false });
+      doc.fillColor('#111111').font('Helvetica-Bold').fontSize(16)
+        .text(toPdfText(item.value), left + 10, top + 24, { width: width - 20, lineBreak: false });
+      if (item.note) {
+        doc.fillColor('#6b7280').font('Helvetica').fontSize(7)
+          .text(toPdfText(item.note), left + 10, top + 46, { width: width - 20, lineBreak: false });
+      }
+    });
+
+    doc.x = PDF_MARGIN;
+    doc.y = top + height + gap;
+  }
+}
+
+function drawPdfTable(doc, { columns, rows }, brand) {
+  const contentWidth = doc.page.width - PDF_MARGIN * 2;
+  const rowHeight = 20;
+
+  const drawRow = (cells, { header = false } = {}) => {
+    ensureSpace(doc, rowHeight);
+    const top = doc.y;
+    let left = PDF_MARGIN;
+
+    cells.forEach((cell, i) => {
+      const column = columns[i];
+      const width = column.width * contentWidth;
+      doc.fillColor(header ? '#6b7280' : '#1f2937')
+        .font(header ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(header ? 8 : 9)
+        .text(toPdfText(header ? String(cell).toUpperCase() : cell), left + 4, top + 6, {
+          width: width - 8,
+          align: column.align || 'left',
+          lineBreak: false,
+          ellipsis: true
+        });
+      left += width;
+    });
+
+    doc.rect(PDF_MARGIN, top + rowHeight - (header ? 2 : 1), contentWidth, header ? 2 : 1)
+      .fill(header ? brand.accent : '#eeeeee');
+    doc.x = PDF_MARGIN;
+    doc.y = top + rowHeight;
+  };
+
+  drawRow(columns.map(column => column.label), { header: true });
+  rows.forEach(row => drawRow(row));
+  doc.moveDown(0.5);
+}
+
+/**
+ * The report as an A4 PDF
+ * @param {Object} report - client_reports row
+ * @param {Object} data - See buildReportData
+ * @param {Object} options
+ * @param {Object|null} options.logo - See loadLogo
+ * @returns {Promise<Buffer>}
+ */
+function renderReportPdf(report, data, { logo = null } = {}) {
+  // Loaded on first use; HTML reports and the emails don't need it
+  const PDFDocument = require("pdfkit");
+  const brand = getBranding(report);
+  const timeZone = report.timezone || 'UTC';
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PDF_MARGIN,
+      info: {
+        Title: toPdfText(`${report.name} - ${data.period.label}`),
+        Author: toPdfText(brand.agencyName || '')
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      // Header band
+      const headerHeight = 110;
+      doc.rect(0, 0, doc.page.width, headerHeight).fill(brand.primary);
+
+      let textLeft = PDF_MARGIN;
+      if (logo) {
+        try {
+          doc.image(logo.buffer, PDF_MARGIN, 30, { fit: [140, 50], valign: 'center' });
+          textLeft = PDF_MARGIN + 160;
+        } catch (error) {
+          logError('reports.pdf.logo', error, { reportId: report.id });
+        }
+      }
+
+      const textWidth = doc.page.width - textLeft - PDF_MARGIN;
+      let textTop = 28;
+      if (brand.agencyName) {
+        doc.fillColor(brand.onPrimary).font('Helvetica').fontSize(10)
+          .text(toPdfText(brand.agencyName), textLeft, textTop, { width: textWidth, lineBreak: false });
+        textTop += 16;
+      }
+      doc.fillColor(brand.onPrimary).font('Helvetica-Bold').fontSize(20)
+        .text(toPdfText(report.name), textLeft, textTop, { width: textWidth, lineBreak: false, ellipsis: true });
+      doc.font('Helvetica').fontSize(11)
+        .text(toPdfText(data.period.label), textLeft, textTop + 28, { width: textWidth, lineBreak: false });
+
+      doc.x = PDF_MARGIN;
+      doc.y = headerHeight + 24;
+
+      for (const section of data.sections) {
+        ensureSpace(doc, 90);
+        doc.rect(PDF_MARGIN, doc.y, 4, 16).fill(brand.accent);
+        doc.fillColor(brand.primary).font('Helvetica-Bold').fontSize(14)
+          .text(toPdfText(section.title), PDF_MARGIN + 12, doc.y + 1);
+        doc.x = PDF_MARGIN;
+        doc.moveDown(0.6);
+
+        for (const block of describeSection(section, timeZone)) {
+          if (block.type === 'stats') drawPdfStats(doc, block.items, brand);
+          else if (block.type === 'table') drawPdfTable(doc, block, brand);
+          else {
+            ensureSpace(doc, 20);
+            doc.fillColor('#6b7280').font('Helvetica').fontSize(9).text(toPdfText(block.text), PDF_MARGIN, doc.y);
+            doc.moveDown(0.5);
+          }
+        }
+        doc.moveDown(1);
+      }
+
+      ensureSpace(doc, 20);
+      doc.fillColor('#9ca3af').font('Helvetica').fontSize(8).text(
+        toPdfText(`${brand.agencyName ? `Prepared by ${brand.agencyName} - ` : ''}Generated ${formatDate(new Date(), timeZone)}`),
+        PDF_MARGIN,
+        doc.y
+      );
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Render a report to a file
+ * @param {string} format - 'pdf' or 'html'
+ * @returns {Promise<{ content: Buffer, contentType: string, filename: string }>}
+ */
+async function renderReport(report, data, format = 'pdf') {
+  const logo = await loadLogo(report.logo_url);
+  const filename = buildFilename(report, data.period);
+
+  if (format === 'html') {
+    return {
+      content: Buffer.from(renderReportHtml(report, data, { logo }), 'utf8'),
+      contentType: 'text/html; charset=utf-8',
+      filename: `${filename}.html`
+    };
+  }
+
+  return {
+    content: await renderReportPdf(report, data, { logo }),
+    contentType: 'application/pdf',
+    filename: `${filename}.pdf`
+  };
+}
+
+/**
+ * The email a scheduled report is attached to
+ * @returns {{ subject: string, html: string }}
+ */
+function renderReportEmail(report, data) {
+  const brand = getBranding(report);
+  const summary = data.sections.find(section => section.key === 'summary');
+  const highlights = summary ? describeSection(summary)[0].items.slice(0, 3) : [];
+
+  const highlightsHtml = highlights.map(item => `
+              <td style="padding: 12px; background-color: #f8f8fa; border-top: 3px solid ${brand.accent}; text-align: center;">
+                <div style="font-size: 12px; color: #6b7280;">${escapeHtml(item.label)}</div>
+                <div style="font-size: 20px; font-weight: 700; color: #111111;">${escapeHtml(item.value)}</div>
+              </td>`).join('');
+
+  return {
+    subject: `${report.name}: ${data.period.label}`,
+    html: `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; background-color: #f5f5f7;">
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td align="center" style="padding: 40px 20px;">
+        <table role="presentation" width="600" cellspacing="0" cellpadding="0" border="0" style="max-width: 600px; background-color: #ffffff;">
+          <tr>
+            <td style="padding: 24px 32px; background-color: ${brand.primary}; color: ${brand.onPrimary};">
+              ${brand.agencyName ? `<div style="font-size: 13px; opacity: 0.8;">${escapeHtml(brand.agencyName)}</div>` : ''}
+              <h1 style="margin: 4px 0 0; font-size: 22px;">${escapeHtml(report.name)}</h1>
+              <div style="margin-top: 4px; font-size: 14px;">${escapeHtml(data.period.label)}</div>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 32px;">
+              <p style="margin: 0 0 20px; font-size: 15px; color: #374151; line-height: 1.6;">
+                Your performance report for ${escapeHtml(data.period.label)} is attached.
+              </p>
+              ${highlights.length > 0 ? `<table role="presentation" width="100%" cellspacing="8" cellpadding="0" border="0"><tr>${highlightsHtml}
+              </tr></table>` : ''}
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`
+  };
+}
+
+module.exports = {
+  describeSection,
+  isBlockedAddress,
+  loadLogo,
+  renderReportHtml,
+  renderReportPdf,
+  renderReport,
+  renderReportEmail
+};
@@ -0,0 +1,554 @@
+const { Resend } = require("resend");
+const { logError } = require("./_utils");
+const { fetchPostedAnalytics, processAnalytics, normalizeAnalytics } = require("./_analytics");
+const { getPeriodChange } = require("./_analyticsSnapshots");
+const { summarizeLinkClicks } = require("./_linkTracking");
+const { runWithConcurrency } = require("./_publishQueue");
+const { isValidTimezone, getZonedParts, zonedTimeToUtc } = require("./_timezone");
+const { renderReport, renderReportEmail } = require("./_reportRender");
+
+/**
+ * White-label client reports (client_reports)
+ *
+ * A report is a saved set of sections plus the agency's branding. Each run
+ * covers the last complete week (Monday to Sunday) or calendar month in the
+ * report's timezone, built from the same data as the analytics page:
+ * _analytics.js for posts, _linkTracking.js for clicks and post_approvals
+ * for turnaround. Scheduled reports go out at SEND_HOUR local time on
+ * Mondays or the 1st (api/report-delivery.js).
+ */
+
+const REPORT_SECTIONS = {
+  summary: 'Summary',
+  top_posts: 'Top posts',
+  platforms: 'Platform breakdown',
+  best_times: 'Best times to post',
+  link_clicks: 'Link clicks',
+  approvals: 'Approval turnaround'
+};
+const SECTION_KEYS = Object.keys(REPORT_SECTIONS);
+
+const REPORT_FREQUENCIES = ['weekly', 'monthly'];
+const REPORT_FORMATS = ['pdf', 'html'];
+
+const MAX_RECIPIENTS = 10;
+const SEND_HOUR = 9;
+const REPORTS_PER_RUN = 25;
+
+// Same cap as the link analytics page; a report only needs the totals
+const MAX_CLICKS = 50000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Failed scheduled sends are retried hourly, then skipped until the next period
+const MAX_DELIVERY_ATTEMPTS = 3;
+const DELIVERY_RETRY_MS = HOUR_MS;
+// How long a cron run holds a report while sending it
+const DELIVERY_LEASE_MS = 10 * 60 * 1000;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Check a report's settings and map them to client_reports columns
+ * @param {Object} input - { name, sections, frequency, format, timezone, agencyName,
+ *   logoUrl, primaryColor, accentColor, recipients, isScheduled }
+ * @param {Object} options
+ * @param {boolean} options.partial - Only check the fields present (updates)
+ * @returns {{ values: Object|null, error: string|null }}
+ */
+function normalizeReportInput(input = {}, { partial = false } = {}) {
+  const values = {};
+  const has = (key) => !partial || input[key] !== undefined;
+  const fail = (error) => ({ values: null, error });
+
+  if (has('name')) {
+    const name = String(input.name || '').trim();
+    if (!name) return fail("Report name is required");
+    if (name.length > 100) return fail("Report name must be 100 characters or fewer");
+    values.name = name;
+  }
+
+  if (has('sections')) {
+    const requested = Array.isArray(input.sections) ? input.sections : [];
+    const unknown = requested.find(key => !SECTION_KEYS.includes(key));
+    if (unknown) return fail(`Unknown report section: ${unknown}`);
+    // Sections always render in the same order
+    const sections = SECTION_KEYS.filter(key => requested.includes(key));
+    if (sections.length === 0) return fail("Pick at least one section");
+    values.sections = sections;
+  }
+
+  if (has('frequency')) {
+    const frequency = input.frequency || 'monthly';
+    if (!REPORT_FREQUENCIES.includes(frequency)) return fail("Frequency must be weekly or monthly");
+    values.frequency = frequency;
+  }
+
+  if (has('format')) {
+    const format = input.format || 'pdf';
+    if (!REPORT_FORMATS.includes(format)) return fail("Format must be pdf or html");
+    values.format = format;
+  }
+
+  if (has('timezone')) {
+    const timezone = input.timezone || 'UTC';
+    if (!isValidTimezone(timezone)) return fail("Invalid timezone");
+    values.timezone = timezone;
+  }
+
+  if (has('agencyName')) {
+    const agencyName = String(input.agencyName || '').trim();
+    if (agencyName.length > 100) return fail("Agency name must be 100 characters or fewer");
+    values.agency_name = agencyName || null;
+  }
+
+  if (has('logoUrl')) {
+    const logoUrl = String(input.logoUrl || '').trim();
+    if (logoUrl) {
+      try {
+        const parsed = new URL(logoUrl);
+        if (parsed.protocol !== 'https:') return fail("Logo URL must start with https://");
+      } catch {
+        return fail("Logo URL must be a full URL, starting with https://");
+      }
+    }
+    values.logo_url = logoUrl || null;
+  }
+
+  for (const [key, column] of [['primaryColor', 'primary_color'], ['accentColor', 'accent_color']]) {
+    if (!has(key)) continue;
+    const color = String(input[key] || '').trim();
+    if (color && !HEX_COLOR_PATTERN.test(color)) return fail("Colors must be hex values like #1a1a2e");
+    values[column] = color ? color.toLowerCase() : null;
+  }
+
+  if (has('recipients')) {
+    const list = Array.isArray(input.recipients)
+      ? input.recipients
+      : String(input.recipients || '').split(/[\s,;]+/);
+    const recipients = [...new Set(list.map(email => String(email).trim().toLowerCase()).filter(Boolean))];
+    const invalid = recipients.find(email => !EMAIL_PATTERN.test(email));
+    if (invalid) return fail(`${invalid} isn't a valid email address`);
+    if (recipients.length > MAX_RECIPIENTS) return fail(`Reports can go to at most ${MAX_RECIPIENTS} recipients`);
+    values.recipients = recipients;
+  }
+
+  if (has('isScheduled')) {
+    values.is_scheduled = Boolean(input.isScheduled);
+  }
+
+  return { values, error: null };
+}
+
+// Calendar date arithmetic on { year, month, day } (month is 1-12)
+const shiftDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const shiftMonths = ({ year, month }, months) => {
+  const date = new Date(Date.UTC(year, month - 1 + months, 1));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: 1 };
+};
+
+const formatCalendarDate = ({ year, month, day }, options) =>
+  new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+
+/**
+ * The last complete week (Monday to Sunday) or calendar month before `now`
+ * @returns {{ from: Date, to: Date, days: number, label: string }} to is the period's last millisecond
+ */
+function getReportPeriod(frequency, now = new Date(), timeZone = 'UTC') {
+  const today = getZonedParts(now, timeZone);
+  let start;
+  let end;
+
+  if (frequency === 'weekly') {
+    end = shiftDays(today, -((today.weekday + 6) % 7));
+    start = shiftDays(end, -7);
+  } else {
+    end = { year: today.year, month: today.month, day: 1 };
+    start = shiftMonths(end, -1);
+  }
+
+  const from = zonedTimeToUtc(start.year, start.month, start.day, 0, 0, timeZone);
+  const to = new Date(zonedTimeToUtc(end.year, end.month, end.day, 0, 0, timeZone).getTime() - 1);
+
+  const lastDay = shiftDays(end, -1);
+  const label = frequency === 'weekly'
+    ? `${formatCalendarDate(start, { month: 'short', day: 'numeric' })} - ${formatCalendarDate(lastDay, { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : formatCalendarDate(start, { month: 'long', year: 'numeric' });
+
+  return { from, to, days: Math.ceil((to - from) / DAY_MS), label };
+}
+
+/**
+ * When a scheduled report next goes out: SEND_HOUR local time on the next
+ * Monday (weekly) or 1st of the month (monthly) after `after`
+ */
+function getNextRunAt(frequency, after = new Date(), timeZone = 'UTC') {
+  const today = getZonedParts(after, timeZone);
+  let date = frequency === 'weekly'
+    ? shiftDays(today, (8 - today.weekday) % 7)
+    : { year: today.year, month: today.month, day: 1 };
+
+  let runAt = zonedTimeToUtc(date.year, date.month, date.day, SEND_HOUR, 0, timeZone);
+  if (runAt <= after) {
+    date = frequency === 'weekly' ? shiftDays(date, 7) : shiftMonths(date, 1);
+    runAt = zonedTimeToUtc(date.year, date.month, date.day, SEND_HOUR, 0, timeZone);
+  }
+  return runAt;
+}
+
+const formatHour = (hour) => `${hour % 12 || 12}:00 ${hour < 12 ? 'AM' : 'PM'}`;
+
+/**
+ * Weekday and hour slots with the highest average engagement per post
+ * @param {Object[]} posts - See toAnalyticsPost
+ */
+function buildBestTimes(posts, timeZone = 'UTC', limit = 5) {
+  const slots = new Map();
+
+  for (const post of posts) {
+    const { weekday, hour } = getZonedParts(new Date(post.created), timeZone);
+    const key = `${weekday}-${hour}`;
+    const slot = slots.get(key) || { weekday, hour, posts: 0, engagements: 0 };
+    slot.posts++;
+    slot.engagements += normalizeAnalytics(post.analytics || {}, post.id).aggregated.totalEngagements;
+    slots.set(key, slot);
+  }
+
+  return [...slots.values()]
+    .map(slot => ({
+      day: DAY_NAMES[slot.weekday],
+      time: formatHour(slot.hour),
+      posts: slot.posts,
+      avgEngagements: Math.round(slot.engagements / slot.posts * 10) / 10
+    }))
+    .sort((a, b) => b.avgEngagements - a.avgEngagements || b.posts - a.posts)
+    .slice(0, limit);
+}
+
+/**
+ * How long approvers took to decide. Posts go into review when they're
+ * created, so turnaround runs from the post's created_at to the decision.
+ * @param {Object[]} rows - post_approvals rows with posts(created_at) embedded
+ */
+function summarizeApprovalTurnaround(rows) {
+  const decided = rows.filter(row =>
+    ['approved', 'rejected'].includes(row.approval_status) && row.reviewed_at && row.posts?.created_at
+  );
+  const hours = decided
+    .map(row => (new Date(row.reviewed_at) - new Date(row.posts.created_at)) / HOUR_MS)
+    .filter(value => value >= 0)
+    .sort((a, b) => a - b);
+
+  const round = (value) => Math.round(value * 10) / 10;
+  const middle = Math.floor(hours.length / 2);
+
+  return {
+    reviewed: decided.length,
+    approved: decided.filter(row => row.approval_status === 'approved').length,
+    rejected: decided.filter(row => row.approval_status === 'rejected').length,
+    avgHours: hours.length ? round(hours.reduce((sum, value) => sum + value, 0) / hours.length) : null,
+    medianHours: hours.length
+      ? round(hours.length % 2 ? hours[middle] : (hours[middle - 1] + hours[middle]) / 2)
+      : null,
+    within24hPercent: hours.length ? Math.round(hours.filter(value => value <= 24).length / hours.length * 100) : null
+  };
+}
+
+/**
+ * Everything a report shows, section by section
+ * @param {Object} params
+ * @param {string[]} params.sections - Keys of REPORT_SECTIONS
+ * @param {Object} params.period - See getReportPeriod
+ * @param {Object} params.previousPeriod - The period before, for the summary's changes
+ * @param {Object[]} params.posts - Posts in the period (see toAnalyticsPost)
+ * @param {Object[]} params.previousPosts - Posts in the previous period
+ * @param {Object[]} params.clicks - link_clicks rows with post_id from their link
+ * @param {Object} params.postCaptions - post_id → caption, for clicks by post
+ * @param {Object[]} params.approvals - See summarizeApprovalTurnaround
+ */
+function buildReportData({
+  sections,
+  period,
+  previousPeriod,
+  timeZone = 'UTC',
+  posts = [],
+  previousPosts = [],
+  clicks = [],
+  postCaptions = {},
+  approvals = []
+}) {
+  const analytics = processAnalytics(posts, period.days, timeZone, period.to);
+  const postById = new Map(posts.map(post => [post.id, post]));
+
+  const build = {
+    summary: () => {
+      const previous = processAnalytics(previousPosts, previousPeriod.days, timeZone, previousPeriod.to).summary;
+      const current = analytics.summary;
+      return {
+        totalPosts: current.totalPosts,
+        totalEngagements: current.totalEngagements,
+        totalImpressions: current.totalImpressions,
+        avgEngagement: current.avgEngagement,
+        change: {
+          posts: getPeriodChange(current.totalPosts, previous.totalPosts),
+          engagements: getPeriodChange(current.totalEngagements, previous.totalEngagements),
+          impressions: getPeriodChange(current.totalImpressions, previous.totalImpressions)
+        }
+      };
+    },
+    top_posts: () => analytics.topPosts.map(post => {
+      const metrics = normalizeAnalytics(postById.get(post.id)?.analytics || {}, post.id).aggregated;
+      return { ...post, views: metrics.views, engagementRate: metrics.engagementRate };
+    }),
+    platforms: () => analytics.platformStats,
+    best_times: () => buildBestTimes(posts, timeZone),
+    link_clicks: () => {
+      const summary = summarizeLinkClicks(clicks, { from: period.from, to: period.to, postCaptions });
+      return {
+        totals: summary.totals,
+        byPost: summary.byPost.slice(0, 5),
+        byPlatform: summary.byPlatform.slice(0, 6)
+      };
+    },
+    approvals: () => summarizeApprovalTurnaround(approvals)
+  };
+
+  return {
+    period: { from: period.from.toISOString(), to: period.to.toISOString(), label: period.label },
+    sections: SECTION_KEYS
+      .filter(key => sections.includes(key))
+      .map(key => ({ key, title: REPORT_SECTIONS[key], data: build[key]() }))
+  };
+}
+
+/**
+ * Fetch a report's data for a period
+ * @param {Object} report - client_reports row
+ */
+async function loadReportData(supabase, report, period) {
+  const { sections, workspace_id: workspaceId } = report;
+  const timeZone = report.timezone || 'UTC';
+  const previousPeriod = getReportPeriod(report.frequency, period.from, timeZone);
+
+  const { posts: allPosts, error } = await fetchPostedAnalytics(supabase, workspaceId, {
+    from: previousPeriod.from,
+    to: period.to
+  });
+  if (error) throw error;
+
+  const within = ({ from, to }) => (post) => {
+    const postedAt = new Date(post.created);
+    return postedAt >= from && postedAt <= to;
+  };
+
+  let clicks = [];
+  let postCaptions = {};
+  if (sections.includes('link_clicks')) {
+    const [linksResult, clicksResult] = await Promise.all([
+      supabase
+        .from('short_links')
+        .select('id, post_id')
+        .eq('workspace_id', workspaceId),
+      supabase
+        .from('link_clicks')
+        .select('short_link_id, clicked_at, ip_address, user_agent, referer_host, platform, device_type, os, is_bot')
+        .eq('workspace_id', workspaceId)
+        .gte('clicked_at', period.from.toISOString())
+        .lte('clicked_at', period.to.toISOString())
+        .limit(MAX_CLICKS)
+    ]);
+    if (linksResult.error || clicksResult.error) throw linksResult.error || clicksResult.error;
+
+    // Credit clicks to the post their link was published in
+    const postIdByLink = new Map((linksResult.data || []).map(link => [link.id, link.post_id]));
+    clicks = (clicksResult.data || []).map(click => ({ ...click, post_id: postIdByLink.get(click.short_link_id) || null }));
+
+    const postIds = [...new Set(clicks.map(click => click.post_id).filter(Boolean))];
+    if (postIds.length > 0) {
+      const { data: posts } = await supabase.from('posts').select('id, caption').in('id', postIds);
+      postCaptions = Object.fromEntries((posts || []).map(post => [post.id, post.caption]));
+    }
+  }
+
+  let approvals = [];
+  if (sections.includes('approvals')) {
+    const { data, error: approvalsError } = await supabase
+      .from('post_approvals')
+      .select('approval_status, reviewed_at, posts(created_at)')
+      .eq('workspace_id', workspaceId)
+      .gte('reviewed_at', period.from.toISOString())
+      .lte('reviewed_at', period.to.toISOString());
+    if (approvalsError) throw approvalsError;
+    approvals = data || [];
+  }
+
+  return buildReportData({
+    sections,
+    period,
+    previousPeriod,
+    timeZone,
+    posts: allPosts.filter(within(period)),
+    previousPosts: allPosts.filter(within(previousPeriod)),
+    clicks,
+    postCaptions,
+    approvals
+  });
+}
+
+/**
+ * Email a rendered report through Resend
+ */
+async function sendReportEmail({ from, to, subject, html, attachments }) {
+  if (!process.env.RESEND_API_KEY) {
+    throw new Error("Email delivery is not configured");
+  }
+
+  const resend = new Resend(process.env.RESEND_API_KEY);
+  const { error } = await resend.emails.send({ from, to, subject, html, attachments });
+  if (error) {
+    throw new Error(error.message || "Email delivery failed");
+  }
+}
+
+/**
+ * Build a report for its last complete period and email it to its recipients
+ * @param {Object} report - client_reports row
+ * @param {Object} options
+ * @param {Function} options.send - See sendReportEmail
+ * @returns {Promise<{ period: Object, filename: string }>}
+ */
+async function deliverReport(supabase, report, { now = new Date(), send = sendReportEmail } = {}) {
+  if (!report.recipients?.length) {
+    throw new Error("This report has no recipients");
+  }
+
+  const period = getReportPeriod(report.frequency, now, report.timezone || 'UTC');
+  const data = await loadReportData(supabase, report, period);
+  const file = await renderReport(report, data, report.format);
+  const email = renderReportEmail(report, data);
+
+  // Sent as the agency; angle brackets and quotes would break the header
+  const senderName = (report.agency_name || 'Woozy Social').replace(/[<>"]/g, '');
+
+  await send({
+    from: `${senderName} <hello@woozysocials.com>`,
+    to: report.recipients,
+    subject: email.subject,
+    html: email.html,
+    attachments: [{ filename: file.filename, content: file.content }]
+  });
+
+  return { period, filename: file.filename };
+}
+
+/**
+ * Deliver one due report. The row is claimed first by moving next_run_at
+ * forward by a lease, matching on the value we read, so overlapping cron runs
+ * can't both send it. A report only moves to its next period once it's sent;
+ * a failed one is retried an hour later, up to MAX_DELIVERY_ATTEMPTS times.
+ * @returns {Promise<'sent'|'failed'|'claimed'>} 'claimed' when another run got it first
+ */
+async function runScheduledReport(supabase, report, { now, send }) {
+  const attempt = (report.delivery_attempts || 0) + 1;
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('client_reports')
+    .update({ next_run_at: new Date(now.getTime() + DELIVERY_LEASE_MS).toISOString(), delivery_attempts: attempt })
+    .eq('id', report.id)
+    .eq('next_run_at', report.next_run_at)
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (!claimed?.length) return 'claimed';
+
+  const nextPeriod = getNextRunAt(report.frequency, now, report.timezone || 'UTC').toISOString();
+  const updates = { updated_at: now.toISOString() };
+  let outcome;
+
+  try {
+    await deliverReport(supabase, report, { now, send });
+    Object.assign(updates, { next_run_at: nextPeriod, delivery_attempts: 0, last_sent_at: now.toISOString(), last_error: null });
+    outcome = 'sent';
+  } catch (deliveryError) {
+    logError('reports.deliver', deliveryError, { reportId: report.id, attempt });
+    const message = String(deliveryError.message || deliveryError).slice(0, 500);
+
+    if (attempt < MAX_DELIVERY_ATTEMPTS) {
+      Object.assign(updates, { next_run_at: new Date(now.getTime() + DELIVERY_RETRY_MS).toISOString(), last_error: message });
+    } else {
+      // Out of retries: skip this period rather than retry forever
+      Object.assign(updates, {
+        next_run_at: nextPeriod,
+        delivery_attempts: 0,
+        last_error: `${message} (gave up after ${attempt} attempts)`.slice(0, 500)
+      });
+    }
+    outcome = 'failed';
+  }
+
+  const { error: updateError } = await supabase
+    .from('client_reports')
+    .update(updates)
+    .eq('id', report.id);
+
+  if (updateError) {
+    logError('reports.reschedule', updateError, { reportId: report.id });
+  }
+
+  return outcome;
+}
+
+/**
+ * Send every scheduled report that's due (see runScheduledReport)
+ */
+async function processScheduledReports(supabase, { now = new Date(), deadline = Infinity, send = sendReportEmail } = {}) {
+  const summary = { due: 0, sent: 0, failed: 0, deferred: 0 };
+
+  const { data: reports, error } = await supabase
+    .from('client_reports')
+    .select('*')
+    .eq('is_scheduled', true)
+    .lte('next_run_at', now.toISOString())
+    .order('next_run_at', { ascending: true })
+    .limit(REPORTS_PER_RUN);
+
+  if (error) throw error;
+  summary.due = (reports || []).length;
+
+  const { unstarted } = await runWithConcurrency(reports || [], 2, async (report) => {
+    try {
+      const outcome = await runScheduledReport(supabase, report, { now, send });
+      if (outcome !== 'claimed') summary[outcome]++;
+    } catch (reportError) {
+      logError('reports.claim', reportError, { reportId: report.id });
+      summary.failed++;
+    }
+  }, { deadline });
+
+  summary.deferred = unstarted.length;
+  return summary;
+}
+
+module.exports = {
+  REPORT_SECTIONS,
+  REPORT_FREQUENCIES,
+  REPORT_FORMATS,
+  MAX_RECIPIENTS,
+  normalizeReportInput,
+  getReportPeriod,
+  getNextRunAt,
+  buildBestTimes,
+  summarizeApprovalTurnaround,
+  buildReportData,
+  loadReportData,
+  deliverReport,
+  processScheduledReports
+};
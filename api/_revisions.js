@@ -0,0 +1,53 @@
+/**
+ * Post revisions (post_revisions). Rows are written by the
+ * record_post_revision() trigger on every content change; handlers name the
+ * editor by setting posts.edited_by in the same update.
+ */
+
+// Post columns a revision snapshots, and that a restore puts back
+const REVISION_FIELDS = ['caption', 'media_urls', 'platforms', 'scheduled_at', 'post_settings'];
+
+// Published or publishing posts are out of our hands and can't be restored
+const UNRESTORABLE_STATUSES = ['posted', 'published', 'publishing'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Whether a revision's content matches the post as it is now
+ */
+function revisionMatchesPost(revision, post) {
+  return REVISION_FIELDS.every(field => {
+    if (field === 'scheduled_at') {
+      return new Date(revision.scheduled_at).getTime() === new Date(post.scheduled_at).getTime();
+    }
+    return sameValue(revision[field], post[field]);
+  });
+}
+
+/**
+ * Post columns that restore a revision. The revision's schedule time is only
+ * kept if it's still in the future; otherwise the post keeps its current time.
+ *
+ * @param {Object} revision - post_revisions row
+ * @param {Object} post - Current post row
+ * @param {Date} [now]
+ */
+function buildRestoreUpdate(revision, post, now = new Date()) {
+  const revisionTime = revision.scheduled_at ? new Date(revision.scheduled_at) : null;
+
+  return {
+    caption: revision.caption,
+    media_urls: revision.media_urls || [],
+    platforms: revision.platforms || [],
+    post_settings: revision.post_settings || {},
+    scheduled_at: revisionTime && revisionTime > now ? revision.scheduled_at : post.scheduled_at,
+    restored_from_revision: revision.id
+  };
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  UNRESTORABLE_STATUSES,
+  revisionMatchesPost,
+  buildRestoreUpdate
+};
@@ -0,0 +1,180 @@
+const { logError } = require("./_utils");
+const { generateShortCode, buildShortUrl } = require("./_shortLinks");
+
+/**
+ * Saved replies
+ *
+ * Canned responses for DMs (api/inbox/messages.js) and comment replies
+ * (api/comments/reply). The picker inserts a reply's body with its
+ * {{variables}} intact; the send endpoints expand them just before the text
+ * goes to Ayrshare, so the same reply works for every correspondent.
+ */
+
+// {{name}} -> what it becomes when the reply is sent
+const SAVED_REPLY_VARIABLES = {
+  first_name: "Correspondent's first name",
+  correspondent_name: "Correspondent's full name",
+  brand_name: "Brand name from the brand profile",
+  link: "Tracked short link to the reply's link URL"
+};
+
+const MAX_NAME_LENGTH = 100;
+const MAX_CATEGORY_LENGTH = 50;
+const MAX_BODY_LENGTH = 2000;
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+/**
+ * Variables used in a reply body that aren't in SAVED_REPLY_VARIABLES
+ * @returns {string[]}
+ */
+function findUnknownVariables(body) {
+  const unknown = new Set();
+  for (const [, name] of String(body).matchAll(VARIABLE_PATTERN)) {
+    if (!SAVED_REPLY_VARIABLES[name]) unknown.add(name);
+  }
+  return [...unknown];
+}
+
+/**
+ * Validate a saved reply. With partial, only the fields given are checked.
+ * @returns {string|null} error message
+ */
+function validateSavedReply({ name, category, body, linkUrl }, { partial = false } = {}) {
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string' || !name.trim()) return "name is required";
+    if (name.length > MAX_NAME_LENGTH) return `name exceeds maximum length of ${MAX_NAME_LENGTH} characters`;
+  }
+
+  if (category != null) {
+    if (typeof category !== 'string') return "category must be text";
+    if (category.length > MAX_CATEGORY_LENGTH) return `category exceeds maximum length of ${MAX_CATEGORY_LENGTH} characters`;
+  }
+
+  if (!partial || body !== undefined) {
+    if (!body || typeof body !== 'string' || !body.trim()) return "body is required";
+    if (body.length > MAX_BODY_LENGTH) return `body exceeds maximum length of ${MAX_BODY_LENGTH} characters`;
+
+    const unknown = findUnknownVariables(body);
+    if (unknown.length > 0) {
+      return `Unknown variable${unknown.length > 1 ? 's' : ''}: ${unknown.map(v => `{{${v}}}`).join(', ')}`;
+    }
+  }
+
+  if (linkUrl) {
+    try {
+      const url = new URL(linkUrl);
+      if (!['http:', 'https:'].includes(url.protocol)) return "linkUrl must be an http(s) URL";
+    } catch {
+      return "Invalid linkUrl format";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace {{variables}} in reply text. Variables without a value fall back
+ * to something that still reads naturally ("Hi there").
+ * @param {{ correspondentName?: string, brandName?: string, link?: string }} values
+ */
+function expandReplyVariables(text, { correspondentName, brandName, link } = {}) {
+  const fullName = (correspondentName || '').trim();
+  const values = {
+    first_name: fullName.split(/\s+/)[0] || 'there',
+    correspondent_name: fullName || 'there',
+    brand_name: brandName || 'our team',
+    link: link || ''
+  };
+
+  return String(text)
+    .replace(VARIABLE_PATTERN, (match, name) => (name in values ? values[name] : match))
+    .trim();
+}
+
+/**
+ * Create the tracked short link a saved reply's {{link}} points at
+ * @returns {Promise<string|null>} short code, or null if one couldn't be created
+ */
+async function createReplyShortLink(supabase, { workspaceId, userId, url }) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const shortCode = generateShortCode();
+    const { error } = await supabase
+      .from('short_links')
+      .insert({
+        workspace_id: workspaceId,
+        user_id: userId || null,
+        short_code: shortCode,
+        original_url: url
+      });
+
+    if (!error) return shortCode;
+    if (error.code !== '23505') {
+      logError('savedReplies.shortLink', error, { workspaceId });
+      return null;
+    }
+  }
+  return null;
+}
+
+async function getBrandName(supabase, workspaceId) {
+  const { data: brand } = await supabase
+    .from('brand_profiles')
+    .select('brand_name')
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (brand?.brand_name) return brand.brand_name;
+
+  const { data: workspace } = await supabase
+    .from('workspaces')
+    .select('name')
+    .eq('id', workspaceId)
+    .single();
+
+  return workspace?.name || null;
+}
+
+/**
+ * Expand a saved reply's variables in the text about to be sent and count
+ * the use. The text is what the user sent (they may have edited the
+ * inserted reply), not the stored body.
+ * @returns {Promise<{ text: string } | { error: string }>}
+ */
+async function applySavedReply(supabase, { workspaceId, savedReplyId, text, correspondentName }) {
+  const { data: reply, error } = await supabase
+    .from('saved_replies')
+    .select('id, short_code')
+    .eq('id', savedReplyId)
+    .eq('workspace_id', workspaceId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    logError('savedReplies.apply.fetch', error, { savedReplyId });
+  }
+  if (!reply) {
+    return { error: "Saved reply not found" };
+  }
+
+  const expanded = expandReplyVariables(text, {
+    correspondentName,
+    brandName: await getBrandName(supabase, workspaceId),
+    link: reply.short_code ? `${buildShortUrl(reply.short_code)}` : ''
+  });
+
+  const { error: countError } = await supabase.rpc('increment_saved_reply_usage', { p_reply_id: reply.id });
+  if (countError) {
+    logError('savedReplies.apply.count', countError, { savedReplyId });
+  }
+
+  return { text: expanded };
+}
+
+module.exports = {
+  SAVED_REPLY_VARIABLES,
+  findUnknownVariables,
+  validateSavedReply,
+  expandReplyVariables,
+  createReplyShortLink,
+  applySavedReply
+};
@@ -0,0 +1,263 @@
+const axios = require("axios");
+const { logError } = require("./_utils");
+const { isLinkOnlyComment } = require("./_moderation");
+
+/**
+ * Sentiment and intent classification for incoming comments
+ * (social_engagement_comments) and DMs (inbox_messages from the correspondent).
+ *
+ * Uses Claude when ANTHROPIC_API_KEY is set and keyword rules otherwise, or
+ * when the AI response can't be used. Rows are classified in batches after
+ * they're stored: classifyPendingComments / classifyPendingMessages pick up
+ * whatever in the workspace hasn't been classified yet.
+ */
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const INTENTS = ['question', 'complaint', 'praise', 'sales_lead', 'spam', 'other'];
+
+// Texts per Claude request, and the default number of rows per pending pass
+const BATCH_SIZE = 20;
+const MAX_TEXT_LENGTH = 500;
+
+const SPAM_PATTERNS = [
+  /follow (me|back)/i, /check (out )?my (profile|page|bio)/i, /\bdm (me|us) for\b/i,
+  /free (followers|likes)/i, /\b(crypto|forex|bitcoin) (profit|trading|signals)\b/i,
+  /\bearn \$?\d+/i, /promote (it|your page)/i
+];
+const COMPLAINT_WORDS = [
+  'refund', 'broken', 'terrible', 'worst', 'disappointed', 'disappointing', 'never again', 'scam',
+  'not working', "doesn't work", 'still waiting', 'cancel', 'awful', 'rude', 'complaint', 'unacceptable',
+  'damaged', 'wrong order', 'horrible', 'useless'
+];
+const SALES_WORDS = [
+  'price', 'pricing', 'how much', 'cost', 'buy', 'purchase', 'order', 'quote', 'in stock',
+  'available', 'shipping', 'ship to', 'interested', 'demo', 'wholesale', 'discount', 'book a'
+];
+const PRAISE_WORDS = [
+  'love', 'great', 'amazing', 'awesome', 'thank', 'best', 'beautiful', 'perfect', 'excellent',
+  'fantastic', 'incredible', 'well done', 'congrat', '🔥', '❤️', '😍', '👏', '🙌'
+];
+const NEGATIVE_WORDS = [...COMPLAINT_WORDS, 'bad', 'hate', 'angry', 'annoyed', 'poor', 'slow', 'sucks', '😡', '👎'];
+const QUESTION_START = /^(who|what|when|where|why|how|can|could|do|does|did|is|are|will|would|should)\b/i;
+
+const countMatches = (text, words) => words.filter(word => text.includes(word)).length;
+
+/**
+ * Keyword-based classification, used without an API key or as the AI fallback
+ * @returns {{ sentiment: string, intent: string }}
+ */
+function classifyWithRules(text) {
+  const raw = (text || '').trim();
+  if (!raw) return { sentiment: 'neutral', intent: 'other' };
+  const lower = raw.toLowerCase();
+
+  const complaints = countMatches(lower, COMPLAINT_WORDS);
+  const negatives = countMatches(lower, NEGATIVE_WORDS);
+  const praise = countMatches(lower, PRAISE_WORDS);
+
+  let intent = 'other';
+  if (isLinkOnlyComment(raw) || SPAM_PATTERNS.some(pattern => pattern.test(raw))) {
+    intent = 'spam';
+  } else if (complaints > 0) {
+    intent = 'complaint';
+  } else if (countMatches(lower, SALES_WORDS) > 0) {
+    intent = 'sales_lead';
+  } else if (raw.includes('?') || QUESTION_START.test(raw)) {
+    intent = 'question';
+  } else if (praise > 0) {
+    intent = 'praise';
+  }
+
+  let sentiment = 'neutral';
+  if (intent === 'complaint' || negatives > praise) {
+    sentiment = 'negative';
+  } else if (praise > negatives) {
+    sentiment = 'positive';
+  }
+
+  return { sentiment, intent };
+}
+
+/**
+ * Read Claude's JSON array, keeping only valid labels
+ * @returns {Array<{sentiment, intent}>|null} null when the response is unusable
+ */
+function parseClassifications(content, expectedCount) {
+  try {
+    const cleaned = (content || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    const parsed = JSON.parse(cleaned);
+    if (!Array.isArray(parsed) || parsed.length !== expectedCount) return null;
+
+    return parsed.map(item => ({
+      sentiment: SENTIMENTS.includes(item?.sentiment) ? item.sentiment : 'neutral',
+      intent: INTENTS.includes(item?.intent) ? item.intent : 'other'
+    }));
+  } catch {
+    return null;
+  }
+}
+
+async function classifyWithAI(texts, apiKey) {
+  const systemPrompt = `You classify messages a brand receives on social media (comments and DMs). Return ONLY a JSON array with one object per message, in the order given: {"sentiment":"positive"|"neutral"|"negative","intent":"question"|"complaint"|"praise"|"sales_lead"|"spam"|"other"}. sales_lead = interested in buying or pricing. No markdown.`;
+
+  const numbered = texts.map((text, i) => `${i + 1}. ${JSON.stringify((text || '').slice(0, MAX_TEXT_LENGTH))}`).join('\n');
+
+  const response = await axios.post('https://api.anthropic.com/v1/messages', {
+    model: 'claude-haiku-4-5-20251001',
+    system: systemPrompt,
+    messages: [
+      { role: 'user', content: `Classify these ${texts.length} messages:\n\n${numbered}` }
+    ],
+    temperature: 0,
+    max_tokens: 40 * texts.length + 50
+  }, {
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    timeout: 30000
+  });
+
+  return parseClassifications(response.data.content?.[0]?.text, texts.length);
+}
+
+async function classifyBatch(texts, apiKey) {
+  if (apiKey) {
+    try {
+      const results = await classifyWithAI(texts, apiKey);
+      if (results) return results.map(result => ({ ...result, source: 'ai_generated' }));
+    } catch (error) {
+      logError('sentiment.classify.ai', error, { count: texts.length });
+    }
+  }
+
+  return texts.map(text => ({ ...classifyWithRules(text), source: 'rule_based' }));
+}
+
+/**
+ * Classify texts, BATCH_SIZE per AI request
+ * @returns {Promise<Array<{sentiment, intent, source}>>} one result per text
+ */
+async function classifyTexts(texts) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  const results = [];
+
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    results.push(...await classifyBatch(texts.slice(i, i + BATCH_SIZE), apiKey));
+  }
+
+  return results;
+}
+
+/**
+ * Counts per sentiment and intent for a list of classified rows
+ */
+function summarizeSentiment(rows = []) {
+  const summary = {
+    total: 0,
+    sentiment: Object.fromEntries(SENTIMENTS.map(s => [s, 0])),
+    intent: Object.fromEntries(INTENTS.map(i => [i, 0]))
+  };
+
+  for (const row of rows) {
+    if (!row.sentiment) continue;
+    summary.total++;
+    summary.sentiment[row.sentiment] = (summary.sentiment[row.sentiment] || 0) + 1;
+    if (row.intent) summary.intent[row.intent] = (summary.intent[row.intent] || 0) + 1;
+  }
+
+  return summary;
+}
+
+async function storeClassifications(supabase, table, rows, results) {
+  const classifiedAt = new Date().toISOString();
+  await Promise.all(rows.map((row, i) =>
+    supabase
+      .from(table)
+      .update({
+        sentiment: results[i].sentiment,
+        intent: results[i].intent,
+        classification_source: results[i].source,
+        classified_at: classifiedAt
+      })
+      .eq('id', row.id)
+  ));
+}
+
+/**
+ * Classify the workspace's unclassified follower comments
+ * @returns {Promise<number>} how many were classified
+ */
+async function classifyPendingComments(supabase, workspaceId, { limit = BATCH_SIZE } = {}) {
+  const { data: comments, error } = await supabase
+    .from('social_engagement_comments')
+    .select('id, comment_text')
+    .eq('workspace_id', workspaceId)
+    .is('classified_at', null)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    logError('sentiment.pendingComments', error, { workspaceId });
+    return 0;
+  }
+  if (!comments || comments.length === 0) return 0;
+
+  const results = await classifyTexts(comments.map(c => c.comment_text));
+  await storeClassifications(supabase, 'social_engagement_comments', comments, results);
+  return comments.length;
+}
+
+/**
+ * Classify the workspace's unclassified incoming messages and record the
+ * newest one's labels on its conversation, so conversations can be filtered
+ * @returns {Promise<number>} how many were classified
+ */
+async function classifyPendingMessages(supabase, workspaceId, { limit = BATCH_SIZE } = {}) {
+  const { data: messages, error } = await supabase
+    .from('inbox_messages')
+    .select('id, conversation_id, message_text, sent_at, inbox_conversations!inner(workspace_id)')
+    .eq('inbox_conversations.workspace_id', workspaceId)
+    .eq('sender_type', 'correspondent')
+    .is('classified_at', null)
+    .order('sent_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    logError('sentiment.pendingMessages', error, { workspaceId });
+    return 0;
+  }
+  if (!messages || messages.length === 0) return 0;
+
+  const results = await classifyTexts(messages.map(m => m.message_text));
+  await storeClassifications(supabase, 'inbox_messages', messages, results);
+
+  // Messages are newest first, so the first per conversation is its latest
+  const latestByConversation = new Map();
+  messages.forEach((message, i) => {
+    if (!latestByConversation.has(message.conversation_id)) {
+      latestByConversation.set(message.conversation_id, results[i]);
+    }
+  });
+
+  await Promise.all([...latestByConversation].map(([conversationId, result]) =>
+    supabase
+      .from('inbox_conversations')
+      .update({ last_sentiment: result.sentiment, last_intent: result.intent })
+      .eq('id', conversationId)
+  ));
+
+  return messages.length;
+}
+
+module.exports = {
+  SENTIMENTS,
+  INTENTS,
+  classifyWithRules,
+  parseClassifications,
+  classifyTexts,
+  summarizeSentiment,
+  classifyPendingComments,
+  classifyPendingMessages
+};
@@ -0,0 +1,245 @@
+const { ErrorCodes, sendError, logError, isValidUUID } = require("./_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("./_utils-access-control");
+const { isValidLinkPlatform } = require("./_linkTracking");
+
+/**
+ * Short links (short_links): creation, URLs and availability
+ *
+ * Codes are unique per domain. Links without a domain_id live on the app's
+ * own domain (APP_URL); the rest on a workspace's verified custom domain
+ * (see _linkDomains.js). Either way the path is /l/<code>, which vercel.json
+ * rewrites to api/l/[code].js.
+ */
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,48}[a-z0-9])$/;
+
+// Generate a random short code (6 characters)
+function generateShortCode() {
+  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let code = '';
+  for (let i = 0; i < 6; i++) {
+    code += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return code;
+}
+
+// Get base URL for short links on the app's own domain
+function getBaseUrl() {
+  return process.env.APP_URL || process.env.FRONTEND_URL || 'https://woozysocials.com';
+}
+
+/**
+ * Full short URL for a code, on a custom domain when it has one
+ * @param {string} code
+ * @param {string|null} domain - Verified custom domain, e.g. go.clientbrand.com
+ */
+function buildShortUrl(code, domain) {
+  return domain ? `https://${domain}/l/${code}` : `${getBaseUrl()}/l/${code}`;
+}
+
+/**
+ * Lowercase a custom slug and check it's usable in a URL
+ * @returns {{ slug: string|null, error: string|null }}
+ */
+function normalizeSlug(value) {
+  if (value === undefined || value === null || value === '') return { slug: null, error: null };
+
+  const slug = String(value).trim().toLowerCase();
+  if (!SLUG_PATTERN.test(slug)) {
+    return {
+      slug: null,
+      error: "Custom links are 3-50 letters, numbers or hyphens, and can't start or end with a hyphen"
+    };
+  }
+  return { slug, error: null };
+}
+
+/**
+ * Validate an expiry time from the client
+ * @returns {{ expiresAt: string|null, error: string|null }} ISO string, or null for no expiry
+ */
+function parseExpiresAt(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') return { expiresAt: null, error: null };
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { expiresAt: null, error: "Invalid expiry date" };
+  }
+  if (date <= now) {
+    return { expiresAt: null, error: "Expiry must be in the future" };
+  }
+  return { expiresAt: date.toISOString(), error: null };
+}
+
+/**
+ * Whether a link still redirects
+ * @returns {'active'|'disabled'|'expired'}
+ */
+function getLinkState(link, now = new Date()) {
+  if (link.disabled_at) return 'disabled';
+  if (link.expires_at && new Date(link.expires_at) <= now) return 'expired';
+  return 'active';
+}
+
+/**
+ * Insert a short_links row. A custom slug gets one try; random codes retry
+ * on the rare collision.
+ * @returns {Promise<{ link: Object|null, taken: boolean }>} taken when the slug is in use on that domain
+ */
+async function insertShortLink(supabase, { workspaceId, userId, url, platform, slug, domainId, expiresAt }) {
+  const maxAttempts = slug ? 1 : 5;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const { data, error } = await supabase
+      .from('short_links')
+      .insert({
+        workspace_id: workspaceId,
+        user_id: userId || null,
+        short_code: slug || generateShortCode(),
+        original_url: url,
+        platform: platform || null,
+        domain_id: domainId || null,
+        expires_at: expiresAt || null
+      })
+      .select()
+      .single();
+
+    if (!error) return { link: data, taken: false };
+    if (error.code !== '23505') {
+      logError('Create short link', error, { workspaceId, url });
+      return { link: null, taken: false };
+    }
+  }
+
+  if (!slug) logError('Create short link', new Error('No free short code'), { workspaceId });
+  return { link: null, taken: Boolean(slug) };
+}
+
+/**
+ * Create a short link from a request body and send the response. Shared by
+ * POST /api/links and POST /api/shorten-link.
+ *
+ * Body: url, workspaceId (required); platform, slug, domainId, expiresAt (optional)
+ */
+async function createShortLink(req, res, supabase, body) {
+  const { url, workspaceId, platform, domainId } = body;
+
+  if (!url || !workspaceId) {
+    const missing = ['url', 'workspaceId'].filter(field => !body[field]);
+    return sendError(res, `Missing required fields: ${missing.join(', ')}`, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  try {
+    new URL(url);
+  } catch {
+    return sendError(res, "Invalid URL format", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  if (!isValidUUID(workspaceId)) {
+    return sendError(res, "Invalid workspace ID", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  // Optional: the platform this link will be shared on, so its clicks are credited there
+  if (platform && !isValidLinkPlatform(platform)) {
+    return sendError(res, "Unknown platform", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { slug, error: slugError } = normalizeSlug(body.slug);
+  if (slugError) {
+    return sendError(res, slugError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { expiresAt, error: expiryError } = parseExpiresAt(body.expiresAt);
+  if (expiryError) {
+    return sendError(res, expiryError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  if (domainId && !isValidUUID(domainId)) {
+    return sendError(res, "Invalid domain ID", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+  if (!membershipCheck.success) {
+    return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+  }
+  if (!checkPermission(membershipCheck.member, 'canCreatePosts').success) {
+    return sendError(res, "You don't have permission to create links", ErrorCodes.FORBIDDEN);
+  }
+
+  let domain = null;
+  if (domainId) {
+    const { data: domainRow } = await supabase
+      .from('link_domains')
+      .select('id, domain, status')
+      .eq('id', domainId)
+      .eq('workspace_id', workspaceId)
+      .maybeSingle();
+
+    if (!domainRow) {
+      return sendError(res, "Domain not found", ErrorCodes.NOT_FOUND);
+    }
+    if (domainRow.status !== 'verified') {
+      return sendError(res, `${domainRow.domain} isn't verified yet`, ErrorCodes.VALIDATION_ERROR);
+    }
+    domain = domainRow;
+  }
+
+  const { link: newLink, taken } = await insertShortLink(supabase, {
+    workspaceId,
+    userId: req.user.id,
+    url,
+    platform,
+    slug,
+    domainId: domain?.id,
+    expiresAt
+  });
+
+  if (!newLink) {
+    if (taken) {
+      return sendError(res, `"${slug}" is already taken on ${domain?.domain || 'this domain'}`, ErrorCodes.VALIDATION_ERROR);
+    }
+    return sendError(res, "Failed to create short link", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return res.status(201).json({
+    success: true,
+    id: newLink.id,
+    shortCode: newLink.short_code,
+    shortLink: buildShortUrl(newLink.short_code, domain?.domain),
+    originalUrl: url,
+    platform: platform || null,
+    domain: domain?.domain || null,
+    expiresAt,
+    clickCount: 0
+  });
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Plain page for a link that doesn't redirect. Used on custom domains, where
+ * sending visitors to the app's home page would make no sense.
+ */
+function sendLinkUnavailable(res, status, message) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(status).send(
+    `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">` +
+    `<meta name="robots" content="noindex"><title>Link unavailable</title></head>` +
+    `<body style="font-family:system-ui,sans-serif;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0;color:#333">` +
+    `<p>${escapeHtml(message)}</p></body></html>`
+  );
+}
+
+module.exports = {
+  SLUG_PATTERN,
+  generateShortCode,
+  getBaseUrl,
+  buildShortUrl,
+  normalizeSlug,
+  parseExpiresAt,
+  getLinkState,
+  insertShortLink,
+  createShortLink,
+  sendLinkUnavailable
+};
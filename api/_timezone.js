@@ -0,0 +1,88 @@
+/**
+ * Timezone helpers built on Intl (no tz database dependency)
+ *
+ * Used wherever a wall-clock time in a workspace or queue timezone has to be
+ * turned into a UTC timestamp, or the other way round.
+ */
+
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Formatters are costly to build and a slot search makes hundreds of calls
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock parts of an instant in a timezone
+function getZonedParts(date, timeZone) {
+  const parts = getFormatter(timeZone).formatToParts(date);
+
+  const map = Object.fromEntries(parts.map(p => [p.type, p.value]));
+  return {
+    year: Number(map.year),
+    month: Number(map.month),
+    day: Number(map.day),
+    hour: Number(map.hour),
+    minute: Number(map.minute),
+    second: Number(map.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(map.weekday)
+  };
+}
+
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date (DST-aware)
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffsetMs(new Date(guess), timeZone);
+  let utc = guess - offset;
+  // Re-check in case the guess and the result straddle a DST change
+  const correctedOffset = getOffsetMs(new Date(utc), timeZone);
+  if (correctedOffset !== offset) {
+    utc = guess - correctedOffset;
+  }
+  return new Date(utc);
+}
+
+/**
+ * Format an instant as "YYYY-MM-DD HH:MM" wall-clock time in a timezone
+ */
+function formatZonedDateTime(date, timeZone) {
+  const p = getZonedParts(new Date(date), timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatZonedDateTime
+};
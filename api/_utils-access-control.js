@@ -4,9 +4,12 @@
  * This file contains subscription tier and role permission configurations
  * and helper functions for backend API protection.
  *
- * IMPORTANT: Keep this in sync with src/utils/constants.js
+ * Role permissions are read from src/utils/permissionRegistry.json, which
+ * src/utils/constants.js reads too.
  */
 
+const PERMISSION_REGISTRY = require('../src/utils/permissionRegistry.json');
+
 // ===========================
 // SUBSCRIPTION TIERS
 // ===========================
@@ -88,50 +91,26 @@ const TEAM_ROLES = {
 };
 
 // Maps legacy 5-role values to new 3-role model
-const LEGACY_ROLE_MAP = {
-  admin: 'member',
-  editor: 'member',
-  client: 'viewer',
-  view_only: 'viewer'
-};
+const LEGACY_ROLE_MAP = PERMISSION_REGISTRY.legacyRoles;
+
+const PERMISSIONS = PERMISSION_REGISTRY.permissions;
+const PERMISSION_KEYS = PERMISSIONS.map(p => p.key);
+
+// Roles a custom role can be based on (owner is never assignable)
+const CUSTOM_ROLE_BASES = ['member', 'viewer'];
 
 function normalizeRole(role) {
   if (!role) return 'viewer';
   return LEGACY_ROLE_MAP[role] || role;
 }
 
-const ROLE_PERMISSIONS = {
-  owner: {
-    canManageTeam: true,
-    canManageSettings: true,
-    canDeletePosts: true,
-    canApprovePosts: true,
-    canCreatePosts: true,
-    canEditAllPosts: true,
-    canDeleteAllPosts: true,
-    canDeleteWorkspace: true
-  },
-  member: {
-    canManageTeam: false,
-    canManageSettings: false,
-    canDeletePosts: false,
-    canApprovePosts: false,
-    canCreatePosts: true,
-    canEditAllPosts: false,
-    canDeleteAllPosts: false,
-    canDeleteWorkspace: false
-  },
-  viewer: {
-    canManageTeam: false,
-    canManageSettings: false,
-    canDeletePosts: false,
-    canApprovePosts: false,
-    canCreatePosts: false,
-    canEditAllPosts: false,
-    canDeleteAllPosts: false,
-    canDeleteWorkspace: false
-  }
-};
+function toPermissionMap(granted) {
+  return Object.fromEntries(PERMISSION_KEYS.map(key => [key, granted.includes(key)]));
+}
+
+const ROLE_PERMISSIONS = Object.fromEntries(
+  Object.entries(PERMISSION_REGISTRY.roles).map(([role, config]) => [role, toPermissionMap(config.permissions)])
+);
 
 // ===========================
 // HELPER FUNCTIONS
@@ -147,6 +126,78 @@ function hasPermission(role, permissionName) {
   return permissions[permissionName] === true;
 }
 
+/**
+ * Resolve a workspace member's effective permissions: their custom role's
+ * permission set (or their base role's), plus the per-member toggles
+ * (can_approve_posts, can_final_approval, can_manage_team). Owners have everything.
+ *
+ * @param {Object} member - workspace_members row, with custom_role embedded when assigned
+ * @returns {Object} { [permissionKey]: boolean }
+ */
+function resolveMemberPermissions(member) {
+  const role = normalizeRole(member?.role);
+  if (role === 'owner') return { ...ROLE_PERMISSIONS.owner };
+
+  const customPermissions = member?.custom_role?.permissions;
+  const granted = Array.isArray(customPermissions)
+    ? toPermissionMap(customPermissions.filter(key => !PERMISSIONS.find(p => p.key === key)?.ownerOnly))
+    : { ...(ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.viewer) };
+
+  for (const permission of PERMISSIONS) {
+    if (!permission.toggle || member[permission.column] !== true) continue;
+    if (permission.toggleRoles && !permission.toggleRoles.includes(role)) continue;
+    granted[permission.key] = true;
+  }
+
+  for (const permission of PERMISSIONS) {
+    if (permission.impliedBy && granted[permission.impliedBy]) granted[permission.key] = true;
+  }
+
+  return granted;
+}
+
+/**
+ * workspace_members permission columns for a role, used when adding or re-roling a member
+ */
+function getRoleColumnDefaults(role) {
+  const permissions = ROLE_PERMISSIONS[normalizeRole(role)] || ROLE_PERMISSIONS.viewer;
+  return Object.fromEntries(
+    PERMISSIONS.filter(p => p.column).map(p => [p.column, permissions[p.key]])
+  );
+}
+
+/**
+ * Validate a custom role definition
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCustomRole(role, { partial = false } = {}) {
+  const { name, baseRole, permissions } = role || {};
+
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string' || !name.trim()) return 'name is required';
+    if (name.trim().length > 50) return 'name must be 50 characters or fewer';
+    if (['owner', ...CUSTOM_ROLE_BASES].includes(name.trim().toLowerCase())) {
+      return `"${name.trim()}" is a built-in role name`;
+    }
+  }
+
+  if (!partial || baseRole !== undefined) {
+    if (!CUSTOM_ROLE_BASES.includes(baseRole)) {
+      return `baseRole must be one of: ${CUSTOM_ROLE_BASES.join(', ')}`;
+    }
+  }
+
+  if (!partial || permissions !== undefined) {
+    if (!Array.isArray(permissions)) return 'permissions must be an array';
+    const unknown = permissions.find(key => !PERMISSION_KEYS.includes(key));
+    if (unknown) return `Unknown permission: ${unknown}`;
+    const ownerOnly = permissions.find(key => PERMISSIONS.find(p => p.key === key).ownerOnly);
+    if (ownerOnly) return `${ownerOnly} is reserved for the workspace owner`;
+  }
+
+  return null;
+}
+
 /**
  * Check if a tier has a specific feature
  */
@@ -187,9 +238,9 @@ function canPerformPostAction(role, action, isOwnPost = false) {
 
   switch (action) {
     case 'edit':
-      return isOwnPost || permissions.canEditAllPosts;
+      return isOwnPost ? permissions.canEditOwnPosts : permissions.canEditAllPosts;
     case 'delete':
-      return isOwnPost || permissions.canDeleteAllPosts;
+      return isOwnPost ? permissions.canDeleteOwnPosts : permissions.canDeleteAllPosts;
     case 'approve':
       return permissions.canApprovePosts;
     case 'create':
@@ -209,7 +260,7 @@ async function verifyWorkspaceMembership(supabase, userId, workspaceId) {
 
     const { data: member, error } = await supabase
       .from('workspace_members')
-      .select('id, user_id, workspace_id, role, can_manage_team, can_manage_settings, can_delete_posts, can_approve_posts, can_final_approval')
+      .select('id, user_id, workspace_id, role, can_manage_team, can_manage_settings, can_delete_posts, can_approve_posts, can_final_approval, custom_role_id, custom_role:workspace_roles(id, name, base_role, permissions)')
       .eq('workspace_id', workspaceId)
       .eq('user_id', userId)
       .single();
@@ -263,7 +314,7 @@ async function verifyWorkspaceMembership(supabase, userId, workspaceId) {
 }
 
 /**
- * Check if user has required permission
+ * Check if user has required permission (member as returned by verifyWorkspaceMembership)
  * Returns { success: true } or { success: false, error: '...' }
  */
 function checkPermission(member, permissionName) {
@@ -271,17 +322,8 @@ function checkPermission(member, permissionName) {
     return { success: false, error: 'Invalid member data', code: 'INVALID_MEMBER' };
   }
 
-  let allowed = false;
-  const role = normalizeRole(member.role);
-
-  // For toggle-based permissions, check DB columns directly
-  if (permissionName === 'canApprovePosts') {
-    allowed = role === 'owner' || member.can_approve_posts === true;
-  } else if (permissionName === 'canManageTeam') {
-    allowed = role === 'owner' || member.can_manage_team === true;
-  } else {
-    allowed = hasPermission(role, permissionName);
-  }
+  // Custom role and per-member toggles included
+  const allowed = resolveMemberPermissions(member)[permissionName] === true;
 
   if (!allowed) {
     return {
@@ -395,8 +437,14 @@ module.exports = {
   TEAM_ROLES,
   ROLE_PERMISSIONS,
   LEGACY_ROLE_MAP,
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  CUSTOM_ROLE_BASES,
   normalizeRole,
   hasPermission,
+  resolveMemberPermissions,
+  getRoleColumnDefaults,
+  validateCustomRole,
   hasFeature,
   canCreateWorkspace,
   canInviteTeamMember,
@@ -15,7 +15,8 @@ const ErrorCodes = {
   METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
   DATABASE_ERROR: 'DATABASE_ERROR',
   EXTERNAL_API_ERROR: 'EXTERNAL_API_ERROR',
-  CONFIG_ERROR: 'CONFIG_ERROR'
+  CONFIG_ERROR: 'CONFIG_ERROR',
+  CONFLICT: 'CONFLICT'
 };
 
 // HTTP status codes mapping
@@ -31,7 +32,8 @@ const ErrorStatusCodes = {
   [ErrorCodes.METHOD_NOT_ALLOWED]: 405,
   [ErrorCodes.DATABASE_ERROR]: 500,
   [ErrorCodes.EXTERNAL_API_ERROR]: 502,
-  [ErrorCodes.CONFIG_ERROR]: 500
+  [ErrorCodes.CONFIG_ERROR]: 500,
+  [ErrorCodes.CONFLICT]: 409
 };
 
 // ============================================
@@ -239,7 +241,8 @@ function checkRateLimit(identifier, action, options = {}) {
  */
 function applyRateLimit(req, res, action, options = {}) {
   // Get identifier from user ID or IP
-  const identifier = req.headers['x-user-id'] ||
+  const identifier = req.user?.id ||
+                     req.headers['x-user-id'] ||
                      req.headers['x-forwarded-for']?.split(',')[0] ||
                      req.socket?.remoteAddress ||
                      'unknown';
@@ -282,6 +285,7 @@ const OPTIONAL_ENV_VARS = [
   'AYRSHARE_PROFILE_KEY',
   'AYRSHARE_PRIVATE_KEY',
   'AYRSHARE_DOMAIN',
+  'AYRSHARE_WEBHOOK_SECRET',
   'ANTHROPIC_API_KEY',
   'RESEND_API_KEY',
   'APP_URL',
@@ -321,6 +325,7 @@ function isServiceConfigured(service) {
     supabase: ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'],
     ayrshare: ['AYRSHARE_API_KEY'],
     ayrshareJwt: ['AYRSHARE_PRIVATE_KEY', 'AYRSHARE_DOMAIN'],
+    ayrshareWebhook: ['AYRSHARE_WEBHOOK_SECRET'],
     anthropic: ['ANTHROPIC_API_KEY'],
     resend: ['RESEND_API_KEY']
   };
@@ -576,6 +581,180 @@ function parseBody(req) {
 // AUTHENTICATION MIDDLEWARE
 // ============================================
 
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {object} req - Request object
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const header = req.headers?.authorization;
+  if (!header || typeof header !== 'string') return null;
+
+  const [scheme, token] = header.trim().split(/\s+/);
+  if (scheme?.toLowerCase() !== 'bearer' || !token) return null;
+  return token;
+}
+
+/**
+ * Verify the Supabase access token on a request and resolve the caller.
+ * The result is memoised on req.user so repeated checks don't re-hit Supabase.
+ * @param {object} req - Request object
+ * @returns {Promise<{ user: object|null, error: string|null, code: string|null }>}
+ */
+async function authenticateRequest(req) {
+  if (req.user?.id) {
+    return { user: req.user, error: null, code: null };
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return { user: null, error: "Authentication required", code: ErrorCodes.AUTH_REQUIRED };
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return { user: null, error: "Database service unavailable", code: ErrorCodes.CONFIG_ERROR };
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    return { user: null, error: "Invalid or expired session", code: ErrorCodes.AUTH_INVALID };
+  }
+
+  req.user = data.user;
+  return { user: data.user, error: null, code: null };
+}
+
+/**
+ * Check whether a user belongs to a workspace
+ * @param {string} userId
+ * @param {string} workspaceId
+ * @returns {Promise<boolean>}
+ */
+async function isWorkspaceMember(userId, workspaceId) {
+  const supabase = getSupabase();
+  if (!supabase || !userId || !workspaceId) return false;
+
+  const { data, error } = await supabase
+    .from('workspace_members')
+    .select('id')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId)
+    .limit(1);
+
+  if (error) {
+    logError('auth.isWorkspaceMember', error, { userId, workspaceId });
+    return false;
+  }
+
+  return !!data && data.length > 0;
+}
+
+/**
+ * Authenticate the caller and check that the identity and workspace the request
+ * claims to act for actually belong to them. Handlers that parse their own body
+ * (multipart / bodyParser disabled) call this once the fields are available.
+ *
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {object} scope - Claimed scope
+ * @param {string} scope.userId - userId sent by the client (optional)
+ * @param {string} scope.workspaceId - workspaceId sent by the client (optional)
+ * @param {boolean} scope.workspaceMember - Require membership of workspaceId (default: true)
+ * @returns {Promise<boolean>} - Returns true if request should be blocked
+ */
+async function enforceRequestScope(req, res, scope = {}) {
+  const { userId, workspaceId, workspaceMember = true } = scope;
+
+  const { user, error, code } = await authenticateRequest(req);
+  if (!user) {
+    sendError(res, error, code);
+    return true;
+  }
+
+  if (userId && userId !== user.id) {
+    console.warn(`[AUTH] Identity mismatch: token user ${user.id} claimed to act as ${userId}`);
+    sendError(res, "Request identity does not match the signed-in user", ErrorCodes.FORBIDDEN);
+    return true;
+  }
+
+  if (workspaceMember && workspaceId) {
+    if (!isValidUUID(workspaceId)) {
+      sendError(res, "Invalid workspaceId format", ErrorCodes.VALIDATION_ERROR);
+      return true;
+    }
+    const member = await isWorkspaceMember(user.id, workspaceId);
+    if (!member) {
+      sendError(res, "You are not a member of this workspace", ErrorCodes.FORBIDDEN);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Require a verified Supabase session for a Vercel serverless function.
+ *
+ * The caller is derived from the Authorization bearer token; any identity field
+ * sent in the query or JSON body must match it, and is filled in when missing so
+ * existing handlers keep reading `userId` as before. When the request names a
+ * workspaceId the caller must be a member of it.
+ *
+ * Usage: module.exports = withAuth(async function handler(req, res) { ... });
+ *
+ * @param {function} handler - Async handler function (req, res) => Promise<void>
+ * @param {object} options - Options
+ * @param {string|null} options.identityField - Request field naming the caller (default: 'userId', null to skip)
+ * @param {boolean} options.workspaceMember - Require membership of the requested workspace (default: true)
+ * @returns {function} - Wrapped handler
+ */
+function withAuth(handler, options = {}) {
+  const { identityField = 'userId', workspaceMember = true } = options;
+
+  return async (req, res) => {
+    setCors(res, req);
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    // Only inspect bodies the platform already parsed; streamed bodies are
+    // checked by the handler itself through enforceRequestScope.
+    const query = req.query || {};
+    const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+
+    try {
+      const { user, error, code } = await authenticateRequest(req);
+      if (!user) {
+        return sendError(res, error, code);
+      }
+
+      // Check every place the identity can be claimed, not just the first one a handler reads
+      const claimedIds = identityField
+        ? [query[identityField], body[identityField]].filter(Boolean)
+        : [];
+
+      const blocked = await enforceRequestScope(req, res, {
+        userId: claimedIds.find(id => id !== user.id),
+        workspaceId: query.workspaceId || body.workspaceId,
+        workspaceMember
+      });
+      if (blocked) return;
+
+      if (identityField === 'userId') {
+        if (req.query && !req.query.userId) req.query.userId = user.id;
+        if (body === req.body && !body.userId) body.userId = user.id;
+      }
+    } catch (error) {
+      logError('auth.withAuth', error, { method: req.method, url: req.url });
+      return sendError(res, "Authentication check failed", ErrorCodes.INTERNAL_ERROR);
+    }
+
+    return handler(req, res);
+  };
+}
+
 /**
  * Check if email is whitelisted for free access
  */
@@ -602,33 +781,18 @@ async function requireActiveProfile(req, res, callback) {
     }
 
     // Support both GET (query params) and POST (body params)
-    const params = req.method === 'GET' ? req.query : req.body;
+    const params = (req.method === 'GET' ? req.query : req.body) || {};
     const { userId, workspaceId } = params;
 
     console.log(`[requireActiveProfile] Method: ${req.method}, userId: ${userId}, workspaceId: ${workspaceId}`);
 
-    // STEP 1: We need to identify the user making the request
-    let userIdToCheck = userId;
-
-    // If only workspaceId provided, get the owner's userId
-    if (!userId && workspaceId) {
-      const { data: workspaceMember, error: memberError } = await supabase
-        .from('workspace_members')
-        .select('user_id')
-        .eq('workspace_id', workspaceId)
-        .eq('role', 'owner')
-        .single();
-
-      if (memberError || !workspaceMember) {
-        console.error('Error finding workspace owner:', memberError);
-        return sendError(res, "Workspace not found", ErrorCodes.NOT_FOUND);
-      }
-      userIdToCheck = workspaceMember.user_id;
-    }
+    // STEP 1: Identify the caller from their verified session, never from the
+    // request params. A claimed userId must match the token; a workspaceId must
+    // be one the caller belongs to.
+    const blocked = await enforceRequestScope(req, res, { userId, workspaceId });
+    if (blocked) return;
 
-    if (!userIdToCheck) {
-      return sendError(res, "userId or workspaceId must be provided", ErrorCodes.AUTH_REQUIRED);
-    }
+    const userIdToCheck = req.user.id;
 
     // STEP 2: Get user profile to check subscription status and whitelist
     const { data: profile, error: profileError } = await supabase
@@ -783,6 +947,11 @@ module.exports = {
   parseBody,
 
   // Authentication
+  getBearerToken,
+  authenticateRequest,
+  isWorkspaceMember,
+  enforceRequestScope,
+  withAuth,
   requireActiveProfile,
   isWhitelistedEmail,
 
@@ -0,0 +1,56 @@
+/**
+ * Optimistic concurrency for drafts and posts. post_drafts and posts carry a
+ * version that the bump_content_version() trigger increments whenever the
+ * content changes. Editors send back the version they loaded; a save against
+ * any other version is rejected with the row as it is now, so the editor can
+ * merge instead of overwriting a teammate's work.
+ */
+const { ErrorCodes } = require("./_utils");
+
+// Columns the editor needs to show and merge the other person's changes
+const CONFLICT_FIELDS = [
+  'id', 'version', 'caption', 'media_urls', 'platforms',
+  'scheduled_at', 'scheduled_date', 'post_settings', 'updated_at'
+];
+
+/**
+ * The version an editor loaded, or null when the request didn't send one
+ * (older clients keep last-write-wins). FormData sends it as a string.
+ */
+function parseExpectedVersion(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Whether the row was saved by someone else since the editor loaded it
+ * @param {number|null} expectedVersion - From parseExpectedVersion
+ * @param {Object|null} current - Row as it is now
+ */
+function isVersionConflict(expectedVersion, current) {
+  return expectedVersion !== null && !!current && current.version !== expectedVersion;
+}
+
+/**
+ * Reject a stale save with 409 and the latest content
+ */
+function sendVersionConflict(res, current) {
+  const latest = {};
+  for (const field of CONFLICT_FIELDS) {
+    if (field in current) latest[field] = current[field];
+  }
+
+  return res.status(409).json({
+    success: false,
+    error: "Someone else saved changes while you were editing",
+    code: ErrorCodes.CONFLICT,
+    current: latest
+  });
+}
+
+module.exports = {
+  parseExpectedVersion,
+  isVersionConflict,
+  sendVersionConflict
+};
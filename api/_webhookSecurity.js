@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { logError } = require('./_utils');
+
+// Ayrshare signs deliveries for webhooks registered with a secretKey.
+// Signature = hex HMAC-SHA256 over `${timestamp}.${rawBody}` using AYRSHARE_WEBHOOK_SECRET.
+const SIGNATURE_HEADER = 'x-authorization-hmac-sha256';
+const TIMESTAMP_HEADER = 'x-authorization-timestamp';
+const EVENT_ID_HEADER = 'x-ayrshare-event-id';
+
+// Deliveries older (or further in the future) than this are treated as replays
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+// An event still 'received' this long after it was claimed is assumed to have
+// died mid-processing (function timeout, crash) and a redelivery may take it over
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Read the raw request body (bodyParser must be disabled on the route)
+ * @param {object} req - Request object
+ * @returns {Promise<Buffer>}
+ */
+async function getRawBody(req) {
+  if (Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+
+  if (typeof req.body === 'string') {
+    return Buffer.from(req.body);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse a webhook timestamp header (unix seconds, unix ms or ISO 8601) to seconds
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value)) {
+    const numeric = Number(value);
+    // 13-digit values are milliseconds
+    return numeric > 1e12 ? Math.floor(numeric / 1000) : numeric;
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+/**
+ * Verify an Ayrshare webhook signature and timestamp window
+ * @param {Buffer} rawBody - Raw request body
+ * @param {object} headers - Request headers
+ * @param {string} secret - Shared webhook secret
+ * @param {number} nowSeconds - Current time in seconds (injectable for tests)
+ * @returns {{ valid: boolean, reason: string|null }}
+ */
+function verifySignature(rawBody, headers, secret, nowSeconds = Math.floor(Date.now() / 1000)) {
+  if (!secret) {
+    return { valid: false, reason: 'secret_not_configured' };
+  }
+
+  const signatureHeader = headers[SIGNATURE_HEADER];
+  if (!signatureHeader) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const timestamp = parseTimestamp(headers[TIMESTAMP_HEADER]);
+  if (!timestamp) {
+    return { valid: false, reason: 'missing_timestamp' };
+  }
+
+  if (Math.abs(nowSeconds - timestamp) > TIMESTAMP_TOLERANCE_SECONDS) {
+    return { valid: false, reason: 'timestamp_out_of_window' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${headers[TIMESTAMP_HEADER]}.`)
+    .update(rawBody)
+    .digest('hex');
+
+  const received = String(signatureHeader).replace(/^sha256=/i, '').trim().toLowerCase();
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(received, 'utf8');
+
+  if (expectedBuffer.length !== receivedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Resolve a stable idempotency key for a delivery. Prefer the ID Ayrshare assigns;
+ * fall back to a hash of the signed body so byte-identical redeliveries collapse.
+ */
+function getEventId(headers, payload, rawBody) {
+  const explicit = headers[EVENT_ID_HEADER] || payload?.eventId || payload?.event_id || payload?.webhookId;
+  if (explicit) return String(explicit);
+  return `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+}
+
+function parsePayload(rawBody) {
+  try {
+    return JSON.parse(rawBody.toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record a rejected delivery for audit. event_id is deliberately left empty so a
+ * forged request can't reserve the ID of a genuine event that arrives later.
+ */
+async function recordRejectedDelivery(supabase, { source, reason, payload, rawBody, req }) {
+  const { error } = await supabase
+    .from('inbox_webhook_events')
+    .insert({
+      event_type: payload?.type || payload?.action || payload?.event || 'unknown',
+      platform: payload?.platform || 'unknown',
+      payload: payload || { raw: rawBody.toString('utf8').substring(0, 2000) },
+      processed: false,
+      status: 'rejected',
+      source,
+      error_message: reason,
+      source_ip: req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket?.remoteAddress || null
+    });
+
+  if (error) {
+    logError('webhook.recordRejected', error, { source, reason });
+  }
+}
+
+/**
+ * Authenticate an incoming Ayrshare webhook and reserve its event ID.
+ *
+ * Returns one of:
+ * - { status: 'rejected', reason }            signature/timestamp check failed (already logged)
+ * - { status: 'duplicate', eventId }          event was already received; skip processing
+ * - { status: 'accepted', payload, eventId, eventLogId }
+ *
+ * @param {object} req - Request object (bodyParser disabled)
+ * @param {object} supabase - Supabase service client
+ * @param {string} source - Which endpoint received the delivery (e.g. 'ayrshare', 'inbox')
+ */
+async function receiveAyrshareWebhook(req, supabase, source) {
+  const rawBody = await getRawBody(req);
+  const payload = parsePayload(rawBody);
+
+  const verification = verifySignature(rawBody, req.headers, process.env.AYRSHARE_WEBHOOK_SECRET);
+  if (!verification.valid) {
+    console.warn(`[WEBHOOK] Rejected ${source} delivery: ${verification.reason}`);
+    await recordRejectedDelivery(supabase, { source, reason: verification.reason, payload, rawBody, req });
+    return { status: 'rejected', reason: verification.reason };
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    await recordRejectedDelivery(supabase, { source, reason: 'invalid_json', payload: null, rawBody, req });
+    return { status: 'rejected', reason: 'invalid_json' };
+  }
+
+  const eventId = getEventId(req.headers, payload, rawBody);
+
+  // The unique index on event_id makes this insert the idempotency lock
+  const { data: eventLog, error } = await supabase
+    .from('inbox_webhook_events')
+    .insert({
+      event_id: eventId,
+      event_type: payload.type || payload.action || payload.event || 'unknown',
+      platform: payload.platform || 'unknown',
+      payload,
+      processed: false,
+      status: 'received',
+      claimed_at: new Date().toISOString(),
+      source
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      const retry = await claimEventForRetry(supabase, eventId);
+      if (retry) {
+        console.log(`[WEBHOOK] Retrying ${retry.status} ${source} event: ${eventId}`);
+        return { status: 'accepted', payload, eventId, eventLogId: retry.id };
+      }
+
+      console.log(`[WEBHOOK] Duplicate ${source} delivery ignored: ${eventId}`);
+      return { status: 'duplicate', eventId };
+    }
+    // Logging failure shouldn't drop a verified event
+    logError('webhook.recordEvent', error, { source, eventId });
+  }
+
+  return { status: 'accepted', payload, eventId, eventLogId: eventLog?.id || null };
+}
+
+/**
+ * Take over an already-logged event for a redelivery: one that failed last
+ * time, or one stuck in 'received' past its lease. The update only matches
+ * while the row is still retryable, so of two concurrent redeliveries only
+ * one gets it back.
+ * @returns {Promise<{id: string, status: string}|null>} The claimed event and its previous status
+ */
+async function claimEventForRetry(supabase, eventId, now = new Date()) {
+  const { data: existing } = await supabase
+    .from('inbox_webhook_events')
+    .select('id, status, claimed_at')
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  if (!existing) return null;
+
+  const leaseExpired = existing.status === 'received' &&
+    (!existing.claimed_at || now.getTime() - new Date(existing.claimed_at).getTime() >= PROCESSING_LEASE_MS);
+  if (existing.status !== 'failed' && !leaseExpired) return null;
+
+  let claim = supabase
+    .from('inbox_webhook_events')
+    .update({ status: 'received', claimed_at: now.toISOString(), error_message: null })
+    .eq('id', existing.id)
+    .eq('status', existing.status);
+  claim = existing.claimed_at ? claim.eq('claimed_at', existing.claimed_at) : claim.is('claimed_at', null);
+
+  const { data: claimed, error } = await claim.select('id');
+  if (error) {
+    logError('webhook.claimRetry', error, { eventId });
+    return null;
+  }
+
+  return claimed?.length ? { id: existing.id, status: existing.status } : null;
+}
+
+/**
+ * Mark a received event as processed (or failed) once the handler is done
+ */
+async function completeWebhookEvent(supabase, eventLogId, { processed, errorMessage = null, workspaceId = null }) {
+  if (!eventLogId) return;
+
+  const { error } = await supabase
+    .from('inbox_webhook_events')
+    .update({
+      processed,
+      status: processed ? 'processed' : 'failed',
+      processed_at: processed ? new Date().toISOString() : null,
+      error_message: errorMessage,
+      workspace_id: workspaceId
+    })
+    .eq('id', eventLogId);
+
+  if (error) {
+    logError('webhook.completeEvent', error, { eventLogId });
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_ID_HEADER,
+  TIMESTAMP_TOLERANCE_SECONDS,
+  PROCESSING_LEASE_MS,
+  getRawBody,
+  verifySignature,
+  getEventId,
+  receiveAyrshareWebhook,
+  claimEventForRetry,
+  completeWebhookEvent
+};
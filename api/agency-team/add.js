@@ -11,14 +11,15 @@ const {
   logError,
   validateRequired,
   isValidUUID,
-  isValidEmail
+  isValidEmail,
+  withAuth
 } = require("../_utils");
 const { getAgencyAccess } = require("../_utils-access-control");
 
 const VALID_ROLES = ['member', 'viewer'];
 const LEGACY_ROLE_MAP = { admin: 'member', editor: 'member', view_only: 'viewer', client: 'viewer' };
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -115,4 +116,4 @@ module.exports = async function handler(req, res) {
     logError('agency-team.add.handler', error);
     return sendError(res, "Failed to add team member", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -12,66 +12,12 @@ const {
   logError,
   validateRequired,
   isValidUUID,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("../_utils");
-const { getAgencyAccess } = require("../_utils-access-control");
-
-// Map legacy 5-role values to the current 3-role model
-const LEGACY_ROLE_MAP = {
-  admin: 'member',
-  editor: 'member',
-  view_only: 'viewer',
-  client: 'viewer'
-};
-
-// Role-based permissions using current 3-role model (plus legacy aliases for safety)
-const ROLE_PERMISSIONS = {
-  owner: {
-    can_manage_team: true,
-    can_manage_settings: true,
-    can_delete_posts: true,
-    can_approve_posts: true
-  },
-  member: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: true,
-    can_approve_posts: false
-  },
-  viewer: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: false,
-    can_approve_posts: false
-  },
-  // Legacy aliases kept for fallback
-  admin: {
-    can_manage_team: true,
-    can_manage_settings: true,
-    can_delete_posts: true,
-    can_approve_posts: true
-  },
-  editor: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: true,
-    can_approve_posts: false
-  },
-  view_only: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: false,
-    can_approve_posts: false
-  },
-  client: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: false,
-    can_approve_posts: true
-  }
-};
+const { getAgencyAccess, normalizeRole, getRoleColumnDefaults } = require("../_utils-access-control");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -189,8 +135,8 @@ module.exports = async function handler(req, res) {
     for (const member of teamMembers) {
       try {
         const rawRole = roleOverridesMap[member.id] || member.default_role;
-        const effectiveRole = LEGACY_ROLE_MAP[rawRole] || rawRole;
-        const permissions = ROLE_PERMISSIONS[effectiveRole] || ROLE_PERMISSIONS.member;
+        const effectiveRole = normalizeRole(rawRole);
+        const permissions = getRoleColumnDefaults(effectiveRole);
 
         // Check if already a member
         if (member.member_user_id && existingUserIds.has(member.member_user_id)) {
@@ -212,10 +158,7 @@ module.exports = async function handler(req, res) {
               workspace_id: workspaceId,
               user_id: member.member_user_id,
               role: effectiveRole,
-              can_manage_team: permissions.can_manage_team,
-              can_manage_settings: permissions.can_manage_settings,
-              can_delete_posts: permissions.can_delete_posts,
-              can_approve_posts: permissions.can_approve_posts
+              ...permissions
             })
             .select()
             .single();
@@ -375,4 +318,4 @@ module.exports = async function handler(req, res) {
     logError('agency-team.bulk-provision.handler', error);
     return sendError(res, "Failed to provision team members", ErrorCodes.INTERNAL_ERROR);
   }
-};
+}, { workspaceMember: false });
@@ -9,11 +9,12 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 const { getAgencyAccess } = require("../_utils-access-control");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -107,4 +108,4 @@ module.exports = async function handler(req, res) {
     logError('agency-team.list.handler', error);
     return sendError(res, "Failed to fetch team roster", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
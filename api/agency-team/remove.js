@@ -10,11 +10,12 @@ const {
   sendError,
   logError,
   validateRequired,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 const { getAgencyAccess } = require("../_utils-access-control");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -91,4 +92,4 @@ module.exports = async function handler(req, res) {
     logError('agency-team.remove.handler', error);
     return sendError(res, "Failed to remove team member", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
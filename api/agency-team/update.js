@@ -10,7 +10,8 @@ const {
   sendError,
   logError,
   validateRequired,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 const { getAgencyAccess } = require("../_utils-access-control");
 
@@ -18,7 +19,7 @@ const VALID_ROLES = ['member', 'viewer'];
 const LEGACY_ROLE_MAP = { admin: 'member', editor: 'member', view_only: 'viewer', client: 'viewer' };
 const VALID_STATUSES = ['active', 'inactive'];
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -111,4 +112,4 @@ module.exports = async function handler(req, res) {
     logError('agency-team.update.handler', error);
     return sendError(res, "Failed to update team member", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
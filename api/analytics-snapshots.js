@@ -0,0 +1,59 @@
+const {
+  setCors,
+  getSupabase,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError
+} = require("./_utils");
+const { processAnalyticsSnapshots } = require("./_analyticsSnapshots");
+
+// Leave time to finish in-flight Ayrshare calls before maxDuration
+const RUN_BUDGET_MS = 45 * 1000;
+
+/**
+ * Analytics snapshot runner (cron, hourly)
+ * Stores post metrics and follower counts as time series so growth can be
+ * charted. See _analyticsSnapshots.js for how often each post is captured;
+ * posts that don't fit in one run are picked up by the next.
+ */
+module.exports = async function handler(req, res) {
+  setCors(res, req);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  if (!process.env.AYRSHARE_API_KEY) {
+    return sendError(res, "Ayrshare not configured", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    console.log('[AnalyticsSnapshots] Capturing post metrics and follower counts...');
+
+    const summary = await processAnalyticsSnapshots(supabase, {
+      deadline: Date.now() + RUN_BUDGET_MS
+    });
+
+    console.log('[AnalyticsSnapshots] Done:', summary);
+
+    return sendSuccess(res, summary);
+
+  } catch (error) {
+    logError('analyticsSnapshots.handler', error);
+    return sendError(res, `Analytics snapshot runner error: ${error.message}`, ErrorCodes.INTERNAL_ERROR);
+  }
+};
+
+module.exports.config = {
+  maxDuration: 60
+};
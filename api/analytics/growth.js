@@ -0,0 +1,214 @@
+const {
+  setCors,
+  getSupabase,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership } = require("../_utils-access-control");
+const {
+  getPlatformMetrics,
+  buildPostGrowthCurve,
+  compareFirstWindow,
+  buildFollowerSeries,
+  getPeriodChange,
+  summarizePeriod
+} = require("../_analyticsSnapshots");
+
+const PERIODS = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Posts compared on first 48 hours vs lifetime
+const TOP_POSTS = 10;
+const MAX_SNAPSHOT_ROWS = 10000;
+
+/**
+ * GET /api/analytics/growth
+ * History from the analytics snapshots (see _analyticsSnapshots.js)
+ *
+ * Query: workspaceId, days (7, 30 or 90; default 30)
+ *   → follower growth per platform, this period vs the one before, and the
+ *     top posts' first 48 hours vs lifetime
+ * Query: workspaceId, postId
+ *   → that post's growth curve
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service unavailable", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const { workspaceId, postId } = req.query;
+    const days = PERIODS.includes(Number(req.query.days)) ? Number(req.query.days) : 30;
+
+    if (!isValidUUID(workspaceId)) {
+      return sendError(res, "Valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+    if (postId && !isValidUUID(postId)) {
+      return sendError(res, "Invalid postId", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    if (postId) {
+      return await handlePostCurve(res, supabase, workspaceId, postId);
+    }
+    return await handleOverview(res, supabase, workspaceId, days);
+  } catch (error) {
+    logError('analytics.growth.handler', error);
+    return sendError(res, "Failed to load growth analytics", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+async function handlePostCurve(res, supabase, workspaceId, postId) {
+  const { data: post } = await supabase
+    .from('posts')
+    .select('id, caption, platforms, posted_at')
+    .eq('id', postId)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (!post) {
+    return sendError(res, "Post not found", ErrorCodes.NOT_FOUND);
+  }
+
+  const { data: rows, error } = await supabase
+    .from('post_metric_snapshots')
+    .select('platform, likes, comments, shares, impressions, captured_at')
+    .eq('post_id', postId)
+    .order('captured_at', { ascending: true })
+    .limit(MAX_SNAPSHOT_ROWS);
+
+  if (error) {
+    logError('analytics.growth.curve', error, { postId });
+    return sendError(res, "Failed to fetch post history", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, {
+    post: { id: post.id, caption: post.caption, platforms: post.platforms, postedAt: post.posted_at },
+    curve: post.posted_at ? buildPostGrowthCurve(rows || [], post.posted_at) : [],
+    firstWindow: post.posted_at ? compareFirstWindow(rows || [], post.posted_at) : null
+  });
+}
+
+async function handleOverview(res, supabase, workspaceId, days) {
+  const now = new Date();
+  const from = new Date(now);
+  from.setUTCDate(from.getUTCDate() - (days - 1));
+  from.setUTCHours(0, 0, 0, 0);
+  const previousFrom = new Date(from.getTime() - days * DAY_MS);
+  const previousTo = new Date(from.getTime() - DAY_MS);
+
+  const [accountsResult, postsResult] = await Promise.all([
+    // A week before the previous period seeds its first day's counts
+    supabase
+      .from('account_metric_snapshots')
+      .select('platform, followers, captured_on')
+      .eq('workspace_id', workspaceId)
+      .gte('captured_on', new Date(previousFrom.getTime() - 7 * DAY_MS).toISOString().slice(0, 10))
+      .order('captured_on', { ascending: true }),
+    supabase
+      .from('posts')
+      .select('id, caption, platforms, posted_at, analytics')
+      .eq('workspace_id', workspaceId)
+      .eq('status', 'posted')
+      .gte('posted_at', previousFrom.toISOString())
+  ]);
+
+  if (accountsResult.error || postsResult.error) {
+    logError('analytics.growth.overview', accountsResult.error || postsResult.error, { workspaceId });
+    return sendError(res, "Failed to fetch analytics history", ErrorCodes.DATABASE_ERROR);
+  }
+
+  const accountRows = accountsResult.data || [];
+  const posts = postsResult.data || [];
+
+  const followers = buildFollowerSeries(accountRows, { from, to: now });
+  const previousFollowers = buildFollowerSeries(accountRows, { from: previousFrom, to: previousTo });
+  const gained = (series) => series.platforms.reduce((sum, platform) => sum + (platform.change || 0), 0);
+
+  const current = { ...summarizePeriod(posts, from, now), followersGained: gained(followers) };
+  const previous = { ...summarizePeriod(posts, previousFrom, from), followersGained: gained(previousFollowers) };
+
+  // First 48 hours vs lifetime for this period's best posts
+  const engagementsOf = (post) => (post.platforms || []).reduce((sum, platform) => {
+    const metrics = getPlatformMetrics(post.analytics, platform);
+    return sum + metrics.likes + metrics.comments + metrics.shares;
+  }, 0);
+
+  const topPosts = posts
+    .filter(post => new Date(post.posted_at) >= from && post.analytics)
+    .sort((a, b) => engagementsOf(b) - engagementsOf(a))
+    .slice(0, TOP_POSTS);
+
+  const { data: snapshotRows, error: snapshotError } = topPosts.length > 0
+    ? await supabase
+      .from('post_metric_snapshots')
+      .select('post_id, platform, likes, comments, shares, impressions, captured_at')
+      .in('post_id', topPosts.map(post => post.id))
+      .limit(MAX_SNAPSHOT_ROWS)
+    : { data: [] };
+
+  if (snapshotError) {
+    logError('analytics.growth.snapshots', snapshotError, { workspaceId });
+  }
+
+  const rowsByPost = new Map();
+  for (const row of (snapshotRows || [])) {
+    if (!rowsByPost.has(row.post_id)) rowsByPost.set(row.post_id, []);
+    rowsByPost.get(row.post_id).push(row);
+  }
+
+  const firstWindow = topPosts
+    .map(post => ({
+      postId: post.id,
+      caption: (post.caption || '').slice(0, 100),
+      platforms: post.platforms || [],
+      postedAt: post.posted_at,
+      ...compareFirstWindow(rowsByPost.get(post.id) || [], post.posted_at, now)
+    }))
+    .filter(post => post.lifetime);
+
+  const completeShares = firstWindow.filter(post => post.complete && post.first48hShare !== null);
+
+  return sendSuccess(res, {
+    days,
+    followers: {
+      daily: followers.daily,
+      platforms: followers.platforms
+    },
+    comparison: {
+      current,
+      previous,
+      change: {
+        posts: getPeriodChange(current.posts, previous.posts),
+        engagements: getPeriodChange(current.engagements, previous.engagements),
+        impressions: getPeriodChange(current.impressions, previous.impressions),
+        followersGained: getPeriodChange(current.followersGained, previous.followersGained)
+      }
+    },
+    firstWindow: {
+      posts: firstWindow,
+      avgFirst48hShare: completeShares.length > 0
+        ? Math.round(completeShares.reduce((sum, post) => sum + post.first48hShare, 0) / completeShares.length)
+        : null
+    }
+  });
+}
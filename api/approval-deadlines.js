@@ -0,0 +1,49 @@
+const {
+  setCors,
+  getSupabase,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError
+} = require("./_utils");
+const { processApprovalDeadlines } = require("./_approvalSla");
+
+/**
+ * Approval deadline runner (cron, every 5 minutes)
+ * Reminds approvers of upcoming approval deadlines and applies each
+ * workspace's fallback to posts still pending once theirs has passed.
+ */
+module.exports = async function handler(req, res) {
+  setCors(res, req);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    console.log('[ApprovalDeadlines] Checking posts awaiting approval...');
+
+    const summary = await processApprovalDeadlines(supabase);
+
+    console.log('[ApprovalDeadlines] Done:', summary);
+
+    return sendSuccess(res, summary);
+
+  } catch (error) {
+    logError('approvalDeadlines.handler', error);
+    return sendError(res, `Approval deadline runner error: ${error.message}`, ErrorCodes.INTERNAL_ERROR);
+  }
+};
+
+module.exports.config = {
+  maxDuration: 60
+};
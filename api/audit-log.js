@@ -0,0 +1,115 @@
+const {
+  setCors,
+  getSupabase,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("./_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("./_utils-access-control");
+const {
+  AUDIT_ACTIONS,
+  DEFAULT_PAGE_SIZE,
+  MAX_EXPORT_ROWS,
+  applyAuditFilters,
+  buildAuditCsv
+} = require("./_audit");
+
+/**
+ * GET /api/audit-log
+ * The workspace's audit trail, newest first. Owners only (canViewAuditLog).
+ *
+ * Query params:
+ * - workspaceId: Required workspace ID
+ * - action: Exact action (post.approved) or a group (post)
+ * - actorId, targetType, targetId: Exact matches
+ * - from, to: ISO timestamps
+ * - search: Matches the target label, actor email or target ID
+ * - page, limit: Pagination (default limit 50, max 200)
+ * - format: 'csv' to download every matching entry (up to 5000)
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const { workspaceId, format, page = '1', limit = String(DEFAULT_PAGE_SIZE), ...filters } = req.query;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    if (filters.actorId && !isValidUUID(filters.actorId)) {
+      return sendError(res, "Invalid actorId format", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    if (!checkPermission(membershipCheck.member, 'canViewAuditLog').success) {
+      return sendError(res, "Only the workspace owner can view the audit log", ErrorCodes.FORBIDDEN);
+    }
+
+    if (format === 'csv') {
+      const { data: entries, error } = await applyAuditFilters(
+        supabase.from('workspace_audit_log').select('*').eq('workspace_id', workspaceId),
+        filters
+      )
+        .order('created_at', { ascending: false })
+        .limit(MAX_EXPORT_ROWS);
+
+      if (error) {
+        logError('audit-log.export', error, { workspaceId });
+        return sendError(res, "Failed to export audit log", ErrorCodes.DATABASE_ERROR);
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.status(200).send(buildAuditCsv(entries || []));
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), 200);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const offset = (pageNumber - 1) * pageSize;
+
+    const { data: entries, error, count } = await applyAuditFilters(
+      supabase.from('workspace_audit_log').select('*', { count: 'exact' }).eq('workspace_id', workspaceId),
+      filters
+    )
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) {
+      logError('audit-log.list', error, { workspaceId });
+      return sendError(res, "Failed to fetch audit log", ErrorCodes.DATABASE_ERROR);
+    }
+
+    return sendSuccess(res, {
+      entries: entries || [],
+      total: count || 0,
+      page: pageNumber,
+      limit: pageSize,
+      actions: Object.values(AUDIT_ACTIONS)
+    });
+
+  } catch (error) {
+    logError('audit-log.handler', error);
+    return sendError(res, "Failed to fetch audit log", ErrorCodes.INTERNAL_ERROR);
+  }
+});
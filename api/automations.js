@@ -0,0 +1,232 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("./_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("./_utils-access-control");
+const { validateRule } = require("./_automation");
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * /api/automations
+ * GET    - List a workspace's automation rules (any member)
+ * POST   - Create a rule       Body: { workspaceId, name, triggerType, triggerConfig, actionType, actionConfig, isActive? }
+ * PATCH  - Update a rule       Body: { workspaceId, ruleId, ...fields to change }
+ * DELETE - Delete a rule       Query: workspaceId, ruleId
+ *
+ * Creating, changing and deleting rules requires canManageSettings.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    if (req.method === "GET") {
+      return await handleList(req, res, supabase);
+    }
+
+    if (!["POST", "PATCH", "DELETE"].includes(req.method)) {
+      return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+    }
+
+    const body = req.method === "DELETE" ? {} : await parseBody(req);
+    const workspaceId = body.workspaceId || req.query.workspaceId;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    const permissionCheck = checkPermission(membershipCheck.member, 'canManageSettings');
+    if (!permissionCheck.success) {
+      return sendError(res, "Only workspace owners can manage automations", ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "POST") {
+      return await handleCreate(req, res, supabase, workspaceId, body);
+    }
+    if (req.method === "PATCH") {
+      return await handleUpdate(res, supabase, workspaceId, body);
+    }
+    return await handleDelete(req, res, supabase, workspaceId);
+
+  } catch (error) {
+    logError('automations.handler', error, { method: req.method });
+    return sendError(res, "Failed to process automation request", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+async function handleList(req, res, supabase) {
+  const { workspaceId } = req.query;
+
+  if (!workspaceId || !isValidUUID(workspaceId)) {
+    return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: rules, error } = await supabase
+    .from('automation_rules')
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    logError('automations.list', error, { workspaceId });
+    return sendError(res, "Failed to fetch automation rules", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { rules: rules || [] });
+}
+
+async function handleCreate(req, res, supabase, workspaceId, body) {
+  const { name, triggerType, triggerConfig = {}, actionType, actionConfig = {}, isActive = true } = body;
+
+  if (!name || !name.trim()) {
+    return sendError(res, "name is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  if (name.length > MAX_NAME_LENGTH) {
+    return sendError(res, `name exceeds maximum length of ${MAX_NAME_LENGTH} characters`, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const validationError = validateRule({ triggerType, triggerConfig, actionType, actionConfig });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: rule, error } = await supabase
+    .from('automation_rules')
+    .insert({
+      workspace_id: workspaceId,
+      name: name.trim(),
+      trigger_type: triggerType,
+      trigger_config: triggerConfig,
+      action_type: actionType,
+      action_config: actionConfig,
+      is_active: isActive !== false,
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logError('automations.create', error, { workspaceId });
+    return sendError(res, "Failed to create automation rule", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { rule }, 201);
+}
+
+async function handleUpdate(res, supabase, workspaceId, body) {
+  const { ruleId } = body;
+
+  if (!ruleId || !isValidUUID(ruleId)) {
+    return sendError(res, "A valid ruleId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('automation_rules')
+    .select('*')
+    .eq('id', ruleId)
+    .eq('workspace_id', workspaceId)
+    .single();
+
+  if (fetchError && fetchError.code !== 'PGRST116') {
+    logError('automations.update.fetch', fetchError, { ruleId });
+  }
+
+  if (!existing) {
+    return sendError(res, "Automation rule not found", ErrorCodes.NOT_FOUND);
+  }
+
+  const updates = {};
+
+  if (body.name !== undefined) {
+    if (!body.name || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+      return sendError(res, `name must be 1-${MAX_NAME_LENGTH} characters`, ErrorCodes.VALIDATION_ERROR);
+    }
+    updates.name = body.name.trim();
+  }
+
+  if (body.isActive !== undefined) updates.is_active = body.isActive === true;
+  if (body.triggerType !== undefined) updates.trigger_type = body.triggerType;
+  if (body.triggerConfig !== undefined) updates.trigger_config = body.triggerConfig;
+  if (body.actionType !== undefined) updates.action_type = body.actionType;
+  if (body.actionConfig !== undefined) updates.action_config = body.actionConfig;
+
+  if (Object.keys(updates).length === 0) {
+    return sendError(res, "No fields to update", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  // Validate the rule as it will look after the update
+  const validationError = validateRule({
+    triggerType: updates.trigger_type ?? existing.trigger_type,
+    triggerConfig: updates.trigger_config ?? existing.trigger_config,
+    actionType: updates.action_type ?? existing.action_type,
+    actionConfig: updates.action_config ?? existing.action_config
+  });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  // A changed trigger rescans its lookback window; automation_runs still stops repeats
+  if (updates.trigger_type !== undefined || updates.trigger_config !== undefined) {
+    updates.trigger_cursor = null;
+  }
+
+  updates.updated_at = new Date().toISOString();
+
+  const { data: rule, error } = await supabase
+    .from('automation_rules')
+    .update(updates)
+    .eq('id', ruleId)
+    .eq('workspace_id', workspaceId)
+    .select()
+    .single();
+
+  if (error) {
+    logError('automations.update', error, { ruleId });
+    return sendError(res, "Failed to update automation rule", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { rule });
+}
+
+async function handleDelete(req, res, supabase, workspaceId) {
+  const { ruleId } = req.query;
+
+  if (!ruleId || !isValidUUID(ruleId)) {
+    return sendError(res, "A valid ruleId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { error } = await supabase
+    .from('automation_rules')
+    .delete()
+    .eq('id', ruleId)
+    .eq('workspace_id', workspaceId);
+
+  if (error) {
+    logError('automations.delete', error, { ruleId });
+    return sendError(res, "Failed to delete automation rule", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { deleted: true });
+}
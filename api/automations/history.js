@@ -0,0 +1,80 @@
+const {
+  setCors,
+  getSupabase,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("../_utils");
+
+const RUN_STATUSES = ['running', 'success', 'failed', 'skipped'];
+
+/**
+ * GET /api/automations/history?workspaceId=xxx&ruleId=xxx&status=failed&limit=50&offset=0
+ * Execution history for a workspace's automation rules, newest first
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const { workspaceId, ruleId, status, limit = '50', offset = '0' } = req.query;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    if (ruleId && !isValidUUID(ruleId)) {
+      return sendError(res, "Invalid ruleId format", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    if (status && !RUN_STATUSES.includes(status)) {
+      return sendError(res, `Invalid status. Must be one of: ${RUN_STATUSES.join(', ')}`, ErrorCodes.VALIDATION_ERROR);
+    }
+
+    let query = supabase
+      .from('automation_runs')
+      .select('*, automation_rules(name)', { count: 'exact' })
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: false });
+
+    if (ruleId) query = query.eq('rule_id', ruleId);
+    if (status) query = query.eq('status', status);
+
+    const limitNum = Math.min(parseInt(limit) || 50, 100);
+    const offsetNum = parseInt(offset) || 0;
+    query = query.range(offsetNum, offsetNum + limitNum - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      logError('automations.history', error, { workspaceId });
+      return sendError(res, "Failed to fetch automation history", ErrorCodes.DATABASE_ERROR);
+    }
+
+    const runs = (data || []).map(({ automation_rules, ...run }) => ({
+      ...run,
+      rule_name: automation_rules?.name || null
+    }));
+
+    return sendSuccess(res, { runs, total: count || 0 });
+
+  } catch (error) {
+    logError('automations.history.handler', error);
+    return sendError(res, "Failed to fetch automation history", ErrorCodes.INTERNAL_ERROR);
+  }
+});
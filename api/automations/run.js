@@ -0,0 +1,80 @@
+const {
+  setCors,
+  getSupabase,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError
+} = require("../_utils");
+const { evaluateRule } = require("../_automation");
+
+// Rules evaluated per invocation; the least recently evaluated go first
+const RULES_PER_RUN = 25;
+
+/**
+ * Automation runner (cron, every minute)
+ * Evaluates active automation rules and records each firing in automation_runs.
+ */
+module.exports = async function handler(req, res) {
+  setCors(res, req);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    console.log('[Automations] Starting rule evaluation...');
+
+    const { data: rules, error: fetchError } = await supabase
+      .from('automation_rules')
+      .select('*')
+      .eq('is_active', true)
+      .order('last_evaluated_at', { ascending: true, nullsFirst: true })
+      .limit(RULES_PER_RUN);
+
+    if (fetchError) {
+      logError('automations.run.fetch', fetchError);
+      return sendError(res, "Failed to fetch automation rules", ErrorCodes.DATABASE_ERROR);
+    }
+
+    const results = [];
+    const totals = { matched: 0, succeeded: 0, failed: 0, skipped: 0 };
+
+    for (const rule of (rules || [])) {
+      try {
+        const summary = await evaluateRule(supabase, rule);
+        results.push(summary);
+        Object.keys(totals).forEach(key => { totals[key] += summary[key]; });
+      } catch (ruleError) {
+        // One broken rule shouldn't stop the rest
+        logError('automations.run.rule', ruleError, { ruleId: rule.id, workspaceId: rule.workspace_id });
+        results.push({ ruleId: rule.id, error: ruleError.message });
+      }
+    }
+
+    console.log('[Automations] Evaluation complete:', { rules: (rules || []).length, ...totals });
+
+    return sendSuccess(res, {
+      evaluated: (rules || []).length,
+      ...totals,
+      results
+    });
+
+  } catch (error) {
+    logError('automations.run.handler', error);
+    return sendError(res, `Automation runner error: ${error.message}`, ErrorCodes.INTERNAL_ERROR);
+  }
+};
+
+module.exports.config = {
+  maxDuration: 60
+};
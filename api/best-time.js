@@ -6,6 +6,7 @@ const {
   sendSuccess,
   sendError,
   ErrorCodes,
+  withAuth
 } = require("./_utils");
 
 const AYRSHARE_API = "https://api.ayrshare.com/api";
@@ -14,7 +15,7 @@ const AYRSHARE_API = "https://api.ayrshare.com/api";
  * Best Time to Post API - AI-powered recommendations based on historical performance
  * GET /api/best-time?workspaceId={id}&platform={platform}&timezone={timezone}
  */
-module.exports = async (req, res) => {
+module.exports = withAuth(async (req, res) => {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -109,7 +110,7 @@ module.exports = async (req, res) => {
     console.error("Best Time API error:", error);
     return sendError(res, "Failed to analyze best times", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
 
 /**
  * Get default best times based on industry research
@@ -0,0 +1,285 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("./_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("./_utils-access-control");
+const { insertShortLink, buildShortUrl, getLinkState } = require("./_shortLinks");
+const { MAX_BIO_LINKS, normalizeBioSlug, validateBioLink } = require("./_bioPages");
+
+const LINK_SELECT = 'id, title, position, short_link_id, short_links(short_code, original_url, click_count, expires_at, disabled_at, link_domains(domain))';
+
+const toLinkResponse = ({ short_links: shortLink, ...link }) => ({
+  ...link,
+  url: shortLink?.original_url || null,
+  shortLink: shortLink ? buildShortUrl(shortLink.short_code, shortLink.link_domains?.domain) : null,
+  clickCount: shortLink?.click_count || 0,
+  state: shortLink ? getLinkState(shortLink) : 'disabled'
+});
+
+/**
+ * /api/bio-page
+ * GET    - The workspace's link-in-bio page and its links (any member)
+ * PUT    - Create or update the page   Body: { workspaceId, slug, isPublished?, showRecentPosts?, linkOrder? }
+ * POST   - Add a link                  Body: { workspaceId, title, url }
+ * PATCH  - Edit a link                 Body: { workspaceId, linkId, title?, url? }
+ * DELETE - Remove a link               Query: workspaceId, linkId (its short link keeps working)
+ *
+ * Changes require canManageSettings. The public page is api/bio/[slug].js.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (!["GET", "PUT", "POST", "PATCH", "DELETE"].includes(req.method)) {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service unavailable", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const body = ["GET", "DELETE"].includes(req.method) ? {} : await parseBody(req);
+    const workspaceId = body.workspaceId || req.query.workspaceId;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "GET") {
+      return await handleGet(res, supabase, workspaceId);
+    }
+
+    const permissionCheck = checkPermission(membershipCheck.member, 'canManageSettings');
+    if (!permissionCheck.success) {
+      return sendError(res, "Only workspace owners can edit the bio page", ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "PUT") {
+      return await handleSavePage(req, res, supabase, workspaceId, body);
+    }
+    if (req.method === "POST") {
+      return await handleAddLink(req, res, supabase, workspaceId, body);
+    }
+    if (req.method === "PATCH") {
+      return await handleUpdateLink(res, supabase, workspaceId, body);
+    }
+    return await handleRemoveLink(req, res, supabase, workspaceId);
+
+  } catch (error) {
+    logError('bioPage.handler', error, { method: req.method });
+    return sendError(res, "Failed to process bio page request", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+async function handleGet(res, supabase, workspaceId) {
+  const [pageResult, linksResult] = await Promise.all([
+    supabase.from('bio_pages').select('*').eq('workspace_id', workspaceId).maybeSingle(),
+    supabase.from('bio_links').select(LINK_SELECT).eq('workspace_id', workspaceId).order('position', { ascending: true })
+  ]);
+
+  if (pageResult.error || linksResult.error) {
+    logError('bioPage.get', pageResult.error || linksResult.error, { workspaceId });
+    return sendError(res, "Failed to fetch bio page", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, {
+    page: pageResult.data,
+    links: (linksResult.data || []).map(toLinkResponse)
+  });
+}
+
+async function handleSavePage(req, res, supabase, workspaceId, body) {
+  const { isPublished, showRecentPosts, linkOrder } = body;
+
+  const { slug, error: slugError } = normalizeBioSlug(body.slug);
+  if (slugError) {
+    return sendError(res, slugError, ErrorCodes.VALIDATION_ERROR);
+  }
+  if (linkOrder !== undefined && (!Array.isArray(linkOrder) || !linkOrder.every(isValidUUID))) {
+    return sendError(res, "linkOrder must be a list of link IDs", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const row = {
+    workspace_id: workspaceId,
+    slug,
+    updated_at: new Date().toISOString()
+  };
+  if (isPublished !== undefined) row.is_published = isPublished === true;
+  if (showRecentPosts !== undefined) row.show_recent_posts = showRecentPosts === true;
+
+  const { data: existing } = await supabase
+    .from('bio_pages')
+    .select('id')
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  const { data: page, error } = existing
+    ? await supabase.from('bio_pages').update(row).eq('id', existing.id).select().single()
+    : await supabase.from('bio_pages').insert({ ...row, created_by: req.user.id }).select().single();
+
+  if (error?.code === '23505') {
+    return sendError(res, `/bio/${slug} is already taken`, ErrorCodes.VALIDATION_ERROR);
+  }
+  if (error) {
+    logError('bioPage.save', error, { workspaceId });
+    return sendError(res, "Failed to save bio page", ErrorCodes.DATABASE_ERROR);
+  }
+
+  if (linkOrder?.length) {
+    const results = await Promise.all(linkOrder.map((linkId, position) =>
+      supabase
+        .from('bio_links')
+        .update({ position, updated_at: row.updated_at })
+        .eq('id', linkId)
+        .eq('workspace_id', workspaceId)
+    ));
+    const orderError = results.find(result => result.error)?.error;
+    if (orderError) {
+      logError('bioPage.reorder', orderError, { workspaceId });
+      return sendError(res, "Failed to reorder links", ErrorCodes.DATABASE_ERROR);
+    }
+  }
+
+  return sendSuccess(res, { page });
+}
+
+async function handleAddLink(req, res, supabase, workspaceId, body) {
+  const { title, url } = body;
+
+  const validationError = validateBioLink({ title, url });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: existing } = await supabase
+    .from('bio_links')
+    .select('position')
+    .eq('workspace_id', workspaceId)
+    .order('position', { ascending: false });
+
+  if ((existing || []).length >= MAX_BIO_LINKS) {
+    return sendError(res, `A bio page can have up to ${MAX_BIO_LINKS} links`, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { link: shortLink } = await insertShortLink(supabase, { workspaceId, userId: req.user.id, url });
+  if (!shortLink) {
+    return sendError(res, "Failed to create tracked link", ErrorCodes.DATABASE_ERROR);
+  }
+
+  const { data: link, error } = await supabase
+    .from('bio_links')
+    .insert({
+      workspace_id: workspaceId,
+      short_link_id: shortLink.id,
+      title: title.trim(),
+      position: existing?.length ? existing[0].position + 1 : 0
+    })
+    .select(LINK_SELECT)
+    .single();
+
+  if (error) {
+    logError('bioPage.addLink', error, { workspaceId });
+    return sendError(res, "Failed to add link", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { link: toLinkResponse(link) }, 201);
+}
+
+async function handleUpdateLink(res, supabase, workspaceId, body) {
+  const { linkId, title, url } = body;
+
+  if (!linkId || !isValidUUID(linkId)) {
+    return sendError(res, "A valid linkId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: link } = await supabase
+    .from('bio_links')
+    .select(LINK_SELECT)
+    .eq('id', linkId)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (!link) {
+    return sendError(res, "Link not found", ErrorCodes.NOT_FOUND);
+  }
+
+  const validationError = validateBioLink({
+    title: title ?? link.title,
+    url: url ?? link.short_links?.original_url
+  });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const now = new Date().toISOString();
+
+  // The short link keeps its code, so existing clicks stay with it
+  if (url !== undefined) {
+    const { error: urlError } = await supabase
+      .from('short_links')
+      .update({ original_url: url, updated_at: now })
+      .eq('id', link.short_link_id);
+
+    if (urlError) {
+      logError('bioPage.updateLink.url', urlError, { linkId });
+      return sendError(res, "Failed to update link", ErrorCodes.DATABASE_ERROR);
+    }
+  }
+
+  const { data: updated, error } = await supabase
+    .from('bio_links')
+    .update({ title: (title ?? link.title).trim(), updated_at: now })
+    .eq('id', linkId)
+    .select(LINK_SELECT)
+    .single();
+
+  if (error) {
+    logError('bioPage.updateLink', error, { linkId });
+    return sendError(res, "Failed to update link", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { link: toLinkResponse(updated) });
+}
+
+async function handleRemoveLink(req, res, supabase, workspaceId) {
+  const { linkId } = req.query;
+
+  if (!linkId || !isValidUUID(linkId)) {
+    return sendError(res, "A valid linkId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: removed, error } = await supabase
+    .from('bio_links')
+    .delete()
+    .eq('id', linkId)
+    .eq('workspace_id', workspaceId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    logError('bioPage.removeLink', error, { linkId });
+    return sendError(res, "Failed to remove link", ErrorCodes.DATABASE_ERROR);
+  }
+  if (!removed) {
+    return sendError(res, "Link not found", ErrorCodes.NOT_FOUND);
+  }
+
+  return sendSuccess(res, { removed: removed.id });
+}
@@ -0,0 +1,107 @@
+const {
+  setCors,
+  getSupabase,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError
+} = require("../_utils");
+const { normalizeBioSlug, buildPublicBioPage } = require("../_bioPages");
+
+// Posts to look through for the recent posts feed
+const RECENT_POST_LINKS = 50;
+
+/**
+ * GET /api/bio/[slug]
+ * Public data for a published link-in-bio page: brand, managed links and the
+ * recent posts feed. No auth; unpublished pages are a 404.
+ */
+module.exports = async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service unavailable", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const { slug } = normalizeBioSlug(req.query.slug);
+    if (!slug) {
+      return sendError(res, "Page not found", ErrorCodes.NOT_FOUND);
+    }
+
+    const { data: page, error: pageError } = await supabase
+      .from('bio_pages')
+      .select('*')
+      .eq('slug', slug)
+      .eq('is_published', true)
+      .maybeSingle();
+
+    if (pageError) {
+      logError('bio.public.page', pageError, { slug });
+      return sendError(res, "Failed to load page", ErrorCodes.DATABASE_ERROR);
+    }
+    if (!page) {
+      return sendError(res, "Page not found", ErrorCodes.NOT_FOUND);
+    }
+
+    const workspaceId = page.workspace_id;
+    const [brandResult, workspaceResult, linksResult, postLinksResult] = await Promise.all([
+      supabase
+        .from('brand_profiles')
+        .select('brand_name, brand_description, website_url, logo_url, primary_color, accent_color')
+        .eq('workspace_id', workspaceId)
+        .maybeSingle(),
+      supabase
+        .from('workspaces')
+        .select('name, logo_url')
+        .eq('id', workspaceId)
+        .single(),
+      supabase
+        .from('bio_links')
+        .select('id, title, position, short_links(short_code, expires_at, disabled_at, link_domains(domain))')
+        .eq('workspace_id', workspaceId)
+        .order('position', { ascending: true }),
+      page.show_recent_posts
+        ? supabase
+          .from('short_links')
+          .select('short_code, expires_at, disabled_at, link_domains(domain), posts!inner(id, caption, media_urls, posted_at, status)')
+          .eq('workspace_id', workspaceId)
+          .eq('posts.status', 'posted')
+          .order('created_at', { ascending: false })
+          .limit(RECENT_POST_LINKS)
+        : { data: [] }
+    ]);
+
+    if (linksResult.error) {
+      logError('bio.public.links', linksResult.error, { slug });
+      return sendError(res, "Failed to load page", ErrorCodes.DATABASE_ERROR);
+    }
+    if (postLinksResult.error) {
+      // The feed is optional; show the page without it
+      logError('bio.public.posts', postLinksResult.error, { slug });
+    }
+
+    // Short cache so edits show up quickly without every visit hitting the database
+    res.setHeader('Cache-Control', 'public, max-age=60, s-maxage=60');
+
+    return sendSuccess(res, buildPublicBioPage({
+      page,
+      brand: brandResult.data,
+      workspace: workspaceResult.data,
+      links: linksResult.data || [],
+      postLinks: postLinksResult.data || []
+    }));
+  } catch (error) {
+    logError('bio.public.handler', error);
+    return sendError(res, "Failed to load page", ErrorCodes.INTERNAL_ERROR);
+  }
+};
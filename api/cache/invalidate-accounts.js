@@ -3,7 +3,8 @@ const {
   ErrorCodes,
   sendSuccess,
   sendError,
-  logError
+  logError,
+  withAuth
 } = require("../_utils");
 
 let kv;
@@ -13,7 +14,7 @@ try {
   kv = null;
 }
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -58,4 +59,4 @@ module.exports = async function handler(req, res) {
       message: "Cache invalidation attempted but may have failed"
     });
   }
-};
+});
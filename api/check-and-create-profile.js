@@ -6,18 +6,19 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID,
-  isValidEmail,
   isWhitelistedEmail,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("./_utils");
 
 /**
  * Check if user profile exists and create if missing
  * Also handles whitelisted user setup with Ayrshare profile
  * POST /api/check-and-create-profile
+ * The profile is always the signed-in user's; withAuth rejects a body userId
+ * naming anyone else, and the whitelist is checked against the session email.
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -34,15 +35,9 @@ module.exports = async function handler(req, res) {
   }
 
   try {
-    const { userId, email, title, fullName } = req.body;
-
-    if (!userId) {
-      return sendError(res, "userId is required", ErrorCodes.VALIDATION_ERROR);
-    }
-
-    if (!isValidUUID(userId)) {
-      return sendError(res, "Invalid userId format", ErrorCodes.VALIDATION_ERROR);
-    }
+    const { title, fullName } = req.body || {};
+    const userId = req.user.id;
+    const email = req.user.email;
 
     console.log("[CHECK-PROFILE] Checking profile for user:", userId);
 
@@ -180,4 +175,4 @@ module.exports = async function handler(req, res) {
     logError("check-and-create-profile", error);
     return sendError(res, "Failed to check/create profile", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
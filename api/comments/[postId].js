@@ -7,21 +7,24 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
+const { summarizeSentiment } = require("../_sentiment");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 
 /**
  * GET /api/comments/[postId]
  * Fetches comments for a specific post from database (populated by webhooks)
- * Falls back to Ayrshare API if refresh=true is specified
+ * Falls back to Ayrshare API if refresh=true is specified. Stored comments
+ * carry their sentiment and intent, summarized in sentimentSummary.
  *
  * Query params:
  * - workspaceId: Required workspace ID
  * - refresh: Optional, force refresh from Ayrshare (default: false)
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -76,6 +79,7 @@ module.exports = async function handler(req, res) {
       .from('social_engagement_comments')
       .select('*')
       .eq('post_id', post.id)
+      .neq('moderation_status', 'deleted')
       .order('created_at', { ascending: true });
 
     if (dbError) {
@@ -93,6 +97,9 @@ module.exports = async function handler(req, res) {
       },
       created_time: comment.created_at,
       platform: comment.platform,
+      moderation_status: comment.moderation_status,
+      sentiment: comment.sentiment,
+      intent: comment.intent,
       like_count: 0,
       comments: [] // Nested replies not yet supported
     }));
@@ -166,6 +173,7 @@ module.exports = async function handler(req, res) {
       postId,
       count: comments.length,
       platform: comments[0]?.platform || 'unknown',
+      sentimentSummary: summarizeSentiment(dbComments || []),
       source: 'database'
     });
 
@@ -173,4 +181,4 @@ module.exports = async function handler(req, res) {
     logError('comments.handler', error);
     return sendError(res, "Failed to fetch comments", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
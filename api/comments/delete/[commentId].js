@@ -7,7 +7,8 @@ const {
   sendError,
   logError,
   isValidUUID,
-  invalidateWorkspaceCache
+  invalidateWorkspaceCache,
+  withAuth
 } = require("../../_utils");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
@@ -21,7 +22,7 @@ const BASE_AYRSHARE = "https://api.ayrshare.com/api";
  * - postId: Optional post ID for context
  * - platform: Optional platform (facebook, instagram, linkedin, etc.)
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -107,4 +108,4 @@ module.exports = async function handler(req, res) {
     logError('comments.delete.handler', error);
     return sendError(res, "Failed to delete comment", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
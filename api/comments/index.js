@@ -1,16 +1,14 @@
-const axios = require("axios");
 const {
   setCors,
-  getWorkspaceProfileKey,
   parseBody,
   ErrorCodes,
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
-
-const BASE_AYRSHARE = "https://api.ayrshare.com/api";
+const { postComment } = require("../_inbox");
 
 /**
  * POST /api/comments
@@ -22,7 +20,7 @@ const BASE_AYRSHARE = "https://api.ayrshare.com/api";
  * - comment: Required comment text
  * - platform: Required platform (facebook, instagram, linkedin, etc.)
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -57,72 +55,19 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Comment text exceeds maximum length of 2000 characters", ErrorCodes.VALIDATION_ERROR);
     }
 
-    const profileKey = await getWorkspaceProfileKey(workspaceId);
-    if (!profileKey) {
-      return sendError(res, "No Ayrshare profile found for this workspace", ErrorCodes.VALIDATION_ERROR);
+    const result = await postComment({ workspaceId, postId, comment, platforms: [platform || 'facebook'] });
+    if (!result.success) {
+      return sendError(res, result.error, result.code, result.details);
     }
 
-    // Post comment via Ayrshare
-    // Ayrshare expects: POST /comments with { id, comment, platforms[] }
-    try {
-      const targetPlatform = platform || 'facebook';
-      const response = await axios.post(
-        `${BASE_AYRSHARE}/comments`,
-        {
-          id: postId,
-          comment: comment,
-          platforms: [targetPlatform]
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
-            "Profile-Key": profileKey
-          },
-          timeout: 30000
-        }
-      );
-
-      if (response.data && (response.data.status === 'success' || response.data.id)) {
-        return sendSuccess(res, {
-          success: true,
-          comment: {
-            id: response.data.id || response.data.comment_id,
-            message: comment,
-            postId: postId,
-            created_time: new Date().toISOString(),
-            from: {
-              name: 'You',
-              id: 'self'
-            }
-          },
-          ayrshareResponse: response.data
-        });
-      } else {
-        return sendError(
-          res,
-          "Failed to post comment",
-          ErrorCodes.EXTERNAL_API_ERROR,
-          response.data
-        );
-      }
-    } catch (ayrshareError) {
-      logError('comments.post.ayrshare', ayrshareError, { postId });
-
-      const errorMessage = ayrshareError.response?.data?.message ||
-                          ayrshareError.response?.data?.error ||
-                          'Failed to post comment';
-
-      return sendError(
-        res,
-        errorMessage,
-        ErrorCodes.EXTERNAL_API_ERROR,
-        ayrshareError.response?.data
-      );
-    }
+    return sendSuccess(res, {
+      success: true,
+      comment: result.comment,
+      ayrshareResponse: result.ayrshareResponse
+    });
 
   } catch (error) {
     logError('comments.post.handler', error);
     return sendError(res, "Failed to post comment", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -1,16 +1,16 @@
-const axios = require("axios");
 const {
   setCors,
-  getWorkspaceProfileKey,
+  getSupabase,
   parseBody,
   ErrorCodes,
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../../_utils");
-
-const BASE_AYRSHARE = "https://api.ayrshare.com/api";
+const { replyToComment } = require("../../_inbox");
+const { applySavedReply } = require("../../_savedReplies");
 
 /**
  * POST /api/comments/reply/[commentId]
@@ -21,8 +21,10 @@ const BASE_AYRSHARE = "https://api.ayrshare.com/api";
  * - postId: Required post ID
  * - reply: Required reply text
  * - platform: Required platform (facebook, instagram, linkedin, etc.)
+ * - savedReplyId: Optional saved reply the text came from; its {{variables}} are expanded
+ * - correspondentName: Optional commenter name for {{first_name}} / {{correspondent_name}}
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -35,7 +37,8 @@ module.exports = async function handler(req, res) {
 
   try {
     const body = await parseBody(req);
-    const { workspaceId, postId, reply, platform } = body;
+    const { workspaceId, postId, platform, savedReplyId, correspondentName } = body;
+    let { reply } = body;
     const commentId = req.query.commentId || req.url.split('/reply/')[1]?.split('?')[0];
 
     if (!workspaceId || !postId || !reply || !commentId) {
@@ -54,74 +57,45 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Reply text cannot be empty", ErrorCodes.VALIDATION_ERROR);
     }
 
-    if (reply.length > 2000) {
-      return sendError(res, "Reply text exceeds maximum length of 2000 characters", ErrorCodes.VALIDATION_ERROR);
-    }
-
-    const profileKey = await getWorkspaceProfileKey(workspaceId);
-    if (!profileKey) {
-      return sendError(res, "No Ayrshare profile found for this workspace", ErrorCodes.VALIDATION_ERROR);
-    }
+    if (savedReplyId) {
+      if (!isValidUUID(savedReplyId)) {
+        return sendError(res, "Invalid savedReplyId format", ErrorCodes.VALIDATION_ERROR);
+      }
 
-    // Reply to comment via Ayrshare
-    // Ayrshare expects: POST /comments with { id, commentId, comment, platforms[] }
-    try {
-      const targetPlatform = platform || 'facebook';
-      const response = await axios.post(
-        `${BASE_AYRSHARE}/comments`,
-        {
-          id: postId,
-          commentId: commentId,
-          comment: reply,
-          platforms: [targetPlatform]
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
-            "Profile-Key": profileKey
-          },
-          timeout: 30000
-        }
-      );
+      const supabase = getSupabase();
+      if (!supabase) {
+        return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+      }
 
-      if (response.data && (response.data.status === 'success' || response.data.id)) {
-        return sendSuccess(res, {
-          success: true,
-          reply: {
-            id: response.data.id || response.data.reply_id,
-            message: reply,
-            commentId: commentId,
-            postId: postId,
-            created_time: new Date().toISOString()
-          },
-          ayrshareResponse: response.data
-        });
-      } else {
-        return sendError(
-          res,
-          "Failed to post reply",
-          ErrorCodes.EXTERNAL_API_ERROR,
-          response.data
-        );
+      const applied = await applySavedReply(supabase, {
+        workspaceId,
+        savedReplyId,
+        text: reply,
+        correspondentName
+      });
+      if (applied.error) {
+        return sendError(res, applied.error, ErrorCodes.NOT_FOUND);
       }
-    } catch (ayrshareError) {
-      logError('comments.reply.ayrshare', ayrshareError, { postId, commentId });
+      reply = applied.text;
+    }
 
-      const errorMessage = ayrshareError.response?.data?.message ||
-                          ayrshareError.response?.data?.error ||
-                          'Failed to post reply';
+    if (reply.length > 2000) {
+      return sendError(res, "Reply text exceeds maximum length of 2000 characters", ErrorCodes.VALIDATION_ERROR);
+    }
 
-      return sendError(
-        res,
-        errorMessage,
-        ErrorCodes.EXTERNAL_API_ERROR,
-        ayrshareError.response?.data
-      );
+    const result = await replyToComment({ workspaceId, postId, commentId, platform, reply });
+    if (!result.success) {
+      return sendError(res, result.error, result.code, result.details);
     }
 
+    return sendSuccess(res, {
+      success: true,
+      reply: result.reply,
+      ayrshareResponse: result.ayrshareResponse
+    });
+
   } catch (error) {
     logError('comments.reply.handler', error);
     return sendError(res, "Failed to post reply", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
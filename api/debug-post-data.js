@@ -3,14 +3,15 @@ const {
   getSupabase,
   sendSuccess,
   sendError,
-  ErrorCodes
+  ErrorCodes,
+  withAuth
 } = require("./_utils");
 
 /**
  * DEBUG ENDPOINT - Check post data in database
  * GET /api/debug-post-data?workspaceId={workspaceId}&caption={caption}
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -91,4 +92,4 @@ module.exports = async function handler(req, res) {
     console.error('Fatal error:', error);
     return sendError(res, error.message, ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
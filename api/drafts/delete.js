@@ -1,11 +1,12 @@
 import { createClient } from "@supabase/supabase-js";
+import { withAuth } from "../_utils";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-export default async function handler(req, res) {
+export default withAuth(async function handler(req, res) {
   // Set CORS headers
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "POST, DELETE, OPTIONS");
@@ -44,4 +45,4 @@ export default async function handler(req, res) {
     console.error("Error in drafts/delete:", error);
     return res.status(500).json({ error: "Internal server error" });
   }
-}
+});
@@ -1,11 +1,13 @@
 import { createClient } from "@supabase/supabase-js";
+import { withAuth } from "../_utils";
+import { parseExpectedVersion, sendVersionConflict } from "../_versioning";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-export default async function handler(req, res) {
+export default withAuth(async function handler(req, res) {
   // Set CORS headers
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
@@ -27,7 +29,8 @@ export default async function handler(req, res) {
       caption,
       mediaUrls,
       platforms,
-      scheduledDate
+      scheduledDate,
+      version
     } = req.body;
 
     if (!workspaceId || !userId) {
@@ -45,15 +48,21 @@ export default async function handler(req, res) {
     };
 
     let result;
+    const expectedVersion = parseExpectedVersion(version);
 
     if (draftId) {
-      // UPDATE existing draft
-      const { data, error } = await supabase
+      // UPDATE existing draft, only if nobody else saved it since it was loaded
+      let updateQuery = supabase
         .from("post_drafts")
         .update(draftData)
         .eq("id", draftId)
-        .eq("workspace_id", workspaceId)
-        .select();
+        .eq("workspace_id", workspaceId);
+
+      if (expectedVersion !== null) {
+        updateQuery = updateQuery.eq("version", expectedVersion);
+      }
+
+      const { data, error } = await updateQuery.select();
 
       // If update fails or returns no rows (draft was deleted), create new draft
       if (error && error.code !== 'PGRST116') {
@@ -61,6 +70,20 @@ export default async function handler(req, res) {
         return res.status(500).json({ error: "Failed to update draft" });
       }
 
+      if ((!data || data.length === 0) && expectedVersion !== null) {
+        // Nothing matched: either the draft was deleted or its version moved on
+        const { data: current } = await supabase
+          .from("post_drafts")
+          .select("*")
+          .eq("id", draftId)
+          .eq("workspace_id", workspaceId)
+          .maybeSingle();
+
+        if (current) {
+          return sendVersionConflict(res, current);
+        }
+      }
+
       if (!data || data.length === 0) {
         // Draft doesn't exist, create a new one instead
         console.log("Draft not found, creating new draft instead");
@@ -98,4 +121,4 @@ export default async function handler(req, res) {
     console.error("Error in drafts/save:", error);
     return res.status(500).json({ error: "Internal server error" });
   }
-}
+});
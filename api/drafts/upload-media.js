@@ -1,5 +1,6 @@
 const { createClient } = require("@supabase/supabase-js");
 const Busboy = require("busboy");
+const { setCors, enforceRequestScope } = require("../_utils");
 
 // ✅ CRITICAL FIX: Disable Vercel's default body parser so busboy can stream the raw request.
 // Without this, Vercel consumes the body before busboy sees it, causing all uploads to fail.
@@ -120,9 +121,7 @@ async function uploadFileToStorage(file, workspaceId, userId) {
 }
 
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  setCors(res, req);
 
   if (req.method === "OPTIONS") {
     return res.status(200).end();
@@ -136,6 +135,9 @@ module.exports = async function handler(req, res) {
     const { fields, files } = await parseFormData(req);
     const { workspaceId, userId } = fields;
 
+    const blocked = await enforceRequestScope(req, res, { userId, workspaceId });
+    if (blocked) return;
+
     if (!workspaceId || !userId) {
       return res
         .status(400)
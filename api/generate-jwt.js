@@ -23,7 +23,8 @@ const {
   sendError,
   ErrorCodes,
   logError,
-  setCors
+  setCors,
+  withAuth
 } = require("./_utils");
 
 const BASE_AYRSHARE = "https://app.ayrshare.com/api";
@@ -66,7 +67,7 @@ const readPrivateKey = async (privateKeyPathOrContent) => {
  * Generate JWT URL for Ayrshare social account connection
  * GET /api/generate-jwt?workspaceId=xxx&userId=xxx
  */
-module.exports = async (req, res) => {
+module.exports = withAuth(async (req, res) => {
   // Set CORS headers first
   setCors(res, req);
 
@@ -194,4 +195,4 @@ module.exports = async (req, res) => {
       );
     }
   });
-};
+});
@@ -1,5 +1,6 @@
 const { createClient } = require("@supabase/supabase-js");
 const axios = require("axios");
+const { withAuth } = require("./_utils");
 let kv;
 try {
   kv = require("@vercel/kv").kv;
@@ -211,7 +212,7 @@ Variation 1: Casual/chill. Variation 2: Slightly polished.`;
   return variations.length > 0 ? variations : [content];
 }
 
-module.exports = async (req, res) => {
+module.exports = withAuth(async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type");
@@ -313,4 +314,4 @@ module.exports = async (req, res) => {
       error: error.message || "Failed to generate post"
     });
   }
-};
+});
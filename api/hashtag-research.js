@@ -4,6 +4,7 @@ const {
   sendSuccess,
   sendError,
   ErrorCodes,
+  withAuth
 } = require("./_utils");
 
 /**
@@ -11,7 +12,7 @@ const {
  * POST /api/hashtag-research
  * Body: { topic, platform, count }
  */
-module.exports = async (req, res) => {
+module.exports = withAuth(async (req, res) => {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -52,7 +53,7 @@ module.exports = async (req, res) => {
     console.error("Hashtag Research API error:", error);
     return sendError(res, "Failed to generate hashtags", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
 
 /**
  * Generate hashtags using Claude AI
@@ -21,24 +21,24 @@ module.exports = async function handler(req, res) {
     AYRSHARE_PROFILE_KEY: !!process.env.AYRSHARE_PROFILE_KEY,
     AYRSHARE_PRIVATE_KEY: !!process.env.AYRSHARE_PRIVATE_KEY,
     AYRSHARE_DOMAIN: !!process.env.AYRSHARE_DOMAIN,
+    AYRSHARE_WEBHOOK_SECRET: !!process.env.AYRSHARE_WEBHOOK_SECRET,
     ANTHROPIC_API_KEY: !!process.env.ANTHROPIC_API_KEY,
     RESEND_API_KEY: !!process.env.RESEND_API_KEY
   };
 
   // Warm up frequently-polled endpoints to prevent cold starts.
-  // These endpoints will return 400 (missing params) but the lambda stays warm.
-  // Without this, notifications and inbox go cold every ~30 min and users see
+  // These endpoints will return 401 (no session) but the lambda stays warm.
+  // Without this, notifications go cold every ~30 min and users see
   // "Failed to fetch" errors for ~60 seconds until the function spins back up.
+  // The inbox isn't included: it updates over Supabase Realtime and only
+  // polls as a fallback.
   const baseUrl = `https://${req.headers.host}`;
   const warmUpResults = {};
   try {
-    const results = await Promise.allSettled([
-      fetch(`${baseUrl}/api/notifications/list`).then(r => r.status),
-      fetch(`${baseUrl}/api/inbox/conversations`).then(r => r.status),
-    ]);
-    warmUpResults.notifications = results[0].status === 'fulfilled' ? results[0].value : 'failed';
-    warmUpResults.inbox = results[1].status === 'fulfilled' ? results[1].value : 'failed';
+    const status = await fetch(`${baseUrl}/api/notifications/list`).then(r => r.status);
+    warmUpResults.notifications = status;
   } catch (e) {
+    warmUpResults.notifications = 'failed';
     warmUpResults.error = e.message;
   }
 
@@ -3,34 +3,58 @@ const {
   setCors,
   getWorkspaceProfileKey,
   getSupabase,
+  parseBody,
   ErrorCodes,
   sendSuccess,
   sendError,
   logError,
   isValidUUID,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission, normalizeRole } = require("../_utils-access-control");
+const { buildConversationUpdate, saveInboxThread } = require("../_inbox");
+const { classifyPendingMessages } = require("../_sentiment");
+const {
+  SUPPORTED_PLATFORMS,
+  INBOX_PLATFORMS,
+  normalizeInboxPlatform,
+  getReplyRestriction,
+  normalizeCommentThread,
+  normalizeReview
+} = require("../_inboxPlatforms");
+const { sendInboxAssignedNotification } = require("../notifications/helpers");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
-const SUPPORTED_PLATFORMS = ['facebook', 'instagram', 'twitter'];
+
+// How far back to look for comments on our posts, and how many posts per sync
+const COMMENT_SYNC_DAYS = 14;
+const COMMENT_SYNC_POST_LIMIT = 20;
 
 /**
  * GET /api/inbox/conversations
- * Fetches all DM conversations from Ayrshare and syncs to local cache
+ * Fetches inbox conversations from Ayrshare and syncs to local cache: DMs
+ * (Facebook, Instagram, X), comment threads on our recent posts (LinkedIn,
+ * TikTok, Threads, Bluesky, YouTube) and Google Business reviews
  *
  * Query params:
  * - workspaceId: Required workspace ID
- * - platform: Optional filter (facebook, instagram, twitter, or 'all')
+ * - platform: Optional filter (one of SUPPORTED_PLATFORMS in api/_inboxPlatforms.js, or 'all')
+ * - type: Optional conversation type filter (dm, comment, review)
  * - refresh: If 'true', force refresh from Ayrshare API
+ *
+ * PATCH /api/inbox/conversations
+ * Assigns a conversation and/or changes its status (team members only)
+ * Body: { workspaceId, conversationId, assignedTo?: userId|null, status?: 'open'|'pending'|'closed' }
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
     return res.status(200).end();
   }
 
-  if (req.method !== "GET") {
+  if (req.method !== "GET" && req.method !== "PATCH") {
     return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
   }
 
@@ -39,8 +63,14 @@ module.exports = async function handler(req, res) {
     return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
   }
 
+  if (req.method === "PATCH") {
+    return handleUpdateConversation(req, res, supabase);
+  }
+
   try {
-    const { workspaceId, platform = 'all', refresh = 'false' } = req.query;
+    const { workspaceId, type, refresh = 'false' } = req.query;
+    const requestedPlatform = req.query.platform || 'all';
+    const platform = requestedPlatform === 'all' ? 'all' : normalizeInboxPlatform(requestedPlatform);
 
     if (!workspaceId) {
       return sendError(res, "workspaceId is required", ErrorCodes.VALIDATION_ERROR);
@@ -51,7 +81,7 @@ module.exports = async function handler(req, res) {
     }
 
     // Validate platform
-    if (platform !== 'all' && !SUPPORTED_PLATFORMS.includes(platform)) {
+    if (!platform) {
       return sendError(
         res,
         `Invalid platform. Must be 'all' or one of: ${SUPPORTED_PLATFORMS.join(', ')}`,
@@ -59,6 +89,15 @@ module.exports = async function handler(req, res) {
       );
     }
 
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    if (!checkPermission(membershipCheck.member, 'canAccessSocialInbox').success) {
+      return sendError(res, "You don't have access to the social inbox", ErrorCodes.FORBIDDEN);
+    }
+
     const profileKey = await getWorkspaceProfileKey(workspaceId);
     if (!profileKey) {
       return sendError(res, "No social accounts connected for this workspace", ErrorCodes.VALIDATION_ERROR);
@@ -70,7 +109,8 @@ module.exports = async function handler(req, res) {
     // Check if we should fetch from Ayrshare or use cache
     let syncResults = null;
     if (shouldRefresh && isServiceConfigured('ayrshare')) {
-      syncResults = await syncConversationsFromAyrshare(supabase, workspaceId, profileKey, platformsToFetch);
+      syncResults = await syncInboxFromAyrshare(supabase, workspaceId, profileKey, platformsToFetch);
+      await classifyPendingMessages(supabase, workspaceId);
     }
 
     // Fetch from local cache
@@ -85,6 +125,10 @@ module.exports = async function handler(req, res) {
       query = query.eq('platform', platform);
     }
 
+    if (type) {
+      query = query.eq('conversation_type', type);
+    }
+
     const { data: conversations, error } = await query;
 
     if (error) {
@@ -123,15 +167,120 @@ module.exports = async function handler(req, res) {
     logError('inbox.conversations.handler', error);
     return sendError(res, "Failed to fetch conversations", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
+
+/**
+ * PATCH: Assign a conversation and/or change its status
+ */
+async function handleUpdateConversation(req, res, supabase) {
+  try {
+    const body = await parseBody(req);
+    const { workspaceId, conversationId } = body;
+
+    if (!workspaceId || !conversationId) {
+      return sendError(res, "workspaceId and conversationId are required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    if (!isValidUUID(workspaceId) || !isValidUUID(conversationId)) {
+      return sendError(res, "Invalid ID format", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    const permissionCheck = checkPermission(membershipCheck.member, 'canAccessSocialInbox');
+    if (!permissionCheck.success) {
+      return sendError(res, "You don't have access to the social inbox", ErrorCodes.FORBIDDEN);
+    }
+
+    const result = buildConversationUpdate(body, req.user.id);
+    if (result.error) {
+      return sendError(res, result.error, ErrorCodes.VALIDATION_ERROR);
+    }
+
+    // Conversations can only go to team members, not clients
+    if (result.update.assigned_to) {
+      const { data: assignee } = await supabase
+        .from('workspace_members')
+        .select('role')
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', result.update.assigned_to)
+        .single();
+
+      if (!assignee || normalizeRole(assignee.role) === 'viewer') {
+        return sendError(res, "Conversations can only be assigned to team members of this workspace", ErrorCodes.VALIDATION_ERROR);
+      }
+    }
+
+    const { data: previous, error: fetchError } = await supabase
+      .from('inbox_conversations')
+      .select('id, assigned_to')
+      .eq('id', conversationId)
+      .eq('workspace_id', workspaceId)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') {
+      logError('inbox.conversations.update.fetch', fetchError, { conversationId });
+    }
+
+    if (!previous) {
+      return sendError(res, "Conversation not found", ErrorCodes.NOT_FOUND);
+    }
+
+    const { data: conversation, error: updateError } = await supabase
+      .from('inbox_conversations')
+      .update({ ...result.update, updated_at: new Date().toISOString() })
+      .eq('id', conversationId)
+      .eq('workspace_id', workspaceId)
+      .select()
+      .single();
+
+    if (updateError) {
+      logError('inbox.conversations.update', updateError, { conversationId });
+      return sendError(res, "Failed to update conversation", ErrorCodes.DATABASE_ERROR);
+    }
+
+    const assigneeChanged = result.update.assigned_to && result.update.assigned_to !== previous.assigned_to;
+    if (assigneeChanged && result.update.assigned_to !== req.user.id) {
+      await sendInboxAssignedNotification(supabase, {
+        workspaceId,
+        conversationId,
+        assigneeId: result.update.assigned_to,
+        assignedByUserId: req.user.id,
+        platform: conversation.platform,
+        correspondentName: conversation.correspondent_name
+      });
+    }
+
+    return sendSuccess(res, { conversation });
+
+  } catch (error) {
+    logError('inbox.conversations.update.handler', error);
+    return sendError(res, "Failed to update conversation", ErrorCodes.INTERNAL_ERROR);
+  }
+}
 
 /**
- * Sync conversations from Ayrshare API to local Supabase cache
+ * Sync every requested platform from Ayrshare to the local Supabase cache,
+ * using the API that matches its conversation type
  */
-async function syncConversationsFromAyrshare(supabase, workspaceId, profileKey, platforms) {
-  const results = [];
+async function syncInboxFromAyrshare(supabase, workspaceId, profileKey, platforms) {
   const diagnostics = { platforms: {}, totalSynced: 0 };
+  const ofType = (type) => platforms.filter(p => INBOX_PLATFORMS[p].type === type);
+
+  await syncConversationsFromAyrshare(supabase, workspaceId, profileKey, ofType('dm'), diagnostics);
+  await syncCommentThreadsFromAyrshare(supabase, workspaceId, profileKey, ofType('comment'), diagnostics);
+  await syncReviewsFromAyrshare(supabase, workspaceId, profileKey, ofType('review'), diagnostics);
 
+  return diagnostics;
+}
+
+/**
+ * Sync DM conversations from Ayrshare API to local Supabase cache
+ */
+async function syncConversationsFromAyrshare(supabase, workspaceId, profileKey, platforms, diagnostics) {
   for (const platform of platforms) {
     const platformDiag = { status: 'pending', conversationsFound: 0, error: null, rawResponseType: null };
     diagnostics.platforms[platform] = platformDiag;
@@ -165,9 +314,12 @@ async function syncConversationsFromAyrshare(supabase, workspaceId, profileKey,
 
       // Upsert each conversation to local cache
       for (const conv of ayrshareConversations) {
+        const lastCorrespondentAt = conv.lastMessage?.timestamp || conv.lastMessageAt;
+        const replyRestriction = getReplyRestriction(platform, { lastCorrespondentAt });
         const conversationData = {
           workspace_id: workspaceId,
           platform: platform,
+          conversation_type: 'dm',
           ayrshare_conversation_id: conv.conversationId || conv.id,
           correspondent_id: conv.correspondentId || conv.senderId || conv.userId,
           correspondent_name: conv.correspondentName || conv.senderName || conv.name || 'Unknown',
@@ -177,7 +329,8 @@ async function syncConversationsFromAyrshare(supabase, workspaceId, profileKey,
           last_message_at: conv.lastMessage?.timestamp || conv.lastMessageAt || conv.updatedAt,
           last_message_sender: conv.lastMessage?.isFromUser ? 'user' : 'correspondent',
           unread_count: conv.unreadCount || 0,
-          can_reply: checkCanReply(platform, conv),
+          can_reply: !replyRestriction,
+          reply_restriction: replyRestriction,
           metadata: {
             raw: conv,
             syncedAt: new Date().toISOString()
@@ -195,7 +348,6 @@ async function syncConversationsFromAyrshare(supabase, workspaceId, profileKey,
           logError('inbox.conversations.sync.upsert', error, { conversationId: conv.conversationId });
           platformDiag.dbError = error.message;
         } else {
-          results.push(conversationData);
           diagnostics.totalSynced++;
         }
       }
@@ -210,28 +362,137 @@ async function syncConversationsFromAyrshare(supabase, workspaceId, profileKey,
       // Continue with other platforms
     }
   }
-
-  return diagnostics;
 }
 
 /**
- * Check if we can reply to this conversation
- * Instagram has a 7-day window restriction
+ * Sync comment threads on the workspace's recently published posts. Each
+ * top-level comment becomes a conversation; GET /comments/:id returns every
+ * platform's comments for a post, so each post is fetched once.
  */
-function checkCanReply(platform, conversation) {
-  if (platform !== 'instagram') {
-    return true;
+async function syncCommentThreadsFromAyrshare(supabase, workspaceId, profileKey, platforms, diagnostics) {
+  if (platforms.length === 0) return;
+
+  for (const platform of platforms) {
+    diagnostics.platforms[platform] = { status: 'pending', conversationsFound: 0, error: null };
   }
 
-  // Check if last correspondent message was within 7 days
-  const lastCorrespondentMessage = conversation.lastMessage?.timestamp || conversation.lastMessageAt;
-  if (!lastCorrespondentMessage) {
-    return true;
+  const since = new Date();
+  since.setDate(since.getDate() - COMMENT_SYNC_DAYS);
+
+  const { data: posts, error: postsError } = await supabase
+    .from('posts')
+    .select('id, ayr_post_id, platforms, caption')
+    .eq('workspace_id', workspaceId)
+    .eq('status', 'posted')
+    .not('ayr_post_id', 'is', null)
+    .gte('posted_at', since.toISOString())
+    .order('posted_at', { ascending: false })
+    .limit(COMMENT_SYNC_POST_LIMIT);
+
+  if (postsError) {
+    logError('inbox.conversations.sync.comments.posts', postsError, { workspaceId });
+    for (const platform of platforms) {
+      Object.assign(diagnostics.platforms[platform], { status: 'error', error: 'Failed to load published posts' });
+    }
+    return;
+  }
+
+  for (const post of posts || []) {
+    const postPlatforms = platforms.filter(platform =>
+      (post.platforms || []).some(p => normalizeInboxPlatform(p) === platform)
+    );
+    if (postPlatforms.length === 0) continue;
+
+    try {
+      const response = await axios.get(`${BASE_AYRSHARE}/comments/${post.ayr_post_id}`, {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
+          "Profile-Key": profileKey
+        },
+        timeout: 30000
+      });
+
+      for (const platform of postPlatforms) {
+        const comments = Array.isArray(response.data?.[platform]) ? response.data[platform] : [];
+        const platformDiag = diagnostics.platforms[platform];
+
+        for (const comment of comments) {
+          const thread = normalizeCommentThread(platform, post.ayr_post_id, comment, {
+            workspaceId,
+            postCaption: post.caption
+          });
+          const saved = await saveInboxThread(supabase, thread);
+          if (saved.error) {
+            platformDiag.dbError = saved.error;
+          } else {
+            platformDiag.conversationsFound++;
+            diagnostics.totalSynced++;
+          }
+        }
+        platformDiag.status = 'success';
+      }
+    } catch (postError) {
+      logError('inbox.conversations.sync.comments', postError, { postId: post.ayr_post_id });
+      for (const platform of postPlatforms) {
+        Object.assign(diagnostics.platforms[platform], {
+          status: 'error',
+          error: postError.response?.data?.message || postError.response?.data?.error || postError.message,
+          httpStatus: postError.response?.status
+        });
+      }
+    }
   }
 
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+  // Platforms with no recent posts have nothing to sync
+  for (const platform of platforms) {
+    if (diagnostics.platforms[platform].status === 'pending') {
+      diagnostics.platforms[platform].status = 'success';
+    }
+  }
+}
 
-  const messageDate = new Date(lastCorrespondentMessage);
-  return messageDate > sevenDaysAgo;
+/**
+ * Sync Google Business reviews; each review is a conversation
+ */
+async function syncReviewsFromAyrshare(supabase, workspaceId, profileKey, platforms, diagnostics) {
+  for (const platform of platforms) {
+    const platformDiag = { status: 'pending', conversationsFound: 0, error: null };
+    diagnostics.platforms[platform] = platformDiag;
+
+    try {
+      const response = await axios.get(`${BASE_AYRSHARE}/reviews`, {
+        params: { platform },
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
+          "Profile-Key": profileKey
+        },
+        timeout: 30000
+      });
+
+      const reviews = response.data?.reviews || response.data?.[platform] || [];
+      if (!Array.isArray(reviews)) {
+        platformDiag.status = 'unexpected_format';
+        continue;
+      }
+
+      for (const review of reviews) {
+        const saved = await saveInboxThread(supabase, normalizeReview(review, { workspaceId }));
+        if (saved.error) {
+          platformDiag.dbError = saved.error;
+        } else {
+          platformDiag.conversationsFound++;
+          diagnostics.totalSynced++;
+        }
+      }
+
+      platformDiag.status = 'success';
+    } catch (platformError) {
+      logError('inbox.conversations.sync.reviews', platformError, { platform });
+      platformDiag.status = 'error';
+      platformDiag.error = platformError.response?.data?.message || platformError.response?.data?.error || platformError.message;
+      platformDiag.httpStatus = platformError.response?.status;
+    }
+  }
 }
@@ -6,16 +6,20 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
 
 /**
  * Mark Conversation as Read
  *
  * PUT /api/inbox/mark-read
- * Body: { conversationId, userId }
+ * Body: { conversationId }
+ * Marks it read for the signed-in user; needs canAccessSocialInbox in the
+ * conversation's workspace.
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -33,18 +37,34 @@ module.exports = async function handler(req, res) {
 
   try {
     const body = await parseBody(req);
-    const { conversationId, userId } = body;
+    const { conversationId } = body;
+    const userId = req.user.id;
 
-    if (!conversationId || !userId) {
-      return sendError(res, "conversationId and userId are required", ErrorCodes.VALIDATION_ERROR);
+    if (!conversationId) {
+      return sendError(res, "conversationId is required", ErrorCodes.VALIDATION_ERROR);
     }
 
     if (!isValidUUID(conversationId)) {
       return sendError(res, "Invalid conversationId format", ErrorCodes.VALIDATION_ERROR);
     }
 
-    if (!isValidUUID(userId)) {
-      return sendError(res, "Invalid userId format", ErrorCodes.VALIDATION_ERROR);
+    const { data: conversation } = await supabase
+      .from('inbox_conversations')
+      .select('workspace_id')
+      .eq('id', conversationId)
+      .maybeSingle();
+
+    if (!conversation) {
+      return sendError(res, "Conversation not found", ErrorCodes.NOT_FOUND);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, userId, conversation.workspace_id);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    if (!checkPermission(membershipCheck.member, 'canAccessSocialInbox').success) {
+      return sendError(res, "You don't have access to the social inbox", ErrorCodes.FORBIDDEN);
     }
 
     // Update read status using the database function
@@ -83,4 +103,4 @@ module.exports = async function handler(req, res) {
     logError('inbox.mark-read.handler', error);
     return sendError(res, "Failed to mark conversation as read", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
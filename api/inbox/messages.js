@@ -9,8 +9,13 @@ const {
   sendError,
   logError,
   isValidUUID,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { sendInboxMessage } = require("../_inbox");
+const { applySavedReply } = require("../_savedReplies");
+const { classifyPendingMessages } = require("../_sentiment");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 
@@ -22,9 +27,10 @@ const BASE_AYRSHARE = "https://api.ayrshare.com/api";
  *
  * POST /api/inbox/messages
  * - Sends a new message in a conversation
- * Body: { workspaceId, platform, conversationId, message, mediaUrl? }
+ * Body: { workspaceId, platform, conversationId, message, mediaUrl?, savedReplyId? }
+ * - With savedReplyId, {{variables}} in message are expanded for this conversation
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -43,7 +49,7 @@ module.exports = async function handler(req, res) {
   } else {
     return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
   }
-};
+});
 
 /**
  * GET: Fetch messages for a conversation
@@ -68,6 +74,15 @@ async function handleGetMessages(req, res, supabase) {
       return sendError(res, "Invalid conversationId format", ErrorCodes.VALIDATION_ERROR);
     }
 
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    if (!checkPermission(membershipCheck.member, 'canAccessSocialInbox').success) {
+      return sendError(res, "You don't have access to the social inbox", ErrorCodes.FORBIDDEN);
+    }
+
     const profileKey = await getWorkspaceProfileKey(workspaceId);
     if (!profileKey) {
       return sendError(res, "No social accounts connected for this workspace", ErrorCodes.VALIDATION_ERROR);
@@ -76,7 +91,7 @@ async function handleGetMessages(req, res, supabase) {
     // Get the local conversation record
     const { data: conversation, error: convError } = await supabase
       .from('inbox_conversations')
-      .select('id, ayrshare_conversation_id, can_reply')
+      .select('id, ayrshare_conversation_id, conversation_type, can_reply')
       .eq('id', conversationId)
       .eq('workspace_id', workspaceId)
       .single();
@@ -91,8 +106,9 @@ async function handleGetMessages(req, res, supabase) {
 
     const ayrshareConversationId = conversation.ayrshare_conversation_id;
 
-    // Fetch messages from Ayrshare if refresh requested
-    if (refresh === 'true' && isServiceConfigured('ayrshare')) {
+    // Fetch messages from Ayrshare if refresh requested. Comment threads and
+    // reviews have no message endpoint; they're refreshed by the conversations sync
+    if (refresh === 'true' && conversation.conversation_type === 'dm' && isServiceConfigured('ayrshare')) {
       await syncMessagesFromAyrshare(
         supabase,
         conversationId,
@@ -100,6 +116,7 @@ async function handleGetMessages(req, res, supabase) {
         platform,
         profileKey
       );
+      await classifyPendingMessages(supabase, workspaceId);
     }
 
     // Fetch messages from local cache
@@ -133,7 +150,8 @@ async function handleGetMessages(req, res, supabase) {
 async function handleSendMessage(req, res, supabase) {
   try {
     const body = await parseBody(req);
-    const { workspaceId, platform, conversationId, message, mediaUrl } = body;
+    const { workspaceId, platform, conversationId, mediaUrl, savedReplyId } = body;
+    let { message } = body;
 
     if (!workspaceId || !platform || !conversationId || !message) {
       return sendError(
@@ -151,124 +169,56 @@ async function handleSendMessage(req, res, supabase) {
       return sendError(res, "Invalid conversationId format", ErrorCodes.VALIDATION_ERROR);
     }
 
-    // Validate message length
-    if (message.length > 2000) {
-      return sendError(res, "Message exceeds maximum length of 2000 characters", ErrorCodes.VALIDATION_ERROR);
-    }
-
-    if (!isServiceConfigured('ayrshare')) {
-      return sendError(res, "Social media service is not configured", ErrorCodes.CONFIG_ERROR);
-    }
-
-    const profileKey = await getWorkspaceProfileKey(workspaceId);
-    if (!profileKey) {
-      return sendError(res, "No social accounts connected for this workspace", ErrorCodes.VALIDATION_ERROR);
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
     }
 
-    // Get the conversation to check if we can reply and get Ayrshare conversation ID
-    const { data: conversation, error: convError } = await supabase
-      .from('inbox_conversations')
-      .select('id, ayrshare_conversation_id, correspondent_id, can_reply')
-      .eq('id', conversationId)
-      .eq('workspace_id', workspaceId)
-      .single();
-
-    if (convError && convError.code !== 'PGRST116') {
-      logError('inbox.messages.send.getConversation', convError, { conversationId });
+    if (!checkPermission(membershipCheck.member, 'canAccessSocialInbox').success) {
+      return sendError(res, "You don't have access to the social inbox", ErrorCodes.FORBIDDEN);
     }
 
-    if (!conversation) {
-      return sendError(res, "Conversation not found", ErrorCodes.NOT_FOUND);
-    }
-
-    if (!conversation.can_reply) {
-      return sendError(
-        res,
-        "Cannot reply to this conversation. Instagram conversations expire after 7 days of inactivity.",
-        ErrorCodes.VALIDATION_ERROR
-      );
-    }
-
-    // Build message payload for Ayrshare
-    const messagePayload = {
-      conversationId: conversation.ayrshare_conversation_id,
-      message: message
-    };
+    if (savedReplyId) {
+      if (!isValidUUID(savedReplyId)) {
+        return sendError(res, "Invalid savedReplyId format", ErrorCodes.VALIDATION_ERROR);
+      }
 
-    if (mediaUrl) {
-      messagePayload.mediaUrls = [mediaUrl];
-    }
+      const { data: conversation } = await supabase
+        .from('inbox_conversations')
+        .select('correspondent_name')
+        .eq('id', conversationId)
+        .eq('workspace_id', workspaceId)
+        .single();
 
-    // Send message via Ayrshare
-    let response;
-    try {
-      response = await axios.post(
-        `${BASE_AYRSHARE}/messages/${platform}`,
-        messagePayload,
-        {
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
-            "Profile-Key": profileKey
-          },
-          timeout: 30000
-        }
-      );
-    } catch (axiosError) {
-      logError('inbox.messages.send.ayrshare', axiosError, { platform, conversationId });
-      return sendError(
-        res,
-        "Failed to send message",
-        ErrorCodes.EXTERNAL_API_ERROR,
-        axiosError.response?.data
-      );
-    }
+      if (!conversation) {
+        return sendError(res, "Conversation not found", ErrorCodes.NOT_FOUND);
+      }
 
-    if (response.data.status === 'error') {
-      return sendError(res, "Failed to send message", ErrorCodes.EXTERNAL_API_ERROR, response.data);
+      const applied = await applySavedReply(supabase, {
+        workspaceId,
+        savedReplyId,
+        text: message,
+        correspondentName: conversation.correspondent_name
+      });
+      if (applied.error) {
+        return sendError(res, applied.error, ErrorCodes.NOT_FOUND);
+      }
+      message = applied.text;
     }
 
-    // Save message to local cache
-    const sentMessage = {
-      conversation_id: conversationId,
-      ayrshare_message_id: response.data.id || response.data.messageId,
-      platform_message_id: response.data.platformMessageId,
-      sender_type: 'user',
-      sender_name: 'You',
-      message_text: message,
-      media_urls: mediaUrl ? [mediaUrl] : [],
-      sent_at: new Date().toISOString(),
-      metadata: { ayrshareResponse: response.data }
-    };
-
-    const { data: savedMessage, error: saveError } = await supabase
-      .from('inbox_messages')
-      .insert([sentMessage])
-      .select()
-      .single();
-
-    if (saveError) {
-      logError('inbox.messages.send.save', saveError, { conversationId });
+    // Validate message length
+    if (message.length > 2000) {
+      return sendError(res, "Message exceeds maximum length of 2000 characters", ErrorCodes.VALIDATION_ERROR);
     }
 
-    // Update conversation's last message
-    const { error: updateError } = await supabase
-      .from('inbox_conversations')
-      .update({
-        last_message_text: message,
-        last_message_at: new Date().toISOString(),
-        last_message_sender: 'user',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', conversationId);
-
-    if (updateError) {
-      logError('inbox.messages.send.updateConversation', updateError, { conversationId });
+    const result = await sendInboxMessage(supabase, { workspaceId, platform, conversationId, message, mediaUrl });
+    if (!result.success) {
+      return sendError(res, result.error, result.code, result.details);
     }
 
     return sendSuccess(res, {
-      message: savedMessage || sentMessage,
-      ayrshareResponse: response.data
+      message: result.message,
+      ayrshareResponse: result.ayrshareResponse
     });
 
   } catch (error) {
@@ -0,0 +1,170 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { MAX_NOTE_LENGTH } = require("../_inbox");
+
+/**
+ * Internal notes on inbox conversations. Notes are only visible to the team
+ * (not clients) and are never sent to the correspondent.
+ *
+ * GET    /api/inbox/notes?workspaceId=xxx&conversationId=xxx
+ * POST   /api/inbox/notes                 Body: { workspaceId, conversationId, note }
+ * DELETE /api/inbox/notes?workspaceId=xxx&noteId=xxx  (author or owner)
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (!["GET", "POST", "DELETE"].includes(req.method)) {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const body = req.method === "POST" ? await parseBody(req) : {};
+    const workspaceId = body.workspaceId || req.query.workspaceId;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    const permissionCheck = checkPermission(membershipCheck.member, 'canAccessSocialInbox');
+    if (!permissionCheck.success) {
+      return sendError(res, "You don't have access to the social inbox", ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "DELETE") {
+      return handleDelete(req, res, supabase, workspaceId, membershipCheck.member);
+    }
+
+    const conversationId = body.conversationId || req.query.conversationId;
+    if (!conversationId || !isValidUUID(conversationId)) {
+      return sendError(res, "A valid conversationId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const { data: conversation } = await supabase
+      .from('inbox_conversations')
+      .select('id')
+      .eq('id', conversationId)
+      .eq('workspace_id', workspaceId)
+      .single();
+
+    if (!conversation) {
+      return sendError(res, "Conversation not found", ErrorCodes.NOT_FOUND);
+    }
+
+    if (req.method === "GET") {
+      const { data: notes, error } = await supabase
+        .from('inbox_notes')
+        .select('id, conversation_id, user_id, note, created_at')
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        logError('inbox.notes.fetch', error, { conversationId });
+        return sendError(res, "Failed to fetch notes", ErrorCodes.DATABASE_ERROR);
+      }
+
+      return sendSuccess(res, { notes: await withAuthors(supabase, notes || []) });
+    }
+
+    const note = typeof body.note === 'string' ? body.note.trim() : '';
+    if (!note) {
+      return sendError(res, "note is required", ErrorCodes.VALIDATION_ERROR);
+    }
+    if (note.length > MAX_NOTE_LENGTH) {
+      return sendError(res, `Note exceeds maximum length of ${MAX_NOTE_LENGTH} characters`, ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const { data: created, error: insertError } = await supabase
+      .from('inbox_notes')
+      .insert({
+        conversation_id: conversationId,
+        workspace_id: workspaceId,
+        user_id: req.user.id,
+        note
+      })
+      .select('id, conversation_id, user_id, note, created_at')
+      .single();
+
+    if (insertError) {
+      logError('inbox.notes.insert', insertError, { conversationId });
+      return sendError(res, "Failed to add note", ErrorCodes.DATABASE_ERROR);
+    }
+
+    const [withAuthor] = await withAuthors(supabase, [created]);
+    return sendSuccess(res, { note: withAuthor });
+
+  } catch (error) {
+    logError('inbox.notes.handler', error, { method: req.method });
+    return sendError(res, "Failed to process note request", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+async function handleDelete(req, res, supabase, workspaceId, member) {
+  const { noteId } = req.query;
+  if (!noteId || !isValidUUID(noteId)) {
+    return sendError(res, "A valid noteId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: note } = await supabase
+    .from('inbox_notes')
+    .select('id, user_id')
+    .eq('id', noteId)
+    .eq('workspace_id', workspaceId)
+    .single();
+
+  if (!note) {
+    return sendError(res, "Note not found", ErrorCodes.NOT_FOUND);
+  }
+
+  if (note.user_id !== req.user.id && member.role !== 'owner') {
+    return sendError(res, "You can only delete your own notes", ErrorCodes.FORBIDDEN);
+  }
+
+  const { error } = await supabase
+    .from('inbox_notes')
+    .delete()
+    .eq('id', noteId);
+
+  if (error) {
+    logError('inbox.notes.delete', error, { noteId });
+    return sendError(res, "Failed to delete note", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { deleted: noteId });
+}
+
+async function withAuthors(supabase, notes) {
+  const userIds = [...new Set(notes.map(n => n.user_id).filter(Boolean))];
+  if (userIds.length === 0) return notes;
+
+  const { data: profiles } = await supabase
+    .from('user_profiles')
+    .select('id, full_name, email, avatar_url')
+    .in('id', userIds);
+
+  const profileMap = Object.fromEntries((profiles || []).map(p => [p.id, p]));
+  return notes.map(n => ({ ...n, author: profileMap[n.user_id] || null }));
+}
@@ -2,14 +2,17 @@ const axios = require("axios");
 const {
   setCors,
   getWorkspaceProfileKey,
+  getSupabase,
   parseBody,
   ErrorCodes,
   sendSuccess,
   sendError,
   logError,
   isValidUUID,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 
@@ -21,7 +24,7 @@ const BASE_AYRSHARE = "https://api.ayrshare.com/api";
  *
  * Registers webhook with Ayrshare to receive real-time message notifications
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -36,6 +39,10 @@ module.exports = async function handler(req, res) {
     return sendError(res, "Social media service is not configured", ErrorCodes.CONFIG_ERROR);
   }
 
+  if (!isServiceConfigured('ayrshareWebhook')) {
+    return sendError(res, "AYRSHARE_WEBHOOK_SECRET must be configured before registering webhooks", ErrorCodes.CONFIG_ERROR);
+  }
+
   try {
     const body = await parseBody(req);
     const { workspaceId, webhookUrl } = body;
@@ -48,6 +55,20 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Invalid workspaceId format", ErrorCodes.VALIDATION_ERROR);
     }
 
+    const supabase = getSupabase();
+    if (!supabase) {
+      return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    if (!checkPermission(membershipCheck.member, 'canAccessSocialInbox').success) {
+      return sendError(res, "You don't have access to the social inbox", ErrorCodes.FORBIDDEN);
+    }
+
     const profileKey = await getWorkspaceProfileKey(workspaceId);
     if (!profileKey) {
       return sendError(res, "No social accounts connected for this workspace", ErrorCodes.VALIDATION_ERROR);
@@ -68,7 +89,9 @@ module.exports = async function handler(req, res) {
         `${BASE_AYRSHARE}/hook/webhook`,
         {
           action: "messages",
-          url: fullWebhookUrl
+          url: fullWebhookUrl,
+          // Ayrshare signs each delivery with this secret; the webhook rejects unsigned calls
+          secretKey: process.env.AYRSHARE_WEBHOOK_SECRET
         },
         {
           headers: {
@@ -98,4 +121,4 @@ module.exports = async function handler(req, res) {
     logError('inbox.setup-webhook.handler', error);
     return sendError(res, "Failed to setup webhook", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
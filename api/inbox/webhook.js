@@ -1,12 +1,12 @@
 const {
   setCors,
   getSupabase,
-  parseBody,
   ErrorCodes,
   sendSuccess,
   sendError,
   logError
 } = require("../_utils");
+const { receiveAyrshareWebhook, completeWebhookEvent } = require("../_webhookSecurity");
 
 /**
  * Webhook Handler for Ayrshare Message Events
@@ -18,6 +18,7 @@ const {
  * - message_reaction: Reaction to a message
  *
  * Setup: Register this endpoint with Ayrshare via POST /hook/webhook
+ * Deliveries must be signed with AYRSHARE_WEBHOOK_SECRET (see api/_webhookSecurity.js)
  */
 module.exports = async function handler(req, res) {
   setCors(res);
@@ -45,7 +46,17 @@ module.exports = async function handler(req, res) {
   }
 
   try {
-    const body = await parseBody(req);
+    const delivery = await receiveAyrshareWebhook(req, supabase, 'inbox');
+
+    if (delivery.status === 'rejected') {
+      return sendError(res, "Invalid webhook signature", ErrorCodes.AUTH_INVALID);
+    }
+
+    if (delivery.status === 'duplicate') {
+      return sendSuccess(res, { processed: false, duplicate: true });
+    }
+
+    const body = delivery.payload;
     const {
       event,
       type,
@@ -62,22 +73,6 @@ module.exports = async function handler(req, res) {
 
     const eventType = event || type;
 
-    // Log the webhook event
-    const { data: webhookLog, error: logErr } = await supabase
-      .from('inbox_webhook_events')
-      .insert([{
-        event_type: eventType,
-        platform: platform || 'unknown',
-        payload: body,
-        processed: false
-      }])
-      .select()
-      .single();
-
-    if (logErr) {
-      logError('inbox.webhook.log', logErr, { eventType });
-    }
-
     // Find the workspace by profile key
     let workspaceId = null;
     if (profileKey) {
@@ -141,21 +136,11 @@ module.exports = async function handler(req, res) {
     }
 
     // Update the webhook log with processing status
-    if (webhookLog?.id) {
-      const { error: updateErr } = await supabase
-        .from('inbox_webhook_events')
-        .update({
-          processed,
-          processed_at: processed ? new Date().toISOString() : null,
-          error_message: errorMessage,
-          workspace_id: workspaceId
-        })
-        .eq('id', webhookLog.id);
-
-      if (updateErr) {
-        logError('inbox.webhook.updateLog', updateErr, { webhookLogId: webhookLog.id });
-      }
-    }
+    await completeWebhookEvent(supabase, delivery.eventLogId, {
+      processed,
+      errorMessage,
+      workspaceId
+    });
 
     return sendSuccess(res, { processed });
 
@@ -165,6 +150,13 @@ module.exports = async function handler(req, res) {
   }
 };
 
+// Disable body parsing - we need the raw body for signature verification
+module.exports.config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
 /**
  * Handle incoming message webhook
  */
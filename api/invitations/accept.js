@@ -9,44 +9,13 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
+const { getRoleColumnDefaults } = require("../_utils-access-control");
+const { AUDIT_ACTIONS, invitationAuditEntry, recordAudit } = require("../_audit");
 
-// Role-based permissions
-const ROLE_PERMISSIONS = {
-  owner: {
-    can_manage_team: true,
-    can_manage_settings: true,
-    can_delete_posts: true,
-    can_approve_posts: true
-  },
-  admin: {
-    can_manage_team: true,
-    can_manage_settings: true,
-    can_delete_posts: true,
-    can_approve_posts: true
-  },
-  editor: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: true,
-    can_approve_posts: false
-  },
-  view_only: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: false,
-    can_approve_posts: false
-  },
-  client: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: false,
-    can_approve_posts: true
-  }
-};
-
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -179,7 +148,7 @@ module.exports = async function handler(req, res) {
     }
 
     // Add to workspace
-    const permissions = ROLE_PERMISSIONS[invitation.role] || ROLE_PERMISSIONS.editor;
+    const permissions = getRoleColumnDefaults(invitation.role);
 
     console.log('[accept] Adding member to workspace:', {
       workspace_id: invitation.workspace_id,
@@ -194,10 +163,7 @@ module.exports = async function handler(req, res) {
         workspace_id: invitation.workspace_id,
         user_id: userId,
         role: invitation.role,
-        can_manage_team: permissions.can_manage_team,
-        can_manage_settings: permissions.can_manage_settings,
-        can_delete_posts: permissions.can_delete_posts,
-        can_approve_posts: permissions.can_approve_posts
+        ...permissions
       })
       .select();
 
@@ -227,6 +193,10 @@ module.exports = async function handler(req, res) {
       })
       .eq('id', invitation.id);
 
+    await recordAudit(supabase, invitationAuditEntry(AUDIT_ACTIONS.INVITATION_ACCEPTED, invitation, {
+      after: { role: invitation.role }
+    }), req);
+
     // Set as active workspace
     await supabase
       .from('user_profiles')
@@ -248,4 +218,4 @@ module.exports = async function handler(req, res) {
     logError('invitations.accept.handler', error);
     return sendError(res, "Failed to accept invitation", ErrorCodes.INTERNAL_ERROR);
   }
-};
+}, { workspaceMember: false });
@@ -9,10 +9,12 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
+const { AUDIT_ACTIONS, invitationAuditEntry, recordAudit } = require("../_audit");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -55,7 +57,7 @@ module.exports = async function handler(req, res) {
     // Get invitation
     const { data: invitation, error: inviteError } = await supabase
       .from('workspace_invitations')
-      .select('id, workspace_id, status')
+      .select('id, workspace_id, email, role, status')
       .eq('id', invitationId)
       .single();
 
@@ -87,6 +89,10 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Failed to cancel invitation", ErrorCodes.DATABASE_ERROR);
     }
 
+    await recordAudit(supabase, invitationAuditEntry(AUDIT_ACTIONS.INVITATION_CANCELLED, invitation, {
+      before: { role: invitation.role, status: invitation.status }
+    }), req);
+
     console.log('Invitation cancelled:', invitationId);
 
     return sendSuccess(res, {
@@ -98,4 +104,4 @@ module.exports = async function handler(req, res) {
     logError('invitations.cancel.handler', error);
     return sendError(res, "Failed to cancel invitation", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
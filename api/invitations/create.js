@@ -12,17 +12,19 @@ const {
   logError,
   isValidUUID,
   isValidEmail,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("../_utils");
 const {
   verifyWorkspaceMembership,
   checkPermission,
   canInviteTeamMember
 } = require("../_utils-access-control");
+const { AUDIT_ACTIONS, invitationAuditEntry, recordAudit } = require("../_audit");
 
 const VALID_ROLES = ['member', 'viewer'];
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -210,6 +212,11 @@ module.exports = async function handler(req, res) {
       invitation = created;
     }
 
+    await recordAudit(supabase, invitationAuditEntry(AUDIT_ACTIONS.INVITATION_SENT, invitation, {
+      after: { role: invitation.role },
+      metadata: { resent: existingInvite?.status === 'pending' }
+    }), req);
+
     // Get workspace and inviter info for email
     const { data: workspaceData } = await supabase
       .from('workspaces')
@@ -311,4 +318,4 @@ module.exports = async function handler(req, res) {
     logError('invitations.create.handler', error);
     return sendError(res, "Failed to create invitation", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -8,10 +8,11 @@ const {
   ErrorCodes,
   sendSuccess,
   sendError,
-  logError
+  logError,
+  withAuth
 } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -115,4 +116,4 @@ module.exports = async function handler(req, res) {
       stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined
     });
   }
-};
+});
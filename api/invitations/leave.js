@@ -9,10 +9,12 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
+const { AUDIT_ACTIONS, getMemberLabel, recordAudit } = require("../_audit");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -85,6 +87,15 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Failed to leave workspace", ErrorCodes.DATABASE_ERROR);
     }
 
+    await recordAudit(supabase, {
+      workspaceId,
+      action: AUDIT_ACTIONS.MEMBER_LEFT,
+      targetType: 'member',
+      targetId: userId,
+      targetLabel: await getMemberLabel(supabase, userId),
+      before: { role: membership.role }
+    }, req);
+
     console.log('Member left workspace:', {
       userId,
       workspaceId,
@@ -100,4 +111,4 @@ module.exports = async function handler(req, res) {
     logError('invitations.leave.handler', error);
     return sendError(res, "Failed to leave workspace", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
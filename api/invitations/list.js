@@ -9,10 +9,11 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -97,4 +98,4 @@ module.exports = async function handler(req, res) {
     logError('invitations.list.handler', error);
     return sendError(res, "Failed to list invitations", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
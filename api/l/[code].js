@@ -3,11 +3,19 @@ const {
   getSupabase,
   logError
 } = require("../_utils");
+const { buildClickRecord } = require("../_linkTracking");
+const { getLinkState, sendLinkUnavailable } = require("../_shortLinks");
+const { isAppHost, getRequestHost } = require("../_linkDomains");
 
 /**
  * GET /api/l/[code]
  * Redirect handler for short links
- * Tracks clicks and redirects to the original URL
+ * Tracks clicks and redirects to the original URL. Bots and link-preview
+ * fetchers are recorded but don't count towards click_count.
+ *
+ * Codes are looked up on the domain the request came in on: a workspace's
+ * verified custom domain, or the app's own domain for everything else.
+ * Disabled and expired links don't redirect.
  */
 module.exports = async function handler(req, res) {
   // Allow CORS for analytics tracking
@@ -35,39 +43,61 @@ module.exports = async function handler(req, res) {
       return res.redirect(302, '/');
     }
 
+    // Custom domain links only resolve on that domain, once it's verified
+    const host = getRequestHost(req);
+    let domain = null;
+    if (!isAppHost(host)) {
+      const { data: domainRow } = await supabase
+        .from('link_domains')
+        .select('id, status')
+        .eq('domain', host)
+        .maybeSingle();
+
+      if (domainRow && domainRow.status !== 'verified') {
+        return sendLinkUnavailable(res, 404, "This link isn't available.");
+      }
+      domain = domainRow;
+    }
+
     // Look up the short link
-    const { data: shortLink, error: fetchError } = await supabase
+    let linkQuery = supabase
       .from('short_links')
-      .select('id, original_url, click_count')
-      .eq('short_code', code)
-      .single();
+      .select('id, workspace_id, original_url, platform, expires_at, disabled_at')
+      .eq('short_code', code);
+    linkQuery = domain ? linkQuery.eq('domain_id', domain.id) : linkQuery.is('domain_id', null);
+
+    const { data: shortLink, error: fetchError } = await linkQuery.maybeSingle();
 
     if (fetchError || !shortLink) {
-      console.log(`[Short link] Code not found: ${code}`);
-      return res.redirect(302, '/');
+      console.log(`[Short link] Code not found: ${host}/${code}`);
+      return domain
+        ? sendLinkUnavailable(res, 404, "This link doesn't exist.")
+        : res.redirect(302, '/');
+    }
+
+    const state = getLinkState(shortLink);
+    if (state !== 'active') {
+      return sendLinkUnavailable(res, 410, state === 'expired' ? "This link has expired." : "This link has been disabled.");
     }
 
     // Track the click (non-blocking)
     const trackClick = async () => {
       try {
-        // Increment click count
-        await supabase
-          .from('short_links')
-          .update({
-            click_count: (shortLink.click_count || 0) + 1,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', shortLink.id);
+        const click = buildClickRecord(shortLink, req);
 
         // Record detailed click data
-        await supabase
-          .from('link_clicks')
-          .insert({
-            short_link_id: shortLink.id,
-            ip_address: req.headers['x-forwarded-for']?.split(',')[0] || req.socket?.remoteAddress || null,
-            user_agent: req.headers['user-agent'] || null,
-            referer: req.headers['referer'] || null
-          });
+        const { error: insertError } = await supabase.from('link_clicks').insert(click);
+        if (insertError) {
+          logError('Record link click', insertError, { code });
+        }
+
+        // Increment click count in one statement so concurrent clicks aren't lost
+        if (!click.is_bot) {
+          const { error: countError } = await supabase.rpc('increment_link_clicks', { p_link_id: shortLink.id });
+          if (countError) {
+            logError('Increment link clicks', countError, { code });
+          }
+        }
       } catch (error) {
         logError('Track link click', error, { code });
       }
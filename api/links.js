@@ -1,29 +1,32 @@
 const {
   setCors,
   getSupabase,
+  parseBody,
   ErrorCodes,
   sendError,
   logError,
-  validateRequired,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("./_utils");
-
-// Generate a random short code (6 characters)
-function generateShortCode() {
-  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = '';
-  for (let i = 0; i < 6; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return code;
-}
-
-// Get base URL for short links
-function getBaseUrl() {
-  return process.env.APP_URL || process.env.FRONTEND_URL || 'https://woozysocials.com';
-}
-
-module.exports = async function handler(req, res) {
+const { verifyWorkspaceMembership, checkPermission } = require("./_utils-access-control");
+const { createShortLink, buildShortUrl, parseExpiresAt, getLinkState } = require("./_shortLinks");
+
+const withShortUrl = ({ link_domains: linkDomain, ...link }) => ({
+  ...link,
+  domain: linkDomain?.domain || null,
+  shortLink: buildShortUrl(link.short_code, linkDomain?.domain),
+  state: getLinkState(link)
+});
+
+/**
+ * /api/links
+ * GET   - List a workspace's short links       Query: workspaceId
+ * POST  - Create a short link                  Body: see createShortLink in _shortLinks.js
+ * PATCH - Change a link's expiry or disable it Body: { workspaceId, linkId, expiresAt?, disabled? }
+ *
+ * Links can be changed by whoever made them or anyone with canManageSettings.
+ */
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -38,81 +41,7 @@ module.exports = async function handler(req, res) {
   try {
     // POST - Create a new short link
     if (req.method === "POST") {
-      const { url, workspaceId, userId } = req.body;
-
-      // Validate required fields
-      const validation = validateRequired(req.body, ['url', 'workspaceId']);
-      if (!validation.valid) {
-        return sendError(
-          res,
-          `Missing required fields: ${validation.missing.join(', ')}`,
-          ErrorCodes.VALIDATION_ERROR
-        );
-      }
-
-      // Validate URL format
-      try {
-        new URL(url);
-      } catch {
-        return sendError(res, "Invalid URL format", ErrorCodes.VALIDATION_ERROR);
-      }
-
-      // Validate workspaceId format
-      if (!isValidUUID(workspaceId)) {
-        return sendError(res, "Invalid workspace ID", ErrorCodes.VALIDATION_ERROR);
-      }
-
-      // Generate unique short code
-      let shortCode;
-      let attempts = 0;
-      const maxAttempts = 5;
-
-      while (attempts < maxAttempts) {
-        shortCode = generateShortCode();
-
-        // Check if code already exists
-        const { data: existing } = await supabase
-          .from('short_links')
-          .select('id')
-          .eq('short_code', shortCode)
-          .single();
-
-        if (!existing) break;
-        attempts++;
-      }
-
-      if (attempts >= maxAttempts) {
-        return sendError(res, "Failed to generate unique short code", ErrorCodes.INTERNAL_ERROR);
-      }
-
-      // Create the short link
-      const { data: newLink, error: insertError } = await supabase
-        .from('short_links')
-        .insert({
-          workspace_id: workspaceId,
-          user_id: userId || null,
-          short_code: shortCode,
-          original_url: url
-        })
-        .select()
-        .single();
-
-      if (insertError) {
-        logError('Create short link', insertError, { workspaceId, url });
-        return sendError(res, "Failed to create short link", ErrorCodes.DATABASE_ERROR);
-      }
-
-      const baseUrl = getBaseUrl();
-      const shortLink = `${baseUrl}/l/${shortCode}`;
-
-      return res.status(201).json({
-        success: true,
-        id: newLink.id,
-        shortCode: shortCode,
-        shortLink: shortLink,
-        originalUrl: url,
-        clickCount: 0
-      });
+      return await createShortLink(req, res, supabase, req.body);
     }
 
     // GET - List short links for a workspace
@@ -123,9 +52,14 @@ module.exports = async function handler(req, res) {
         return sendError(res, "Valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
       }
 
+      const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+      if (!membershipCheck.success) {
+        return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+      }
+
       const { data: links, error: fetchError } = await supabase
         .from('short_links')
-        .select('*')
+        .select('*, link_domains(domain)')
         .eq('workspace_id', workspaceId)
         .order('created_at', { ascending: false });
 
@@ -134,22 +68,86 @@ module.exports = async function handler(req, res) {
         return sendError(res, "Failed to fetch short links", ErrorCodes.DATABASE_ERROR);
       }
 
-      const baseUrl = getBaseUrl();
-      const linksWithFullUrl = links.map(link => ({
-        ...link,
-        shortLink: `${baseUrl}/l/${link.short_code}`
-      }));
-
       return res.status(200).json({
         success: true,
-        links: linksWithFullUrl
+        links: links.map(withShortUrl)
       });
     }
 
+    // PATCH - Expire or disable a link
+    if (req.method === "PATCH") {
+      return await handleUpdate(req, res, supabase);
+    }
+
     return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
 
   } catch (error) {
     logError('Links API', error);
     return sendError(res, "An unexpected error occurred", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
+
+async function handleUpdate(req, res, supabase) {
+  const { workspaceId, linkId, expiresAt, disabled } = await parseBody(req);
+
+  if (!isValidUUID(workspaceId) || !isValidUUID(linkId)) {
+    return sendError(res, "Valid workspaceId and linkId are required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+  if (!membershipCheck.success) {
+    return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+  }
+
+  const { data: link } = await supabase
+    .from('short_links')
+    .select('id, user_id, disabled_at')
+    .eq('id', linkId)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (!link) {
+    return sendError(res, "Link not found", ErrorCodes.NOT_FOUND);
+  }
+
+  const canManage = checkPermission(membershipCheck.member, 'canManageSettings').success;
+  if (link.user_id !== req.user.id && !canManage) {
+    return sendError(res, "Only the link's creator or a workspace owner can change it", ErrorCodes.FORBIDDEN);
+  }
+
+  const updates = {};
+  if (expiresAt !== undefined) {
+    const parsed = parseExpiresAt(expiresAt);
+    if (parsed.error) {
+      return sendError(res, parsed.error, ErrorCodes.VALIDATION_ERROR);
+    }
+    updates.expires_at = parsed.expiresAt;
+  }
+  if (disabled !== undefined) {
+    // Keep the original time if it's already disabled
+    updates.disabled_at = disabled === true ? (link.disabled_at || new Date().toISOString()) : null;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return sendError(res, "No fields to update", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  updates.updated_at = new Date().toISOString();
+
+  const { data: updated, error: updateError } = await supabase
+    .from('short_links')
+    .update(updates)
+    .eq('id', linkId)
+    .select('*, link_domains(domain)')
+    .single();
+
+  if (updateError) {
+    logError('Update short link', updateError, { linkId });
+    return sendError(res, "Failed to update short link", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return res.status(200).json({
+    success: true,
+    link: withShortUrl(updated)
+  });
+}
@@ -0,0 +1,128 @@
+const {
+  setCors,
+  getSupabase,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership } = require("../_utils-access-control");
+const { summarizeLinkClicks } = require("../_linkTracking");
+const { buildShortUrl } = require("../_shortLinks");
+
+const PERIODS = [7, 30, 90];
+
+// Enough for a busy workspace's quarter; the counts say when it's been cut short
+const MAX_CLICKS = 50000;
+
+/**
+ * GET /api/links/analytics
+ * Short link clicks for a workspace over a period, by day, post, platform,
+ * referrer and device. Bots and link-preview fetchers are excluded.
+ *
+ * Query: workspaceId, days (7, 30 or 90; default 30), linkId (optional)
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service unavailable", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const { workspaceId, linkId } = req.query;
+    const days = PERIODS.includes(Number(req.query.days)) ? Number(req.query.days) : 30;
+
+    if (!isValidUUID(workspaceId)) {
+      return sendError(res, "Valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+    if (linkId && !isValidUUID(linkId)) {
+      return sendError(res, "Invalid linkId", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    let linksQuery = supabase
+      .from('short_links')
+      .select('id, short_code, original_url, post_id, platform, click_count, created_at, link_domains(domain)')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: false });
+    if (linkId) linksQuery = linksQuery.eq('id', linkId);
+
+    const { data: links, error: linksError } = await linksQuery;
+    if (linksError) {
+      logError('links.analytics.links', linksError, { workspaceId });
+      return sendError(res, "Failed to fetch links", ErrorCodes.DATABASE_ERROR);
+    }
+
+    const to = new Date();
+    const from = new Date(to);
+    from.setUTCDate(from.getUTCDate() - (days - 1));
+    from.setUTCHours(0, 0, 0, 0);
+
+    let clicksQuery = supabase
+      .from('link_clicks')
+      .select('short_link_id, clicked_at, ip_address, user_agent, referer_host, platform, device_type, os, is_bot')
+      .eq('workspace_id', workspaceId)
+      .gte('clicked_at', from.toISOString())
+      .order('clicked_at', { ascending: false })
+      .limit(MAX_CLICKS);
+    if (linkId) clicksQuery = clicksQuery.eq('short_link_id', linkId);
+
+    const { data: clickRows, error: clicksError } = await clicksQuery;
+    if (clicksError) {
+      logError('links.analytics.clicks', clicksError, { workspaceId });
+      return sendError(res, "Failed to fetch link clicks", ErrorCodes.DATABASE_ERROR);
+    }
+    const clicks = clickRows || [];
+
+    // Credit clicks to the post their link was published in
+    const linkById = new Map(links.map(link => [link.id, link]));
+    const clicksWithPost = clicks.map(click => ({
+      ...click,
+      post_id: linkById.get(click.short_link_id)?.post_id || null
+    }));
+
+    const postIds = [...new Set(links.map(link => link.post_id).filter(Boolean))];
+    const { data: posts } = postIds.length > 0
+      ? await supabase.from('posts').select('id, caption').in('id', postIds)
+      : { data: [] };
+    const postCaptions = Object.fromEntries((posts || []).map(post => [post.id, post.caption]));
+
+    const summary = summarizeLinkClicks(clicksWithPost, { from, to, postCaptions });
+
+    const periodClicks = new Map();
+    for (const click of clicks) {
+      if (!click.is_bot) periodClicks.set(click.short_link_id, (periodClicks.get(click.short_link_id) || 0) + 1);
+    }
+
+    return sendSuccess(res, {
+      ...summary,
+      days,
+      truncated: clicks.length >= MAX_CLICKS,
+      links: links.map(({ link_domains: linkDomain, ...link }) => ({
+        ...link,
+        shortLink: buildShortUrl(link.short_code, linkDomain?.domain),
+        caption: postCaptions[link.post_id] || null,
+        periodClicks: periodClicks.get(link.id) || 0
+      }))
+    });
+  } catch (error) {
+    logError('links.analytics.handler', error);
+    return sendError(res, "Failed to load link analytics", ErrorCodes.INTERNAL_ERROR);
+  }
+});
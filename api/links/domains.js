@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { normalizeDomain, getDnsRecords } = require("../_linkDomains");
+const { recordAudit, AUDIT_ACTIONS } = require("../_audit");
+
+const MAX_DOMAINS_PER_WORKSPACE = 5;
+
+const withRecords = (domain) => ({
+  ...domain,
+  records: getDnsRecords(domain.domain, domain.verification_token)
+});
+
+/**
+ * /api/links/domains
+ * GET    - List a workspace's custom short link domains with their DNS records (any member)
+ * POST   - Add a domain      Body: { workspaceId, domain }
+ * DELETE - Remove a domain   Query: workspaceId, domainId (its short links are deleted with it)
+ *
+ * Adding and removing domains requires canManageSettings. Verify with
+ * POST /api/links/verify-domain once the DNS records are in place.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (!["GET", "POST", "DELETE"].includes(req.method)) {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service unavailable", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const body = req.method === "POST" ? await parseBody(req) : {};
+    const workspaceId = body.workspaceId || req.query.workspaceId;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "GET") {
+      return await handleList(res, supabase, workspaceId);
+    }
+
+    const permissionCheck = checkPermission(membershipCheck.member, 'canManageSettings');
+    if (!permissionCheck.success) {
+      return sendError(res, "Only workspace owners can manage link domains", ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "POST") {
+      return await handleAdd(req, res, supabase, workspaceId, body);
+    }
+    return await handleRemove(req, res, supabase, workspaceId);
+
+  } catch (error) {
+    logError('links.domains.handler', error, { method: req.method });
+    return sendError(res, "Failed to process domain request", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+async function handleList(res, supabase, workspaceId) {
+  const { data: domains, error } = await supabase
+    .from('link_domains')
+    .select('*, short_links(count)')
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logError('links.domains.list', error, { workspaceId });
+    return sendError(res, "Failed to fetch domains", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, {
+    domains: (domains || []).map(({ short_links: links, ...domain }) => ({
+      ...withRecords(domain),
+      link_count: links?.[0]?.count || 0
+    }))
+  });
+}
+
+async function handleAdd(req, res, supabase, workspaceId, body) {
+  const domain = normalizeDomain(body.domain);
+  if (!domain) {
+    return sendError(res, "Enter a domain you own, e.g. go.yourbrand.com", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { count } = await supabase
+    .from('link_domains')
+    .select('id', { count: 'exact', head: true })
+    .eq('workspace_id', workspaceId);
+
+  if (count >= MAX_DOMAINS_PER_WORKSPACE) {
+    return sendError(res, `A workspace can have up to ${MAX_DOMAINS_PER_WORKSPACE} link domains`, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: created, error } = await supabase
+    .from('link_domains')
+    .insert({
+      workspace_id: workspaceId,
+      domain,
+      verification_token: crypto.randomBytes(16).toString('hex'),
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error?.code === '23505') {
+    return sendError(res, `${domain} is already in use`, ErrorCodes.VALIDATION_ERROR);
+  }
+  if (error) {
+    logError('links.domains.add', error, { workspaceId, domain });
+    return sendError(res, "Failed to add domain", ErrorCodes.DATABASE_ERROR);
+  }
+
+  await recordAudit(supabase, {
+    workspaceId,
+    action: AUDIT_ACTIONS.LINK_DOMAIN_ADDED,
+    targetType: 'link_domain',
+    targetId: created.id,
+    targetLabel: domain
+  }, req);
+
+  return sendSuccess(res, { domain: { ...withRecords(created), link_count: 0 } }, 201);
+}
+
+async function handleRemove(req, res, supabase, workspaceId) {
+  const { domainId } = req.query;
+
+  if (!domainId || !isValidUUID(domainId)) {
+    return sendError(res, "A valid domainId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: removed, error } = await supabase
+    .from('link_domains')
+    .delete()
+    .eq('id', domainId)
+    .eq('workspace_id', workspaceId)
+    .select('id, domain')
+    .maybeSingle();
+
+  if (error) {
+    logError('links.domains.remove', error, { domainId });
+    return sendError(res, "Failed to remove domain", ErrorCodes.DATABASE_ERROR);
+  }
+
+  if (!removed) {
+    return sendError(res, "Domain not found", ErrorCodes.NOT_FOUND);
+  }
+
+  await recordAudit(supabase, {
+    workspaceId,
+    action: AUDIT_ACTIONS.LINK_DOMAIN_REMOVED,
+    targetType: 'link_domain',
+    targetId: removed.id,
+    targetLabel: removed.domain
+  }, req);
+
+  return sendSuccess(res, { removed: removed.id });
+}
@@ -0,0 +1,118 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { checkDomainDns, getDnsRecords } = require("../_linkDomains");
+const { recordAudit, AUDIT_ACTIONS } = require("../_audit");
+
+/**
+ * POST /api/links/verify-domain
+ * Check a custom link domain's DNS records and update its status.
+ * A verified domain that no longer checks out goes back to failed, and its
+ * links stop resolving until it's fixed.
+ *
+ * Body: { workspaceId, domainId }
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service unavailable", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const { workspaceId, domainId } = await parseBody(req);
+
+    if (!isValidUUID(workspaceId) || !isValidUUID(domainId)) {
+      return sendError(res, "Valid workspaceId and domainId are required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+    if (!checkPermission(membershipCheck.member, 'canManageSettings').success) {
+      return sendError(res, "Only workspace owners can manage link domains", ErrorCodes.FORBIDDEN);
+    }
+
+    const { data: domain, error: fetchError } = await supabase
+      .from('link_domains')
+      .select('*')
+      .eq('id', domainId)
+      .eq('workspace_id', workspaceId)
+      .maybeSingle();
+
+    if (fetchError) {
+      logError('links.verifyDomain.fetch', fetchError, { domainId });
+      return sendError(res, "Failed to fetch domain", ErrorCodes.DATABASE_ERROR);
+    }
+    if (!domain) {
+      return sendError(res, "Domain not found", ErrorCodes.NOT_FOUND);
+    }
+
+    let check;
+    try {
+      check = await checkDomainDns(domain.domain, domain.verification_token);
+    } catch (dnsError) {
+      logError('links.verifyDomain.dns', dnsError, { domain: domain.domain });
+      check = { verified: false, error: "DNS lookup failed, try again in a few minutes" };
+    }
+
+    const now = new Date().toISOString();
+    const updates = {
+      status: check.verified ? 'verified' : 'failed',
+      last_checked_at: now,
+      last_error: check.error,
+      updated_at: now
+    };
+    if (check.verified && domain.status !== 'verified') updates.verified_at = now;
+
+    const { data: updated, error: updateError } = await supabase
+      .from('link_domains')
+      .update(updates)
+      .eq('id', domain.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      logError('links.verifyDomain.update', updateError, { domainId });
+      return sendError(res, "Failed to update domain", ErrorCodes.DATABASE_ERROR);
+    }
+
+    if (check.verified && domain.status !== 'verified') {
+      await recordAudit(supabase, {
+        workspaceId,
+        action: AUDIT_ACTIONS.LINK_DOMAIN_VERIFIED,
+        targetType: 'link_domain',
+        targetId: domain.id,
+        targetLabel: domain.domain
+      }, req);
+    }
+
+    return sendSuccess(res, {
+      domain: { ...updated, records: getDnsRecords(updated.domain, updated.verification_token) },
+      verified: check.verified,
+      reason: check.error
+    });
+  } catch (error) {
+    logError('links.verifyDomain.handler', error);
+    return sendError(res, "Failed to verify domain", ErrorCodes.INTERNAL_ERROR);
+  }
+});
@@ -6,8 +6,10 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
+const { AUDIT_ACTIONS, recordAudit } = require("../_audit");
 
 /**
  * /api/media/assets
@@ -15,7 +17,7 @@ const {
  * PATCH - Update asset metadata (tags, description, file_name)
  * DELETE - Delete an asset by ID (single or bulk via assetIds)
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -139,7 +141,7 @@ module.exports = async function handler(req, res) {
       // Get assets to find storage paths
       const { data: assets, error: fetchError } = await supabase
         .from('media_assets')
-        .select('id, storage_path')
+        .select('id, storage_path, file_name, file_type')
         .eq('workspace_id', workspaceId)
         .in('id', idsToDelete);
 
@@ -171,6 +173,15 @@ module.exports = async function handler(req, res) {
         return sendError(res, "Failed to delete assets", ErrorCodes.DATABASE_ERROR);
       }
 
+      await recordAudit(supabase, assets.map(asset => ({
+        workspaceId,
+        action: AUDIT_ACTIONS.ASSET_DELETED,
+        targetType: 'asset',
+        targetId: asset.id,
+        targetLabel: asset.file_name || asset.storage_path,
+        before: { file_name: asset.file_name, file_type: asset.file_type }
+      })), req);
+
       return sendSuccess(res, { deleted: true, count: assets.length });
     } catch (error) {
       logError('media.assets.delete', error);
@@ -179,4 +190,4 @@ module.exports = async function handler(req, res) {
   }
 
   return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
-};
+});
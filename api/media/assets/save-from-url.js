@@ -6,7 +6,8 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../../_utils");
 
 // Storage caps per tier (in bytes)
@@ -25,7 +26,7 @@ const STORAGE_CAPS = {
  *
  * Body: { url, workspaceId, userId, fileName }
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -148,4 +149,4 @@ module.exports = async function handler(req, res) {
     logError('media.assets.saveFromUrl', error);
     return sendError(res, "Internal server error", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -5,7 +5,8 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../../_utils");
 
 // Storage caps per tier (in bytes)
@@ -24,7 +25,7 @@ const STORAGE_CAPS = {
  * Query params:
  * - workspaceId: Required
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -90,4 +91,4 @@ module.exports = async function handler(req, res) {
     logError('media.assets.usage', error);
     return sendError(res, "Internal server error", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
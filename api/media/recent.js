@@ -5,7 +5,8 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
 const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.avi', '.webm', '.mkv', '.m4v'];
@@ -27,7 +28,7 @@ function getMediaType(url) {
  * - workspaceId: Required
  * - userId: Required (for auth context)
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -97,4 +98,4 @@ module.exports = async function handler(req, res) {
     logError('media.recent', error);
     return sendError(res, "Internal server error", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
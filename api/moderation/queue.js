@@ -0,0 +1,150 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { undoModeration } = require("../_moderation");
+
+const QUEUE_STATUSES = ['pending', 'approved', 'undone'];
+
+/**
+ * /api/moderation/queue
+ * GET  - Comments the moderation rules acted on
+ *        Query: workspaceId, status? ('pending' by default, or 'all')
+ * POST - Review an entry   Body: { workspaceId, eventId, decision: 'approve' | 'undo' }
+ *        approve keeps the action; undo unhides the comment (deleted comments can't be restored)
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (!["GET", "POST"].includes(req.method)) {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const body = req.method === "POST" ? await parseBody(req) : {};
+    const workspaceId = body.workspaceId || req.query.workspaceId;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    const permissionCheck = checkPermission(membershipCheck.member, 'canCreatePosts');
+    if (!permissionCheck.success) {
+      return sendError(res, "The moderation queue is only available to team members", ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "GET") {
+      return await handleList(req, res, supabase, workspaceId);
+    }
+    return await handleReview(req, res, supabase, workspaceId, body);
+
+  } catch (error) {
+    logError('moderation.queue.handler', error, { method: req.method });
+    return sendError(res, "Failed to process moderation queue request", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+async function handleList(req, res, supabase, workspaceId) {
+  const { status = 'pending' } = req.query;
+
+  if (status !== 'all' && !QUEUE_STATUSES.includes(status)) {
+    return sendError(res, `status must be 'all' or one of: ${QUEUE_STATUSES.join(', ')}`, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  let query = supabase
+    .from('comment_moderation_events')
+    .select('*, comment:social_engagement_comments(id, post_id, platform, external_id, comment_text, author_username, author_profile_url, created_at, moderation_status)')
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: false })
+    .limit(100);
+
+  if (status !== 'all') {
+    query = query.eq('status', status);
+  }
+
+  const { data: events, error } = await query;
+
+  if (error) {
+    logError('moderation.queue.list', error, { workspaceId });
+    return sendError(res, "Failed to fetch moderation queue", ErrorCodes.DATABASE_ERROR);
+  }
+
+  const { count: pendingCount } = await supabase
+    .from('comment_moderation_events')
+    .select('id', { count: 'exact', head: true })
+    .eq('workspace_id', workspaceId)
+    .eq('status', 'pending');
+
+  return sendSuccess(res, { events: events || [], pendingCount: pendingCount || 0 });
+}
+
+async function handleReview(req, res, supabase, workspaceId, body) {
+  const { eventId, decision } = body;
+
+  if (!eventId || !isValidUUID(eventId)) {
+    return sendError(res, "A valid eventId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  if (!['approve', 'undo'].includes(decision)) {
+    return sendError(res, "decision must be 'approve' or 'undo'", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: event } = await supabase
+    .from('comment_moderation_events')
+    .select('*')
+    .eq('id', eventId)
+    .eq('workspace_id', workspaceId)
+    .single();
+
+  if (!event) {
+    return sendError(res, "Moderation event not found", ErrorCodes.NOT_FOUND);
+  }
+
+  if (decision === 'undo') {
+    const result = await undoModeration(supabase, event, { userId: req.user.id });
+    if (!result.success) {
+      return sendError(res, result.error, result.code);
+    }
+    return sendSuccess(res, { event: result.event });
+  }
+
+  if (event.status !== 'pending') {
+    return sendError(res, "This entry has already been reviewed", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: updated, error } = await supabase
+    .from('comment_moderation_events')
+    .update({ status: 'approved', reviewed_by: req.user.id, reviewed_at: new Date().toISOString() })
+    .eq('id', eventId)
+    .select()
+    .single();
+
+  if (error) {
+    logError('moderation.queue.approve', error, { eventId });
+    return sendError(res, "Failed to update moderation event", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { event: updated });
+}
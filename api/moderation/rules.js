@@ -0,0 +1,201 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { MODERATION_RULE_TYPES, MODERATION_ACTIONS, HIDE_PLATFORMS, validateModerationRule } = require("../_moderation");
+
+/**
+ * /api/moderation/rules
+ * GET    - List a workspace's comment moderation rules   Query: workspaceId
+ * POST   - Create a rule   Body: { workspaceId, name, ruleType, config, action, platforms?, isActive? }
+ * PATCH  - Update a rule   Body: { workspaceId, ruleId, ...fields to change } (ruleType can't change)
+ * DELETE - Delete a rule   Query: workspaceId, ruleId
+ *
+ * Any team member can list rules; changing them requires canManageSettings.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (!["GET", "POST", "PATCH", "DELETE"].includes(req.method)) {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const body = ["POST", "PATCH"].includes(req.method) ? await parseBody(req) : {};
+    const workspaceId = body.workspaceId || req.query.workspaceId;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    const permission = req.method === "GET" ? 'canCreatePosts' : 'canManageSettings';
+    const permissionCheck = checkPermission(membershipCheck.member, permission);
+    if (!permissionCheck.success) {
+      return sendError(res, "Only workspace owners and admins can change moderation rules", ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "GET") {
+      return await handleList(res, supabase, workspaceId);
+    }
+    if (req.method === "POST") {
+      return await handleCreate(req, res, supabase, workspaceId, body);
+    }
+    if (req.method === "PATCH") {
+      return await handleUpdate(res, supabase, workspaceId, body);
+    }
+    return await handleDelete(req, res, supabase, workspaceId);
+
+  } catch (error) {
+    logError('moderation.rules.handler', error, { method: req.method });
+    return sendError(res, "Failed to process moderation rule request", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+async function handleList(res, supabase, workspaceId) {
+  const { data: rules, error } = await supabase
+    .from('comment_moderation_rules')
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logError('moderation.rules.list', error, { workspaceId });
+    return sendError(res, "Failed to fetch moderation rules", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, {
+    rules: rules || [],
+    ruleTypes: MODERATION_RULE_TYPES,
+    actions: MODERATION_ACTIONS,
+    hidePlatforms: HIDE_PLATFORMS
+  });
+}
+
+async function handleCreate(req, res, supabase, workspaceId, body) {
+  const { name, ruleType, config = {}, action, platforms, isActive } = body;
+
+  const validationError = validateModerationRule({ name, ruleType, config, action, platforms });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: rule, error } = await supabase
+    .from('comment_moderation_rules')
+    .insert({
+      workspace_id: workspaceId,
+      name: name.trim(),
+      rule_type: ruleType,
+      config,
+      action,
+      platforms: platforms || null,
+      is_active: isActive !== false,
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logError('moderation.rules.create', error, { workspaceId });
+    return sendError(res, "Failed to create moderation rule", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { rule }, 201);
+}
+
+async function handleUpdate(res, supabase, workspaceId, body) {
+  const { ruleId, name, config, action, platforms, isActive } = body;
+
+  if (!ruleId || !isValidUUID(ruleId)) {
+    return sendError(res, "A valid ruleId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: existing } = await supabase
+    .from('comment_moderation_rules')
+    .select('id, rule_type')
+    .eq('id', ruleId)
+    .eq('workspace_id', workspaceId)
+    .single();
+
+  if (!existing) {
+    return sendError(res, "Moderation rule not found", ErrorCodes.NOT_FOUND);
+  }
+
+  const validationError = validateModerationRule(
+    { name, ruleType: existing.rule_type, config, action, platforms },
+    { partial: true }
+  );
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const updates = {};
+  if (name !== undefined) updates.name = name.trim();
+  if (config !== undefined) updates.config = config;
+  if (action !== undefined) updates.action = action;
+  if (platforms !== undefined) updates.platforms = platforms || null;
+  if (isActive !== undefined) updates.is_active = !!isActive;
+
+  if (Object.keys(updates).length === 0) {
+    return sendError(res, "No fields to update", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  updates.updated_at = new Date().toISOString();
+
+  const { data: rule, error } = await supabase
+    .from('comment_moderation_rules')
+    .update(updates)
+    .eq('id', ruleId)
+    .eq('workspace_id', workspaceId)
+    .select()
+    .single();
+
+  if (error) {
+    logError('moderation.rules.update', error, { ruleId });
+    return sendError(res, "Failed to update moderation rule", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { rule });
+}
+
+async function handleDelete(req, res, supabase, workspaceId) {
+  const { ruleId } = req.query;
+
+  if (!ruleId || !isValidUUID(ruleId)) {
+    return sendError(res, "A valid ruleId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { error } = await supabase
+    .from('comment_moderation_rules')
+    .delete()
+    .eq('id', ruleId)
+    .eq('workspace_id', workspaceId);
+
+  if (error) {
+    logError('moderation.rules.delete', error, { ruleId });
+    return sendError(res, "Failed to delete moderation rule", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { deleted: true });
+}
@@ -5,7 +5,8 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
 /**
@@ -70,7 +71,7 @@ const VALID_TYPES = [
   'info'
 ];
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -222,4 +223,4 @@ module.exports = async function handler(req, res) {
     logError('notifications.create.handler', error);
     return sendError(res, "Failed to create notification", ErrorCodes.INTERNAL_ERROR);
   }
-};
+}, { identityField: 'actorId' });
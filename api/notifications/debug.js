@@ -4,10 +4,11 @@ const {
   ErrorCodes,
   sendSuccess,
   sendError,
-  logError
+  logError,
+  withAuth
 } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -100,4 +101,4 @@ module.exports = async function handler(req, res) {
     logError('notifications.debug.handler', error);
     return sendError(res, "Debug check failed", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -6,6 +6,7 @@
  */
 
 const { logError } = require("../_utils");
+const { createNotification } = require("../_notificationHelper");
 
 /**
  * Send notification when a post approval decision is made
@@ -369,6 +370,34 @@ async function sendInboxMessageNotification(supabase, { workspaceId, platform, s
   }
 }
 
+/**
+ * Send notification when an inbox conversation is assigned to a member
+ */
+async function sendInboxAssignedNotification(supabase, { workspaceId, conversationId, assigneeId, assignedByUserId, platform, correspondentName }) {
+  try {
+    const { data: assigner } = await supabase
+      .from('user_profiles')
+      .select('full_name, email')
+      .eq('id', assignedByUserId)
+      .single();
+
+    const assignerName = assigner?.full_name || assigner?.email || 'A teammate';
+
+    await supabase.from('notifications').insert({
+      user_id: assigneeId,
+      workspace_id: workspaceId,
+      type: 'inbox_assigned',
+      title: 'Conversation Assigned to You',
+      message: `${assignerName} assigned you the ${platform} conversation with ${correspondentName || 'a contact'}`,
+      actor_id: assignedByUserId,
+      metadata: { conversationId, platform, correspondentName },
+      read: false
+    });
+  } catch (error) {
+    logError('notifications.helpers.inboxAssigned', error, { workspaceId, conversationId });
+  }
+}
+
 /**
  * Send notification when a workspace invitation is cancelled
  */
@@ -852,6 +881,323 @@ async function sendInternalRejectionNotification(supabase, { workspaceId, postId
   }
 }
 
+/**
+ * Send approval request to the approvers of a post's approval chain stage
+ */
+async function sendStageApprovalRequestNotification(supabase, { workspaceId, postId, platforms, stageName, approverIds, createdByUserId }) {
+  try {
+    const recipients = (approverIds || []).filter(id => id !== createdByUserId);
+    if (recipients.length === 0) return;
+
+    const { data: workspace } = await supabase
+      .from('workspaces')
+      .select('name')
+      .eq('id', workspaceId)
+      .single();
+
+    const workspaceName = workspace?.name || 'Unknown Workspace';
+    const platformList = platforms?.join(', ') || 'multiple platforms';
+
+    const notifications = recipients.map(userId => ({
+      user_id: userId,
+      workspace_id: workspaceId,
+      post_id: postId,
+      type: 'approval_request',
+      title: `${stageName}: Post Awaiting Approval`,
+      message: `A post for ${platformList} is waiting on the ${stageName} stage [${workspaceName}]`,
+      actor_id: createdByUserId,
+      read: false,
+      metadata: { platforms, workspaceName, stageName }
+    }));
+
+    const { error } = await supabase.from('notifications').insert(notifications);
+    if (error) {
+      logError('notifications.helpers.stageApprovalRequest.insert', error, { workspaceId, postId });
+    }
+  } catch (error) {
+    logError('notifications.helpers.stageApprovalRequest', error, { workspaceId, postId });
+  }
+}
+
+/**
+ * Send one approval request per approver for a batch of imported posts
+ * (CSV import) rather than one per post. Goes to approverIds when given
+ * (an approval chain stage), otherwise to the workspace's final approvers
+ * or approvers, like a single new post.
+ */
+async function sendImportApprovalRequestNotification(supabase, {
+  workspaceId,
+  postIds,
+  stageName = null,
+  approverIds,
+  finalApproval = false,
+  createdByUserId
+}) {
+  try {
+    let recipients = approverIds;
+    if (!recipients) {
+      let query = supabase
+        .from('workspace_members')
+        .select('user_id')
+        .eq('workspace_id', workspaceId);
+      query = finalApproval
+        ? query.eq('can_final_approval', true)
+        : query.or('role.eq.owner,can_approve_posts.eq.true');
+
+      const { data: members, error: queryError } = await query;
+      if (queryError) {
+        logError('notifications.helpers.importApprovalRequest.query', queryError, { workspaceId });
+        return;
+      }
+      recipients = (members || []).map(member => member.user_id);
+    }
+
+    recipients = recipients.filter(id => id !== createdByUserId);
+    if (recipients.length === 0 || !postIds?.length) return;
+
+    const { data: workspace } = await supabase
+      .from('workspaces')
+      .select('name')
+      .eq('id', workspaceId)
+      .single();
+
+    const workspaceName = workspace?.name || 'Unknown Workspace';
+    const count = postIds.length;
+    const posts = count === 1 ? 'post' : 'posts';
+    const waiting = count === 1 ? 'is' : 'are';
+
+    const notifications = recipients.map(userId => ({
+      user_id: userId,
+      workspace_id: workspaceId,
+      post_id: count === 1 ? postIds[0] : null,
+      type: finalApproval ? 'final_approval_request' : 'approval_request',
+      title: `${stageName ? `${stageName}: ` : ''}${count} Imported ${count === 1 ? 'Post' : 'Posts'} Awaiting Approval`,
+      message: stageName
+        ? `${count} imported ${posts} ${waiting} waiting on the ${stageName} stage [${workspaceName}]`
+        : `${count} imported ${posts} ${waiting} waiting for your approval [${workspaceName}]`,
+      actor_id: createdByUserId,
+      read: false,
+      metadata: { workspaceName, postIds, ...(stageName && { stageName }) }
+    }));
+
+    const { error } = await supabase.from('notifications').insert(notifications);
+    if (error) {
+      logError('notifications.helpers.importApprovalRequest.insert', error, { workspaceId, count });
+    }
+  } catch (error) {
+    logError('notifications.helpers.importApprovalRequest', error, { workspaceId });
+  }
+}
+
+/**
+ * Send notification from an automation rule's "notify" action
+ * Notifies workspace members, optionally limited to the given roles
+ */
+async function sendAutomationNotification(supabase, { workspaceId, ruleId, ruleName, message, postId = null, roles = null }) {
+  try {
+    let query = supabase
+      .from('workspace_members')
+      .select('user_id')
+      .eq('workspace_id', workspaceId);
+
+    if (Array.isArray(roles) && roles.length > 0) {
+      query = query.in('role', roles);
+    }
+
+    const { data: members } = await query;
+
+    if (!members || members.length === 0) return 0;
+
+    const notifications = members.map(member => ({
+      user_id: member.user_id,
+      workspace_id: workspaceId,
+      post_id: postId,
+      type: 'automation',
+      title: ruleName ? `Automation: ${ruleName}` : 'Automation',
+      message,
+      metadata: { ruleId },
+      read: false
+    }));
+
+    const { error } = await supabase.from('notifications').insert(notifications);
+    if (error) throw error;
+
+    return notifications.length;
+  } catch (error) {
+    logError('notifications.helpers.automation', error, { workspaceId, ruleId });
+    throw error;
+  }
+}
+
+// Members who can act on a post at its current review stage; approval chain
+// stages pass their approvers in as userIds
+async function getReviewApprovers(supabase, workspaceId, approvalStatus, userIds) {
+  let query = supabase
+    .from('workspace_members')
+    .select('user_id, role')
+    .eq('workspace_id', workspaceId);
+
+  if (userIds) {
+    if (userIds.length === 0) return [];
+    query = query.in('user_id', userIds);
+  } else {
+    query = query.or(approvalStatus === 'pending_internal'
+      ? 'role.eq.owner,can_final_approval.eq.true'
+      : 'role.eq.owner,can_approve_posts.eq.true');
+  }
+
+  const { data: approvers, error } = await query;
+
+  if (error) throw error;
+  return approvers || [];
+}
+
+function buildApprovalDeadlineEmail({ heading, body, caption, actionUrl, actionLabel }) {
+  const appUrl = process.env.APP_URL || 'https://woozysocials.com';
+  const preview = caption
+    ? caption.substring(0, 200) + (caption.length > 200 ? '...' : '')
+    : 'No caption provided';
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #f9fafb; padding: 20px;">
+      <div style="background: #ffffff; border-radius: 12px; padding: 30px; border: 1px solid #e5e7eb;">
+        <h2 style="color: #114C5A; margin: 0 0 16px 0;">${heading}</h2>
+        <p style="color: #374151; font-size: 16px; line-height: 1.6;">${body}</p>
+        <div style="background: #f3f4f6; border-radius: 8px; padding: 20px; margin: 24px 0;">
+          <p style="margin: 0; color: #111827; font-size: 15px; line-height: 1.6;">${preview}</p>
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${appUrl}${actionUrl}" style="background-color: #FFC801; color: #114C5A; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px; display: inline-block;">
+            ${actionLabel}
+          </a>
+        </div>
+        <p style="color: #9ca3af; font-size: 13px; text-align: center; margin: 24px 0 0 0;">
+          You're receiving this email because you enabled email notifications in your profile settings.
+          <a href="${appUrl}/profile-settings" style="color: #6465f1; text-decoration: none;">Manage preferences</a>
+        </p>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Remind the approvers of a post's current review stage that its approval
+ * deadline is coming up (in-app + email)
+ * @param {string[]} [approverIds] - Approvers of the post's approval chain stage
+ * @param {string} deadlineLabel - Deadline as wall-clock time in the workspace timezone
+ */
+async function sendApprovalReminderNotification(supabase, { workspaceId, postId, approvalStatus, approverIds, caption, platforms, deadlineLabel }) {
+  try {
+    const approvers = await getReviewApprovers(supabase, workspaceId, approvalStatus, approverIds);
+    if (approvers.length === 0) return 0;
+
+    const { data: workspace } = await supabase
+      .from('workspaces')
+      .select('name')
+      .eq('id', workspaceId)
+      .single();
+
+    const workspaceName = workspace?.name || 'your workspace';
+    const platformList = platforms?.join(', ') || 'multiple platforms';
+    const message = `A post for ${platformList} needs a decision by ${deadlineLabel} [${workspaceName}]`;
+
+    const results = await Promise.all(approvers.map(approver => {
+      const isClient = ['viewer', 'client', 'view_only'].includes(approver.role);
+      const actionUrl = `${isClient ? '/client/approvals' : '/approvals'}?postId=${postId}`;
+      return createNotification({
+        userId: approver.user_id,
+        workspaceId,
+        postId,
+        type: 'approval_reminder',
+        title: 'Approval Deadline Approaching',
+        message,
+        actionUrl,
+        metadata: { platforms, workspaceName, deadline: deadlineLabel },
+        emailData: {
+          subject: `Approval needed by ${deadlineLabel} - ${workspaceName}`,
+          html: buildApprovalDeadlineEmail({
+            heading: 'A Post Is Waiting for Your Approval',
+            body: `A post for <strong>${workspaceName}</strong> needs to be approved by <strong>${deadlineLabel}</strong> to go out as scheduled.`,
+            caption,
+            actionUrl,
+            actionLabel: 'Review & Approve'
+          })
+        }
+      });
+    }));
+
+    return results.filter(r => r.success).length;
+  } catch (error) {
+    logError('notifications.helpers.approvalReminder', error, { workspaceId, postId });
+    return 0;
+  }
+}
+
+/**
+ * Tell the workspace owner and the post's creator what happened to a post
+ * that was still awaiting approval at its deadline (in-app + email)
+ * @param {'auto_approve'|'auto_reschedule'|'hold'} fallback
+ * @param {string} [scheduledLabel] - Scheduled time in the workspace timezone (the new one when rescheduled)
+ */
+async function sendApprovalDeadlinePassedNotification(supabase, { workspaceId, postId, ownerId, createdByUserId, fallback, caption, scheduledLabel }) {
+  try {
+    const { data: workspace } = await supabase
+      .from('workspaces')
+      .select('name')
+      .eq('id', workspaceId)
+      .single();
+
+    const workspaceName = workspace?.name || 'your workspace';
+
+    const outcomes = {
+      auto_approve: {
+        title: 'Post Auto-Approved',
+        message: `A post wasn't reviewed before its approval deadline and was approved automatically [${workspaceName}]`
+      },
+      auto_reschedule: {
+        title: 'Post Rescheduled',
+        message: `A post wasn't reviewed before its approval deadline and was moved to ${scheduledLabel} [${workspaceName}]`
+      },
+      hold: {
+        title: 'Approval Deadline Missed',
+        message: `A post scheduled for ${scheduledLabel} is still awaiting approval and won't be published until it's approved [${workspaceName}]`
+      }
+    };
+
+    const outcome = outcomes[fallback];
+    if (!outcome) return 0;
+
+    const recipients = [...new Set([ownerId, createdByUserId].filter(Boolean))];
+    const actionUrl = `/approvals?postId=${postId}`;
+
+    const results = await Promise.all(recipients.map(userId => createNotification({
+      userId,
+      workspaceId,
+      postId,
+      type: 'approval_deadline_passed',
+      title: outcome.title,
+      message: outcome.message,
+      actionUrl,
+      metadata: { fallback, workspaceName },
+      emailData: {
+        subject: `${outcome.title} - ${workspaceName}`,
+        html: buildApprovalDeadlineEmail({
+          heading: outcome.title,
+          body: outcome.message,
+          caption,
+          actionUrl,
+          actionLabel: 'View Post'
+        })
+      }
+    })));
+
+    return results.filter(r => r.success).length;
+  } catch (error) {
+    logError('notifications.helpers.approvalDeadlinePassed', error, { workspaceId, postId, fallback });
+    return 0;
+  }
+}
+
 module.exports = {
   sendApprovalNotification,
   sendWorkspaceInviteNotification,
@@ -863,6 +1209,7 @@ module.exports = {
   sendMentionNotifications,
   sendPostScheduledNotification,
   sendInboxMessageNotification,
+  sendInboxAssignedNotification,
   sendInviteCancelledNotification,
   sendMemberRemovedNotification,
   sendSocialAccountLinkedNotification,
@@ -872,5 +1219,10 @@ module.exports = {
   sendApprovalRequestNotification,
   sendPostUpdatedNotification,
   sendFinalApprovalRequestNotification,
-  sendInternalRejectionNotification
+  sendInternalRejectionNotification,
+  sendStageApprovalRequestNotification,
+  sendImportApprovalRequestNotification,
+  sendAutomationNotification,
+  sendApprovalReminderNotification,
+  sendApprovalDeadlinePassedNotification
 };
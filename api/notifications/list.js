@@ -5,10 +5,11 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -155,4 +156,4 @@ module.exports = async function handler(req, res) {
   else {
     return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
   }
-};
+});
@@ -5,14 +5,15 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
 /**
  * GET - Fetch user's notification preferences
  * POST - Update user's notification preferences
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -173,4 +174,4 @@ module.exports = async function handler(req, res) {
   else {
     return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
   }
-};
+});
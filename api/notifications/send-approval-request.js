@@ -6,10 +6,11 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -161,4 +162,4 @@ module.exports = async function handler(req, res) {
     logError('notifications.send-approval.handler', error);
     return sendError(res, "Failed to send notifications", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -6,10 +6,11 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -154,4 +155,4 @@ module.exports = async function handler(req, res) {
     logError('notifications.send-final-approval.handler', error);
     return sendError(res, "Failed to send notifications", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -6,10 +6,11 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -123,4 +124,4 @@ module.exports = async function handler(req, res) {
     logError('notifications.send-internal-rejection.handler', error);
     return sendError(res, "Failed to send notification", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
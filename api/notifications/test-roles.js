@@ -12,10 +12,11 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -116,4 +117,4 @@ module.exports = async function handler(req, res) {
     logError('notifications.test-roles.handler', error);
     return sendError(res, "Test failed", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
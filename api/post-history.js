@@ -16,13 +16,14 @@ const {
   sendError,
   logError,
   isValidUUID,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("./_utils");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 const AYRSHARE_CACHE_TTL = 120; // Cache Ayrshare responses for 2 minutes
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res, req);
 
   if (req.method === "OPTIONS") {
@@ -183,4 +184,4 @@ module.exports = async function handler(req, res) {
     logError('post-history.handler', error);
     return sendError(res, "Failed to fetch post history", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -4,6 +4,7 @@ const {
   sendSuccess,
   sendError,
   ErrorCodes,
+  withAuth
 } = require("./_utils");
 
 /**
@@ -11,7 +12,7 @@ const {
  * POST /api/post-optimize
  * Body: { text, platforms, hasMedia, mediaType, scoreBreakdown }
  */
-module.exports = async (req, res) => {
+module.exports = withAuth(async (req, res) => {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -48,7 +49,7 @@ module.exports = async (req, res) => {
     console.error("Post Optimize API error:", error);
     return sendError(res, "Failed to optimize post", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
 
 /**
  * Use Claude AI to generate specific post improvements
@@ -14,9 +14,17 @@ const {
   validateRequired,
   applyRateLimit,
   isServiceConfigured,
-  invalidateWorkspaceCache
+  invalidateWorkspaceCache,
+  enforceRequestScope
 } = require("./_utils");
 const { hasFeature } = require("./_utils-access-control");
+const { reserveQueueSlot, insertQueuedPost } = require("./_queues");
+const { applyCaptionVariants, buildAyrsharePost, getPlatformCaption, setPlatformCaption } = require("./_captionVariants");
+const { applyFirstComment, postFirstComment } = require("./_firstComment");
+const { CLEARED_APPROVAL_SLA, workspaceHasClients, workspaceHasFinalApprovers } = require("./_approval");
+const { applyPostTags, getApprovalChain, startApprovalChain, clearStageSignOffs, notifyStageApprovers } = require("./_approvalChain");
+const { AUDIT_ACTIONS, diffValues, pickPostAuditFields, postAuditEntry, recordAudit } = require("./_audit");
+const { parseExpectedVersion, isVersionConflict, sendVersionConflict } = require("./_versioning");
 const { sendPostScheduledNotification, sendApprovalRequestNotification, sendFinalApprovalRequestNotification, sendPostUpdatedNotification, sendPostFailedNotification } = require("./notifications/helpers");
 
 // VERSION TRACKING
@@ -171,56 +179,6 @@ function parseRawBody(req) {
   });
 }
 
-// Helper to check if workspace has client members
-// Used to determine if scheduled posts require client approval before going out
-async function workspaceHasClients(supabase, workspaceId) {
-  if (!workspaceId) return false;
-
-  try {
-    // Check for viewer/client roles (all naming conventions across migrations)
-    const { data: clients } = await supabase
-      .from('workspace_members')
-      .select('id, role')
-      .eq('workspace_id', workspaceId)
-      .in('role', ['viewer', 'client', 'view_only'])
-      .limit(1);
-
-    console.log(`[workspaceHasClients] workspaceId: ${workspaceId}, clients found:`, clients?.length || 0);
-
-    return clients && clients.length > 0;
-  } catch (error) {
-    logError('workspaceHasClients', error, { workspaceId });
-    return false;
-  }
-}
-
-// Helper to check if workspace has final approvers
-// Used to determine if posts need internal review before client approval
-async function workspaceHasFinalApprovers(supabase, workspaceId) {
-  if (!workspaceId) return false;
-
-  try {
-    const { data: finalApprovers, error: queryError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('can_final_approval', true)
-      .limit(1);
-
-    if (queryError) {
-      logError('workspaceHasFinalApprovers.query', queryError, { workspaceId });
-      return false;
-    }
-
-    const result = (finalApprovers?.length || 0) > 0;
-    console.log(`[workspaceHasFinalApprovers] workspaceId: ${workspaceId}, result: ${result}`);
-    return result;
-  } catch (error) {
-    logError('workspaceHasFinalApprovers.exception', error, { workspaceId });
-    return false;
-  }
-}
-
 // Parse and validate networks
 function parseNetworks(networks) {
   try {
@@ -330,7 +288,29 @@ module.exports = async function handler(req, res) {
       console.log('[POST] JSON parsed, keys:', Object.keys(body));
     }
 
+    // bodyParser is disabled, so the caller can only be checked once the body is parsed
+    const blocked = await enforceRequestScope(req, res, { userId: body.userId, workspaceId: body.workspaceId });
+    if (blocked) return;
+    body.userId = body.userId || req.user.id;
+
+    // Adding to a queue: the queue picks the time and platforms
+    if (body.queueId && !body.postId) {
+      if (!body.workspaceId || !supabase) {
+        return sendError(res, "workspaceId is required to add a post to a queue", ErrorCodes.VALIDATION_ERROR);
+      }
+      const slot = await reserveQueueSlot(supabase, { queueId: body.queueId, workspaceId: body.workspaceId });
+      if (!slot.success) {
+        return sendError(res, slot.error, slot.code);
+      }
+      body.scheduledDate = slot.scheduledAt;
+      body.networks = Object.fromEntries(slot.platforms.map(p => [p, true]));
+      console.log('[POST] Queue slot reserved:', body.queueId, slot.scheduledAt, slot.platforms);
+    }
+    const queueId = body.queueId && !body.postId ? body.queueId : null;
+    const isEvergreen = !!queueId && (body.isEvergreen === true || body.isEvergreen === 'true');
+
     const { text, networks, scheduledDate, userId, workspaceId, postId, postSettings } = body;
+    const expectedVersion = parseExpectedVersion(body.version);
     let { mediaUrl } = body;
     let mediaUrls = [];
 
@@ -434,6 +414,27 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Post text exceeds maximum length of 5000 characters", ErrorCodes.VALIDATION_ERROR);
     }
 
+    // Per-platform caption overrides, kept in post_settings.captionVariants
+    const variantResult = applyCaptionVariants(settings, platforms);
+    if (variantResult.error) {
+      return sendError(res, variantResult.error, ErrorCodes.VALIDATION_ERROR);
+    }
+    settings = variantResult.settings;
+
+    // Comment posted on the published post (post_settings.firstComment)
+    const firstCommentResult = applyFirstComment(settings);
+    if (firstCommentResult.error) {
+      return sendError(res, firstCommentResult.error, ErrorCodes.VALIDATION_ERROR);
+    }
+    settings = firstCommentResult.settings;
+
+    // Tags (post_settings.tags) let approval chain stages skip a post
+    const tagsResult = applyPostTags(settings);
+    if (tagsResult.error) {
+      return sendError(res, tagsResult.error, ErrorCodes.VALIDATION_ERROR);
+    }
+    settings = tagsResult.settings;
+
     const isScheduled = !!scheduledDate;
     console.log('[POST] Is scheduled:', isScheduled, '| Has supabase:', !!supabase, '| scheduledDate:', scheduledDate);
 
@@ -484,8 +485,43 @@ module.exports = async function handler(req, res) {
       // Check if workspace has final approvers for internal review layer
       const hasFinalApprovers = workspaceId ? await workspaceHasFinalApprovers(supabase, workspaceId) : false;
 
-      console.log('[post] Context: tier=%s, tierHasApproval=%s, hasClients=%s, hasFinalApprovers=%s, requiresApproval=%s',
-        tier, tierHasApproval, hasClients, hasFinalApprovers, requiresApproval);
+      // A workspace approval chain replaces the flow above; the post needs
+      // approval when at least one of its stages applies
+      const approvalChain = workspaceId ? await getApprovalChain(supabase, workspaceId) : [];
+      const chainFields = approvalChain.length > 0
+        ? startApprovalChain(approvalChain, { platforms, post_settings: settings })
+        : null;
+      if (approvalChain.length > 0) {
+        requiresApproval = chainFields !== null;
+      }
+
+      console.log('[post] Context: tier=%s, tierHasApproval=%s, hasClients=%s, hasFinalApprovers=%s, chainStages=%s, requiresApproval=%s',
+        tier, tierHasApproval, hasClients, hasFinalApprovers, approvalChain.length, requiresApproval);
+
+      // Ask whoever reviews the post first
+      const notifyReviewers = (savedPostId) => {
+        if (chainFields) {
+          return notifyStageApprovers(supabase, {
+            id: savedPostId,
+            workspace_id: workspaceId,
+            platforms,
+            approval_stage: chainFields.approval_stage
+          }, approvalChain, userId).catch(err => logError('post.notification.stageApprovalRequest', err, { postId: savedPostId }));
+        }
+        return hasFinalApprovers
+          ? sendFinalApprovalRequestNotification(supabase, {
+              workspaceId,
+              postId: savedPostId,
+              platforms,
+              createdByUserId: userId
+            }).catch(err => logError('post.notification.finalApprovalRequest', err, { postId: savedPostId }))
+          : sendApprovalRequestNotification(supabase, {
+              workspaceId,
+              postId: savedPostId,
+              platforms,
+              createdByUserId: userId
+            }).catch(err => logError('post.notification.approvalRequest', err, { postId: savedPostId }));
+      };
 
     // If approval required, save as pending_approval
     if (requiresApproval) {
@@ -500,6 +536,20 @@ module.exports = async function handler(req, res) {
         // Determine initial approval status for update
         const updateApprovalStatus = hasFinalApprovers ? 'pending_internal' : 'pending';
 
+        const { data: previousPost } = await supabase
+          .from("posts")
+          .select('*')
+          .eq('id', postId)
+          .maybeSingle();
+
+        if (isVersionConflict(expectedVersion, previousPost)) {
+          return sendVersionConflict(res, previousPost);
+        }
+
+        // Edited posts go through the approval chain again from the start
+        await clearStageSignOffs(supabase, postId)
+          .catch(err => logError('post.update_pending.clearSignOffs', err, { postId }));
+
         const { data: updatedPost, error: updateError } = await supabase
           .from("posts")
           .update({
@@ -508,14 +558,25 @@ module.exports = async function handler(req, res) {
             scheduled_at: new Date(scheduledDate).toISOString(),
             platforms: platforms,
             approval_status: updateApprovalStatus, // Reset for re-approval with correct status
+            approval_stage: null,
+            ...CLEARED_APPROVAL_SLA,
+            ...chainFields,
             post_settings: settings, // Phase 4: Save post settings
+            edited_by: userId, // Credited on the revision this edit creates
             updated_at: new Date().toISOString()
           })
           .eq('id', postId)
           .eq('workspace_id', workspaceId)
+          .match(expectedVersion !== null ? { version: expectedVersion } : {})
           .select()
           .single();
 
+        // Saved by someone else between the check above and this update
+        if (updateError?.code === 'PGRST116' && expectedVersion !== null) {
+          const { data: currentPost } = await supabase.from("posts").select('*').eq('id', postId).maybeSingle();
+          if (currentPost) return sendVersionConflict(res, currentPost);
+        }
+
         if (updateError) {
           logError('post.update_pending', updateError, { postId, userId, workspaceId });
           return sendError(res, "Failed to update post", ErrorCodes.DATABASE_ERROR);
@@ -523,6 +584,9 @@ module.exports = async function handler(req, res) {
 
         console.log('[post] Post updated successfully:', updatedPost.id);
 
+        await recordAudit(supabase, postAuditEntry(AUDIT_ACTIONS.POST_UPDATED, updatedPost,
+          diffValues(pickPostAuditFields(previousPost), pickPostAuditFields(updatedPost))), req);
+
         // Get user info for notifications
         const { data: userProfile } = await supabase
           .from('user_profiles')
@@ -534,23 +598,8 @@ module.exports = async function handler(req, res) {
 
         // Send notifications based on approval workflow
         if (workspaceId) {
-          // Send notification to appropriate reviewers
-          const approvalNotificationPromise = hasFinalApprovers
-            ? sendFinalApprovalRequestNotification(supabase, {
-                workspaceId,
-                postId: updatedPost.id,
-                platforms,
-                createdByUserId: userId
-              }).catch(err => logError('post.notification.finalApprovalRequest', err, { postId: updatedPost.id }))
-            : sendApprovalRequestNotification(supabase, {
-                workspaceId,
-                postId: updatedPost.id,
-                platforms,
-                createdByUserId: userId
-              }).catch(err => logError('post.notification.approvalRequest', err, { postId: updatedPost.id }));
-
           await Promise.all([
-            approvalNotificationPromise,
+            notifyReviewers(updatedPost.id),
             sendPostUpdatedNotification(supabase, {
               postId: updatedPost.id,
               workspaceId,
@@ -571,11 +620,14 @@ module.exports = async function handler(req, res) {
       }
 
       // Determine initial approval status based on workspace configuration
-      const initialApprovalStatus = hasFinalApprovers ? 'pending_internal' : 'pending';
+      const initialApprovalStatus = chainFields
+        ? chainFields.approval_status
+        : (hasFinalApprovers ? 'pending_internal' : 'pending');
       console.log('[post] Creating post with approval_status:', initialApprovalStatus);
 
       // CREATE a new post
-      const { data: savedPost, error: saveError } = await supabase.from("posts").insert([{
+      // A queued post that loses its slot to another request moves to the next one
+      const { data: savedPost, error: saveError } = await insertQueuedPost(supabase, {
           user_id: userId,
           workspace_id: workspaceId,
           created_by: userId,
@@ -585,9 +637,12 @@ module.exports = async function handler(req, res) {
           scheduled_at: new Date(scheduledDate).toISOString(),
           platforms: platforms,
           approval_status: initialApprovalStatus,
+          approval_stage: chainFields ? chainFields.approval_stage : null,
           requires_approval: true,
-          post_settings: settings // Phase 4: Save post settings
-        }]).select().single();
+          post_settings: settings, // Phase 4: Save post settings
+          queue_id: queueId,
+          is_evergreen: isEvergreen
+        });
 
         if (saveError) {
           logError('post.save_pending', saveError, { userId, workspaceId });
@@ -596,30 +651,18 @@ module.exports = async function handler(req, res) {
 
         console.log('[post] Post saved: id=%s, approval_status=%s', savedPost?.id, savedPost?.approval_status);
 
+        await recordAudit(supabase, postAuditEntry(AUDIT_ACTIONS.POST_CREATED, savedPost,
+          { after: pickPostAuditFields(savedPost) }), req);
+
         // Send notifications based on approval workflow
         if (workspaceId) {
-          // Send notification to appropriate reviewers
-          const approvalNotificationPromise = hasFinalApprovers
-            ? sendFinalApprovalRequestNotification(supabase, {
-                workspaceId,
-                postId: savedPost?.id,
-                platforms,
-                createdByUserId: userId
-              }).catch(err => logError('post.notification.finalApprovalRequest', err, { postId: savedPost?.id }))
-            : sendApprovalRequestNotification(supabase, {
-                workspaceId,
-                postId: savedPost?.id,
-                platforms,
-                createdByUserId: userId
-              }).catch(err => logError('post.notification.approvalRequest', err, { postId: savedPost?.id }));
-
           await Promise.all([
-            approvalNotificationPromise,
+            notifyReviewers(savedPost?.id),
             sendPostScheduledNotification(supabase, {
               postId: savedPost?.id,
               workspaceId,
-              scheduledAt: scheduledDate,
-              platforms,
+              scheduledAt: savedPost.scheduled_at,
+              platforms: savedPost.platforms,
               createdByUserId: userId
             }).catch(err => logError('post.notification.scheduled', err, { postId: savedPost?.id }))
           ]);
@@ -631,10 +674,13 @@ module.exports = async function handler(req, res) {
       return sendSuccess(res, {
         status: 'pending_approval',
         approval_status: initialApprovalStatus,
-        message: hasFinalApprovers
-          ? 'Post submitted for internal review'
-          : 'Post scheduled and awaiting approval',
-        postId: savedPost?.id
+        message: chainFields
+          ? `Post submitted for ${approvalChain[chainFields.approval_stage].name} approval`
+          : hasFinalApprovers
+            ? 'Post submitted for internal review'
+            : 'Post scheduled and awaiting approval',
+        postId: savedPost?.id,
+        scheduledAt: savedPost?.scheduled_at
       });
     } else {
       // Scheduled post without approval - save to DB and let scheduler handle it
@@ -644,6 +690,16 @@ module.exports = async function handler(req, res) {
       if (postId) {
         console.log('[post] Updating existing scheduled post:', postId);
 
+        const { data: previousPost } = await supabase
+          .from("posts")
+          .select('*')
+          .eq('id', postId)
+          .maybeSingle();
+
+        if (isVersionConflict(expectedVersion, previousPost)) {
+          return sendVersionConflict(res, previousPost);
+        }
+
         const { data: updatedPost, error: updateError } = await supabase
           .from("posts")
           .update({
@@ -653,14 +709,23 @@ module.exports = async function handler(req, res) {
             platforms: platforms,
             status: 'scheduled',
             approval_status: 'approved',
+            approval_stage: null,
             post_settings: settings, // Phase 4: Save post settings
+            edited_by: userId, // Credited on the revision this edit creates
             updated_at: new Date().toISOString()
           })
           .eq('id', postId)
           .eq('workspace_id', workspaceId)
+          .match(expectedVersion !== null ? { version: expectedVersion } : {})
           .select()
           .single();
 
+        // Saved by someone else between the check above and this update
+        if (updateError?.code === 'PGRST116' && expectedVersion !== null) {
+          const { data: currentPost } = await supabase.from("posts").select('*').eq('id', postId).maybeSingle();
+          if (currentPost) return sendVersionConflict(res, currentPost);
+        }
+
         if (updateError) {
           logError('post.update_scheduled', updateError, { postId, userId, workspaceId });
           return sendError(res, "Failed to update scheduled post", ErrorCodes.DATABASE_ERROR);
@@ -668,6 +733,9 @@ module.exports = async function handler(req, res) {
 
         console.log('[post] Scheduled post updated successfully:', updatedPost.id);
 
+        await recordAudit(supabase, postAuditEntry(AUDIT_ACTIONS.POST_UPDATED, updatedPost,
+          diffValues(pickPostAuditFields(previousPost), pickPostAuditFields(updatedPost))), req);
+
         // Invalidate cache after updating scheduled post
         await invalidateWorkspaceCache(workspaceId);
 
@@ -682,7 +750,7 @@ module.exports = async function handler(req, res) {
       // Step 1: Save to DB first - ensures the post exists even if Ayrshare call fails
       console.log('[post] Creating new scheduled post - saving to DB then scheduling in Ayrshare');
       console.log('[post] Media URLs to save:', mediaUrls);
-      const { data: savedPost, error: saveError } = await supabase.from("posts").insert([{
+      const { data: savedPost, error: saveError } = await insertQueuedPost(supabase, {
           user_id: userId,
           workspace_id: workspaceId,
           created_by: userId,
@@ -693,8 +761,10 @@ module.exports = async function handler(req, res) {
           platforms: platforms,
           approval_status: 'approved',
           requires_approval: false,
-          post_settings: settings // Phase 4: Save post settings
-        }]).select().single();
+          post_settings: settings, // Phase 4: Save post settings
+          queue_id: queueId,
+          is_evergreen: isEvergreen
+        });
 
         if (saveError) {
           console.error('[post] Database save error:', saveError);
@@ -704,6 +774,9 @@ module.exports = async function handler(req, res) {
 
         console.log('[post] Scheduled post saved successfully:', savedPost?.id);
 
+        await recordAudit(supabase, postAuditEntry(AUDIT_ACTIONS.POST_CREATED, savedPost,
+          { after: pickPostAuditFields(savedPost) }), req);
+
         // Step 2: Schedule immediately in Ayrshare so it appears in the dashboard
         // The scheduler cron remains a fallback for any posts that miss this step
         let scheduleProfileKey;
@@ -716,10 +789,12 @@ module.exports = async function handler(req, res) {
 
         if (scheduleProfileKey && isServiceConfigured('ayrshare')) {
           try {
+            // Saved values: a queued post may have moved to a later slot
+            const savedPlatforms = savedPost.platforms;
             const ayrPostData = {
-              post: text,
-              platforms,
-              scheduleDate: new Date(scheduledDate).toISOString()
+              post: buildAyrsharePost(text, savedPlatforms, settings.captionVariants),
+              platforms: savedPlatforms,
+              scheduleDate: new Date(savedPost.scheduled_at).toISOString()
             };
 
             if (mediaUrls && mediaUrls.length > 0) {
@@ -729,12 +804,12 @@ module.exports = async function handler(req, res) {
             // Apply post settings
             if (settings.shortenLinks) ayrPostData.shortenLinks = true;
 
-            const hasTwitterForSchedule = platforms.some(p => ['twitter', 'x'].includes(p.toLowerCase()));
+            const hasTwitterForSchedule = savedPlatforms.some(p => ['twitter', 'x'].includes(p.toLowerCase()));
             if (settings.threadPost && hasTwitterForSchedule) {
               ayrPostData.twitterOptions = { thread: true, threadNumber: settings.threadNumber !== false };
             }
 
-            const hasInstagramForSchedule = platforms.some(p => p.toLowerCase() === 'instagram');
+            const hasInstagramForSchedule = savedPlatforms.some(p => p.toLowerCase() === 'instagram');
             if (settings.instagramType && hasInstagramForSchedule) {
               if (settings.instagramType === 'story') {
                 ayrPostData.instagramOptions = { stories: true };
@@ -785,7 +860,8 @@ module.exports = async function handler(req, res) {
         return sendSuccess(res, {
           status: 'scheduled',
           message: 'Post scheduled successfully',
-          postId: savedPost?.id
+          postId: savedPost?.id,
+          scheduledAt: savedPost?.scheduled_at
         });
     }
   }
@@ -828,7 +904,7 @@ module.exports = async function handler(req, res) {
     console.log('[POST] Using profile key:', profileKey.substring(0, 8) + '...');
 
     // Build post data
-    const postData = { post: text, platforms };
+    const postData = { post: buildAyrsharePost(text, platforms, settings.captionVariants), platforms };
 
     if (scheduledDate) {
       const dateObj = new Date(scheduledDate);
@@ -973,7 +1049,8 @@ module.exports = async function handler(req, res) {
     if (settings.threadPost && hasTwitter) {
       // Ayrshare breaks threads on double line breaks (\n\n)
       // If any paragraph exceeds 280 chars, auto-split at sentence boundaries
-      const paragraphs = text.split('\n\n');
+      const threadText = getPlatformCaption(postData.post, 'twitter');
+      const paragraphs = threadText.split('\n\n');
       const processedParagraphs = [];
 
       for (const paragraph of paragraphs) {
@@ -1033,9 +1110,9 @@ module.exports = async function handler(req, res) {
       // Rejoin paragraphs with double line breaks
       const processedText = processedParagraphs.join('\n\n');
 
-      if (processedText !== text) {
+      if (processedText !== threadText) {
         console.log(`[POST] Text auto-split for threading: ${paragraphs.length} → ${processedParagraphs.length} paragraphs`);
-        postData.post = processedText;
+        postData.post = setPlatformCaption(postData.post, 'twitter', processedText);
       }
     }
 
@@ -1128,6 +1205,8 @@ module.exports = async function handler(req, res) {
             logError('post.save_success_with_warning', dbError);
           } else {
             console.log('[POST] Post saved as successful despite error response:', savedPost?.id);
+            await recordAudit(supabase, postAuditEntry(AUDIT_ACTIONS.POST_CREATED, savedPost,
+              { after: pickPostAuditFields(savedPost) }), req);
           }
         }
 
@@ -1268,6 +1347,16 @@ module.exports = async function handler(req, res) {
         logError('post.save_success', dbError);
       } else {
         console.log('[POST] Post saved to database:', savedPost?.id);
+
+        await recordAudit(supabase, postAuditEntry(AUDIT_ACTIONS.POST_CREATED, savedPost,
+          { after: pickPostAuditFields(savedPost) }), req);
+
+        if (!isScheduled) {
+          const firstComment = await postFirstComment(supabase, savedPost);
+          if (firstComment) {
+            console.log('[POST] First comment', firstComment.status, firstComment.error || '');
+          }
+        }
       }
     }
 
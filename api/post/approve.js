@@ -10,13 +10,25 @@ const {
   logError,
   validateRequired,
   isValidUUID,
-  invalidateWorkspaceCache
+  invalidateWorkspaceCache,
+  withAuth
 } = require("../_utils");
 const {
   verifyWorkspaceMembership,
   checkPermission,
   hasFeature
 } = require("../_utils-access-control");
+const { CLEARED_APPROVAL_SLA, workspaceHasFinalApprovers } = require("../_approval");
+const {
+  getApprovalChain,
+  startApprovalChain,
+  isStageApprover,
+  recordStageApproval,
+  clearStageSignOffs,
+  notifyStageApprovers,
+  describeStage
+} = require("../_approvalChain");
+const { AUDIT_ACTIONS, postAuditEntry, recordAudit } = require("../_audit");
 
 // NOTE: Ayrshare posting is now handled by the scheduler cron (api/scheduler.js).
 // This file no longer calls Ayrshare directly to avoid serverless timeouts.
@@ -37,7 +49,14 @@ const toApprovalRecordStatus = (status) => {
   return map[status] || 'pending';
 };
 
-module.exports = async function handler(req, res) {
+// Approval decisions that land in the audit log
+const AUDITED_DECISIONS = {
+  approve: AUDIT_ACTIONS.POST_APPROVED,
+  reject: AUDIT_ACTIONS.POST_REJECTED,
+  changes_requested: AUDIT_ACTIONS.POST_CHANGES_REQUESTED
+};
+
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -84,6 +103,29 @@ module.exports = async function handler(req, res) {
       }
 
       const member = membershipCheck.member;
+      // Resolved through the member's role, custom role and per-member toggles
+      const canApprove = checkPermission(member, 'canApprovePosts').success;
+      const hasFinalApproval = checkPermission(member, 'canFinalApproval').success;
+
+      // Posts in an approval chain follow the workspace's stages instead of
+      // the final approver / client flow below
+      const { data: chainPost } = await supabase
+        .from('posts')
+        .select('id, workspace_id, caption, status, approval_status, approval_stage, platforms, post_settings, created_by')
+        .eq('id', postId)
+        .eq('workspace_id', workspaceId)
+        .maybeSingle();
+
+      if (chainPost && chainPost.approval_stage !== null) {
+        return await handleChainAction(req, res, supabase, {
+          post: chainPost,
+          workspaceId,
+          userId,
+          member,
+          action,
+          comment
+        });
+      }
 
       // Check if user has permission based on the action
       if (action === 'mark_resolved') {
@@ -95,7 +137,6 @@ module.exports = async function handler(req, res) {
         }
       } else if (action === 'forward_to_client') {
         // Only final approvers can forward to client
-        const hasFinalApproval = member.can_final_approval === true || member.role === 'owner';
         if (!hasFinalApproval) {
           return sendError(res, "Only final approvers can forward posts to clients", ErrorCodes.FORBIDDEN);
         }
@@ -115,22 +156,14 @@ module.exports = async function handler(req, res) {
 
         if (post.approval_status === 'pending_internal') {
           // Final approvers can approve/reject at this stage
-          hasPermission = member.can_final_approval === true || member.role === 'owner';
+          hasPermission = hasFinalApproval;
         } else if (post.approval_status === 'pending_client' || post.approval_status === 'pending') {
           // Anyone with can_approve_posts (viewers/clients OR members with the toggle) can approve
           // Final approvers can also approve at this stage
-          hasPermission = (
-            member.can_approve_posts === true ||
-            member.can_final_approval === true ||
-            member.role === 'owner'
-          );
+          hasPermission = canApprove || hasFinalApproval;
         } else if (post.approval_status === 'changes_requested') {
           // Both final approvers and anyone with can_approve_posts can act
-          hasPermission = (
-            member.can_final_approval === true ||
-            member.can_approve_posts === true ||
-            member.role === 'owner'
-          );
+          hasPermission = hasFinalApproval || canApprove;
         }
 
         if (!hasPermission) {
@@ -154,8 +187,6 @@ module.exports = async function handler(req, res) {
 
       const tier = ownerProfile?.subscription_tier || 'free';
 
-      // If the current user has can_approve_posts toggle, they can approve
-      const userCanApprove = member.can_approve_posts === true || member.role === 'owner';
 
       // Also check if workspace has viewers (who may need approval workflows)
       const { data: viewers } = await supabase
@@ -168,10 +199,10 @@ module.exports = async function handler(req, res) {
       const hasViewers = viewers && viewers.length > 0;
 
       // Allow approval if:
-      // 1. User has can_approve_posts toggle (or is owner)
+      // 1. User has canApprovePosts (owners always do)
       // 2. OR tier has the approvalWorkflows feature
       // 3. OR workspace has viewers (viewers viewing means approval was required)
-      if (!userCanApprove && !hasFeature(tier, 'approvalWorkflows') && !hasViewers) {
+      if (!canApprove && !hasFeature(tier, 'approvalWorkflows') && !hasViewers) {
         return sendError(
           res,
           "Approval workflows are not available on your subscription tier. Please upgrade to Pro Plus or Agency to access this feature.",
@@ -231,54 +262,19 @@ module.exports = async function handler(req, res) {
       }
 
       // Update or create post approval record
-      const { data: existingApproval, error: approvalError } = await supabase
-        .from('post_approvals')
-        .select('id')
-        .eq('post_id', postId)
-        .single();
-
-      if (approvalError && approvalError.code !== 'PGRST116') {
-        logError('post.approve.checkApproval', approvalError, { postId });
-      }
-
-      const approvalData = {
-        approval_status: toApprovalRecordStatus(newStatus),
-        reviewed_by: userId,
-        reviewed_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
+      await saveApprovalRecord(supabase, { postId, workspaceId, userId, newStatus });
 
-      if (existingApproval) {
-        const { error: updateError } = await supabase
-          .from('post_approvals')
-          .update(approvalData)
-          .eq('id', existingApproval.id);
-
-        if (updateError) {
-          logError('post.approve.updateApproval', updateError, { approvalId: existingApproval.id });
-        }
-      } else {
-        const { error: insertError } = await supabase
-          .from('post_approvals')
-          .insert({
-            post_id: postId,
-            workspace_id: workspaceId,
-            ...approvalData
-          });
-
-        if (insertError) {
-          logError('post.approve.insertApproval', insertError, { postId, workspaceId });
-        }
-      }
-
-      // Update the post's approval_status
+      // Update the post's approval_status; a new review stage gets its own
+      // deadline reminder and fallback
       const { error: postUpdateError } = await supabase
         .from('posts')
-        .update({ approval_status: newStatus })
+        .update({ approval_status: newStatus, ...CLEARED_APPROVAL_SLA })
         .eq('id', postId);
 
       if (postUpdateError) {
         logError('post.approve.updatePost', postUpdateError, { postId });
+      } else if (chainPost) {
+        await recordDecisionAudit(supabase, req, { post: chainPost, action, newStatus, comment });
       }
 
       // Send appropriate notifications based on action
@@ -370,24 +366,7 @@ module.exports = async function handler(req, res) {
           action
         }`);
 
-      // Get user info for the comment
-      const { data: userProfile } = await supabase
-        .from('user_profiles')
-        .select('full_name, email')
-        .eq('id', userId)
-        .single();
-
-      const userName = userProfile?.full_name || userProfile?.email || 'User';
-
-      await supabase
-        .from('post_comments')
-        .insert({
-          post_id: postId,
-          workspace_id: workspaceId,
-          user_id: userId,
-          comment: `${userName}: ${systemComment}`,
-          is_system: true
-        });
+      const userName = await addSystemComment(supabase, { postId, workspaceId, userId, text: systemComment });
 
       const actionMessages = {
         'approve': 'approved',
@@ -501,4 +480,287 @@ module.exports = async function handler(req, res) {
   else {
     return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
   }
-};
+});
+
+// Record the latest decision on a post in post_approvals
+async function saveApprovalRecord(supabase, { postId, workspaceId, userId, newStatus }) {
+  const { data: existingApproval, error: approvalError } = await supabase
+    .from('post_approvals')
+    .select('id')
+    .eq('post_id', postId)
+    .single();
+
+  if (approvalError && approvalError.code !== 'PGRST116') {
+    logError('post.approve.checkApproval', approvalError, { postId });
+  }
+
+  const approvalData = {
+    approval_status: toApprovalRecordStatus(newStatus),
+    reviewed_by: userId,
+    reviewed_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  if (existingApproval) {
+    const { error: updateError } = await supabase
+      .from('post_approvals')
+      .update(approvalData)
+      .eq('id', existingApproval.id);
+
+    if (updateError) {
+      logError('post.approve.updateApproval', updateError, { approvalId: existingApproval.id });
+    }
+  } else {
+    const { error: insertError } = await supabase
+      .from('post_approvals')
+      .insert({
+        post_id: postId,
+        workspace_id: workspaceId,
+        ...approvalData
+      });
+
+    if (insertError) {
+      logError('post.approve.insertApproval', insertError, { postId, workspaceId });
+    }
+  }
+}
+
+// Add a system comment to the post's thread, returns the acting user's name
+async function addSystemComment(supabase, { postId, workspaceId, userId, text }) {
+  const { data: userProfile } = await supabase
+    .from('user_profiles')
+    .select('full_name, email')
+    .eq('id', userId)
+    .single();
+
+  const userName = userProfile?.full_name || userProfile?.email || 'User';
+
+  await supabase
+    .from('post_comments')
+    .insert({
+      post_id: postId,
+      workspace_id: workspaceId,
+      user_id: userId,
+      comment: `${userName}: ${text}`,
+      is_system: true
+    });
+
+  return userName;
+}
+
+/**
+ * Audit an approve / reject / changes requested decision. Stage sign-offs that
+ * don't change the post's status yet are still recorded as approvals.
+ */
+async function recordDecisionAudit(supabase, req, { post, action, newStatus, comment, stage }) {
+  if (!AUDITED_DECISIONS[action]) return;
+
+  await recordAudit(supabase, postAuditEntry(AUDITED_DECISIONS[action], post, {
+    before: { approval_status: post.approval_status },
+    after: { approval_status: newStatus },
+    metadata: {
+      ...(comment && { comment }),
+      ...(stage && { stage })
+    }
+  }), req);
+}
+
+/**
+ * Approve, reject, request changes on or resubmit a post in an approval chain.
+ * Only approvers of the post's current stage can decide on it; approving
+ * records a sign-off and moves the post on once the stage's rule is met.
+ */
+async function handleChainAction(req, res, supabase, { post, workspaceId, userId, member, action, comment }) {
+  const postId = post.id;
+
+  if (action === 'forward_to_client') {
+    return sendError(
+      res,
+      "This workspace uses an approval chain. Approving the post moves it to the next stage.",
+      ErrorCodes.VALIDATION_ERROR
+    );
+  }
+
+  const chain = await getApprovalChain(supabase, workspaceId);
+  let newStatus;
+  let message;
+
+  if (action === 'mark_resolved') {
+    const canCreate = checkPermission(member, 'canCreatePosts');
+    if (!canCreate.success) {
+      return sendError(res, "You don't have permission to mark changes as resolved", ErrorCodes.FORBIDDEN);
+    }
+
+    if (post.approval_status !== 'changes_requested') {
+      return sendError(res, "Only posts with changes requested can be resubmitted", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    // Resubmitted posts go through the whole chain again
+    await clearStageSignOffs(supabase, postId);
+
+    let update = startApprovalChain(chain, post);
+    if (!update) {
+      // The chain was removed, or no stage applies to the post any more
+      const hasFinalApprovers = await workspaceHasFinalApprovers(supabase, workspaceId);
+      update = {
+        approval_status: hasFinalApprovers ? 'pending_internal' : 'pending',
+        approval_stage: null,
+        ...CLEARED_APPROVAL_SLA
+      };
+    }
+
+    const { error: updateError } = await supabase
+      .from('posts')
+      .update(update)
+      .eq('id', postId);
+
+    if (updateError) {
+      logError('post.approve.chain.resubmit', updateError, { postId });
+      return sendError(res, "Failed to resubmit post", ErrorCodes.DATABASE_ERROR);
+    }
+
+    if (update.approval_stage !== null) {
+      await notifyStageApprovers(supabase, { ...post, ...update }, chain, userId)
+        .catch(err => logError('post.approve.chain.notify', err, { postId }));
+    }
+
+    newStatus = update.approval_status;
+    message = 'Post marked as resolved and sent for re-approval';
+  } else {
+    if (post.approval_status !== 'pending') {
+      if (action === 'approve' && post.approval_status === 'approved') {
+        return res.status(200).json({
+          success: true,
+          message: 'Post already approved',
+          alreadyProcessed: true
+        });
+      }
+      return sendError(res, "This post is not awaiting approval", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const stage = chain[post.approval_stage];
+    if (!stage) {
+      return sendError(res, "This post's approval stage no longer exists", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    if (!isStageApprover(stage, member)) {
+      return sendError(res, `Only approvers of the ${stage.name} stage can act on this post`, ErrorCodes.FORBIDDEN);
+    }
+
+    if (action === 'approve') {
+      const profileKey = await getWorkspaceProfileKey(workspaceId);
+      if (!profileKey) {
+        return sendError(
+          res,
+          "This workspace has no social media profile configured. Please connect your social accounts first.",
+          ErrorCodes.VALIDATION_ERROR
+        );
+      }
+
+      const result = await recordStageApproval(supabase, post, chain, userId);
+
+      if (!result.complete) {
+        newStatus = 'pending';
+        message = `Approval recorded for ${stage.name} (${result.signedOff} of ${result.required})`;
+      } else if (result.approved) {
+        newStatus = 'approved';
+        message = 'Post approved';
+
+        if (result.advanced) {
+          // Mark as scheduled — the scheduler cron will send to Ayrshare
+          await supabase
+            .from('posts')
+            .update({ status: 'scheduled', last_error: null })
+            .eq('id', postId)
+            .eq('status', 'pending_approval');
+        }
+      } else {
+        newStatus = 'pending';
+        message = `Post approved for ${stage.name} and moved to ${chain[result.nextStage].name}`;
+
+        if (result.advanced) {
+          await notifyStageApprovers(supabase, { ...post, approval_stage: result.nextStage }, chain, post.created_by)
+            .catch(err => logError('post.approve.chain.notify', err, { postId }));
+        }
+      }
+    } else {
+      newStatus = action === 'reject' ? 'rejected' : 'changes_requested';
+      message = `Post ${action === 'reject' ? 'rejected' : 'marked for changes'} at ${stage.name}`;
+
+      const { error: updateError } = await supabase
+        .from('posts')
+        .update({ approval_status: newStatus, ...CLEARED_APPROVAL_SLA })
+        .eq('id', postId);
+
+      if (updateError) {
+        logError('post.approve.chain.decision', updateError, { postId, action });
+        return sendError(res, "Failed to update approval status", ErrorCodes.DATABASE_ERROR);
+      }
+
+      if (action === 'changes_requested') {
+        await sendInternalRejectionNotification(supabase, {
+          workspaceId,
+          postId,
+          createdByUserId: post.created_by,
+          comment: comment || 'Changes requested'
+        }).catch(err =>
+          logError('post.approve.notification.chainChanges', err, { postId })
+        );
+      }
+    }
+  }
+
+  await recordDecisionAudit(supabase, req, {
+    post,
+    action,
+    newStatus,
+    comment,
+    stage: chain[post.approval_stage]?.name
+  });
+
+  const decided = newStatus !== 'pending' && action !== 'mark_resolved';
+  if (decided) {
+    await saveApprovalRecord(supabase, { postId, workspaceId, userId, newStatus });
+  }
+
+  const userName = await addSystemComment(supabase, {
+    postId,
+    workspaceId,
+    userId,
+    text: comment || message
+  });
+
+  if (decided) {
+    sendApprovalNotification(supabase, {
+      postId,
+      workspaceId,
+      action,
+      reviewerId: userId,
+      comment
+    });
+  }
+
+  if (action === 'changes_requested' || action === 'reject') {
+    sendNewCommentNotification(supabase, {
+      postId,
+      workspaceId,
+      commenterId: userId,
+      commenterName: userName,
+      comment: comment || message
+    });
+  }
+
+  await invalidateWorkspaceCache(workspaceId);
+
+  const { data: updatedPost } = await supabase
+    .from('posts')
+    .select('approval_stage')
+    .eq('id', postId)
+    .single();
+
+  return sendSuccess(res, {
+    status: newStatus,
+    stage: newStatus === 'pending' ? describeStage(chain, { approval_stage: updatedPost?.approval_stage }) : null,
+    message
+  });
+}
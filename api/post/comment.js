@@ -7,11 +7,12 @@ const {
   sendError,
   logError,
   validateRequired,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 const { sendNewCommentNotification, sendMentionNotifications } = require("../notifications/helpers");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -438,4 +439,4 @@ module.exports = async function handler(req, res) {
   else {
     return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
   }
-};
+});
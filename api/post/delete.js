@@ -9,8 +9,11 @@ const {
   logError,
   isValidUUID,
   parseBody,
-  invalidateWorkspaceCache
+  invalidateWorkspaceCache,
+  withAuth
 } = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { AUDIT_ACTIONS, POST_AUDIT_FIELDS, pickPostAuditFields, postAuditEntry, recordAudit } = require("../_audit");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 
@@ -23,7 +26,7 @@ const BASE_AYRSHARE = "https://api.ayrshare.com/api";
  * - workspaceId: Required workspace ID
  * - deleteFromDatabase: Optional, also delete from our database (default: true)
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -51,19 +54,32 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Invalid workspaceId format", ErrorCodes.VALIDATION_ERROR);
     }
 
-    // If we have a databaseId but no Ayrshare postId, look it up from the database
     const supabase = getSupabase();
-    if (!postId && databaseId && supabase) {
-      const { data: dbPost } = await supabase
-        .from('posts')
-        .select('ayr_post_id')
-        .eq('id', databaseId)
-        .eq('workspace_id', workspaceId)
-        .single();
-
-      if (dbPost?.ayr_post_id) {
-        postId = dbPost.ayr_post_id;
-      }
+    if (!supabase) {
+      return sendError(res, "Database service unavailable", ErrorCodes.CONFIG_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    // Look up our copy of the post to find its author (and its Ayrshare ID if we only have databaseId)
+    let lookupQuery = supabase
+      .from('posts')
+      .select('id, ayr_post_id, created_by, user_id')
+      .eq('workspace_id', workspaceId);
+    lookupQuery = databaseId ? lookupQuery.eq('id', databaseId) : lookupQuery.eq('ayr_post_id', postId);
+    const { data: dbPost } = await lookupQuery.limit(1).maybeSingle();
+
+    if (!postId && dbPost?.ayr_post_id) {
+      postId = dbPost.ayr_post_id;
+    }
+
+    // A post we have no record of can't be shown to be the caller's own
+    const isOwnPost = !!dbPost && (dbPost.created_by || dbPost.user_id) === req.user.id;
+    if (!checkPermission(membershipCheck.member, isOwnPost ? 'canDeleteOwnPosts' : 'canDeleteAllPosts').success) {
+      return sendError(res, "You don't have permission to delete this post", ErrorCodes.FORBIDDEN);
     }
 
     // Get workspace profile key
@@ -133,7 +149,7 @@ module.exports = async function handler(req, res) {
     let databaseDeleted = false;
     let databaseError = null;
 
-    if (deleteFromDatabase && supabase) {
+    if (deleteFromDatabase) {
       try {
         // Delete by database ID (preferred) or fall back to ayr_post_id
         let deleteQuery = supabase.from('posts').delete().eq('workspace_id', workspaceId);
@@ -144,7 +160,8 @@ module.exports = async function handler(req, res) {
           deleteQuery = deleteQuery.eq('ayr_post_id', postId);
         }
 
-        const { error: deleteError, count } = await deleteQuery;
+        const { data: deletedPosts, error: deleteError } = await deleteQuery
+          .select(['id', 'workspace_id', ...POST_AUDIT_FIELDS].join(', '));
 
         if (deleteError) {
           console.error('[DELETE POST] Error deleting from database:', deleteError);
@@ -152,6 +169,12 @@ module.exports = async function handler(req, res) {
         } else {
           databaseDeleted = true;
           console.log('[DELETE POST] Successfully deleted from database');
+          await recordAudit(supabase, (deletedPosts || []).map(post =>
+            postAuditEntry(AUDIT_ACTIONS.POST_DELETED, post, {
+              before: pickPostAuditFields(post),
+              metadata: { deletedFromAyrshare: ayrshareDeleted, ayrPostId: postId || null }
+            })
+          ), req);
         }
       } catch (dbError) {
         console.error('[DELETE POST] Database operation exception:', dbError);
@@ -199,4 +222,4 @@ module.exports = async function handler(req, res) {
       error.message
     );
   }
-};
+});
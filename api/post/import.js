@@ -0,0 +1,226 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  invalidateWorkspaceCache,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { getApprovalRequirement } = require("../_approval");
+const { startApprovalChain, getStageApprovers } = require("../_approvalChain");
+const { readImportCsv, validateCsvRecord } = require("../_postCsv");
+const { AUDIT_ACTIONS, pickPostAuditFields, postAuditEntry, recordAudit } = require("../_audit");
+const { sendImportApprovalRequestNotification } = require("../notifications/helpers");
+
+const IMPORT_MODES = ['scheduled', 'draft'];
+
+/**
+ * POST /api/post/import
+ * Import posts from CSV (see api/_postCsv.js for the columns)
+ *
+ * Body: { workspaceId, csv, mode: 'scheduled' | 'draft', force? }
+ *
+ * Every row is validated first. If any row has errors nothing is imported
+ * and the per-row report is returned, unless force is set, in which case the
+ * valid rows are imported and the invalid ones skipped.
+ *
+ * Scheduled rows follow the same approval rules as posts from Compose and are
+ * published by the scheduler cron. Reviewers get one notification per review
+ * stage for the rows waiting on them.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const body = await parseBody(req);
+    const { workspaceId, csv, mode = 'scheduled', force = false } = body;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return sendError(res, `Invalid mode. Must be one of: ${IMPORT_MODES.join(', ')}`, ErrorCodes.VALIDATION_ERROR);
+    }
+
+    if (!csv || typeof csv !== 'string') {
+      return sendError(res, "csv is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    const permissionCheck = checkPermission(membershipCheck.member, 'canCreatePosts');
+    if (!permissionCheck.success) {
+      return sendError(res, "You don't have permission to create posts in this workspace", ErrorCodes.FORBIDDEN);
+    }
+
+    const parsed = readImportCsv(csv);
+    if (parsed.error) {
+      return sendError(res, parsed.error, ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const { data: workspace } = await supabase
+      .from('workspaces')
+      .select('timezone')
+      .eq('id', workspaceId)
+      .single();
+
+    const timezone = workspace?.timezone || 'UTC';
+    const now = new Date();
+    const errors = [];
+    const validPosts = [];
+
+    for (const record of parsed.records) {
+      const result = validateCsvRecord(record.values, { timezone, mode, now });
+      if (result.errors.length > 0) {
+        errors.push({ row: record.row, errors: result.errors });
+      } else {
+        validPosts.push(result.post);
+      }
+    }
+
+    const report = {
+      total: parsed.records.length,
+      imported: 0,
+      skipped: errors.length,
+      errors,
+      timezone
+    };
+
+    if (errors.length > 0 && force !== true) {
+      return sendSuccess(res, report);
+    }
+
+    if (validPosts.length === 0) {
+      return sendError(res, "No valid rows to import", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const userId = req.user.id;
+    const { data: insertedRows, error: insertError, approvalChain } = mode === 'draft'
+      ? await insertDrafts(supabase, workspaceId, userId, validPosts)
+      : await insertScheduledPosts(supabase, workspaceId, userId, validPosts);
+
+    if (insertError) {
+      logError('post.import.insert', insertError, { workspaceId, mode, rows: validPosts.length });
+      return sendError(res, "Failed to import posts", ErrorCodes.DATABASE_ERROR);
+    }
+
+    if (mode === 'scheduled') {
+      await recordAudit(supabase, insertedRows.map(post => postAuditEntry(AUDIT_ACTIONS.POST_CREATED, post,
+        { after: pickPostAuditFields(post), metadata: { source: 'csv_import' } })), req);
+      await notifyImportReviewers(supabase, workspaceId, userId, insertedRows, approvalChain);
+      await invalidateWorkspaceCache(workspaceId);
+    }
+
+    return sendSuccess(res, { ...report, imported: validPosts.length });
+
+  } catch (error) {
+    logError('post.import.handler', error);
+    return sendError(res, "Failed to import posts", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+function insertDrafts(supabase, workspaceId, userId, posts) {
+  return supabase.from('post_drafts').insert(posts.map(post => ({
+    workspace_id: workspaceId,
+    user_id: userId,
+    caption: post.caption,
+    media_urls: post.mediaUrls,
+    platforms: post.platforms,
+    scheduled_date: post.scheduledAt,
+    post_settings: post.postSettings
+  })));
+}
+
+async function insertScheduledPosts(supabase, workspaceId, userId, posts) {
+  const { requiresApproval, hasFinalApprovers, approvalChain } = await getApprovalRequirement(supabase, workspaceId);
+
+  const approvedFields = {
+    status: 'scheduled',
+    approval_status: 'approved',
+    requires_approval: false
+  };
+
+  const approvalFieldsFor = (post) => {
+    if (approvalChain.length > 0) {
+      const chainFields = startApprovalChain(approvalChain, { platforms: post.platforms, post_settings: post.postSettings });
+      return chainFields
+        ? { status: 'pending_approval', ...chainFields, requires_approval: true }
+        : approvedFields;
+    }
+
+    return requiresApproval
+      ? {
+          status: 'pending_approval',
+          approval_status: hasFinalApprovers ? 'pending_internal' : 'pending',
+          requires_approval: true
+        }
+      : approvedFields;
+  };
+
+  const { data, error } = await supabase.from('posts').insert(posts.map(post => ({
+    user_id: userId,
+    workspace_id: workspaceId,
+    created_by: userId,
+    caption: post.caption,
+    media_urls: post.mediaUrls,
+    platforms: post.platforms,
+    scheduled_at: post.scheduledAt,
+    post_settings: post.postSettings,
+    ...approvalFieldsFor(post)
+  }))).select();
+
+  return { data, error, approvalChain };
+}
+
+/**
+ * Ask reviewers to look at the imported posts that need approval, with one
+ * notification per review stage rather than one per post
+ */
+async function notifyImportReviewers(supabase, workspaceId, userId, rows, approvalChain) {
+  const groups = new Map();
+  for (const row of rows.filter(post => post.status === 'pending_approval')) {
+    const key = row.approval_stage != null ? `stage:${row.approval_stage}` : row.approval_status;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  for (const [, group] of groups) {
+    const { approval_stage: stageIndex, approval_status: approvalStatus } = group[0];
+    const stage = stageIndex != null ? approvalChain[stageIndex] : null;
+
+    try {
+      await sendImportApprovalRequestNotification(supabase, {
+        workspaceId,
+        postIds: group.map(post => post.id),
+        stageName: stage?.name || null,
+        approverIds: stage ? (await getStageApprovers(supabase, workspaceId, stage)).map(a => a.user_id) : undefined,
+        finalApproval: !stage && approvalStatus === 'pending_internal',
+        createdByUserId: userId
+      });
+    } catch (notifyError) {
+      logError('post.import.notifyReviewers', notifyError, { workspaceId, posts: group.length });
+    }
+  }
+}
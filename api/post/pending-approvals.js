@@ -5,10 +5,13 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
+const { AWAITING_APPROVAL_STATUSES, getApprovalDeadline } = require("../_approvalSla");
+const { isStageApprover, describeStage } = require("../_approvalChain");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -51,6 +54,17 @@ module.exports = async function handler(req, res) {
       return sendError(res, "You are not a member of this workspace", ErrorCodes.FORBIDDEN);
     }
 
+    const { data: workspace } = await supabase
+      .from('workspaces')
+      .select('approval_deadline_hours, approval_fallback, approval_chain')
+      .eq('id', workspaceId)
+      .single();
+
+    const approvalChain = Array.isArray(workspace?.approval_chain) ? workspace.approval_chain : [];
+    const member = { ...membership, user_id: userId };
+    const isChainApprover = membership.role === 'owner' ||
+      approvalChain.some(stage => isStageApprover(stage, member));
+
     // Build query for posts (removed invalid user_profiles join)
     let query = supabase
       .from('posts')
@@ -67,6 +81,8 @@ module.exports = async function handler(req, res) {
         user_id,
         created_by,
         ayr_post_id,
+        approval_escalated_at,
+        approval_stage,
         post_approvals (
           approval_status,
           reviewed_at,
@@ -82,6 +98,14 @@ module.exports = async function handler(req, res) {
     // Filter by approval status if provided
     if (status && status !== 'all') {
       query = query.eq('approval_status', status);
+    } else if (!status && approvalChain.length > 0 && isChainApprover) {
+      // Approval chain: anyone approving at some stage sees posts under review
+      query = query.in('approval_status', [
+        'pending_internal',
+        'pending_client',
+        'pending',
+        'changes_requested'
+      ]);
     } else if (!status) {
       // NEW: Default filter based on user permissions
       const hasFinalApproval = membership.can_final_approval === true || membership.role === 'owner';
@@ -160,6 +184,7 @@ module.exports = async function handler(req, res) {
       const latestApproval = approvals.sort((a, b) =>
         new Date(b.reviewed_at || 0) - new Date(a.reviewed_at || 0)
       )[0];
+      const stage = post.approval_stage != null ? describeStage(approvalChain, post) : null;
       return {
         ...post,
         // Map to frontend expected field names
@@ -167,6 +192,12 @@ module.exports = async function handler(req, res) {
         schedule_date: post.scheduled_at,
         media_url: post.media_urls?.[0] || null,
         reviewed_at: latestApproval?.reviewed_at || null,
+        approval_deadline: AWAITING_APPROVAL_STATUSES.includes(post.approval_status)
+          ? getApprovalDeadline(post.scheduled_at, workspace?.approval_deadline_hours)?.toISOString() || null
+          : null,
+        approval_stage_info: stage
+          ? { ...stage, canAct: isStageApprover(approvalChain[stage.index], member) }
+          : null,
         commentCount: post.post_comments?.length || 0,
         post_comments: undefined, // Remove the array, just keep count
         // Add creator info
@@ -203,11 +234,14 @@ module.exports = async function handler(req, res) {
         (membership.role === 'viewer' && membership.can_approve_posts === true) ||
         membership.role === 'owner'
       ),
-      workspaceHasFinalApprovers
+      workspaceHasFinalApprovers,
+      approvalDeadlineHours: workspace?.approval_deadline_hours ?? null,
+      approvalFallback: workspace?.approval_fallback || 'hold',
+      hasApprovalChain: approvalChain.length > 0
     });
 
   } catch (error) {
     logError('post.pending-approvals.handler', error);
     return sendError(res, "Failed to fetch pending approvals", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -0,0 +1,215 @@
+const axios = require("axios");
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  getWorkspaceProfileKey,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  invalidateWorkspaceCache,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { CLEARED_APPROVAL_SLA, workspaceHasFinalApprovers } = require("../_approval");
+const { getApprovalChain, startApprovalChain, clearStageSignOffs } = require("../_approvalChain");
+const { sendPostUpdatedNotification } = require("../notifications/helpers");
+const { AUDIT_ACTIONS, diffValues, pickPostAuditFields, postAuditEntry, recordAudit } = require("../_audit");
+const { UNRESTORABLE_STATUSES, revisionMatchesPost, buildRestoreUpdate } = require("../_revisions");
+
+const BASE_AYRSHARE = "https://api.ayrshare.com/api";
+
+/**
+ * /api/post/revisions
+ * GET  - A post's revisions, newest first, with author names
+ *        Query: workspaceId, postId
+ * POST - Restore a revision
+ *        Body: workspaceId, postId, revisionId
+ *
+ * Restoring saves the revision's content as a new revision. Posts that need
+ * approval go back for review, and a post already handed to Ayrshare is
+ * pulled back so the scheduler publishes the restored version.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  if (req.method === "GET") {
+    try {
+      const { workspaceId, postId } = req.query;
+
+      if (!isValidUUID(workspaceId) || !isValidUUID(postId)) {
+        return sendError(res, "Valid workspaceId and postId are required", ErrorCodes.VALIDATION_ERROR);
+      }
+
+      const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+      if (!membershipCheck.success) {
+        return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+      }
+
+      const { data: revisions, error } = await supabase
+        .from('post_revisions')
+        .select('*')
+        .eq('post_id', postId)
+        .eq('workspace_id', workspaceId)
+        .order('revision_number', { ascending: false });
+
+      if (error) {
+        logError('post.revisions.list', error, { postId });
+        return sendError(res, "Failed to fetch revisions", ErrorCodes.DATABASE_ERROR);
+      }
+
+      const authorIds = [...new Set((revisions || []).map(r => r.created_by).filter(Boolean))];
+      const { data: authors } = authorIds.length > 0
+        ? await supabase.from('user_profiles').select('id, full_name, email').in('id', authorIds)
+        : { data: [] };
+      const authorNames = Object.fromEntries((authors || []).map(a => [a.id, a.full_name || a.email]));
+
+      const withAuthors = (revisions || []).map(revision => ({
+        ...revision,
+        author_name: revision.created_by ? (authorNames[revision.created_by] || 'Former member') : 'System'
+      }));
+
+      return sendSuccess(res, {
+        revisions: withAuthors,
+        lastApprovedRevisionId: withAuthors.find(r => r.approved_at)?.id || null
+      });
+    } catch (error) {
+      logError('post.revisions.get', error);
+      return sendError(res, "Failed to fetch revisions", ErrorCodes.INTERNAL_ERROR);
+    }
+  }
+
+  if (req.method === "POST") {
+    try {
+      const { workspaceId, postId, revisionId } = await parseBody(req);
+
+      if (!isValidUUID(workspaceId) || !isValidUUID(postId) || !isValidUUID(revisionId)) {
+        return sendError(res, "Valid workspaceId, postId and revisionId are required", ErrorCodes.VALIDATION_ERROR);
+      }
+
+      const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+      if (!membershipCheck.success) {
+        return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+      }
+
+      const [{ data: post }, { data: revision }] = await Promise.all([
+        supabase.from('posts').select('*').eq('id', postId).eq('workspace_id', workspaceId).maybeSingle(),
+        supabase.from('post_revisions').select('*').eq('id', revisionId).eq('post_id', postId).maybeSingle()
+      ]);
+
+      if (!post) {
+        return sendError(res, "Post not found", ErrorCodes.NOT_FOUND);
+      }
+      if (!revision) {
+        return sendError(res, "Revision not found", ErrorCodes.NOT_FOUND);
+      }
+
+      const editPermission = post.created_by === req.user.id ? 'canEditOwnPosts' : 'canEditAllPosts';
+      if (!checkPermission(membershipCheck.member, editPermission).success) {
+        return sendError(res, "You don't have permission to edit this post", ErrorCodes.FORBIDDEN);
+      }
+
+      if (UNRESTORABLE_STATUSES.includes(post.status)) {
+        return sendError(res, "Published posts can't be restored to an earlier revision", ErrorCodes.VALIDATION_ERROR);
+      }
+
+      if (revisionMatchesPost(revision, post)) {
+        return sendError(res, "The post already matches this revision", ErrorCodes.VALIDATION_ERROR);
+      }
+
+      const update = {
+        ...buildRestoreUpdate(revision, post),
+        edited_by: req.user.id,
+        updated_at: new Date().toISOString()
+      };
+
+      // Already scheduled in Ayrshare: pull it back so the old version isn't published
+      if (post.ayr_post_id && post.status === 'scheduled') {
+        const profileKey = await getWorkspaceProfileKey(workspaceId);
+        try {
+          await axios.delete(`${BASE_AYRSHARE}/post/${post.ayr_post_id}`, {
+            headers: {
+              "Content-Type": "application/json",
+              Authorization: `Bearer ${process.env.AYRSHARE_API_KEY}`,
+              "Profile-Key": profileKey
+            },
+            timeout: 30000
+          });
+        } catch (ayrshareError) {
+          if (ayrshareError.response?.status !== 404) {
+            logError('post.revisions.restore.ayrshare', ayrshareError, { postId });
+            return sendError(res, "Couldn't update the scheduled post in Ayrshare", ErrorCodes.EXTERNAL_API_ERROR);
+          }
+        }
+        update.ayr_post_id = null;
+      }
+
+      // Restored content needs a fresh review, like any other edit
+      if (post.requires_approval) {
+        await clearStageSignOffs(supabase, postId)
+          .catch(err => logError('post.revisions.restore.clearSignOffs', err, { postId }));
+
+        const chain = await getApprovalChain(supabase, workspaceId);
+        const approval = startApprovalChain(chain, { ...post, ...update }) || {
+          approval_status: await workspaceHasFinalApprovers(supabase, workspaceId) ? 'pending_internal' : 'pending',
+          approval_stage: null,
+          ...CLEARED_APPROVAL_SLA
+        };
+        Object.assign(update, approval, { status: 'pending_approval' });
+      }
+
+      const { data: restoredPost, error: updateError } = await supabase
+        .from('posts')
+        .update(update)
+        .eq('id', postId)
+        .eq('workspace_id', workspaceId)
+        .select()
+        .single();
+
+      if (updateError) {
+        logError('post.revisions.restore', updateError, { postId, revisionId });
+        return sendError(res, "Failed to restore revision", ErrorCodes.DATABASE_ERROR);
+      }
+
+      await recordAudit(supabase, postAuditEntry(AUDIT_ACTIONS.POST_UPDATED, restoredPost, {
+        ...diffValues(pickPostAuditFields(post), pickPostAuditFields(restoredPost)),
+        metadata: { restoredRevision: revision.revision_number }
+      }), req);
+
+      if (post.requires_approval) {
+        sendPostUpdatedNotification(supabase, {
+          postId,
+          workspaceId,
+          updatedByUserId: req.user.id,
+          updatedByName: req.user.email || 'Someone'
+        }).catch(err => logError('post.revisions.restore.notify', err, { postId }));
+      }
+
+      await invalidateWorkspaceCache(workspaceId);
+
+      return sendSuccess(res, {
+        post: restoredPost,
+        restoredRevision: revision.revision_number,
+        message: post.requires_approval
+          ? `Restored revision ${revision.revision_number} and sent it for approval`
+          : `Restored revision ${revision.revision_number}`
+      });
+    } catch (error) {
+      logError('post.revisions.restore.handler', error);
+      return sendError(res, "Failed to restore revision", ErrorCodes.INTERNAL_ERROR);
+    }
+  }
+
+  return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+});
@@ -15,8 +15,10 @@ const {
   sendError,
   logError,
   isValidUUID,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("../_utils");
+const { buildPostsCsv } = require("../_postCsv");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 const AYRSHARE_CACHE_TTL = 120; // Cache Ayrshare responses for 2 minutes
@@ -29,8 +31,11 @@ const AYRSHARE_CACHE_TTL = 120; // Cache Ayrshare responses for 2 minutes
  * 2. Enriching with Ayrshare data only for posts that have been published
  * 3. Using ayr_post_id as the deduplication key to prevent duplicate entries
  * 4. Returning properly merged data with correct approval statuses
+ *
+ * With ?format=csv the database posts are returned as a CSV download in the
+ * import format (api/post/import.js), with times in the workspace timezone.
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -47,7 +52,7 @@ module.exports = async function handler(req, res) {
   }
 
   try {
-    const { workspaceId, userId, status } = req.query;
+    const { workspaceId, userId, status, format } = req.query;
 
     if (!workspaceId || !userId) {
       return sendError(res, "workspaceId and userId are required", ErrorCodes.VALIDATION_ERROR);
@@ -90,7 +95,11 @@ module.exports = async function handler(req, res) {
         created_by,
         ayr_post_id,
         posted_at,
-        last_error
+        last_error,
+        post_settings,
+        first_comment_status,
+        first_comment_error,
+        first_comment_at
       `)
       .eq('workspace_id', workspaceId)
       .order('scheduled_at', { ascending: true });
@@ -107,6 +116,27 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Failed to fetch posts", ErrorCodes.DATABASE_ERROR);
     }
 
+    // CSV export skips the Ayrshare enrichment - the database is the source of truth
+    if (format === 'csv') {
+      const { data: workspace } = await supabase
+        .from('workspaces')
+        .select('timezone')
+        .eq('id', workspaceId)
+        .single();
+
+      const csv = buildPostsCsv(dbPosts.map(p => ({
+        caption: p.caption,
+        platforms: p.platforms,
+        scheduledAt: p.scheduled_at,
+        mediaUrls: p.media_urls,
+        postSettings: p.post_settings
+      })), workspace?.timezone || 'UTC');
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="schedule-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.status(200).send(csv);
+    }
+
     // Step 2: Fetch Ayrshare history for enrichment (optional, non-blocking, cached)
     let ayrshareHistory = [];
     const profileKey = await getWorkspaceProfileKey(workspaceId);
@@ -224,6 +254,10 @@ module.exports = async function handler(req, res) {
         created_at: dbPost.created_at,
         posted_at: dbPost.posted_at,
         last_error: dbPost.last_error,
+        post_settings: dbPost.post_settings,
+        first_comment_status: dbPost.first_comment_status,
+        first_comment_error: dbPost.first_comment_error,
+        first_comment_at: dbPost.first_comment_at,
 
         // Source tracking
         source: 'database',
@@ -343,4 +377,4 @@ module.exports = async function handler(req, res) {
     logError('unified-schedule.handler', error);
     return sendError(res, "Failed to fetch unified schedule", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
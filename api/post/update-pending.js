@@ -0,0 +1,134 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  invalidateWorkspaceCache,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { AUDIT_ACTIONS, diffValues, pickPostAuditFields, postAuditEntry, recordAudit } = require("../_audit");
+const { parseExpectedVersion, isVersionConflict, sendVersionConflict } = require("../_versioning");
+
+/**
+ * PUT /api/post/update-pending
+ * Saves an edit to a post's content in the database only - for posts still
+ * pending approval (not in Ayrshare yet) and for Compose auto-saves. Posts
+ * already scheduled in Ayrshare are re-sent through /api/post/update-scheduled.
+ *
+ * Body: { postId, workspaceId, caption, mediaUrls, platforms, scheduledDate?, postSettings?, version? }
+ * Returns the saved row, or 409 with the latest content if someone saved first.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "PUT") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service unavailable", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const body = await parseBody(req);
+    const { postId, workspaceId, caption, mediaUrls, platforms, scheduledDate, postSettings } = body;
+    const expectedVersion = parseExpectedVersion(body.version);
+
+    if (!isValidUUID(postId) || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid postId and workspaceId are required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    if (!Array.isArray(platforms)) {
+      return sendError(res, "platforms must be an array", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    const { data: existingPost, error: fetchError } = await supabase
+      .from('posts')
+      .select('*')
+      .eq('id', postId)
+      .eq('workspace_id', workspaceId)
+      .maybeSingle();
+
+    if (fetchError || !existingPost) {
+      if (fetchError) logError('post.update-pending.fetch', fetchError, { postId });
+      return sendError(res, "Post not found", ErrorCodes.NOT_FOUND);
+    }
+
+    const isOwnPost = (existingPost.created_by || existingPost.user_id) === req.user.id;
+    if (!checkPermission(membershipCheck.member, isOwnPost ? 'canEditOwnPosts' : 'canEditAllPosts').success) {
+      return sendError(res, "You don't have permission to edit this post", ErrorCodes.FORBIDDEN);
+    }
+
+    if (existingPost.status === 'publishing') {
+      return sendError(res, "This post is being published and can no longer be edited", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    if (isVersionConflict(expectedVersion, existingPost)) {
+      return sendVersionConflict(res, existingPost);
+    }
+
+    const postUpdates = {
+      caption: caption || '',
+      media_urls: mediaUrls || [],
+      platforms,
+      scheduled_at: scheduledDate || null,
+      post_settings: postSettings || {},
+      edited_by: req.user.id, // Credited on the revision this edit creates
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: updatedRows, error: updateError } = await supabase
+      .from('posts')
+      .update(postUpdates)
+      .eq('id', postId)
+      .eq('version', existingPost.version)
+      .eq('status', existingPost.status) // A scheduler claim doesn't bump the version
+      .select();
+
+    if (updateError) {
+      logError('post.update-pending.update', updateError, { postId });
+      return sendError(res, "Failed to save post", ErrorCodes.DATABASE_ERROR);
+    }
+
+    // Claimed by the scheduler or saved by someone else since we read it
+    if (updatedRows.length === 0) {
+      const { data: currentPost } = await supabase.from('posts').select('*').eq('id', postId).maybeSingle();
+      if (!currentPost) return sendError(res, "Post not found", ErrorCodes.NOT_FOUND);
+      if (currentPost.status === 'publishing') {
+        return sendError(res, "This post is being published and can no longer be edited", ErrorCodes.VALIDATION_ERROR);
+      }
+      return sendVersionConflict(res, currentPost);
+    }
+
+    const updatedPost = updatedRows[0];
+    const changes = diffValues(pickPostAuditFields(existingPost), pickPostAuditFields(updatedPost));
+
+    // Auto-saves that changed nothing tracked don't need an entry
+    if (Object.keys(changes.after).length > 0) {
+      await recordAudit(supabase, postAuditEntry(AUDIT_ACTIONS.POST_UPDATED, updatedPost, changes), req);
+    }
+
+    await invalidateWorkspaceCache(workspaceId);
+
+    return sendSuccess(res, updatedPost);
+
+  } catch (error) {
+    logError('post.update-pending.handler', error);
+    return sendError(res, "Failed to save post", ErrorCodes.INTERNAL_ERROR);
+  }
+});
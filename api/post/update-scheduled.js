@@ -10,8 +10,15 @@ const {
   logError,
   validateRequired,
   isValidUUID,
-  invalidateWorkspaceCache
+  invalidateWorkspaceCache,
+  withAuth
 } = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { applyCaptionVariants, buildAyrsharePost } = require("../_captionVariants");
+const { applyFirstComment } = require("../_firstComment");
+const { applyPostTags } = require("../_approvalChain");
+const { AUDIT_ACTIONS, diffValues, pickPostAuditFields, postAuditEntry, recordAudit } = require("../_audit");
+const { parseExpectedVersion, isVersionConflict, sendVersionConflict } = require("../_versioning");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 
@@ -25,7 +32,7 @@ const BASE_AYRSHARE = "https://api.ayrshare.com/api";
  * 3. Create new scheduled post in Ayrshare with updated data
  * 4. Update database with new ayr_post_id
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -52,6 +59,7 @@ module.exports = async function handler(req, res) {
       scheduledDate,
       postSettings
     } = body;
+    const expectedVersion = parseExpectedVersion(body.version);
 
     // Validate required fields
     const validation = validateRequired(body, ['postId', 'workspaceId', 'caption', 'platforms', 'scheduledDate']);
@@ -67,6 +75,11 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Invalid ID format", ErrorCodes.VALIDATION_ERROR);
     }
 
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
     // Get the existing post
     const { data: existingPost, error: fetchError } = await supabase
       .from('posts')
@@ -80,6 +93,20 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Post not found", ErrorCodes.NOT_FOUND);
     }
 
+    const isOwnPost = (existingPost.created_by || existingPost.user_id) === req.user.id;
+    if (!checkPermission(membershipCheck.member, isOwnPost ? 'canEditOwnPosts' : 'canEditAllPosts').success) {
+      return sendError(res, "You don't have permission to edit this post", ErrorCodes.FORBIDDEN);
+    }
+
+    // The scheduler has claimed this post and may be sending it right now
+    if (existingPost.status === 'publishing') {
+      return sendError(res, "This post is being published and can no longer be edited", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    if (isVersionConflict(expectedVersion, existingPost)) {
+      return sendVersionConflict(res, existingPost);
+    }
+
     // Validate scheduledDate is in the future (Ayrshare rejects past dates)
     const scheduledMs = new Date(scheduledDate).getTime();
     if (isNaN(scheduledMs) || scheduledMs <= Date.now()) {
@@ -90,27 +117,75 @@ module.exports = async function handler(req, res) {
       );
     }
 
+    // Parse postSettings (mirrors api/post.js logic)
+    let settings = {};
+    if (postSettings) {
+      if (typeof postSettings === 'string') {
+        try { settings = JSON.parse(postSettings); } catch (e) { /* ignore malformed */ }
+      } else {
+        settings = postSettings;
+      }
+    }
+
+    // Per-platform caption overrides
+    const variantResult = applyCaptionVariants(settings, platforms);
+    if (variantResult.error) {
+      return sendError(res, variantResult.error, ErrorCodes.VALIDATION_ERROR);
+    }
+    settings = variantResult.settings;
+
+    const firstCommentResult = applyFirstComment(settings);
+    if (firstCommentResult.error) {
+      return sendError(res, firstCommentResult.error, ErrorCodes.VALIDATION_ERROR);
+    }
+    settings = firstCommentResult.settings;
+
+    const tagsResult = applyPostTags(settings);
+    if (tagsResult.error) {
+      return sendError(res, tagsResult.error, ErrorCodes.VALIDATION_ERROR);
+    }
+    settings = tagsResult.settings;
+
     // Step 1: Update post in database
     console.log('[update-scheduled] Updating post in database:', postId);
-    const { error: updateError } = await supabase
+    const postUpdates = {
+      caption,
+      media_urls: mediaUrls || [],
+      platforms,
+      scheduled_at: scheduledDate,
+      status: 'scheduled',
+      last_error: null,
+      post_settings: settings,
+      edited_by: req.user.id, // Credited on the revision this edit creates
+      updated_at: new Date().toISOString()
+    };
+    const { data: updatedRows, error: updateError } = await supabase
       .from('posts')
-      .update({
-        caption,
-        media_urls: mediaUrls || [],
-        platforms,
-        scheduled_at: scheduledDate,
-        status: 'scheduled',
-        last_error: null,
-        post_settings: postSettings || {},
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', postId);
+      .update(postUpdates)
+      .eq('id', postId)
+      .eq('version', existingPost.version)
+      .eq('status', existingPost.status) // A scheduler claim doesn't bump the version
+      .select('id');
 
     if (updateError) {
       logError('post.update-scheduled.update', updateError, { postId });
       return sendError(res, "Failed to update post", ErrorCodes.DATABASE_ERROR);
     }
 
+    // Claimed by the scheduler or saved by someone else since we read it
+    if (updatedRows.length === 0) {
+      const { data: currentPost } = await supabase.from('posts').select('*').eq('id', postId).maybeSingle();
+      if (!currentPost) return sendError(res, "Post not found", ErrorCodes.NOT_FOUND);
+      if (currentPost.status === 'publishing') {
+        return sendError(res, "This post is being published and can no longer be edited", ErrorCodes.VALIDATION_ERROR);
+      }
+      return sendVersionConflict(res, currentPost);
+    }
+
+    const updatedPost = { ...existingPost, ...postUpdates };
+    await recordAudit(supabase, postAuditEntry(AUDIT_ACTIONS.POST_UPDATED, updatedPost,
+      diffValues(pickPostAuditFields(existingPost), pickPostAuditFields(updatedPost))), req);
+
     // Step 2: Delete old scheduled post from Ayrshare (if it exists and is still scheduled)
     const profileKey = await getWorkspaceProfileKey(workspaceId);
     if (!profileKey) {
@@ -141,7 +216,7 @@ module.exports = async function handler(req, res) {
     // Step 3: Create new scheduled post in Ayrshare
     console.log('[update-scheduled] Creating new scheduled post in Ayrshare');
     const postData = {
-      post: caption,
+      post: buildAyrsharePost(caption, platforms, settings.captionVariants),
       platforms,
       scheduleDate: new Date(scheduledDate).toISOString()
     };
@@ -150,16 +225,6 @@ module.exports = async function handler(req, res) {
       postData.mediaUrls = mediaUrls.filter(url => url && url.startsWith('http'));
     }
 
-    // Parse postSettings (mirrors api/post.js logic)
-    let settings = {};
-    if (postSettings) {
-      if (typeof postSettings === 'string') {
-        try { settings = JSON.parse(postSettings); } catch (e) { /* ignore malformed */ }
-      } else {
-        settings = postSettings;
-      }
-    }
-
     // Auto-shorten links
     if (settings.shortenLinks) {
       postData.shortenLinks = true;
@@ -237,4 +302,4 @@ module.exports = async function handler(req, res) {
     logError('post.update-scheduled.handler', error);
     return sendError(res, "Failed to update scheduled post", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -0,0 +1,223 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("./_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("./_utils-access-control");
+const { validateQueue, findNextFreeSlot } = require("./_queues");
+
+/**
+ * /api/queues
+ * GET    - List a workspace's content queues with their next free slot (any member)
+ * POST   - Create a queue   Body: { workspaceId, name, timezone?, slots, minRepeatGapDays?, isActive? }
+ * PATCH  - Update a queue   Body: { workspaceId, queueId, ...fields to change }
+ * DELETE - Delete a queue   Query: workspaceId, queueId (queued posts keep their times)
+ *
+ * Creating, changing and deleting queues requires canManageSettings.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    if (req.method === "GET") {
+      return await handleList(req, res, supabase);
+    }
+
+    if (!["POST", "PATCH", "DELETE"].includes(req.method)) {
+      return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+    }
+
+    const body = req.method === "DELETE" ? {} : await parseBody(req);
+    const workspaceId = body.workspaceId || req.query.workspaceId;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    const permissionCheck = checkPermission(membershipCheck.member, 'canManageSettings');
+    if (!permissionCheck.success) {
+      return sendError(res, "Only workspace owners can manage queues", ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "POST") {
+      return await handleCreate(req, res, supabase, workspaceId, body);
+    }
+    if (req.method === "PATCH") {
+      return await handleUpdate(res, supabase, workspaceId, body);
+    }
+    return await handleDelete(req, res, supabase, workspaceId);
+
+  } catch (error) {
+    logError('queues.handler', error, { method: req.method });
+    return sendError(res, "Failed to process queue request", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+async function handleList(req, res, supabase) {
+  const { workspaceId } = req.query;
+
+  if (!workspaceId || !isValidUUID(workspaceId)) {
+    return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: queues, error } = await supabase
+    .from('content_queues')
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logError('queues.list', error, { workspaceId });
+    return sendError(res, "Failed to fetch queues", ErrorCodes.DATABASE_ERROR);
+  }
+
+  if (!queues || queues.length === 0) {
+    return sendSuccess(res, { queues: [] });
+  }
+
+  const now = new Date();
+  const { data: queuedPosts, error: postsError } = await supabase
+    .from('posts')
+    .select('queue_id, scheduled_at')
+    .in('queue_id', queues.map(q => q.id))
+    .in('status', ['scheduled', 'pending_approval'])
+    .gte('scheduled_at', now.toISOString());
+
+  if (postsError) {
+    logError('queues.list.posts', postsError, { workspaceId });
+    return sendError(res, "Failed to fetch queued posts", ErrorCodes.DATABASE_ERROR);
+  }
+
+  const takenByQueue = new Map(queues.map(q => [q.id, new Set()]));
+  for (const post of queuedPosts || []) {
+    takenByQueue.get(post.queue_id)?.add(new Date(post.scheduled_at).toISOString());
+  }
+
+  const result = queues.map(queue => {
+    const taken = takenByQueue.get(queue.id);
+    const next = queue.is_active ? findNextFreeSlot(queue, taken, now) : null;
+    return {
+      ...queue,
+      queued_count: taken.size,
+      next_slot: next ? { at: next.at.toISOString(), platforms: next.platforms } : null
+    };
+  });
+
+  return sendSuccess(res, { queues: result });
+}
+
+async function handleCreate(req, res, supabase, workspaceId, body) {
+  const { name, timezone = 'UTC', slots, minRepeatGapDays = 30, isActive = true } = body;
+
+  const validationError = validateQueue({ name, timezone, slots, minRepeatGapDays });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: queue, error } = await supabase
+    .from('content_queues')
+    .insert({
+      workspace_id: workspaceId,
+      name: name.trim(),
+      timezone,
+      slots,
+      min_repeat_gap_days: Number(minRepeatGapDays),
+      is_active: isActive !== false,
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logError('queues.create', error, { workspaceId });
+    return sendError(res, "Failed to create queue", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { queue }, 201);
+}
+
+async function handleUpdate(res, supabase, workspaceId, body) {
+  const { queueId, name, timezone, slots, minRepeatGapDays, isActive } = body;
+
+  if (!queueId || !isValidUUID(queueId)) {
+    return sendError(res, "A valid queueId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const validationError = validateQueue({ name, timezone, slots, minRepeatGapDays }, { partial: true });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const updates = {};
+  if (name !== undefined) updates.name = name.trim();
+  if (timezone !== undefined) updates.timezone = timezone;
+  if (slots !== undefined) updates.slots = slots;
+  if (minRepeatGapDays !== undefined) updates.min_repeat_gap_days = Number(minRepeatGapDays);
+  if (isActive !== undefined) updates.is_active = isActive === true;
+
+  if (Object.keys(updates).length === 0) {
+    return sendError(res, "No fields to update", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  updates.updated_at = new Date().toISOString();
+
+  const { data: queue, error } = await supabase
+    .from('content_queues')
+    .update(updates)
+    .eq('id', queueId)
+    .eq('workspace_id', workspaceId)
+    .select()
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    logError('queues.update', error, { queueId });
+    return sendError(res, "Failed to update queue", ErrorCodes.DATABASE_ERROR);
+  }
+
+  if (!queue) {
+    return sendError(res, "Queue not found", ErrorCodes.NOT_FOUND);
+  }
+
+  return sendSuccess(res, { queue });
+}
+
+async function handleDelete(req, res, supabase, workspaceId) {
+  const { queueId } = req.query;
+
+  if (!queueId || !isValidUUID(queueId)) {
+    return sendError(res, "A valid queueId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { error } = await supabase
+    .from('content_queues')
+    .delete()
+    .eq('id', queueId)
+    .eq('workspace_id', workspaceId);
+
+  if (error) {
+    logError('queues.delete', error, { queueId });
+    return sendError(res, "Failed to delete queue", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { deleted: true });
+}
@@ -0,0 +1,53 @@
+const {
+  setCors,
+  getSupabase,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError
+} = require("./_utils");
+const { processScheduledReports } = require("./_reports");
+
+// Stop starting new reports with time left to finish the ones in flight
+const RUN_BUDGET_MS = 40 * 1000;
+
+/**
+ * Client report delivery (cron, hourly)
+ * Emails each scheduled client report that's due (see _reports.js) and
+ * moves it to its next run, or retries it next hour if the send failed.
+ * Reports left over wait for the next hour.
+ */
+module.exports = async function handler(req, res) {
+  setCors(res, req);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    console.log('[ReportDelivery] Sending scheduled client reports...');
+
+    const summary = await processScheduledReports(supabase, { deadline: Date.now() + RUN_BUDGET_MS });
+
+    console.log('[ReportDelivery] Done:', summary);
+
+    return sendSuccess(res, summary);
+
+  } catch (error) {
+    logError('reportDelivery.handler', error);
+    return sendError(res, `Report delivery error: ${error.message}`, ErrorCodes.INTERNAL_ERROR);
+  }
+};
+
+module.exports.config = {
+  maxDuration: 60
+};
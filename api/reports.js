@@ -0,0 +1,220 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("./_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("./_utils-access-control");
+const {
+  REPORT_SECTIONS,
+  REPORT_FREQUENCIES,
+  REPORT_FORMATS,
+  MAX_RECIPIENTS,
+  normalizeReportInput,
+  getNextRunAt
+} = require("./_reports");
+
+/**
+ * /api/reports
+ * GET    - List a workspace's client reports   Query: workspaceId
+ * POST   - Create a report   Body: { workspaceId, name, sections, frequency?, format?, timezone?,
+ *          agencyName?, logoUrl?, primaryColor?, accentColor?, recipients?, isScheduled? }
+ * PATCH  - Update a report   Body: { workspaceId, reportId, ...fields to change }
+ * DELETE - Delete a report   Query: workspaceId, reportId
+ *
+ * Listing needs canViewAnalytics; changing reports needs canManageSettings.
+ * Downloads and sending now are in api/reports/generate.js.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (!["GET", "POST", "PATCH", "DELETE"].includes(req.method)) {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const body = ["POST", "PATCH"].includes(req.method) ? await parseBody(req) : {};
+    const workspaceId = body.workspaceId || req.query.workspaceId;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    const permission = req.method === "GET" ? 'canViewAnalytics' : 'canManageSettings';
+    const permissionCheck = checkPermission(membershipCheck.member, permission);
+    if (!permissionCheck.success) {
+      return sendError(res, "You don't have permission to manage client reports", ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "GET") {
+      return await handleList(res, supabase, workspaceId);
+    }
+    if (req.method === "POST") {
+      return await handleCreate(req, res, supabase, workspaceId, body);
+    }
+    if (req.method === "PATCH") {
+      return await handleUpdate(res, supabase, workspaceId, body);
+    }
+    return await handleDelete(req, res, supabase, workspaceId);
+
+  } catch (error) {
+    logError('reports.handler', error, { method: req.method });
+    return sendError(res, "Failed to process report request", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+// Scheduled reports need someone to send to, and a next run
+function getScheduleError(report) {
+  if (report.is_scheduled && report.recipients.length === 0) {
+    return "Add at least one recipient to schedule this report";
+  }
+  return null;
+}
+
+const getNextRun = (report) =>
+  (report.is_scheduled ? getNextRunAt(report.frequency, new Date(), report.timezone).toISOString() : null);
+
+async function handleList(res, supabase, workspaceId) {
+  const { data: reports, error } = await supabase
+    .from('client_reports')
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logError('reports.list', error, { workspaceId });
+    return sendError(res, "Failed to fetch reports", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, {
+    reports: reports || [],
+    sections: Object.entries(REPORT_SECTIONS).map(([key, label]) => ({ key, label })),
+    frequencies: REPORT_FREQUENCIES,
+    formats: REPORT_FORMATS,
+    maxRecipients: MAX_RECIPIENTS
+  });
+}
+
+async function handleCreate(req, res, supabase, workspaceId, body) {
+  const { values, error: validationError } = normalizeReportInput(body);
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const scheduleError = getScheduleError(values);
+  if (scheduleError) {
+    return sendError(res, scheduleError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: report, error } = await supabase
+    .from('client_reports')
+    .insert({
+      ...values,
+      workspace_id: workspaceId,
+      next_run_at: getNextRun(values),
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logError('reports.create', error, { workspaceId });
+    return sendError(res, "Failed to create report", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { report }, 201);
+}
+
+async function handleUpdate(res, supabase, workspaceId, body) {
+  const { reportId } = body;
+
+  if (!reportId || !isValidUUID(reportId)) {
+    return sendError(res, "A valid reportId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { values, error: validationError } = normalizeReportInput(body, { partial: true });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  if (Object.keys(values).length === 0) {
+    return sendError(res, "No fields to update", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: existing } = await supabase
+    .from('client_reports')
+    .select('*')
+    .eq('id', reportId)
+    .eq('workspace_id', workspaceId)
+    .single();
+
+  if (!existing) {
+    return sendError(res, "Report not found", ErrorCodes.NOT_FOUND);
+  }
+
+  const merged = { ...existing, ...values };
+  const scheduleError = getScheduleError(merged);
+  if (scheduleError) {
+    return sendError(res, scheduleError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: report, error } = await supabase
+    .from('client_reports')
+    .update({
+      ...values,
+      next_run_at: getNextRun(merged),
+      delivery_attempts: 0,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', reportId)
+    .eq('workspace_id', workspaceId)
+    .select()
+    .single();
+
+  if (error) {
+    logError('reports.update', error, { reportId });
+    return sendError(res, "Failed to update report", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { report });
+}
+
+async function handleDelete(req, res, supabase, workspaceId) {
+  const { reportId } = req.query;
+
+  if (!reportId || !isValidUUID(reportId)) {
+    return sendError(res, "A valid reportId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { error } = await supabase
+    .from('client_reports')
+    .delete()
+    .eq('id', reportId)
+    .eq('workspace_id', workspaceId);
+
+  if (error) {
+    logError('reports.delete', error, { reportId });
+    return sendError(res, "Failed to delete report", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { deleted: true });
+}
@@ -0,0 +1,129 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
+const { REPORT_FORMATS, getReportPeriod, loadReportData, deliverReport } = require("../_reports");
+const { renderReport } = require("../_reportRender");
+
+/**
+ * /api/reports/generate
+ * GET  - Download a report for its last complete period as a file
+ *        Query: workspaceId, reportId, format? (pdf or html; default the report's)
+ *        Needs canViewAnalytics
+ * POST - Email it to the report's recipients now   Body: { workspaceId, reportId }
+ *        Needs canManageSettings
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const body = req.method === "POST" ? await parseBody(req) : {};
+    const workspaceId = body.workspaceId || req.query.workspaceId;
+    const reportId = body.reportId || req.query.reportId;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+    if (!reportId || !isValidUUID(reportId)) {
+      return sendError(res, "A valid reportId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    const permission = req.method === "GET" ? 'canViewAnalytics' : 'canManageSettings';
+    const permissionCheck = checkPermission(membershipCheck.member, permission);
+    if (!permissionCheck.success) {
+      return sendError(res, "You don't have permission to send client reports", ErrorCodes.FORBIDDEN);
+    }
+
+    const { data: report } = await supabase
+      .from('client_reports')
+      .select('*')
+      .eq('id', reportId)
+      .eq('workspace_id', workspaceId)
+      .single();
+
+    if (!report) {
+      return sendError(res, "Report not found", ErrorCodes.NOT_FOUND);
+    }
+
+    if (req.method === "GET") {
+      return await handleDownload(req, res, supabase, report);
+    }
+    return await handleSend(res, supabase, report);
+
+  } catch (error) {
+    logError('reports.generate.handler', error, { method: req.method });
+    return sendError(res, "Failed to generate report", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+async function handleDownload(req, res, supabase, report) {
+  const format = req.query.format || report.format;
+  if (!REPORT_FORMATS.includes(format)) {
+    return sendError(res, "Format must be pdf or html", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const period = getReportPeriod(report.frequency, new Date(), report.timezone);
+  const data = await loadReportData(supabase, report, period);
+  const file = await renderReport(report, data, format);
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  return res.status(200).send(file.content);
+}
+
+async function handleSend(res, supabase, report) {
+  if (!report.recipients?.length) {
+    return sendError(res, "Add at least one recipient before sending", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const now = new Date();
+  try {
+    const { period } = await deliverReport(supabase, report, { now });
+
+    await supabase
+      .from('client_reports')
+      .update({ last_sent_at: now.toISOString(), last_error: null })
+      .eq('id', report.id);
+
+    return sendSuccess(res, { sent: true, recipients: report.recipients, period: period.label });
+  } catch (error) {
+    logError('reports.generate.send', error, { reportId: report.id });
+
+    await supabase
+      .from('client_reports')
+      .update({ last_error: String(error.message || error).slice(0, 500) })
+      .eq('id', report.id);
+
+    return sendError(res, `Failed to send report: ${error.message}`, ErrorCodes.EXTERNAL_API_ERROR);
+  }
+}
+
+module.exports.config = {
+  maxDuration: 60
+};
@@ -0,0 +1,215 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("./_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("./_utils-access-control");
+const { SAVED_REPLY_VARIABLES, validateSavedReply, createReplyShortLink } = require("./_savedReplies");
+
+/**
+ * /api/saved-replies
+ * GET    - List a workspace's saved replies, most used first   Query: workspaceId
+ * POST   - Create a reply   Body: { workspaceId, name, body, category?, linkUrl? }
+ * PATCH  - Update a reply   Body: { workspaceId, replyId, ...fields to change }
+ * DELETE - Delete a reply   Query: workspaceId, replyId
+ *
+ * Saved replies are for the team answering the inbox, so every route
+ * requires canCreatePosts.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (!["GET", "POST", "PATCH", "DELETE"].includes(req.method)) {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const body = ["POST", "PATCH"].includes(req.method) ? await parseBody(req) : {};
+    const workspaceId = body.workspaceId || req.query.workspaceId;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    const permissionCheck = checkPermission(membershipCheck.member, 'canCreatePosts');
+    if (!permissionCheck.success) {
+      return sendError(res, "Saved replies are only available to team members", ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "GET") {
+      return await handleList(res, supabase, workspaceId);
+    }
+    if (req.method === "POST") {
+      return await handleCreate(req, res, supabase, workspaceId, body);
+    }
+    if (req.method === "PATCH") {
+      return await handleUpdate(req, res, supabase, workspaceId, body);
+    }
+    return await handleDelete(req, res, supabase, workspaceId);
+
+  } catch (error) {
+    logError('savedReplies.handler', error, { method: req.method });
+    return sendError(res, "Failed to process saved reply request", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+async function handleList(res, supabase, workspaceId) {
+  const { data: replies, error } = await supabase
+    .from('saved_replies')
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .order('usage_count', { ascending: false })
+    .order('name', { ascending: true });
+
+  if (error) {
+    logError('savedReplies.list', error, { workspaceId });
+    return sendError(res, "Failed to fetch saved replies", ErrorCodes.DATABASE_ERROR);
+  }
+
+  const categories = [...new Set((replies || []).map(r => r.category).filter(Boolean))].sort();
+
+  return sendSuccess(res, {
+    replies: replies || [],
+    categories,
+    variables: SAVED_REPLY_VARIABLES
+  });
+}
+
+async function handleCreate(req, res, supabase, workspaceId, body) {
+  const { name, category, body: replyBody, linkUrl } = body;
+
+  const validationError = validateSavedReply({ name, category, body: replyBody, linkUrl });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const shortCode = linkUrl
+    ? await createReplyShortLink(supabase, { workspaceId, userId: req.user.id, url: linkUrl })
+    : null;
+  if (linkUrl && !shortCode) {
+    return sendError(res, "Failed to create short link", ErrorCodes.DATABASE_ERROR);
+  }
+
+  const { data: reply, error } = await supabase
+    .from('saved_replies')
+    .insert({
+      workspace_id: workspaceId,
+      name: name.trim(),
+      category: category?.trim() || null,
+      body: replyBody.trim(),
+      link_url: linkUrl || null,
+      short_code: shortCode,
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logError('savedReplies.create', error, { workspaceId });
+    return sendError(res, "Failed to create saved reply", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { reply }, 201);
+}
+
+async function handleUpdate(req, res, supabase, workspaceId, body) {
+  const { replyId, name, category, body: replyBody, linkUrl } = body;
+
+  if (!replyId || !isValidUUID(replyId)) {
+    return sendError(res, "A valid replyId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const validationError = validateSavedReply({ name, category, body: replyBody, linkUrl }, { partial: true });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: existing } = await supabase
+    .from('saved_replies')
+    .select('id, link_url')
+    .eq('id', replyId)
+    .eq('workspace_id', workspaceId)
+    .single();
+
+  if (!existing) {
+    return sendError(res, "Saved reply not found", ErrorCodes.NOT_FOUND);
+  }
+
+  const updates = {};
+  if (name !== undefined) updates.name = name.trim();
+  if (category !== undefined) updates.category = category?.trim() || null;
+  if (replyBody !== undefined) updates.body = replyBody.trim();
+
+  // A new link URL gets a new short link so earlier clicks stay with the old one
+  if (linkUrl !== undefined && (linkUrl || null) !== existing.link_url) {
+    updates.link_url = linkUrl || null;
+    updates.short_code = linkUrl
+      ? await createReplyShortLink(supabase, { workspaceId, userId: req.user.id, url: linkUrl })
+      : null;
+    if (linkUrl && !updates.short_code) {
+      return sendError(res, "Failed to create short link", ErrorCodes.DATABASE_ERROR);
+    }
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return sendError(res, "No fields to update", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  updates.updated_at = new Date().toISOString();
+
+  const { data: reply, error } = await supabase
+    .from('saved_replies')
+    .update(updates)
+    .eq('id', replyId)
+    .eq('workspace_id', workspaceId)
+    .select()
+    .single();
+
+  if (error) {
+    logError('savedReplies.update', error, { replyId });
+    return sendError(res, "Failed to update saved reply", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { reply });
+}
+
+async function handleDelete(req, res, supabase, workspaceId) {
+  const { replyId } = req.query;
+
+  if (!replyId || !isValidUUID(replyId)) {
+    return sendError(res, "A valid replyId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { error } = await supabase
+    .from('saved_replies')
+    .delete()
+    .eq('id', replyId)
+    .eq('workspace_id', workspaceId);
+
+  if (error) {
+    logError('savedReplies.delete', error, { replyId });
+    return sendError(res, "Failed to delete saved reply", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { deleted: true });
+}
@@ -11,6 +11,21 @@ const {
   invalidateWorkspaceCache
 } = require("./_utils");
 const { sendPostFailedNotification } = require("./notifications/helpers");
+const { recycleEvergreenPost } = require("./_queues");
+const { buildAyrsharePost, getPlatformCaption, setPlatformCaption } = require("./_captionVariants");
+const { postFirstComment } = require("./_firstComment");
+const {
+  PUBLISH_CONCURRENCY,
+  PUBLISH_START_DEADLINE_MS,
+  CLEARED_LEASE,
+  claimDuePosts,
+  markPublishStarted,
+  releaseClaims,
+  recoverExpiredClaims,
+  runWithConcurrency,
+  getLatenessSeconds,
+  summarizeLateness
+} = require("./_publishQueue");
 const { sendPostGoingOutAlert, sendPostFailedAdminAlert, sendSchedulerErrorAlert } = require("./_adminAlerts");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
@@ -46,7 +61,6 @@ async function nullifyWorkspaceProfileKey(workspaceId, supabase) {
 // Helper to send post to Ayrshare
 async function sendToAyrshare(post, profileKey) {
   const postData = {
-    post: post.caption,
     platforms: post.platforms
   };
 
@@ -75,6 +89,8 @@ async function sendToAyrshare(post, profileKey) {
     }
   }
 
+  postData.post = buildAyrsharePost(post.caption, post.platforms, settings.captionVariants);
+
   // Auto-shorten links
   if (settings.shortenLinks) {
     postData.shortenLinks = true;
@@ -106,7 +122,7 @@ async function sendToAyrshare(post, profileKey) {
 
   // Twitter thread auto-splitting (same logic as api/post.js)
   if (settings.threadPost && hasTwitter) {
-    const text = post.caption;
+    const text = getPlatformCaption(postData.post, 'twitter');
     const paragraphs = text.split('\n\n');
     const processedParagraphs = [];
 
@@ -160,7 +176,7 @@ async function sendToAyrshare(post, profileKey) {
     const processedText = processedParagraphs.join('\n\n');
     if (processedText !== text) {
       console.log(`[Scheduler] Text auto-split for threading: ${paragraphs.length} → ${processedParagraphs.length} paragraphs`);
-      postData.post = processedText;
+      postData.post = setPlatformCaption(postData.post, 'twitter', processedText);
     }
   }
 
@@ -235,6 +251,269 @@ async function sendToAyrshare(post, profileKey) {
   return response.data;
 }
 
+// Publish one claimed post and record the outcome in results.
+// Failures are written back to the post rather than thrown, so one bad post
+// doesn't take down the other posts in flight.
+async function publishPost(supabase, post, claimId, results) {
+  try {
+    console.log(`[Scheduler] Processing post ${post.id}...`);
+
+    // Check if post already has ayr_post_id (was sent to Ayrshare with scheduleDate)
+    // In this case, Ayrshare handled the scheduling, we just need to update status.
+    // Its first comment is posted when Ayrshare's publish webhook arrives.
+    if (post.ayr_post_id) {
+      console.log(`[Scheduler] Post ${post.id} already sent to Ayrshare (ayr_post_id: ${post.ayr_post_id}), updating status to posted`);
+
+      const { error: updateError } = await supabase
+        .from('posts')
+        .update({
+          status: 'posted',
+          posted_at: new Date().toISOString(),
+          last_error: null,
+          ...CLEARED_LEASE
+        })
+        .eq('id', post.id)
+        .eq('publish_claim_id', claimId); // Only update while this run holds the post
+
+      if (updateError) {
+        console.error(`[Scheduler] Error updating post ${post.id}:`, updateError);
+        logError('scheduler.update_scheduled', updateError, { postId: post.id });
+        results.failed.push({
+          postId: post.id,
+          error: updateError.message
+        });
+      } else {
+        console.log(`[Scheduler] Post ${post.id} status updated to posted`);
+
+        // Invalidate cache after updating status
+        await invalidateWorkspaceCache(post.workspace_id);
+
+        results.success.push({
+          postId: post.id,
+          ayrPostId: post.ayr_post_id,
+          note: 'Status updated (post was already scheduled in Ayrshare)'
+        });
+      }
+
+      return;
+    }
+
+    // Get profile key for the workspace
+    const profileKey = await getWorkspaceProfileKey(post.workspace_id);
+
+    if (!profileKey) {
+      console.error(`[Scheduler] No profile key for workspace ${post.workspace_id}`);
+
+      // Update post as failed
+      await supabase
+        .from('posts')
+        .update({
+          status: 'failed',
+          last_error: 'No social media accounts connected',
+          posted_at: new Date().toISOString(),
+          ...CLEARED_LEASE
+        })
+        .eq('id', post.id);
+
+      sendPostFailedNotification(supabase, {
+        postId: post.id,
+        workspaceId: post.workspace_id,
+        createdByUserId: post.created_by || post.user_id,
+        platforms: post.platforms,
+        errorMessage: 'No social media accounts connected'
+      }).catch(err => logError('scheduler.notification.failed', err, { postId: post.id }));
+
+      sendPostFailedAdminAlert({
+        postId: post.id,
+        workspaceName: post.workspace_id,
+        platforms: post.platforms,
+        errorMessage: 'No social media accounts connected'
+      }).catch(err => console.warn('[Scheduler] Admin alert failed:', err.message));
+
+      results.failed.push({
+        postId: post.id,
+        error: 'No profile key'
+      });
+      return;
+    }
+
+    // Send to Ayrshare
+    await markPublishStarted(supabase, post.id, claimId);
+    const ayrshareResponse = await sendToAyrshare(post, profileKey);
+
+    // Extract ayr_post_id from Ayrshare response (handles multiple response formats)
+    const ayrPostId = ayrshareResponse.id
+      || ayrshareResponse.postId
+      || ayrshareResponse.scheduleId
+      || ayrshareResponse.refId
+      || ayrshareResponse.posts?.[0]?.id
+      || ayrshareResponse.postIds?.[0]?.id
+      || ayrshareResponse.postIds?.[0];
+
+    if (!ayrPostId) {
+      console.error(`[Scheduler] WARNING: No post ID extracted from Ayrshare response for post ${post.id}. Full response:`, JSON.stringify(ayrshareResponse));
+    }
+
+    // Update post as posted (always mark as posted to prevent duplicate sends)
+    const postedAt = new Date().toISOString();
+    const latenessSeconds = getLatenessSeconds(post.scheduled_at, postedAt);
+    const { error: updateError } = await supabase
+      .from('posts')
+      .update({
+        status: 'posted',
+        ayr_post_id: ayrPostId || null,
+        posted_at: postedAt,
+        publish_lateness_seconds: latenessSeconds,
+        last_error: ayrPostId ? null : 'Posted but no ayr_post_id extracted from response',
+        ...CLEARED_LEASE
+      })
+      .eq('id', post.id);
+
+    if (updateError) {
+      console.error(`[Scheduler] Error updating post ${post.id}:`, updateError);
+      logError('scheduler.update', updateError, { postId: post.id });
+    }
+
+    console.log(`[Scheduler] Post ${post.id} published successfully (ayr_post_id: ${ayrPostId || 'none'}, ${latenessSeconds}s late)`);
+
+    // Invalidate cache after successful post
+    await invalidateWorkspaceCache(post.workspace_id);
+
+    results.success.push({
+      postId: post.id,
+      ayrPostId,
+      latenessSeconds
+    });
+
+    if (ayrPostId) {
+      await postFirstComment(supabase, { ...post, ayr_post_id: ayrPostId })
+        .catch(err => logError('scheduler.firstComment', err, { postId: post.id }));
+    }
+
+    // Admin alert: post going out
+    sendPostGoingOutAlert({
+      postId: post.id,
+      workspaceName: post.workspace_name || post.workspace_id,
+      platforms: post.platforms,
+      caption: post.caption,
+      scheduledAt: post.scheduled_at
+    }).catch(err => console.warn('[Scheduler] Admin alert failed:', err.message));
+
+  } catch (postError) {
+    console.error(`[Scheduler] Error processing post ${post.id}:`, postError);
+    logError('scheduler.process', postError, { postId: post.id });
+
+    // IMPORTANT: Check if Ayrshare returned success data despite HTTP 400 status
+    // Ayrshare has a quirk where it returns HTTP 400 with a success response body
+    const responseData = postError.response?.data;
+
+    // Log full response for debugging status mismatches
+    console.log(`[Scheduler] Full error response for post ${post.id}:`, JSON.stringify(responseData));
+
+    // Require positive evidence of success — don't treat empty errors array as success
+    const isActuallySuccessful = responseData?.status === 'success'
+      || responseData?.postIds?.length > 0
+      || (Array.isArray(responseData?.posts) && responseData.posts.some(p => p.id || p.postUrl))
+      || !!responseData?.id
+      || !!responseData?.scheduleId;
+
+    const ayrPostId = responseData?.id
+      || responseData?.postId
+      || responseData?.scheduleId
+      || responseData?.refId
+      || responseData?.postIds?.[0]?.id
+      || responseData?.postIds?.[0]
+      || responseData?.posts?.[0]?.id;
+
+    if (isActuallySuccessful) {
+      // Post actually succeeded despite HTTP error - save as successful
+      console.log(`[Scheduler] Post ${post.id} succeeded despite HTTP error - ayr_post_id: ${ayrPostId || 'unknown'}`);
+
+      const postedAt = new Date().toISOString();
+      const latenessSeconds = getLatenessSeconds(post.scheduled_at, postedAt);
+      const updateData = {
+        status: 'posted',
+        posted_at: postedAt,
+        publish_lateness_seconds: latenessSeconds,
+        last_error: null,
+        ...CLEARED_LEASE
+      };
+      if (ayrPostId) {
+        updateData.ayr_post_id = ayrPostId;
+      }
+
+      await supabase
+        .from('posts')
+        .update(updateData)
+        .eq('id', post.id);
+
+      // Invalidate cache after successful post
+      await invalidateWorkspaceCache(post.workspace_id);
+
+      results.success.push({
+        postId: post.id,
+        ayrPostId: ayrPostId || 'unknown',
+        latenessSeconds,
+        warning: 'Succeeded despite HTTP error'
+      });
+
+      if (ayrPostId) {
+        await postFirstComment(supabase, { ...post, ayr_post_id: ayrPostId })
+          .catch(err => logError('scheduler.firstComment', err, { postId: post.id }));
+      }
+    } else {
+      // Check if this was a timeout — Ayrshare may still have processed the post.
+      // Mark as 'failed' but tag the error so the reconciliation loop can verify.
+      const isTimeout = postError.code === 'ECONNABORTED'
+        || postError.message?.toLowerCase().includes('timeout');
+
+      const failureReason = responseData?.message || postError.message;
+
+      // If the profile key no longer exists on Ayrshare, null it out so future
+      // runs skip this workspace cleanly instead of accumulating invalid calls.
+      if (isInvalidProfileKeyError(postError)) {
+        await nullifyWorkspaceProfileKey(post.workspace_id, supabase);
+      }
+
+      await supabase
+        .from('posts')
+        .update({
+          status: 'failed',
+          last_error: failureReason,
+          posted_at: new Date().toISOString(),
+          ...CLEARED_LEASE
+        })
+        .eq('id', post.id);
+
+      // Only send "post failed" notification for definitive failures, not timeouts.
+      // Timeout posts get reconciled on the next run and may flip to 'posted'.
+      if (!isTimeout) {
+        sendPostFailedNotification(supabase, {
+          postId: post.id,
+          workspaceId: post.workspace_id,
+          createdByUserId: post.created_by || post.user_id,
+          platforms: post.platforms,
+          errorMessage: failureReason
+        }).catch(err => logError('scheduler.notification.failed', err, { postId: post.id }));
+      } else {
+        console.log(`[Scheduler] Post ${post.id} timed out — skipping failure notification (reconciliation will re-check)`);
+      }
+
+      sendPostFailedAdminAlert({
+        postId: post.id,
+        workspaceName: post.workspace_id,
+        platforms: post.platforms,
+        errorMessage: failureReason
+      }).catch(err => console.warn('[Scheduler] Admin alert failed:', err.message));
+
+      results.failed.push({
+        postId: post.id,
+        error: postError.message
+      });
+    }
+  }
+}
+
 module.exports = async function handler(req, res) {
   setCors(res, req);
 
@@ -253,298 +532,66 @@ module.exports = async function handler(req, res) {
 
   try {
     console.log('[Scheduler] Starting scheduled posts check...');
+    const runStartedAt = Date.now();
 
-    // Get all scheduled posts that are due (scheduled_at <= now)
-    const now = new Date().toISOString();
-    const { data: duePosts, error: fetchError } = await supabase
-      .from('posts')
-      .select('*')
-      .eq('status', 'scheduled')
-      .eq('approval_status', 'approved')
-      .lte('scheduled_at', now)
-      .order('scheduled_at', { ascending: true })
-      .limit(10); // Process 10 posts per run
-
-    if (fetchError) {
-      console.error('[Scheduler] Error fetching due posts:', fetchError);
-      logError('scheduler.fetch', fetchError);
-      return sendError(res, "Failed to fetch scheduled posts", ErrorCodes.DATABASE_ERROR);
+    // Recover posts left publishing by a run that died before finishing them
+    const recovery = await recoverExpiredClaims(supabase);
+    if (recovery.requeued > 0 || recovery.failed.length > 0) {
+      console.log(`[Scheduler] Recovered expired claims: ${recovery.requeued} requeued, ${recovery.failed.length} marked failed for reconciliation`);
+    }
+    for (const post of recovery.failed) {
+      sendPostFailedAdminAlert({
+        postId: post.id,
+        workspaceName: post.workspace_id,
+        platforms: post.platforms,
+        errorMessage: 'Scheduler lease expired after the post was sent to Ayrshare'
+      }).catch(err => console.warn('[Scheduler] Admin alert failed:', err.message));
+    }
+
+    // Claim a batch of due posts (moves them to 'publishing' so no other run picks them up)
+    const claim = await claimDuePosts(supabase);
+    if (!claim.success) {
+      return sendError(res, "Failed to fetch scheduled posts", claim.code);
     }
 
+    const duePosts = claim.posts;
     const results = {
       success: [],
       failed: [],
-      skipped: [] // Debug: track posts that were skipped (lock failed)
+      skipped: [] // Claimed posts handed back to the next run
     };
 
-    if (!duePosts || duePosts.length === 0) {
+    if (duePosts.length === 0) {
       console.log('[Scheduler] No posts due for publishing');
     } else {
-      console.log(`[Scheduler] Found ${duePosts.length} posts due for publishing`);
+      console.log(`[Scheduler] Claimed ${duePosts.length} posts due for publishing`);
     }
 
-    // Process each due post (skip if none)
-    for (const post of (duePosts || [])) {
-      try {
-        console.log(`[Scheduler] Processing post ${post.id}...`);
-
-        // Check if post already has ayr_post_id (was sent to Ayrshare with scheduleDate)
-        // In this case, Ayrshare handled the scheduling, we just need to update status
-        // NO LOCKING NEEDED since we're not sending to Ayrshare
-        if (post.ayr_post_id) {
-          console.log(`[Scheduler] Post ${post.id} already sent to Ayrshare (ayr_post_id: ${post.ayr_post_id}), updating status to posted`);
-
-          const { error: updateError } = await supabase
-            .from('posts')
-            .update({
-              status: 'posted',
-              posted_at: new Date().toISOString(),
-              last_error: null
-            })
-            .eq('id', post.id)
-            .eq('status', 'scheduled'); // Only update if still scheduled
-
-          if (updateError) {
-            console.error(`[Scheduler] Error updating post ${post.id}:`, updateError);
-            logError('scheduler.update_scheduled', updateError, { postId: post.id });
-            results.failed.push({
-              postId: post.id,
-              error: updateError.message
-            });
-          } else {
-            console.log(`[Scheduler] Post ${post.id} status updated to posted`);
-
-            // Invalidate cache after updating status
-            await invalidateWorkspaceCache(post.workspace_id);
-
-            results.success.push({
-              postId: post.id,
-              ayrPostId: post.ayr_post_id,
-              note: 'Status updated (post was already scheduled in Ayrshare)'
-            });
-          }
-
-          continue; // Skip to next post
-        }
-
-        // Use optimistic locking: stamp updated_at to claim this post.
-        // If another scheduler instance already claimed it, the WHERE won't match.
-        const lockStamp = new Date().toISOString();
-        const { data: lockData, error: lockError } = await supabase
-          .from('posts')
-          .update({ updated_at: lockStamp })
-          .eq('id', post.id)
-          .eq('status', 'scheduled') // Only claim if still scheduled
-          .select('id');
-
-        if (lockError || !lockData || lockData.length === 0) {
-          console.warn(`[Scheduler] Post ${post.id} already being processed - skipping`);
-          results.skipped.push({
-            postId: post.id,
-            reason: lockError ? `Lock error: ${lockError.message}` : 'Post status changed before lock',
-          });
-          continue;
-        }
-
-        console.log(`[Scheduler] Claimed post ${post.id} for processing`);
-
-        // Get profile key for the workspace
-        const profileKey = await getWorkspaceProfileKey(post.workspace_id);
-
-        if (!profileKey) {
-          console.error(`[Scheduler] No profile key for workspace ${post.workspace_id}`);
-
-          // Update post as failed
-          await supabase
-            .from('posts')
-            .update({
-              status: 'failed',
-              last_error: 'No social media accounts connected',
-              posted_at: new Date().toISOString()
-            })
-            .eq('id', post.id);
-
-          sendPostFailedNotification(supabase, {
-            postId: post.id,
-            workspaceId: post.workspace_id,
-            createdByUserId: post.created_by || post.user_id,
-            platforms: post.platforms,
-            errorMessage: 'No social media accounts connected'
-          }).catch(err => logError('scheduler.notification.failed', err, { postId: post.id }));
-
-          sendPostFailedAdminAlert({
-            postId: post.id,
-            workspaceName: post.workspace_id,
-            platforms: post.platforms,
-            errorMessage: 'No social media accounts connected'
-          }).catch(err => console.warn('[Scheduler] Admin alert failed:', err.message));
-
-          results.failed.push({
-            postId: post.id,
-            error: 'No profile key'
-          });
-          continue;
-        }
-
-        // Send to Ayrshare
-        const ayrshareResponse = await sendToAyrshare(post, profileKey);
-
-        // Extract ayr_post_id from Ayrshare response (handles multiple response formats)
-        const ayrPostId = ayrshareResponse.id
-          || ayrshareResponse.postId
-          || ayrshareResponse.scheduleId
-          || ayrshareResponse.refId
-          || ayrshareResponse.posts?.[0]?.id
-          || ayrshareResponse.postIds?.[0]?.id
-          || ayrshareResponse.postIds?.[0];
-
-        if (!ayrPostId) {
-          console.error(`[Scheduler] WARNING: No post ID extracted from Ayrshare response for post ${post.id}. Full response:`, JSON.stringify(ayrshareResponse));
-        }
-
-        // Update post as posted (always mark as posted to prevent duplicate sends)
-        const { error: updateError } = await supabase
-          .from('posts')
-          .update({
-            status: 'posted',
-            ayr_post_id: ayrPostId || null,
-            posted_at: new Date().toISOString(),
-            last_error: ayrPostId ? null : 'Posted but no ayr_post_id extracted from response'
-          })
-          .eq('id', post.id);
-
-        if (updateError) {
-          console.error(`[Scheduler] Error updating post ${post.id}:`, updateError);
-          logError('scheduler.update', updateError, { postId: post.id });
-        }
-
-        console.log(`[Scheduler] Post ${post.id} published successfully (ayr_post_id: ${ayrPostId || 'none'})`);
-
-        // Invalidate cache after successful post
-        await invalidateWorkspaceCache(post.workspace_id);
-
-        results.success.push({
-          postId: post.id,
-          ayrPostId
-        });
-
-        // Admin alert: post going out
-        sendPostGoingOutAlert({
-          postId: post.id,
-          workspaceName: post.workspace_name || post.workspace_id,
-          platforms: post.platforms,
-          caption: post.caption,
-          scheduledAt: post.scheduled_at
-        }).catch(err => console.warn('[Scheduler] Admin alert failed:', err.message));
-
-      } catch (postError) {
-        console.error(`[Scheduler] Error processing post ${post.id}:`, postError);
-        logError('scheduler.process', postError, { postId: post.id });
-
-        // IMPORTANT: Check if Ayrshare returned success data despite HTTP 400 status
-        // Ayrshare has a quirk where it returns HTTP 400 with a success response body
-        const responseData = postError.response?.data;
-
-        // Log full response for debugging status mismatches
-        console.log(`[Scheduler] Full error response for post ${post.id}:`, JSON.stringify(responseData));
-
-        // Require positive evidence of success — don't treat empty errors array as success
-        const isActuallySuccessful = responseData?.status === 'success'
-          || responseData?.postIds?.length > 0
-          || (Array.isArray(responseData?.posts) && responseData.posts.some(p => p.id || p.postUrl))
-          || !!responseData?.id
-          || !!responseData?.scheduleId;
-
-        const ayrPostId = responseData?.id
-          || responseData?.postId
-          || responseData?.scheduleId
-          || responseData?.refId
-          || responseData?.postIds?.[0]?.id
-          || responseData?.postIds?.[0]
-          || responseData?.posts?.[0]?.id;
-
-        if (isActuallySuccessful) {
-          // Post actually succeeded despite HTTP error - save as successful
-          console.log(`[Scheduler] Post ${post.id} succeeded despite HTTP error - ayr_post_id: ${ayrPostId || 'unknown'}`);
-
-          const updateData = {
-            status: 'posted',
-            posted_at: new Date().toISOString(),
-            last_error: null
-          };
-          if (ayrPostId) {
-            updateData.ayr_post_id = ayrPostId;
-          }
-
-          await supabase
-            .from('posts')
-            .update(updateData)
-            .eq('id', post.id);
-
-          // Invalidate cache after successful post
-          await invalidateWorkspaceCache(post.workspace_id);
-
-          results.success.push({
-            postId: post.id,
-            ayrPostId: ayrPostId || 'unknown',
-            warning: 'Succeeded despite HTTP error'
-          });
-        } else {
-          // Check if this was a timeout — Ayrshare may still have processed the post.
-          // Mark as 'failed' but tag the error so the reconciliation loop can verify.
-          const isTimeout = postError.code === 'ECONNABORTED'
-            || postError.message?.toLowerCase().includes('timeout');
-
-          const failureReason = responseData?.message || postError.message;
-
-          // If the profile key no longer exists on Ayrshare, null it out so future
-          // runs skip this workspace cleanly instead of accumulating invalid calls.
-          if (isInvalidProfileKeyError(postError)) {
-            await nullifyWorkspaceProfileKey(post.workspace_id, supabase);
-          }
-
-          await supabase
-            .from('posts')
-            .update({
-              status: 'failed',
-              last_error: failureReason,
-              posted_at: new Date().toISOString()
-            })
-            .eq('id', post.id);
-
-          // Only send "post failed" notification for definitive failures, not timeouts.
-          // Timeout posts get reconciled on the next run and may flip to 'posted'.
-          if (!isTimeout) {
-            sendPostFailedNotification(supabase, {
-              postId: post.id,
-              workspaceId: post.workspace_id,
-              createdByUserId: post.created_by || post.user_id,
-              platforms: post.platforms,
-              errorMessage: failureReason
-            }).catch(err => logError('scheduler.notification.failed', err, { postId: post.id }));
-          } else {
-            console.log(`[Scheduler] Post ${post.id} timed out — skipping failure notification (reconciliation will re-check)`);
-          }
+    const { unstarted } = await runWithConcurrency(
+      duePosts,
+      PUBLISH_CONCURRENCY,
+      post => publishPost(supabase, post, claim.claimId, results),
+      { deadline: runStartedAt + PUBLISH_START_DEADLINE_MS }
+    );
 
-          sendPostFailedAdminAlert({
-            postId: post.id,
-            workspaceName: post.workspace_id,
-            platforms: post.platforms,
-            errorMessage: failureReason
-          }).catch(err => console.warn('[Scheduler] Admin alert failed:', err.message));
-
-          results.failed.push({
-            postId: post.id,
-            error: postError.message
-          });
-        }
+    if (unstarted.length > 0) {
+      const released = await releaseClaims(supabase, unstarted.map(post => post.id), claim.claimId);
+      console.log(`[Scheduler] Out of time - released ${released} claimed posts to the next run`);
+      for (const post of unstarted) {
+        results.skipped.push({ postId: post.id, reason: 'Deferred to the next run' });
       }
     }
 
+    const lateness = summarizeLateness(
+      results.success.map(r => r.latenessSeconds).filter(s => typeof s === 'number')
+    );
+
     console.log('[Scheduler] Processing complete:', {
       total: duePosts.length,
       successful: results.success.length,
-      failed: results.failed.length
+      failed: results.failed.length,
+      deferred: results.skipped.length,
+      lateness
     });
 
     // ============================================================
@@ -770,13 +817,51 @@ module.exports = async function handler(req, res) {
       console.warn('[Scheduler] Reverse reconciliation error (non-blocking):', reverseErr.message);
     }
 
+    // ============================================================
+    // EVERGREEN RECYCLING: Re-queue published evergreen posts
+    // Each copy takes the next free slot in its queue after the
+    // queue's minimum repeat gap
+    // ============================================================
+    let recycled = 0;
+    try {
+      const { data: evergreenPosts } = await supabase
+        .from('posts')
+        .select('id, workspace_id, user_id, created_by, caption, media_urls, post_settings, posted_at, queue_id, content_queues!inner(min_repeat_gap_days, is_active)')
+        .eq('status', 'posted')
+        .eq('is_evergreen', true)
+        .is('recycled_at', null)
+        .eq('content_queues.is_active', true)
+        .order('posted_at', { ascending: true })
+        .limit(10);
+
+      for (const post of (evergreenPosts || [])) {
+        try {
+          const copy = await recycleEvergreenPost(supabase, post);
+          if (copy) {
+            recycled++;
+            console.log(`[Scheduler] Evergreen post ${post.id} re-queued as ${copy.id} for ${copy.scheduled_at}`);
+          }
+        } catch (recycleErr) {
+          console.warn(`[Scheduler] Evergreen recycling failed for post ${post.id}:`, recycleErr.message);
+        }
+      }
+    } catch (evergreenErr) {
+      console.warn('[Scheduler] Evergreen recycling error (non-blocking):', evergreenErr.message);
+    }
+
     return sendSuccess(res, {
-      processed: (duePosts || []).length,
+      processed: duePosts.length,
       successful: results.success.length,
       failed: results.failed.length,
       skipped: results.skipped.length,
+      recovered: {
+        requeued: recovery.requeued,
+        failed: recovery.failed.length
+      },
+      lateness,
       reconciled,
       reverseReconciled,
+      recycled,
       results
     });
 
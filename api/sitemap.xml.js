@@ -1,10 +1,37 @@
 /**
  * Dynamic Sitemap Generator for Woozy Social
- * Generates XML sitemap with public pages
+ * Generates XML sitemap with public pages and published link-in-bio pages
  *
  * Access at: https://www.woozysocials.com/sitemap.xml
  */
 
+import { getSupabase } from "./_utils";
+
+// Published /bio/:slug pages. The sitemap still renders if this fails.
+async function getBioPages() {
+  const supabase = getSupabase();
+  if (!supabase) return [];
+
+  const { data, error } = await supabase
+    .from('bio_pages')
+    .select('slug, updated_at')
+    .eq('is_published', true)
+    .order('updated_at', { ascending: false })
+    .limit(5000);
+
+  if (error) {
+    console.error('Error loading bio pages for sitemap:', error);
+    return [];
+  }
+
+  return data.map((page) => ({
+    url: `/bio/${page.slug}`,
+    changefreq: 'daily',
+    priority: '0.6',
+    lastmod: new Date(page.updated_at).toISOString(),
+  }));
+}
+
 export default async function handler(req, res) {
   try {
     const baseUrl = 'https://www.woozysocials.com';
@@ -38,6 +65,8 @@ export default async function handler(req, res) {
       },
     ];
 
+    pages.push(...await getBioPages());
+
     // Generate XML sitemap
     const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
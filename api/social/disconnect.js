@@ -9,9 +9,12 @@ const {
   logError,
   validateRequired,
   isValidUUID,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission } = require("../_utils-access-control");
 const { sendSocialAccountUnlinkedNotification } = require("../notifications/helpers");
+const { AUDIT_ACTIONS, recordAudit } = require("../_audit");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 
@@ -20,7 +23,7 @@ const VALID_PLATFORMS = [
   'youtube', 'tiktok', 'pinterest'
 ];
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -58,6 +61,17 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Invalid workspaceId format", ErrorCodes.VALIDATION_ERROR);
     }
 
+    if (workspaceId) {
+      const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+      if (!membershipCheck.success) {
+        return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+      }
+
+      if (!checkPermission(membershipCheck.member, 'canManageConnectedAccounts').success) {
+        return sendError(res, "You don't have permission to disconnect social accounts", ErrorCodes.FORBIDDEN);
+      }
+    }
+
     // Validate platform
     if (!VALID_PLATFORMS.includes(platform.toLowerCase())) {
       return sendError(
@@ -118,6 +132,17 @@ module.exports = async function handler(req, res) {
     }
 
     if (response.data.status === "success" || response.status === 200) {
+      // Only workspace profiles are audited; the user-profile fallback has no workspace log
+      if (workspaceId) {
+        await recordAudit(supabase, {
+          workspaceId,
+          action: AUDIT_ACTIONS.ACCOUNT_UNLINKED,
+          targetType: 'social_account',
+          targetId: platform.toLowerCase(),
+          targetLabel: platform.toLowerCase()
+        }, req);
+      }
+
       // Send notification to workspace admins (non-blocking)
       if (workspaceId) {
         try {
@@ -165,4 +190,4 @@ module.exports = async function handler(req, res) {
     logError('social.disconnect.handler', error);
     return sendError(res, "Failed to disconnect social account", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -6,15 +6,18 @@ const {
   sendError,
   logError,
   validateRequired,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 const { sendSocialAccountLinkedNotification } = require("../notifications/helpers");
+const { verifyWorkspaceMembership } = require("../_utils-access-control");
+const { AUDIT_ACTIONS, recordAudit } = require("../_audit");
 
 /**
  * API endpoint to trigger notification when a social account is linked
  * Called from frontend after successful account connection
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -61,6 +64,18 @@ module.exports = async function handler(req, res) {
 
     const userName = userProfile?.full_name || userProfile?.email || 'A team member';
 
+    // Only members' links go in the workspace's audit log
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (membershipCheck.success) {
+      await recordAudit(supabase, {
+        workspaceId,
+        action: AUDIT_ACTIONS.ACCOUNT_LINKED,
+        targetType: 'social_account',
+        targetId: platform,
+        targetLabel: platform
+      }, req);
+    }
+
     // Send notification to workspace admins
     await sendSocialAccountLinkedNotification(supabase, {
       workspaceId,
@@ -77,4 +92,4 @@ module.exports = async function handler(req, res) {
     logError('social.notify-account-linked.handler', error);
     return sendError(res, "Failed to send notification", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -8,6 +8,7 @@ const {
   validateRequired,
   logError,
   applyRateLimit,
+  withAuth
 } = require("../_utils");
 
 // Initialize Stripe
@@ -48,7 +49,7 @@ const TIER_NAMES = {
   "brand-bolt": "BrandBolt",
 };
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res, req);
 
   if (req.method === "OPTIONS") {
@@ -285,4 +286,4 @@ module.exports = async function handler(req, res) {
       { errorMessage: error.message }
     );
   }
-};
+});
@@ -8,12 +8,13 @@ const {
   validateRequired,
   logError,
   applyRateLimit,
+  withAuth
 } = require("../_utils");
 
 // Initialize Stripe
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res, req);
 
   if (req.method === "OPTIONS") {
@@ -113,4 +114,4 @@ module.exports = async function handler(req, res) {
       ErrorCodes.INTERNAL_ERROR
     );
   }
-};
+});
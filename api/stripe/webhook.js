@@ -1,5 +1,6 @@
 const Stripe = require("stripe");
 const { getSupabase, logError } = require("../_utils");
+const { AUDIT_ACTIONS, recordAudit } = require("../_audit");
 
 // Initialize Stripe
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
@@ -38,6 +39,29 @@ function normalizeTierName(tier) {
   return tier.replace(/-/g, '_');
 }
 
+// Billing belongs to the owner's account, so record it in every workspace they own.
+// Stripe is the actor, so the entries have no actor_id.
+async function recordBillingAudit(supabase, userId, action, { target, before, after, metadata }) {
+  const { data: ownedWorkspaces } = await supabase
+    .from("workspace_members")
+    .select("workspace_id")
+    .eq("user_id", userId)
+    .eq("role", "owner");
+
+  await recordAudit(supabase, (ownedWorkspaces || []).map(({ workspace_id }) => ({
+    workspaceId: workspace_id,
+    actorId: null,
+    actorEmail: "stripe",
+    action,
+    targetType: "subscription",
+    targetId: target,
+    targetLabel: target,
+    before,
+    after,
+    metadata
+  })));
+}
+
 // Helper to get raw body from request
 async function getRawBody(req) {
   // Check if body is already a Buffer (Vercel sometimes provides this)
@@ -586,7 +610,7 @@ module.exports = async function handler(req, res) {
         // Find user by customer ID
         const { data: user } = await supabase
           .from("user_profiles")
-          .select("id")
+          .select("id, subscription_status, subscription_tier")
           .eq("stripe_customer_id", customerId)
           .single();
 
@@ -613,6 +637,14 @@ module.exports = async function handler(req, res) {
           })
           .eq("id", user.id);
 
+        if (status !== user.subscription_status || tier !== user.subscription_tier) {
+          await recordBillingAudit(supabase, user.id, AUDIT_ACTIONS.BILLING_SUBSCRIPTION_CHANGED, {
+            target: subscription.id,
+            before: { subscription_status: user.subscription_status, subscription_tier: user.subscription_tier },
+            after: { subscription_status: status, subscription_tier: tier }
+          });
+        }
+
         console.log(`[WEBHOOK] Subscription updated for user ${user.id}: ${status}, tier: ${tier}`);
         break;
       }
@@ -637,6 +669,11 @@ module.exports = async function handler(req, res) {
             })
             .eq("id", user.id);
 
+          await recordBillingAudit(supabase, user.id, AUDIT_ACTIONS.BILLING_SUBSCRIPTION_CANCELLED, {
+            target: subscription.id,
+            after: { subscription_status: "cancelled" }
+          });
+
           console.log(`[WEBHOOK] Subscription cancelled for user ${user.id}`);
           // NOTE: We don't delete the workspace or Ayrshare profile
           // They can resubscribe and regain access
@@ -665,6 +702,12 @@ module.exports = async function handler(req, res) {
             })
             .eq("id", user.id);
 
+          await recordBillingAudit(supabase, user.id, AUDIT_ACTIONS.BILLING_PAYMENT_FAILED, {
+            target: invoice.subscription || invoice.id,
+            after: { subscription_status: "past_due" },
+            metadata: { invoiceId: invoice.id, amountDue: invoice.amount_due, currency: invoice.currency }
+          });
+
           console.log(`[WEBHOOK] Payment failed for user ${user.id}`);
         }
         break;
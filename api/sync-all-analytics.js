@@ -6,8 +6,10 @@ const {
   ErrorCodes,
   sendSuccess,
   sendError,
-  logError
+  logError,
+  withAuth
 } = require("./_utils");
+const { recordPostSnapshot } = require("./_analyticsSnapshots");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 
@@ -19,7 +21,7 @@ const BASE_AYRSHARE = "https://api.ayrshare.com/api";
  * Body:
  * - workspaceId: Required workspace ID
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -51,7 +53,7 @@ module.exports = async function handler(req, res) {
     // Get all posted posts with ayr_post_id
     const { data: posts, error: fetchError } = await supabase
       .from('posts')
-      .select('id, ayr_post_id, platforms, caption, analytics, analytics_updated_at')
+      .select('id, workspace_id, ayr_post_id, platforms, caption, analytics, analytics_updated_at')
       .eq('workspace_id', workspaceId)
       .eq('status', 'posted')
       .not('ayr_post_id', 'is', null)
@@ -115,12 +117,14 @@ module.exports = async function handler(req, res) {
         );
 
         if (response.data) {
+          const syncedAt = new Date();
+
           // Store analytics in posts.analytics JSONB column
           const { error: updateError } = await supabase
             .from('posts')
             .update({
               analytics: response.data,
-              analytics_updated_at: new Date().toISOString()
+              analytics_updated_at: syncedAt.toISOString()
             })
             .eq('id', post.id);
 
@@ -129,6 +133,8 @@ module.exports = async function handler(req, res) {
             failedCount++;
             errors.push({ postId: post.ayr_post_id, error: updateError.message });
           } else {
+            // Also keep them as history for the growth charts
+            await recordPostSnapshot(supabase, post, response.data, syncedAt);
             console.log(`[SYNC-ALL] ✓ Synced analytics for ${post.ayr_post_id}`);
             syncedCount++;
           }
@@ -168,4 +174,4 @@ module.exports = async function handler(req, res) {
     logError('sync-all-analytics.handler', error);
     return sendError(res, "Failed to sync analytics", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -8,8 +8,10 @@ const {
   sendError,
   logError,
   isValidUUID,
-  parseBody
+  parseBody,
+  withAuth
 } = require("./_utils");
+const { recordPostSnapshot } = require("./_analyticsSnapshots");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 
@@ -21,7 +23,7 @@ const BASE_AYRSHARE = "https://api.ayrshare.com/api";
  * - postId: Optional Ayrshare post ID (if omitted, syncs all recent posts)
  * - workspaceId: Required workspace ID
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -61,7 +63,7 @@ module.exports = async function handler(req, res) {
       // Sync single post
       const { data: post } = await supabase
         .from('posts')
-        .select('id, ayr_post_id')
+        .select('id, workspace_id, ayr_post_id, platforms')
         .eq('ayr_post_id', postId)
         .eq('workspace_id', workspaceId)
         .single();
@@ -78,7 +80,7 @@ module.exports = async function handler(req, res) {
 
       const { data: posts } = await supabase
         .from('posts')
-        .select('id, ayr_post_id')
+        .select('id, workspace_id, ayr_post_id, platforms')
         .eq('workspace_id', workspaceId)
         .eq('status', 'posted')
         .not('ayr_post_id', 'is', null)
@@ -114,13 +116,14 @@ module.exports = async function handler(req, res) {
 
         if (response.data) {
           const analytics = response.data;
+          const syncedAt = new Date();
 
           // Store analytics in posts.analytics JSONB column
           const { error: updateError } = await supabase
             .from('posts')
             .update({
               analytics: analytics,
-              analytics_updated_at: new Date().toISOString()
+              analytics_updated_at: syncedAt.toISOString()
             })
             .eq('id', post.id);
 
@@ -128,6 +131,8 @@ module.exports = async function handler(req, res) {
             console.error(`[SYNC-ANALYTICS] Error updating post ${post.ayr_post_id}:`, updateError);
             failedCount++;
           } else {
+            // Also keep them as history for the growth charts
+            await recordPostSnapshot(supabase, post, analytics, syncedAt);
             console.log(`[SYNC-ANALYTICS] Synced analytics for post ${post.ayr_post_id}`);
             syncedCount++;
           }
@@ -156,4 +161,4 @@ module.exports = async function handler(req, res) {
     logError('sync-analytics.handler', error);
     return sendError(res, "Failed to sync analytics", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
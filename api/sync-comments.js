@@ -8,20 +8,25 @@ const {
   sendError,
   logError,
   isValidUUID,
-  parseBody
+  parseBody,
+  withAuth
 } = require("./_utils");
+const { loadModerationRules, moderateComment } = require("./_moderation");
+const { classifyPendingComments } = require("./_sentiment");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 
 /**
  * POST /api/sync-comments
- * Manually syncs comments from Ayrshare for a specific post
+ * Manually syncs comments from Ayrshare for a specific post. New comments are
+ * run through the workspace's moderation rules (api/_moderation.js) and
+ * classified for sentiment and intent (api/_sentiment.js).
  *
  * Body:
  * - postId: Ayrshare post ID
  * - workspaceId: Workspace ID
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -122,6 +127,8 @@ module.exports = async function handler(req, res) {
     // Sync comments to database
     let syncedCount = 0;
     let skippedCount = 0;
+    let moderatedCount = 0;
+    const moderationRules = await loadModerationRules(supabase, post.workspace_id);
 
     // Log first comment structure for debugging
     if (ayrshareComments.length > 0) {
@@ -143,7 +150,7 @@ module.exports = async function handler(req, res) {
       }
 
       // Insert comment (ignore duplicates)
-      const { error: insertError } = await supabase
+      const { data: savedComment, error: insertError } = await supabase
         .from('social_engagement_comments')
         .insert({
           post_id: post.id,
@@ -154,7 +161,9 @@ module.exports = async function handler(req, res) {
           author_username: authorUsername,
           author_profile_url: authorProfileUrl,
           created_at: createdAt
-        });
+        })
+        .select()
+        .single();
 
       if (insertError) {
         if (insertError.code === '23505') {
@@ -178,15 +187,24 @@ module.exports = async function handler(req, res) {
         }
       } else {
         syncedCount++;
+        if (moderationRules.length > 0) {
+          const moderation = await moderateComment(supabase, savedComment, { rules: moderationRules, profileKey });
+          if (moderation) moderatedCount++;
+        }
       }
     }
 
+    if (syncedCount > 0) {
+      await classifyPendingComments(supabase, post.workspace_id, { limit: Math.min(syncedCount, 100) });
+    }
+
     console.log(`[SYNC-COMMENTS] Sync complete: ${syncedCount} new, ${skippedCount} skipped`);
 
     return sendSuccess(res, {
       synced: syncedCount,
       skipped: skippedCount,
       total: ayrshareComments.length,
+      moderated: moderatedCount,
       message: `Synced ${syncedCount} new comments`
     });
 
@@ -194,4 +212,4 @@ module.exports = async function handler(req, res) {
     logError('sync-comments.handler', error);
     return sendError(res, "Failed to sync comments", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
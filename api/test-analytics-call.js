@@ -4,7 +4,8 @@ const {
   getWorkspaceProfileKey,
   sendSuccess,
   sendError,
-  ErrorCodes
+  ErrorCodes,
+  withAuth
 } = require("./_utils");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
@@ -13,7 +14,7 @@ const BASE_AYRSHARE = "https://api.ayrshare.com/api";
  * TEST ENDPOINT - Diagnostic endpoint to test Ayrshare analytics API
  * GET /api/test-analytics-call?postId={ayrPostId}&workspaceId={workspaceId}
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -123,4 +124,4 @@ module.exports = async function handler(req, res) {
     console.error('Fatal error:', error);
     return sendError(res, error.message, ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
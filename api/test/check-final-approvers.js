@@ -1,6 +1,6 @@
-const { getSupabase, sendSuccess, sendError, setCors } = require("../_utils");
+const { getSupabase, sendSuccess, sendError, setCors, withAuth } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -52,4 +52,4 @@ module.exports = async function handler(req, res) {
     suggestedStatus,
     errors: { allError, approverError }
   });
-};
+});
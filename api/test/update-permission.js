@@ -1,6 +1,6 @@
-const { getSupabase, sendSuccess, sendError, setCors } = require("../_utils");
+const { getSupabase, sendSuccess, sendError, setCors, withAuth } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -43,4 +43,4 @@ module.exports = async function handler(req, res) {
       ? `Successfully updated can_final_approval to ${canFinalApproval}`
       : 'No rows were updated'
   });
-};
+});
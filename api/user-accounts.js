@@ -15,13 +15,14 @@ const {
   sendError,
   logError,
   isValidUUID,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("./_utils");
 
 const BASE_AYRSHARE = "https://api.ayrshare.com/api";
 const AYRSHARE_CACHE_TTL = 60; // Cache user accounts for 1 minute (invalidated on connect)
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res, req);
 
   if (req.method === "OPTIONS") {
@@ -131,4 +132,4 @@ module.exports = async function handler(req, res) {
     // Return empty accounts on error for graceful degradation
     return sendSuccess(res, { accounts: [], activeSocialAccounts: [] });
   }
-};
+});
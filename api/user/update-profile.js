@@ -6,7 +6,8 @@ const {
   sendError,
   logError,
   isValidUUID,
-  parseBody
+  parseBody,
+  withAuth
 } = require("../_utils");
 
 // Allowed fields that can be updated via this endpoint
@@ -24,7 +25,7 @@ const ALLOWED_FIELDS = [
  * - userId: Required user ID
  * - updates: Object with fields to update (only whitelisted fields allowed)
  */
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -80,4 +81,4 @@ module.exports = async function handler(req, res) {
     logError('user.update-profile.handler', error);
     return sendError(res, "Failed to update profile", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
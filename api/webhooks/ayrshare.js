@@ -4,19 +4,30 @@ const {
   ErrorCodes,
   sendSuccess,
   sendError,
-  logError,
-  parseBody
+  logError
 } = require("../_utils");
+const { receiveAyrshareWebhook, completeWebhookEvent } = require("../_webhookSecurity");
+const { postFirstComment } = require("../_firstComment");
+const { saveInboxThread } = require("../_inbox");
+const { moderateComment } = require("../_moderation");
+const { classifyPendingComments, classifyPendingMessages } = require("../_sentiment");
+const { INBOX_PLATFORMS, normalizeInboxPlatform, normalizeCommentThread } = require("../_inboxPlatforms");
 
 /**
  * Ayrshare Webhook Handler
  * Receives webhooks from Ayrshare for:
- * - New comments on posts
+ * - New comments on posts (run through the workspace's moderation rules, and
+ *   added to the inbox for comment-based inbox platforms)
  * - New messages/DMs
+ * New comments and DMs are classified for sentiment and intent (api/_sentiment.js).
  * - Post analytics updates
+ * - Scheduled posts going out (posts the first comment)
  *
  * Ayrshare Webhook Documentation:
  * https://docs.ayrshare.com/rest-api/webhooks
+ *
+ * Deliveries must be signed with AYRSHARE_WEBHOOK_SECRET and are processed once
+ * per event ID (see api/_webhookSecurity.js).
  */
 module.exports = async function handler(req, res) {
   setCors(res);
@@ -34,8 +45,21 @@ module.exports = async function handler(req, res) {
     return sendError(res, "Database service unavailable", ErrorCodes.CONFIG_ERROR);
   }
 
+  let delivery = null;
+  let workspaceId = null;
+
   try {
-    const payload = await parseBody(req);
+    delivery = await receiveAyrshareWebhook(req, supabase, 'ayrshare');
+
+    if (delivery.status === 'rejected') {
+      return sendError(res, "Invalid webhook signature", ErrorCodes.AUTH_INVALID);
+    }
+
+    if (delivery.status === 'duplicate') {
+      return sendSuccess(res, { received: true, duplicate: true });
+    }
+
+    const payload = delivery.payload;
 
     console.log('[WEBHOOK] Received Ayrshare webhook:', {
       type: payload.type,
@@ -47,7 +71,6 @@ module.exports = async function handler(req, res) {
     // Resolve workspace from the profileKey in the payload.
     // Ayrshare includes profileKey on every webhook so we can route to the right workspace.
     const payloadProfileKey = payload.profileKey || payload.profile_key || payload.profile;
-    let workspaceId = null;
 
     if (payloadProfileKey) {
       const { data: ws } = await supabase
@@ -68,16 +91,6 @@ module.exports = async function handler(req, res) {
       workspaceId = ws?.id;
     }
 
-    // Store raw webhook event for debugging
-    await supabase.from('inbox_webhook_events').insert({
-      workspace_id: workspaceId,
-      event_type: payload.type || payload.action,
-      platform: payload.platform,
-      payload: payload,
-      processed: false,
-      created_at: new Date().toISOString()
-    });
-
     // Handle different webhook types
     switch (payload.type || payload.action) {
       case 'comment':
@@ -96,6 +109,12 @@ module.exports = async function handler(req, res) {
         await handleAnalytics(payload, supabase);
         break;
 
+      // Ayrshare fires this when a post scheduled on its side is published.
+      // Payload includes: id (Ayrshare post ID), status, postIds
+      case 'scheduled':
+        await handleScheduledPublished(payload, supabase, workspaceId);
+        break;
+
       // Ayrshare fires this when a user disconnects a social account from their profile.
       // Payload includes: platform, profileKey
       case 'social_disconnected':
@@ -115,6 +134,8 @@ module.exports = async function handler(req, res) {
         console.log('[WEBHOOK] Unknown webhook type:', payload.type || payload.action);
     }
 
+    await completeWebhookEvent(supabase, delivery.eventLogId, { processed: true, workspaceId });
+
     return sendSuccess(res, {
       received: true,
       type: payload.type || payload.action
@@ -123,6 +144,14 @@ module.exports = async function handler(req, res) {
   } catch (error) {
     logError('webhook.ayrshare', error);
 
+    if (delivery?.eventLogId) {
+      await completeWebhookEvent(supabase, delivery.eventLogId, {
+        processed: false,
+        errorMessage: error.message,
+        workspaceId
+      });
+    }
+
     // Still return 200 to Ayrshare so they don't retry
     // But log the error for debugging
     return sendSuccess(res, {
@@ -132,6 +161,13 @@ module.exports = async function handler(req, res) {
   }
 };
 
+// Disable body parsing - we need the raw body for signature verification
+module.exports.config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
 async function handleComment(payload, supabase, workspaceId) {
   console.log('[WEBHOOK] Processing comment:', {
     platform: payload.platform,
@@ -165,7 +201,7 @@ async function handleComment(payload, supabase, workspaceId) {
   }
 
   // Insert engagement comment from social media follower
-  const { error: commentError } = await supabase
+  const { data: savedComment, error: commentError } = await supabase
     .from('social_engagement_comments')
     .insert({
       post_id: post.id,
@@ -176,7 +212,9 @@ async function handleComment(payload, supabase, workspaceId) {
       author_username: username || user?.username || user?.name,
       author_profile_url: user?.profile_url || user?.url,
       created_at: timestamp || created_at || new Date().toISOString()
-    });
+    })
+    .select()
+    .single();
 
   if (commentError && commentError.code !== '23505') { // Ignore duplicates
     console.error('[WEBHOOK] Error saving comment:', commentError);
@@ -185,15 +223,28 @@ async function handleComment(payload, supabase, workspaceId) {
     console.log('[WEBHOOK] Comment saved successfully');
   }
 
-  // Mark webhook as processed
-  await supabase
-    .from('inbox_webhook_events')
-    .update({
-      processed: true,
-      processed_at: new Date().toISOString()
-    })
-    .eq('payload->>commentId', commentId || id)
-    .eq('platform', platform);
+  // Only new comments are moderated; a redelivery has nothing new to act on
+  if (savedComment) {
+    const moderation = await moderateComment(supabase, savedComment);
+    if (moderation) {
+      console.log('[WEBHOOK] Comment moderated:', { commentId: savedComment.id, action: moderation.action });
+      // Removed comments stay out of the inbox
+      if (moderation.action !== 'flag' && !moderation.error_message) return;
+    }
+  }
+
+  // Platforms without DMs (LinkedIn, TikTok, ...) use comment threads as inbox conversations
+  const inboxPlatform = normalizeInboxPlatform(platform);
+  if (inboxPlatform && INBOX_PLATFORMS[inboxPlatform].type === 'comment' && (commentId || id)) {
+    const thread = normalizeCommentThread(inboxPlatform, postId, payload, { workspaceId: post.workspace_id });
+    const saved = await saveInboxThread(supabase, thread);
+    if (saved.error) {
+      logError('webhook.comment.inbox', new Error(saved.error), { postId, platform });
+    }
+    await classifyPendingMessages(supabase, post.workspace_id);
+  }
+
+  await classifyPendingComments(supabase, post.workspace_id);
 }
 
 async function handleMessage(payload, supabase, workspaceId) {
@@ -295,15 +346,7 @@ async function handleMessage(payload, supabase, workspaceId) {
     console.log('[WEBHOOK] Message saved successfully');
   }
 
-  // Mark webhook as processed
-  await supabase
-    .from('inbox_webhook_events')
-    .update({
-      processed: true,
-      processed_at: new Date().toISOString()
-    })
-    .eq('payload->>messageId', messageId || id)
-    .eq('platform', platform);
+  await classifyPendingMessages(supabase, workspaceId);
 }
 
 // Called when a social account is disconnected from an Ayrshare profile
@@ -321,14 +364,8 @@ async function handleSocialDisconnected(payload, supabase, workspaceId) {
     return;
   }
 
-  // Mark the webhook as processed — the scheduler will naturally stop sending
+  // Nothing else to update — the scheduler will naturally stop sending
   // to this platform once Ayrshare stops including it in history.
-  await supabase
-    .from('inbox_webhook_events')
-    .update({ processed: true, processed_at: new Date().toISOString() })
-    .eq('workspace_id', workspaceId)
-    .eq('event_type', payload.type || payload.action)
-    .eq('platform', payload.platform);
 }
 
 // Called when an Ayrshare profile is deleted (from the dashboard or externally).
@@ -390,14 +427,32 @@ async function handleAnalytics(payload, supabase) {
   } else {
     console.log('[WEBHOOK] Analytics updated successfully');
   }
+}
 
-  // Mark webhook as processed
-  await supabase
-    .from('inbox_webhook_events')
-    .update({
-      processed: true,
-      processed_at: new Date().toISOString()
-    })
-    .eq('payload->>postId', postId)
-    .eq('event_type', 'analytics');
+async function handleScheduledPublished(payload, supabase, workspaceId) {
+  console.log('[WEBHOOK] Processing scheduled post publish:', {
+    postId: payload.id,
+    status: payload.status
+  });
+
+  if (payload.status !== 'success' || !payload.id) {
+    return;
+  }
+
+  const { data: post } = await supabase
+    .from('posts')
+    .select('id, workspace_id, ayr_post_id, platforms, post_settings')
+    .eq('ayr_post_id', payload.id)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (!post) {
+    console.warn('[WEBHOOK] Post not found for scheduled publish:', payload.id);
+    return;
+  }
+
+  const firstComment = await postFirstComment(supabase, post);
+  if (firstComment) {
+    console.log('[WEBHOOK] First comment', firstComment.status, firstComment.error || '');
+  }
 }
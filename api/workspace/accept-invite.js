@@ -7,38 +7,18 @@ const {
   sendError,
   logError,
   validateRequired,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 const {
   sendInviteAcceptedNotification,
   sendMemberJoinedNotification
 } = require("../notifications/helpers");
 
-const { normalizeRole } = require("../_utils-access-control");
-
-// Role-based permission defaults (3-role model)
-const ROLE_PERMISSIONS = {
-  owner: {
-    can_manage_team: true,
-    can_manage_settings: true,
-    can_delete_posts: true,
-    can_approve_posts: true
-  },
-  member: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: true,
-    can_approve_posts: false
-  },
-  viewer: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: false,
-    can_approve_posts: false
-  }
-};
+const { normalizeRole, getRoleColumnDefaults } = require("../_utils-access-control");
+const { AUDIT_ACTIONS, invitationAuditEntry, recordAudit } = require("../_audit");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -175,17 +155,13 @@ module.exports = async function handler(req, res) {
 
     // Add user to workspace with role-based permissions
     const normalizedRole = normalizeRole(invitation.role);
-    const permissions = ROLE_PERMISSIONS[normalizedRole] || ROLE_PERMISSIONS.member;
     const { error: memberError } = await supabase
       .from('workspace_members')
       .insert({
         workspace_id: invitation.workspace_id,
         user_id: userId,
         role: normalizedRole,
-        can_manage_team: permissions.can_manage_team,
-        can_manage_settings: permissions.can_manage_settings,
-        can_delete_posts: permissions.can_delete_posts,
-        can_approve_posts: permissions.can_approve_posts
+        ...getRoleColumnDefaults(normalizedRole)
       });
 
     if (memberError) {
@@ -202,6 +178,10 @@ module.exports = async function handler(req, res) {
       })
       .eq('id', invitation.id);
 
+    await recordAudit(supabase, invitationAuditEntry(AUDIT_ACTIONS.INVITATION_ACCEPTED, invitation, {
+      after: { role: normalizedRole }
+    }), req);
+
     // Update user's last workspace
     await supabase
       .from('user_profiles')
@@ -246,4 +226,4 @@ module.exports = async function handler(req, res) {
     logError('workspace.accept-invite.handler', error);
     return sendError(res, "Failed to accept invitation", ErrorCodes.INTERNAL_ERROR);
   }
-};
+}, { workspaceMember: false });
@@ -0,0 +1,171 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  invalidateWorkspaceCache,
+  withAuth
+} = require("../_utils");
+const { verifyWorkspaceMembership, checkPermission, hasFeature } = require("../_utils-access-control");
+const { CLEARED_APPROVAL_SLA, getApprovalRequirement } = require("../_approval");
+const { validateApprovalChain, startApprovalChain, clearStageSignOffs } = require("../_approvalChain");
+
+/**
+ * /api/workspace/approval-chain
+ * GET - A workspace's approval stages (any member)   Query: workspaceId
+ * PUT - Replace the stages                            Body: { workspaceId, stages }
+ *
+ * Saving requires canManageSettings and a tier with approval workflows. Posts
+ * already in the chain restart at the first stage of the new one; an empty
+ * chain sends them back to the final approver / client flow.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "PUT") {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const body = req.method === "PUT" ? await parseBody(req) : {};
+    const workspaceId = body.workspaceId || req.query.workspaceId;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "GET") {
+      const { data: workspace, error } = await supabase
+        .from('workspaces')
+        .select('approval_chain')
+        .eq('id', workspaceId)
+        .single();
+
+      if (error) {
+        logError('workspace.approvalChain.get', error, { workspaceId });
+        return sendError(res, "Failed to fetch approval chain", ErrorCodes.DATABASE_ERROR);
+      }
+
+      return sendSuccess(res, { stages: workspace?.approval_chain || [] });
+    }
+
+    const permissionCheck = checkPermission(membershipCheck.member, 'canManageSettings');
+    if (!permissionCheck.success) {
+      return sendError(res, "Only workspace owners can change the approval chain", ErrorCodes.FORBIDDEN);
+    }
+
+    const result = validateApprovalChain(body.stages);
+    if (result.error) {
+      return sendError(res, result.error, ErrorCodes.VALIDATION_ERROR);
+    }
+    const chain = result.chain;
+
+    const { tier, hasFinalApprovers } = await getApprovalRequirement(supabase, workspaceId);
+    if (chain.length > 0 && !hasFeature(tier, 'approvalWorkflows')) {
+      return sendError(
+        res,
+        "Approval chains are not available on your subscription tier. Please upgrade to Pro Plus or Agency to access this feature.",
+        ErrorCodes.FORBIDDEN
+      );
+    }
+
+    // Named approvers must belong to the workspace
+    const approverIds = [...new Set(chain.flatMap(stage => stage.approverIds))];
+    if (approverIds.length > 0) {
+      const { data: members, error: membersError } = await supabase
+        .from('workspace_members')
+        .select('user_id')
+        .eq('workspace_id', workspaceId)
+        .in('user_id', approverIds);
+
+      if (membersError) {
+        logError('workspace.approvalChain.members', membersError, { workspaceId });
+        return sendError(res, "Failed to verify approvers", ErrorCodes.DATABASE_ERROR);
+      }
+
+      const memberIds = new Set((members || []).map(m => m.user_id));
+      if (approverIds.some(id => !memberIds.has(id))) {
+        return sendError(res, "Every named approver must be a member of this workspace", ErrorCodes.VALIDATION_ERROR);
+      }
+    }
+
+    const { error: updateError } = await supabase
+      .from('workspaces')
+      .update({ approval_chain: chain })
+      .eq('id', workspaceId);
+
+    if (updateError) {
+      logError('workspace.approvalChain.update', updateError, { workspaceId });
+      return sendError(res, "Failed to save approval chain", ErrorCodes.DATABASE_ERROR);
+    }
+
+    const restarted = await restartChainPosts(supabase, workspaceId, chain, hasFinalApprovers);
+
+    await invalidateWorkspaceCache(workspaceId);
+
+    return sendSuccess(res, { stages: chain, restarted });
+
+  } catch (error) {
+    logError('workspace.approvalChain.handler', error, { method: req.method });
+    return sendError(res, "Failed to process approval chain request", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+// Move posts under review in the old chain to the start of the new one
+async function restartChainPosts(supabase, workspaceId, chain, hasFinalApprovers) {
+  const { data: posts, error } = await supabase
+    .from('posts')
+    .select('id, platforms, post_settings')
+    .eq('workspace_id', workspaceId)
+    .eq('status', 'pending_approval')
+    .eq('approval_status', 'pending')
+    .not('approval_stage', 'is', null);
+
+  if (error) {
+    logError('workspace.approvalChain.restart.fetch', error, { workspaceId });
+    return 0;
+  }
+
+  let restarted = 0;
+  for (const post of posts || []) {
+    const update = startApprovalChain(chain, post) || {
+      approval_status: hasFinalApprovers ? 'pending_internal' : 'pending',
+      approval_stage: null,
+      ...CLEARED_APPROVAL_SLA
+    };
+
+    try {
+      await clearStageSignOffs(supabase, post.id);
+
+      const { error: updateError } = await supabase
+        .from('posts')
+        .update(update)
+        .eq('id', post.id);
+
+      if (updateError) throw updateError;
+      restarted++;
+    } catch (postError) {
+      logError('workspace.approvalChain.restart.post', postError, { postId: post.id });
+    }
+  }
+
+  return restarted;
+}
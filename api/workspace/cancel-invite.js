@@ -5,10 +5,12 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
+const { AUDIT_ACTIONS, invitationAuditEntry, recordAudit } = require("../_audit");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -58,7 +60,7 @@ module.exports = async function handler(req, res) {
     // Get the invitation
     const { data: invite, error: inviteError } = await supabase
       .from('workspace_invitations')
-      .select('id, workspace_id, status')
+      .select('id, workspace_id, email, role, status')
       .eq('id', inviteId)
       .single();
 
@@ -91,6 +93,10 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Failed to cancel invitation", ErrorCodes.DATABASE_ERROR);
     }
 
+    await recordAudit(supabase, invitationAuditEntry(AUDIT_ACTIONS.INVITATION_CANCELLED, invite, {
+      before: { role: invite.role, status: invite.status }
+    }), req);
+
     console.log('Invitation cancelled successfully:', inviteId);
     return sendSuccess(res, { message: "Invitation cancelled successfully" });
 
@@ -99,4 +105,4 @@ module.exports = async function handler(req, res) {
     logError('workspace.cancel-invite.handler', error);
     return sendError(res, "Failed to cancel invitation", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
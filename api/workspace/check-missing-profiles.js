@@ -5,9 +5,9 @@
  * Use this to identify workspaces that need the fix-ayrshare-profile endpoint
  */
 
-const { getSupabase, logError } = require('../_utils');
+const { getSupabase, logError, withAuth } = require('../_utils');
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -90,4 +90,4 @@ module.exports = async function handler(req, res) {
       message: error.message
     });
   }
-};
+});
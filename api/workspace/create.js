@@ -8,7 +8,8 @@ const {
   logError,
   validateRequired,
   isValidUUID,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("../_utils");
 const { getAgencyAccess } = require("../_utils-access-control");
 
@@ -81,7 +82,7 @@ const createAyrshareProfile = async (title) => {
   }
 };
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -254,4 +255,4 @@ module.exports = async function handler(req, res) {
     logError('workspace.create.handler', error);
     return sendError(res, "Failed to create workspace", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
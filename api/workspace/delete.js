@@ -6,7 +6,8 @@ const {
   sendError,
   logError,
   validateRequired,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
 /**
@@ -60,7 +61,7 @@ async function deleteAyrshareProfile(profileKey) {
   }
 }
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -264,4 +265,4 @@ module.exports = async function handler(req, res) {
     logError('workspace.delete.handler', error);
     return sendError(res, "Failed to delete workspace", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
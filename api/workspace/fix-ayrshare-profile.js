@@ -8,7 +8,7 @@
  * Requires admin authentication
  */
 
-const { getSupabase, logError } = require('../_utils');
+const { getSupabase, logError, withAuth } = require('../_utils');
 const axios = require('axios');
 
 // Create Ayrshare profile for a workspace
@@ -54,7 +54,7 @@ async function createAyrshareProfile(workspaceName) {
   }
 }
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -225,4 +225,4 @@ module.exports = async function handler(req, res) {
       message: error.message
     });
   }
-};
+});
@@ -10,12 +10,14 @@ const {
   validateRequired,
   isValidUUID,
   isValidEmail,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("../_utils");
+const { AUDIT_ACTIONS, invitationAuditEntry, recordAudit } = require("../_audit");
 
 const VALID_ROLES = ['member', 'viewer'];
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -144,6 +146,11 @@ module.exports = async function handler(req, res) {
         invitation = data;
       }
 
+      await recordAudit(supabase, invitationAuditEntry(AUDIT_ACTIONS.INVITATION_SENT, invitation, {
+        after: { role: invitation.role },
+        metadata: { resent: Boolean(existingInvite) }
+      }), req);
+
       // Get workspace name for the email
       const { data: workspace } = await supabase
         .from('workspaces')
@@ -316,7 +323,7 @@ module.exports = async function handler(req, res) {
       // Get invitation to verify workspace
       const { data: invitation, error: inviteError } = await supabase
         .from('workspace_invitations')
-        .select('workspace_id')
+        .select('id, workspace_id, email, role')
         .eq('id', invitationId)
         .single();
 
@@ -350,6 +357,10 @@ module.exports = async function handler(req, res) {
         return sendError(res, "Failed to cancel invitation", ErrorCodes.DATABASE_ERROR);
       }
 
+      await recordAudit(supabase, invitationAuditEntry(AUDIT_ACTIONS.INVITATION_CANCELLED, invitation, {
+        before: { role: invitation.role }
+      }), req);
+
       return sendSuccess(res, { message: "Invitation cancelled successfully" });
 
     } catch (error) {
@@ -361,4 +372,4 @@ module.exports = async function handler(req, res) {
   else {
     return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
   }
-};
+}, { identityField: 'invitedBy' });
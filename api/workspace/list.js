@@ -5,10 +5,12 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
+const { resolveMemberPermissions } = require("../_utils-access-control");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -44,12 +46,17 @@ module.exports = async function handler(req, res) {
         can_approve_posts,
         can_final_approval,
         can_manage_team,
+        custom_role_id,
+        custom_role:workspace_roles(id, name, base_role, permissions),
         workspace:workspaces(
           id,
           name,
           slug,
           logo_url,
           timezone,
+          approval_deadline_hours,
+          approval_fallback,
+          approval_chain,
           ayr_profile_key,
           created_at,
           owner_id
@@ -112,7 +119,11 @@ module.exports = async function handler(req, res) {
           role: m.role,
           can_approve_posts: m.can_approve_posts || false,
           can_final_approval: m.can_final_approval || false,
-          can_manage_team: m.can_manage_team || false
+          can_manage_team: m.can_manage_team || false,
+          custom_role_id: m.custom_role_id || null,
+          custom_role_name: m.custom_role?.name || null,
+          // What the API will allow, so the UI only offers those actions
+          effective_permissions: resolveMemberPermissions(m)
         }
       };
     });
@@ -130,4 +141,4 @@ module.exports = async function handler(req, res) {
     logError('workspace.list.handler', error);
     return sendError(res, "Failed to list workspaces", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
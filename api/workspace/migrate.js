@@ -5,7 +5,8 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
 // Generate URL-friendly slug from name
@@ -17,7 +18,7 @@ const generateSlug = (name) => {
     + '-' + Date.now().toString(36);
 };
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -160,4 +161,4 @@ module.exports = async function handler(req, res) {
     logError('workspace.migrate.handler', error);
     return sendError(res, "Failed to migrate user to workspace", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
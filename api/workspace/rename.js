@@ -6,10 +6,11 @@ const {
   sendError,
   logError,
   validateRequired,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -94,4 +95,4 @@ module.exports = async function handler(req, res) {
     logError('workspace.rename.handler', error);
     return sendError(res, "Failed to rename workspace", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -4,10 +4,11 @@ const {
   getSupabase,
   sendSuccess,
   sendError,
-  logError
+  logError,
+  withAuth
 } = require("../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -84,4 +85,4 @@ module.exports = async function handler(req, res) {
     logError('workspace.test-invite', error);
     return sendError(res, error.message);
   }
-};
+});
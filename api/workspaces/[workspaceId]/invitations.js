@@ -5,10 +5,11 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -100,4 +101,4 @@ module.exports = async function handler(req, res) {
     logError('workspaces.invitations.handler', error);
     return sendError(res, "Failed to fetch invitations", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
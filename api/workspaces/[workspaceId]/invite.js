@@ -9,12 +9,14 @@ const {
   isValidUUID,
   isValidEmail,
   applyRateLimit,
-  isServiceConfigured
+  isServiceConfigured,
+  withAuth
 } = require("../../_utils");
+const { AUDIT_ACTIONS, invitationAuditEntry, recordAudit } = require("../../_audit");
 
 const VALID_ROLES = ['editor', 'admin', 'view_only', 'client'];
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -137,6 +139,10 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Failed to create invitation", ErrorCodes.DATABASE_ERROR);
     }
 
+    await recordAudit(supabase, invitationAuditEntry(AUDIT_ACTIONS.INVITATION_SENT, invitation, {
+      after: { role: invitation.role }
+    }), req);
+
     // The invite_token is auto-generated by the database
     const inviteToken = invitation.invite_token;
     console.log('Invitation created:', {
@@ -245,4 +251,4 @@ module.exports = async function handler(req, res) {
     logError('workspaces.invite.handler', error);
     return sendError(res, "Failed to send invitation", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
@@ -5,10 +5,11 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../../_utils");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -59,7 +60,7 @@ module.exports = async function handler(req, res) {
     // Get all workspace members (including owner)
     const { data: members, error: membersError } = await supabase
       .from('workspace_members')
-      .select('id, user_id, role, created_at, can_manage_team, can_manage_settings, can_delete_posts, can_final_approval, can_approve_posts')
+      .select('id, user_id, role, created_at, can_manage_team, can_manage_settings, can_delete_posts, can_final_approval, can_approve_posts, custom_role_id, custom_role:workspace_roles(id, name)')
       .eq('workspace_id', workspaceId)
       .order('created_at', { ascending: true });
 
@@ -89,6 +90,8 @@ module.exports = async function handler(req, res) {
         id: member.id,
         user_id: member.user_id,
         role: member.role,
+        custom_role_id: member.custom_role_id || null,
+        custom_role_name: member.custom_role?.name || null,
         joined_at: member.joined_at || member.created_at,
         created_at: member.created_at,
         permissions: {
@@ -112,4 +115,4 @@ module.exports = async function handler(req, res) {
     logError('workspaces.members.handler', error);
     return sendError(res, "Failed to fetch workspace members", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
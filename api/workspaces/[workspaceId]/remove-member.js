@@ -5,10 +5,12 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../../_utils");
+const { AUDIT_ACTIONS, getMemberLabel, recordAudit } = require("../../_audit");
 
-module.exports = async function handler(req, res) {
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -73,7 +75,7 @@ module.exports = async function handler(req, res) {
     // Check if target is an owner (cannot remove owners)
     const { data: targetMember, error: targetError } = await supabase
       .from('workspace_members')
-      .select('role')
+      .select('role, custom_role:workspace_roles(name)')
       .eq('workspace_id', workspaceId)
       .eq('user_id', memberId)
       .single();
@@ -102,10 +104,19 @@ module.exports = async function handler(req, res) {
       return sendError(res, "Failed to remove member", ErrorCodes.DATABASE_ERROR);
     }
 
+    await recordAudit(supabase, {
+      workspaceId,
+      action: AUDIT_ACTIONS.MEMBER_REMOVED,
+      targetType: 'member',
+      targetId: memberId,
+      targetLabel: await getMemberLabel(supabase, memberId),
+      before: { role: targetMember.role, custom_role: targetMember.custom_role?.name || null }
+    }, req);
+
     return sendSuccess(res, { message: "Member removed successfully" });
 
   } catch (error) {
     logError('workspaces.remove-member.handler', error);
     return sendError(res, "Failed to remove member", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
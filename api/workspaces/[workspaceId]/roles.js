@@ -0,0 +1,217 @@
+const {
+  setCors,
+  getSupabase,
+  parseBody,
+  ErrorCodes,
+  sendSuccess,
+  sendError,
+  logError,
+  isValidUUID,
+  withAuth
+} = require("../../_utils");
+const { verifyWorkspaceMembership, checkPermission, validateCustomRole } = require("../../_utils-access-control");
+
+/**
+ * /api/workspaces/[workspaceId]/roles
+ * GET    - List the workspace's custom roles, with how many members have each
+ * POST   - Create a role   Body: { name, description?, baseRole, permissions }
+ * PATCH  - Update a role   Body: { roleId, ...fields to change }
+ * DELETE - Delete a role   Query: roleId (its members fall back to their base role)
+ *
+ * permissions is an array of keys from src/utils/permissionRegistry.json.
+ * Any team member can list roles; changing them requires canManageTeam.
+ */
+module.exports = withAuth(async function handler(req, res) {
+  setCors(res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (!["GET", "POST", "PATCH", "DELETE"].includes(req.method)) {
+    return sendError(res, "Method not allowed", ErrorCodes.METHOD_NOT_ALLOWED);
+  }
+
+  const supabase = getSupabase();
+  if (!supabase) {
+    return sendError(res, "Database service is not available", ErrorCodes.CONFIG_ERROR);
+  }
+
+  try {
+    const { workspaceId } = req.query;
+
+    if (!workspaceId || !isValidUUID(workspaceId)) {
+      return sendError(res, "A valid workspaceId is required", ErrorCodes.VALIDATION_ERROR);
+    }
+
+    const membershipCheck = await verifyWorkspaceMembership(supabase, req.user.id, workspaceId);
+    if (!membershipCheck.success) {
+      return sendError(res, membershipCheck.error, ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "GET") {
+      return await handleList(res, supabase, workspaceId);
+    }
+
+    if (!checkPermission(membershipCheck.member, 'canManageTeam').success) {
+      return sendError(res, "You don't have permission to manage roles", ErrorCodes.FORBIDDEN);
+    }
+
+    if (req.method === "POST") {
+      return await handleCreate(req, res, supabase, workspaceId);
+    }
+    if (req.method === "PATCH") {
+      return await handleUpdate(req, res, supabase, workspaceId);
+    }
+    return await handleDelete(req, res, supabase, workspaceId);
+
+  } catch (error) {
+    logError('workspaces.roles.handler', error, { method: req.method });
+    return sendError(res, "Failed to process role request", ErrorCodes.INTERNAL_ERROR);
+  }
+});
+
+async function handleList(res, supabase, workspaceId) {
+  const [rolesResult, membersResult] = await Promise.all([
+    supabase
+      .from('workspace_roles')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .order('name', { ascending: true }),
+    supabase
+      .from('workspace_members')
+      .select('custom_role_id')
+      .eq('workspace_id', workspaceId)
+      .not('custom_role_id', 'is', null)
+  ]);
+
+  if (rolesResult.error) {
+    logError('workspaces.roles.list', rolesResult.error, { workspaceId });
+    return sendError(res, "Failed to fetch roles", ErrorCodes.DATABASE_ERROR);
+  }
+
+  const memberCounts = {};
+  (membersResult.data || []).forEach(m => {
+    memberCounts[m.custom_role_id] = (memberCounts[m.custom_role_id] || 0) + 1;
+  });
+
+  const roles = (rolesResult.data || []).map(role => ({
+    ...role,
+    member_count: memberCounts[role.id] || 0
+  }));
+
+  return sendSuccess(res, { roles });
+}
+
+async function handleCreate(req, res, supabase, workspaceId) {
+  const { name, description, baseRole = 'member', permissions = [] } = await parseBody(req);
+
+  const validationError = validateCustomRole({ name, baseRole, permissions });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { data: role, error } = await supabase
+    .from('workspace_roles')
+    .insert({
+      workspace_id: workspaceId,
+      name: name.trim(),
+      description: description?.trim() || null,
+      base_role: baseRole,
+      permissions: [...new Set(permissions)],
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return sendError(res, "A role with that name already exists", ErrorCodes.VALIDATION_ERROR);
+    }
+    logError('workspaces.roles.create', error, { workspaceId });
+    return sendError(res, "Failed to create role", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { role: { ...role, member_count: 0 } }, 201);
+}
+
+async function handleUpdate(req, res, supabase, workspaceId) {
+  const { roleId, name, description, baseRole, permissions } = await parseBody(req);
+
+  if (!roleId || !isValidUUID(roleId)) {
+    return sendError(res, "A valid roleId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const validationError = validateCustomRole({ name, baseRole, permissions }, { partial: true });
+  if (validationError) {
+    return sendError(res, validationError, ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const updates = {};
+  if (name !== undefined) updates.name = name.trim();
+  if (description !== undefined) updates.description = description?.trim() || null;
+  if (baseRole !== undefined) updates.base_role = baseRole;
+  if (permissions !== undefined) updates.permissions = [...new Set(permissions)];
+
+  if (Object.keys(updates).length === 0) {
+    return sendError(res, "No fields to update", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  updates.updated_at = new Date().toISOString();
+
+  const { data: role, error } = await supabase
+    .from('workspace_roles')
+    .update(updates)
+    .eq('id', roleId)
+    .eq('workspace_id', workspaceId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    if (error.code === '23505') {
+      return sendError(res, "A role with that name already exists", ErrorCodes.VALIDATION_ERROR);
+    }
+    logError('workspaces.roles.update', error, { roleId });
+    return sendError(res, "Failed to update role", ErrorCodes.DATABASE_ERROR);
+  }
+
+  if (!role) {
+    return sendError(res, "Role not found", ErrorCodes.NOT_FOUND);
+  }
+
+  // Members keep the portal of the role they're on
+  if (baseRole !== undefined) {
+    const { error: membersError } = await supabase
+      .from('workspace_members')
+      .update({ role: baseRole })
+      .eq('workspace_id', workspaceId)
+      .eq('custom_role_id', roleId);
+
+    if (membersError) {
+      logError('workspaces.roles.updateMembers', membersError, { roleId });
+    }
+  }
+
+  return sendSuccess(res, { role });
+}
+
+async function handleDelete(req, res, supabase, workspaceId) {
+  const { roleId } = req.query;
+
+  if (!roleId || !isValidUUID(roleId)) {
+    return sendError(res, "A valid roleId is required", ErrorCodes.VALIDATION_ERROR);
+  }
+
+  const { error } = await supabase
+    .from('workspace_roles')
+    .delete()
+    .eq('id', roleId)
+    .eq('workspace_id', workspaceId);
+
+  if (error) {
+    logError('workspaces.roles.delete', error, { roleId });
+    return sendError(res, "Failed to delete role", ErrorCodes.DATABASE_ERROR);
+  }
+
+  return sendSuccess(res, { deleted: true });
+}
@@ -5,37 +5,35 @@ const {
   sendSuccess,
   sendError,
   logError,
-  isValidUUID
+  isValidUUID,
+  withAuth
 } = require("../../_utils");
 const { sendRoleChangedNotification, sendPermissionChangedNotification } = require("../../notifications/helpers");
+const { checkPermission, getRoleColumnDefaults, PERMISSIONS } = require("../../_utils-access-control");
+const { AUDIT_ACTIONS, diffValues, getMemberLabel, recordAudit } = require("../../_audit");
 
 const VALID_ROLES = ['member', 'viewer'];
 
-const ROLE_PERMISSIONS = {
-  owner: {
-    can_manage_team: true,
-    can_manage_settings: true,
-    can_delete_posts: true,
-    can_final_approval: true,
-    can_approve_posts: true
-  },
-  member: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: true,
-    can_final_approval: false,
-    can_approve_posts: false
-  },
-  viewer: {
-    can_manage_team: false,
-    can_manage_settings: false,
-    can_delete_posts: false,
-    can_final_approval: false,
-    can_approve_posts: false
-  }
-};
-
-module.exports = async function handler(req, res) {
+const PERMISSION_COLUMNS = PERMISSIONS.filter(p => p.column).map(p => p.column);
+
+// Role and permission columns as shown in the audit log
+const memberAuditSnapshot = (member, customRoleName) => ({
+  role: member.role,
+  custom_role: customRoleName || null,
+  ...Object.fromEntries(PERMISSION_COLUMNS.map(column => [column, Boolean(member[column])]))
+});
+
+/**
+ * POST /api/workspaces/[workspaceId]/update-member
+ * Change a member's role and/or per-member permission toggles.
+ *
+ * Body:
+ * - memberId, userId
+ * - role: 'member' | 'viewer' (clears any custom role)
+ * - customRoleId: a workspace_roles id, or null to go back to the plain built-in role
+ * - permissions: { canFinalApproval?, canApprovePosts?, canManageTeam?, ... }
+ */
+module.exports = withAuth(async function handler(req, res) {
   setCors(res);
 
   if (req.method === "OPTIONS") {
@@ -54,7 +52,7 @@ module.exports = async function handler(req, res) {
 
   try {
     const { workspaceId } = req.query;
-    const { memberId, userId, role, permissions } = req.body;
+    const { memberId, userId, role, customRoleId, permissions } = req.body;
 
     if (!memberId || !userId || !workspaceId) {
       return sendError(res, "memberId, userId, and workspaceId are required", ErrorCodes.VALIDATION_ERROR);
@@ -68,17 +66,21 @@ module.exports = async function handler(req, res) {
       return sendError(res, `Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`, ErrorCodes.VALIDATION_ERROR);
     }
 
+    if (customRoleId && !isValidUUID(customRoleId)) {
+      return sendError(res, "Invalid customRoleId format", ErrorCodes.VALIDATION_ERROR);
+    }
+
     // Run both permission checks in parallel
     const [membershipResult, targetResult] = await Promise.all([
       supabase
         .from('workspace_members')
-        .select('role, can_manage_team')
+        .select('role, can_manage_team, can_approve_posts, can_final_approval, custom_role:workspace_roles(id, name, base_role, permissions)')
         .eq('workspace_id', workspaceId)
         .eq('user_id', userId)
         .single(),
       supabase
         .from('workspace_members')
-        .select('role')
+        .select(['role', 'custom_role_id', 'custom_role:workspace_roles(name)', ...PERMISSION_COLUMNS].join(', '))
         .eq('workspace_id', workspaceId)
         .eq('user_id', memberId)
         .single()
@@ -95,8 +97,7 @@ module.exports = async function handler(req, res) {
       return sendError(res, "You don't have access to this workspace", ErrorCodes.FORBIDDEN);
     }
 
-    const canManageTeam = membership.role === 'owner' || membership.can_manage_team === true;
-    if (!canManageTeam) {
+    if (!checkPermission(membership, 'canManageTeam').success) {
       return sendError(res, "You don't have permission to manage team members", ErrorCodes.FORBIDDEN);
     }
 
@@ -114,27 +115,34 @@ module.exports = async function handler(req, res) {
 
     // Build update object
     const updateData = {};
+    let customRole = null;
 
-    if (role) {
-      updateData.role = role;
-      const rolePerms = ROLE_PERMISSIONS[role];
-      if (rolePerms) {
-        Object.assign(updateData, rolePerms);
+    if (customRoleId) {
+      const { data: workspaceRole } = await supabase
+        .from('workspace_roles')
+        .select('id, name, base_role')
+        .eq('id', customRoleId)
+        .eq('workspace_id', workspaceId)
+        .maybeSingle();
+
+      if (!workspaceRole) {
+        return sendError(res, "Custom role not found in this workspace", ErrorCodes.NOT_FOUND);
       }
+      customRole = workspaceRole;
+      Object.assign(updateData, getRoleColumnDefaults(workspaceRole.base_role), {
+        role: workspaceRole.base_role,
+        custom_role_id: workspaceRole.id
+      });
+    } else if (role) {
+      Object.assign(updateData, getRoleColumnDefaults(role), { role, custom_role_id: null });
+    } else if (customRoleId === null) {
+      updateData.custom_role_id = null;
     }
 
     if (permissions && typeof permissions === 'object') {
-      const permMap = {
-        canManageTeam: 'can_manage_team',
-        canManageSettings: 'can_manage_settings',
-        canDeletePosts: 'can_delete_posts',
-        canFinalApproval: 'can_final_approval',
-        canApprovePosts: 'can_approve_posts'
-      };
-
-      for (const [camel, snake] of Object.entries(permMap)) {
-        if (camel in permissions) {
-          updateData[snake] = Boolean(permissions[camel]);
+      for (const { key, column } of PERMISSIONS) {
+        if (column && key in permissions) {
+          updateData[column] = Boolean(permissions[key]);
         }
       }
     }
@@ -162,7 +170,27 @@ module.exports = async function handler(req, res) {
       canManageTeam: 'can_manage_team',
     };
     const permToNotify = permissions ? Object.keys(permissions).filter(k => k in permSnakeMap) : [];
-    const roleChanged = role && role !== targetMember.role;
+    const newRole = customRole ? customRole.name : role;
+    const roleChanged = customRole
+      ? customRole.id !== targetMember.custom_role_id
+      : Boolean(role) && (role !== targetMember.role || Boolean(targetMember.custom_role_id));
+
+    const beforeSnapshot = memberAuditSnapshot(targetMember, targetMember.custom_role?.name);
+    const afterCustomRoleName = 'custom_role_id' in updateData ? customRole?.name : targetMember.custom_role?.name;
+    const { before, after } = diffValues(beforeSnapshot, memberAuditSnapshot({ ...targetMember, ...updateData }, afterCustomRoleName));
+    if (Object.keys(after).length > 0) {
+      await recordAudit(supabase, {
+        workspaceId,
+        action: 'role' in after || 'custom_role' in after
+          ? AUDIT_ACTIONS.MEMBER_ROLE_CHANGED
+          : AUDIT_ACTIONS.MEMBER_PERMISSIONS_CHANGED,
+        targetType: 'member',
+        targetId: memberId,
+        targetLabel: await getMemberLabel(supabase, memberId),
+        before,
+        after
+      }, req);
+    }
 
     if (roleChanged || permToNotify.length > 0) {
       const { data: workspace } = await supabase
@@ -178,7 +206,7 @@ module.exports = async function handler(req, res) {
           workspaceId,
           workspaceName,
           oldRole: targetMember.role,
-          newRole: role,
+          newRole,
           changedByUserId: userId
         });
       }
@@ -206,4 +234,4 @@ module.exports = async function handler(req, res) {
     logError('workspaces.update-member.handler', error);
     return sendError(res, "Internal error", ErrorCodes.INTERNAL_ERROR);
   }
-};
+});
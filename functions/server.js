@@ -96,6 +96,74 @@ app.use((req, res, next) => {
 
 app.use(express.json());
 
+// Routes reachable without a Supabase session (signup, invite links, webhooks)
+const PUBLIC_API_ROUTES = [
+  "/api/create-user-profile",
+  "/api/workspace/validate-invite",
+  "/api/stripe/webhook"
+];
+
+// Resolve the caller from the Authorization bearer token and reject any request
+// whose userId (query or JSON body) names someone else. Multipart bodies are only
+// populated after multer runs, so requireActiveProfile repeats the check there.
+async function requireAuth(req, res, next) {
+  if (!req.path.startsWith("/api/") || PUBLIC_API_ROUTES.includes(req.path)) {
+    return next();
+  }
+
+  try {
+    const header = req.headers.authorization || "";
+    const [scheme, token] = header.trim().split(/\s+/);
+    if (scheme?.toLowerCase() !== "bearer" || !token) {
+      return res.status(401).json({ error: "Authentication required", code: "AUTH_REQUIRED" });
+    }
+
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) {
+      return res.status(401).json({ error: "Invalid or expired session", code: "AUTH_INVALID" });
+    }
+
+    req.user = data.user;
+
+    const claimedIds = [req.query?.userId, req.body?.userId].filter(Boolean);
+    if (claimedIds.some(id => id !== req.user.id)) {
+      return res.status(403).json({ error: "Request identity does not match the signed-in user", code: "FORBIDDEN" });
+    }
+
+    const workspaceId = req.query?.workspaceId || req.body?.workspaceId;
+    if (workspaceId && !(await isWorkspaceMember(req.user.id, workspaceId))) {
+      return res.status(403).json({ error: "You are not a member of this workspace", code: "FORBIDDEN" });
+    }
+
+    if (req.query && !req.query.userId) req.query.userId = req.user.id;
+    if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body) && !req.body.userId) {
+      req.body.userId = req.user.id;
+    }
+
+    next();
+  } catch (error) {
+    console.error("Error in requireAuth middleware:", error);
+    return res.status(500).json({ error: "Authentication check failed" });
+  }
+}
+
+async function isWorkspaceMember(userId, workspaceId) {
+  const { data, error } = await supabase
+    .from('workspace_members')
+    .select('id')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId)
+    .limit(1);
+
+  if (error) {
+    console.error('Error checking workspace membership:', error);
+    return false;
+  }
+  return !!data && data.length > 0;
+}
+
+app.use(requireAuth);
+
 console.warn(
   "WARNING: Server is configured to accept CORS requests from all origins. This is not secure for production use."
 );
@@ -770,40 +838,25 @@ function shouldCreateProfile(email, subscriptionStatus) {
 async function requireActiveProfile(req, res, next) {
   try {
     // Support both GET (query params) and POST (body params)
-    const params = req.method === 'GET' ? req.query : req.body;
+    const params = (req.method === 'GET' ? req.query : req.body) || {};
     const { userId, workspaceId } = params;
 
     console.log(`[requireActiveProfile] Method: ${req.method}, userId: ${userId}, workspaceId: ${workspaceId}`);
 
-    // STEP 1: We need to identify the user making the request
-    let userIdToCheck = userId;
-
-    // If only workspaceId provided, get the owner's userId
-    if (!userId && workspaceId) {
-      const { data: workspaceMember, error: memberError } = await supabase
-        .from('workspace_members')
-        .select('user_id')
-        .eq('workspace_id', workspaceId)
-        .eq('role', 'owner')
-        .single();
-
-      if (memberError || !workspaceMember) {
-        console.error('Error finding workspace owner:', memberError);
-        return res.status(404).json({
-          error: 'Workspace not found',
-          message: 'Could not find workspace owner'
-        });
-      }
-      userIdToCheck = workspaceMember.user_id;
+    // STEP 1: The caller comes from the verified session set by requireAuth.
+    // Multipart bodies weren't parsed when requireAuth ran, so re-check here.
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
     }
-
-    if (!userIdToCheck) {
-      return res.status(400).json({
-        error: 'Authentication required',
-        message: 'userId or workspaceId must be provided'
-      });
+    if (userId && userId !== req.user.id) {
+      return res.status(403).json({ error: 'Request identity does not match the signed-in user' });
+    }
+    if (workspaceId && !(await isWorkspaceMember(req.user.id, workspaceId))) {
+      return res.status(403).json({ error: 'You are not a member of this workspace' });
     }
 
+    const userIdToCheck = req.user.id;
+
     // STEP 2: Get user profile to check subscription status and whitelist
     const { data: profile, error: profileError } = await supabase
       .from('user_profiles')
@@ -863,7 +916,10 @@ async function requireActiveProfile(req, res, next) {
 // Check whitelist and create profile if eligible (called at signup)
 app.post("/api/check-and-create-profile", async (req, res) => {
   try {
-    const { userId, email, title } = req.body;
+    // requireAuth has already matched any body userId to the session
+    const userId = req.user.id;
+    const email = req.user.email;
+    const { title } = req.body;
 
     if (!userId || !email) {
       return res.status(400).json({ error: "userId and email are required" });
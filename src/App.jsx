@@ -56,6 +56,7 @@ const AcceptInvite = lazyRetry(() => import("./pages/AcceptInvite").then(m => ({
 const TokenLogin = lazyRetry(() => import("./pages/TokenLogin"));
 const GetStarted = lazyRetry(() => import("./pages/GetStarted"));
 const GetStartedSuccess = lazyRetry(() => import("./pages/GetStartedSuccess"));
+const BioPage = lazyRetry(() => import("./pages/BioPage"));
 
 // Main app pages - lazy loaded
 const DashboardContent = lazyRetry(() => import("./components/DashboardContent").then(m => ({ default: m.DashboardContent })));
@@ -64,13 +65,16 @@ const PostsContent = lazyRetry(() => import("./components/PostsContent").then(m
 const BrandProfileContent = lazyRetry(() => import("./components/BrandProfileContent").then(m => ({ default: m.BrandProfileContent })));
 const ScheduleContent = lazyRetry(() => import("./components/ScheduleContent").then(m => ({ default: m.ScheduleContent })));
 const AssetsContent = lazyRetry(() => import("./components/AssetsContent").then(m => ({ default: m.AssetsContent })));
+const AnalyticsContent = lazyRetry(() => import("./components/AnalyticsContent").then(m => ({ default: m.AnalyticsContent })));
 const UnifiedInboxContent = lazyRetry(() => import("./components/inbox/UnifiedInboxContent").then(m => ({ default: m.UnifiedInboxContent })));
+const AutomationContent = lazyRetry(() => import("./components/AutomationContent").then(m => ({ default: m.AutomationContent })));
 const TeamContent = lazyRetry(() => import("./components/TeamContent").then(m => ({ default: m.TeamContent })));
 const SettingsContent = lazyRetry(() => import("./components/SettingsContent").then(m => ({ default: m.SettingsContent })));
 const ProfileSettings = lazyRetry(() => import("./components/ProfileSettings").then(m => ({ default: m.ProfileSettings })));
 const Approvals = lazyRetry(() => import("./pages/Approvals").then(m => ({ default: m.Approvals })));
 const Pricing = lazyRetry(() => import("./pages/Pricing"));
 const Notifications = lazyRetry(() => import("./pages/Notifications").then(m => ({ default: m.Notifications })));
+const AuditLog = lazyRetry(() => import("./pages/AuditLog").then(m => ({ default: m.AuditLog })));
 
 // Client portal pages - lazy loaded
 const ClientDashboard = lazyRetry(() => import("./pages/client/ClientDashboard").then(m => ({ default: m.ClientDashboard })));
@@ -145,6 +149,7 @@ function App() {
               <Route path="/reset-password" element={<ResetPasswordPage />} />
               <Route path="/accept-invite" element={<AcceptInvite />} />
               <Route path="/auth/token-login" element={<TokenLogin />} />
+              <Route path="/bio/:slug" element={<BioPage />} />
 
             {/* Client Portal Routes */}
             <Route
@@ -192,13 +197,16 @@ function App() {
                             <Route path="/schedule" element={<ScheduleContent />} />
                             <Route path="/posts" element={<PostsContent />} />
                             <Route path="/assets" element={<AssetsContent />} />
+                            <Route path="/analytics" element={<AnalyticsContent />} />
                             <Route path="/engagement" element={<Navigate to="/social-inbox?tab=comments" replace />} />
                             <Route path="/social-inbox" element={<UnifiedInboxContent />} />
+                            <Route path="/automation" element={<AutomationContent />} />
                             <Route path="/team" element={<TeamContent />} />
                             <Route path="/agency-team" element={<Navigate to="/team" replace />} />
                             <Route path="/approvals" element={<Approvals />} />
                             <Route path="/notifications" element={<Notifications />} />
                             <Route path="/settings" element={<SettingsContent />} />
+                            <Route path="/audit-log" element={<AuditLog />} />
                             <Route path="/profile-settings" element={<ProfileSettings />} />
                             <Route path="/pricing" element={<Pricing />} />
                           </Routes>
@@ -18,6 +18,9 @@ import {
 import { FaFacebookF, FaInstagram, FaLinkedinIn, FaYoutube, FaPinterest, FaArrowUp, FaArrowDown } from "react-icons/fa";
 import { FaTiktok, FaBluesky } from "react-icons/fa6";
 import { SiX } from "react-icons/si";
+import { LinkAnalyticsSection } from "./analytics/LinkAnalyticsSection";
+import { GrowthSection } from "./analytics/GrowthSection";
+import { ClientReportsSection } from "./analytics/ClientReportsSection";
 import "./AnalyticsContent.css";
 
 const PLATFORM_ICONS = {
@@ -377,6 +380,15 @@ export const AnalyticsContent = () => {
             )}
           </div>
         </div>
+
+        {/* Growth over time, from analytics snapshots */}
+        <GrowthSection workspaceId={activeWorkspace?.id} days={Number(period)} />
+
+        {/* Short link clicks */}
+        <LinkAnalyticsSection workspaceId={activeWorkspace?.id} days={Number(period)} />
+
+        {/* White-label reports for clients */}
+        <ClientReportsSection workspaceId={activeWorkspace?.id} />
       </div>
     </div>
   );
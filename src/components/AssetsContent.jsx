@@ -257,18 +257,13 @@ export const AssetsContent = () => {
     if (!asset) return;
 
     try {
-      const { error: storageError } = await supabase.storage
-        .from('media-assets')
-        .remove([asset.storage_path]);
-
-      if (storageError) throw storageError;
-
-      const { error: dbError } = await supabase
-        .from('media_assets')
-        .delete()
-        .eq('id', asset.id);
-
-      if (dbError) throw dbError;
+      // Through the API so the delete lands in the audit log
+      const res = await fetch(
+        `${baseURL}/api/media/assets?workspaceId=${activeWorkspace.id}&assetId=${asset.id}`,
+        { method: 'DELETE' }
+      );
+      const data = await res.json();
+      if (!data.success) throw new Error(data.error || 'Delete failed');
 
       toast({
         title: "Asset deleted",
@@ -1,135 +1,384 @@
-import { useState } from "react";
+import { useState, useEffect, useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+import { useToast } from "@chakra-ui/react";
+import { useWorkspace } from "../contexts/WorkspaceContext";
+import { baseURL } from "../utils/constants";
+import { ConfirmDialog } from "./ui/ConfirmDialog";
 import "./AutomationContent.css";
 
+// Mirrors TRIGGER_TYPES / ACTION_TYPES in api/_automation.js
+const TRIGGERS = {
+  post_published: "Post published",
+  post_failed: "Post failed",
+  comment_keyword: "New comment with keyword",
+  new_dm: "New direct message",
+  approval_pending: "Approval pending too long"
+};
+
+const ACTIONS = {
+  auto_reply: { label: "Auto-reply", triggers: ["comment_keyword", "new_dm"] },
+  notify: { label: "Notify members", triggers: Object.keys(TRIGGERS) },
+  requeue_post: { label: "Re-queue post", triggers: ["post_failed"] },
+  tag_asset: { label: "Tag assets", triggers: ["post_published", "post_failed"] }
+};
+
+const STATUS_COLORS = {
+  success: "#10b981",
+  failed: "#ef4444",
+  skipped: "#6b7280",
+  running: "#f59e0b"
+};
+
+const EMPTY_FORM = {
+  name: "",
+  triggerType: "post_failed",
+  keywords: "",
+  hours: "24",
+  actionType: "notify",
+  message: "",
+  delayMinutes: "15",
+  tags: ""
+};
+
+const splitList = (value) => value.split(",").map(v => v.trim()).filter(Boolean);
+
+// Build the API payload from the flat form state
+const buildRulePayload = (form) => {
+  const triggerConfig = {};
+  if (form.triggerType === "comment_keyword") triggerConfig.keywords = splitList(form.keywords);
+  if (form.triggerType === "approval_pending") triggerConfig.hours = Number(form.hours);
+
+  const actionConfig = {};
+  if (form.actionType === "auto_reply" || form.actionType === "notify") {
+    if (form.message.trim()) actionConfig.message = form.message.trim();
+  }
+  if (form.actionType === "requeue_post") actionConfig.delayMinutes = Number(form.delayMinutes) || 0;
+  if (form.actionType === "tag_asset") actionConfig.tags = splitList(form.tags);
+
+  return {
+    name: form.name.trim(),
+    triggerType: form.triggerType,
+    triggerConfig,
+    actionType: form.actionType,
+    actionConfig
+  };
+};
+
+const describeTrigger = (rule) => {
+  const config = rule.trigger_config || {};
+  if (rule.trigger_type === "comment_keyword") {
+    return `Comment contains ${(config.keywords || []).map(k => `"${k}"`).join(" or ")}`;
+  }
+  if (rule.trigger_type === "approval_pending") {
+    return `Approval pending for ${config.hours}+ hours`;
+  }
+  return TRIGGERS[rule.trigger_type] || rule.trigger_type;
+};
+
+const describeAction = (rule) => {
+  const config = rule.action_config || {};
+  switch (rule.action_type) {
+    case "auto_reply":
+      return `Reply: "${config.message}"`;
+    case "requeue_post":
+      return `Re-queue in ${config.delayMinutes || 0} min`;
+    case "tag_asset":
+      return `Tag assets: ${(config.tags || []).join(", ")}`;
+    default:
+      return ACTIONS[rule.action_type]?.label || rule.action_type;
+  }
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
 export const AutomationContent = () => {
-  const [tasks] = useState({
-    backlog: [
-      { id: 1, title: "Research trending hashtags", priority: "medium" },
-      { id: 2, title: "Plan content calendar", priority: "low" }
-    ],
-    todo: [
-      { id: 3, title: "Create Instagram post", priority: "high" },
-      { id: 4, title: "Schedule tweets for next week", priority: "medium" }
-    ],
-    inProgress: [
-      { id: 5, title: "Design social media graphics", priority: "high" }
-    ],
-    done: [
-      { id: 6, title: "Posted daily update", priority: "low" }
-    ]
-  });
-
-  const getPriorityColor = (priority) => {
-    switch (priority) {
-      case "high":
-        return "#ef4444";
-      case "medium":
-        return "#f59e0b";
-      case "low":
-        return "#10b981";
-      default:
-        return "#6b7280";
+  const { activeWorkspace, workspaceMembership } = useWorkspace();
+  const toast = useToast();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeTab = searchParams.get("tab") === "history" ? "history" : "rules";
+
+  const [rules, setRules] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [deleteConfirm, setDeleteConfirm] = useState({ isOpen: false, rule: null });
+
+  const canManage = workspaceMembership?.role === "owner";
+  const workspaceId = activeWorkspace?.id;
+
+  const fetchRules = useCallback(async () => {
+    if (!workspaceId) return;
+    const res = await fetch(`${baseURL}/api/automations?workspaceId=${workspaceId}`);
+    const payload = await res.json();
+    if (!res.ok) throw new Error(payload.error || "Failed to load automation rules");
+    setRules(payload.data?.rules || []);
+  }, [workspaceId]);
+
+  const fetchHistory = useCallback(async () => {
+    if (!workspaceId) return;
+    const res = await fetch(`${baseURL}/api/automations/history?workspaceId=${workspaceId}&limit=100`);
+    const payload = await res.json();
+    if (!res.ok) throw new Error(payload.error || "Failed to load automation history");
+    setRuns(payload.data?.runs || []);
+  }, [workspaceId]);
+
+  useEffect(() => {
+    if (!workspaceId) return;
+    setIsLoading(true);
+    (activeTab === "history" ? fetchHistory() : fetchRules())
+      .catch((error) => {
+        toast({ title: "Error", description: error.message, status: "error", duration: 4000, isClosable: true });
+      })
+      .finally(() => setIsLoading(false));
+  }, [workspaceId, activeTab, fetchRules, fetchHistory, toast]);
+
+  const updateForm = (field, value) => {
+    setForm((prev) => {
+      const next = { ...prev, [field]: value };
+      // Keep the action compatible with the chosen trigger
+      if (field === "triggerType" && !ACTIONS[next.actionType].triggers.includes(value)) {
+        next.actionType = "notify";
+      }
+      return next;
+    });
+  };
+
+  const apiRequest = async (method, body, query = "") => {
+    const res = await fetch(`${baseURL}/api/automations${query}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify({ workspaceId, ...body }) : undefined
+    });
+    const payload = await res.json();
+    if (!res.ok) throw new Error(payload.error || "Request failed");
+    return payload.data;
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const { rule } = await apiRequest("POST", buildRulePayload(form));
+      setRules((prev) => [rule, ...prev]);
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      toast({ title: "Automation created", status: "success", duration: 3000 });
+    } catch (error) {
+      toast({ title: "Could not create automation", description: error.message, status: "error", duration: 5000, isClosable: true });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      const { rule: updated } = await apiRequest("PATCH", { ruleId: rule.id, isActive: !rule.is_active });
+      setRules((prev) => prev.map((r) => (r.id === updated.id ? updated : r)));
+    } catch (error) {
+      toast({ title: "Could not update automation", description: error.message, status: "error", duration: 5000, isClosable: true });
+    }
+  };
+
+  const handleDelete = async () => {
+    const rule = deleteConfirm.rule;
+    setDeleteConfirm({ isOpen: false, rule: null });
+    try {
+      await apiRequest("DELETE", null, `?workspaceId=${workspaceId}&ruleId=${rule.id}`);
+      setRules((prev) => prev.filter((r) => r.id !== rule.id));
+      toast({ title: "Automation deleted", status: "success", duration: 3000 });
+    } catch (error) {
+      toast({ title: "Could not delete automation", description: error.message, status: "error", duration: 5000, isClosable: true });
     }
   };
 
+  const availableActions = Object.entries(ACTIONS).filter(([, action]) => action.triggers.includes(form.triggerType));
+
   return (
     <div className="automation-container">
       <div className="automation-header">
-        <h1 className="automation-title">Automation</h1>
-        <p className="automation-subtitle">Manage your workflow with our task board</p>
+        <div>
+          <h1 className="automation-title">Automation</h1>
+          <p className="automation-subtitle">Run actions automatically when things happen in your workspace</p>
+        </div>
+        {canManage && activeTab === "rules" && (
+          <button className="automation-btn primary" onClick={() => setShowForm((v) => !v)}>
+            {showForm ? "Cancel" : "New rule"}
+          </button>
+        )}
       </div>
 
-      <div className="kanban-section">
-        <div className="kanban-board">
-          <div className="kanban-column">
-            <div className="column-header">
-              <h3 className="column-title">Backlog</h3>
-              <span className="task-count">{tasks.backlog.length}</span>
-            </div>
-            <div className="column-content">
-              {tasks.backlog.map((task) => (
-                <div key={task.id} className="task-card">
-                  <div className="task-header">
-                    <span
-                      className="priority-badge"
-                      style={{ backgroundColor: getPriorityColor(task.priority) }}
-                    >
-                      {task.priority}
-                    </span>
-                  </div>
-                  <p className="task-title">{task.title}</p>
-                </div>
+      <div className="automation-tabs">
+        <button
+          className={`automation-tab ${activeTab === "rules" ? "active" : ""}`}
+          onClick={() => setSearchParams({})}
+        >
+          Rules
+        </button>
+        <button
+          className={`automation-tab ${activeTab === "history" ? "active" : ""}`}
+          onClick={() => setSearchParams({ tab: "history" })}
+        >
+          History
+        </button>
+      </div>
+
+      {activeTab === "rules" && showForm && canManage && (
+        <form className="automation-form" onSubmit={handleCreate}>
+          <label className="automation-field full">
+            <span>Name</span>
+            <input
+              value={form.name}
+              onChange={(e) => updateForm("name", e.target.value)}
+              placeholder="e.g. Retry failed posts"
+              maxLength={100}
+              required
+            />
+          </label>
+
+          <label className="automation-field">
+            <span>When</span>
+            <select value={form.triggerType} onChange={(e) => updateForm("triggerType", e.target.value)}>
+              {Object.entries(TRIGGERS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
               ))}
-            </div>
-          </div>
+            </select>
+          </label>
 
-          <div className="kanban-column">
-            <div className="column-header">
-              <h3 className="column-title">To Do</h3>
-              <span className="task-count">{tasks.todo.length}</span>
-            </div>
-            <div className="column-content">
-              {tasks.todo.map((task) => (
-                <div key={task.id} className="task-card">
-                  <div className="task-header">
-                    <span
-                      className="priority-badge"
-                      style={{ backgroundColor: getPriorityColor(task.priority) }}
-                    >
-                      {task.priority}
-                    </span>
-                  </div>
-                  <p className="task-title">{task.title}</p>
-                </div>
+          {form.triggerType === "comment_keyword" && (
+            <label className="automation-field">
+              <span>Keywords (comma separated)</span>
+              <input value={form.keywords} onChange={(e) => updateForm("keywords", e.target.value)} placeholder="price, link" required />
+            </label>
+          )}
+
+          {form.triggerType === "approval_pending" && (
+            <label className="automation-field">
+              <span>Hours waiting</span>
+              <input type="number" min="1" max="720" value={form.hours} onChange={(e) => updateForm("hours", e.target.value)} required />
+            </label>
+          )}
+
+          <label className="automation-field">
+            <span>Then</span>
+            <select value={form.actionType} onChange={(e) => updateForm("actionType", e.target.value)}>
+              {availableActions.map(([value, action]) => (
+                <option key={value} value={value}>{action.label}</option>
               ))}
-            </div>
+            </select>
+          </label>
+
+          {(form.actionType === "auto_reply" || form.actionType === "notify") && (
+            <label className="automation-field full">
+              <span>{form.actionType === "auto_reply" ? "Reply message" : "Notification message (optional)"}</span>
+              <textarea
+                value={form.message}
+                onChange={(e) => updateForm("message", e.target.value)}
+                maxLength={2000}
+                rows={3}
+                required={form.actionType === "auto_reply"}
+              />
+            </label>
+          )}
+
+          {form.actionType === "requeue_post" && (
+            <label className="automation-field">
+              <span>Retry after (minutes)</span>
+              <input type="number" min="0" max="1440" value={form.delayMinutes} onChange={(e) => updateForm("delayMinutes", e.target.value)} />
+            </label>
+          )}
+
+          {form.actionType === "tag_asset" && (
+            <label className="automation-field">
+              <span>Tags (comma separated)</span>
+              <input value={form.tags} onChange={(e) => updateForm("tags", e.target.value)} placeholder="published, evergreen" required />
+            </label>
+          )}
+
+          <div className="automation-form-actions full">
+            <button type="submit" className="automation-btn primary" disabled={isSaving}>
+              {isSaving ? "Saving..." : "Create rule"}
+            </button>
           </div>
+        </form>
+      )}
 
-          <div className="kanban-column">
-            <div className="column-header">
-              <h3 className="column-title">In Progress</h3>
-              <span className="task-count">{tasks.inProgress.length}</span>
-            </div>
-            <div className="column-content">
-              {tasks.inProgress.map((task) => (
-                <div key={task.id} className="task-card">
-                  <div className="task-header">
-                    <span
-                      className="priority-badge"
-                      style={{ backgroundColor: getPriorityColor(task.priority) }}
-                    >
-                      {task.priority}
-                    </span>
+      <div className="automation-section">
+        {isLoading ? (
+          <p className="automation-empty">Loading...</p>
+        ) : activeTab === "rules" ? (
+          rules.length === 0 ? (
+            <p className="automation-empty">No automation rules yet.{canManage ? " Create one to get started." : ""}</p>
+          ) : (
+            <div className="automation-rule-list">
+              {rules.map((rule) => (
+                <div key={rule.id} className={`automation-rule ${rule.is_active ? "" : "inactive"}`}>
+                  <div className="automation-rule-info">
+                    <h3 className="automation-rule-name">{rule.name}</h3>
+                    <p className="automation-rule-summary">
+                      <strong>When</strong> {describeTrigger(rule)} <strong>then</strong> {describeAction(rule)}
+                    </p>
+                    <p className="automation-rule-meta">Last checked: {formatDate(rule.last_evaluated_at)}</p>
                   </div>
-                  <p className="task-title">{task.title}</p>
+                  {canManage && (
+                    <div className="automation-rule-actions">
+                      <button className="automation-btn" onClick={() => handleToggle(rule)}>
+                        {rule.is_active ? "Pause" : "Resume"}
+                      </button>
+                      <button className="automation-btn danger" onClick={() => setDeleteConfirm({ isOpen: true, rule })}>
+                        Delete
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
-          </div>
-
-          <div className="kanban-column">
-            <div className="column-header">
-              <h3 className="column-title">Done</h3>
-              <span className="task-count">{tasks.done.length}</span>
-            </div>
-            <div className="column-content">
-              {tasks.done.map((task) => (
-                <div key={task.id} className="task-card">
-                  <div className="task-header">
-                    <span
-                      className="priority-badge"
-                      style={{ backgroundColor: getPriorityColor(task.priority) }}
-                    >
-                      {task.priority}
+          )
+        ) : runs.length === 0 ? (
+          <p className="automation-empty">No automation has run yet.</p>
+        ) : (
+          <table className="automation-history">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Rule</th>
+                <th>Trigger</th>
+                <th>Action</th>
+                <th>Status</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => (
+                <tr key={run.id}>
+                  <td>{formatDate(run.created_at)}</td>
+                  <td>{run.rule_name || "Deleted rule"}</td>
+                  <td>{TRIGGERS[run.trigger_type] || run.trigger_type}</td>
+                  <td>{ACTIONS[run.action_type]?.label || run.action_type}</td>
+                  <td>
+                    <span className="automation-status" style={{ backgroundColor: STATUS_COLORS[run.status] }}>
+                      {run.status}
                     </span>
-                  </div>
-                  <p className="task-title">{task.title}</p>
-                </div>
+                  </td>
+                  <td className="automation-history-details">
+                    {run.error_message || run.result?.reason || ""}
+                  </td>
+                </tr>
               ))}
-            </div>
-          </div>
-        </div>
+            </tbody>
+          </table>
+        )}
       </div>
+
+      <ConfirmDialog
+        isOpen={deleteConfirm.isOpen}
+        onClose={() => setDeleteConfirm({ isOpen: false, rule: null })}
+        onConfirm={handleDelete}
+        title="Delete automation"
+        message={`Delete "${deleteConfirm.rule?.name}"? Its run history will be removed too.`}
+        confirmText="Delete"
+      />
     </div>
   );
 };
@@ -11,6 +11,9 @@ import "./BrandProfileContent.css";
 // Draft key is workspace-specific
 const getDraftKey = (workspaceId) => `brand_profile_draft_${workspaceId}`;
 
+const DEFAULT_PRIMARY_COLOR = "#1a1a2e";
+const DEFAULT_ACCENT_COLOR = "#ffc801";
+
 // Extract the storage path from a Supabase public URL
 const getStoragePathFromUrl = (url) => {
   const marker = '/storage/v1/object/public/sample-posts/';
@@ -29,6 +32,7 @@ export const BrandProfileContent = () => {
   const autoSaveTimerRef = useRef(null);
   const hasLoadedData = useRef(false);
   const fileInputRef = useRef(null);
+  const logoInputRef = useRef(null);
 
   // Get the draft key for the current workspace
   const draftKey = activeWorkspace?.id ? getDraftKey(activeWorkspace.id) : null;
@@ -45,6 +49,11 @@ export const BrandProfileContent = () => {
   const [samplePostImages, setSamplePostImages] = useState([]);
   const [isUploadingImage, setIsUploadingImage] = useState(false);
   const [isDraggingOver, setIsDraggingOver] = useState(false);
+  // Shown on the workspace's link-in-bio page
+  const [logoUrl, setLogoUrl] = useState("");
+  const [primaryColor, setPrimaryColor] = useState(DEFAULT_PRIMARY_COLOR);
+  const [accentColor, setAccentColor] = useState(DEFAULT_ACCENT_COLOR);
+  const [isUploadingLogo, setIsUploadingLogo] = useState(false);
 
   // Use React Query for brand profile (cached!) - must use workspace_id
   const { data: profileData, isLoading } = useBrandProfile(activeWorkspace?.id);
@@ -62,12 +71,15 @@ export const BrandProfileContent = () => {
       brandValues,
       samplePosts,
       samplePostImages,
+      logoUrl,
+      primaryColor,
+      accentColor,
       workspaceId: activeWorkspace?.id,
       savedAt: new Date().toISOString()
     };
     localStorage.setItem(draftKey, JSON.stringify(draft));
     setHasDraft(true);
-  }, [brandName, websiteUrl, brandDescription, toneOfVoice, targetAudience, keyTopics, brandValues, samplePosts, samplePostImages, activeWorkspace?.id, draftKey]);
+  }, [brandName, websiteUrl, brandDescription, toneOfVoice, targetAudience, keyTopics, brandValues, samplePosts, samplePostImages, logoUrl, primaryColor, accentColor, activeWorkspace?.id, draftKey]);
 
   // Clear draft from localStorage
   const clearDraft = useCallback(() => {
@@ -118,6 +130,9 @@ export const BrandProfileContent = () => {
           setBrandValues(draft.brandValues || "");
           setSamplePosts(draft.samplePosts || "");
           setSamplePostImages(draft.samplePostImages || []);
+          setLogoUrl(draft.logoUrl || "");
+          setPrimaryColor(draft.primaryColor || DEFAULT_PRIMARY_COLOR);
+          setAccentColor(draft.accentColor || DEFAULT_ACCENT_COLOR);
           hasLoadedData.current = true;
           return;
         }
@@ -137,6 +152,9 @@ export const BrandProfileContent = () => {
       setBrandValues(profileData.brand_values || "");
       setSamplePosts(profileData.sample_posts || "");
       setSamplePostImages(profileData.sample_post_images || []);
+      setLogoUrl(profileData.logo_url || "");
+      setPrimaryColor(profileData.primary_color || DEFAULT_PRIMARY_COLOR);
+      setAccentColor(profileData.accent_color || DEFAULT_ACCENT_COLOR);
       hasLoadedData.current = true;
     }
   }, [profileData, activeWorkspace?.id, draftKey]);
@@ -158,7 +176,7 @@ export const BrandProfileContent = () => {
         clearTimeout(autoSaveTimerRef.current);
       }
     };
-  }, [brandName, websiteUrl, brandDescription, toneOfVoice, targetAudience, keyTopics, brandValues, samplePosts, samplePostImages, saveDraft]);
+  }, [brandName, websiteUrl, brandDescription, toneOfVoice, targetAudience, keyTopics, brandValues, samplePosts, samplePostImages, logoUrl, primaryColor, accentColor, saveDraft]);
 
   // Upload images to Supabase Storage
   const handleImageUpload = async (files) => {
@@ -244,6 +262,52 @@ export const BrandProfileContent = () => {
     }
   };
 
+  // Upload the brand logo; replaces (and deletes) the previous one
+  const handleLogoUpload = async (file) => {
+    if (!file || !activeWorkspace?.id) return;
+
+    if (!['image/jpeg', 'image/jpg', 'image/png', 'image/webp'].includes(file.type) || file.size > 2 * 1024 * 1024) {
+      toast({
+        title: "Logo not uploaded",
+        description: "Use a JPG, PNG or WebP image under 2 MB",
+        status: "error",
+        duration: 3000,
+        isClosable: true
+      });
+      return;
+    }
+
+    setIsUploadingLogo(true);
+    const ext = file.name.split('.').pop();
+    const path = `${activeWorkspace.id}/logo-${Date.now()}.${ext}`;
+
+    const { error } = await supabase.storage
+      .from('sample-posts')
+      .upload(path, file, { upsert: false });
+
+    setIsUploadingLogo(false);
+    if (error) {
+      toast({
+        title: "Upload failed",
+        description: error.message,
+        status: "error",
+        duration: 3000,
+        isClosable: true
+      });
+      return;
+    }
+
+    const { data: { publicUrl } } = supabase.storage
+      .from('sample-posts')
+      .getPublicUrl(path);
+
+    const previousPath = getStoragePathFromUrl(logoUrl);
+    if (previousPath) {
+      await supabase.storage.from('sample-posts').remove([previousPath]);
+    }
+    setLogoUrl(publicUrl);
+  };
+
   const handleDragOver = (e) => {
     e.preventDefault();
     setIsDraggingOver(true);
@@ -286,6 +350,9 @@ export const BrandProfileContent = () => {
         brand_values: brandValues,
         sample_posts: samplePosts,
         sample_post_images: samplePostImages,
+        logo_url: logoUrl || null,
+        primary_color: primaryColor,
+        accent_color: accentColor,
         updated_at: new Date().toISOString()
       };
 
@@ -348,6 +415,9 @@ export const BrandProfileContent = () => {
       setBrandValues(profileData.brand_values || "");
       setSamplePosts(profileData.sample_posts || "");
       setSamplePostImages(profileData.sample_post_images || []);
+      setLogoUrl(profileData.logo_url || "");
+      setPrimaryColor(profileData.primary_color || DEFAULT_PRIMARY_COLOR);
+      setAccentColor(profileData.accent_color || DEFAULT_ACCENT_COLOR);
     } else {
       setBrandName("");
       setWebsiteUrl("");
@@ -358,6 +428,9 @@ export const BrandProfileContent = () => {
       setBrandValues("");
       setSamplePosts("");
       setSamplePostImages([]);
+      setLogoUrl("");
+      setPrimaryColor(DEFAULT_PRIMARY_COLOR);
+      setAccentColor(DEFAULT_ACCENT_COLOR);
     }
     hasLoadedData.current = true;
     toast({
@@ -417,6 +490,67 @@ export const BrandProfileContent = () => {
             />
           </div>
 
+          <div className="form-group">
+            <label>Logo</label>
+            <div className="brand-logo-row">
+              {logoUrl ? (
+                <img className="brand-logo-preview" src={logoUrl} alt="Brand logo" />
+              ) : (
+                <div className="brand-logo-preview empty">No logo</div>
+              )}
+              <button
+                type="button"
+                className="brand-logo-button"
+                onClick={() => logoInputRef.current?.click()}
+                disabled={isUploadingLogo}
+              >
+                {isUploadingLogo ? "Uploading..." : logoUrl ? "Replace" : "Upload logo"}
+              </button>
+              {logoUrl && (
+                <button type="button" className="brand-logo-button" onClick={() => setLogoUrl("")}>
+                  Remove
+                </button>
+              )}
+              <input
+                ref={logoInputRef}
+                type="file"
+                accept="image/jpeg,image/jpg,image/png,image/webp"
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  handleLogoUpload(e.target.files?.[0]);
+                  e.target.value = "";
+                }}
+              />
+            </div>
+            <small style={{ color: '#666', fontSize: '12px' }}>
+              Used on your link-in-bio page. Square images work best.
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label>Brand Colors</label>
+            <div className="brand-color-row">
+              <label className="brand-color-field" htmlFor="primaryColor">
+                <input
+                  type="color"
+                  id="primaryColor"
+                  value={primaryColor}
+                  onChange={(e) => setPrimaryColor(e.target.value)}
+                />
+                <span>Background</span>
+              </label>
+              <label className="brand-color-field" htmlFor="accentColor">
+                <input
+                  type="color"
+                  id="accentColor"
+                  value={accentColor}
+                  onChange={(e) => setAccentColor(e.target.value)}
+                />
+                <span>Buttons</span>
+              </label>
+            </div>
+          </div>
+
           <div className="form-group">
             <label htmlFor="toneOfVoice">Tone of Voice</label>
             <select
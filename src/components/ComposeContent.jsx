@@ -9,6 +9,8 @@ import { baseURL } from "../utils/constants";
 import { useAuth } from "../contexts/AuthContext";
 import { useWorkspace } from "../contexts/WorkspaceContext";
 import { useConnectedAccounts, useInvalidateQueries } from "../hooks/useQueries";
+import { useEditPresence } from "../hooks/useEditPresence";
+import { toEditContent, mergeEdits, EDIT_FIELD_LABELS } from "../utils/draftMerge";
 import { supabase, uploadMediaDirect } from "../utils/supabaseClient";
 import { SubscriptionGuard } from "./subscription/SubscriptionGuard";
 import FeatureGate from "./subscription/FeatureGate";
@@ -16,6 +18,8 @@ import { CommentThread } from "./comments/CommentThread";
 import { CommentInput } from "./comments/CommentInput";
 import { MediaUploadModal } from "./compose/MediaUploadModal";
 import { PostSettings } from "./compose/PostSettings";
+import { CaptionVariants } from "./compose/CaptionVariants";
+import { LinkShortener } from "./compose/LinkShortener";
 import { ScheduleModal } from "./compose/ScheduleModal";
 import { InstagramPreview } from "./compose/previews/InstagramPreview";
 import { TwitterPreview } from "./compose/previews/TwitterPreview";
@@ -67,6 +71,11 @@ export const ComposeContent = () => {
   // a re-created useCallback closure (which was causing duplicate INSERTs).
   const currentDraftIdRef = useRef(null);
   const [isEditingScheduledPost, setIsEditingScheduledPost] = useState(false); // Track if editing a scheduled post
+  // Version of the draft/post this editor last loaded or saved, and its content then.
+  // Saves send the version back; a teammate's save in between gets a merge prompt.
+  const editVersionRef = useRef(null);
+  const baseContentRef = useRef(null);
+  const [saveConflict, setSaveConflict] = useState(null);
   const [approvalStatus, setApprovalStatus] = useState(null); // Track approval status
   const [lastSaved, setLastSaved] = useState(null);
   const autoSaveTimerRef = useRef(null);
@@ -119,6 +128,12 @@ export const ComposeContent = () => {
   // Cache invalidation helpers
   const { invalidatePosts, invalidateAccounts } = useInvalidateQueries();
 
+  // Soft edit lock: who else has this draft or post open
+  const { editors: otherEditors, lockHolder } = useEditPresence(
+    currentDraftId ? `${isEditingScheduledPost ? 'post' : 'draft'}-${currentDraftId}` : null,
+    { id: user?.id, name: profile?.full_name || user?.email }
+  );
+
   // Helper to get account info for a platform
   const getAccountInfo = (platform) => {
     const account = accountDetails.find(a =>
@@ -429,6 +444,8 @@ export const ComposeContent = () => {
     // Set the draft ID so we update instead of create new
     currentDraftIdRef.current = draft.id;
     setCurrentDraftId(draft.id);
+    editVersionRef.current = draft.version ?? null;
+    baseContentRef.current = toEditContent(draft);
 
     // Check if this is editing a scheduled post
     if (draft.isEditingScheduledPost) {
@@ -528,6 +545,101 @@ export const ComposeContent = () => {
     }
   }, [loadDraftIntoState]);
 
+  // Current editor content, in the shape the conflict merge compares
+  const getEditContent = (mediaUrls) => toEditContent({
+    caption: post.text,
+    media_urls: mediaUrls || mediaPreviews.map(p => p.dataUrl).filter(url => url && url.startsWith('http')),
+    platforms: Object.keys(networks).filter(key => networks[key]),
+    scheduled_at: scheduledDate ? scheduledDate.toISOString() : null,
+    post_settings: postSettings
+  });
+
+  const markSaved = (row) => {
+    if (row?.version != null) editVersionRef.current = row.version;
+    baseContentRef.current = toEditContent(row);
+  };
+
+  // A save was rejected because a teammate saved first: work out what overlaps and ask
+  const openSaveConflict = (current, mediaUrls) => {
+    const theirs = toEditContent(current);
+    const mine = getEditContent(mediaUrls);
+    setSaveConflict({
+      theirs,
+      theirsVersion: current.version,
+      ...mergeEdits(baseContentRef.current || theirs, mine, theirs)
+    });
+  };
+
+  const applyEditContent = (content) => {
+    // Files picked but not uploaded yet stay in the editor
+    const localPreviews = mediaPreviews.filter(p => !p.dataUrl?.startsWith('http'));
+    setPost(prev => ({ ...prev, text: content.caption }));
+    setMediaPreviews([
+      ...content.media_urls.map((url, index) => ({
+        id: `latest-${index}-${Date.now()}`,
+        dataUrl: url,
+        type: /\.(mp4|mov|avi|webm|mkv)(\?|$)/i.test(url) ? 'video' : 'image',
+        order: index
+      })),
+      ...localPreviews
+    ]);
+    setNetworks(prev => Object.fromEntries(Object.keys(prev).map(key => [key, content.platforms.includes(key)])));
+    const date = content.scheduled_at ? new Date(content.scheduled_at) : null;
+    setScheduledDate(date);
+    setTempScheduledDate(date);
+    setPostSettings(prev => ({ ...prev, ...content.post_settings }));
+  };
+
+  const resolveSaveConflict = (choice) => {
+    const { theirs, theirsVersion, merged } = saveConflict;
+    if (choice === 'theirs') applyEditContent(theirs);
+    if (choice === 'merge') applyEditContent(merged);
+
+    // The next save goes on top of their version
+    editVersionRef.current = theirsVersion;
+    baseContentRef.current = theirs;
+    setSaveConflict(null);
+
+    toast({
+      title: choice === 'theirs' ? "Loaded the latest version" : "Ready to save",
+      description: choice === 'theirs'
+        ? "Your unsaved changes were discarded"
+        : "Save again to apply your changes on top of the latest version",
+      status: "info",
+      duration: 4000,
+      isClosable: true
+    });
+  };
+
+  // Pending posts are saved through update-pending (database only), only over the version we loaded.
+  // Returns the saved row, or null after opening the conflict prompt.
+  const saveEditedPost = async (updates) => {
+    const res = await fetch(`${baseURL}/api/post/update-pending`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        postId: currentDraftIdRef.current,
+        workspaceId: activeWorkspace.id,
+        version: editVersionRef.current,
+        caption: updates.caption,
+        mediaUrls: updates.media_urls,
+        platforms: updates.platforms,
+        scheduledDate: updates.scheduled_at,
+        postSettings: updates.post_settings
+      })
+    });
+    const json = await res.json().catch(() => ({}));
+
+    if (res.status === 409 && json.current) {
+      openSaveConflict(json.current, updates.media_urls);
+      return null;
+    }
+    if (!res.ok) throw new Error(json.error || 'Failed to save post');
+
+    markSaved(json.data);
+    return json.data;
+  };
+
   // Auto-save draft functionality
   const saveDraft = useCallback(async () => {
     if (!user || !activeWorkspace?.id) return;
@@ -618,20 +730,14 @@ export const ComposeContent = () => {
         // Save to posts table (scheduled post) - AUTO-SAVE ONLY, no Ayrshare call
         console.log('[Draft] Auto-saving scheduled post to posts table, id:', draftId);
 
-        const { error } = await supabase
-          .from('posts')
-          .update({
-            caption: post.text,
-            media_urls: uploadedUrls,
-            platforms: selectedPlatforms,
-            scheduled_at: scheduledDate ? scheduledDate.toISOString() : null,
-            post_settings: postSettings,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', draftId)
-          .eq('workspace_id', activeWorkspace.id);
-
-        if (error) throw error;
+        const saved = await saveEditedPost({
+          caption: post.text,
+          media_urls: uploadedUrls,
+          platforms: selectedPlatforms,
+          scheduled_at: scheduledDate ? scheduledDate.toISOString() : null,
+          post_settings: postSettings
+        });
+        if (!saved) return;
 
         setLastSaved(new Date());
         console.log('[Draft] Scheduled post auto-saved successfully');
@@ -647,6 +753,7 @@ export const ComposeContent = () => {
             workspaceId: activeWorkspace.id,
             userId: user.id,
             draftId: draftId || null,
+            version: draftId ? editVersionRef.current : null,
             caption: post.text,
             mediaUrls: uploadedUrls,
             platforms: selectedPlatforms,
@@ -654,12 +761,19 @@ export const ComposeContent = () => {
           })
         });
 
+        if (res.status === 409) {
+          const conflict = await res.json();
+          openSaveConflict(conflict.current, uploadedUrls);
+          return;
+        }
+
         if (!res.ok) {
           const errorData = await res.json();
           throw new Error(errorData.error || "Failed to save draft");
         }
 
         const json = await res.json();
+        markSaved(json.data);
         if (json.data && !draftId) {
           // Sync ref first (synchronous) so any save that fires before the
           // next React render will already see the correct ID
@@ -1189,9 +1303,28 @@ export const ComposeContent = () => {
 
   const [tempScheduledDate, setTempScheduledDate] = useState(null);
 
-  const handleConfirmSchedule = async (selectedDate) => {
-    const scheduleDate = selectedDate || tempScheduledDate;
-    if (!scheduleDate || !user) return;
+  // Content queues the post can be added to instead of picking a time
+  const [queues, setQueues] = useState([]);
+
+  useEffect(() => {
+    if (!activeWorkspace?.id) return;
+    let cancelled = false;
+    fetch(`${baseURL}/api/queues?workspaceId=${activeWorkspace.id}`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(json => {
+        if (!cancelled) setQueues((json?.data?.queues || []).filter(q => q.is_active));
+      })
+      .catch(err => console.error("Error fetching queues:", err));
+    return () => { cancelled = true; };
+  }, [activeWorkspace?.id]);
+
+  // queueOptions ({ queueId, isEvergreen }) lets the queue pick the time and platforms
+  const handleConfirmSchedule = async (selectedDate, queueOptions = null) => {
+    const queueFields = queueOptions?.queueId && !isEditingScheduledPost
+      ? { queueId: queueOptions.queueId, isEvergreen: !!queueOptions.isEvergreen }
+      : null;
+    const scheduleDate = queueFields ? null : (selectedDate || tempScheduledDate);
+    if ((!scheduleDate && !queueFields) || !user) return;
 
     // Clear autosave timer immediately to prevent "draft save failed" error after form reset
     if (autoSaveTimerRef.current) {
@@ -1215,7 +1348,7 @@ export const ComposeContent = () => {
       return; // Don't send to API yet
     }
 
-    if (networks.instagram && !postSettings.instagramType) {
+    if (networks.instagram && !postSettings.instagramType && !queueFields) {
       onClose();
       toast({
         title: "Instagram post type required",
@@ -1228,7 +1361,7 @@ export const ComposeContent = () => {
     }
 
     setIsLoading(true);
-    setTempScheduledDate(scheduleDate); // Update state for backward compatibility
+    if (scheduleDate) setTempScheduledDate(scheduleDate); // Update state for backward compatibility
     onClose();
 
     // Use JSON for requests without file uploads (better Vercel compatibility)
@@ -1271,9 +1404,10 @@ export const ComposeContent = () => {
               workspaceId: activeWorkspace.id,
               mediaUrl: uploadedUrls,
               networks: JSON.stringify(networks),
-              scheduledDate: scheduleDate.toISOString(),
+              ...(scheduleDate && { scheduledDate: scheduleDate.toISOString() }),
+              ...queueFields,
               postSettings: postSettings,
-              ...(isEditingScheduledPost && currentDraftId && { postId: currentDraftId })
+              ...(isEditingScheduledPost && currentDraftId && { postId: currentDraftId, version: editVersionRef.current })
             })
           });
         } else {
@@ -1289,7 +1423,13 @@ export const ComposeContent = () => {
           });
 
           formData.append("networks", JSON.stringify(networks));
-          formData.append("scheduledDate", scheduleDate.toISOString());
+          if (scheduleDate) {
+            formData.append("scheduledDate", scheduleDate.toISOString());
+          }
+          if (queueFields) {
+            formData.append("queueId", queueFields.queueId);
+            formData.append("isEvergreen", String(queueFields.isEvergreen));
+          }
 
           // Add post settings (Phase 4)
           formData.append("postSettings", JSON.stringify(postSettings));
@@ -1297,6 +1437,9 @@ export const ComposeContent = () => {
           // If editing a scheduled post, include the postId
           if (isEditingScheduledPost && currentDraftId) {
             formData.append("postId", currentDraftId);
+            if (editVersionRef.current != null) {
+              formData.append("version", String(editVersionRef.current));
+            }
           }
 
           response = await fetch(`${baseURL}/api/post`, {
@@ -1315,15 +1458,19 @@ export const ComposeContent = () => {
             workspaceId: activeWorkspace.id,
             mediaUrl: mediaPreviews.length > 0 ? mediaPreviews.map(p => p.dataUrl).filter(url => url.startsWith('http')) : null,
             networks: JSON.stringify(networks),
-            scheduledDate: scheduleDate.toISOString(),
+            ...(scheduleDate && { scheduledDate: scheduleDate.toISOString() }),
+            ...queueFields,
             postSettings: postSettings, // Phase 4
             // If editing a scheduled post, include the postId
-            ...(isEditingScheduledPost && currentDraftId && { postId: currentDraftId })
+            ...(isEditingScheduledPost && currentDraftId && { postId: currentDraftId, version: editVersionRef.current })
           })
         });
       }
 
       if (response.ok) {
+        const result = await response.json().catch(() => ({}));
+        const publishAt = result.data?.scheduledAt ? new Date(result.data.scheduledAt) : scheduleDate;
+
         // Delete draft if this was loaded from a draft (but not if editing a scheduled post)
         if (currentDraftId && !isEditingScheduledPost) {
           try {
@@ -1341,7 +1488,7 @@ export const ComposeContent = () => {
           title: isEditingScheduledPost ? "Post updated!" : "Post scheduled!",
           description: isEditingScheduledPost
             ? "Your changes have been saved and the post is awaiting approval"
-            : `Your post will be published on ${scheduleDate.toLocaleString()}`,
+            : `Your post will be published on ${publishAt.toLocaleString()}`,
           status: "success",
           duration: 4000,
           isClosable: true
@@ -1356,6 +1503,7 @@ export const ComposeContent = () => {
 
         // Reset form completely
         setPost({ text: "", media: [] });
+        setPostSettings(prev => ({ ...prev, captionVariants: {}, firstComment: '', tags: [] }));
         setNetworks({
           threads: false,
               twitter: false,
@@ -1376,6 +1524,11 @@ export const ComposeContent = () => {
       } else {
         const errorData = await response.json().catch(() => ({}));
 
+        if (response.status === 409 && errorData.current) {
+          openSaveConflict(errorData.current);
+          return;
+        }
+
         // More specific error messages
         let errorMessage = errorData.error || "Failed to schedule post";
 
@@ -1428,6 +1581,12 @@ export const ComposeContent = () => {
     { value: "tiktok", label: "TikTok", icon: FaTiktok }
   ];
 
+  // Each preview shows the caption variant for its platform, if there is one
+  const getPreviewPost = (platform) => ({
+    ...post,
+    text: postSettings.captionVariants?.[platform] ?? post.text
+  });
+
   const renderPlatformPreview = () => {
     const hasContent = post.text || mediaPreviews.length > 0;
 
@@ -1443,7 +1602,7 @@ export const ComposeContent = () => {
       case "instagram":
         return (
           <InstagramPreview
-            post={post}
+            post={getPreviewPost('instagram')}
             mediaPreviews={mediaPreviews}
             accountInfo={getAccountInfo('instagram')}
           />
@@ -1452,7 +1611,7 @@ export const ComposeContent = () => {
       case "facebook":
         return (
           <FacebookPreview
-            post={post}
+            post={getPreviewPost('facebook')}
             mediaPreviews={mediaPreviews}
             accountInfo={getAccountInfo('facebook')}
           />
@@ -1461,7 +1620,7 @@ export const ComposeContent = () => {
       case "twitter":
         return (
           <TwitterPreview
-            post={post}
+            post={getPreviewPost('twitter')}
             mediaPreviews={mediaPreviews}
             accountInfo={getAccountInfo('twitter')}
           />
@@ -1470,7 +1629,7 @@ export const ComposeContent = () => {
       case "linkedin":
         return (
           <LinkedInPreview
-            post={post}
+            post={getPreviewPost('linkedin')}
             mediaPreviews={mediaPreviews}
             accountInfo={getAccountInfo('linkedin')}
           />
@@ -1479,7 +1638,7 @@ export const ComposeContent = () => {
       case "threads":
         return (
           <ThreadsPreview
-            post={post}
+            post={getPreviewPost('threads')}
             mediaPreviews={mediaPreviews}
             accountInfo={getAccountInfo('threads')}
           />
@@ -1488,7 +1647,7 @@ export const ComposeContent = () => {
       case "tiktok":
         return (
           <TikTokPreview
-            post={post}
+            post={getPreviewPost('tiktok')}
             mediaPreviews={mediaPreviews}
             accountInfo={getAccountInfo('tiktok')}
           />
@@ -1663,22 +1822,17 @@ export const ComposeContent = () => {
         console.log('[Save] Post is pending approval, updating database only (not Ayrshare)');
 
         // Update directly in Supabase
-        const { error } = await supabase
-          .from('posts')
-          .update({
-            caption: post.text,
-            media_urls: uploadedUrls,
-            platforms: selectedPlatforms,
-            scheduled_at: finalScheduledDate.toISOString(),
-            post_settings: postSettings,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', currentDraftId)
-          .eq('workspace_id', activeWorkspace.id);
+        const saved = await saveEditedPost({
+          caption: post.text,
+          media_urls: uploadedUrls,
+          platforms: selectedPlatforms,
+          scheduled_at: finalScheduledDate.toISOString(),
+          post_settings: postSettings
+        });
 
-        if (error) {
-          console.error('[Save] Database update error:', error);
-          throw new Error(error.message || 'Failed to update post in database');
+        if (!saved) {
+          setPostingProgress({ step: 'idle', percent: 0, estimatedTime: 0 });
+          return;
         }
       } else {
         // Post is already scheduled/posted to Ayrshare - use update-scheduled endpoint
@@ -1694,12 +1848,18 @@ export const ComposeContent = () => {
             mediaUrls: uploadedUrls,
             platforms: selectedPlatforms,
             scheduledDate: finalScheduledDate.toISOString(),
-            postSettings: postSettings
+            postSettings: postSettings,
+            version: editVersionRef.current
           })
         });
 
         if (!response.ok) {
           const errorData = await response.json();
+          if (response.status === 409 && errorData.current) {
+            setPostingProgress({ step: 'idle', percent: 0, estimatedTime: 0 });
+            openSaveConflict(errorData.current, uploadedUrls);
+            return;
+          }
           throw new Error(errorData.error || 'Failed to update post');
         }
       }
@@ -1723,6 +1883,7 @@ export const ComposeContent = () => {
       // Reset form completely
       setCurrentDraftId(null);
       setPost({ text: "", media: [] });
+      setPostSettings(prev => ({ ...prev, captionVariants: {}, firstComment: '', tags: [] }));
       setNetworks({
         threads: false, twitter: false, googleBusiness: false,
         pinterest: false, tiktok: false, instagram: false,
@@ -1852,22 +2013,17 @@ export const ComposeContent = () => {
 
       console.log('[Mark Resolved] Updating database only (post pending approval)');
 
-      const { error: updateError } = await supabase
-        .from('posts')
-        .update({
-          caption: post.text,
-          media_urls: uploadedUrls,
-          platforms: selectedPlatforms,
-          scheduled_at: finalScheduledDate.toISOString(),
-          post_settings: postSettings,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', currentDraftId)
-        .eq('workspace_id', activeWorkspace.id);
+      const saved = await saveEditedPost({
+        caption: post.text,
+        media_urls: uploadedUrls,
+        platforms: selectedPlatforms,
+        scheduled_at: finalScheduledDate.toISOString(),
+        post_settings: postSettings
+      });
 
-      if (updateError) {
-        console.error('[Mark Resolved] Database update error:', updateError);
-        throw new Error(updateError.message || 'Failed to update post in database');
+      if (!saved) {
+        setPostingProgress({ step: 'idle', percent: 0, estimatedTime: 0 });
+        return;
       }
 
       // Step 2: Mark as resolved
@@ -1909,6 +2065,7 @@ export const ComposeContent = () => {
       // Reset form completely
       setCurrentDraftId(null);
       setPost({ text: "", media: [] });
+      setPostSettings(prev => ({ ...prev, captionVariants: {}, firstComment: '', tags: [] }));
       setNetworks({
         threads: false, twitter: false, googleBusiness: false,
         pinterest: false, tiktok: false, instagram: false,
@@ -2136,7 +2293,7 @@ export const ComposeContent = () => {
               networks: JSON.stringify(networks),
               scheduledDate: scheduledTime ? scheduledTime.toISOString() : null,
               postSettings: postSettings,
-              ...(isEditingScheduledPost && currentDraftId && { postId: currentDraftId })
+              ...(isEditingScheduledPost && currentDraftId && { postId: currentDraftId, version: editVersionRef.current })
             })
           });
         } else {
@@ -2162,6 +2319,9 @@ export const ComposeContent = () => {
           // If editing a scheduled post, include the postId
           if (isEditingScheduledPost && currentDraftId) {
             formData.append("postId", currentDraftId);
+            if (editVersionRef.current != null) {
+              formData.append("version", String(editVersionRef.current));
+            }
           }
 
           // Update progress to publishing
@@ -2191,7 +2351,7 @@ export const ComposeContent = () => {
             scheduledDate: scheduledTime ? scheduledTime.toISOString() : null,
             postSettings: postSettings, // Phase 4
             // If editing a scheduled post, include the postId
-            ...(isEditingScheduledPost && currentDraftId && { postId: currentDraftId })
+            ...(isEditingScheduledPost && currentDraftId && { postId: currentDraftId, version: editVersionRef.current })
           })
         });
       }
@@ -2255,6 +2415,7 @@ export const ComposeContent = () => {
         setCurrentDraftId(null);
         // Reset form completely
         setPost({ text: "", media: [] });
+        setPostSettings(prev => ({ ...prev, captionVariants: {}, firstComment: '', tags: [] }));
         setNetworks({
           threads: false,
               twitter: false,
@@ -2274,6 +2435,11 @@ export const ComposeContent = () => {
       } else {
         const errorData = await response.json().catch(() => ({}));
 
+        if (response.status === 409 && errorData.current) {
+          openSaveConflict(errorData.current);
+          return;
+        }
+
         // More specific error messages based on error codes
         let errorMessage = errorData.error || "Failed to submit post";
 
@@ -2687,6 +2853,14 @@ export const ComposeContent = () => {
           </div>
 
           <div className="compose-form">
+            {otherEditors.length > 0 && (
+              <div className={`compose-presence-banner ${lockHolder ? 'locked' : ''}`}>
+                {lockHolder
+                  ? `${lockHolder.name} is editing this ${isEditingScheduledPost ? 'post' : 'draft'}. If you both save, you'll be asked to merge.`
+                  : `${otherEditors.map(e => e.name).join(', ')} also opened this ${isEditingScheduledPost ? 'post' : 'draft'}.`}
+              </div>
+            )}
+
             <div className="textarea-container">
               <textarea
                 value={post.text}
@@ -2696,6 +2870,19 @@ export const ComposeContent = () => {
               />
             </div>
 
+            <CaptionVariants
+              networks={socialNetworks.filter(network => networks[network.name])}
+              text={post.text}
+              variants={postSettings.captionVariants || {}}
+              onChange={(captionVariants) => setPostSettings(prev => ({ ...prev, captionVariants }))}
+            />
+
+            <LinkShortener
+              userId={user?.id}
+              workspaceId={activeWorkspace?.id}
+              onInsertLink={(link) => setPost(prev => ({ ...prev, text: prev.text ? `${prev.text} ${link}` : link }))}
+            />
+
             {/* Media preview thumbnails */}
             {mediaPreviews.length > 0 && (
               <div className="compose-media-preview-section">
@@ -3402,8 +3589,51 @@ export const ComposeContent = () => {
         bestTimes={bestTimes}
         hasRealData={hasRealData}
         initialDate={scheduledDate || tempScheduledDate}
+        queues={isEditingScheduledPost ? [] : queues}
       />
 
+      {/* Save Conflict Modal */}
+      <Modal isOpen={!!saveConflict} onClose={() => resolveSaveConflict('mine')} size="xl">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Someone else saved this {isEditingScheduledPost ? 'post' : 'draft'}</ModalHeader>
+          <ModalBody>
+            {saveConflict && (
+              <div className="save-conflict">
+                <p>
+                  {saveConflict.conflicts.length === 0
+                    ? "Their changes don't overlap with yours, so both can be kept."
+                    : `You both changed: ${saveConflict.conflicts.map(f => EDIT_FIELD_LABELS[f]).join(', ')}.`}
+                </p>
+                {saveConflict.conflicts.includes('caption') && (
+                  <div className="save-conflict-captions">
+                    <div>
+                      <div className="save-conflict-label">Your caption</div>
+                      <p>{post.text}</p>
+                    </div>
+                    <div>
+                      <div className="save-conflict-label">Their caption</div>
+                      <p>{saveConflict.theirs.caption}</p>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </ModalBody>
+          <ModalFooter gap={2}>
+            <Button variant="ghost" onClick={() => resolveSaveConflict('theirs')}>
+              Use their version
+            </Button>
+            <Button variant="outline" onClick={() => resolveSaveConflict('mine')}>
+              Keep mine
+            </Button>
+            <Button colorScheme="purple" onClick={() => resolveSaveConflict('merge')}>
+              {saveConflict?.conflicts.length ? 'Merge, keeping mine where we overlap' : 'Merge both'}
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+
       {/* AI Generation Modal */}
       <Modal isOpen={isAiOpen} onClose={onAiClose} size="xl">
         <ModalOverlay />
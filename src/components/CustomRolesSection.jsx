@@ -0,0 +1,222 @@
+import { useState } from "react";
+import { baseURL, ASSIGNABLE_PERMISSIONS, PERMISSIONS } from "../utils/constants";
+import { useInvalidateQueries } from "../hooks/useQueries";
+
+const EMPTY_FORM = {
+  name: "",
+  description: "",
+  baseRole: "member",
+  permissions: []
+};
+
+const PERMISSION_LABELS = Object.fromEntries(PERMISSIONS.map(p => [p.key, p.label]));
+
+/**
+ * CustomRolesSection
+ *
+ * Lists the workspace's custom roles (e.g. "Copywriter") and, for members who
+ * can manage the team, lets them create, edit and delete roles with a chosen
+ * set of permissions from the shared permission registry.
+ *
+ * @param {string} workspaceId - Workspace the roles belong to
+ * @param {Array} roles - Custom roles from useWorkspaceRoles
+ * @param {boolean} canManage - Whether the user can change roles
+ * @param {function} onRolesChanged - Called after a change that affects members
+ */
+export const CustomRolesSection = ({ workspaceId, roles, canManage, onRolesChanged }) => {
+  const { invalidateWorkspaceRoles } = useInvalidateQueries();
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const startCreate = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const startEdit = (role) => {
+    setEditingId(role.id);
+    setForm({
+      name: role.name,
+      description: role.description || "",
+      baseRole: role.base_role,
+      permissions: role.permissions || []
+    });
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(null);
+  };
+
+  const togglePermission = (key, checked) => {
+    setForm(prev => ({
+      ...prev,
+      permissions: checked
+        ? [...prev.permissions, key]
+        : prev.permissions.filter(p => p !== key)
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      alert("Give the role a name");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await fetch(`${baseURL}/api/workspaces/${workspaceId}/roles`, {
+        method: editingId ? "PATCH" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...form, ...(editingId && { roleId: editingId }) })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to save role");
+      }
+
+      invalidateWorkspaceRoles(workspaceId);
+      if (editingId) onRolesChanged?.();
+      closeForm();
+    } catch (error) {
+      console.error("Error saving role:", error);
+      alert(error.message || "Failed to save role");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    const message = role.member_count > 0
+      ? `Delete "${role.name}"? ${role.member_count} member(s) will go back to ${role.base_role === "viewer" ? "Viewer" : "Member"}.`
+      : `Delete "${role.name}"?`;
+    if (!window.confirm(message)) return;
+
+    try {
+      const response = await fetch(`${baseURL}/api/workspaces/${workspaceId}/roles?roleId=${role.id}`, {
+        method: "DELETE"
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to delete role");
+      }
+
+      invalidateWorkspaceRoles(workspaceId);
+      onRolesChanged?.();
+    } catch (error) {
+      console.error("Error deleting role:", error);
+      alert(error.message || "Failed to delete role");
+    }
+  };
+
+  if (!canManage && roles.length === 0) return null;
+
+  return (
+    <div className="team-section">
+      <div className="section-header">
+        <div>
+          <h2 className="section-title">Custom Roles</h2>
+          <p className="section-subtitle">Roles with their own set of permissions, like Copywriter or Community Manager</p>
+        </div>
+        {canManage && !form && (
+          <div className="header-buttons">
+            <button className="add-member-button" onClick={startCreate}>
+              + New Role
+            </button>
+          </div>
+        )}
+      </div>
+
+      {form && (
+        <div className="custom-role-form">
+          <div className="custom-role-fields">
+            <input
+              type="text"
+              placeholder="Role name"
+              value={form.name}
+              maxLength={50}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+            />
+            <select
+              className="role-dropdown"
+              value={form.baseRole}
+              onChange={(e) => setForm({ ...form, baseRole: e.target.value })}
+              title="Member roles use the team app, viewer roles use the client portal"
+            >
+              <option value="member">Based on Member</option>
+              <option value="viewer">Based on Viewer</option>
+            </select>
+          </div>
+          <input
+            type="text"
+            placeholder="Description (optional)"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+          />
+          <div className="custom-role-permissions">
+            {ASSIGNABLE_PERMISSIONS.map(permission => (
+              <label key={permission.key} className="toggle-label" title={permission.description}>
+                <input
+                  type="checkbox"
+                  checked={form.permissions.includes(permission.key)}
+                  onChange={(e) => togglePermission(permission.key, e.target.checked)}
+                />
+                <span className="toggle-switch"></span>
+                {permission.label}
+              </label>
+            ))}
+          </div>
+          <div className="custom-role-actions">
+            <button className="remove-button" onClick={closeForm} disabled={saving}>
+              Cancel
+            </button>
+            <button className="add-member-button" onClick={handleSave} disabled={saving}>
+              {saving ? "Saving..." : editingId ? "Save Role" : "Create Role"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="members-list">
+        {roles.length === 0 ? (
+          <div className="team-info-box">
+            <p className="info-text">No custom roles yet</p>
+            <p className="info-subtext">Members and viewers use the built-in permissions until you create one</p>
+          </div>
+        ) : (
+          roles.map(role => (
+            <div key={role.id} className="member-card">
+              <div className="member-info">
+                <div className="member-details">
+                  <h3 className="member-name">{role.name}</h3>
+                  <p className="member-email">
+                    {role.description || `Based on ${role.base_role === "viewer" ? "Viewer" : "Member"}`}
+                    {" · "}{role.member_count} {role.member_count === 1 ? "member" : "members"}
+                  </p>
+                  <div className="member-role-tags">
+                    {(role.permissions || []).map(key => (
+                      <span key={key} className="member-role permission-tag">{PERMISSION_LABELS[key] || key}</span>
+                    ))}
+                  </div>
+                </div>
+              </div>
+              {canManage && (
+                <div className="member-actions">
+                  <button className="leave-workspace-button" onClick={() => startEdit(role)}>
+                    Edit
+                  </button>
+                  <button className="remove-button" onClick={() => handleDelete(role)}>
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
@@ -208,6 +208,7 @@ export const DashboardContent = () => {
         scheduled_date: post.scheduleDate || post.scheduled_at || post.schedule_date,
         post_settings: post.post_settings || {},
         workspace_id: activeWorkspace.id,
+        version: post.version,
         isEditingScheduledPost: true,
         approval_status: 'changes_requested'
       }));
@@ -222,6 +223,7 @@ export const DashboardContent = () => {
         scheduled_date: post.scheduleDate || post.scheduled_at || post.schedule_date,
         post_settings: post.post_settings || {},
         workspace_id: activeWorkspace.id,
+        version: post.version,
         isEditingScheduledPost: true,
         approval_status: 'rejected'
       }));
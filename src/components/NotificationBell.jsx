@@ -100,6 +100,16 @@ const NOTIFICATION_CONFIG = {
     route: "/schedule",
     color: "#f39c12"
   },
+  approval_reminder: {
+    icon: "⏰",
+    route: "/approvals",
+    color: "#f59e0b"
+  },
+  approval_deadline_passed: {
+    icon: "⌛",
+    route: "/approvals",
+    color: "#ef4444"
+  },
   post_updated: {
     icon: "🔄",
     route: "/approvals",
@@ -141,12 +151,24 @@ const NOTIFICATION_CONFIG = {
     route: "/social-inbox?tab=messages",
     color: "#3b82f6"
   },
+  inbox_assigned: {
+    icon: "🙋",
+    route: "/social-inbox?tab=messages",
+    color: "#8b5cf6"
+  },
   inbox_mention: {
     icon: "📢",
     route: "/social-inbox?tab=messages",
     color: "#8b5cf6"
   },
 
+  // Automation
+  automation: {
+    icon: "⚡",
+    route: "/automation?tab=history",
+    color: "#8b5cf6"
+  },
+
   // Default
   default: {
     icon: "🔔",
@@ -325,6 +347,11 @@ export const NotificationBell = () => {
         route = isClientRole ? '/client/approvals' : '/schedule';
         if (postId) route += `?postId=${postId}`;
         break;
+      case 'approval_reminder':
+      case 'approval_deadline_passed':
+        route = isClientRole ? '/client/approvals' : '/approvals';
+        if (postId) route += `?postId=${postId}`;
+        break;
       case 'final_approval_request':
         route = '/approvals?tab=pending_internal';
         if (postId) route += `&postId=${postId}`;
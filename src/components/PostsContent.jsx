@@ -351,6 +351,7 @@ export const PostsContent = () => {
       post_settings: post.post_settings || {},
       approval_status: post.approval_status,
       workspace_id: activeWorkspace.id,
+      version: post.version,
       isEditingScheduledPost: true // Flag to indicate this is editing a scheduled post
     }));
     setSelectedPost(null); // Close panel
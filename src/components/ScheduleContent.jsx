@@ -13,6 +13,8 @@ import { SubscriptionGuard } from "./subscription/SubscriptionGuard";
 import { PostDetailPanel } from "./comments/PostDetailPanel";
 import { LoadingContainer } from "./ui/LoadingSpinner";
 import { formatPostError } from "../utils/formatPostError";
+import { QueueManager } from "./queues/QueueManager";
+import { CsvImportModal } from "./schedule/CsvImportModal";
 import "./ScheduleContent.css";
 
 const PLATFORM_ICONS = {
@@ -39,7 +41,7 @@ const getPostDate = (post) => post.scheduleDate || post.posted_at || post.create
 
 export const ScheduleContent = () => {
   const { user, profile, hasActiveProfile, subscriptionStatus, subscriptionTier, isWhitelisted } = useAuth();
-  const { activeWorkspace, canApprove } = useWorkspace();
+  const { activeWorkspace, canApprove, hasRolePermission } = useWorkspace();
   const toast = useToast();
 
   // Check if user has access (multi-workspace support)
@@ -51,7 +53,7 @@ export const ScheduleContent = () => {
     subscriptionStatus === 'active' ||
     workspaceHasProfile;
   const [currentDate, setCurrentDate] = useState(new Date());
-  const [view, setView] = useState("week"); // week, month, schedule
+  const [view, setView] = useState("week"); // week, month, schedule, queues
   const [approvalFilter, setApprovalFilter] = useState("all"); // all, pending, approved, rejected
   const [selectedPost, setSelectedPost] = useState(null);
   const [selectedDayPosts, setSelectedDayPosts] = useState([]);
@@ -59,6 +61,8 @@ export const ScheduleContent = () => {
   const [selectedMonthDate, setSelectedMonthDate] = useState(null);
   const [actionLoading, setActionLoading] = useState(false);
   const [overflowPopup, setOverflowPopup] = useState(null); // { posts, rect }
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
   const { invalidatePosts } = useInvalidateQueries();
 
 
@@ -168,6 +172,7 @@ export const ScheduleContent = () => {
       platforms: post.platforms || [],
       scheduled_date: post.scheduled_at || post.scheduleDate || post.schedule_date,
       workspace_id: activeWorkspace.id,
+      version: post.version,
       isEditingScheduledPost: true // Flag to indicate this is editing a scheduled post
     }));
     setSelectedPost(null);
@@ -722,6 +727,32 @@ export const ScheduleContent = () => {
   const hasApprovalPosts = approvalCounts.pending_internal > 0 || approvalCounts.pending_client > 0 || approvalCounts.pending > 0 || approvalCounts.changes_requested > 0 || approvalCounts.rejected > 0;
   const showApprovalFilters = hasApprovalWorkflows || hasApprovalPosts;
 
+  // Download the schedule in the same CSV format the importer reads
+  const handleExportCsv = async () => {
+    if (!activeWorkspace?.id || !user?.id) return;
+    setIsExporting(true);
+    try {
+      const res = await fetch(
+        `${baseURL}/api/post/unified-schedule?workspaceId=${activeWorkspace.id}&userId=${user.id}&format=csv`
+      );
+      if (!res.ok) {
+        const payload = await res.json().catch(() => ({}));
+        throw new Error(payload.error || "Export failed");
+      }
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${activeWorkspace.name || "schedule"}-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast({ title: "Export failed", description: error.message, status: "error", duration: 4000, isClosable: true });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   return (
     <div className="schedule-container">
       {/* Subscription Banner */}
@@ -755,9 +786,15 @@ export const ScheduleContent = () => {
             >
               Schedule
             </button>
+            <button
+              className={`view-btn ${view === "queues" ? "active" : ""}`}
+              onClick={() => setView("queues")}
+            >
+              Queues
+            </button>
           </div>
 
-          {view !== "schedule" && (
+          {(view === "week" || view === "month") && (
             <div className="date-navigation">
               <button onClick={() => view === "week" ? navigateWeek("prev") : navigateMonth("prev")}>
                 ←
@@ -772,11 +809,24 @@ export const ScheduleContent = () => {
               </button>
             </div>
           )}
+
+          {view !== "queues" && (
+            <div className="csv-actions">
+              {hasRolePermission("canCreatePosts") && (
+                <button className="csv-btn" onClick={() => setIsImportOpen(true)}>
+                  Import CSV
+                </button>
+              )}
+              <button className="csv-btn" onClick={handleExportCsv} disabled={isExporting}>
+                {isExporting ? "Exporting..." : "Export CSV"}
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
       {/* Approval Filter Tabs - Show when tier has feature or approval posts exist */}
-      {showApprovalFilters && (
+      {showApprovalFilters && view !== "queues" && (
         <div className="approval-filter-tabs">
           <button
             className={`filter-tab ${approvalFilter === 'all' ? 'active' : ''}`}
@@ -824,7 +874,9 @@ export const ScheduleContent = () => {
       )}
 
       <div className="schedule-content">
-        {loading ? (
+        {view === "queues" ? (
+          <QueueManager />
+        ) : loading ? (
           <LoadingContainer message="Loading scheduled posts..." />
         ) : (
           <>
@@ -859,6 +911,13 @@ export const ScheduleContent = () => {
         </div>
       )}
 
+      <CsvImportModal
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        workspaceId={activeWorkspace?.id}
+        onImported={() => invalidatePosts(activeWorkspace?.id)}
+      />
+
       {/* Post Detail Panel */}
       {selectedPost && (
         <PostDetailPanel
@@ -2,17 +2,38 @@ import { useState, useEffect } from "react";
 import { useWorkspace } from "../contexts/WorkspaceContext";
 import { useTheme } from "../contexts/ThemeContext";
 import { TIMEZONES_BY_REGION, getBrowserTimezone } from "../utils/timezones";
+import { ApprovalChainSettings } from "./workspace/ApprovalChainSettings";
+import { ShortLinkSettings } from "./workspace/ShortLinkSettings";
+import { BioPageSettings } from "./workspace/BioPageSettings";
 import "./SettingsContent.css";
 
+const APPROVAL_DEADLINE_OPTIONS = [
+  { value: "", label: "No deadline" },
+  { value: "1", label: "1 hour before" },
+  { value: "4", label: "4 hours before" },
+  { value: "12", label: "12 hours before" },
+  { value: "24", label: "1 day before" },
+  { value: "48", label: "2 days before" },
+  { value: "72", label: "3 days before" }
+];
+
+const APPROVAL_FALLBACK_OPTIONS = [
+  { value: "hold", label: "Hold the post and alert the owner" },
+  { value: "auto_approve", label: "Approve it automatically" },
+  { value: "auto_reschedule", label: "Reschedule it to give approvers more time" }
+];
+
 export const SettingsContent = () => {
-  const { activeWorkspace, updateWorkspace } = useWorkspace();
+  const { activeWorkspace, updateWorkspace, isOwner } = useWorkspace();
   const { isDark, setLightTheme, setDarkTheme } = useTheme();
   const [loading, setLoading] = useState(false);
   const [saveMessage, setSaveMessage] = useState("");
 
   const [settings, setSettings] = useState({
     timezone: "UTC",
-    language: "English"
+    language: "English",
+    approvalDeadlineHours: "",
+    approvalFallback: "hold"
   });
 
   // Load workspace settings
@@ -22,7 +43,11 @@ export const SettingsContent = () => {
         // IMPORTANT: Use WORKSPACE timezone, but preserve existing value if workspace timezone is not set
         // This prevents reverting to UTC after save if there's a timing issue
         timezone: activeWorkspace?.timezone || prevSettings.timezone || "UTC",
-        language: "English"
+        language: "English",
+        approvalDeadlineHours: activeWorkspace?.approval_deadline_hours != null
+          ? String(activeWorkspace.approval_deadline_hours)
+          : "",
+        approvalFallback: activeWorkspace?.approval_fallback || "hold"
       }));
     }
   }, [activeWorkspace]);
@@ -38,7 +63,11 @@ export const SettingsContent = () => {
       // Update workspace settings
       if (activeWorkspace) {
         const { error: workspaceError } = await updateWorkspace(activeWorkspace.id, {
-          timezone: savedTimezone
+          timezone: savedTimezone,
+          approval_deadline_hours: settings.approvalDeadlineHours === ""
+            ? null
+            : Number(settings.approvalDeadlineHours),
+          approval_fallback: settings.approvalFallback
         });
 
         if (workspaceError) {
@@ -160,6 +189,38 @@ export const SettingsContent = () => {
                 <option value="German">German</option>
               </select>
             </div>
+            <div className="form-group">
+              <label className="form-label">Approval Deadline</label>
+              <p className="form-helper-text">
+                How long before the scheduled time posts must be approved. Approvers are reminded a day ahead.
+              </p>
+              <select
+                className="form-select"
+                value={settings.approvalDeadlineHours}
+                onChange={(e) => setSettings({ ...settings, approvalDeadlineHours: e.target.value })}
+              >
+                {APPROVAL_DEADLINE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            {settings.approvalDeadlineHours !== "" && (
+              <div className="form-group">
+                <label className="form-label">When the Deadline Passes</label>
+                <p className="form-helper-text">
+                  What happens to a post that is still awaiting approval at its deadline
+                </p>
+                <select
+                  className="form-select"
+                  value={settings.approvalFallback}
+                  onChange={(e) => setSettings({ ...settings, approvalFallback: e.target.value })}
+                >
+                  {APPROVAL_FALLBACK_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             {saveMessage && (
               <div className={`save-message ${saveMessage.includes('Error') ? 'error' : 'success'}`}>
                 {saveMessage}
@@ -174,6 +235,45 @@ export const SettingsContent = () => {
             </button>
           </div>
         </div>
+
+        {/* Approval Chain Section - owners only */}
+        {isOwner && (
+          <div className="settings-section">
+            <div className="section-header">
+              <h2 className="section-title">Approval Chain</h2>
+              <p className="section-subtitle">Review stages posts must clear before they are scheduled</p>
+            </div>
+            <div className="settings-form">
+              <ApprovalChainSettings />
+            </div>
+          </div>
+        )}
+
+        {/* Short Links Section - owners only */}
+        {isOwner && (
+          <div className="settings-section">
+            <div className="section-header">
+              <h2 className="section-title">Short Links</h2>
+              <p className="section-subtitle">Branded domains, expiry and disabling for trackable links</p>
+            </div>
+            <div className="settings-form">
+              <ShortLinkSettings />
+            </div>
+          </div>
+        )}
+
+        {/* Link in Bio Section - owners only */}
+        {isOwner && (
+          <div className="settings-section">
+            <div className="section-header">
+              <h2 className="section-title">Link in Bio</h2>
+              <p className="section-subtitle">A public, branded page of links for your social bios</p>
+            </div>
+            <div className="settings-form">
+              <BioPageSettings />
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
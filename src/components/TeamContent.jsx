@@ -5,8 +5,9 @@ import { useState, useCallback, memo, lazy, Suspense } from "react";
 import { useQueryClient } from "@tanstack/react-query";
 import { useAuth } from "../contexts/AuthContext";
 import { useWorkspace } from "../contexts/WorkspaceContext";
-import { useTeamMembers, usePendingInvites, useAgencyAccess, useInvalidateQueries } from "../hooks/useQueries";
+import { useTeamMembers, usePendingInvites, useAgencyAccess, useWorkspaceRoles, useInvalidateQueries } from "../hooks/useQueries";
 import { InviteMemberModal } from "./InviteMemberModal";
+import { CustomRolesSection } from "./CustomRolesSection";
 import TeamMemberLimitGate from "./subscription/TeamMemberLimitGate";
 import RoleGuard from "./roles/RoleGuard";
 import { baseURL, normalizeRole } from "../utils/constants";
@@ -31,13 +32,16 @@ const getRoleLabel = (role) => {
   return labels[role] || role;
 };
 
+// Custom role name when the member has one, otherwise the built-in role
+const getMemberRoleLabel = (member) => member.custom_role_name || getRoleLabel(member.role);
+
 const getInitials = (email) => {
   if (!email) return "NA";
   return email.substring(0, 2).toUpperCase();
 };
 
 // Memoized member card — only re-renders when its own data changes
-const MemberCard = memo(({ member, currentUserId, currentUserCanManageTeam, onUpdateRole, onTogglePermission, onRemove, onLeave }) => {
+const MemberCard = memo(({ member, customRoles, currentUserId, currentUserCanManageTeam, onUpdateRole, onTogglePermission, onRemove, onLeave }) => {
   const memberRole = normalizeRole(member.role);
   const isMemberOwner = memberRole === 'owner';
   const isCurrentUser = member.user_id === currentUserId;
@@ -66,7 +70,7 @@ const MemberCard = memo(({ member, currentUserId, currentUserCanManageTeam, onUp
           <>
             {/* Show current user's own role/permissions so they know what they can do */}
             <div className="member-role-tags">
-              <span className="member-role">{getRoleLabel(member.role)}</span>
+              <span className="member-role">{getMemberRoleLabel(member)}</span>
               {member.permissions?.can_final_approval && (
                 <span className="member-role permission-tag final-approver-tag">Final Approver</span>
               )}
@@ -83,7 +87,7 @@ const MemberCard = memo(({ member, currentUserId, currentUserCanManageTeam, onUp
             {/* Read-only role/permission tags — only shown when viewer lacks manage-team permission */}
             {!currentUserCanManageTeam && (
               <div className="member-role-tags">
-                <span className="member-role">{getRoleLabel(member.role)}</span>
+                <span className="member-role">{getMemberRoleLabel(member)}</span>
                 {member.permissions?.can_final_approval && (
                   <span className="member-role permission-tag final-approver-tag">Final Approver</span>
                 )}
@@ -96,11 +100,14 @@ const MemberCard = memo(({ member, currentUserId, currentUserCanManageTeam, onUp
             <div className="member-controls">
               <select
                 className="role-dropdown"
-                value={memberRole}
+                value={member.custom_role_id ? `custom:${member.custom_role_id}` : memberRole}
                 onChange={(e) => onUpdateRole(member.user_id, e.target.value)}
               >
                 <option value="member">Member</option>
                 <option value="viewer">Viewer</option>
+                {customRoles.map(role => (
+                  <option key={role.id} value={`custom:${role.id}`}>{role.name}</option>
+                ))}
               </select>
               <div className="permission-toggles">
                 {memberRole === 'member' && (
@@ -168,7 +175,7 @@ MemberCard.displayName = 'MemberCard';
 export const TeamContent = () => {
   const { user, subscriptionTier } = useAuth();
   const { activeWorkspace, isOwner, canManageTeam } = useWorkspace();
-  const { invalidateTeam } = useInvalidateQueries();
+  const { invalidateTeam, invalidateWorkspaceRoles } = useInvalidateQueries();
   const queryClient = useQueryClient();
 
   // Use React Query for cached data fetching
@@ -184,6 +191,8 @@ export const TeamContent = () => {
     refetch: refetchPendingInvites
   } = usePendingInvites(activeWorkspace?.id, user?.id);
 
+  const { data: customRoles = [] } = useWorkspaceRoles(activeWorkspace?.id);
+
   // Check if user has delegated agency management access
   const { data: agencyAccess } = useAgencyAccess(user?.id);
 
@@ -332,6 +341,11 @@ export const TeamContent = () => {
   }, [activeWorkspace?.id, user?.id, fetchTeamMembers]);
 
   const handleUpdateRole = useCallback(async (memberId, newRole) => {
+    // Custom roles come from the dropdown as "custom:<roleId>"
+    const roleUpdate = newRole.startsWith('custom:')
+      ? { customRoleId: newRole.slice('custom:'.length) }
+      : { role: newRole };
+
     try {
       const response = await fetch(`${baseURL}/api/workspaces/${activeWorkspace.id}/update-member`, {
         method: 'POST',
@@ -340,7 +354,7 @@ export const TeamContent = () => {
         },
         body: JSON.stringify({
           memberId,
-          role: newRole,
+          ...roleUpdate,
           userId: user.id,
         }),
       });
@@ -352,11 +366,12 @@ export const TeamContent = () => {
       }
 
       fetchTeamMembers();
+      invalidateWorkspaceRoles(activeWorkspace.id);
     } catch (error) {
       console.error('Error updating member role:', error);
       alert(error.message || 'Failed to update member role');
     }
-  }, [activeWorkspace?.id, user?.id, fetchTeamMembers]);
+  }, [activeWorkspace?.id, user?.id, fetchTeamMembers, invalidateWorkspaceRoles]);
 
   const handleTogglePermission = useCallback(async (memberId, permName, value) => {
     const permMap = {
@@ -505,6 +520,7 @@ export const TeamContent = () => {
                     <MemberCard
                       key={member.id}
                       member={member}
+                      customRoles={customRoles}
                       currentUserId={user.id}
                       currentUserCanManageTeam={canManageTeam}
                       onUpdateRole={handleUpdateRole}
@@ -518,6 +534,14 @@ export const TeamContent = () => {
             </div>
           </div>
 
+          {/* Custom Roles Section */}
+          <CustomRolesSection
+            workspaceId={activeWorkspace?.id}
+            roles={customRoles}
+            canManage={isOwner || canManageTeam}
+            onRolesChanged={fetchTeamMembers}
+          />
+
           {/* Pending Invitations Section */}
           <div className="team-section">
             <div className="section-header">
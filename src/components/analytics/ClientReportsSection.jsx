@@ -0,0 +1,365 @@
+import { useState } from 'react';
+import { useToast } from '@chakra-ui/react';
+import { useWorkspace } from '../../contexts/WorkspaceContext';
+import { useClientReports, useInvalidateQueries } from '../../hooks/useQueries';
+import { baseURL } from '../../utils/constants';
+import './ClientReportsSection.css';
+
+const DEFAULT_SECTIONS = ['summary', 'top_posts', 'platforms'];
+
+const emptyForm = () => ({
+  name: '',
+  sections: DEFAULT_SECTIONS,
+  frequency: 'monthly',
+  format: 'pdf',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+  agencyName: '',
+  logoUrl: '',
+  primaryColor: '#1a1a2e',
+  accentColor: '#ffc801',
+  recipients: '',
+  isScheduled: false
+});
+
+const toForm = (report) => ({
+  name: report.name,
+  sections: report.sections,
+  frequency: report.frequency,
+  format: report.format,
+  timezone: report.timezone,
+  agencyName: report.agency_name || '',
+  logoUrl: report.logo_url || '',
+  primaryColor: report.primary_color || '#1a1a2e',
+  accentColor: report.accent_color || '#ffc801',
+  recipients: (report.recipients || []).join(', '),
+  isScheduled: report.is_scheduled
+});
+
+const requestJson = async (url, options) => {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' }
+  });
+  const payload = await res.json();
+  if (!res.ok) throw new Error(payload.error || 'Request failed');
+  return payload.data || payload;
+};
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+/**
+ * ClientReportsSection - White-label performance reports for clients.
+ * Each report picks its sections and carries the agency's branding; it can
+ * be downloaded as PDF or HTML, or emailed to client contacts weekly or
+ * monthly. Reports cover the last complete week or month.
+ *
+ * @param {string} workspaceId
+ */
+export const ClientReportsSection = ({ workspaceId }) => {
+  const toast = useToast();
+  const { hasRolePermission } = useWorkspace();
+  const { invalidateClientReports } = useInvalidateQueries();
+  const { data, isLoading, error } = useClientReports(workspaceId);
+
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const canManage = hasRolePermission('canManageSettings');
+  const reports = data?.reports || [];
+  const sectionOptions = data?.sections || [];
+
+  const showError = (title, err) =>
+    toast({ title, description: err.message, status: 'error', duration: 5000, isClosable: true });
+
+  const updateForm = (changes) => setForm((current) => ({ ...current, ...changes }));
+
+  const toggleSection = (key) =>
+    updateForm({
+      sections: form.sections.includes(key)
+        ? form.sections.filter((section) => section !== key)
+        : [...form.sections, key]
+    });
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const handleSave = async () => {
+    setBusy('save');
+    try {
+      await requestJson(`${baseURL}/api/reports`, {
+        method: editingId ? 'PATCH' : 'POST',
+        body: JSON.stringify({ workspaceId, ...(editingId && { reportId: editingId }), ...form })
+      });
+      invalidateClientReports(workspaceId);
+      closeForm();
+      toast({ title: editingId ? 'Report updated' : 'Report created', status: 'success', duration: 3000 });
+    } catch (err) {
+      showError('Could not save report', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDelete = async (report) => {
+    if (!window.confirm(`Delete "${report.name}"? Scheduled emails for it will stop.`)) return;
+
+    setBusy(report.id);
+    try {
+      await requestJson(`${baseURL}/api/reports?workspaceId=${workspaceId}&reportId=${report.id}`, {
+        method: 'DELETE'
+      });
+      invalidateClientReports(workspaceId);
+    } catch (err) {
+      showError('Could not delete report', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDownload = async (report, format) => {
+    setBusy(`${report.id}-${format}`);
+    try {
+      const res = await fetch(
+        `${baseURL}/api/reports/generate?workspaceId=${workspaceId}&reportId=${report.id}&format=${format}`
+      );
+      if (!res.ok) {
+        const payload = await res.json().catch(() => ({}));
+        throw new Error(payload.error || 'Download failed');
+      }
+      const filename = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1];
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || `report.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      showError('Could not generate report', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSendNow = async (report) => {
+    if (!window.confirm(`Email "${report.name}" to ${report.recipients.join(', ')} now?`)) return;
+
+    setBusy(`${report.id}-send`);
+    try {
+      const result = await requestJson(`${baseURL}/api/reports/generate`, {
+        method: 'POST',
+        body: JSON.stringify({ workspaceId, reportId: report.id })
+      });
+      toast({ title: `Report for ${result.period} sent`, status: 'success', duration: 3000 });
+    } catch (err) {
+      showError('Could not send report', err);
+    } finally {
+      invalidateClientReports(workspaceId);
+      setBusy(null);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="chart-card full-width">
+        <div className="no-data">Couldn't load client reports</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="chart-card full-width">
+      <div className="chart-header reports-header">
+        <div>
+          <h3 className="chart-title">Client Reports</h3>
+          <p className="chart-subtitle">Branded PDF or HTML reports for the last complete week or month</p>
+        </div>
+        {canManage && !form && (
+          <button type="button" className="reports-btn primary" onClick={() => setForm(emptyForm())}>
+            New Report
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <div className="reports-form">
+          <div className="reports-form-grid">
+            <label className="reports-field">
+              <span>Report name</span>
+              <input
+                value={form.name}
+                onChange={(e) => updateForm({ name: e.target.value })}
+                placeholder="e.g. Acme monthly performance"
+                maxLength={100}
+              />
+            </label>
+            <label className="reports-field">
+              <span>Agency name</span>
+              <input
+                value={form.agencyName}
+                onChange={(e) => updateForm({ agencyName: e.target.value })}
+                placeholder="Shown in the header and as the email sender"
+                maxLength={100}
+              />
+            </label>
+            <label className="reports-field">
+              <span>Logo URL (PNG or JPEG)</span>
+              <input
+                value={form.logoUrl}
+                onChange={(e) => updateForm({ logoUrl: e.target.value })}
+                placeholder="https://"
+              />
+            </label>
+            <div className="reports-field reports-colors">
+              <label>
+                <span>Header color</span>
+                <input type="color" value={form.primaryColor} onChange={(e) => updateForm({ primaryColor: e.target.value })} />
+              </label>
+              <label>
+                <span>Accent color</span>
+                <input type="color" value={form.accentColor} onChange={(e) => updateForm({ accentColor: e.target.value })} />
+              </label>
+            </div>
+            <label className="reports-field">
+              <span>Covers</span>
+              <select value={form.frequency} onChange={(e) => updateForm({ frequency: e.target.value })}>
+                <option value="monthly">Last calendar month</option>
+                <option value="weekly">Last week (Monday to Sunday)</option>
+              </select>
+            </label>
+            <label className="reports-field">
+              <span>Format</span>
+              <select value={form.format} onChange={(e) => updateForm({ format: e.target.value })}>
+                <option value="pdf">PDF</option>
+                <option value="html">HTML</option>
+              </select>
+            </label>
+          </div>
+
+          <fieldset className="reports-sections">
+            <legend>Sections</legend>
+            {sectionOptions.map(({ key, label }) => (
+              <label key={key} className="reports-checkbox">
+                <input type="checkbox" checked={form.sections.includes(key)} onChange={() => toggleSection(key)} />
+                <span>{label}</span>
+              </label>
+            ))}
+          </fieldset>
+
+          <label className="reports-field">
+            <span>Client contacts (up to {data?.maxRecipients || 10}, separated by commas)</span>
+            <textarea
+              value={form.recipients}
+              onChange={(e) => updateForm({ recipients: e.target.value })}
+              placeholder="client@example.com, marketing@example.com"
+              rows={2}
+            />
+          </label>
+
+          <label className="reports-checkbox">
+            <input
+              type="checkbox"
+              checked={form.isScheduled}
+              onChange={(e) => updateForm({ isScheduled: e.target.checked })}
+            />
+            <span>
+              Email automatically at 9:00 AM ({form.timezone}) {form.frequency === 'weekly' ? 'every Monday' : 'on the 1st of each month'}
+            </span>
+          </label>
+
+          <div className="reports-actions">
+            <button
+              type="button"
+              className="reports-btn primary"
+              onClick={handleSave}
+              disabled={!form.name.trim() || form.sections.length === 0 || busy === 'save'}
+            >
+              {busy === 'save' ? 'Saving...' : editingId ? 'Save Report' : 'Create Report'}
+            </button>
+            <button type="button" className="reports-btn" onClick={closeForm}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="chart-loading">Loading reports...</div>
+      ) : reports.length === 0 ? (
+        !form && <div className="no-data">No client reports yet</div>
+      ) : (
+        <ul className="reports-list">
+          {reports.map((report) => (
+            <li key={report.id} className="reports-item">
+              <div className="reports-item-info">
+                <span className="reports-item-name">{report.name}</span>
+                <span className="reports-item-meta">
+                  {report.frequency === 'weekly' ? 'Weekly' : 'Monthly'} · {report.format.toUpperCase()} ·{' '}
+                  {report.sections.length} section{report.sections.length === 1 ? '' : 's'}
+                  {report.is_scheduled && report.next_run_at && ` · Next email ${formatDateTime(report.next_run_at)}`}
+                  {report.last_sent_at && ` · Last sent ${formatDateTime(report.last_sent_at)}`}
+                </span>
+                {report.last_error && <span className="reports-item-error">Last delivery failed: {report.last_error}</span>}
+              </div>
+              <div className="reports-item-actions">
+                <button
+                  type="button"
+                  className="reports-btn"
+                  onClick={() => handleDownload(report, 'pdf')}
+                  disabled={busy === `${report.id}-pdf`}
+                >
+                  {busy === `${report.id}-pdf` ? 'Building...' : 'PDF'}
+                </button>
+                <button
+                  type="button"
+                  className="reports-btn"
+                  onClick={() => handleDownload(report, 'html')}
+                  disabled={busy === `${report.id}-html`}
+                >
+                  {busy === `${report.id}-html` ? 'Building...' : 'HTML'}
+                </button>
+                {canManage && (
+                  <>
+                    <button
+                      type="button"
+                      className="reports-btn"
+                      onClick={() => handleSendNow(report)}
+                      disabled={report.recipients.length === 0 || busy === `${report.id}-send`}
+                      title={report.recipients.length === 0 ? 'Add client contacts to send this report' : undefined}
+                    >
+                      {busy === `${report.id}-send` ? 'Sending...' : 'Send Now'}
+                    </button>
+                    <button
+                      type="button"
+                      className="reports-btn"
+                      onClick={() => {
+                        setEditingId(report.id);
+                        setForm(toForm(report));
+                      }}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      className="reports-btn danger"
+                      onClick={() => handleDelete(report)}
+                      disabled={busy === report.id}
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ClientReportsSection;
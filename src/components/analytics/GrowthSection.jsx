@@ -0,0 +1,255 @@
+import { useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { FaArrowUp, FaArrowDown } from 'react-icons/fa';
+import { useAnalyticsGrowth, usePostGrowth } from '../../hooks/useQueries';
+import './GrowthSection.css';
+
+const PLATFORM_LABELS = {
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  linkedin: 'LinkedIn',
+  youtube: 'YouTube',
+  tiktok: 'TikTok',
+  twitter: 'X',
+  pinterest: 'Pinterest',
+  threads: 'Threads',
+  bluesky: 'Bluesky'
+};
+
+const PLATFORM_COLORS = {
+  facebook: '#1877F2',
+  instagram: '#E4405F',
+  linkedin: '#0A66C2',
+  youtube: '#FF0000',
+  tiktok: '#25F4EE',
+  twitter: '#000000',
+  pinterest: '#BD081C',
+  threads: '#666666',
+  bluesky: '#1185FE'
+};
+
+const COMPARISON_METRICS = [
+  { key: 'posts', label: 'Posts' },
+  { key: 'engagements', label: 'Engagements' },
+  { key: 'impressions', label: 'Impressions' },
+  { key: 'followersGained', label: 'Followers gained' }
+];
+
+const tooltipStyle = {
+  backgroundColor: '#fff',
+  border: '1px solid #e0e0e0',
+  borderRadius: '8px'
+};
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const formatHours = (hours) => (hours < 48 ? `${Math.round(hours)}h` : `${Math.round(hours / 24)}d`);
+
+const ChangeBadge = ({ value }) => {
+  if (value === null || value === undefined) {
+    return <span className="growth-change neutral">No previous data</span>;
+  }
+  return (
+    <span className={`growth-change ${value >= 0 ? 'positive' : 'negative'}`}>
+      {value >= 0 ? <FaArrowUp /> : <FaArrowDown />}
+      {Math.abs(value)}% vs previous
+    </span>
+  );
+};
+
+/**
+ * Engagement and impressions by hours since posting for one post
+ */
+const PostGrowthCurve = ({ workspaceId, postId }) => {
+  const { data, isLoading } = usePostGrowth(workspaceId, postId);
+  const curve = data?.curve || [];
+
+  if (isLoading) return <div className="chart-loading">Loading curve...</div>;
+  if (curve.length < 2) {
+    return <div className="no-data">Not enough snapshots yet to draw this post's curve</div>;
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={220}>
+      <LineChart data={curve}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+        <XAxis dataKey="hours" type="number" domain={[0, 'dataMax']} tickFormatter={formatHours} tick={{ fontSize: 12 }} />
+        <YAxis yAxisId="engagements" allowDecimals={false} tick={{ fontSize: 12 }} />
+        <YAxis yAxisId="impressions" orientation="right" allowDecimals={false} tick={{ fontSize: 12 }} />
+        <Tooltip contentStyle={tooltipStyle} labelFormatter={(hours) => `${formatHours(hours)} after posting`} />
+        <Legend />
+        <Line yAxisId="engagements" type="monotone" dataKey="engagements" stroke="#7c3aed" dot={false} name="Engagements" />
+        <Line yAxisId="impressions" type="monotone" dataKey="impressions" stroke="#afabf9" dot={false} name="Impressions" />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+};
+
+/**
+ * GrowthSection - Charts from the hourly analytics snapshots: this period
+ * against the one before, follower growth per account, and how much of a
+ * post's engagement came in its first 48 hours.
+ *
+ * @param {string} workspaceId
+ * @param {number} days - 7, 30 or 90
+ */
+export const GrowthSection = ({ workspaceId, days = 30 }) => {
+  const { data, isLoading, error } = useAnalyticsGrowth(workspaceId, days);
+  const [selectedPostId, setSelectedPostId] = useState(null);
+
+  const comparison = data?.comparison;
+  const followerPlatforms = (data?.followers?.platforms || []).filter(platform => platform.end !== null);
+  const followerDaily = (data?.followers?.daily || []).map(day => ({ ...day, label: formatDay(day.date) }));
+  const hasFollowers = followerPlatforms.length > 0;
+  const firstWindowPosts = data?.firstWindow?.posts || [];
+  const selectedPost = firstWindowPosts.find(post => post.postId === selectedPostId) || firstWindowPosts[0];
+
+  if (error) {
+    return (
+      <div className="chart-card full-width">
+        <div className="no-data">Couldn't load growth analytics</div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="chart-card full-width">
+        <div className="chart-header">
+          <h3 className="chart-title">This Period vs Previous</h3>
+          <p className="chart-subtitle">Last {days} days against the {days} days before</p>
+        </div>
+        <div className="growth-comparison">
+          {COMPARISON_METRICS.map(({ key, label }) => (
+            <div key={key} className="growth-comparison-item">
+              <span className="growth-comparison-label">{label}</span>
+              <span className="growth-comparison-value">
+                {isLoading ? '—' : (comparison?.current[key] ?? 0).toLocaleString()}
+              </span>
+              {!isLoading && (
+                <>
+                  <ChangeBadge value={comparison?.change[key]} />
+                  <span className="growth-comparison-previous">
+                    Previous: {(comparison?.previous[key] ?? 0).toLocaleString()}
+                  </span>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="chart-card full-width">
+        <div className="chart-header">
+          <h3 className="chart-title">Follower Growth</h3>
+          <p className="chart-subtitle">Followers per connected account, captured daily</p>
+        </div>
+        <div className="chart-container">
+          {isLoading ? (
+            <div className="chart-loading">Loading chart...</div>
+          ) : hasFollowers ? (
+            <>
+              <ResponsiveContainer width="100%" height={260}>
+                <LineChart data={followerDaily}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                  <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                  <YAxis allowDecimals={false} tick={{ fontSize: 12 }} domain={['auto', 'auto']} />
+                  <Tooltip contentStyle={tooltipStyle} />
+                  <Legend />
+                  {followerPlatforms.map(({ platform }) => (
+                    <Line
+                      key={platform}
+                      type="monotone"
+                      dataKey={platform}
+                      stroke={PLATFORM_COLORS[platform] || '#666'}
+                      dot={false}
+                      connectNulls
+                      name={PLATFORM_LABELS[platform] || platform}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+              <ul className="growth-follower-list">
+                {followerPlatforms.map(platform => (
+                  <li key={platform.platform} className="growth-follower-item">
+                    <span className="growth-follower-name">{PLATFORM_LABELS[platform.platform] || platform.platform}</span>
+                    <span className="growth-follower-count">{platform.end.toLocaleString()}</span>
+                    <span className={`growth-change ${platform.change >= 0 ? 'positive' : 'negative'}`}>
+                      {platform.change >= 0 ? '+' : ''}{platform.change.toLocaleString()}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          ) : (
+            <div className="no-data">Follower history starts building once a day's counts are captured</div>
+          )}
+        </div>
+      </div>
+
+      <div className="chart-card full-width">
+        <div className="chart-header">
+          <h3 className="chart-title">First 48 Hours vs Lifetime</h3>
+          <p className="chart-subtitle">
+            {data?.firstWindow?.avgFirst48hShare != null
+              ? `On average, ${data.firstWindow.avgFirst48hShare}% of a top post's engagement came in its first 48 hours`
+              : 'How much of each top post\'s engagement came in its first 48 hours'}
+          </p>
+        </div>
+        {isLoading ? (
+          <div className="chart-loading">Loading...</div>
+        ) : firstWindowPosts.length > 0 ? (
+          <div className="growth-window">
+            <table className="growth-window-table">
+              <thead>
+                <tr>
+                  <th>Post</th>
+                  <th>First 48h</th>
+                  <th>Lifetime</th>
+                  <th>Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {firstWindowPosts.map(post => (
+                  <tr
+                    key={post.postId}
+                    className={post.postId === selectedPost?.postId ? 'selected' : ''}
+                    onClick={() => setSelectedPostId(post.postId)}
+                  >
+                    <td className="growth-window-caption">{post.caption || 'Untitled post'}</td>
+                    <td>{post.first48h ? post.first48h.engagements.toLocaleString() : '—'}</td>
+                    <td>{post.lifetime.engagements.toLocaleString()}</td>
+                    <td>
+                      {post.first48hShare === null ? '—' : `${post.first48hShare}%`}
+                      {!post.complete && <span className="growth-window-open"> (in progress)</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {selectedPost && (
+              <div className="growth-window-curve">
+                <h4 className="growth-window-curve-title">Growth curve: {selectedPost.caption || 'Untitled post'}</h4>
+                <PostGrowthCurve workspaceId={workspaceId} postId={selectedPost.postId} />
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="no-data">No snapshots for this period's posts yet</div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default GrowthSection;
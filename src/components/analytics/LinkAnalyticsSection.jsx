@@ -0,0 +1,230 @@
+import {
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { useLinkAnalytics } from '../../hooks/useQueries';
+import './LinkAnalyticsSection.css';
+
+const PLATFORM_LABELS = {
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  linkedin: 'LinkedIn',
+  youtube: 'YouTube',
+  tiktok: 'TikTok',
+  twitter: 'X',
+  pinterest: 'Pinterest',
+  threads: 'Threads',
+  bluesky: 'Bluesky',
+  googleBusiness: 'Google Business',
+  other: 'Other'
+};
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Ranked list of click counts with a bar relative to the top entry.
+ * Rows are { name, clicks } with an optional display label.
+ */
+const BreakdownList = ({ title, rows, format = (name) => name, emptyText }) => {
+  const max = rows[0]?.clicks || 0;
+
+  return (
+    <div className="link-breakdown">
+      <h4 className="link-breakdown-title">{title}</h4>
+      {rows.length > 0 ? (
+        <ul className="link-breakdown-list">
+          {rows.slice(0, 6).map(row => (
+            <li key={row.name} className="link-breakdown-row">
+              <span className="link-breakdown-name">{row.label ?? format(row.name)}</span>
+              <span className="link-breakdown-bar">
+                <span style={{ width: `${max ? (row.clicks / max) * 100 : 0}%` }} />
+              </span>
+              <span className="link-breakdown-count">{row.clicks}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="link-breakdown-empty">{emptyText}</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * LinkAnalyticsSection - Short link clicks over time, by post, platform,
+ * referrer and device. Bot and link-preview traffic is left out.
+ *
+ * @param {string} workspaceId
+ * @param {number} days - 7, 30 or 90
+ */
+export const LinkAnalyticsSection = ({ workspaceId, days = 30 }) => {
+  const { data, isLoading, error } = useLinkAnalytics(workspaceId, days);
+
+  const totals = data?.totals || { clicks: 0, uniqueVisitors: 0, botClicks: 0 };
+  const daily = (data?.daily || []).map(day => ({ ...day, label: formatDay(day.date) }));
+  const topLinks = (data?.links || [])
+    .filter(link => link.periodClicks > 0)
+    .sort((a, b) => b.periodClicks - a.periodClicks)
+    .slice(0, 10);
+
+  return (
+    <>
+      <div className="chart-card full-width">
+        <div className="chart-header">
+          <h3 className="chart-title">Link Clicks</h3>
+          <p className="chart-subtitle">
+            Clicks on short links shared in your posts, not counting bots and link previews
+          </p>
+        </div>
+
+        {error ? (
+          <div className="no-data">Couldn't load link analytics</div>
+        ) : (
+          <>
+            <div className="link-analytics-totals">
+              <div className="link-analytics-total">
+                <span className="link-analytics-total-value">{totals.clicks.toLocaleString()}</span>
+                <span className="link-analytics-total-label">Clicks</span>
+              </div>
+              <div className="link-analytics-total">
+                <span className="link-analytics-total-value">{totals.uniqueVisitors.toLocaleString()}</span>
+                <span className="link-analytics-total-label">Unique visitors</span>
+              </div>
+              <div className="link-analytics-total">
+                <span className="link-analytics-total-value">{totals.botClicks.toLocaleString()}</span>
+                <span className="link-analytics-total-label">Bot visits filtered</span>
+              </div>
+            </div>
+
+            <div className="chart-container">
+              {isLoading ? (
+                <div className="chart-loading">Loading chart...</div>
+              ) : totals.clicks > 0 ? (
+                <ResponsiveContainer width="100%" height={240}>
+                  <AreaChart data={daily}>
+                    <defs>
+                      <linearGradient id="colorLinkClicks" x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="5%" stopColor="#7c3aed" stopOpacity={0.6} />
+                        <stop offset="95%" stopColor="#7c3aed" stopOpacity={0} />
+                      </linearGradient>
+                    </defs>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                    <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                    <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                    <Tooltip
+                      contentStyle={{
+                        backgroundColor: "#fff",
+                        border: "1px solid #e0e0e0",
+                        borderRadius: "8px"
+                      }}
+                    />
+                    <Area
+                      type="monotone"
+                      dataKey="clicks"
+                      stroke="#7c3aed"
+                      fillOpacity={1}
+                      fill="url(#colorLinkClicks)"
+                      name="Clicks"
+                    />
+                  </AreaChart>
+                </ResponsiveContainer>
+              ) : (
+                <div className="no-data">No link clicks in this period</div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {!error && !isLoading && totals.clicks > 0 && (
+        <>
+          <div className="chart-card">
+            <div className="chart-header">
+              <h3 className="chart-title">Clicks by Post</h3>
+              <p className="chart-subtitle">Which posts sent the traffic</p>
+            </div>
+            <BreakdownList
+              title="Post"
+              rows={(data.byPost || []).map(post => ({
+                name: post.postId,
+                label: post.caption ? post.caption.slice(0, 80) : 'Untitled post',
+                clicks: post.clicks
+              }))}
+              emptyText="None of these links are in a post yet"
+            />
+          </div>
+
+          <div className="chart-card">
+            <div className="chart-header">
+              <h3 className="chart-title">Where Clicks Came From</h3>
+              <p className="chart-subtitle">By platform and referring site</p>
+            </div>
+            <div className="link-breakdown-grid">
+              <BreakdownList
+                title="Platform"
+                rows={data.byPlatform || []}
+                format={(name) => PLATFORM_LABELS[name] || name}
+                emptyText="No platform data"
+              />
+              <BreakdownList
+                title="Referrer"
+                rows={data.byReferrer || []}
+                format={(name) => (name === 'direct' ? 'Direct / app' : name)}
+                emptyText="No referrer data"
+              />
+            </div>
+          </div>
+
+          <div className="chart-card">
+            <div className="chart-header">
+              <h3 className="chart-title">Devices</h3>
+              <p className="chart-subtitle">What people clicked from</p>
+            </div>
+            <div className="link-breakdown-grid">
+              <BreakdownList
+                title="Device"
+                rows={data.byDevice || []}
+                format={(name) => name.charAt(0).toUpperCase() + name.slice(1)}
+                emptyText="No device data"
+              />
+              <BreakdownList title="OS" rows={data.byOs || []} emptyText="No OS data" />
+            </div>
+          </div>
+
+          <div className="chart-card">
+            <div className="chart-header">
+              <h3 className="chart-title">Top Links</h3>
+              <p className="chart-subtitle">Most clicked in this period</p>
+            </div>
+            <ul className="link-analytics-links">
+              {topLinks.map(link => (
+                <li key={link.id} className="link-analytics-link">
+                  <div className="link-analytics-link-info">
+                    <span className="link-analytics-link-code">{link.shortLink.replace(/^https?:\/\//, '')}</span>
+                    <span className="link-analytics-link-url" title={link.original_url}>
+                      {link.original_url}
+                    </span>
+                  </div>
+                  <span className="link-analytics-link-clicks">{link.periodClicks}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      )}
+      {!error && !isLoading && data?.truncated && (
+        <p className="link-analytics-note">
+          Showing the most recent 50,000 clicks for this period.
+        </p>
+      )}
+    </>
+  );
+};
+
+export default LinkAnalyticsSection;
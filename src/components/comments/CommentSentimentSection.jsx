@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react';
+import { baseURL } from '../../utils/constants';
+import { SENTIMENT_LABELS, INTENT_LABELS } from '../../utils/commentSentiment';
+
+/**
+ * CommentSentimentSection - Sentiment and intent breakdown of a post's comments
+ *
+ * @param {string} postId - Ayrshare post ID
+ * @param {string} workspaceId - Workspace ID
+ */
+export const CommentSentimentSection = ({ postId, workspaceId }) => {
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    if (!postId || !workspaceId) return;
+    let cancelled = false;
+
+    const fetchSummary = async () => {
+      try {
+        const response = await fetch(
+          `${baseURL}/api/comments/${postId}?workspaceId=${workspaceId}`
+        );
+        const data = await response.json();
+        if (!response.ok) return;
+        const result = data.data || data;
+        if (!cancelled) setSummary(result.sentimentSummary || null);
+      } catch (err) {
+        console.error('Error fetching comment sentiment:', err);
+      }
+    };
+
+    fetchSummary();
+    return () => { cancelled = true; };
+  }, [postId, workspaceId]);
+
+  if (!summary || summary.total === 0) return null;
+
+  const topIntents = Object.entries(summary.intent)
+    .filter(([intent, count]) => intent !== 'other' && count > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3);
+  const negativeCount = summary.sentiment.negative || 0;
+
+  return (
+    <div className="detail-section comment-sentiment-section">
+      <label>Comment Sentiment</label>
+      <div className="sentiment-bar">
+        {Object.keys(SENTIMENT_LABELS).map(sentiment => summary.sentiment[sentiment] > 0 && (
+          <div
+            key={sentiment}
+            className={`sentiment-bar-segment ${sentiment}`}
+            style={{ width: `${(summary.sentiment[sentiment] / summary.total) * 100}%` }}
+            title={`${SENTIMENT_LABELS[sentiment]}: ${summary.sentiment[sentiment]}`}
+          />
+        ))}
+      </div>
+      <div className="sentiment-legend">
+        {Object.entries(SENTIMENT_LABELS).map(([sentiment, label]) => (
+          <span key={sentiment} className={`sentiment-legend-item ${sentiment}`}>
+            {label} {summary.sentiment[sentiment] || 0}
+          </span>
+        ))}
+      </div>
+      {topIntents.length > 0 && (
+        <p className="sentiment-intents">
+          {topIntents.map(([intent, count]) => `${INTENT_LABELS[intent]} (${count})`).join(' · ')}
+        </p>
+      )}
+      {negativeCount > 0 && (
+        <p className="sentiment-negative-note">
+          {negativeCount} negative {negativeCount === 1 ? 'comment needs' : 'comments need'} attention in the inbox.
+        </p>
+      )}
+    </div>
+  );
+};
@@ -5,6 +5,8 @@ import { useToast } from '@chakra-ui/react';
 import { CommentThread } from './CommentThread';
 import { CommentInput } from './CommentInput';
 import { AnalyticsSection } from '../analytics/AnalyticsSection';
+import { CommentSentimentSection } from './CommentSentimentSection';
+import { PostRevisionsSection } from './PostRevisionsSection';
 import { useWorkspace } from '../../contexts/WorkspaceContext';
 import { DeleteConfirmationModal } from '../modals/DeleteConfirmationModal';
 import { useInvalidateQueries } from '../../hooks/useQueries';
@@ -51,7 +53,7 @@ export const PostDetailPanel = ({
   currentIndex = 0,
   onNavigatePost
 }) => {
-  const { workspaceMembership, activeWorkspace, canApprove, hasFinalApproval } = useWorkspace();
+  const { workspaceMembership, activeWorkspace, canApprove, hasFinalApproval, canEditPost } = useWorkspace();
   const { invalidatePosts } = useInvalidateQueries();
   const toast = useToast();
   const commentInputRef = useRef(null);
@@ -81,6 +83,19 @@ export const PostDetailPanel = ({
     return () => document.removeEventListener('keydown', handleKeyDown);
   }, [onClose, onNavigatePost, dayPosts.length, currentIndex]);
 
+  const getFirstCommentStatus = () => {
+    switch (post.first_comment_status) {
+      case 'posted':
+        return `Posted ${formatDate(post.first_comment_at)}`;
+      case 'failed':
+        return `Failed: ${post.first_comment_error || 'Unknown error'}`;
+      case 'posting':
+        return 'Posting...';
+      default:
+        return post.status === 'posted' ? 'Not posted' : 'Will be posted right after the post is published';
+    }
+  };
+
   const formatDate = (dateStr) => {
     if (!dateStr) return 'N/A';
     const date = new Date(dateStr);
@@ -285,6 +300,17 @@ export const PostDetailPanel = ({
           <div className="post-caption">{post.caption || post.post || 'No caption'}</div>
         </div>
 
+        {/* First comment (posted after publishing) */}
+        {post.post_settings?.firstComment && (
+          <div className="detail-section">
+            <label>First Comment</label>
+            <div className="post-caption">{post.post_settings.firstComment}</div>
+            <p className={`first-comment-status first-comment-status--${post.first_comment_status || 'waiting'}`}>
+              {getFirstCommentStatus()}
+            </p>
+          </div>
+        )}
+
         {/* Media */}
         {(post.media_urls?.length > 0 || post.media_url) && (
           <div className="detail-section">
@@ -329,6 +355,22 @@ export const PostDetailPanel = ({
           />
         )}
 
+        {post.status === 'posted' && post.ayr_post_id && post.workspace_id && (
+          <CommentSentimentSection
+            postId={post.ayr_post_id}
+            workspaceId={post.workspace_id}
+          />
+        )}
+
+        {post.status !== 'draft' && post.id && post.workspace_id && (
+          <PostRevisionsSection
+            postId={post.id}
+            workspaceId={post.workspace_id}
+            canRestore={['scheduled', 'pending_approval', 'failed'].includes(post.status) && canEditPost(post.created_by)}
+            onRestored={onClose}
+          />
+        )}
+
         {/* Schedule Date */}
         {(post.scheduled_at || post.schedule_date) && (
           <div className="detail-section">
@@ -0,0 +1,206 @@
+import { useState } from 'react';
+import { useToast } from '@chakra-ui/react';
+import { usePostRevisions, useInvalidateQueries } from '../../hooks/useQueries';
+import { diffWords, diffList, getRevisionChanges } from '../../utils/revisionDiff';
+import { baseURL } from '../../utils/constants';
+import './PostRevisionsSection.css';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : 'Not scheduled');
+
+const isVideo = (url) => /\.(mp4|mov|webm|avi)(\?|$)/i.test(url || '');
+
+/**
+ * RevisionDiff - Side-by-side caption and media diff between two revisions
+ */
+const RevisionDiff = ({ from, to, fromLabel, toLabel }) => {
+  const changes = getRevisionChanges(from, to);
+  const segments = diffWords(from.caption, to.caption);
+  const media = diffList(from.media_urls, to.media_urls);
+  const platforms = diffList(from.platforms, to.platforms);
+
+  const renderMedia = (url, type) => (
+    <div key={url} className={`revision-media-item ${type}`} title={type === 'same' ? url : `${type}: ${url}`}>
+      {isVideo(url) ? <video src={url} muted /> : <img src={url} alt="" />}
+    </div>
+  );
+
+  return (
+    <div className="revision-diff">
+      <div className="revision-diff-columns">
+        <div className="revision-diff-column">
+          <div className="revision-diff-heading">{fromLabel}</div>
+          <p className="revision-diff-caption">
+            {segments.filter(s => s.type !== 'added').map((segment, i) => (
+              <span key={i} className={`diff-${segment.type}`}>{segment.text}</span>
+            ))}
+          </p>
+          {changes.media && (
+            <div className="revision-media">
+              {(from.media_urls || []).map(url => renderMedia(url, media.removed.includes(url) ? 'removed' : 'same'))}
+            </div>
+          )}
+        </div>
+        <div className="revision-diff-column">
+          <div className="revision-diff-heading">{toLabel}</div>
+          <p className="revision-diff-caption">
+            {segments.filter(s => s.type !== 'removed').map((segment, i) => (
+              <span key={i} className={`diff-${segment.type}`}>{segment.text}</span>
+            ))}
+          </p>
+          {changes.media && (
+            <div className="revision-media">
+              {(to.media_urls || []).map(url => renderMedia(url, media.added.includes(url) ? 'added' : 'same'))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {(changes.platforms || changes.schedule || changes.settings) && (
+        <ul className="revision-other-changes">
+          {changes.platforms && (
+            <li>
+              Platforms:
+              {platforms.added.map(p => <span key={p} className="diff-added"> +{p}</span>)}
+              {platforms.removed.map(p => <span key={p} className="diff-removed"> −{p}</span>)}
+            </li>
+          )}
+          {changes.schedule && (
+            <li>Schedule: {formatTime(from.scheduled_at)} → {formatTime(to.scheduled_at)}</li>
+          )}
+          {changes.settings && <li>Post settings changed</li>}
+        </ul>
+      )}
+
+      {!Object.values(changes).some(Boolean) && (
+        <p className="revision-no-changes">No differences</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * PostRevisionsSection - A post's revision history with diffs and restore
+ *
+ * @param {string} postId - Post ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {boolean} canRestore - Whether the user can restore revisions
+ * @param {function} onRestored - Called with the restored post
+ * @param {boolean} sinceApprovalOnly - Only show what changed since the last approval (client view)
+ */
+export const PostRevisionsSection = ({ postId, workspaceId, canRestore = false, onRestored, sinceApprovalOnly = false }) => {
+  const toast = useToast();
+  const { invalidatePosts, invalidatePostRevisions } = useInvalidateQueries();
+  const { data } = usePostRevisions(workspaceId, postId);
+  const [selectedId, setSelectedId] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const revisions = data?.revisions || [];
+  const latest = revisions[0];
+  const lastApproved = revisions.find(r => r.id === data?.lastApprovedRevisionId);
+  const changedSinceApproval = latest && lastApproved && latest.id !== lastApproved.id;
+
+  if (sinceApprovalOnly) {
+    if (!changedSinceApproval) return null;
+    return (
+      <div className="detail-section post-revisions-section">
+        <label>Changes since you last approved</label>
+        <RevisionDiff
+          from={lastApproved}
+          to={latest}
+          fromLabel={`Approved ${formatTime(lastApproved.approved_at)}`}
+          toLabel="Current version"
+        />
+      </div>
+    );
+  }
+
+  if (revisions.length < 2) return null;
+
+  const selectedIndex = revisions.findIndex(r => r.id === selectedId);
+  const selected = revisions[selectedIndex];
+  const previous = revisions[selectedIndex + 1];
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore revision ${revision.revision_number}? The current version stays in the history.`)) return;
+
+    setRestoringId(revision.id);
+    try {
+      const response = await fetch(`${baseURL}/api/post/revisions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workspaceId, postId, revisionId: revision.id })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to restore revision');
+      }
+
+      const restored = result.data || result;
+      toast({ title: restored.message, status: 'success', duration: 3000, isClosable: true });
+      setSelectedId(null);
+      invalidatePostRevisions(postId);
+      invalidatePosts(workspaceId);
+      onRestored?.(restored.post);
+    } catch (error) {
+      toast({ title: 'Restore failed', description: error.message, status: 'error', duration: 4000, isClosable: true });
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="detail-section post-revisions-section">
+      <label>Revision History ({revisions.length})</label>
+
+      {changedSinceApproval && !selected && (
+        <RevisionDiff
+          from={lastApproved}
+          to={latest}
+          fromLabel={`Last approved (revision ${lastApproved.revision_number})`}
+          toLabel="Current version"
+        />
+      )}
+
+      <ul className="revision-list">
+        {revisions.map(revision => (
+          <li key={revision.id} className={`revision-item ${revision.id === selectedId ? 'selected' : ''}`}>
+            <div className="revision-meta">
+              <span className="revision-number">Revision {revision.revision_number}</span>
+              <span className="revision-author">{revision.author_name} · {formatTime(revision.created_at)}</span>
+              {revision.id === latest.id && <span className="revision-badge current">Current</span>}
+              {revision.approved_at && <span className="revision-badge approved">Approved</span>}
+              {revision.restored_from && <span className="revision-badge">Restored</span>}
+            </div>
+            <div className="revision-actions">
+              {revision.revision_number > 1 && (
+                <button
+                  className="revision-btn"
+                  onClick={() => setSelectedId(revision.id === selectedId ? null : revision.id)}
+                >
+                  {revision.id === selectedId ? 'Hide changes' : 'Changes'}
+                </button>
+              )}
+              {canRestore && revision.id !== latest.id && (
+                <button
+                  className="revision-btn restore"
+                  onClick={() => handleRestore(revision)}
+                  disabled={restoringId !== null}
+                >
+                  {restoringId === revision.id ? 'Restoring...' : 'Restore'}
+                </button>
+              )}
+            </div>
+            {revision.id === selectedId && previous && (
+              <RevisionDiff
+                from={previous}
+                to={selected}
+                fromLabel={`Revision ${previous.revision_number}`}
+                toLabel={`Revision ${selected.revision_number}`}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import './CaptionVariants.css';
+
+/**
+ * CaptionVariants Component
+ *
+ * Lets a post carry its own caption for individual networks (a shorter X
+ * version, a hashtag-heavy Instagram version, ...). Networks without a
+ * variant use the main caption. Variants are saved in
+ * postSettings.captionVariants and sent to Ayrshare per platform.
+ */
+export const CaptionVariants = ({
+  networks = [],
+  text = '',
+  variants = {},
+  onChange
+}) => {
+  const [activePlatform, setActivePlatform] = useState(null);
+
+  if (networks.length < 2 && !networks.some(n => variants[n.name])) {
+    return null;
+  }
+
+  const active = networks.find(n => n.name === activePlatform);
+
+  const updateVariant = (platform, value) => {
+    const next = { ...variants };
+    if (value === null) {
+      delete next[platform];
+    } else {
+      next[platform] = value;
+    }
+    onChange?.(next);
+  };
+
+  const handleSelect = (platform) => {
+    if (platform === activePlatform) {
+      setActivePlatform(null);
+      return;
+    }
+    // Start a new variant from the main caption
+    if (variants[platform] === undefined) {
+      updateVariant(platform, text);
+    }
+    setActivePlatform(platform);
+  };
+
+  return (
+    <div className="caption-variants">
+      <div className="caption-variants-header">
+        <span className="caption-variants-label">Customize per network</span>
+        <div className="caption-variants-chips">
+          {networks.map(network => {
+            const Icon = network.icon;
+            const isCustom = variants[network.name] !== undefined && variants[network.name] !== text;
+            return (
+              <button
+                key={network.name}
+                type="button"
+                className={`caption-variant-chip${activePlatform === network.name ? ' active' : ''}${isCustom ? ' custom' : ''}`}
+                onClick={() => handleSelect(network.name)}
+                title={isCustom ? `${network.displayName} has its own caption` : `Write a ${network.displayName} caption`}
+              >
+                <Icon size={12} />
+                <span>{network.displayName}</span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {active && (
+        <div className="caption-variant-editor">
+          <textarea
+            value={variants[active.name] ?? text}
+            onChange={(e) => updateVariant(active.name, e.target.value)}
+            placeholder={`${active.displayName} caption`}
+            className="caption-variant-textarea"
+          />
+          <div className="caption-variant-footer">
+            <span className="caption-variant-count">
+              {(variants[active.name] ?? text).length} characters
+            </span>
+            <button
+              type="button"
+              className="caption-variant-reset"
+              onClick={() => {
+                updateVariant(active.name, null);
+                setActivePlatform(null);
+              }}
+            >
+              Use main caption
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaptionVariants;
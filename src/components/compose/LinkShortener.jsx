@@ -1,18 +1,46 @@
 import { useState } from "react";
 import { useToast } from "@chakra-ui/react";
 import { baseURL } from "../../utils/constants";
+import { useLinkDomains, useInvalidateQueries } from "../../hooks/useQueries";
+import { UTM_FIELDS, buildUtmUrl, getUtmPlatform } from "../../utils/utm";
+import "./LinkShortener.css";
+
+const EMPTY_UTM = Object.fromEntries(UTM_FIELDS.map(({ key }) => [key, ""]));
 
 /**
- * LinkShortener - Component for shortening and tracking links
+ * LinkShortener - Component for shortening and tracking links, with
+ * optional UTM parameters added before shortening, a custom slug, the
+ * workspace's branded domain and an expiry date
  */
 export const LinkShortener = ({ userId, workspaceId, onInsertLink }) => {
   const [urlToShorten, setUrlToShorten] = useState("");
   const [shortenedLink, setShortenedLink] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [showUtm, setShowUtm] = useState(false);
+  const [utmParams, setUtmParams] = useState(EMPTY_UTM);
+  const [slug, setSlug] = useState("");
+  const [domainId, setDomainId] = useState("");
+  const [expiresOn, setExpiresOn] = useState("");
   const toast = useToast();
+  const { invalidateShortLinks } = useInvalidateQueries();
+
+  const { data: domains = [] } = useLinkDomains(workspaceId);
+  const verifiedDomains = domains.filter(domain => domain.status === "verified");
+
+  const taggedUrl = showUtm ? buildUtmUrl(urlToShorten, utmParams) : urlToShorten;
 
   const handleShortenLink = async () => {
     if (!urlToShorten || !userId) return;
+    if (!taggedUrl) {
+      toast({
+        title: "Enter a full URL",
+        description: "Include https:// so UTM parameters can be added",
+        status: "warning",
+        duration: 3000,
+        isClosable: true
+      });
+      return;
+    }
 
     setIsLoading(true);
     try {
@@ -20,9 +48,15 @@ export const LinkShortener = ({ userId, workspaceId, onInsertLink }) => {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
-          url: urlToShorten,
+          url: taggedUrl,
           userId,
-          workspaceId
+          workspaceId,
+          // Clicks on a link made for one platform are credited to it
+          platform: showUtm ? getUtmPlatform(utmParams) : null,
+          slug: slug.trim() || null,
+          domainId: domainId || null,
+          // Links stop working at the end of the chosen day
+          expiresAt: expiresOn ? new Date(`${expiresOn}T23:59:59`).toISOString() : null
         })
       });
 
@@ -33,6 +67,8 @@ export const LinkShortener = ({ userId, workspaceId, onInsertLink }) => {
       }
 
       setShortenedLink(data);
+      setSlug("");
+      invalidateShortLinks(workspaceId);
       toast({
         title: "Link shortened",
         description: "Your trackable link is ready to use",
@@ -99,6 +135,72 @@ export const LinkShortener = ({ userId, workspaceId, onInsertLink }) => {
         </button>
       </div>
 
+      <div className="link-shortener-options">
+        {verifiedDomains.length > 0 && (
+          <select
+            value={domainId}
+            onChange={(e) => setDomainId(e.target.value)}
+            className="link-shortener-input"
+            aria-label="Domain"
+          >
+            <option value="">Default domain</option>
+            {verifiedDomains.map(domain => (
+              <option key={domain.id} value={domain.id}>{domain.domain}</option>
+            ))}
+          </select>
+        )}
+        <input
+          type="text"
+          value={slug}
+          onChange={(e) => setSlug(e.target.value)}
+          placeholder="Custom slug (optional)"
+          className="link-shortener-input"
+          maxLength={50}
+        />
+        <label className="link-shortener-expiry">
+          <span>Expires</span>
+          <input
+            type="date"
+            value={expiresOn}
+            min={new Date().toISOString().slice(0, 10)}
+            onChange={(e) => setExpiresOn(e.target.value)}
+            className="link-shortener-input"
+          />
+        </label>
+      </div>
+
+      <button
+        type="button"
+        onClick={() => setShowUtm(prev => !prev)}
+        className="link-shortener-utm-toggle"
+      >
+        {showUtm ? "− Remove UTM parameters" : "+ Add UTM parameters"}
+      </button>
+
+      {showUtm && (
+        <div className="link-shortener-utm">
+          <div className="link-shortener-utm-grid">
+            {UTM_FIELDS.map(({ key, label, placeholder }) => (
+              <label key={key} className="link-shortener-utm-field">
+                <span>{label}</span>
+                <input
+                  type="text"
+                  value={utmParams[key]}
+                  onChange={(e) => setUtmParams(prev => ({ ...prev, [key]: e.target.value }))}
+                  placeholder={placeholder}
+                  className="link-shortener-input"
+                />
+              </label>
+            ))}
+          </div>
+          {urlToShorten && (
+            <p className="link-shortener-utm-preview">
+              {taggedUrl || "Enter a full URL, starting with https://"}
+            </p>
+          )}
+        </div>
+      )}
+
       {shortenedLink && (
         <div className="link-shortener-result">
           <div className="link-shortener-result-row">
@@ -118,7 +220,7 @@ export const LinkShortener = ({ userId, workspaceId, onInsertLink }) => {
             )}
           </div>
           <p className="link-shortener-info">
-            This link is trackable. View analytics in the Posts tab after using it.
+            This link is trackable. Clicks show up in Analytics once it's in a post.
           </p>
         </div>
       )}
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { FaListUl, FaInstagram, FaChevronDown, FaChevronUp, FaCog } from 'react-icons/fa';
+import { FaListUl, FaInstagram, FaChevronDown, FaChevronUp, FaCog, FaCommentDots, FaTags } from 'react-icons/fa';
 import './PostSettings.css';
 
 /**
@@ -9,6 +9,7 @@ import './PostSettings.css';
  * - Auto-shorten links (Ayrshare feature)
  * - Thread posts for Twitter/X
  * - Instagram post type selector (Story/Reel/Feed)
+ * - First comment for Instagram/LinkedIn, posted once the post is live
  */
 export const PostSettings = ({
   selectedPlatforms = [],
@@ -25,6 +26,7 @@ export const PostSettings = ({
     ['twitter', 'x', 'x/twitter'].includes(p)
   );
   const hasInstagram = normalizedPlatforms.includes('instagram');
+  const hasLinkedIn = normalizedPlatforms.includes('linkedin');
 
   // Settings state
   const [threadPost, setThreadPost] = useState(settings.threadPost || false);
@@ -45,7 +47,7 @@ export const PostSettings = ({
   };
 
   // Show/hide based on whether any platform-specific options are available
-  const hasAnyOptions = hasTwitter || hasInstagram;
+  const hasAnyOptions = hasTwitter || hasInstagram || hasLinkedIn;
 
   // If no options available, don't render
   if (!hasAnyOptions && selectedPlatforms.length > 0) {
@@ -141,6 +143,47 @@ export const PostSettings = ({
             </div>
           )}
 
+          {/* First Comment (Instagram/LinkedIn) */}
+          {(hasInstagram || hasLinkedIn) && (
+            <div className="setting-item">
+              <label className="setting-label-block" htmlFor="post-settings-first-comment">
+                <FaCommentDots className="setting-icon" />
+                <span>First Comment</span>
+              </label>
+              <textarea
+                id="post-settings-first-comment"
+                className="setting-textarea"
+                value={settings.firstComment || ''}
+                onChange={(e) => handleSettingChange('firstComment', e.target.value)}
+                placeholder="#hashtags, links..."
+                maxLength={2000}
+              />
+              <p className="setting-description">
+                Posted as the first comment on Instagram and LinkedIn right after the post goes live.
+              </p>
+            </div>
+          )}
+
+          {/* Tags - used by approval chains to skip stages */}
+          {selectedPlatforms.length > 0 && (
+            <div className="setting-item">
+              <label className="setting-label-block" htmlFor="post-settings-tags">
+                <FaTags className="setting-icon" />
+                <span>Tags</span>
+              </label>
+              <input
+                id="post-settings-tags"
+                className="setting-select"
+                value={(settings.tags || []).join(',')}
+                onChange={(e) => handleSettingChange('tags', e.target.value ? e.target.value.split(',') : [])}
+                placeholder="e.g. internal, repost"
+              />
+              <p className="setting-description">
+                Comma-separated. Approval stages can be skipped for posts with certain tags.
+              </p>
+            </div>
+          )}
+
           {/* Help text if no platforms selected */}
           {selectedPlatforms.length === 0 && (
             <div className="setting-empty">
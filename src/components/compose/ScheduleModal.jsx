@@ -23,13 +23,28 @@ export const ScheduleModal = ({
   timezone: _timezone = 'UTC',
   bestTimes = [],
   hasRealData = false,
-  initialDate = null
+  initialDate = null,
+  queues = []
 }) => {
   const [selectedDate, setSelectedDate] = useState(null);
   const [selectedTime, setSelectedTime] = useState('09:00');
   const [calendarMonth, setCalendarMonth] = useState(new Date());
   const [hourlyGraph, setHourlyGraph] = useState(null); // { dayName, data, peakHour, hasToggle }
   const [popupSource, setPopupSource] = useState('industry'); // 'industry' or 'yours'
+  const [mode, setMode] = useState('time'); // 'time' or 'queue'
+  const [queueId, setQueueId] = useState('');
+  const [isEvergreen, setIsEvergreen] = useState(false);
+
+  const selectedQueue = queues.find(q => q.id === queueId) || null;
+
+  // Fall back to picking a time if the queues go away (e.g. workspace switch)
+  useEffect(() => {
+    if (queues.length === 0) {
+      setMode('time');
+    } else if (!queues.some(q => q.id === queueId)) {
+      setQueueId(queues[0].id);
+    }
+  }, [queues, queueId]);
 
   useEffect(() => {
     if (isOpen) {
@@ -149,6 +164,12 @@ export const ScheduleModal = ({
   };
 
   const handleConfirm = () => {
+    if (mode === 'queue') {
+      if (selectedQueue) {
+        onConfirm(null, { queueId: selectedQueue.id, isEvergreen });
+      }
+      return;
+    }
     if (selectedDate) {
       onConfirm(selectedDate);
     }
@@ -160,6 +181,7 @@ export const ScheduleModal = ({
       setSelectedTime('09:00');
     }
     setHourlyGraph(null);
+    setIsEvergreen(false);
     onClose();
   };
 
@@ -248,130 +270,184 @@ export const ScheduleModal = ({
         <ModalHeader className="schedule-modal-header">
           Schedule Post
           <div className="schedule-modal-subtitle">
-            Pick a date and time
+            {mode === 'queue' ? 'Add to the next free queue slot' : 'Pick a date and time'}
           </div>
         </ModalHeader>
         <ModalCloseButton />
 
         <ModalBody className="schedule-modal-body">
-          {/* Month navigation */}
-          <div className="calendar-header">
-            <button
-              className="calendar-nav-btn"
-              onClick={() => navigateMonth(-1)}
-              aria-label="Previous month"
-            >
-              <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
-                <path d="M10 12L6 8l4-4" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round"/>
-              </svg>
-            </button>
-            <div className="calendar-month">
-              {monthNames[calendarMonth.getMonth()]} {calendarMonth.getFullYear()}
-            </div>
-            <button
-              className="calendar-nav-btn"
-              onClick={() => navigateMonth(1)}
-              aria-label="Next month"
-            >
-              <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
-                <path d="M6 12l4-4-4-4" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round"/>
-              </svg>
-            </button>
-          </div>
-
-          {/* Day names */}
-          <div className="calendar-weekdays">
-            {dayNames.map(day => (
-              <div key={day} className="calendar-weekday">{day}</div>
-            ))}
-          </div>
-
-          {/* Calendar grid */}
-          <div className="calendar-days">
-            {calendar.map((day, idx) => (
+          {queues.length > 0 && (
+            <div className="best-time-popup-toggle schedule-mode-toggle">
               <button
-                key={idx}
-                className={`calendar-day ${!day.isCurrentMonth ? 'other-month' : ''} ${isToday(day.date) ? 'today' : ''} ${isSelected(day.date) ? 'selected' : ''} ${isPast(day.date) ? 'past' : ''}`}
-                onClick={() => !isPast(day.date) && handleDateClick(day.date)}
-                disabled={isPast(day.date)}
+                className={`toggle-btn ${mode === 'time' ? 'active' : ''}`}
+                onClick={() => setMode('time')}
               >
-                {day.date.getDate()}
+                Pick a time
               </button>
-            ))}
-          </div>
+              <button
+                className={`toggle-btn ${mode === 'queue' ? 'active' : ''}`}
+                onClick={() => setMode('queue')}
+              >
+                Add to queue
+              </button>
+            </div>
+          )}
 
-          {/* Hourly engagement bar graph */}
-          {hourlyGraph && (
-            <div className="hourly-graph">
-              <div className="hourly-graph-header">
-                <span className="hourly-graph-title">Best hours for {hourlyGraph.dayName}s</span>
-                {hourlyGraph.hasToggle && (
-                  <div className="best-time-popup-toggle">
-                    <button
-                      className={`toggle-btn ${popupSource === 'industry' ? 'active' : ''}`}
-                      onClick={() => popupSource !== 'industry' && togglePopupSource()}
-                    >
-                      Industry
-                    </button>
-                    <button
-                      className={`toggle-btn ${popupSource === 'yours' ? 'active' : ''}`}
-                      onClick={() => popupSource !== 'yours' && togglePopupSource()}
-                    >
-                      Your Data
-                    </button>
-                  </div>
-                )}
+          {mode === 'queue' ? (
+            <div className="queue-picker">
+              <label className="time-label" htmlFor="schedule-queue-select">Queue</label>
+              <select
+                id="schedule-queue-select"
+                value={queueId}
+                onChange={(e) => setQueueId(e.target.value)}
+                className="time-select"
+              >
+                {queues.map(queue => (
+                  <option key={queue.id} value={queue.id}>{queue.name}</option>
+                ))}
+              </select>
+
+              <div className="schedule-summary">
+                {selectedQueue?.next_slot
+                  ? `Next slot: ${new Date(selectedQueue.next_slot.at).toLocaleString()} on ${selectedQueue.next_slot.platforms.join(', ')}`
+                  : 'This queue has no free slots'}
+              </div>
+              <p className="queue-picker-hint">
+                The queue's slot decides the platforms this post goes to.
+              </p>
+
+              <label className="queue-evergreen">
+                <input
+                  type="checkbox"
+                  checked={isEvergreen}
+                  onChange={(e) => setIsEvergreen(e.target.checked)}
+                />
+                Evergreen: re-queue after publishing
+                {selectedQueue && ` (at least ${selectedQueue.min_repeat_gap_days} days apart)`}
+              </label>
+            </div>
+          ) : (
+            <>
+              {/* Month navigation */}
+              <div className="calendar-header">
+                <button
+                  className="calendar-nav-btn"
+                  onClick={() => navigateMonth(-1)}
+                  aria-label="Previous month"
+                >
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                    <path d="M10 12L6 8l4-4" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                </button>
+                <div className="calendar-month">
+                  {monthNames[calendarMonth.getMonth()]} {calendarMonth.getFullYear()}
+                </div>
                 <button
-                  className="hourly-graph-close"
-                  onClick={() => setHourlyGraph(null)}
-                  aria-label="Dismiss"
+                  className="calendar-nav-btn"
+                  onClick={() => navigateMonth(1)}
+                  aria-label="Next month"
                 >
-                  &times;
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                    <path d="M6 12l4-4-4-4" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
                 </button>
               </div>
-              <div className="hourly-graph-chart">
-                {hourlyGraph.data.map(({ hour, score }) => {
-                  const currentHour = parseInt(selectedTime.split(':')[0]);
-                  const isActive = hour === currentHour;
-                  const isPeak = hour === hourlyGraph.peakHour;
-                  return (
-                    <div
-                      key={hour}
-                      className={`hourly-bar-col ${isActive ? 'active' : ''} ${isPeak ? 'peak' : ''}`}
-                      onClick={() => handleBarClick(hour)}
-                    >
-                      <div className="hourly-bar-track">
-                        <div className="hourly-bar" style={{ height: `${score}%` }} />
-                      </div>
-                      <span className="hourly-bar-label">{formatShortHour(hour)}</span>
-                    </div>
-                  );
-                })}
+
+              {/* Day names */}
+              <div className="calendar-weekdays">
+                {dayNames.map(day => (
+                  <div key={day} className="calendar-weekday">{day}</div>
+                ))}
               </div>
-            </div>
-          )}
 
-          {/* Time selector */}
-          <div className="time-selector-compact">
-            <label className="time-label">Time</label>
-            <select
-              value={selectedTime}
-              onChange={handleTimeChange}
-              className="time-select"
-            >
-              {timeSlots.map(slot => (
-                <option key={slot.time24} value={slot.time24}>
-                  {slot.time12}
-                </option>
-              ))}
-            </select>
-          </div>
+              {/* Calendar grid */}
+              <div className="calendar-days">
+                {calendar.map((day, idx) => (
+                  <button
+                    key={idx}
+                    className={`calendar-day ${!day.isCurrentMonth ? 'other-month' : ''} ${isToday(day.date) ? 'today' : ''} ${isSelected(day.date) ? 'selected' : ''} ${isPast(day.date) ? 'past' : ''}`}
+                    onClick={() => !isPast(day.date) && handleDateClick(day.date)}
+                    disabled={isPast(day.date)}
+                  >
+                    {day.date.getDate()}
+                  </button>
+                ))}
+              </div>
 
-          {/* Selected date/time summary */}
-          {selectedDate && (
-            <div className="schedule-summary">
-              {formatSelectedSummary()}
-            </div>
+              {/* Hourly engagement bar graph */}
+              {hourlyGraph && (
+                <div className="hourly-graph">
+                  <div className="hourly-graph-header">
+                    <span className="hourly-graph-title">Best hours for {hourlyGraph.dayName}s</span>
+                    {hourlyGraph.hasToggle && (
+                      <div className="best-time-popup-toggle">
+                        <button
+                          className={`toggle-btn ${popupSource === 'industry' ? 'active' : ''}`}
+                          onClick={() => popupSource !== 'industry' && togglePopupSource()}
+                        >
+                          Industry
+                        </button>
+                        <button
+                          className={`toggle-btn ${popupSource === 'yours' ? 'active' : ''}`}
+                          onClick={() => popupSource !== 'yours' && togglePopupSource()}
+                        >
+                          Your Data
+                        </button>
+                      </div>
+                    )}
+                    <button
+                      className="hourly-graph-close"
+                      onClick={() => setHourlyGraph(null)}
+                      aria-label="Dismiss"
+                    >
+                      &times;
+                    </button>
+                  </div>
+                  <div className="hourly-graph-chart">
+                    {hourlyGraph.data.map(({ hour, score }) => {
+                      const currentHour = parseInt(selectedTime.split(':')[0]);
+                      const isActive = hour === currentHour;
+                      const isPeak = hour === hourlyGraph.peakHour;
+                      return (
+                        <div
+                          key={hour}
+                          className={`hourly-bar-col ${isActive ? 'active' : ''} ${isPeak ? 'peak' : ''}`}
+                          onClick={() => handleBarClick(hour)}
+                        >
+                          <div className="hourly-bar-track">
+                            <div className="hourly-bar" style={{ height: `${score}%` }} />
+                          </div>
+                          <span className="hourly-bar-label">{formatShortHour(hour)}</span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              {/* Time selector */}
+              <div className="time-selector-compact">
+                <label className="time-label">Time</label>
+                <select
+                  value={selectedTime}
+                  onChange={handleTimeChange}
+                  className="time-select"
+                >
+                  {timeSlots.map(slot => (
+                    <option key={slot.time24} value={slot.time24}>
+                      {slot.time12}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Selected date/time summary */}
+              {selectedDate && (
+                <div className="schedule-summary">
+                  {formatSelectedSummary()}
+                </div>
+              )}
+            </>
           )}
         </ModalBody>
 
@@ -381,10 +457,10 @@ export const ScheduleModal = ({
           </Button>
           <Button
             onClick={handleConfirm}
-            isDisabled={!selectedDate}
+            isDisabled={mode === 'queue' ? !selectedQueue?.next_slot : !selectedDate}
             className="btn-primary"
           >
-            Confirm Schedule
+            {mode === 'queue' ? 'Add to Queue' : 'Confirm Schedule'}
           </Button>
         </ModalFooter>
       </ModalContent>
@@ -6,6 +6,8 @@ import { FaFacebookF, FaInstagram, FaLinkedinIn, FaYoutube, FaReply, FaTrash, Fa
 import { FaTiktok } from "react-icons/fa6";
 import { SiX, SiBluesky } from "react-icons/si";
 import { LoadingContainer } from "../ui/LoadingSpinner";
+import { SavedReplyTextarea } from "./SavedReplyTextarea";
+import { SENTIMENT_LABELS, INTENT_LABELS, matchesSentimentFilters } from "../../utils/commentSentiment";
 
 const PLATFORM_ICONS = {
   facebook: FaFacebookF,
@@ -49,6 +51,7 @@ export const CommentsPanel = ({ onRefresh: _onRefresh }) => {
   const [selectedPost, setSelectedPost] = useState(null);
   const [comments, setComments] = useState([]);
   const [replyText, setReplyText] = useState("");
+  const [savedReplyId, setSavedReplyId] = useState(null);
   const [replyingTo, setReplyingTo] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -60,6 +63,8 @@ export const CommentsPanel = ({ onRefresh: _onRefresh }) => {
   // Sort state
   const [postSortBy, setPostSortBy] = useState("newest");
   const [commentSortBy, setCommentSortBy] = useState("newest");
+  const [sentimentFilter, setSentimentFilter] = useState("all");
+  const [intentFilter, setIntentFilter] = useState("all");
   const [showPostSortMenu, setShowPostSortMenu] = useState(false);
   const [showCommentSortMenu, setShowCommentSortMenu] = useState(false);
 
@@ -152,15 +157,19 @@ export const CommentsPanel = ({ onRefresh: _onRefresh }) => {
     });
   }, [posts, selectedPlatforms, allChecked, searchQuery, postSortBy]);
 
-  // Sort comments
+  // Filter by sentiment/intent, then sort comments
   const sortedComments = useMemo(() => {
     const sortOption = COMMENT_SORT_OPTIONS.find(o => o.id === commentSortBy) || COMMENT_SORT_OPTIONS[0];
-    return [...comments].sort((a, b) => {
-      const dateA = new Date(a[sortOption.field] || 0);
-      const dateB = new Date(b[sortOption.field] || 0);
-      return sortOption.dir === "desc" ? dateB - dateA : dateA - dateB;
-    });
-  }, [comments, commentSortBy]);
+    return comments
+      .filter(comment => matchesSentimentFilters(comment, { sentiment: sentimentFilter, intent: intentFilter }))
+      .sort((a, b) => {
+        const dateA = new Date(a[sortOption.field] || 0);
+        const dateB = new Date(b[sortOption.field] || 0);
+        return sortOption.dir === "desc" ? dateB - dateA : dateA - dateB;
+      });
+  }, [comments, commentSortBy, sentimentFilter, intentFilter]);
+
+  const negativeCount = comments.filter(comment => comment.sentiment === "negative").length;
 
   const fetchPosts = useCallback(async () => {
     if (!user || !activeWorkspace) return;
@@ -259,9 +268,10 @@ export const CommentsPanel = ({ onRefresh: _onRefresh }) => {
     setSelectedPost(post);
     setReplyingTo(null);
     setReplyText("");
+    setSavedReplyId(null);
   };
 
-  const handleReply = async (commentId) => {
+  const handleReply = async (commentId, commenterName) => {
     if (!replyText.trim() || isSubmitting) return;
 
     setIsSubmitting(true);
@@ -278,7 +288,8 @@ export const CommentsPanel = ({ onRefresh: _onRefresh }) => {
           workspaceId: activeWorkspace.id,
           postId: ayrPostId,
           [commentId ? "reply" : "comment"]: replyText,
-          platform: selectedPost.platforms?.[0] || "facebook"
+          platform: selectedPost.platforms?.[0] || "facebook",
+          ...(commentId && savedReplyId ? { savedReplyId, correspondentName: commenterName } : {})
         })
       });
 
@@ -289,6 +300,7 @@ export const CommentsPanel = ({ onRefresh: _onRefresh }) => {
       }
 
       setReplyText("");
+      setSavedReplyId(null);
       setReplyingTo(null);
       await fetchComments();
     } catch (error) {
@@ -507,14 +519,44 @@ export const CommentsPanel = ({ onRefresh: _onRefresh }) => {
                 </div>
               </div>
               <p className="cp-post-preview">{selectedPost.post}</p>
+              <div className="cp-sentiment-filters">
+                <select
+                  value={sentimentFilter}
+                  onChange={(e) => setSentimentFilter(e.target.value)}
+                  title="Filter by sentiment"
+                >
+                  <option value="all">All sentiment</option>
+                  {Object.entries(SENTIMENT_LABELS).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}{key === "negative" && negativeCount > 0 ? ` (${negativeCount})` : ""}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={intentFilter}
+                  onChange={(e) => setIntentFilter(e.target.value)}
+                  title="Filter by intent"
+                >
+                  <option value="all">All intents</option>
+                  {Object.entries(INTENT_LABELS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
             </div>
 
             {commentsLoading ? (
               <LoadingContainer message="Loading comments..." size="sm" />
             ) : sortedComments.length === 0 ? (
               <div className="unified-empty-state">
-                <p>No comments yet on this post</p>
-                <small>Comments from your social platforms will appear here</small>
+                {comments.length > 0 ? (
+                  <p>No comments match these filters</p>
+                ) : (
+                  <>
+                    <p>No comments yet on this post</p>
+                    <small>Comments from your social platforms will appear here</small>
+                  </>
+                )}
               </div>
             ) : (
               <div className="cp-comments-list">
@@ -524,6 +566,17 @@ export const CommentsPanel = ({ onRefresh: _onRefresh }) => {
                       <div className="cp-comment-author">
                         <strong>{comment.from?.name || "Anonymous"}</strong>
                         {getPlatformIcon(comment.platform)}
+                        {comment.moderation_status && comment.moderation_status !== "visible" && (
+                          <span className={`moderation-status ${comment.moderation_status}`}>
+                            {comment.moderation_status === "hidden" ? "Hidden" : "Flagged"}
+                          </span>
+                        )}
+                        {comment.sentiment && (
+                          <span className={`sentiment-tag ${comment.sentiment}`}>
+                            {SENTIMENT_LABELS[comment.sentiment]}
+                            {comment.intent && comment.intent !== "other" && ` · ${INTENT_LABELS[comment.intent]}`}
+                          </span>
+                        )}
                       </div>
                       <div className="cp-comment-actions">
                         <button
@@ -547,10 +600,12 @@ export const CommentsPanel = ({ onRefresh: _onRefresh }) => {
 
                     {replyingTo === comment.id && (
                       <div className="cp-reply-form">
-                        <textarea
+                        <SavedReplyTextarea
+                          workspaceId={activeWorkspace.id}
                           value={replyText}
-                          onChange={(e) => setReplyText(e.target.value)}
-                          placeholder="Write your reply..."
+                          onChange={setReplyText}
+                          onSavedReplyChange={setSavedReplyId}
+                          placeholder="Write your reply... (type / for saved replies)"
                           rows={3}
                         />
                         <div className="cp-reply-form-actions">
@@ -558,7 +613,7 @@ export const CommentsPanel = ({ onRefresh: _onRefresh }) => {
                             Cancel
                           </button>
                           <button
-                            onClick={() => handleReply(comment.id)}
+                            onClick={() => handleReply(comment.id, comment.from?.name)}
                             className="cp-btn-submit"
                             disabled={!replyText.trim() || isSubmitting}
                           >
@@ -1,14 +1,41 @@
-import React, { useState, useEffect, useRef } from "react";
-import { FaFacebookF, FaInstagram } from "react-icons/fa";
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { FaFacebookF, FaInstagram, FaLinkedinIn, FaYoutube, FaGoogle } from "react-icons/fa";
+import { FaTiktok, FaThreads, FaBluesky } from "react-icons/fa6";
 import { SiX } from "react-icons/si";
+import { useWorkspace } from "../../contexts/WorkspaceContext";
+import { CONVERSATION_STATUSES } from "../../hooks/useInbox";
 import { LoadingContainer } from "../ui/LoadingSpinner";
+import { SavedReplyTextarea } from "./SavedReplyTextarea";
+import { SENTIMENT_LABELS, INTENT_LABELS } from "../../utils/commentSentiment";
 
 const PLATFORM_ICONS = {
   facebook: { icon: FaFacebookF, color: "#1877F2", name: "Facebook Messenger" },
   instagram: { icon: FaInstagram, color: "#E4405F", name: "Instagram DM" },
-  twitter: { icon: SiX, color: "#000000", name: "X Direct Messages" }
+  twitter: { icon: SiX, color: "#000000", name: "X Direct Messages" },
+  linkedin: { icon: FaLinkedinIn, color: "#0A66C2", name: "LinkedIn Comments" },
+  tiktok: { icon: FaTiktok, color: "#000000", name: "TikTok Comments" },
+  threads: { icon: FaThreads, color: "#000000", name: "Threads Replies" },
+  bluesky: { icon: FaBluesky, color: "#0085FF", name: "Bluesky Replies" },
+  youtube: { icon: FaYoutube, color: "#FF0000", name: "YouTube Comments" },
+  gmb: { icon: FaGoogle, color: "#4285F4", name: "Google Reviews" }
 };
 
+const TYPE_LABELS = {
+  comment: "Comment",
+  review: "Review"
+};
+
+const ratingStars = (rating) => "★".repeat(rating) + "☆".repeat(5 - rating);
+
+const STATUS_LABELS = {
+  open: "Open",
+  pending: "Pending",
+  closed: "Closed"
+};
+
+const memberName = (member) =>
+  member?.profile?.full_name || member?.profile?.email || "Teammate";
+
 export const MessagesPanel = ({ inboxData }) => {
   const {
     conversations,
@@ -25,13 +52,36 @@ export const MessagesPanel = ({ inboxData }) => {
     sendMessage,
     filterByPlatform,
     refresh,
-    clearError
+    clearError,
+    assignmentCounts = {},
+    assignmentFilter = "all",
+    statusFilter = "all",
+    notes = [],
+    filterByAssignment,
+    filterByStatus,
+    assignConversation,
+    setConversationStatus,
+    addNote,
+    deleteNote
   } = inboxData;
 
+  const { activeWorkspace, workspaceMembers, refreshMembers } = useWorkspace();
+
+  useEffect(() => {
+    refreshMembers();
+  }, [refreshMembers]);
+
+  // Conversations go to the team, not clients
+  const teamMembers = workspaceMembers.filter(m => m.role !== "viewer" && m.role !== "client" && m.role !== "view_only");
+  const membersById = Object.fromEntries(workspaceMembers.map(m => [m.user_id, m]));
+
   const hasSyncErrors = Object.keys(syncErrors).length > 0;
 
   const [messageFilter, setMessageFilter] = useState("all");
   const [replyText, setReplyText] = useState("");
+  const [savedReplyId, setSavedReplyId] = useState(null);
+  const [replyMode, setReplyMode] = useState("reply");
+  const [sentimentFilter, setSentimentFilter] = useState("all");
   const messagesEndRef = useRef(null);
 
   useEffect(() => {
@@ -41,23 +91,33 @@ export const MessagesPanel = ({ inboxData }) => {
   }, [messages]);
 
   const filteredConversations = conversations.filter(conv => {
+    if (sentimentFilter !== "all" && conv.last_sentiment !== sentimentFilter) return false;
     if (messageFilter === "unread") return conv.unread_count > 0;
     if (messageFilter === "replied") return conv.last_message_sender === "user";
     return true;
   });
 
+  // Internal notes are shown in the thread alongside the messages
+  const threadItems = useMemo(() => [
+    ...messages.map(message => ({ kind: "message", at: message.sent_at, item: message })),
+    ...notes.map(note => ({ kind: "note", at: note.created_at, item: note }))
+  ].sort((a, b) => new Date(a.at) - new Date(b.at)), [messages, notes]);
+
   const handleSendReply = async () => {
     if (!replyText.trim() || sending) return;
 
-    const result = await sendMessage(replyText);
+    const result = replyMode === "note"
+      ? await addNote(replyText)
+      : await sendMessage(replyText, { savedReplyId });
     if (result.success) {
       setReplyText("");
+      setSavedReplyId(null);
     } else {
       alert(result.error || "Failed to send message");
     }
   };
 
-  const handleKeyPress = (e) => {
+  const handleKeyDown = (e) => {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
       handleSendReply();
@@ -143,6 +203,50 @@ export const MessagesPanel = ({ inboxData }) => {
             </div>
           </div>
 
+          {/* Assignment Filter */}
+          <div className="mp-message-filter">
+            <div className="mp-filter-tabs">
+              <button
+                className={`mp-filter-tab ${assignmentFilter === "all" ? "active" : ""}`}
+                onClick={() => filterByAssignment("all")}
+              >
+                Everyone ({assignmentCounts.all ?? conversations.length})
+              </button>
+              <button
+                className={`mp-filter-tab ${assignmentFilter === "mine" ? "active" : ""}`}
+                onClick={() => filterByAssignment("mine")}
+              >
+                Mine ({assignmentCounts.mine ?? 0})
+              </button>
+              <button
+                className={`mp-filter-tab ${assignmentFilter === "unassigned" ? "active" : ""}`}
+                onClick={() => filterByAssignment("unassigned")}
+              >
+                Unassigned ({assignmentCounts.unassigned ?? 0})
+              </button>
+            </div>
+            <select
+              className="mp-status-filter"
+              value={statusFilter}
+              onChange={(e) => filterByStatus(e.target.value)}
+            >
+              <option value="all">All statuses</option>
+              {CONVERSATION_STATUSES.map(status => (
+                <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+              ))}
+            </select>
+            <select
+              className="mp-status-filter"
+              value={sentimentFilter}
+              onChange={(e) => setSentimentFilter(e.target.value)}
+            >
+              <option value="all">All sentiment</option>
+              {Object.entries(SENTIMENT_LABELS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+
           {/* Message Filter */}
           <div className="mp-message-filter">
             <div className="mp-filter-tabs">
@@ -177,8 +281,8 @@ export const MessagesPanel = ({ inboxData }) => {
                 <p>No conversations found</p>
                 <span className="mp-empty-hint">
                   {selectedPlatform !== "all"
-                    ? `No ${PLATFORM_ICONS[selectedPlatform]?.name} messages yet`
-                    : "Connect your social accounts and sync to see direct messages"}
+                    ? `No ${PLATFORM_ICONS[selectedPlatform]?.name} yet`
+                    : "Connect your social accounts and sync to see messages, comments and reviews"}
                 </span>
                 <button
                   className="mp-sync-btn"
@@ -234,6 +338,32 @@ export const MessagesPanel = ({ inboxData }) => {
                         )}
                         {conversation.last_message_text || "No messages yet"}
                       </p>
+                      {(conversation.assigned_to || conversation.last_sentiment || TYPE_LABELS[conversation.conversation_type] || (conversation.status && conversation.status !== "open")) && (
+                        <div className="mp-conversation-tags">
+                          {conversation.last_sentiment && (
+                            <span className={`sentiment-tag ${conversation.last_sentiment}`}>
+                              {SENTIMENT_LABELS[conversation.last_sentiment]}
+                              {conversation.last_intent && conversation.last_intent !== "other" && ` · ${INTENT_LABELS[conversation.last_intent]}`}
+                            </span>
+                          )}
+                          {TYPE_LABELS[conversation.conversation_type] && (
+                            <span className={`mp-type-tag ${conversation.conversation_type}`}>
+                              {TYPE_LABELS[conversation.conversation_type]}
+                              {conversation.review_rating ? ` ${ratingStars(conversation.review_rating)}` : ""}
+                            </span>
+                          )}
+                          {conversation.status && conversation.status !== "open" && (
+                            <span className={`mp-status-tag ${conversation.status}`}>
+                              {STATUS_LABELS[conversation.status]}
+                            </span>
+                          )}
+                          {conversation.assigned_to && (
+                            <span className="mp-assignee-tag">
+                              {membersById[conversation.assigned_to] ? memberName(membersById[conversation.assigned_to]) : "Assigned"}
+                            </span>
+                          )}
+                        </div>
+                      )}
                     </div>
                     {conversation.unread_count > 0 && (
                       <div className="mp-unread-indicator">
@@ -286,25 +416,80 @@ export const MessagesPanel = ({ inboxData }) => {
                           @{currentConversation.correspondent_username}
                         </span>
                       )}
+                      {currentConversation.review_rating && (
+                        <span className="mp-review-rating">
+                          {ratingStars(currentConversation.review_rating)}
+                        </span>
+                      )}
                     </p>
+                    {currentConversation.metadata?.postCaption && (
+                      <p className="mp-thread-source" title={currentConversation.metadata.postCaption}>
+                        On your post: {currentConversation.metadata.postCaption}
+                      </p>
+                    )}
                   </div>
                 </div>
-                {!currentConversation.can_reply && (
-                  <div className="mp-reply-warning">
-                    Instagram 7-day window expired
-                  </div>
-                )}
+                <div className="mp-thread-controls">
+                  <select
+                    className="mp-thread-select"
+                    value={currentConversation.assigned_to || ""}
+                    onChange={async (e) => {
+                      const result = await assignConversation(currentConversation.id, e.target.value || null);
+                      if (!result.success) alert(result.error || "Failed to assign conversation");
+                    }}
+                    title="Assignee"
+                  >
+                    <option value="">Unassigned</option>
+                    {currentConversation.assigned_to && !teamMembers.some(m => m.user_id === currentConversation.assigned_to) && (
+                      <option value={currentConversation.assigned_to}>Former teammate</option>
+                    )}
+                    {teamMembers.map(member => (
+                      <option key={member.user_id} value={member.user_id}>{memberName(member)}</option>
+                    ))}
+                  </select>
+                  <select
+                    className="mp-thread-select"
+                    value={currentConversation.status || "open"}
+                    onChange={async (e) => {
+                      const result = await setConversationStatus(currentConversation.id, e.target.value);
+                      if (!result.success) alert(result.error || "Failed to update status");
+                    }}
+                    title="Status"
+                  >
+                    {CONVERSATION_STATUSES.map(status => (
+                      <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+                    ))}
+                  </select>
+                  {!currentConversation.can_reply && (
+                    <div className="mp-reply-warning">
+                      Replies unavailable
+                    </div>
+                  )}
+                </div>
               </div>
 
               <div className="mp-thread">
                 {messagesLoading ? (
                   <LoadingContainer message="Loading messages..." size="sm" />
-                ) : messages.length === 0 ? (
+                ) : threadItems.length === 0 ? (
                   <div className="mp-no-messages">
                     <p>No messages in this conversation</p>
                   </div>
                 ) : (
-                  messages.map((message) => (
+                  threadItems.map(({ kind, item: message }) => kind === "note" ? (
+                    <div key={`note-${message.id}`} className="mp-note">
+                      <div className="mp-note-header">
+                        <span className="mp-note-author">
+                          Internal note · {message.author?.full_name || message.author?.email || "Teammate"}
+                        </span>
+                        <span className="mp-bubble-time">{formatMessageTime(message.created_at)}</span>
+                        <button className="mp-note-delete" onClick={() => deleteNote(message.id)} title="Delete note">
+                          ×
+                        </button>
+                      </div>
+                      <p className="mp-note-text">{message.note}</p>
+                    </div>
+                  ) : (
                     <div
                       key={message.id}
                       className={`mp-bubble ${
@@ -331,15 +516,32 @@ export const MessagesPanel = ({ inboxData }) => {
               </div>
 
               <div className="mp-reply-section">
-                {currentConversation.can_reply !== false ? (
+                <div className="mp-filter-tabs mp-reply-mode">
+                  <button
+                    className={`mp-filter-tab ${replyMode === "reply" ? "active" : ""}`}
+                    onClick={() => setReplyMode("reply")}
+                  >
+                    Reply
+                  </button>
+                  <button
+                    className={`mp-filter-tab ${replyMode === "note" ? "active" : ""}`}
+                    onClick={() => setReplyMode("note")}
+                  >
+                    Internal note
+                  </button>
+                </div>
+                {replyMode === "note" || currentConversation.can_reply !== false ? (
                   <>
-                    <textarea
-                      className="mp-reply-textarea"
-                      placeholder="Type your reply..."
+                    <SavedReplyTextarea
+                      workspaceId={activeWorkspace?.id}
+                      enablePicker={replyMode !== "note"}
+                      className={`mp-reply-textarea ${replyMode === "note" ? "note" : ""}`}
+                      placeholder={replyMode === "note" ? "Only your team can see this note..." : "Type your reply... (type / for saved replies)"}
                       rows="3"
                       value={replyText}
-                      onChange={(e) => setReplyText(e.target.value)}
-                      onKeyPress={handleKeyPress}
+                      onChange={setReplyText}
+                      onSavedReplyChange={setSavedReplyId}
+                      onKeyDown={handleKeyDown}
                       disabled={sending}
                     />
                     <div className="mp-reply-actions">
@@ -349,15 +551,14 @@ export const MessagesPanel = ({ inboxData }) => {
                         onClick={handleSendReply}
                         disabled={!replyText.trim() || sending}
                       >
-                        {sending ? "Sending..." : "Send Reply"}
+                        {replyMode === "note" ? "Add Note" : sending ? "Sending..." : "Send Reply"}
                       </button>
                     </div>
                   </>
                 ) : (
                   <div className="mp-reply-disabled">
                     <p>
-                      Cannot reply - Instagram conversations expire after 7 days
-                      of inactivity from the contact.
+                      Cannot reply - {currentConversation.reply_restriction || "replies aren't available for this conversation"}.
                     </p>
                   </div>
                 )}
@@ -411,9 +612,10 @@ export const MessagesPanel = ({ inboxData }) => {
                 </>
               ) : (
                 <>
-                  <p className="empty-text">No direct messages yet</p>
+                  <p className="empty-text">No conversations yet</p>
                   <p className="empty-subtext">
-                    Messages from Facebook Messenger, Instagram DMs, and X will appear here.
+                    Direct messages from Facebook Messenger, Instagram and X, comments on your
+                    LinkedIn, TikTok, Threads, Bluesky and YouTube posts, and Google reviews will appear here.
                     Make sure your social accounts are connected and have messaging enabled.
                   </p>
                   <button
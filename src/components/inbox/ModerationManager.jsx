@@ -0,0 +1,461 @@
+import { useState } from "react";
+import { FaTimes, FaTrash, FaEdit, FaPlus, FaUndo, FaCheck } from "react-icons/fa";
+import { baseURL } from "../../utils/constants";
+import { useModerationQueue, useModerationRules, useInvalidateQueries } from "../../hooks/useQueries";
+
+const ACTION_LABELS = {
+  hide: "Hide",
+  delete: "Delete",
+  flag: "Flag for review"
+};
+
+const STATUS_LABELS = {
+  hidden: "Hidden",
+  deleted: "Deleted",
+  flagged: "Flagged",
+  visible: "Visible"
+};
+
+const EMPTY_FORM = {
+  name: "",
+  ruleType: "keyword",
+  action: "hide",
+  terms: "",
+  maxOtherWords: 2,
+  threshold: 3,
+  windowMinutes: 60,
+  platforms: ""
+};
+
+const splitLines = (text) => text.split("\n").map(line => line.trim()).filter(Boolean);
+
+const buildConfig = (form) => {
+  switch (form.ruleType) {
+    case "keyword":
+      return { keywords: splitLines(form.terms) };
+    case "regex":
+      return { patterns: splitLines(form.terms) };
+    case "link_spam":
+      return { maxOtherWords: Number(form.maxOtherWords) };
+    case "repeat_commenter":
+      return { threshold: Number(form.threshold), windowMinutes: Number(form.windowMinutes) };
+    default:
+      return {};
+  }
+};
+
+const describeRule = (rule) => {
+  const config = rule.config || {};
+  switch (rule.rule_type) {
+    case "keyword":
+      return (config.keywords || []).join(", ");
+    case "regex":
+      return (config.patterns || []).map(p => `/${p}/`).join(", ");
+    case "link_spam":
+      return `Links with at most ${config.maxOtherWords ?? 2} other words`;
+    case "repeat_commenter":
+      return `${config.threshold || 3}+ comments within ${config.windowMinutes || 60} minutes`;
+    default:
+      return "";
+  }
+};
+
+/**
+ * ModerationManager
+ *
+ * Modal with the comment moderation review queue (keep or undo what the
+ * rules did) and, for owners and admins, the workspace's moderation rules.
+ *
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {function} onClose - Callback when the modal is closed
+ * @param {string} workspaceId - Workspace to moderate
+ * @param {boolean} canManageRules - Whether the user can change rules
+ */
+export const ModerationManager = ({ isOpen, onClose, workspaceId, canManageRules }) => {
+  const [tab, setTab] = useState("queue");
+  const [queueStatus, setQueueStatus] = useState("pending");
+  const { data: queueData, isLoading: queueLoading } = useModerationQueue(workspaceId, {
+    status: queueStatus,
+    enabled: isOpen && tab === "queue"
+  });
+  const { data: rulesData, isLoading: rulesLoading } = useModerationRules(workspaceId, {
+    enabled: isOpen && tab === "rules"
+  });
+  const { invalidateModerationQueue, invalidateModerationRules } = useInvalidateQueries();
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [reviewingId, setReviewingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!isOpen) return null;
+
+  const events = queueData?.events || [];
+  const rules = rulesData?.rules || [];
+  const ruleTypes = rulesData?.ruleTypes || {};
+  const hidePlatforms = rulesData?.hidePlatforms || [];
+  const showForm = editingId !== null;
+
+  const handleReview = async (event, decision) => {
+    setReviewingId(event.id);
+    setError(null);
+    try {
+      const response = await fetch(`${baseURL}/api/moderation/queue`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ workspaceId, eventId: event.id, decision })
+      });
+      const raw = await response.json();
+      if (!response.ok) {
+        throw new Error(raw.error || "Failed to update moderation queue");
+      }
+      invalidateModerationQueue(workspaceId);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const startEdit = (rule) => {
+    setEditingId(rule ? rule.id : "new");
+    const config = rule?.config || {};
+    setForm(rule
+      ? {
+          ...EMPTY_FORM,
+          name: rule.name,
+          ruleType: rule.rule_type,
+          action: rule.action,
+          terms: (config.keywords || config.patterns || []).join("\n"),
+          maxOtherWords: config.maxOtherWords ?? EMPTY_FORM.maxOtherWords,
+          threshold: config.threshold || EMPTY_FORM.threshold,
+          windowMinutes: config.windowMinutes || EMPTY_FORM.windowMinutes,
+          platforms: (rule.platforms || []).join(", ")
+        }
+      : EMPTY_FORM);
+    setError(null);
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setError(null);
+  };
+
+  const saveRule = async (ruleId, fields) => {
+    const response = await fetch(`${baseURL}/api/moderation/rules`, {
+      method: ruleId ? "PATCH" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ workspaceId, ...(ruleId ? { ruleId } : {}), ...fields })
+    });
+    const raw = await response.json();
+    if (!response.ok) {
+      throw new Error(raw.error || "Failed to save rule");
+    }
+    invalidateModerationRules(workspaceId);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || saving) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      const isNew = editingId === "new";
+      const platforms = form.platforms.split(",").map(p => p.trim().toLowerCase()).filter(Boolean);
+      await saveRule(isNew ? null : editingId, {
+        name: form.name,
+        ...(isNew ? { ruleType: form.ruleType } : {}),
+        action: form.action,
+        config: buildConfig(form),
+        platforms: platforms.length > 0 ? platforms : null
+      });
+      cancelEdit();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await saveRule(rule.id, { isActive: !rule.is_active });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the moderation rule "${rule.name}"?`)) return;
+
+    try {
+      const params = new URLSearchParams({ workspaceId, ruleId: rule.id });
+      const response = await fetch(`${baseURL}/api/moderation/rules?${params}`, { method: "DELETE" });
+      if (!response.ok) throw new Error("Failed to delete rule");
+      invalidateModerationRules(workspaceId);
+      if (editingId === rule.id) cancelEdit();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renderQueue = () => (
+    <>
+      <div className="moderation-filter">
+        {["pending", "all"].map(status => (
+          <button
+            key={status}
+            className={`mp-filter-tab ${queueStatus === status ? "active" : ""}`}
+            onClick={() => setQueueStatus(status)}
+          >
+            {status === "pending" ? `Needs review (${queueData?.pendingCount ?? 0})` : "All"}
+          </button>
+        ))}
+      </div>
+
+      {queueLoading ? (
+        <div className="saved-replies-empty">Loading moderation queue...</div>
+      ) : events.length === 0 ? (
+        <div className="saved-replies-empty">
+          {queueStatus === "pending" ? "Nothing waiting for review" : "No comments have been moderated yet"}
+        </div>
+      ) : (
+        <div className="saved-replies-list">
+          {events.map(event => {
+            const comment = event.comment || {};
+            return (
+              <div key={event.id} className="saved-replies-item">
+                <div className="saved-replies-item-main">
+                  <div className="saved-replies-item-title">
+                    <strong>{comment.author_username || "Unknown"}</strong>
+                    <span className={`moderation-status ${comment.moderation_status}`}>
+                      {STATUS_LABELS[comment.moderation_status] || comment.moderation_status}
+                    </span>
+                    {event.status !== "pending" && (
+                      <span className="saved-replies-category">{event.status === "undone" ? "Undone" : "Kept"}</span>
+                    )}
+                  </div>
+                  <p>{comment.comment_text}</p>
+                  <span className="saved-replies-usage">
+                    {comment.platform} · {event.reason}
+                    {event.rule_name && ` · ${event.rule_name}`}
+                    {` · ${new Date(event.created_at).toLocaleString()}`}
+                  </span>
+                  {event.error_message && <span className="moderation-warning">{event.error_message}</span>}
+                </div>
+                {event.status === "pending" && (
+                  <div className="saved-replies-item-actions">
+                    <button
+                      className="cp-action-btn"
+                      onClick={() => handleReview(event, "approve")}
+                      disabled={reviewingId === event.id}
+                      title="Keep"
+                    >
+                      <FaCheck size={14} />
+                    </button>
+                    {comment.moderation_status !== "deleted" && (
+                      <button
+                        className="cp-action-btn"
+                        onClick={() => handleReview(event, "undo")}
+                        disabled={reviewingId === event.id}
+                        title={comment.moderation_status === "hidden" ? "Undo - unhide the comment" : "Undo - mark as fine"}
+                      >
+                        <FaUndo size={14} />
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+
+  const renderRuleForm = () => (
+    <div className="saved-replies-form">
+      <label>
+        Name
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+          placeholder="e.g. Profanity"
+          maxLength={100}
+        />
+      </label>
+      <label>
+        Rule type
+        <select
+          value={form.ruleType}
+          onChange={(e) => setForm(prev => ({ ...prev, ruleType: e.target.value }))}
+          disabled={editingId !== "new"}
+        >
+          {Object.entries(ruleTypes).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {(form.ruleType === "keyword" || form.ruleType === "regex") && (
+        <label>
+          {form.ruleType === "keyword" ? "Keywords" : "Patterns"}{" "}
+          <span className="saved-replies-optional">(one per line, case-insensitive)</span>
+          <textarea
+            value={form.terms}
+            onChange={(e) => setForm(prev => ({ ...prev, terms: e.target.value }))}
+            placeholder={form.ruleType === "keyword" ? "free followers\ncheap likes" : "dm\\s+me\\s+for"}
+            rows={4}
+          />
+        </label>
+      )}
+      {form.ruleType === "link_spam" && (
+        <label>
+          Other words allowed alongside links
+          <input
+            type="number"
+            min={0}
+            max={20}
+            value={form.maxOtherWords}
+            onChange={(e) => setForm(prev => ({ ...prev, maxOtherWords: e.target.value }))}
+          />
+        </label>
+      )}
+      {form.ruleType === "repeat_commenter" && (
+        <div className="moderation-form-row">
+          <label>
+            Comments
+            <input
+              type="number"
+              min={2}
+              max={100}
+              value={form.threshold}
+              onChange={(e) => setForm(prev => ({ ...prev, threshold: e.target.value }))}
+            />
+          </label>
+          <label>
+            Within (minutes)
+            <input
+              type="number"
+              min={1}
+              value={form.windowMinutes}
+              onChange={(e) => setForm(prev => ({ ...prev, windowMinutes: e.target.value }))}
+            />
+          </label>
+        </div>
+      )}
+      <label>
+        Action
+        <select
+          value={form.action}
+          onChange={(e) => setForm(prev => ({ ...prev, action: e.target.value }))}
+        >
+          {Object.entries(ACTION_LABELS).map(([action, label]) => (
+            <option key={action} value={action}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {form.action === "hide" && hidePlatforms.length > 0 && (
+        <span className="saved-replies-optional">
+          Hiding works on {hidePlatforms.join(", ")}; on other platforms matching comments are flagged instead.
+        </span>
+      )}
+      <label>
+        Platforms <span className="saved-replies-optional">(comma separated, leave blank for all)</span>
+        <input
+          type="text"
+          value={form.platforms}
+          onChange={(e) => setForm(prev => ({ ...prev, platforms: e.target.value }))}
+          placeholder="facebook, instagram"
+        />
+      </label>
+      <div className="saved-replies-form-actions">
+        <button className="cp-btn-cancel" onClick={cancelEdit}>Cancel</button>
+        <button className="cp-btn-submit" onClick={handleSave} disabled={!form.name.trim() || saving}>
+          {saving ? "Saving..." : "Save Rule"}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderRules = () => showForm ? renderRuleForm() : (
+    <>
+      {canManageRules && (
+        <button className="saved-replies-new" onClick={() => startEdit(null)}>
+          <FaPlus size={12} /> New rule
+        </button>
+      )}
+
+      {rulesLoading ? (
+        <div className="saved-replies-empty">Loading rules...</div>
+      ) : rules.length === 0 ? (
+        <div className="saved-replies-empty">No moderation rules yet</div>
+      ) : (
+        <div className="saved-replies-list">
+          {rules.map(rule => (
+            <div key={rule.id} className={`saved-replies-item ${rule.is_active ? "" : "moderation-rule-paused"}`}>
+              <div className="saved-replies-item-main">
+                <div className="saved-replies-item-title">
+                  <strong>{rule.name}</strong>
+                  <span className="saved-replies-category">{ACTION_LABELS[rule.action]}</span>
+                  {!rule.is_active && <span className="saved-replies-category">Paused</span>}
+                </div>
+                <p>{describeRule(rule)}</p>
+                <span className="saved-replies-usage">
+                  {ruleTypes[rule.rule_type]?.label || rule.rule_type}
+                  {rule.platforms?.length > 0 ? ` · ${rule.platforms.join(", ")}` : " · All platforms"}
+                </span>
+              </div>
+              {canManageRules && (
+                <div className="saved-replies-item-actions">
+                  <button className="cp-action-btn" onClick={() => handleToggle(rule)} title={rule.is_active ? "Pause rule" : "Resume rule"}>
+                    {rule.is_active ? "Pause" : "Resume"}
+                  </button>
+                  <button className="cp-action-btn" onClick={() => startEdit(rule)} title="Edit rule">
+                    <FaEdit size={14} />
+                  </button>
+                  <button className="cp-action-btn cp-delete-action" onClick={() => handleDelete(rule)} title="Delete rule">
+                    <FaTrash size={14} />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+
+  return (
+    <>
+      <div className="saved-replies-overlay" onClick={onClose} />
+      <div className="saved-replies-modal" role="dialog" aria-label="Comment moderation">
+        <div className="saved-replies-header">
+          <div>
+            <h2>Comment Moderation</h2>
+            <p>Rules run on every new comment; review what they caught here</p>
+          </div>
+          <button className="saved-replies-close" onClick={onClose} title="Close">
+            <FaTimes size={16} />
+          </button>
+        </div>
+
+        <div className="mp-filter-tabs moderation-tabs">
+          <button className={`mp-filter-tab ${tab === "queue" ? "active" : ""}`} onClick={() => { setTab("queue"); cancelEdit(); }}>
+            Review queue
+          </button>
+          <button className={`mp-filter-tab ${tab === "rules" ? "active" : ""}`} onClick={() => setTab("rules")}>
+            Rules
+          </button>
+        </div>
+
+        {error && <div className="saved-replies-error">{error}</div>}
+
+        {tab === "queue" ? renderQueue() : renderRules()}
+      </div>
+    </>
+  );
+};
+
+export default ModerationManager;
@@ -0,0 +1,222 @@
+import { useState } from "react";
+import { FaTimes, FaTrash, FaEdit, FaPlus } from "react-icons/fa";
+import { baseURL } from "../../utils/constants";
+import { useSavedReplies, useInvalidateQueries } from "../../hooks/useQueries";
+
+const EMPTY_FORM = { name: "", category: "", body: "", linkUrl: "" };
+
+/**
+ * SavedRepliesManager
+ *
+ * Modal for the workspace's saved reply library: create, edit and delete
+ * replies and see how often each one is used.
+ *
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {function} onClose - Callback when the modal is closed
+ * @param {string} workspaceId - Workspace whose replies to manage
+ */
+export const SavedRepliesManager = ({ isOpen, onClose, workspaceId }) => {
+  const { data, isLoading } = useSavedReplies(workspaceId, { enabled: isOpen });
+  const { invalidateSavedReplies } = useInvalidateQueries();
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!isOpen) return null;
+
+  const replies = data?.replies || [];
+  const categories = data?.categories || [];
+  const variables = data?.variables || {};
+  const showForm = editingId !== null;
+
+  const startEdit = (reply) => {
+    setEditingId(reply ? reply.id : "new");
+    setForm(reply
+      ? { name: reply.name, category: reply.category || "", body: reply.body, linkUrl: reply.link_url || "" }
+      : EMPTY_FORM);
+    setError(null);
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setError(null);
+  };
+
+  const insertVariable = (name) => {
+    setForm(prev => ({ ...prev, body: `${prev.body}{{${name}}}` }));
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.body.trim() || saving) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      const isNew = editingId === "new";
+      const response = await fetch(`${baseURL}/api/saved-replies`, {
+        method: isNew ? "POST" : "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          workspaceId,
+          ...(isNew ? {} : { replyId: editingId }),
+          name: form.name,
+          category: form.category,
+          body: form.body,
+          linkUrl: form.linkUrl.trim() || null
+        })
+      });
+
+      const raw = await response.json();
+      if (!response.ok) {
+        throw new Error(raw.error || "Failed to save reply");
+      }
+
+      invalidateSavedReplies(workspaceId);
+      cancelEdit();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (reply) => {
+    if (!window.confirm(`Delete the saved reply "${reply.name}"?`)) return;
+
+    try {
+      const params = new URLSearchParams({ workspaceId, replyId: reply.id });
+      const response = await fetch(`${baseURL}/api/saved-replies?${params}`, { method: "DELETE" });
+      if (!response.ok) throw new Error("Failed to delete reply");
+      invalidateSavedReplies(workspaceId);
+      if (editingId === reply.id) cancelEdit();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <div className="saved-replies-overlay" onClick={onClose} />
+      <div className="saved-replies-modal" role="dialog" aria-label="Saved replies">
+        <div className="saved-replies-header">
+          <div>
+            <h2>Saved Replies</h2>
+            <p>Type <kbd>/</kbd> or press <kbd>Ctrl</kbd>+<kbd>/</kbd> in a reply box to use one</p>
+          </div>
+          <button className="saved-replies-close" onClick={onClose} title="Close">
+            <FaTimes size={16} />
+          </button>
+        </div>
+
+        {error && <div className="saved-replies-error">{error}</div>}
+
+        {showForm ? (
+          <div className="saved-replies-form">
+            <label>
+              Name
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Shipping times"
+                maxLength={100}
+              />
+            </label>
+            <label>
+              Category
+              <input
+                type="text"
+                list="saved-reply-categories"
+                value={form.category}
+                onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+                placeholder="e.g. Support"
+                maxLength={50}
+              />
+              <datalist id="saved-reply-categories">
+                {categories.map(category => <option key={category} value={category} />)}
+              </datalist>
+            </label>
+            <label>
+              Reply
+              <textarea
+                value={form.body}
+                onChange={(e) => setForm(prev => ({ ...prev, body: e.target.value }))}
+                placeholder="Hi {{first_name}}, thanks for reaching out to {{brand_name}}!"
+                rows={5}
+                maxLength={2000}
+              />
+            </label>
+            <div className="saved-replies-variables">
+              {Object.entries(variables).map(([name, description]) => (
+                <button key={name} type="button" title={description} onClick={() => insertVariable(name)}>
+                  {`{{${name}}}`}
+                </button>
+              ))}
+            </div>
+            <label>
+              Link URL <span className="saved-replies-optional">(used for {"{{link}}"}, sent as a tracked short link)</span>
+              <input
+                type="url"
+                value={form.linkUrl}
+                onChange={(e) => setForm(prev => ({ ...prev, linkUrl: e.target.value }))}
+                placeholder="https://"
+              />
+            </label>
+            <div className="saved-replies-form-actions">
+              <button className="cp-btn-cancel" onClick={cancelEdit}>Cancel</button>
+              <button
+                className="cp-btn-submit"
+                onClick={handleSave}
+                disabled={!form.name.trim() || !form.body.trim() || saving}
+              >
+                {saving ? "Saving..." : "Save Reply"}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <button className="saved-replies-new" onClick={() => startEdit(null)}>
+              <FaPlus size={12} /> New saved reply
+            </button>
+
+            {isLoading ? (
+              <div className="saved-replies-empty">Loading saved replies...</div>
+            ) : replies.length === 0 ? (
+              <div className="saved-replies-empty">No saved replies yet</div>
+            ) : (
+              <div className="saved-replies-list">
+                {replies.map(reply => (
+                  <div key={reply.id} className="saved-replies-item">
+                    <div className="saved-replies-item-main">
+                      <div className="saved-replies-item-title">
+                        <strong>{reply.name}</strong>
+                        {reply.category && <span className="saved-replies-category">{reply.category}</span>}
+                      </div>
+                      <p>{reply.body}</p>
+                      <span className="saved-replies-usage">
+                        Used {reply.usage_count} {reply.usage_count === 1 ? "time" : "times"}
+                        {reply.last_used_at && ` · last ${new Date(reply.last_used_at).toLocaleDateString()}`}
+                      </span>
+                    </div>
+                    <div className="saved-replies-item-actions">
+                      <button className="cp-action-btn" onClick={() => startEdit(reply)} title="Edit reply">
+                        <FaEdit size={14} />
+                      </button>
+                      <button className="cp-action-btn cp-delete-action" onClick={() => handleDelete(reply)} title="Delete reply">
+                        <FaTrash size={14} />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default SavedRepliesManager;
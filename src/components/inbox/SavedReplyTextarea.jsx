@@ -0,0 +1,202 @@
+import { useState, useRef, useMemo } from "react";
+import { useSavedReplies } from "../../hooks/useQueries";
+
+const UNCATEGORIZED = "Uncategorized";
+
+/**
+ * SavedReplyTextarea
+ *
+ * A reply textarea with a saved reply picker. Typing "/" in an empty box
+ * (the rest of the text filters the list) or pressing Ctrl+/ opens it;
+ * arrow keys move, Enter inserts, Escape closes. The reply is inserted with
+ * its {{variables}} intact - the send endpoint expands them, so pass the
+ * id reported by onSavedReplyChange along with the text.
+ *
+ * @param {string} workspaceId - Workspace whose saved replies to offer
+ * @param {string} value - Textarea value
+ * @param {function} onChange - Called with the new text
+ * @param {function} onSavedReplyChange - Called with the inserted reply's id, or null when the box is cleared
+ * @param {boolean} enablePicker - Set false to use as a plain textarea (e.g. internal notes)
+ */
+export const SavedReplyTextarea = ({
+  workspaceId,
+  value,
+  onChange,
+  onSavedReplyChange,
+  onKeyDown,
+  enablePicker = true,
+  ...textareaProps
+}) => {
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const [slashMode, setSlashMode] = useState(false);
+  const [search, setSearch] = useState("");
+  const [highlighted, setHighlighted] = useState(0);
+  const textareaRef = useRef(null);
+
+  const { data } = useSavedReplies(workspaceId, { enabled: enablePicker });
+  const replies = useMemo(() => data?.replies || [], [data]);
+
+  const query = (slashMode ? value.slice(1) : search).trim().toLowerCase();
+
+  // Grouped by category; the API already orders replies by usage
+  const groups = useMemo(() => {
+    const matches = replies.filter(reply =>
+      !query ||
+      reply.name.toLowerCase().includes(query) ||
+      (reply.category || "").toLowerCase().includes(query) ||
+      reply.body.toLowerCase().includes(query)
+    );
+
+    const byCategory = {};
+    for (const reply of matches) {
+      const category = reply.category || UNCATEGORIZED;
+      (byCategory[category] = byCategory[category] || []).push(reply);
+    }
+
+    return Object.keys(byCategory)
+      .sort((a, b) => (a === UNCATEGORIZED) - (b === UNCATEGORIZED) || a.localeCompare(b))
+      .map(category => ({ category, replies: byCategory[category] }));
+  }, [replies, query]);
+
+  const flatReplies = groups.flatMap(group => group.replies);
+
+  const openPicker = (fromSlash) => {
+    setSlashMode(fromSlash);
+    setSearch("");
+    setHighlighted(0);
+    setPickerOpen(true);
+  };
+
+  const closePicker = () => {
+    setPickerOpen(false);
+    setSlashMode(false);
+  };
+
+  const insertReply = (reply) => {
+    if (slashMode) {
+      onChange(reply.body);
+    } else {
+      const textarea = textareaRef.current;
+      const start = textarea?.selectionStart ?? value.length;
+      const end = textarea?.selectionEnd ?? value.length;
+      onChange(value.slice(0, start) + reply.body + value.slice(end));
+    }
+    onSavedReplyChange?.(reply.id);
+    closePicker();
+    textareaRef.current?.focus();
+  };
+
+  // Returns true when the picker handled the key
+  const handlePickerKey = (e) => {
+    if (e.key === "ArrowDown") {
+      setHighlighted(i => Math.min(i + 1, flatReplies.length - 1));
+    } else if (e.key === "ArrowUp") {
+      setHighlighted(i => Math.max(i - 1, 0));
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      if (!flatReplies[highlighted]) return false;
+      insertReply(flatReplies[highlighted]);
+    } else if (e.key === "Escape") {
+      closePicker();
+      textareaRef.current?.focus();
+    } else {
+      return false;
+    }
+    e.preventDefault();
+    return true;
+  };
+
+  const handleTextareaKeyDown = (e) => {
+    if (enablePicker && e.key === "/" && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      if (pickerOpen) closePicker();
+      else openPicker(false);
+      return;
+    }
+    if (pickerOpen && slashMode && handlePickerKey(e)) return;
+    onKeyDown?.(e);
+  };
+
+  const handleTextareaChange = (e) => {
+    const next = e.target.value;
+
+    if (enablePicker && !pickerOpen && value === "" && next === "/") {
+      openPicker(true);
+    } else if (slashMode && !next.startsWith("/")) {
+      closePicker();
+    }
+
+    if (!next.trim()) onSavedReplyChange?.(null);
+    if (slashMode) setHighlighted(0);
+    onChange(next);
+  };
+
+  return (
+    <div className="saved-reply-textarea">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={handleTextareaChange}
+        onKeyDown={handleTextareaKeyDown}
+        {...textareaProps}
+      />
+
+      {pickerOpen && (
+        <div className="saved-reply-picker" role="listbox">
+          {!slashMode && (
+            <input
+              type="text"
+              className="saved-reply-picker-search"
+              placeholder="Search saved replies..."
+              value={search}
+              onChange={(e) => {
+                setSearch(e.target.value);
+                setHighlighted(0);
+              }}
+              onKeyDown={handlePickerKey}
+              onBlur={closePicker}
+              autoFocus
+            />
+          )}
+
+          {flatReplies.length === 0 ? (
+            <div className="saved-reply-picker-empty">
+              {replies.length === 0 ? "No saved replies yet" : "No saved replies match"}
+            </div>
+          ) : (
+            <div className="saved-reply-picker-list">
+              {groups.map(group => (
+                <div key={group.category}>
+                  <div className="saved-reply-picker-category">{group.category}</div>
+                  {group.replies.map(reply => {
+                    const index = flatReplies.indexOf(reply);
+                    return (
+                      <div
+                        key={reply.id}
+                        role="option"
+                        aria-selected={index === highlighted}
+                        className={`saved-reply-picker-item ${index === highlighted ? "active" : ""}`}
+                        onMouseEnter={() => setHighlighted(index)}
+                        onMouseDown={(e) => {
+                          // Keep focus (and the slash text) until the reply is inserted
+                          e.preventDefault();
+                          insertReply(reply);
+                        }}
+                      >
+                        <span className="saved-reply-picker-name">{reply.name}</span>
+                        <span className="saved-reply-picker-body">{reply.body}</span>
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="saved-reply-picker-hint">↑↓ to choose · Enter to insert · Esc to close</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedReplyTextarea;
@@ -1,10 +1,16 @@
+import { useState } from "react";
+import { FaBolt, FaShieldAlt } from "react-icons/fa";
 import { useWorkspace } from "../../contexts/WorkspaceContext";
 import { CommentsPanel } from "./CommentsPanel";
+import { SavedRepliesManager } from "./SavedRepliesManager";
+import { ModerationManager } from "./ModerationManager";
 import "./UnifiedInboxContent.css";
 
 export const UnifiedInboxContent = () => {
-  const { activeWorkspace } = useWorkspace();
+  const { activeWorkspace, canCreatePost, hasRolePermission } = useWorkspace();
   const workspaceId = activeWorkspace?.id;
+  const [showSavedReplies, setShowSavedReplies] = useState(false);
+  const [showModeration, setShowModeration] = useState(false);
 
   if (!workspaceId) {
     return (
@@ -28,12 +34,35 @@ export const UnifiedInboxContent = () => {
             Manage comments across your social platforms
           </p>
         </div>
+        {canCreatePost() && (
+          <div className="unified-inbox-header-actions">
+            <button className="unified-inbox-refresh-btn" onClick={() => setShowSavedReplies(true)}>
+              <FaBolt size={12} /> Saved Replies
+            </button>
+            <button className="unified-inbox-refresh-btn" onClick={() => setShowModeration(true)}>
+              <FaShieldAlt size={12} /> Moderation
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Content */}
       <div className="unified-inbox-content">
         <CommentsPanel />
       </div>
+
+      <SavedRepliesManager
+        isOpen={showSavedReplies}
+        onClose={() => setShowSavedReplies(false)}
+        workspaceId={workspaceId}
+      />
+
+      <ModerationManager
+        isOpen={showModeration}
+        onClose={() => setShowModeration(false)}
+        workspaceId={workspaceId}
+        canManageRules={hasRolePermission('canManageSettings')}
+      />
     </div>
   );
 };
@@ -26,10 +26,13 @@ export const Sidebar = () => {
     { name: "Schedule", path: "/schedule", tabName: "schedule" },
     { name: "Posts", path: "/posts", tabName: "posts" },
     { name: "Assets", path: "/assets", tabName: "assets" },
+    { name: "Analytics", path: "/analytics", tabName: "analytics" },
     { name: "Social Inbox", path: "/social-inbox", tabName: "social-inbox" },
+    { name: "Automation", path: "/automation", tabName: "automation", ownerAdminOnly: true },
     { name: "Team", path: "/team", tabName: "team", requiresSubscriptionOrTeam: true },
     { name: "Approvals", path: "/approvals", tabName: "approvals", requiresSubscriptionOrTeam: true },
-    { name: "Settings", path: "/settings", tabName: "settings", ownerAdminOnly: true }
+    { name: "Settings", path: "/settings", tabName: "settings", ownerAdminOnly: true },
+    { name: "Audit Log", path: "/audit-log", tabName: "audit-log", ownerAdminOnly: true }
   ];
 
   // Filter menu items based on subscription tier, role, and team status
@@ -0,0 +1,314 @@
+import { useState, useEffect, useCallback } from "react";
+import { useToast } from "@chakra-ui/react";
+import { useWorkspace } from "../../contexts/WorkspaceContext";
+import { baseURL } from "../../utils/constants";
+import { TIMEZONES } from "../../utils/timezones";
+import { ConfirmDialog } from "../ui/ConfirmDialog";
+import "./QueueManager.css";
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Same keys the compose network selector uses
+const PLATFORMS = {
+  facebook: "Facebook",
+  instagram: "Instagram",
+  twitter: "X",
+  linkedin: "LinkedIn",
+  tiktok: "TikTok",
+  youtube: "YouTube",
+  pinterest: "Pinterest",
+  threads: "Threads",
+  bluesky: "Bluesky",
+  googleBusiness: "Google Business"
+};
+
+const newSlot = () => ({ day: 1, time: "09:00", platforms: ["linkedin"] });
+
+const emptyForm = (timezone) => ({
+  id: null,
+  name: "",
+  timezone: timezone || "UTC",
+  minRepeatGapDays: 30,
+  slots: [newSlot()]
+});
+
+const describeSlot = (slot) =>
+  `${DAYS[slot.day]} ${slot.time} on ${slot.platforms.map((p) => PLATFORMS[p] || p).join(", ")}`;
+
+/**
+ * Content queues for the active workspace: weekly publishing slots that
+ * posts can be added to from the schedule modal in Compose.
+ */
+export const QueueManager = () => {
+  const { activeWorkspace, workspaceMembership } = useWorkspace();
+  const toast = useToast();
+
+  const [queues, setQueues] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [form, setForm] = useState(null);
+  const [deleteConfirm, setDeleteConfirm] = useState({ isOpen: false, queue: null });
+
+  const canManage = workspaceMembership?.role === "owner";
+  const workspaceId = activeWorkspace?.id;
+
+  const fetchQueues = useCallback(async () => {
+    if (!workspaceId) return;
+    const res = await fetch(`${baseURL}/api/queues?workspaceId=${workspaceId}`);
+    const payload = await res.json();
+    if (!res.ok) throw new Error(payload.error || "Failed to load queues");
+    setQueues(payload.data?.queues || []);
+  }, [workspaceId]);
+
+  useEffect(() => {
+    if (!workspaceId) return;
+    setIsLoading(true);
+    fetchQueues()
+      .catch((error) => {
+        toast({ title: "Error", description: error.message, status: "error", duration: 4000, isClosable: true });
+      })
+      .finally(() => setIsLoading(false));
+  }, [workspaceId, fetchQueues, toast]);
+
+  const apiRequest = async (method, body, query = "") => {
+    const res = await fetch(`${baseURL}/api/queues${query}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify({ workspaceId, ...body }) : undefined
+    });
+    const payload = await res.json();
+    if (!res.ok) throw new Error(payload.error || "Request failed");
+    return payload.data;
+  };
+
+  const updateSlot = (index, changes) => {
+    setForm((prev) => ({
+      ...prev,
+      slots: prev.slots.map((slot, i) => (i === index ? { ...slot, ...changes } : slot))
+    }));
+  };
+
+  const toggleSlotPlatform = (index, platform) => {
+    const slot = form.slots[index];
+    const platforms = slot.platforms.includes(platform)
+      ? slot.platforms.filter((p) => p !== platform)
+      : [...slot.platforms, platform];
+    updateSlot(index, { platforms });
+  };
+
+  const startEdit = (queue) => {
+    setForm({
+      id: queue.id,
+      name: queue.name,
+      timezone: queue.timezone,
+      minRepeatGapDays: queue.min_repeat_gap_days,
+      slots: queue.slots
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const body = {
+        name: form.name,
+        timezone: form.timezone,
+        minRepeatGapDays: Number(form.minRepeatGapDays),
+        slots: form.slots.map((slot) => ({ ...slot, day: Number(slot.day) }))
+      };
+      if (form.id) {
+        await apiRequest("PATCH", { queueId: form.id, ...body });
+      } else {
+        await apiRequest("POST", body);
+      }
+      // Reload so next_slot and queued_count are fresh
+      await fetchQueues();
+      setForm(null);
+      toast({ title: form.id ? "Queue updated" : "Queue created", status: "success", duration: 3000 });
+    } catch (error) {
+      toast({ title: "Could not save queue", description: error.message, status: "error", duration: 5000, isClosable: true });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (queue) => {
+    try {
+      await apiRequest("PATCH", { queueId: queue.id, isActive: !queue.is_active });
+      await fetchQueues();
+    } catch (error) {
+      toast({ title: "Could not update queue", description: error.message, status: "error", duration: 5000, isClosable: true });
+    }
+  };
+
+  const handleDelete = async () => {
+    const queue = deleteConfirm.queue;
+    setDeleteConfirm({ isOpen: false, queue: null });
+    try {
+      await apiRequest("DELETE", null, `?workspaceId=${workspaceId}&queueId=${queue.id}`);
+      setQueues((prev) => prev.filter((q) => q.id !== queue.id));
+      toast({ title: "Queue deleted", status: "success", duration: 3000 });
+    } catch (error) {
+      toast({ title: "Could not delete queue", description: error.message, status: "error", duration: 5000, isClosable: true });
+    }
+  };
+
+  return (
+    <div className="queue-manager">
+      <div className="queue-manager-header">
+        <p className="queue-manager-subtitle">
+          Add posts to a queue from Compose and they take the next free slot. Evergreen posts go back to the end of the queue after they publish.
+        </p>
+        {canManage && !form && (
+          <button className="queue-btn primary" onClick={() => setForm(emptyForm(activeWorkspace?.timezone))}>
+            New queue
+          </button>
+        )}
+      </div>
+
+      {form && canManage && (
+        <form className="queue-form" onSubmit={handleSave}>
+          <label className="queue-field">
+            <span>Name</span>
+            <input
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="e.g. Tips"
+              maxLength={100}
+              required
+            />
+          </label>
+
+          <label className="queue-field">
+            <span>Timezone</span>
+            <select value={form.timezone} onChange={(e) => setForm({ ...form, timezone: e.target.value })}>
+              {!TIMEZONES.some((tz) => tz.value === form.timezone) && (
+                <option value={form.timezone}>{form.timezone}</option>
+              )}
+              {TIMEZONES.map((tz) => (
+                <option key={tz.value} value={tz.value}>{tz.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="queue-field">
+            <span>Days between evergreen repeats</span>
+            <input
+              type="number"
+              min="1"
+              max="365"
+              value={form.minRepeatGapDays}
+              onChange={(e) => setForm({ ...form, minRepeatGapDays: e.target.value })}
+              required
+            />
+          </label>
+
+          <div className="queue-field full">
+            <span>Slots</span>
+            {form.slots.map((slot, index) => (
+              <div key={index} className="queue-slot-row">
+                <select value={slot.day} onChange={(e) => updateSlot(index, { day: Number(e.target.value) })}>
+                  {DAYS.map((day, value) => (
+                    <option key={day} value={value}>{day}</option>
+                  ))}
+                </select>
+                <input
+                  type="time"
+                  value={slot.time}
+                  onChange={(e) => updateSlot(index, { time: e.target.value })}
+                  required
+                />
+                <div className="queue-slot-platforms">
+                  {Object.entries(PLATFORMS).map(([key, label]) => (
+                    <label key={key} className="queue-slot-platform">
+                      <input
+                        type="checkbox"
+                        checked={slot.platforms.includes(key)}
+                        onChange={() => toggleSlotPlatform(index, key)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  className="queue-btn danger"
+                  onClick={() => setForm({ ...form, slots: form.slots.filter((_, i) => i !== index) })}
+                  disabled={form.slots.length === 1}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="queue-btn"
+              onClick={() => setForm({ ...form, slots: [...form.slots, newSlot()] })}
+            >
+              Add slot
+            </button>
+          </div>
+
+          <div className="queue-form-actions full">
+            <button type="button" className="queue-btn" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+            <button type="submit" className="queue-btn primary" disabled={isSaving}>
+              {isSaving ? "Saving..." : form.id ? "Save queue" : "Create queue"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <p className="queue-empty">Loading...</p>
+      ) : queues.length === 0 ? (
+        <p className="queue-empty">No queues yet.{canManage ? " Create one to get started." : ""}</p>
+      ) : (
+        <div className="queue-list">
+          {queues.map((queue) => (
+            <div key={queue.id} className={`queue-card ${queue.is_active ? "" : "inactive"}`}>
+              <div className="queue-card-info">
+                <h3 className="queue-card-name">{queue.name}</h3>
+                <ul className="queue-card-slots">
+                  {queue.slots.map((slot) => (
+                    <li key={`${slot.day}-${slot.time}`}>{describeSlot(slot)}</li>
+                  ))}
+                </ul>
+                <p className="queue-card-meta">
+                  {queue.timezone} · {queue.queued_count} queued ·{" "}
+                  {queue.is_active
+                    ? queue.next_slot
+                      ? `next free slot ${new Date(queue.next_slot.at).toLocaleString()}`
+                      : "no free slots"
+                    : "paused"}
+                  {" "}· evergreen repeats at least {queue.min_repeat_gap_days} days apart
+                </p>
+              </div>
+              {canManage && (
+                <div className="queue-card-actions">
+                  <button className="queue-btn" onClick={() => startEdit(queue)}>Edit</button>
+                  <button className="queue-btn" onClick={() => handleToggle(queue)}>
+                    {queue.is_active ? "Pause" : "Resume"}
+                  </button>
+                  <button className="queue-btn danger" onClick={() => setDeleteConfirm({ isOpen: true, queue })}>
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={deleteConfirm.isOpen}
+        onClose={() => setDeleteConfirm({ isOpen: false, queue: null })}
+        onConfirm={handleDelete}
+        title="Delete queue"
+        message={`Delete "${deleteConfirm.queue?.name}"? Posts already queued keep their scheduled times.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
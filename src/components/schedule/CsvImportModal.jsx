@@ -0,0 +1,160 @@
+import { useState } from "react";
+import { Modal, ModalOverlay, ModalContent, ModalHeader, ModalCloseButton, ModalBody, ModalFooter, Button, useToast } from "@chakra-ui/react";
+import { baseURL } from "../../utils/constants";
+import "./CsvImportModal.css";
+
+const COLUMN_HELP = [
+  ["text", "Post text (required)"],
+  ["platforms", "Comma separated, e.g. linkedin, twitter, instagram (required)"],
+  ["scheduled_time", "YYYY-MM-DD HH:MM in the workspace timezone (required for scheduled posts)"],
+  ["media_urls", "Public http(s) URLs separated by | or spaces"],
+  ["instagram_type", "feed, story or reel (required for Instagram)"],
+  ["thread_post", "true/false - thread long X posts"],
+  ["thread_numbers", "true/false - add 1/n numbering to threads"]
+];
+
+/**
+ * Import posts from a CSV file as scheduled posts or drafts.
+ * Rows are all-or-nothing unless the user chooses to skip the invalid ones.
+ */
+export const CsvImportModal = ({ isOpen, onClose, workspaceId, onImported }) => {
+  const toast = useToast();
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState("scheduled");
+  const [report, setReport] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const reset = () => {
+    setFile(null);
+    setReport(null);
+    setMode("scheduled");
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const runImport = async (force = false) => {
+    if (!file) return;
+    setIsImporting(true);
+    try {
+      const csv = await file.text();
+      const res = await fetch(`${baseURL}/api/post/import`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ workspaceId, csv, mode, force })
+      });
+      const payload = await res.json();
+      if (!res.ok) throw new Error(payload.error || "Import failed");
+
+      const result = payload.data;
+      if (result.imported > 0) {
+        toast({
+          title: `Imported ${result.imported} ${mode === "draft" ? "draft" : "post"}${result.imported === 1 ? "" : "s"}`,
+          description: result.skipped > 0 ? `${result.skipped} row(s) with errors were skipped` : undefined,
+          status: "success",
+          duration: 4000,
+          isClosable: true
+        });
+        onImported?.();
+        handleClose();
+      } else {
+        setReport(result);
+      }
+    } catch (error) {
+      toast({ title: "Import failed", description: error.message, status: "error", duration: 5000, isClosable: true });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const validCount = report ? report.total - report.skipped : 0;
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} size="xl" isCentered scrollBehavior="inside">
+      <ModalOverlay bg="rgba(0, 0, 0, 0.6)" backdropFilter="blur(4px)" />
+      <ModalContent className="csv-import-modal">
+        <ModalHeader>Import posts from CSV</ModalHeader>
+        <ModalCloseButton />
+
+        <ModalBody>
+          <div className="csv-import-field">
+            <label htmlFor="csv-import-file">CSV file</label>
+            <input
+              id="csv-import-file"
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => {
+                setFile(e.target.files?.[0] || null);
+                setReport(null);
+              }}
+            />
+          </div>
+
+          <div className="csv-import-field">
+            <label htmlFor="csv-import-mode">Import as</label>
+            <select
+              id="csv-import-mode"
+              value={mode}
+              onChange={(e) => {
+                setMode(e.target.value);
+                setReport(null);
+              }}
+            >
+              <option value="scheduled">Scheduled posts</option>
+              <option value="draft">Drafts</option>
+            </select>
+          </div>
+
+          {report ? (
+            <div className="csv-import-report">
+              <p className="csv-import-report-summary">
+                {report.skipped} of {report.total} row{report.total === 1 ? "" : "s"} have errors, so nothing was imported.
+              </p>
+              <table className="csv-import-errors">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.errors.map((rowError) => (
+                    <tr key={rowError.row}>
+                      <td>{rowError.row}</td>
+                      <td>{rowError.errors.join("; ")}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="csv-import-help">
+              <p>Columns (the same format as Export CSV):</p>
+              <ul>
+                {COLUMN_HELP.map(([column, description]) => (
+                  <li key={column}><code>{column}</code> - {description}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </ModalBody>
+
+        <ModalFooter className="csv-import-footer">
+          <Button variant="ghost" onClick={handleClose}>
+            Cancel
+          </Button>
+          {report && validCount > 0 && (
+            <Button onClick={() => runImport(true)} isLoading={isImporting} variant="outline">
+              Import {validCount} valid row{validCount === 1 ? "" : "s"} only
+            </Button>
+          )}
+          <Button onClick={() => runImport(false)} isDisabled={!file} isLoading={isImporting} colorScheme="purple">
+            {report ? "Check again" : "Import"}
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
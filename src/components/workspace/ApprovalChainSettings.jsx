@@ -0,0 +1,230 @@
+import { useState, useEffect } from "react";
+import { useToast } from "@chakra-ui/react";
+import { useWorkspace } from "../../contexts/WorkspaceContext";
+import { baseURL } from "../../utils/constants";
+import "./ApprovalChainSettings.css";
+
+// Same keys the compose network selector uses
+const PLATFORMS = {
+  facebook: "Facebook",
+  instagram: "Instagram",
+  twitter: "X",
+  linkedin: "LinkedIn",
+  tiktok: "TikTok",
+  youtube: "YouTube",
+  pinterest: "Pinterest",
+  threads: "Threads",
+  bluesky: "Bluesky",
+  googleBusiness: "Google Business"
+};
+
+const ROLES = {
+  owner: "Owners",
+  member: "Members",
+  viewer: "Clients"
+};
+
+const newStage = () => ({
+  name: "",
+  approverIds: [],
+  roles: [],
+  rule: "any",
+  skipPlatforms: [],
+  skipTags: []
+});
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+
+/**
+ * Approval chain editor for workspace settings: the ordered stages a post
+ * goes through before it is scheduled. An empty chain keeps the final
+ * approver / client approval flow.
+ */
+export const ApprovalChainSettings = () => {
+  const { activeWorkspace, workspaceMembership, workspaceMembers, refreshMembers, refreshWorkspaces } = useWorkspace();
+  const toast = useToast();
+
+  const [stages, setStages] = useState([]);
+  const [tagDrafts, setTagDrafts] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const canManage = workspaceMembership?.role === "owner";
+  const workspaceId = activeWorkspace?.id;
+
+  useEffect(() => {
+    const chain = activeWorkspace?.approval_chain || [];
+    setStages(chain);
+    setTagDrafts(chain.map((stage) => stage.skipTags.join(", ")));
+  }, [activeWorkspace?.approval_chain]);
+
+  useEffect(() => {
+    if (canManage && workspaceId) refreshMembers();
+  }, [canManage, workspaceId, refreshMembers]);
+
+  if (!canManage) return null;
+
+  const updateStage = (index, changes) => {
+    setStages((prev) => prev.map((stage, i) => (i === index ? { ...stage, ...changes } : stage)));
+  };
+
+  const moveStage = (index, offset) => {
+    const swap = (list) => {
+      const next = [...list];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    };
+    setStages(swap);
+    setTagDrafts(swap);
+  };
+
+  const addStage = () => {
+    setStages((prev) => [...prev, newStage()]);
+    setTagDrafts((prev) => [...prev, ""]);
+  };
+
+  const removeStage = (index) => {
+    setStages((prev) => prev.filter((_, i) => i !== index));
+    setTagDrafts((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const body = {
+        workspaceId,
+        stages: stages.map((stage, index) => ({
+          ...stage,
+          skipTags: (tagDrafts[index] || "").split(",").map((tag) => tag.trim()).filter(Boolean)
+        }))
+      };
+      const res = await fetch(`${baseURL}/api/workspace/approval-chain`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      const payload = await res.json();
+      if (!res.ok) throw new Error(payload.error || "Request failed");
+
+      await refreshWorkspaces();
+      const restarted = payload.data?.restarted || 0;
+      toast({
+        title: "Approval chain saved",
+        description: restarted > 0
+          ? `${restarted} post${restarted !== 1 ? "s" : ""} under review restarted at the first stage.`
+          : undefined,
+        status: "success",
+        duration: 4000
+      });
+    } catch (error) {
+      toast({ title: "Could not save approval chain", description: error.message, status: "error", duration: 5000, isClosable: true });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="approval-chain">
+      <p className="approval-chain-subtitle">
+        Posts go through each stage in order before they are scheduled. Leave this empty to use final approvers and client approval.
+      </p>
+
+      {stages.map((stage, index) => (
+        <div key={index} className="approval-stage">
+          <div className="approval-stage-header">
+            <span className="approval-stage-number">Stage {index + 1}</span>
+            <input
+              className="approval-stage-name"
+              value={stage.name}
+              onChange={(e) => updateStage(index, { name: e.target.value })}
+              placeholder="e.g. Legal review"
+              maxLength={60}
+            />
+            <button type="button" className="approval-chain-btn" onClick={() => moveStage(index, -1)} disabled={index === 0}>
+              Up
+            </button>
+            <button
+              type="button"
+              className="approval-chain-btn"
+              onClick={() => moveStage(index, 1)}
+              disabled={index === stages.length - 1}
+            >
+              Down
+            </button>
+            <button type="button" className="approval-chain-btn danger" onClick={() => removeStage(index)}>
+              Remove
+            </button>
+          </div>
+
+          <div className="approval-stage-field">
+            <span>Approvers</span>
+            <div className="approval-stage-options">
+              {Object.entries(ROLES).map(([role, label]) => (
+                <label key={role} className="approval-stage-option">
+                  <input
+                    type="checkbox"
+                    checked={stage.roles.includes(role)}
+                    onChange={() => updateStage(index, { roles: toggle(stage.roles, role) })}
+                  />
+                  All {label.toLowerCase()}
+                </label>
+              ))}
+              {workspaceMembers.map((member) => (
+                <label key={member.user_id} className="approval-stage-option">
+                  <input
+                    type="checkbox"
+                    checked={stage.approverIds.includes(member.user_id)}
+                    onChange={() => updateStage(index, { approverIds: toggle(stage.approverIds, member.user_id) })}
+                  />
+                  {member.profile?.full_name || member.profile?.email || "Member"}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <label className="approval-stage-field">
+            <span>Sign-off</span>
+            <select value={stage.rule} onChange={(e) => updateStage(index, { rule: e.target.value })}>
+              <option value="any">Any one approver</option>
+              <option value="all">Every approver</option>
+            </select>
+          </label>
+
+          <div className="approval-stage-field">
+            <span>Skip for posts only going to</span>
+            <div className="approval-stage-options">
+              {Object.entries(PLATFORMS).map(([key, label]) => (
+                <label key={key} className="approval-stage-option">
+                  <input
+                    type="checkbox"
+                    checked={stage.skipPlatforms.includes(key)}
+                    onChange={() => updateStage(index, { skipPlatforms: toggle(stage.skipPlatforms, key) })}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <label className="approval-stage-field">
+            <span>Skip for posts tagged</span>
+            <input
+              value={tagDrafts[index] || ""}
+              onChange={(e) => setTagDrafts((prev) => prev.map((draft, i) => (i === index ? e.target.value : draft)))}
+              placeholder="e.g. internal, repost"
+            />
+          </label>
+        </div>
+      ))}
+
+      <div className="approval-chain-actions">
+        <button type="button" className="approval-chain-btn" onClick={addStage} disabled={stages.length >= 8}>
+          Add stage
+        </button>
+        <button type="button" className="approval-chain-btn primary" onClick={handleSave} disabled={isSaving}>
+          {isSaving ? "Saving..." : "Save Approval Chain"}
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,296 @@
+import { useState, useEffect } from "react";
+import { useToast } from "@chakra-ui/react";
+import { useWorkspace } from "../../contexts/WorkspaceContext";
+import { useBioPage, useInvalidateQueries } from "../../hooks/useQueries";
+import { baseURL } from "../../utils/constants";
+import "./BioPageSettings.css";
+
+const MAX_BIO_LINKS = 20;
+
+// A starting address from the workspace name, e.g. "Acme Coffee Co." -> "acme-coffee-co"
+const suggestSlug = (name) =>
+  (name || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 50);
+
+const requestJson = async (url, options) => {
+  const res = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" }
+  });
+  const payload = await res.json();
+  if (!res.ok) throw new Error(payload.error || "Request failed");
+  return payload.data || payload;
+};
+
+/**
+ * Link-in-bio settings: the page's address and visibility, and its managed
+ * links. Logo, colors and description come from the brand profile.
+ */
+export const BioPageSettings = () => {
+  const { activeWorkspace } = useWorkspace();
+  const workspaceId = activeWorkspace?.id;
+  const toast = useToast();
+  const { invalidateBioPage } = useInvalidateQueries();
+
+  const { data, isLoading } = useBioPage(workspaceId);
+  const page = data?.page || null;
+  const links = data?.links || [];
+
+  const [slug, setSlug] = useState("");
+  const [isPublished, setIsPublished] = useState(false);
+  const [showRecentPosts, setShowRecentPosts] = useState(true);
+  const [newLink, setNewLink] = useState({ title: "", url: "" });
+  const [editing, setEditing] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    if (isLoading) return;
+    setSlug(page?.slug || suggestSlug(activeWorkspace?.name));
+    setIsPublished(page?.is_published ?? false);
+    setShowRecentPosts(page?.show_recent_posts ?? true);
+  }, [isLoading, page, activeWorkspace?.name]);
+
+  const showError = (title, error) =>
+    toast({ title, description: error.message, status: "error", duration: 5000, isClosable: true });
+
+  const savePage = async (changes = {}) => {
+    setBusyId("page");
+    try {
+      await requestJson(`${baseURL}/api/bio-page`, {
+        method: "PUT",
+        body: JSON.stringify({ workspaceId, slug, isPublished, showRecentPosts, ...changes })
+      });
+      invalidateBioPage(workspaceId);
+      return true;
+    } catch (error) {
+      showError("Could not save bio page", error);
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSave = async () => {
+    if (await savePage()) {
+      toast({ title: "Bio page saved", status: "success", duration: 3000 });
+    }
+  };
+
+  const handleAddLink = async () => {
+    setBusyId("new-link");
+    try {
+      await requestJson(`${baseURL}/api/bio-page`, {
+        method: "POST",
+        body: JSON.stringify({ workspaceId, ...newLink })
+      });
+      setNewLink({ title: "", url: "" });
+      invalidateBioPage(workspaceId);
+    } catch (error) {
+      showError("Could not add link", error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    setBusyId(editing.id);
+    try {
+      await requestJson(`${baseURL}/api/bio-page`, {
+        method: "PATCH",
+        body: JSON.stringify({ workspaceId, linkId: editing.id, title: editing.title, url: editing.url })
+      });
+      setEditing(null);
+      invalidateBioPage(workspaceId);
+    } catch (error) {
+      showError("Could not update link", error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemoveLink = async (link) => {
+    if (!window.confirm(`Remove "${link.title}" from your bio page?`)) return;
+
+    setBusyId(link.id);
+    try {
+      await requestJson(`${baseURL}/api/bio-page?workspaceId=${workspaceId}&linkId=${link.id}`, {
+        method: "DELETE"
+      });
+      invalidateBioPage(workspaceId);
+    } catch (error) {
+      showError("Could not remove link", error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Order is saved with the page, so moving needs a saved page. Unsaved
+  // edits to the form aren't sent along.
+  const handleMove = (index, direction) => {
+    const order = links.map((link) => link.id);
+    const [moved] = order.splice(index, 1);
+    order.splice(index + direction, 0, moved);
+    savePage({
+      slug: page.slug,
+      isPublished: page.is_published,
+      showRecentPosts: page.show_recent_posts,
+      linkOrder: order
+    });
+  };
+
+  if (isLoading) {
+    return <p className="bio-settings-hint">Loading bio page...</p>;
+  }
+
+  const publicUrl = page ? `${window.location.origin}/bio/${page.slug}` : null;
+
+  return (
+    <div className="bio-settings">
+      <div className="bio-settings-block">
+        <p className="bio-settings-hint">
+          A mobile page for your Instagram and TikTok bios. It uses the logo, colors and description from your Brand Profile,
+          and every link on it is tracked in Analytics.
+        </p>
+
+        <label className="bio-settings-field">
+          <span>Page address</span>
+          <div className="bio-settings-slug">
+            <span className="bio-settings-slug-prefix">{window.location.host}/bio/</span>
+            <input
+              value={slug}
+              onChange={(e) => setSlug(e.target.value.toLowerCase())}
+              className="bio-settings-input"
+              maxLength={50}
+            />
+          </div>
+        </label>
+
+        <label className="bio-settings-toggle">
+          <input type="checkbox" checked={isPublished} onChange={(e) => setIsPublished(e.target.checked)} />
+          <span>Published</span>
+        </label>
+        <label className="bio-settings-toggle">
+          <input type="checkbox" checked={showRecentPosts} onChange={(e) => setShowRecentPosts(e.target.checked)} />
+          <span>Show recent posts that include a short link</span>
+        </label>
+
+        <div className="bio-settings-actions">
+          <button
+            type="button"
+            className="bio-settings-btn primary"
+            onClick={handleSave}
+            disabled={!slug || busyId === "page"}
+          >
+            {busyId === "page" ? "Saving..." : "Save Page"}
+          </button>
+          {publicUrl && page.is_published && (
+            <a className="bio-settings-view" href={publicUrl} target="_blank" rel="noopener noreferrer">
+              View page
+            </a>
+          )}
+        </div>
+      </div>
+
+      <div className="bio-settings-block">
+        <h3 className="bio-settings-block-title">Links</h3>
+
+        {links.length === 0 && <p className="bio-settings-hint">No links yet. Add your website, shop or latest offer.</p>}
+
+        <ul className="bio-settings-links">
+          {links.map((link, index) => (
+            <li key={link.id} className="bio-settings-link">
+              {editing?.id === link.id ? (
+                <>
+                  <input
+                    value={editing.title}
+                    onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                    className="bio-settings-input"
+                    maxLength={80}
+                  />
+                  <input
+                    value={editing.url}
+                    onChange={(e) => setEditing({ ...editing, url: e.target.value })}
+                    className="bio-settings-input"
+                  />
+                  <button type="button" className="bio-settings-btn primary" onClick={handleSaveEdit} disabled={busyId === link.id}>
+                    Save
+                  </button>
+                  <button type="button" className="bio-settings-btn" onClick={() => setEditing(null)}>
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <>
+                  <div className="bio-settings-move">
+                    <button
+                      type="button"
+                      onClick={() => handleMove(index, -1)}
+                      disabled={index === 0 || !page || busyId === "page"}
+                      aria-label="Move up"
+                    >
+                      ▲
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleMove(index, 1)}
+                      disabled={index === links.length - 1 || !page || busyId === "page"}
+                      aria-label="Move down"
+                    >
+                      ▼
+                    </button>
+                  </div>
+                  <div className="bio-settings-link-info">
+                    <span className="bio-settings-link-title">{link.title}</span>
+                    <span className="bio-settings-link-url" title={link.url}>{link.url}</span>
+                  </div>
+                  {link.state !== "active" && <span className="bio-settings-link-state">Hidden ({link.state})</span>}
+                  <span className="bio-settings-link-clicks">{link.clickCount} clicks</span>
+                  <button
+                    type="button"
+                    className="bio-settings-btn"
+                    onClick={() => setEditing({ id: link.id, title: link.title, url: link.url || "" })}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    className="bio-settings-btn danger"
+                    onClick={() => handleRemoveLink(link)}
+                    disabled={busyId === link.id}
+                  >
+                    Remove
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {links.length < MAX_BIO_LINKS && (
+          <div className="bio-settings-add-row">
+            <input
+              value={newLink.title}
+              onChange={(e) => setNewLink({ ...newLink, title: e.target.value })}
+              placeholder="Title, e.g. Shop the new collection"
+              className="bio-settings-input"
+              maxLength={80}
+            />
+            <input
+              value={newLink.url}
+              onChange={(e) => setNewLink({ ...newLink, url: e.target.value })}
+              placeholder="https://"
+              className="bio-settings-input"
+            />
+            <button
+              type="button"
+              className="bio-settings-btn primary"
+              onClick={handleAddLink}
+              disabled={!newLink.title.trim() || !newLink.url.trim() || busyId === "new-link"}
+            >
+              {busyId === "new-link" ? "Adding..." : "Add Link"}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
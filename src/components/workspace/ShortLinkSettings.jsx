@@ -0,0 +1,250 @@
+import { useState } from "react";
+import { useToast } from "@chakra-ui/react";
+import { useWorkspace } from "../../contexts/WorkspaceContext";
+import { useLinkDomains, useShortLinks, useInvalidateQueries } from "../../hooks/useQueries";
+import { baseURL } from "../../utils/constants";
+import "./ShortLinkSettings.css";
+
+const DOMAIN_STATUS_LABELS = {
+  pending: "Waiting for DNS",
+  verified: "Verified",
+  failed: "Not verified"
+};
+
+const LINK_STATE_LABELS = {
+  active: "Active",
+  expired: "Expired",
+  disabled: "Disabled"
+};
+
+// <input type="date"> value for an ISO time, in local time
+const toDateInput = (iso) => {
+  if (!iso) return "";
+  const date = new Date(iso);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+};
+
+const requestJson = async (url, options) => {
+  const res = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" }
+  });
+  const payload = await res.json();
+  if (!res.ok) throw new Error(payload.error || "Request failed");
+  return payload.data || payload;
+};
+
+/**
+ * Short link settings: the workspace's branded link domains (added here,
+ * verified over DNS) and its links, which can be given an expiry date or
+ * disabled.
+ */
+export const ShortLinkSettings = () => {
+  const { activeWorkspace } = useWorkspace();
+  const workspaceId = activeWorkspace?.id;
+  const toast = useToast();
+  const { invalidateLinkDomains, invalidateShortLinks } = useInvalidateQueries();
+
+  const { data: domains = [] } = useLinkDomains(workspaceId);
+  const { data: links = [], isLoading: linksLoading } = useShortLinks(workspaceId);
+
+  const [newDomain, setNewDomain] = useState("");
+  const [busyId, setBusyId] = useState(null);
+
+  const showError = (title, error) =>
+    toast({ title, description: error.message, status: "error", duration: 5000, isClosable: true });
+
+  const handleAddDomain = async () => {
+    setBusyId("new-domain");
+    try {
+      await requestJson(`${baseURL}/api/links/domains`, {
+        method: "POST",
+        body: JSON.stringify({ workspaceId, domain: newDomain })
+      });
+      setNewDomain("");
+      invalidateLinkDomains(workspaceId);
+    } catch (error) {
+      showError("Could not add domain", error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleVerifyDomain = async (domain) => {
+    setBusyId(domain.id);
+    try {
+      const result = await requestJson(`${baseURL}/api/links/verify-domain`, {
+        method: "POST",
+        body: JSON.stringify({ workspaceId, domainId: domain.id })
+      });
+      toast(result.verified
+        ? { title: `${domain.domain} is verified`, status: "success", duration: 3000 }
+        : { title: "Not verified yet", description: result.reason, status: "warning", duration: 6000, isClosable: true });
+      invalidateLinkDomains(workspaceId);
+    } catch (error) {
+      showError("Could not verify domain", error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemoveDomain = async (domain) => {
+    const message = domain.link_count > 0
+      ? `Remove ${domain.domain}? Its ${domain.link_count} short link${domain.link_count !== 1 ? "s" : ""} and their click history will be deleted.`
+      : `Remove ${domain.domain}?`;
+    if (!window.confirm(message)) return;
+
+    setBusyId(domain.id);
+    try {
+      await requestJson(`${baseURL}/api/links/domains?workspaceId=${workspaceId}&domainId=${domain.id}`, {
+        method: "DELETE"
+      });
+      invalidateLinkDomains(workspaceId);
+      invalidateShortLinks(workspaceId);
+    } catch (error) {
+      showError("Could not remove domain", error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const updateLink = async (link, changes) => {
+    setBusyId(link.id);
+    try {
+      await requestJson(`${baseURL}/api/links`, {
+        method: "PATCH",
+        body: JSON.stringify({ workspaceId, linkId: link.id, ...changes })
+      });
+      invalidateShortLinks(workspaceId);
+    } catch (error) {
+      showError("Could not update link", error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Links stop working at the end of the chosen day
+  const handleExpiryChange = (link, value) => {
+    updateLink(link, { expiresAt: value ? new Date(`${value}T23:59:59`).toISOString() : null });
+  };
+
+  return (
+    <div className="short-link-settings">
+      <div className="short-link-block">
+        <h3 className="short-link-block-title">Branded domains</h3>
+        <p className="short-link-hint">
+          Use your own domain for short links, e.g. go.yourbrand.com. Add the DNS records shown, then verify.
+        </p>
+
+        <div className="short-link-add-row">
+          <input
+            value={newDomain}
+            onChange={(e) => setNewDomain(e.target.value)}
+            placeholder="go.yourbrand.com"
+            className="short-link-input"
+          />
+          <button
+            type="button"
+            className="short-link-btn primary"
+            onClick={handleAddDomain}
+            disabled={!newDomain.trim() || busyId === "new-domain"}
+          >
+            {busyId === "new-domain" ? "Adding..." : "Add Domain"}
+          </button>
+        </div>
+
+        {domains.map((domain) => (
+          <div key={domain.id} className="short-link-domain">
+            <div className="short-link-domain-header">
+              <span className="short-link-domain-name">{domain.domain}</span>
+              <span className={`short-link-status ${domain.status}`}>
+                {DOMAIN_STATUS_LABELS[domain.status] || domain.status}
+              </span>
+              <button
+                type="button"
+                className="short-link-btn"
+                onClick={() => handleVerifyDomain(domain)}
+                disabled={busyId === domain.id}
+              >
+                {domain.status === "verified" ? "Check again" : "Verify"}
+              </button>
+              <button
+                type="button"
+                className="short-link-btn danger"
+                onClick={() => handleRemoveDomain(domain)}
+                disabled={busyId === domain.id}
+              >
+                Remove
+              </button>
+            </div>
+
+            {domain.status !== "verified" && (
+              <>
+                {domain.last_error && <p className="short-link-error">{domain.last_error}</p>}
+                <table className="short-link-records">
+                  <thead>
+                    <tr>
+                      <th>Type</th>
+                      <th>Name</th>
+                      <th>Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {domain.records.map((record) => (
+                      <tr key={record.type}>
+                        <td>{record.type}</td>
+                        <td><code>{record.name}</code></td>
+                        <td><code>{record.value}</code></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="short-link-block">
+        <h3 className="short-link-block-title">Links</h3>
+        {linksLoading ? (
+          <p className="short-link-hint">Loading links...</p>
+        ) : links.length === 0 ? (
+          <p className="short-link-hint">Links you shorten in Compose show up here.</p>
+        ) : (
+          <ul className="short-link-list">
+            {links.map((link) => (
+              <li key={link.id} className="short-link-item">
+                <div className="short-link-item-info">
+                  <span className="short-link-item-url">{link.shortLink.replace(/^https?:\/\//, "")}</span>
+                  <span className="short-link-item-target" title={link.original_url}>{link.original_url}</span>
+                </div>
+                <span className="short-link-item-clicks">{link.click_count || 0} clicks</span>
+                <span className={`short-link-status ${link.state}`}>{LINK_STATE_LABELS[link.state]}</span>
+                <label className="short-link-expiry">
+                  <span>Expires</span>
+                  <input
+                    type="date"
+                    value={toDateInput(link.expires_at)}
+                    min={toDateInput(new Date().toISOString())}
+                    onChange={(e) => handleExpiryChange(link, e.target.value)}
+                    disabled={busyId === link.id}
+                  />
+                </label>
+                <button
+                  type="button"
+                  className="short-link-btn"
+                  onClick={() => updateLink(link, { disabled: !link.disabled_at })}
+                  disabled={busyId === link.id}
+                >
+                  {link.disabled_at ? "Enable" : "Disable"}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -11,7 +11,8 @@ import {
   hasRoleTabAccess,
   isClientRole as checkIsClientRole,
   isAdminRole as checkIsAdminRole,
-  canPerformPostAction
+  canPerformPostAction,
+  TAB_PERMISSIONS
 } from '../utils/constants';
 
 const WorkspaceContext = createContext({});
@@ -343,8 +344,14 @@ export const WorkspaceProvider = ({ children }) => {
   const userRole = normalizeRole(rawRole);
   const roleConfig = getRoleConfig(userRole);
 
+  // Permissions resolved by the API (custom role + DB toggles, same rules it
+  // enforces). Older cached memberships don't have them, so fall back below.
+  const effectivePermissions = workspaceMembership?.effective_permissions || null;
+
   // DB toggle values from workspace membership
-  const canApprove = workspaceMembership
+  const canApprove = effectivePermissions
+    ? effectivePermissions.canApprovePosts === true
+    : workspaceMembership
     ? (
         // Viewers with can_approve_posts, members with any approval permission, or owners
         (userRole === TEAM_ROLES.VIEWER && workspaceMembership.can_approve_posts === true) ||
@@ -352,18 +359,23 @@ export const WorkspaceProvider = ({ children }) => {
         userRole === TEAM_ROLES.OWNER
       )
     : false;
-  const canManageTeam = workspaceMembership
+  const canManageTeam = effectivePermissions
+    ? effectivePermissions.canManageTeam === true
+    : workspaceMembership
     ? (userRole === TEAM_ROLES.OWNER || workspaceMembership.can_manage_team === true)
     : false;
 
   // NEW: Final Approver permission
-  const hasFinalApproval = workspaceMembership
+  const hasFinalApproval = effectivePermissions
+    ? effectivePermissions.canFinalApproval === true
+    : workspaceMembership
     ? (userRole === TEAM_ROLES.OWNER || workspaceMembership.can_final_approval === true)
     : false;
 
   // Check if user has a specific permission (toggle-aware)
   const hasRolePermission = useCallback((permissionName) => {
     if (!workspaceMembership) return false;
+    if (effectivePermissions) return effectivePermissions[permissionName] === true;
 
     // Toggle-based permissions — check DB columns
     if (permissionName === 'canApprovePosts') return canApprove;
@@ -380,7 +392,7 @@ export const WorkspaceProvider = ({ children }) => {
 
     // All other permissions — static role lookup
     return hasPermission(userRole, permissionName);
-  }, [userRole, workspaceMembership, canApprove, canManageTeam]);
+  }, [userRole, workspaceMembership, effectivePermissions, canApprove, canManageTeam]);
 
   // Check if user can access a specific tab (toggle-aware)
   const canAccessTab = useCallback((tabName) => {
@@ -391,27 +403,35 @@ export const WorkspaceProvider = ({ children }) => {
       return canApprove;
     }
 
+    // Custom roles can leave out the permission a tab needs
+    if (TAB_PERMISSIONS[tabName] && !hasRolePermission(TAB_PERMISSIONS[tabName])) {
+      return false;
+    }
+
     return hasRoleTabAccess(userRole, tabName);
-  }, [userRole, workspaceMembership, canApprove]);
+  }, [userRole, workspaceMembership, canApprove, hasRolePermission]);
 
   // Check if user can perform action on a post
   const canEditPost = useCallback((postCreatorId) => {
     const isOwnPost = postCreatorId === user?.id;
+    if (effectivePermissions) return effectivePermissions[isOwnPost ? 'canEditOwnPosts' : 'canEditAllPosts'] === true;
     return canPerformPostAction(userRole, 'edit', isOwnPost);
-  }, [userRole, user]);
+  }, [userRole, user, effectivePermissions]);
 
   const canDeletePost = useCallback((postCreatorId) => {
     const isOwnPost = postCreatorId === user?.id;
+    if (effectivePermissions) return effectivePermissions[isOwnPost ? 'canDeleteOwnPosts' : 'canDeleteAllPosts'] === true;
     return canPerformPostAction(userRole, 'delete', isOwnPost);
-  }, [userRole, user]);
+  }, [userRole, user, effectivePermissions]);
 
   const canApprovePost = useCallback(() => {
     return canApprove;
   }, [canApprove]);
 
   const canCreatePost = useCallback(() => {
+    if (effectivePermissions) return effectivePermissions.canCreatePosts === true;
     return canPerformPostAction(userRole, 'create');
-  }, [userRole]);
+  }, [userRole, effectivePermissions]);
 
   // Legacy action checker (for backward compatibility)
   const canPerformAction = useCallback((action) => {
@@ -421,9 +441,9 @@ export const WorkspaceProvider = ({ children }) => {
       case 'manageTeam':
         return canManageTeam;
       case 'manageSettings':
-        return hasPermission(userRole, 'canManageSettings');
+        return hasRolePermission('canManageSettings');
       case 'deletePosts':
-        return hasPermission(userRole, 'canDeleteAllPosts');
+        return hasRolePermission('canDeleteAllPosts');
       case 'isOwner':
         return userRole === TEAM_ROLES.OWNER;
       case 'isAdmin':
@@ -431,7 +451,7 @@ export const WorkspaceProvider = ({ children }) => {
       default:
         return false;
     }
-  }, [userRole, workspaceMembership, canManageTeam]);
+  }, [userRole, workspaceMembership, canManageTeam, hasRolePermission]);
 
   // Check if user is a viewer (client portal) — only when membership data is loaded
   const isClient = workspaceMembership ? checkIsClientRole(userRole) : false;
@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react';
+import { supabase } from '../utils/supabaseClient';
+
+/**
+ * Who else has a draft or post open in Compose, over Supabase Realtime presence.
+ *
+ * This is a soft lock: nothing stops a second editor from saving (version
+ * checks catch conflicting saves), but everyone can see who got there first.
+ *
+ * @param {string|null} resourceKey - e.g. `draft-<id>` or `post-<id>`; null while nothing is open
+ * @param {Object} me - { id, name } of the current user
+ * @returns {{ editors: Array<{ userId: string, name: string, since: string }>, lockHolder: Object|null }}
+ *   editors excludes me; lockHolder is whoever opened it first, if that isn't me
+ */
+export function useEditPresence(resourceKey, me) {
+  const [present, setPresent] = useState([]);
+  const userId = me?.id;
+  const name = me?.name;
+
+  useEffect(() => {
+    if (!resourceKey || !userId) return;
+
+    const since = new Date().toISOString();
+    const channel = supabase.channel(`editing-${resourceKey}`, {
+      config: { presence: { key: userId } }
+    });
+
+    channel
+      .on('presence', { event: 'sync' }, () => {
+        // One entry per user, keeping their earliest open tab
+        const state = channel.presenceState();
+        const users = Object.entries(state).map(([key, metas]) => {
+          const first = [...metas].sort((a, b) => a.since.localeCompare(b.since))[0];
+          return { userId: key, name: first.name, since: first.since };
+        });
+        setPresent(users.sort((a, b) => a.since.localeCompare(b.since)));
+      })
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          channel.track({ name: name || 'A teammate', since });
+        }
+      });
+
+    return () => {
+      setPresent([]);
+      supabase.removeChannel(channel);
+    };
+  }, [resourceKey, userId, name]);
+
+  const editors = present.filter(p => p.userId !== userId);
+  const lockHolder = present[0] && present[0].userId !== userId ? present[0] : null;
+
+  return { editors, lockHolder };
+}
+
+export default useEditPresence;
@@ -1,22 +1,43 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { baseURL } from '../utils/constants';
+import { useInboxRealtime } from './useInboxRealtime';
+import { INBOX_PLATFORMS } from '../utils/inboxConversations';
 
-const SUPPORTED_PLATFORMS = ['facebook', 'instagram', 'twitter'];
-const POLL_INTERVAL = 30000; // 30 seconds
+const SUPPORTED_PLATFORMS = INBOX_PLATFORMS;
+const POLL_INTERVAL = 30000; // 30 seconds, only while the realtime channel is down
+export const CONVERSATION_STATUSES = ['open', 'pending', 'closed'];
+
+/**
+ * Whether a conversation passes the assignment filter
+ * ('all', 'mine' or 'unassigned') and status filter ('all' or a status)
+ */
+export function matchesConversationFilters(conversation, { assignment = 'all', status = 'all', userId } = {}) {
+  if (assignment === 'mine' && (!userId || conversation.assigned_to !== userId)) return false;
+  if (assignment === 'unassigned' && conversation.assigned_to) return false;
+  if (status !== 'all' && (conversation.status || 'open') !== status) return false;
+  return true;
+}
 
 /**
  * Custom hook for managing inbox state and API calls
  *
+ * Conversations and the open thread update live over Supabase Realtime
+ * (useInboxRealtime); polling is only a fallback while the channel is down.
+ *
  * @param {string} workspaceId - Current workspace ID
  * @param {Object} options - Configuration options
- * @param {boolean} options.enablePolling - Enable real-time polling (default: true)
- * @param {number} options.pollInterval - Polling interval in ms (default: 30000)
+ * @param {boolean} options.enableRealtime - Subscribe to live updates (default: true)
+ * @param {boolean} options.enablePolling - Poll when realtime is unavailable (default: true)
+ * @param {number} options.pollInterval - Fallback polling interval in ms (default: 30000)
+ * @param {string} options.userId - Current user, for the "My conversations" filter
  */
 export function useInbox(workspaceId, options = {}) {
   const {
+    enableRealtime = true,
     enablePolling = true,
-    pollInterval = POLL_INTERVAL
+    pollInterval = POLL_INTERVAL,
+    userId
   } = options;
 
   // State
@@ -31,11 +52,28 @@ export function useInbox(workspaceId, options = {}) {
   const [platformStats, setPlatformStats] = useState({});
   const [totalUnread, setTotalUnread] = useState(0);
   const [selectedPlatform, setSelectedPlatform] = useState('all');
+  const [assignmentFilter, setAssignmentFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [notes, setNotes] = useState([]);
+  const [notesLoading, setNotesLoading] = useState(false);
 
   // Refs
   const isMountedRef = useRef(true);
   const queryClient = useQueryClient();
 
+  // New messages in the open thread arrive over realtime. Messages we sent
+  // are already in the list from sendMessage, so skip ids we have.
+  const handleRealtimeMessage = useCallback((message) => {
+    if (!isMountedRef.current || message.is_deleted) return;
+    setMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+  }, []);
+
+  const { connected: realtimeConnected } = useInboxRealtime(workspaceId, {
+    enabled: enableRealtime,
+    conversationId: currentConversation?.id,
+    onMessage: handleRealtimeMessage
+  });
+
   // Use React Query for conversation fetching.
   // Query key matches useInboxUnreadCount when selectedPlatform='all',
   // so React Query deduplicates and only one request hits the server.
@@ -55,7 +93,7 @@ export function useInbox(workspaceId, options = {}) {
     },
     enabled: !!workspaceId,
     staleTime: 1000 * 20,
-    refetchInterval: enablePolling ? pollInterval : false,
+    refetchInterval: enablePolling && !realtimeConnected ? pollInterval : false,
   });
 
   // Sync React Query data into local state (preserves existing component interface)
@@ -176,15 +214,13 @@ export function useInbox(workspaceId, options = {}) {
   /**
    * Mark a conversation as read
    */
-  const markAsRead = useCallback(async (conversationId, userId) => {
+  const markAsRead = useCallback(async (conversationId) => {
     try {
+      // The API marks it read for the signed-in user
       const response = await fetch(`${baseURL}/api/inbox/mark-read`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          conversationId,
-          userId: userId || 'current-user' // Will be replaced with actual user ID
-        })
+        body: JSON.stringify({ conversationId })
       });
 
       if (response.ok) {
@@ -203,6 +239,104 @@ export function useInbox(workspaceId, options = {}) {
     }
   }, []);
 
+  /**
+   * Patch a conversation (assignment/status) and apply the result locally
+   */
+  const updateConversation = useCallback(async (conversationId, changes) => {
+    try {
+      const response = await fetch(`${baseURL}/api/inbox/conversations`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workspaceId, conversationId, ...changes })
+      });
+      const raw = await response.json();
+      if (!response.ok) throw new Error(raw.error || 'Failed to update conversation');
+
+      const updated = (raw.data || raw).conversation;
+      if (isMountedRef.current && updated) {
+        setConversations(prev => prev.map(conv => (conv.id === updated.id ? { ...conv, ...updated } : conv)));
+        setCurrentConversation(prev => (prev?.id === updated.id ? { ...prev, ...updated } : prev));
+      }
+      // Other views of the list (and the sidebar) pick up the change on next fetch
+      queryClient.invalidateQueries({ queryKey: ['inboxConversations', workspaceId] });
+
+      return { success: true, conversation: updated };
+    } catch (err) {
+      console.error('Error updating conversation:', err);
+      return { success: false, error: err.message };
+    }
+  }, [workspaceId, queryClient]);
+
+  /**
+   * Assign a conversation to a member, or pass null to unassign
+   */
+  const assignConversation = useCallback((conversationId, assigneeId) => {
+    return updateConversation(conversationId, { assignedTo: assigneeId });
+  }, [updateConversation]);
+
+  const setConversationStatus = useCallback((conversationId, status) => {
+    return updateConversation(conversationId, { status });
+  }, [updateConversation]);
+
+  /**
+   * Load the internal notes for a conversation
+   */
+  const fetchNotes = useCallback(async (conversationId) => {
+    if (!workspaceId || !conversationId) return;
+
+    setNotesLoading(true);
+    try {
+      const params = new URLSearchParams({ workspaceId, conversationId });
+      const response = await fetch(`${baseURL}/api/inbox/notes?${params}`);
+      const raw = await response.json();
+      if (!response.ok) throw new Error(raw.error || 'Failed to fetch notes');
+      if (isMountedRef.current) setNotes((raw.data || raw).notes || []);
+    } catch (err) {
+      console.error('Error fetching notes:', err);
+      if (isMountedRef.current) setNotes([]);
+    } finally {
+      if (isMountedRef.current) setNotesLoading(false);
+    }
+  }, [workspaceId]);
+
+  const addNote = useCallback(async (noteText) => {
+    if (!currentConversation || !noteText.trim()) {
+      return { success: false, error: 'No conversation selected or note is empty' };
+    }
+
+    try {
+      const response = await fetch(`${baseURL}/api/inbox/notes`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workspaceId, conversationId: currentConversation.id, note: noteText })
+      });
+      const raw = await response.json();
+      if (!response.ok) throw new Error(raw.error || 'Failed to add note');
+
+      const note = (raw.data || raw).note;
+      if (isMountedRef.current && note) setNotes(prev => [...prev, note]);
+      return { success: true, note };
+    } catch (err) {
+      console.error('Error adding note:', err);
+      return { success: false, error: err.message };
+    }
+  }, [workspaceId, currentConversation]);
+
+  const deleteNote = useCallback(async (noteId) => {
+    try {
+      const params = new URLSearchParams({ workspaceId, noteId });
+      const response = await fetch(`${baseURL}/api/inbox/notes?${params}`, { method: 'DELETE' });
+      const raw = await response.json();
+      if (!response.ok) throw new Error(raw.error || 'Failed to delete note');
+
+      if (isMountedRef.current) setNotes(prev => prev.filter(n => n.id !== noteId));
+      return { success: true };
+    } catch (err) {
+      console.error('Error deleting note:', err);
+      return { success: false, error: err.message };
+    }
+  }, [workspaceId]);
+
   /**
    * Select a conversation and load its messages
    */
@@ -210,6 +344,7 @@ export function useInbox(workspaceId, options = {}) {
     setCurrentConversation(conversation);
 
     if (conversation) {
+      fetchNotes(conversation.id);
       await fetchMessages(conversation.id, conversation.platform, true);
 
       // Mark as read
@@ -218,13 +353,14 @@ export function useInbox(workspaceId, options = {}) {
       }
     } else {
       setMessages([]);
+      setNotes([]);
     }
-  }, [fetchMessages, markAsRead]);
+  }, [fetchMessages, markAsRead, fetchNotes]);
 
   /**
    * Send a message in the current conversation
    */
-  const sendMessage = useCallback(async (messageText, mediaUrl = null) => {
+  const sendMessage = useCallback(async (messageText, { mediaUrl = null, savedReplyId = null } = {}) => {
     if (!currentConversation || !messageText.trim()) {
       return { success: false, error: 'No conversation selected or message is empty' };
     }
@@ -240,7 +376,8 @@ export function useInbox(workspaceId, options = {}) {
           platform: currentConversation.platform,
           conversationId: currentConversation.id,
           message: messageText,
-          mediaUrl
+          mediaUrl,
+          savedReplyId
         })
       });
 
@@ -255,7 +392,8 @@ export function useInbox(workspaceId, options = {}) {
 
       // Add the sent message to the local state
       if (isMountedRef.current && data.message) {
-        setMessages(prev => [...prev, data.message]);
+        // Realtime may have delivered it already
+        setMessages(prev => (prev.some(m => m.id === data.message.id) ? prev : [...prev, data.message]));
 
         // Update conversation's last message
         setConversations(prev => prev.map(conv =>
@@ -281,6 +419,17 @@ export function useInbox(workspaceId, options = {}) {
     }
   }, [workspaceId, currentConversation]);
 
+  // Assignment and status filters apply on top of the platform filter
+  const filteredConversations = useMemo(() => conversations.filter(conv =>
+    matchesConversationFilters(conv, { assignment: assignmentFilter, status: statusFilter, userId })
+  ), [conversations, assignmentFilter, statusFilter, userId]);
+
+  const assignmentCounts = useMemo(() => ({
+    all: conversations.length,
+    mine: conversations.filter(conv => matchesConversationFilters(conv, { assignment: 'mine', userId })).length,
+    unassigned: conversations.filter(conv => !conv.assigned_to).length
+  }), [conversations, userId]);
+
   /**
    * Refresh conversations from Ayrshare API
    */
@@ -312,7 +461,13 @@ export function useInbox(workspaceId, options = {}) {
 
   return {
     // State
-    conversations,
+    conversations: filteredConversations,
+    allConversations: conversations,
+    assignmentCounts,
+    assignmentFilter,
+    statusFilter,
+    notes,
+    notesLoading,
     currentConversation,
     messages,
     loading,
@@ -334,6 +489,13 @@ export function useInbox(workspaceId, options = {}) {
     refresh,
     filterByPlatform,
     setSelectedPlatform,
+    filterByAssignment: setAssignmentFilter,
+    filterByStatus: setStatusFilter,
+    assignConversation,
+    setConversationStatus,
+    fetchNotes,
+    addNote,
+    deleteNote,
     clearError: () => setError(null)
   };
 }
@@ -0,0 +1,105 @@
+import { useState, useEffect, useRef } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { supabase } from '../utils/supabaseClient';
+import { applyConversationChange } from '../utils/inboxConversations';
+
+/**
+ * Live inbox updates over Supabase Realtime.
+ *
+ * Changes to the workspace's inbox_conversations rows (new DMs arriving via
+ * the webhook, unread counts, assignment) are written straight into every
+ * cached ['inboxConversations', workspaceId, platform] query, so the inbox
+ * and the sidebar badge update without a refetch. With a conversationId,
+ * new inbox_messages in that thread are passed to onMessage.
+ *
+ * Callers should keep polling as a fallback while connected is false.
+ *
+ * @param {string} workspaceId - Current workspace ID
+ * @param {Object} options
+ * @param {string} options.scope - Distinguishes channels when several components subscribe
+ * @param {boolean} options.enabled - Whether to subscribe (default: true)
+ * @param {string} options.conversationId - Open conversation to stream messages for
+ * @param {function} options.onMessage - Called with each new message row
+ * @returns {{ connected: boolean }}
+ */
+export function useInboxRealtime(workspaceId, options = {}) {
+  const { scope = 'inbox', enabled = true, conversationId = null, onMessage } = options;
+  const queryClient = useQueryClient();
+  const [connected, setConnected] = useState(false);
+
+  // Keep the latest callback without resubscribing on every render
+  const onMessageRef = useRef(onMessage);
+  useEffect(() => {
+    onMessageRef.current = onMessage;
+  }, [onMessage]);
+
+  useEffect(() => {
+    if (!workspaceId || !enabled) return;
+
+    let dropped = false;
+    const channel = supabase
+      .channel(`inbox-conversations-${scope}-${workspaceId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'inbox_conversations',
+          filter: `workspace_id=eq.${workspaceId}`
+        },
+        (payload) => {
+          const queries = queryClient.getQueriesData({ queryKey: ['inboxConversations', workspaceId] });
+          for (const [queryKey, data] of queries) {
+            const updated = applyConversationChange(data, payload, queryKey[2] || 'all');
+            if (updated !== data) queryClient.setQueryData(queryKey, updated);
+          }
+        }
+      )
+      .subscribe((status) => {
+        // CHANNEL_ERROR, TIMED_OUT and CLOSED all mean events may be missed
+        const isSubscribed = status === 'SUBSCRIBED';
+        setConnected(isSubscribed);
+
+        if (!isSubscribed) {
+          dropped = true;
+        } else if (dropped) {
+          // Catch up on anything that changed while the channel was down
+          dropped = false;
+          queryClient.invalidateQueries({ queryKey: ['inboxConversations', workspaceId] });
+        }
+      });
+
+    return () => {
+      setConnected(false);
+      supabase.removeChannel(channel);
+    };
+  }, [workspaceId, enabled, scope, queryClient]);
+
+  useEffect(() => {
+    if (!conversationId || !enabled) return;
+
+    const channel = supabase
+      .channel(`inbox-messages-${scope}-${conversationId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'inbox_messages',
+          filter: `conversation_id=eq.${conversationId}`
+        },
+        (payload) => {
+          onMessageRef.current?.(payload.new);
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [conversationId, enabled, scope]);
+
+  return { connected };
+}
+
+export default useInboxRealtime;
@@ -1,5 +1,8 @@
 import { useQuery } from '@tanstack/react-query';
 import { baseURL } from '../utils/constants';
+import { useInboxRealtime } from './useInboxRealtime';
+
+const FALLBACK_POLL_INTERVAL = 1000 * 60; // Only while the realtime channel is down
 
 /**
  * Custom hook to fetch unread message count for the sidebar badge.
@@ -7,10 +10,15 @@ import { baseURL } from '../utils/constants';
  * endpoint with the same query key, React Query deduplicates the request
  * instead of hitting the server twice.
  *
+ * The count stays live through useInboxRealtime; polling only kicks in
+ * while the realtime channel is disconnected.
+ *
  * @param {string} workspaceId - Current workspace ID
- * @param {boolean} enabled - Whether to enable polling (default: true)
+ * @param {boolean} enabled - Whether to enable updates (default: true)
  */
 export function useInboxUnreadCount(workspaceId, enabled = true) {
+  const { connected } = useInboxRealtime(workspaceId, { scope: 'badge', enabled });
+
   const { data, isLoading, refetch } = useQuery({
     queryKey: ['inboxConversations', workspaceId, 'all'],
     queryFn: async () => {
@@ -26,8 +34,8 @@ export function useInboxUnreadCount(workspaceId, enabled = true) {
       return raw.data || raw;
     },
     enabled: !!workspaceId && enabled,
-    staleTime: 1000 * 30, // 30 seconds — matches useInbox polling rate
-    refetchInterval: 1000 * 60, // Poll every 60 seconds for sidebar badge
+    staleTime: 1000 * 30, // 30 seconds — matches useInbox fallback polling rate
+    refetchInterval: connected ? false : FALLBACK_POLL_INTERVAL,
   });
 
   return {
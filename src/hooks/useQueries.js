@@ -133,6 +133,20 @@ export function useUnifiedSchedule(workspaceId, userId, status = "all") {
   });
 }
 
+export function usePostRevisions(workspaceId, postId) {
+  return useQuery({
+    queryKey: ["postRevisions", postId],
+    queryFn: async () => {
+      const res = await fetch(`${baseURL}/api/post/revisions?workspaceId=${workspaceId}&postId=${postId}`);
+      if (!res.ok) throw new Error("Failed to fetch revisions");
+      const data = await res.json();
+      return data.data || data;
+    },
+    enabled: !!(workspaceId && postId),
+    staleTime: 1000 * 30, // 30 seconds
+  });
+}
+
 // ============================================
 // DRAFTS
 // ============================================
@@ -222,6 +236,21 @@ export function useTeamMembers(workspaceId, userId) {
   });
 }
 
+export function useWorkspaceRoles(workspaceId) {
+  return useQuery({
+    queryKey: ["workspaceRoles", workspaceId],
+    queryFn: async () => {
+      const res = await fetch(`${baseURL}/api/workspaces/${workspaceId}/roles`);
+      if (!res.ok) throw new Error("Failed to fetch roles");
+      const data = await res.json();
+      const responseData = data.data || data;
+      return responseData.roles || [];
+    },
+    enabled: !!workspaceId,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+}
+
 export function usePendingInvites(workspaceId, userId) {
   return useQuery({
     queryKey: ["pendingInvites", workspaceId],
@@ -464,6 +493,184 @@ export function useAssetUsage(workspaceId) {
   });
 }
 
+// ============================================
+// SAVED REPLIES
+// ============================================
+
+export function useSavedReplies(workspaceId, options = {}) {
+  const { enabled = true } = options;
+
+  return useQuery({
+    queryKey: ["savedReplies", workspaceId],
+    queryFn: async () => {
+      const res = await fetch(`${baseURL}/api/saved-replies?workspaceId=${workspaceId}`);
+      if (!res.ok) throw new Error("Failed to fetch saved replies");
+      const data = await res.json();
+      return data.data || { replies: [], categories: [], variables: {} };
+    },
+    enabled: !!workspaceId && enabled,
+    staleTime: 1000 * 60, // 1 minute - usage counts change as replies are sent
+  });
+}
+
+export function useModerationQueue(workspaceId, options = {}) {
+  const { status = "pending", enabled = true } = options;
+
+  return useQuery({
+    queryKey: ["moderationQueue", workspaceId, status],
+    queryFn: async () => {
+      const params = new URLSearchParams({ workspaceId, status });
+      const res = await fetch(`${baseURL}/api/moderation/queue?${params}`);
+      if (!res.ok) throw new Error("Failed to fetch moderation queue");
+      const data = await res.json();
+      return data.data || { events: [], pendingCount: 0 };
+    },
+    enabled: !!workspaceId && enabled,
+    staleTime: 1000 * 30, // 30 seconds - new comments are moderated as they arrive
+  });
+}
+
+export function useModerationRules(workspaceId, options = {}) {
+  const { enabled = true } = options;
+
+  return useQuery({
+    queryKey: ["moderationRules", workspaceId],
+    queryFn: async () => {
+      const res = await fetch(`${baseURL}/api/moderation/rules?workspaceId=${workspaceId}`);
+      if (!res.ok) throw new Error("Failed to fetch moderation rules");
+      const data = await res.json();
+      return data.data || { rules: [], ruleTypes: {}, actions: [], hidePlatforms: [] };
+    },
+    enabled: !!workspaceId && enabled,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+}
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+// Filters: { action, actorId, from, to, search } - empty values are left out
+export function useAuditLog(workspaceId, filters = {}, page = 1) {
+  return useQuery({
+    queryKey: ["auditLog", workspaceId, filters, page],
+    queryFn: async () => {
+      const params = new URLSearchParams({ workspaceId, page: String(page) });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      const res = await fetch(`${baseURL}/api/audit-log?${params}`);
+      if (!res.ok) throw new Error("Failed to fetch audit log");
+      const data = await res.json();
+      return data.data || data;
+    },
+    enabled: !!workspaceId,
+    staleTime: 1000 * 30, // 30 seconds
+  });
+}
+
+// Short link clicks over the last `days` (7, 30 or 90), bots excluded
+export function useLinkAnalytics(workspaceId, days = 30) {
+  return useQuery({
+    queryKey: ["linkAnalytics", workspaceId, days],
+    queryFn: async () => {
+      const res = await fetch(`${baseURL}/api/links/analytics?workspaceId=${workspaceId}&days=${days}`);
+      if (!res.ok) throw new Error("Failed to fetch link analytics");
+      const data = await res.json();
+      return data.data || data;
+    },
+    enabled: !!workspaceId,
+    staleTime: 1000 * 60 * 2, // 2 minutes
+  });
+}
+
+// Follower growth, period-over-period totals and first 48h vs lifetime, from analytics snapshots
+export function useAnalyticsGrowth(workspaceId, days = 30) {
+  return useQuery({
+    queryKey: ["analyticsGrowth", workspaceId, days],
+    queryFn: async () => {
+      const res = await fetch(`${baseURL}/api/analytics/growth?workspaceId=${workspaceId}&days=${days}`);
+      if (!res.ok) throw new Error("Failed to fetch growth analytics");
+      const data = await res.json();
+      return data.data || data;
+    },
+    enabled: !!workspaceId,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+}
+
+// One post's engagement and impressions at each snapshot
+export function usePostGrowth(workspaceId, postId) {
+  return useQuery({
+    queryKey: ["analyticsGrowth", workspaceId, "post", postId],
+    queryFn: async () => {
+      const res = await fetch(`${baseURL}/api/analytics/growth?workspaceId=${workspaceId}&postId=${postId}`);
+      if (!res.ok) throw new Error("Failed to fetch post growth");
+      const data = await res.json();
+      return data.data || data;
+    },
+    enabled: !!workspaceId && !!postId,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+}
+
+// Custom short link domains, with the DNS records each one needs
+export function useLinkDomains(workspaceId) {
+  return useQuery({
+    queryKey: ["linkDomains", workspaceId],
+    queryFn: async () => {
+      const res = await fetch(`${baseURL}/api/links/domains?workspaceId=${workspaceId}`);
+      if (!res.ok) throw new Error("Failed to fetch link domains");
+      const data = await res.json();
+      return (data.data || data).domains || [];
+    },
+    enabled: !!workspaceId,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+}
+
+export function useShortLinks(workspaceId) {
+  return useQuery({
+    queryKey: ["shortLinks", workspaceId],
+    queryFn: async () => {
+      const res = await fetch(`${baseURL}/api/links?workspaceId=${workspaceId}`);
+      if (!res.ok) throw new Error("Failed to fetch short links");
+      const data = await res.json();
+      return data.links || [];
+    },
+    enabled: !!workspaceId,
+    staleTime: 1000 * 60 * 2, // 2 minutes
+  });
+}
+
+export function useBioPage(workspaceId) {
+  return useQuery({
+    queryKey: ["bioPage", workspaceId],
+    queryFn: async () => {
+      const res = await fetch(`${baseURL}/api/bio-page?workspaceId=${workspaceId}`);
+      if (!res.ok) throw new Error("Failed to fetch bio page");
+      const data = await res.json();
+      return data.data || data;
+    },
+    enabled: !!workspaceId,
+    staleTime: 1000 * 60 * 2, // 2 minutes
+  });
+}
+
+export function useClientReports(workspaceId) {
+  return useQuery({
+    queryKey: ["clientReports", workspaceId],
+    queryFn: async () => {
+      const res = await fetch(`${baseURL}/api/reports?workspaceId=${workspaceId}`);
+      if (!res.ok) throw new Error("Failed to fetch reports");
+      const data = await res.json();
+      return data.data || data;
+    },
+    enabled: !!workspaceId,
+    staleTime: 1000 * 60 * 2, // 2 minutes
+  });
+}
+
 // ============================================
 // CACHE INVALIDATION HELPERS
 // ============================================
@@ -497,6 +704,14 @@ export function useInvalidateQueries() {
       queryClient.invalidateQueries({ queryKey: ["pendingInvites", workspaceId] });
     },
 
+    // Invalidate custom roles (member counts live on the roles too)
+    invalidateWorkspaceRoles: (workspaceId) => {
+      queryClient.invalidateQueries({ queryKey: ["workspaceRoles", workspaceId] });
+    },
+    invalidatePostRevisions: (postId) => {
+      queryClient.invalidateQueries({ queryKey: ["postRevisions", postId] });
+    },
+
     // Invalidate agency team roster (covers both old and new query keys)
     invalidateAgencyTeam: (userId) => {
       queryClient.invalidateQueries({ queryKey: ["agencyTeam", userId] });
@@ -521,6 +736,37 @@ export function useInvalidateQueries() {
       queryClient.invalidateQueries({ queryKey: ["assetUsage", workspaceId] });
     },
 
+    invalidateSavedReplies: (workspaceId) => {
+      queryClient.invalidateQueries({ queryKey: ["savedReplies", workspaceId] });
+    },
+
+    invalidateModerationQueue: (workspaceId) => {
+      queryClient.invalidateQueries({ queryKey: ["moderationQueue", workspaceId] });
+    },
+
+    invalidateModerationRules: (workspaceId) => {
+      queryClient.invalidateQueries({ queryKey: ["moderationRules", workspaceId] });
+    },
+
+    invalidateLinkDomains: (workspaceId) => {
+      queryClient.invalidateQueries({ queryKey: ["linkDomains", workspaceId] });
+    },
+
+    invalidateShortLinks: (workspaceId) => {
+      queryClient.invalidateQueries({ queryKey: ["shortLinks", workspaceId] });
+      queryClient.invalidateQueries({ queryKey: ["linkAnalytics", workspaceId] });
+    },
+
+    // Bio links are short links, so the links list changes too
+    invalidateBioPage: (workspaceId) => {
+      queryClient.invalidateQueries({ queryKey: ["bioPage", workspaceId] });
+      queryClient.invalidateQueries({ queryKey: ["shortLinks", workspaceId] });
+    },
+
+    invalidateClientReports: (workspaceId) => {
+      queryClient.invalidateQueries({ queryKey: ["clientReports", workspaceId] });
+    },
+
     // Invalidate everything for a workspace
     invalidateAll: (workspaceId) => {
       queryClient.invalidateQueries({ queryKey: ["posts", workspaceId] });
@@ -4,6 +4,7 @@ import { ChakraProvider } from "@chakra-ui/react";
 import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { HelmetProvider } from "react-helmet-async";
 import { ThemeProvider } from "./contexts/ThemeContext";
+import { installAuthFetch } from "./utils/authFetch";
 import App from "./App";
 import "./styles/theme.css";
 
@@ -27,6 +28,9 @@ Sentry.init({
   },
 });
 
+// Send the Supabase session token with every API request
+installAuthFetch();
+
 // Configure React Query with sensible defaults and better error handling
 const queryClient = new QueryClient({
   defaultOptions: {
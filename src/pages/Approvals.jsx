@@ -5,7 +5,8 @@ import { useAuth } from '../contexts/AuthContext';
 import { useWorkspace } from '../contexts/WorkspaceContext';
 
 import { baseURL } from '../utils/constants';
-import { FaFacebookF, FaInstagram, FaLinkedinIn, FaYoutube, FaTiktok, FaShieldAlt, FaClock, FaEdit, FaCheck, FaTimes, FaCheckCircle, FaUser } from 'react-icons/fa';
+import { getTimeLeft } from '../utils/approvalDeadline';
+import { FaFacebookF, FaInstagram, FaLinkedinIn, FaYoutube, FaTiktok, FaShieldAlt, FaClock, FaEdit, FaCheck, FaTimes, FaCheckCircle, FaUser, FaLayerGroup } from 'react-icons/fa';
 import { SiX } from 'react-icons/si';
 import './Approvals.css';
 
@@ -43,7 +44,9 @@ export const Approvals = () => {
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
   const urlTab = searchParams.get('tab');
-  const [filter, setFilter] = useState(urlTab || 'pending_internal');
+  // Workspaces with an approval chain review everything under one "In Review" tab
+  const hasApprovalChain = activeWorkspace?.approval_chain?.length > 0;
+  const [filter, setFilter] = useState(urlTab || (hasApprovalChain ? 'pending' : 'pending_internal'));
   const [selectedPost, setSelectedPost] = useState(null);
   const [comment, setComment] = useState('');
   const [submitting, setSubmitting] = useState(false);
@@ -67,6 +70,13 @@ export const Approvals = () => {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [urlTab]);
 
+  useEffect(() => {
+    if (hasApprovalChain && !urlTab && (filter === 'pending_internal' || filter === 'pending_client')) {
+      setFilter('pending');
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [hasApprovalChain]);
+
   const fetchPosts = useCallback(async () => {
     if (!user?.id || !activeWorkspace?.id) return;
 
@@ -363,8 +373,22 @@ export const Approvals = () => {
 
       {/* Filter Tabs */}
       <div className="approval-filters">
+        {/* Approval chain tab - replaces the final approver / client tabs */}
+        {hasApprovalChain && (
+          <button
+            className={`filter-tab ${filter === 'pending' ? 'active' : ''}`}
+            onClick={() => setFilter('pending')}
+          >
+            <FaLayerGroup style={{ marginRight: '8px' }} />
+            In Review
+            {posts.filter(p => p.approval_status === 'pending').length > 0 && (
+              <span className="filter-badge">{posts.filter(p => p.approval_status === 'pending').length}</span>
+            )}
+          </button>
+        )}
+
         {/* Final Approver tab - only for final approvers */}
-        {hasFinalApproval && (
+        {hasFinalApproval && !hasApprovalChain && (
           <button
             className={`filter-tab ${filter === 'pending_internal' ? 'active' : ''}`}
             onClick={() => setFilter('pending_internal')}
@@ -378,7 +402,7 @@ export const Approvals = () => {
         )}
 
         {/* Client approval tab - only for client approvers */}
-        {canApprove && (
+        {canApprove && !hasApprovalChain && (
           <button
             className={`filter-tab ${filter === 'pending_client' ? 'active' : ''}`}
             onClick={() => setFilter('pending_client')}
@@ -392,7 +416,7 @@ export const Approvals = () => {
         )}
 
         {/* Changes Requested tab - for all approvers */}
-        {(hasFinalApproval || canApprove) && (
+        {(hasFinalApproval || canApprove || hasApprovalChain) && (
           <button
             className={`filter-tab ${filter === 'changes_requested' ? 'active' : ''}`}
             onClick={() => setFilter('changes_requested')}
@@ -432,7 +456,7 @@ export const Approvals = () => {
               <p>No {
                 filter === 'pending_internal' ? 'posts pending internal review' :
                 filter === 'pending_client' ? 'posts awaiting client approval' :
-                filter === 'pending' ? 'posts pending approval' :
+                filter === 'pending' ? (hasApprovalChain ? 'posts in review' : 'posts pending approval') :
                 filter === 'changes_requested' ? 'posts with changes requested' :
                 filter === 'approved' ? 'approved posts' :
                 filter === 'rejected' ? 'rejected posts' :
@@ -462,6 +486,13 @@ export const Approvals = () => {
                   </span>
                 </div>
 
+                {post.approval_stage_info && (
+                  <span className={`stage-badge ${post.approval_stage_info.canAct ? 'stage-badge--yours' : ''}`}>
+                    <FaLayerGroup />
+                    Stage {post.approval_stage_info.number} of {post.approval_stage_info.total} · {post.approval_stage_info.name}
+                  </span>
+                )}
+
                 <p className="post-preview">
                   {post.post?.substring(0, 120)}{post.post?.length > 120 ? '...' : ''}
                 </p>
@@ -480,6 +511,15 @@ export const Approvals = () => {
                   <span className="post-date">
                     Scheduled: {formatDate(post.schedule_date)}
                   </span>
+                  {getTimeLeft(post.approval_deadline) && (
+                    <span
+                      className={`deadline-badge deadline-badge--${getTimeLeft(post.approval_deadline).tone}`}
+                      title={`Approve by ${formatDate(post.approval_deadline)}`}
+                    >
+                      <FaClock />
+                      {getTimeLeft(post.approval_deadline).label}
+                    </span>
+                  )}
                   {post.commentCount > 0 && (
                     <span className="comment-count">
                       {post.commentCount} comment{post.commentCount !== 1 ? 's' : ''}
@@ -534,6 +574,31 @@ export const Approvals = () => {
                 <p>{formatDate(selectedPost.schedule_date)}</p>
               </div>
 
+              {selectedPost.approval_deadline && (
+                <div className="detail-section">
+                  <label>Approval Deadline</label>
+                  <p>
+                    {formatDate(selectedPost.approval_deadline)} ({getTimeLeft(selectedPost.approval_deadline)?.label})
+                  </p>
+                  {selectedPost.approval_escalated_at && (
+                    <p className="deadline-held">On hold until approved. The workspace owner has been alerted.</p>
+                  )}
+                </div>
+              )}
+
+              {selectedPost.approval_stage_info && (
+                <div className="detail-section">
+                  <label>Approval Stage</label>
+                  <p>
+                    Stage {selectedPost.approval_stage_info.number} of {selectedPost.approval_stage_info.total}: {selectedPost.approval_stage_info.name}
+                    {' '}({selectedPost.approval_stage_info.rule === 'all' ? 'every approver signs off' : 'any approver signs off'})
+                  </p>
+                  {!selectedPost.approval_stage_info.canAct && (
+                    <p className="stage-waiting">Waiting on this stage&apos;s approvers.</p>
+                  )}
+                </div>
+              )}
+
               {/* Comments Section */}
               <div className="detail-section comments-section">
                 <label>Comments & Feedback</label>
@@ -622,8 +687,42 @@ export const Approvals = () => {
                 </div>
               )}
 
+              {/* Stage Approver Actions - for posts in an approval chain */}
+              {selectedPost.approval_status === 'pending' && selectedPost.approval_stage_info?.canAct && (
+                <div className="approval-actions">
+                  <div className="action-section-header">
+                    <FaLayerGroup style={{ marginRight: '6px' }} />
+                    <span>{selectedPost.approval_stage_info.name} Actions</span>
+                  </div>
+                  <div className="action-buttons">
+                    <button
+                      className="btn-reject"
+                      onClick={() => handleApprovalAction('reject')}
+                      disabled={submitting}
+                    >
+                      Reject
+                    </button>
+                    <button
+                      className="btn-changes"
+                      onClick={() => handleApprovalAction('changes_requested')}
+                      disabled={submitting}
+                    >
+                      Request Changes
+                    </button>
+                    <button
+                      className="btn-approve"
+                      onClick={() => handleApprovalAction('approve')}
+                      disabled={submitting}
+                    >
+                      Approve
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {/* Client Approval Actions - for pending_client and pending posts */}
-              {(selectedPost.approval_status === 'pending_client' || selectedPost.approval_status === 'pending') && canApprove && (
+              {(selectedPost.approval_status === 'pending_client' || selectedPost.approval_status === 'pending') &&
+                !selectedPost.approval_stage_info && canApprove && (
                 <div className="approval-actions">
                   <div className="action-section-header">
                     <FaUser style={{ marginRight: '6px' }} />
@@ -0,0 +1,286 @@
+import { Fragment, useState } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { useWorkspace } from "../contexts/WorkspaceContext";
+import { useAuditLog, useTeamMembers } from "../hooks/useQueries";
+import { baseURL } from "../utils/constants";
+import { LoadingContainer } from "../components/ui/LoadingSpinner";
+import "./AuditLog.css";
+
+const ACTION_GROUPS = [
+  { value: "", label: "All activity" },
+  { value: "post", label: "Posts" },
+  { value: "member", label: "Team members" },
+  { value: "invitation", label: "Invitations" },
+  { value: "social_account", label: "Social accounts" },
+  { value: "billing", label: "Billing" },
+  { value: "asset", label: "Assets" },
+  { value: "link_domain", label: "Link domains" }
+];
+
+const ACTION_LABELS = {
+  "post.created": "Created post",
+  "post.updated": "Edited post",
+  "post.deleted": "Deleted post",
+  "post.approved": "Approved post",
+  "post.rejected": "Rejected post",
+  "post.changes_requested": "Requested changes",
+  "member.role_changed": "Changed role",
+  "member.permissions_changed": "Changed permissions",
+  "member.removed": "Removed member",
+  "member.left": "Left workspace",
+  "invitation.sent": "Sent invitation",
+  "invitation.cancelled": "Cancelled invitation",
+  "invitation.accepted": "Accepted invitation",
+  "social_account.linked": "Linked account",
+  "social_account.unlinked": "Unlinked account",
+  "billing.subscription_changed": "Subscription changed",
+  "billing.subscription_cancelled": "Subscription cancelled",
+  "billing.payment_failed": "Payment failed",
+  "asset.deleted": "Deleted asset",
+  "link_domain.added": "Added link domain",
+  "link_domain.verified": "Verified link domain",
+  "link_domain.removed": "Removed link domain"
+};
+
+const EMPTY_FILTERS = { action: "", actorId: "", from: "", to: "", search: "" };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// Dates from the filter inputs cover whole days
+const toFilterParams = (filters) => ({
+  ...filters,
+  from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : "",
+  to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : ""
+});
+
+/**
+ * Owner-only audit trail for the active workspace: who did what, when and
+ * from where, with the values that changed. Filters by activity type, member,
+ * date range and free-text search, and exports the filtered entries as CSV.
+ */
+export const AuditLog = () => {
+  const { user } = useAuth();
+  const { activeWorkspace, hasRolePermission, loading: workspaceLoading } = useWorkspace();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [searchInput, setSearchInput] = useState("");
+  const [page, setPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const canView = hasRolePermission("canViewAuditLog");
+  const workspaceId = canView ? activeWorkspace?.id : null;
+  const filterParams = toFilterParams(filters);
+
+  const { data, isLoading, error } = useAuditLog(workspaceId, filterParams, page);
+  const { data: members = [] } = useTeamMembers(workspaceId, user?.id);
+
+  const entries = data?.entries || [];
+  const total = data?.total || 0;
+  const pageCount = Math.max(Math.ceil(total / (data?.limit || 50)), 1);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter("search", searchInput.trim());
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setSearchInput("");
+    setPage(1);
+  };
+
+  const handleExportCsv = async () => {
+    if (!workspaceId) return;
+    setIsExporting(true);
+    try {
+      const params = new URLSearchParams({ workspaceId, format: "csv" });
+      Object.entries(filterParams).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      const res = await fetch(`${baseURL}/api/audit-log?${params}`);
+      if (!res.ok) {
+        const payload = await res.json().catch(() => ({}));
+        throw new Error(payload.error || "Export failed");
+      }
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${activeWorkspace.name || "workspace"}-audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message || "Export failed");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (workspaceLoading) {
+    return <LoadingContainer message="Loading..." />;
+  }
+
+  if (!canView) {
+    return (
+      <div className="audit-log-page">
+        <div className="audit-log-container">
+          <div className="audit-log-empty">
+            <p>Only the workspace owner can view the audit log</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const renderChanges = (entry) => {
+    const keys = [...new Set([
+      ...Object.keys(entry.before_values || {}),
+      ...Object.keys(entry.after_values || {})
+    ])];
+    const metadata = Object.entries(entry.metadata || {});
+
+    if (keys.length === 0 && metadata.length === 0) {
+      return <p className="audit-no-changes">No field changes recorded</p>;
+    }
+
+    return (
+      <div className="audit-changes">
+        {keys.map(key => (
+          <div key={key} className="audit-change-row">
+            <span className="audit-change-field">{key}</span>
+            <span className="audit-change-before">{formatValue(entry.before_values?.[key])}</span>
+            <span className="audit-change-arrow">→</span>
+            <span className="audit-change-after">{formatValue(entry.after_values?.[key])}</span>
+          </div>
+        ))}
+        {metadata.map(([key, value]) => (
+          <div key={key} className="audit-change-row audit-metadata-row">
+            <span className="audit-change-field">{key}</span>
+            <span className="audit-change-after">{formatValue(value)}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="audit-log-page">
+      <div className="audit-log-container">
+        <div className="audit-log-header">
+          <div>
+            <h1>Audit Log</h1>
+            <p className="audit-log-subtitle">Every change to posts, team, invitations, accounts, billing and assets</p>
+          </div>
+          <button className="audit-export-btn" onClick={handleExportCsv} disabled={isExporting || total === 0}>
+            {isExporting ? "Exporting..." : "Export CSV"}
+          </button>
+        </div>
+
+        <div className="audit-log-filters">
+          <select value={filters.action} onChange={(e) => updateFilter("action", e.target.value)}>
+            {ACTION_GROUPS.map(group => (
+              <option key={group.value} value={group.value}>{group.label}</option>
+            ))}
+            <optgroup label="Specific action">
+              {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </optgroup>
+          </select>
+          <select value={filters.actorId} onChange={(e) => updateFilter("actorId", e.target.value)}>
+            <option value="">Any member</option>
+            {members.map(member => (
+              <option key={member.user_id} value={member.user_id}>
+                {member.profile?.full_name || member.profile?.email || member.user_id}
+              </option>
+            ))}
+          </select>
+          <label className="audit-date-filter">
+            From
+            <input type="date" value={filters.from} onChange={(e) => updateFilter("from", e.target.value)} />
+          </label>
+          <label className="audit-date-filter">
+            To
+            <input type="date" value={filters.to} onChange={(e) => updateFilter("to", e.target.value)} />
+          </label>
+          <form className="audit-search" onSubmit={handleSearch}>
+            <input
+              type="search"
+              placeholder="Search by target, email or ID"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+            />
+          </form>
+          <button className="audit-clear-btn" onClick={clearFilters}>Clear</button>
+        </div>
+
+        <div className="audit-log-content">
+          {isLoading ? (
+            <LoadingContainer message="Loading audit log..." />
+          ) : error ? (
+            <div className="audit-log-empty"><p>{error.message}</p></div>
+          ) : entries.length === 0 ? (
+            <div className="audit-log-empty"><p>No activity matches these filters</p></div>
+          ) : (
+            <table className="audit-log-table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Who</th>
+                  <th>Action</th>
+                  <th>Target</th>
+                  <th>IP</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <Fragment key={entry.id}>
+                    <tr
+                      className={`audit-row ${expandedId === entry.id ? "expanded" : ""}`}
+                      onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                    >
+                      <td>{new Date(entry.created_at).toLocaleString()}</td>
+                      <td>{entry.actor_email || (entry.actor_id ? entry.actor_id : "System")}</td>
+                      <td>
+                        <span className={`audit-action-tag ${entry.action.split(".")[0]}`}>
+                          {ACTION_LABELS[entry.action] || entry.action}
+                        </span>
+                      </td>
+                      <td className="audit-target">{entry.target_label || entry.target_id || "—"}</td>
+                      <td>{entry.ip_address || "—"}</td>
+                    </tr>
+                    {expandedId === entry.id && (
+                      <tr className="audit-details-row">
+                        <td colSpan={5}>{renderChanges(entry)}</td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {total > 0 && (
+          <div className="audit-log-pagination">
+            <span>{total} {total === 1 ? "entry" : "entries"}</span>
+            <div className="audit-page-controls">
+              <button disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+              <span>Page {page} of {pageCount}</span>
+              <button disabled={page >= pageCount} onClick={() => setPage(page + 1)}>Next</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
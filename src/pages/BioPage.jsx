@@ -0,0 +1,138 @@
+import { useState, useEffect } from "react";
+import { useParams } from "react-router-dom";
+import SEO from "../components/SEO";
+import { baseURL } from "../utils/constants";
+import "./BioPage.css";
+
+const DEFAULT_PRIMARY = "#1a1a2e";
+const DEFAULT_ACCENT = "#ffc801";
+
+// Dark or light text, whichever reads better on a #rrggbb background
+const getTextColor = (hex) => {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? "#111111" : "#ffffff";
+};
+
+/**
+ * BioPage - Public link-in-bio page at /bio/:slug
+ * Styled from the workspace's brand profile. Every link goes through a
+ * short link, so visits from the page show up in link analytics.
+ */
+export const BioPage = () => {
+  const { slug } = useParams();
+  const [page, setPage] = useState(null);
+  const [status, setStatus] = useState("loading");
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus("loading");
+
+    fetch(`${baseURL}/api/bio/${encodeURIComponent(slug)}`)
+      .then(async (res) => {
+        const result = await res.json().catch(() => ({}));
+        if (cancelled) return;
+        if (!res.ok) {
+          setStatus(res.status === 404 ? "missing" : "error");
+          return;
+        }
+        setPage(result.data || result);
+        setStatus("ready");
+      })
+      .catch(() => {
+        if (!cancelled) setStatus("error");
+      });
+
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  if (status !== "ready") {
+    return (
+      <div className="bio-page bio-page-status">
+        <SEO title="Link in bio" noindex />
+        {status === "loading" && <div className="bio-spinner" aria-label="Loading" />}
+        {status === "missing" && <p>This page doesn't exist or isn't published yet.</p>}
+        {status === "error" && <p>Couldn't load this page. Please try again.</p>}
+      </div>
+    );
+  }
+
+  const primary = page.colors?.primary || DEFAULT_PRIMARY;
+  const accent = page.colors?.accent || DEFAULT_ACCENT;
+  const style = {
+    "--bio-bg": primary,
+    "--bio-text": getTextColor(primary),
+    "--bio-accent": accent,
+    "--bio-accent-text": getTextColor(accent)
+  };
+
+  return (
+    <div className="bio-page" style={style}>
+      <SEO
+        title={page.name}
+        description={page.description || `Links from ${page.name}`}
+        canonical={`/bio/${page.slug}`}
+        ogImage={page.logoUrl || undefined}
+        ogType="profile"
+      />
+
+      <main className="bio-content">
+        <header className="bio-header">
+          {page.logoUrl ? (
+            <img className="bio-logo" src={page.logoUrl} alt={page.name} />
+          ) : (
+            <div className="bio-logo bio-logo-initial">{page.name.charAt(0).toUpperCase()}</div>
+          )}
+          <h1 className="bio-name">{page.name}</h1>
+          {page.description && <p className="bio-description">{page.description}</p>}
+        </header>
+
+        {page.links.length > 0 && (
+          <nav className="bio-links">
+            {page.links.map((link) => (
+              <a
+                key={link.id}
+                className="bio-link"
+                href={link.url}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                {link.title}
+              </a>
+            ))}
+          </nav>
+        )}
+
+        {page.posts.length > 0 && (
+          <section className="bio-posts">
+            <h2 className="bio-posts-title">Latest posts</h2>
+            <div className="bio-posts-grid">
+              {page.posts.map((post) => (
+                <a
+                  key={post.postId}
+                  className="bio-post"
+                  href={post.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
+                  {post.imageUrl ? (
+                    <img src={post.imageUrl} alt="" loading="lazy" />
+                  ) : (
+                    <span className="bio-post-caption">{post.caption}</span>
+                  )}
+                </a>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {page.websiteUrl && (
+          <a className="bio-website" href={page.websiteUrl} target="_blank" rel="noopener noreferrer">
+            {page.websiteUrl.replace(/^https?:\/\//, "").replace(/\/$/, "")}
+          </a>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default BioPage;
@@ -29,6 +29,16 @@ const NOTIFICATION_CONFIG = {
     route: "/approvals",
     color: "#f59e0b"
   },
+  approval_reminder: {
+    icon: "⏰",
+    route: "/approvals",
+    color: "#f59e0b"
+  },
+  approval_deadline_passed: {
+    icon: "⌛",
+    route: "/approvals",
+    color: "#ef4444"
+  },
 
   // Workspace/Team
   workspace_invite: {
@@ -119,12 +129,24 @@ const NOTIFICATION_CONFIG = {
     route: "/social-inbox?tab=messages",
     color: "#3b82f6"
   },
+  inbox_assigned: {
+    icon: "🙋",
+    route: "/social-inbox?tab=messages",
+    color: "#8b5cf6"
+  },
   inbox_mention: {
     icon: "📢",
     route: "/social-inbox?tab=messages",
     color: "#8b5cf6"
   },
 
+  // Automation
+  automation: {
+    icon: "⚡",
+    route: "/automation?tab=history",
+    color: "#8b5cf6"
+  },
+
   // Default
   default: {
     icon: "🔔",
@@ -230,6 +252,11 @@ export const Notifications = () => {
       case 'changes_requested':
         route = isClientRole ? '/client/approvals' : '/approvals';
         break;
+      case 'approval_reminder':
+      case 'approval_deadline_passed':
+        route = isClientRole ? '/client/approvals' : '/approvals';
+        if (notification.post_id) route += `?postId=${notification.post_id}`;
+        break;
       case 'workspace_invite':
         if (notification.metadata?.inviteToken) {
           route = `/accept-invite?token=${notification.metadata.inviteToken}`;
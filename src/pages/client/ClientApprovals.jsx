@@ -4,12 +4,14 @@ import { useWorkspace } from "../../contexts/WorkspaceContext";
 import { useAuth } from "../../contexts/AuthContext";
 import { usePendingApprovals, useInvalidateQueries } from "../../hooks/useQueries";
 import { baseURL } from "../../utils/constants";
+import { getTimeLeft } from "../../utils/approvalDeadline";
 import { useToast } from "@chakra-ui/react";
 import { FaFacebookF, FaInstagram, FaLinkedinIn, FaYoutube, FaPinterest, FaCheck, FaTimes, FaClock, FaEdit, FaChevronLeft, FaChevronRight, FaSortAmountDown, FaSortAmountUp } from "react-icons/fa";
 import { FaTiktok, FaThreads } from "react-icons/fa6";
 import { SiX, SiBluesky } from "react-icons/si";
 import { CommentThread } from "../../components/comments/CommentThread";
 import { CommentInput } from "../../components/comments/CommentInput";
+import { PostRevisionsSection } from "../../components/comments/PostRevisionsSection";
 import "./ClientApprovals.css";
 
 const STATUS_LABELS = {
@@ -424,6 +426,19 @@ export const ClientApprovals = () => {
                     <span className="post-date">
                       📅 {formatDate(post.scheduled_at)}
                     </span>
+                    {getTimeLeft(post.approval_deadline) && (
+                      <span
+                        className={`deadline-badge deadline-badge--${getTimeLeft(post.approval_deadline).tone}`}
+                        title={`Approve by ${formatDate(post.approval_deadline)}`}
+                      >
+                        ⏰ {getTimeLeft(post.approval_deadline).label}
+                      </span>
+                    )}
+                    {post.approval_stage_info && (
+                      <span className="stage-badge">
+                        Stage {post.approval_stage_info.number} of {post.approval_stage_info.total} · {post.approval_stage_info.name}
+                      </span>
+                    )}
                     {STATUS_LABELS[post.approval_status] && (
                       <span
                         className="post-status-badge"
@@ -569,6 +584,12 @@ export const ClientApprovals = () => {
                 <p>{selectedPost.caption || "No caption provided"}</p>
               </div>
 
+              <PostRevisionsSection
+                postId={selectedPost.id}
+                workspaceId={activeWorkspace?.id}
+                sinceApprovalOnly
+              />
+
               {/* Platforms */}
               <div className="detail-platforms">
                 <h3>Platforms</h3>
@@ -611,10 +632,21 @@ export const ClientApprovals = () => {
                 </div>
               )}
 
+              {/* Posts in an approval chain wait for the approvers of their current stage */}
+              {selectedPost.approval_stage_info && !selectedPost.approval_stage_info.canAct && (
+                <div className="detail-status">
+                  <div className="status-banner waiting">
+                    <FaClock /> Waiting on {selectedPost.approval_stage_info.name} approval
+                  </div>
+                </div>
+              )}
+
               {/* Comment Input - for pending, pending_client, and changes_requested */}
-              {(selectedPost.approval_status === 'pending' ||
-                selectedPost.approval_status === 'pending_client' ||
-                selectedPost.approval_status === 'changes_requested') && (
+              {(selectedPost.approval_stage_info
+                ? selectedPost.approval_status === 'pending' && selectedPost.approval_stage_info.canAct
+                : (selectedPost.approval_status === 'pending' ||
+                  selectedPost.approval_status === 'pending_client' ||
+                  selectedPost.approval_status === 'changes_requested')) && (
                 <>
                   <div className="detail-comment">
                     <h3>Feedback (optional for approval)</h3>
@@ -1,4 +1,43 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
+import crypto from 'crypto'
+import { verifySignature, getEventId, claimEventForRetry, PROCESSING_LEASE_MS, TIMESTAMP_HEADER, SIGNATURE_HEADER } from '../../api/_webhookSecurity'
+import { validateRule, matchKeyword, findTriggerEvents, evaluateRule } from '../../api/_automation'
+import { validateQueue, findNextFreeSlot, insertQueuedPost } from '../../api/_queues'
+import { zonedTimeToUtc } from '../../api/_timezone'
+import { parseCsv, readImportCsv, validateCsvRecord, buildPostsCsv } from '../../api/_postCsv'
+import { claimDuePosts, runWithConcurrency, getLatenessSeconds, summarizeLateness } from '../../api/_publishQueue'
+import { applyCaptionVariants, buildAyrsharePost, getPlatformCaption, setPlatformCaption } from '../../api/_captionVariants'
+import { applyFirstComment, getFirstCommentPlatforms, postFirstComment } from '../../api/_firstComment'
+import { getApprovalDeadline, getDeadlineAction, getRescheduledTime, processApprovalDeadlines } from '../../api/_approvalSla'
+import { applyPostTags, validateApprovalChain, findNextStage, startApprovalChain, isStageApprover, isStageComplete } from '../../api/_approvalChain'
+import { buildConversationUpdate } from '../../api/_inbox'
+import { validateSavedReply, findUnknownVariables, expandReplyVariables } from '../../api/_savedReplies'
+import { validateModerationRule, isLinkOnlyComment, evaluateComment } from '../../api/_moderation'
+import { classifyWithRules, parseClassifications, summarizeSentiment } from '../../api/_sentiment'
+import { ROLE_PERMISSIONS, resolveMemberPermissions, checkPermission, getRoleColumnDefaults, validateCustomRole } from '../../api/_utils-access-control'
+import { ROLE_CONFIG } from '../../src/utils/constants'
+import { diffValues, postAuditEntry, recordAudit, applyAuditFilters, buildAuditCsv } from '../../api/_audit'
+import { revisionMatchesPost, buildRestoreUpdate } from '../../api/_revisions'
+import { parseExpectedVersion, isVersionConflict, sendVersionConflict } from '../../api/_versioning'
+import { isBotRequest, parseUserAgent, getClickPlatform, summarizeLinkClicks } from '../../api/_linkTracking'
+import { normalizeSlug, parseExpiresAt, getLinkState } from '../../api/_shortLinks'
+import { normalizeDomain, getDnsRecords, checkDomainDns } from '../../api/_linkDomains'
+import { normalizeBioSlug, validateBioLink, getRecentPostTiles, buildPublicBioPage } from '../../api/_bioPages'
+import { isSnapshotDue, buildPostSnapshotRows, buildAccountSnapshotRows, buildPostGrowthCurve, compareFirstWindow, buildFollowerSeries, getPeriodChange, processAnalyticsSnapshots } from '../../api/_analyticsSnapshots'
+import { normalizeReportInput, getReportPeriod, getNextRunAt, buildReportData, processScheduledReports } from '../../api/_reports'
+import { renderReportHtml, isBlockedAddress, loadLogo } from '../../api/_reportRender'
+import { normalizeInboxPlatform, getReplyRestriction, validateReplyText, normalizeCommentThread, normalizeReview } from '../../api/_inboxPlatforms'
+
+// Chainable stand-in for a PostgREST query that records its filters
+const recordingQuery = (result) => {
+  const calls = []
+  const query = new Proxy({}, {
+    get: (_, method) => method === 'then'
+      ? (resolve) => resolve(result)
+      : (...args) => { calls.push([method, ...args]); return query }
+  })
+  return { query, calls }
+}
 
 // Test API utility functions and validation
 describe('API Utilities', () => {
@@ -246,3 +285,1375 @@ describe('Invitation Validation', () => {
     expect(result.valid).toBe(false)
   })
 })
+
+describe('Webhook Signature Verification', () => {
+  const secret = 'test-webhook-secret'
+  const rawBody = Buffer.from(JSON.stringify({ type: 'message', platform: 'instagram' }))
+  const now = 1760000000
+
+  const sign = (timestamp, body = rawBody, key = secret) =>
+    crypto.createHmac('sha256', key).update(`${timestamp}.`).update(body).digest('hex')
+
+  const headersFor = (timestamp, signature) => ({
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: signature
+  })
+
+  it('should accept a correctly signed delivery inside the window', () => {
+    const result = verifySignature(rawBody, headersFor(now, sign(now)), secret, now + 30)
+    expect(result).toEqual({ valid: true, reason: null })
+  })
+
+  it('should reject unsigned, tampered or wrongly keyed deliveries', () => {
+    expect(verifySignature(rawBody, { [TIMESTAMP_HEADER]: String(now) }, secret, now).reason).toBe('missing_signature')
+    expect(verifySignature(Buffer.from('{"type":"message"}'), headersFor(now, sign(now)), secret, now).reason).toBe('invalid_signature')
+    expect(verifySignature(rawBody, headersFor(now, sign(now, rawBody, 'other')), secret, now).reason).toBe('invalid_signature')
+  })
+
+  it('should reject replays outside the timestamp window', () => {
+    const old = now - 10 * 60
+    expect(verifySignature(rawBody, headersFor(old, sign(old)), secret, now).reason).toBe('timestamp_out_of_window')
+  })
+
+  it('should fail closed when no secret is configured', () => {
+    expect(verifySignature(rawBody, headersFor(now, sign(now)), undefined, now).reason).toBe('secret_not_configured')
+  })
+
+  it('should derive a stable event ID for idempotency', () => {
+    expect(getEventId({}, { eventId: 'evt_1' }, rawBody)).toBe('evt_1')
+    expect(getEventId({}, {}, rawBody)).toBe(getEventId({}, {}, Buffer.from(rawBody)))
+  })
+})
+
+describe('Webhook Event Retries', () => {
+  const now = new Date('2026-10-19T12:00:00Z')
+
+  const eventsTable = (existing, claimedRows) => {
+    const updates = []
+    const from = () => {
+      let updating = false
+      const query = {
+        select: () => (updating ? Promise.resolve({ data: claimedRows, error: null }) : query),
+        update: (values) => { updating = true; updates.push(values); return query },
+        eq: () => query,
+        is: () => query,
+        maybeSingle: () => Promise.resolve({ data: existing, error: null })
+      }
+      return query
+    }
+    return { supabase: { from }, updates }
+  }
+
+  it('should claim an event that failed last time', async () => {
+    const { supabase, updates } = eventsTable({ id: 'e1', status: 'failed', claimed_at: '2026-10-19T11:59:00Z' }, [{ id: 'e1' }])
+    expect(await claimEventForRetry(supabase, 'evt_1', now)).toEqual({ id: 'e1', status: 'failed' })
+    expect(updates[0]).toMatchObject({ status: 'received', claimed_at: now.toISOString() })
+  })
+
+  it('should leave an event alone while its processing lease is live', async () => {
+    const claimedAt = new Date(now.getTime() - PROCESSING_LEASE_MS + 1000).toISOString()
+    const { supabase, updates } = eventsTable({ id: 'e1', status: 'received', claimed_at: claimedAt }, [{ id: 'e1' }])
+    expect(await claimEventForRetry(supabase, 'evt_1', now)).toBeNull()
+    expect(updates).toHaveLength(0)
+  })
+
+  it('should take over an abandoned event only if no other delivery got there first', async () => {
+    const stale = { id: 'e1', status: 'received', claimed_at: '2026-10-19T11:00:00Z' }
+    expect(await claimEventForRetry(eventsTable(stale, [{ id: 'e1' }]).supabase, 'evt_1', now))
+      .toEqual({ id: 'e1', status: 'received' })
+    expect(await claimEventForRetry(eventsTable(stale, []).supabase, 'evt_1', now)).toBeNull()
+  })
+
+  it('should never retry processed events', async () => {
+    const { supabase, updates } = eventsTable({ id: 'e1', status: 'processed', claimed_at: '2026-10-18T12:00:00Z' }, [])
+    expect(await claimEventForRetry(supabase, 'evt_1', now)).toBeNull()
+    expect(updates).toHaveLength(0)
+  })
+})
+
+describe('Automation Rules', () => {
+  it('should accept a valid keyword auto-reply rule', () => {
+    expect(validateRule({
+      triggerType: 'comment_keyword',
+      triggerConfig: { keywords: ['price'] },
+      actionType: 'auto_reply',
+      actionConfig: { message: 'Check your DMs!' }
+    })).toBeNull()
+  })
+
+  it('should reject actions that do not fit the trigger', () => {
+    expect(validateRule({ triggerType: 'new_dm', actionType: 'requeue_post' })).toMatch(/can't be used/)
+    expect(validateRule({ triggerType: 'post_published', actionType: 'auto_reply', actionConfig: { message: 'hi' } })).toMatch(/can't be used/)
+  })
+
+  it('should require trigger and action config', () => {
+    expect(validateRule({ triggerType: 'comment_keyword', triggerConfig: { keywords: [] }, actionType: 'notify' })).toMatch(/keywords/)
+    expect(validateRule({ triggerType: 'approval_pending', triggerConfig: { hours: 0 }, actionType: 'notify' })).toMatch(/hours/)
+    expect(validateRule({ triggerType: 'post_published', actionType: 'tag_asset', actionConfig: {} })).toMatch(/tags/)
+    expect(validateRule({ triggerType: 'post_failed', actionType: 'requeue_post', actionConfig: { delayMinutes: -5 } })).toMatch(/delayMinutes/)
+  })
+
+  it('should reject unknown trigger and action types', () => {
+    expect(validateRule({ triggerType: 'post_deleted', actionType: 'notify' })).toMatch(/triggerType/)
+    expect(validateRule({ triggerType: 'post_failed', actionType: 'send_email' })).toMatch(/actionType/)
+  })
+
+  it('should match keywords case-insensitively', () => {
+    expect(matchKeyword('What is the PRICE of this?', ['link', 'price'])).toBe('price')
+    expect(matchKeyword('Love it', ['price'])).toBeNull()
+    expect(matchKeyword(null, ['price'])).toBeNull()
+  })
+
+  it('should scan comments from the rule cursor and stop the cursor at the last event used', async () => {
+    const comments = Array.from({ length: 30 }, (_, i) => ({
+      id: `c${i}`, platform: 'instagram', comment_text: 'price?', updated_at: `2026-10-19T10:${String(i).padStart(2, '0')}:00+00:00`
+    }))
+    const { query, calls } = recordingQuery({ data: comments, error: null })
+    const rule = {
+      workspace_id: 'w1',
+      trigger_type: 'comment_keyword',
+      trigger_config: { keywords: ['price'] },
+      trigger_cursor: { at: '2026-10-19T09:00:00+00:00', id: 'c-prev' }
+    }
+
+    const { events, cursor } = await findTriggerEvents({ from: () => query }, rule, new Date('2026-10-19T12:00:00Z'))
+
+    expect(calls).toContainEqual(['or', 'updated_at.gt."2026-10-19T09:00:00+00:00",and(updated_at.eq."2026-10-19T09:00:00+00:00",id.gt.c-prev)'])
+    expect(events).toHaveLength(20)
+    expect(cursor).toEqual({ at: comments[19].updated_at, id: 'c19' })
+  })
+
+  it('should treat every pending approval status as waiting', async () => {
+    const { query, calls } = recordingQuery({ data: [], error: null })
+    const rule = { workspace_id: 'w1', trigger_type: 'approval_pending', trigger_config: { hours: 4 } }
+
+    expect(await findTriggerEvents({ from: () => query }, rule)).toEqual({ events: [], cursor: null })
+    expect(calls).toContainEqual(['in', 'approval_status', ['pending', 'pending_internal', 'pending_client']])
+  })
+
+  it('should still mark a rule evaluated when evaluating it throws', async () => {
+    const updates = []
+    const failing = recordingQuery({ data: null, error: new Error('boom') }).query
+    const supabase = {
+      from: (table) => table === 'automation_rules'
+        ? { update: (values) => { updates.push(values); return { eq: () => Promise.resolve({ error: null }) } } }
+        : failing
+    }
+    const rule = { id: 'r1', workspace_id: 'w1', trigger_type: 'post_failed', trigger_cursor: { at: 'x', id: 'y' } }
+
+    await expect(evaluateRule(supabase, rule, new Date('2026-10-19T12:00:00Z'))).rejects.toThrow('boom')
+    expect(updates).toEqual([{ last_evaluated_at: '2026-10-19T12:00:00.000Z' }])
+  })
+})
+
+describe('Content Queues', () => {
+  const queue = {
+    timezone: 'America/New_York',
+    slots: [
+      { day: 1, time: '09:00', platforms: ['linkedin', 'twitter'] },
+      { day: 3, time: '09:00', platforms: ['linkedin'] }
+    ]
+  }
+
+  it('should validate queue slots', () => {
+    expect(validateQueue({ name: 'Tips', timezone: 'UTC', slots: queue.slots })).toBeNull()
+    expect(validateQueue({ name: 'Tips', slots: [] })).toMatch(/slot/)
+    expect(validateQueue({ name: 'Tips', slots: [{ day: 7, time: '09:00', platforms: ['linkedin'] }] })).toMatch(/day/)
+    expect(validateQueue({ name: 'Tips', slots: [{ day: 1, time: '9am', platforms: ['linkedin'] }] })).toMatch(/HH:MM/)
+    expect(validateQueue({ name: 'Tips', slots: [{ day: 1, time: '09:00', platforms: ['myspace'] }] })).toMatch(/Unknown platform/)
+    expect(validateQueue({ name: 'Tips', timezone: 'Mars/Olympus', slots: queue.slots })).toMatch(/timezone/)
+  })
+
+  it('should only check provided fields on partial updates', () => {
+    expect(validateQueue({ minRepeatGapDays: 14 }, { partial: true })).toBeNull()
+    expect(validateQueue({ minRepeatGapDays: 0 }, { partial: true })).toMatch(/minRepeatGapDays/)
+  })
+
+  it('should convert wall-clock times across DST', () => {
+    expect(zonedTimeToUtc(2026, 1, 12, 9, 0, 'America/New_York').toISOString()).toBe('2026-01-12T14:00:00.000Z')
+    expect(zonedTimeToUtc(2026, 7, 13, 9, 0, 'America/New_York').toISOString()).toBe('2026-07-13T13:00:00.000Z')
+  })
+
+  it('should pick the next free slot', () => {
+    // Sunday 2026-01-11 noon UTC
+    const from = new Date('2026-01-11T12:00:00Z')
+    const first = findNextFreeSlot(queue, new Set(), from)
+    expect(first.at.toISOString()).toBe('2026-01-12T14:00:00.000Z')
+    expect(first.platforms).toEqual(['linkedin', 'twitter'])
+
+    const next = findNextFreeSlot(queue, new Set([first.at.toISOString()]), from)
+    expect(next.at.toISOString()).toBe('2026-01-14T14:00:00.000Z')
+    expect(next.platforms).toEqual(['linkedin'])
+  })
+
+  it('should move a queued post to the next slot when another request took its slot', async () => {
+    const notBefore = new Date('2099-01-04T12:00:00Z')
+    const first = findNextFreeSlot(queue, new Set(), notBefore)
+    const next = findNextFreeSlot(queue, new Set([first.at.toISOString()]), notBefore)
+
+    const inserted = []
+    const results = [
+      { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint "idx_posts_queue_slot_unique"' } },
+      { data: { id: 'p2' }, error: null }
+    ]
+    const noQueuedPosts = { eq: () => noQueuedPosts, in: () => noQueuedPosts, gte: () => Promise.resolve({ data: [], error: null }) }
+    const queueRow = { eq: () => queueRow, single: () => Promise.resolve({ data: { ...queue, id: 'q1', is_active: true }, error: null }) }
+    const supabase = {
+      from: (table) => table === 'content_queues'
+        ? { select: () => queueRow }
+        : {
+            select: () => noQueuedPosts,
+            insert: ([row]) => {
+              inserted.push(row)
+              return { select: () => ({ single: () => Promise.resolve(results.shift()) }) }
+            }
+          }
+    }
+
+    const row = { queue_id: 'q1', workspace_id: 'w1', scheduled_at: first.at.toISOString(), platforms: first.platforms }
+    const { data, error } = await insertQueuedPost(supabase, row, { notBefore })
+
+    expect(error).toBeNull()
+    expect(data).toEqual({ id: 'p2' })
+    expect(inserted[1]).toMatchObject({ scheduled_at: next.at.toISOString(), platforms: next.platforms })
+  })
+})
+
+describe('Post CSV Import/Export', () => {
+  const now = new Date('2026-01-01T00:00:00Z')
+  const row = (values) => ({
+    text: 'Hello',
+    platforms: 'linkedin',
+    scheduled_time: '2026-02-02 09:30',
+    thread_post: '',
+    thread_numbers: '',
+    ...values
+  })
+
+  it('should parse quoted cells with commas, quotes and newlines', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"\nthere']
+    ])
+  })
+
+  it('should require the text and platforms columns', () => {
+    expect(readImportCsv('caption,platforms\nhi,linkedin').error).toMatch(/text/)
+    const { records } = readImportCsv('Text,Platforms\nhi,linkedin\n,\n')
+    expect(records).toEqual([{ row: 2, values: { text: 'hi', platforms: 'linkedin' } }])
+  })
+
+  it('should convert scheduled times from the workspace timezone', () => {
+    const { post } = validateCsvRecord(row(), { timezone: 'America/New_York', now })
+    expect(post.scheduledAt).toBe('2026-02-02T14:30:00.000Z')
+    expect(post.platforms).toEqual(['linkedin'])
+  })
+
+  it('should apply the compose platform rules', () => {
+    expect(validateCsvRecord(row({ platforms: 'instagram' }), { now }).errors).toContain('instagram_type (feed, story or reel) is required for Instagram')
+    expect(validateCsvRecord(row({ platforms: 'instagram', instagram_type: 'reel', media_urls: 'https://cdn.example.com/a.jpg' }), { now }).errors)
+      .toContain('Instagram Reels require a video file, not an image')
+    expect(validateCsvRecord(row({ platforms: 'tiktok', media_urls: 'https://cdn.example.com/a.png' }), { now }).errors)
+      .toContain('TikTok does not support PNG images')
+    expect(validateCsvRecord(row({ platforms: 'myspace' }), { now }).errors[0]).toMatch(/Unknown platform/)
+  })
+
+  it('should only require a future time for scheduled imports', () => {
+    expect(validateCsvRecord(row({ scheduled_time: '2025-06-01 09:00' }), { now }).errors).toContain('scheduled_time is in the past')
+    expect(validateCsvRecord(row({ scheduled_time: '' }), { now, mode: 'draft' }).errors).toEqual([])
+    expect(validateCsvRecord(row({ scheduled_time: '2026-02-30 09:00' }), { now, mode: 'draft' }).errors[0]).toMatch(/YYYY-MM-DD/)
+  })
+
+  it('should round-trip exported posts', () => {
+    const csv = buildPostsCsv([{
+      caption: '- tips, tricks & "quotes"',
+      platforms: ['twitter', 'instagram'],
+      scheduledAt: '2026-02-02T14:30:00.000Z',
+      mediaUrls: ['https://cdn.example.com/a.jpg'],
+      postSettings: { instagramType: 'feed', threadPost: true, threadNumber: false }
+    }], 'America/New_York')
+
+    const { records } = readImportCsv(csv)
+    const { errors, post } = validateCsvRecord(records[0].values, { timezone: 'America/New_York', now })
+    expect(errors).toEqual([])
+    expect(post).toEqual({
+      caption: '- tips, tricks & "quotes"',
+      platforms: ['twitter', 'instagram'],
+      scheduledAt: '2026-02-02T14:30:00.000Z',
+      mediaUrls: ['https://cdn.example.com/a.jpg'],
+      postSettings: { instagramType: 'feed', threadPost: true, threadNumber: false }
+    })
+  })
+})
+
+describe('Scheduler Publish Queue', () => {
+  it('should claim a batch through claim_due_posts', async () => {
+    const rpc = vi.fn().mockResolvedValue({ data: [{ id: 'p1' }], error: null })
+    const result = await claimDuePosts({ rpc }, { batchSize: 20, perWorkspace: 4, leaseSeconds: 120 })
+
+    expect(result.success).toBe(true)
+    expect(result.posts).toEqual([{ id: 'p1' }])
+    expect(rpc).toHaveBeenCalledWith('claim_due_posts', {
+      p_claim_id: result.claimId,
+      p_batch_size: 20,
+      p_per_workspace: 4,
+      p_lease_seconds: 120
+    })
+  })
+
+  it('should keep at most the limit in flight', async () => {
+    let inFlight = 0
+    let peak = 0
+    const done = []
+    await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+      inFlight++
+      peak = Math.max(peak, inFlight)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      inFlight--
+      done.push(item)
+    })
+
+    expect(peak).toBe(3)
+    expect(done.sort()).toEqual([1, 2, 3, 4, 5, 6, 7])
+  })
+
+  it('should hand back items not started before the deadline', async () => {
+    const worker = vi.fn()
+    const { unstarted } = await runWithConcurrency(['a', 'b'], 2, worker, { deadline: Date.now() - 1 })
+
+    expect(worker).not.toHaveBeenCalled()
+    expect(unstarted).toEqual(['a', 'b'])
+  })
+
+  it('should measure lateness against the scheduled time', () => {
+    expect(getLatenessSeconds('2026-03-02T09:00:00.000Z', '2026-03-02T09:04:30.000Z')).toBe(270)
+    expect(getLatenessSeconds('2026-03-02T09:00:00.000Z', '2026-03-02T08:59:59.000Z')).toBe(0)
+    expect(getLatenessSeconds(null, '2026-03-02T09:00:00.000Z')).toBeNull()
+
+    expect(summarizeLateness([])).toEqual({ count: 0, avgSeconds: null, p95Seconds: null, maxSeconds: null })
+    expect(summarizeLateness([30, 10, 20, 600])).toEqual({ count: 4, avgSeconds: 165, p95Seconds: 600, maxSeconds: 600 })
+  })
+})
+
+describe('Caption Variants', () => {
+  it('should keep only non-blank variants for selected platforms', () => {
+    const { settings } = applyCaptionVariants({
+      threadPost: true,
+      captionVariants: { twitter: ' Short ', linkedin: 'Long form', instagram: '   ' }
+    }, ['twitter', 'instagram'])
+
+    expect(settings).toEqual({ threadPost: true, captionVariants: { twitter: 'Short' } })
+    expect(applyCaptionVariants({ captionVariants: {} }, ['twitter']).settings).toEqual({})
+  })
+
+  it('should reject malformed variants', () => {
+    expect(applyCaptionVariants({ captionVariants: 'x' }, ['twitter']).error).toMatch(/object/)
+    expect(applyCaptionVariants({ captionVariants: { myspace: 'hi' } }, ['twitter']).error).toMatch(/Unknown platform/)
+    expect(applyCaptionVariants({ captionVariants: { twitter: 'a'.repeat(5001) } }, ['twitter']).error).toMatch(/maximum length/)
+  })
+
+  it('should build a per-platform Ayrshare post only when variants differ', () => {
+    expect(buildAyrsharePost('Hello', ['twitter', 'linkedin'], undefined)).toBe('Hello')
+    expect(buildAyrsharePost('Hello', ['twitter'], { twitter: 'Hello' })).toBe('Hello')
+    expect(buildAyrsharePost('Hello', ['twitter', 'linkedin'], { twitter: 'Hi' }))
+      .toEqual({ default: 'Hello', twitter: 'Hi' })
+  })
+
+  it('should read and replace the text one platform receives', () => {
+    const post = { default: 'Hello', twitter: 'Hi' }
+    expect(getPlatformCaption(post, 'twitter')).toBe('Hi')
+    expect(getPlatformCaption(post, 'linkedin')).toBe('Hello')
+    expect(setPlatformCaption(post, 'twitter', 'Hi\n\n1/2')).toEqual({ default: 'Hello', twitter: 'Hi\n\n1/2' })
+    expect(setPlatformCaption('Hello', 'twitter', 'Split')).toBe('Split')
+  })
+})
+
+describe('First Comments', () => {
+  it('should trim the first comment and drop it when blank', () => {
+    expect(applyFirstComment({ threadPost: false, firstComment: '  #launch  ' }).settings)
+      .toEqual({ threadPost: false, firstComment: '#launch' })
+    expect(applyFirstComment({ firstComment: '   ' }).settings).toEqual({})
+    expect(applyFirstComment({ firstComment: 'a'.repeat(2001) }).error).toMatch(/maximum length/)
+  })
+
+  it('should only comment on Instagram and LinkedIn', () => {
+    expect(getFirstCommentPlatforms(['twitter', 'instagram', 'linkedin'])).toEqual(['instagram', 'linkedin'])
+  })
+
+  it('should not comment when there is nothing to post or it was already claimed', async () => {
+    const from = vi.fn()
+    const post = { id: 'p1', workspace_id: 'w1', ayr_post_id: 'a1', platforms: ['instagram'], post_settings: {} }
+    expect(await postFirstComment({ from }, post)).toBeNull()
+    expect(from).not.toHaveBeenCalled()
+
+    const select = vi.fn().mockResolvedValue({ data: [], error: null })
+    const claimed = { update: () => ({ eq: () => ({ is: () => ({ select }) }) }) }
+    const result = await postFirstComment({ from: () => claimed }, { ...post, post_settings: { firstComment: '#tips' } })
+    expect(result).toBeNull()
+    expect(select).toHaveBeenCalled()
+  })
+})
+
+describe('Approval Deadlines', () => {
+  const workspace = { approval_deadline_hours: 12, approval_fallback: 'hold' }
+  const post = { approval_status: 'pending_client', scheduled_at: '2026-10-20T12:00:00.000Z' }
+
+  it('should put the deadline the configured hours before the scheduled time', () => {
+    expect(getApprovalDeadline(post.scheduled_at, 12).toISOString()).toBe('2026-10-20T00:00:00.000Z')
+    expect(getApprovalDeadline(post.scheduled_at, null)).toBeNull()
+  })
+
+  it('should remind a day before the deadline and fall back once it passes', () => {
+    expect(getDeadlineAction(post, workspace, new Date('2026-10-18T12:00:00Z'))).toBeNull()
+    expect(getDeadlineAction(post, workspace, new Date('2026-10-19T01:00:00Z'))).toBe('remind')
+    expect(getDeadlineAction({ ...post, approval_reminder_sent_at: '2026-10-19T01:00:00Z' }, workspace, new Date('2026-10-19T02:00:00Z'))).toBeNull()
+    expect(getDeadlineAction(post, workspace, new Date('2026-10-20T00:00:00Z'))).toBe('fallback')
+  })
+
+  it('should skip posts that are not waiting on an approver or were already escalated', () => {
+    const late = new Date('2026-10-20T06:00:00Z')
+    expect(getDeadlineAction({ ...post, approval_status: 'changes_requested' }, workspace, late)).toBeNull()
+    expect(getDeadlineAction({ ...post, approval_escalated_at: '2026-10-20T00:00:00Z' }, workspace, late)).toBeNull()
+    expect(getDeadlineAction(post, { approval_deadline_hours: null }, late)).toBeNull()
+  })
+
+  it('should reschedule a day past the new deadline and remind approvers again', () => {
+    const now = new Date('2026-10-20T06:00:30Z')
+    const next = getRescheduledTime(12, now)
+    expect(next.toISOString()).toBe('2026-10-21T18:00:00.000Z')
+    expect(getDeadlineAction({ ...post, scheduled_at: next.toISOString() }, workspace, now)).toBe('remind')
+  })
+
+  it('should audit an auto-approval as the deadline runner', async () => {
+    const duePost = {
+      ...post,
+      id: 'post-1',
+      workspace_id: 'w1',
+      caption: 'Launch day',
+      workspace: { ...workspace, approval_fallback: 'auto_approve' }
+    }
+    const results = { posts: [{ data: [duePost], error: null }, { data: [{ id: 'post-1' }], error: null }] }
+    const audit = recordingQuery({ error: null })
+    const supabase = {
+      from: (table) => table === 'workspace_audit_log'
+        ? audit.query
+        : recordingQuery(results[table]?.shift() || { data: null, error: null }).query
+    }
+
+    const summary = await processApprovalDeadlines(supabase, { now: new Date('2026-10-20T06:00:00Z') })
+
+    expect(summary.escalated.auto_approve).toBe(1)
+    const [[, rows]] = audit.calls.filter(([method]) => method === 'insert')
+    expect(rows[0]).toMatchObject({
+      action: 'post.approved',
+      actor_id: null,
+      actor_email: 'approval deadline',
+      target_id: 'post-1',
+      before_values: { status: 'pending_approval', approval_status: 'pending_client' },
+      after_values: { status: 'scheduled', approval_status: 'approved' },
+      metadata: { fallback: 'auto_approve' }
+    })
+  })
+})
+
+describe('Approval Chains', () => {
+  const legalId = '123e4567-e89b-12d3-a456-426614174000'
+  const chain = [
+    { name: 'Internal', approverIds: [], roles: ['member'], rule: 'any', skipPlatforms: [], skipTags: ['repost'] },
+    { name: 'Legal', approverIds: [legalId], roles: [], rule: 'all', skipPlatforms: ['twitter'], skipTags: [] },
+    { name: 'Client', approverIds: [], roles: ['viewer'], rule: 'any', skipPlatforms: [], skipTags: [] }
+  ]
+
+  it('should validate stages and normalize their tags', () => {
+    const result = validateApprovalChain([{ name: ' Legal ', approverIds: [legalId], skipTags: ['#Internal', 'internal'] }])
+    expect(result.chain[0]).toEqual({
+      name: 'Legal', approverIds: [legalId], roles: [], rule: 'any', skipPlatforms: [], skipTags: ['internal']
+    })
+    expect(validateApprovalChain([{ name: 'Legal' }]).error).toContain('at least one approver')
+    expect(validateApprovalChain([{ name: 'Legal', roles: ['admin'] }]).error).toContain('unknown role')
+    expect(validateApprovalChain([{ name: 'Legal', roles: ['member'], rule: 'most' }]).error).toContain('rule')
+  })
+
+  it('should tidy post tags and reject bad ones', () => {
+    expect(applyPostTags({ tags: [' #Repost', 'repost', ''] }).settings.tags).toEqual(['repost'])
+    expect(applyPostTags({ tags: [] }).settings).toEqual({})
+    expect(applyPostTags({ tags: 'repost' }).error).toBeDefined()
+  })
+
+  it('should skip stages by platform and tag', () => {
+    expect(startApprovalChain(chain, { platforms: ['linkedin'], post_settings: {} }).approval_stage).toBe(0)
+    expect(findNextStage(chain, { platforms: ['twitter'], post_settings: { tags: ['repost'] } })).toBe(2)
+    expect(findNextStage(chain, { platforms: ['twitter', 'linkedin'], post_settings: '{"tags":["repost"]}' })).toBe(1)
+    expect(findNextStage(chain, { platforms: ['twitter'], post_settings: {} }, 1)).toBe(2)
+    expect(startApprovalChain([], { platforms: ['twitter'] })).toBeNull()
+  })
+
+  it('should clear a stage on any or all sign-offs from its approvers', () => {
+    expect(isStageApprover(chain[0], { user_id: 'a', role: 'editor' })).toBe(true)
+    expect(isStageApprover(chain[1], { user_id: 'a', role: 'owner' })).toBe(false)
+    expect(isStageComplete(chain[0], ['a', 'b'], ['b'])).toBe(true)
+    expect(isStageComplete(chain[0], ['a', 'b'], ['c'])).toBe(false)
+    expect(isStageComplete({ rule: 'all' }, ['a', 'b'], ['a'])).toBe(false)
+    expect(isStageComplete({ rule: 'all' }, ['a', 'b'], ['b', 'a'])).toBe(true)
+  })
+})
+
+describe('Inbox Assignment', () => {
+  const actorId = '123e4567-e89b-12d3-a456-426614174000'
+  const assigneeId = '123e4567-e89b-12d3-a456-426614174001'
+  const now = new Date('2026-10-19T12:00:00Z')
+
+  it('should record who assigned a conversation and when', () => {
+    expect(buildConversationUpdate({ assignedTo: assigneeId }, actorId, now).update).toEqual({
+      assigned_to: assigneeId,
+      assigned_by: actorId,
+      assigned_at: '2026-10-19T12:00:00.000Z'
+    })
+    expect(buildConversationUpdate({ assignedTo: null }, actorId, now).update).toEqual({
+      assigned_to: null,
+      assigned_by: null,
+      assigned_at: null
+    })
+  })
+
+  it('should change status alongside or without an assignment', () => {
+    const { update } = buildConversationUpdate({ status: 'closed' }, actorId, now)
+    expect(update).toEqual({ status: 'closed', status_changed_at: '2026-10-19T12:00:00.000Z' })
+    expect(Object.keys(buildConversationUpdate({ assignedTo: assigneeId, status: 'pending' }, actorId, now).update)).toHaveLength(5)
+  })
+
+  it('should reject unknown statuses, bad assignees and empty updates', () => {
+    expect(buildConversationUpdate({ status: 'snoozed' }, actorId).error).toContain('status must be one of')
+    expect(buildConversationUpdate({ assignedTo: 'someone' }, actorId).error).toContain('assignedTo')
+    expect(buildConversationUpdate({}, actorId).error).toContain('Nothing to update')
+  })
+})
+
+describe('Saved Replies', () => {
+  it('should validate name, body and link URL', () => {
+    expect(validateSavedReply({ name: 'Shipping', body: 'Hi {{first_name}}!' })).toBeNull()
+    expect(validateSavedReply({ name: '', body: 'Hi' })).toContain('name')
+    expect(validateSavedReply({ name: 'Shipping', body: '   ' })).toContain('body')
+    expect(validateSavedReply({ name: 'Shipping', body: 'See {{link}}', linkUrl: 'ftp://example.com' })).toContain('http')
+    expect(validateSavedReply({ body: 'Updated' }, { partial: true })).toBeNull()
+  })
+
+  it('should reject unknown variables', () => {
+    expect(findUnknownVariables('Hi {{first_name}}, {{ order_id }} and {{coupon}}')).toEqual(['order_id', 'coupon'])
+    expect(validateSavedReply({ name: 'Order', body: 'Your order {{order_id}}' })).toContain('{{order_id}}')
+  })
+
+  it('should expand variables for the correspondent', () => {
+    const text = expandReplyVariables('Hi {{first_name}} ({{correspondent_name}}), {{ brand_name }} here: {{link}}', {
+      correspondentName: 'Jane Doe',
+      brandName: 'Woozy',
+      link: 'https://woozysocials.com/l/abc123'
+    })
+    expect(text).toBe('Hi Jane (Jane Doe), Woozy here: https://woozysocials.com/l/abc123')
+  })
+
+  it('should fall back to natural wording when values are missing', () => {
+    expect(expandReplyVariables('Hi {{first_name}}, thanks from {{brand_name}}!')).toBe('Hi there, thanks from our team!')
+    expect(expandReplyVariables('More at {{link}}')).toBe('More at')
+  })
+})
+
+describe('Inbox Platforms', () => {
+  it('should normalize platform names used across the app', () => {
+    expect(normalizeInboxPlatform('googleBusiness')).toBe('gmb')
+    expect(normalizeInboxPlatform('X')).toBe('twitter')
+    expect(normalizeInboxPlatform('bluesky')).toBe('bluesky')
+    expect(normalizeInboxPlatform('pinterest')).toBeNull()
+  })
+
+  it('should enforce reply windows and length limits', () => {
+    const now = new Date('2026-10-19T12:00:00Z')
+    expect(getReplyRestriction('instagram', { lastCorrespondentAt: '2026-10-15T12:00:00Z', now })).toBeNull()
+    expect(getReplyRestriction('instagram', { lastCorrespondentAt: '2026-10-10T12:00:00Z', now })).toContain('7 days')
+    expect(getReplyRestriction('linkedin', { lastCorrespondentAt: '2026-01-01T00:00:00Z', now })).toBeNull()
+    expect(validateReplyText('tiktok', 'a'.repeat(150))).toBeNull()
+    expect(validateReplyText('tiktok', 'a'.repeat(151))).toContain('150')
+    expect(validateReplyText('bluesky', '  ')).toContain('empty')
+  })
+
+  it('should turn a comment and its replies into a conversation', () => {
+    const { conversation, messages } = normalizeCommentThread('linkedin', 'ayr_1', {
+      commentId: 'c1',
+      comment: 'Great post!',
+      from: { name: 'Jane Doe', id: 'u1' },
+      created: '2026-10-18T10:00:00Z',
+      replies: [{ commentId: 'c2', comment: 'Agreed', userName: 'sam' }, { comment: 'no id' }]
+    }, { workspaceId: 'ws-1', postCaption: 'Launch day' })
+
+    expect(conversation).toMatchObject({
+      workspace_id: 'ws-1',
+      platform: 'linkedin',
+      conversation_type: 'comment',
+      ayrshare_conversation_id: 'c1',
+      source_post_id: 'ayr_1',
+      correspondent_name: 'Jane Doe',
+      can_reply: true
+    })
+    expect(conversation.metadata.postCaption).toBe('Launch day')
+    expect(messages.map(m => m.ayrshare_message_id)).toEqual(['c1', 'c2'])
+    expect(messages[1]).toMatchObject({ sender_name: 'sam', message_text: 'Agreed', sent_at: '2026-10-18T10:00:00Z' })
+  })
+
+  it('should turn a Google review and owner reply into a conversation', () => {
+    const { conversation, messages } = normalizeReview({
+      reviewId: 'r1',
+      starRating: 'FOUR',
+      comment: 'Friendly staff',
+      reviewer: { displayName: 'Alex' },
+      createTime: '2026-10-17T09:00:00Z',
+      reviewReply: { comment: 'Thanks Alex!', updateTime: '2026-10-17T11:00:00Z' }
+    }, { workspaceId: 'ws-1' })
+
+    expect(conversation).toMatchObject({ platform: 'gmb', conversation_type: 'review', review_rating: 4, ayrshare_conversation_id: 'r1' })
+    expect(messages).toHaveLength(2)
+    expect(messages[0]).toMatchObject({ ayrshare_message_id: 'review_r1', sender_type: 'correspondent', message_text: 'Friendly staff' })
+    expect(messages[1]).toMatchObject({ ayrshare_message_id: 'review_reply_r1', sender_type: 'user' })
+  })
+})
+
+describe('Comment Moderation', () => {
+  const rule = (overrides) => ({ id: overrides.rule_type, name: overrides.rule_type, config: {}, action: 'flag', is_active: true, ...overrides })
+
+  it('should validate rules by type', () => {
+    expect(validateModerationRule({ name: 'Spam', ruleType: 'keyword', config: { keywords: ['free followers'] }, action: 'hide' })).toBeNull()
+    expect(validateModerationRule({ name: 'Spam', ruleType: 'keyword', config: { keywords: [] }, action: 'hide' })).toContain('keyword')
+    expect(validateModerationRule({ name: 'Bad', ruleType: 'regex', config: { patterns: ['(unclosed'] }, action: 'flag' })).toContain('Invalid pattern')
+    expect(validateModerationRule({ name: 'Spam', ruleType: 'link_spam', config: {}, action: 'ban' })).toContain('action')
+    expect(validateModerationRule({ name: 'Flood', ruleType: 'repeat_commenter', config: { threshold: 1 }, action: 'flag' })).toContain('threshold')
+    expect(validateModerationRule({ isActive: false }, { partial: true })).toBeNull()
+  })
+
+  it('should detect link-only comments', () => {
+    expect(isLinkOnlyComment('https://spam.example.com/win')).toBe(true)
+    expect(isLinkOnlyComment('check this bit.ly/abc123')).toBe(true)
+    expect(isLinkOnlyComment('Loved this recipe, I wrote about it at https://blog.example.com')).toBe(false)
+    expect(isLinkOnlyComment('Great post!')).toBe(false)
+  })
+
+  it('should reject patterns that can backtrack catastrophically', () => {
+    const regexRule = (pattern) => ({ name: 'Spam', ruleType: 'regex', config: { patterns: [pattern] }, action: 'flag' })
+    expect(validateModerationRule(regexRule('(a+)+$'))).toContain('nests repeats')
+    expect(validateModerationRule(regexRule('(\\w*\\s?)*x'))).toContain('nests repeats')
+    expect(validateModerationRule(regexRule('((ab)*c)+'))).toContain('nests repeats')
+    expect(validateModerationRule(regexRule('(a)\\1'))).toContain('backreference')
+    expect(validateModerationRule(regexRule('(free|cheap)\\s+followers'))).toBeNull()
+    expect(validateModerationRule(regexRule('[(a+)]+'))).toBeNull()
+  })
+
+  it('should skip unsafe patterns saved before they were rejected', () => {
+    const rules = [rule({ rule_type: 'regex', config: { patterns: ['(a+)+$'] } })]
+    expect(evaluateComment({ comment_text: 'a'.repeat(40) + '!', platform: 'facebook' }, rules)).toBeNull()
+  })
+
+  it('should pick the strongest matching rule', () => {
+    const rules = [
+      rule({ rule_type: 'keyword', config: { keywords: ['followers'] }, action: 'flag' }),
+      rule({ rule_type: 'regex', config: { patterns: ['buy\\s+cheap'] }, action: 'delete' }),
+      rule({ rule_type: 'link_spam', action: 'hide' })
+    ]
+    const match = evaluateComment({ comment_text: 'Buy  cheap followers here', platform: 'facebook' }, rules)
+    expect(match.action).toBe('delete')
+    expect(match.reason).toContain('pattern')
+    expect(evaluateComment({ comment_text: 'Nice photo!', platform: 'facebook' }, rules)).toBeNull()
+  })
+
+  it('should respect platform filters, paused rules and repeat thresholds', () => {
+    const rules = [
+      rule({ rule_type: 'keyword', config: { keywords: ['scam'] }, action: 'hide', platforms: ['instagram'] }),
+      rule({ rule_type: 'keyword', config: { keywords: ['giveaway'] }, action: 'hide', is_active: false }),
+      rule({ rule_type: 'repeat_commenter', config: { threshold: 3, windowMinutes: 30 } })
+    ]
+    expect(evaluateComment({ comment_text: 'scam', platform: 'facebook' }, rules)).toBeNull()
+    expect(evaluateComment({ comment_text: 'scam', platform: 'instagram' }, rules).action).toBe('hide')
+    expect(evaluateComment({ comment_text: 'giveaway', platform: 'facebook' }, rules)).toBeNull()
+    expect(evaluateComment({ comment_text: 'hi', platform: 'facebook' }, rules, { authorCommentCount: 2 })).toBeNull()
+    expect(evaluateComment({ comment_text: 'hi', platform: 'facebook' }, rules, { authorCommentCount: 3 }).reason).toContain('30 minutes')
+  })
+})
+
+describe('Sentiment Classification', () => {
+  it('should classify complaints, praise and questions with rules', () => {
+    expect(classifyWithRules('My order arrived damaged and I want a refund')).toEqual({ sentiment: 'negative', intent: 'complaint' })
+    expect(classifyWithRules('Love this, amazing work!')).toEqual({ sentiment: 'positive', intent: 'praise' })
+    expect(classifyWithRules('What time do you open tomorrow?')).toEqual({ sentiment: 'neutral', intent: 'question' })
+    expect(classifyWithRules('')).toEqual({ sentiment: 'neutral', intent: 'other' })
+  })
+
+  it('should detect sales leads and spam', () => {
+    expect(classifyWithRules('How much is the large one?').intent).toBe('sales_lead')
+    expect(classifyWithRules('https://spam.example.com').intent).toBe('spam')
+    expect(classifyWithRules('Nice! Check out my profile for free followers').intent).toBe('spam')
+  })
+
+  it('should parse AI output and reject unusable responses', () => {
+    const fenced = '```json\n[{"sentiment":"negative","intent":"complaint"},{"sentiment":"happy","intent":"chat"}]\n```'
+    expect(parseClassifications(fenced, 2)).toEqual([
+      { sentiment: 'negative', intent: 'complaint' },
+      { sentiment: 'neutral', intent: 'other' }
+    ])
+    expect(parseClassifications(fenced, 3)).toBeNull()
+    expect(parseClassifications('not json', 1)).toBeNull()
+  })
+
+  it('should summarize classified rows', () => {
+    const summary = summarizeSentiment([
+      { sentiment: 'negative', intent: 'complaint' },
+      { sentiment: 'positive', intent: 'praise' },
+      { sentiment: 'negative', intent: 'complaint' },
+      { sentiment: null, intent: null }
+    ])
+    expect(summary.total).toBe(3)
+    expect(summary.sentiment).toEqual({ positive: 1, neutral: 0, negative: 2 })
+    expect(summary.intent.complaint).toBe(2)
+  })
+})
+
+describe('Permission Registry', () => {
+  it('should give the frontend and the API the same role permissions', () => {
+    for (const role of ['owner', 'member', 'viewer']) {
+      expect(ROLE_CONFIG[role].permissions).toEqual(ROLE_PERMISSIONS[role])
+    }
+    expect(getRoleColumnDefaults('member')).toMatchObject({ can_delete_posts: false, can_manage_team: false })
+    expect(getRoleColumnDefaults('editor')).toEqual(getRoleColumnDefaults('member'))
+  })
+
+  it('should apply per-member toggles', () => {
+    expect(resolveMemberPermissions({ role: 'member', can_final_approval: true }).canApprovePosts).toBe(true)
+    expect(resolveMemberPermissions({ role: 'viewer', can_final_approval: true }).canFinalApproval).toBe(false)
+    expect(resolveMemberPermissions({ role: 'viewer', can_approve_posts: true }).canApprovePosts).toBe(true)
+    expect(resolveMemberPermissions({ role: 'member', can_manage_settings: true }).canManageSettings).toBe(false)
+    expect(Object.values(resolveMemberPermissions({ role: 'owner' })).every(Boolean)).toBe(true)
+  })
+
+  it('should use a custom role instead of the base role', () => {
+    const member = {
+      role: 'member',
+      can_manage_team: true,
+      custom_role: { name: 'Community Manager', permissions: ['canAccessSocialInbox', 'canDeleteWorkspace'] }
+    }
+    const permissions = resolveMemberPermissions(member)
+    expect(permissions.canAccessSocialInbox).toBe(true)
+    expect(permissions.canCreatePosts).toBe(false)
+    expect(permissions.canDeleteWorkspace).toBe(false)
+    expect(permissions.canManageTeam).toBe(true)
+    expect(checkPermission(member, 'canCreatePosts').success).toBe(false)
+    expect(checkPermission({ ...member, custom_role: null }, 'canCreatePosts').success).toBe(true)
+  })
+
+  it('should validate custom roles', () => {
+    expect(validateCustomRole({ name: 'Copywriter', baseRole: 'member', permissions: ['canCreatePosts'] })).toBeNull()
+    expect(validateCustomRole({ name: 'Owner', baseRole: 'member', permissions: [] })).toContain('built-in')
+    expect(validateCustomRole({ name: 'Boss', baseRole: 'owner', permissions: [] })).toContain('baseRole')
+    expect(validateCustomRole({ name: 'X', baseRole: 'member', permissions: ['canFly'] })).toContain('Unknown permission')
+    expect(validateCustomRole({ name: 'X', baseRole: 'member', permissions: ['canTransferOwnership'] })).toContain('reserved')
+    expect(validateCustomRole({ permissions: ['canCreatePosts'] }, { partial: true })).toBeNull()
+  })
+})
+
+describe('Audit Log', () => {
+  it('should keep only the values that changed', () => {
+    const { before, after } = diffValues(
+      { caption: 'Hello', platforms: ['x'], status: 'scheduled' },
+      { caption: 'Hello world', platforms: ['x'], status: 'scheduled' }
+    )
+    expect(before).toEqual({ caption: 'Hello' })
+    expect(after).toEqual({ caption: 'Hello world' })
+    expect(diffValues(null, { caption: 'New' })).toEqual({ before: null, after: { caption: 'New' } })
+  })
+
+  it('should record entries with the actor and IP from the request', async () => {
+    const insert = vi.fn().mockResolvedValue({ error: null })
+    const supabase = { from: vi.fn(() => ({ insert })) }
+    const req = { user: { id: 'user-1', email: 'owner@example.com' }, headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' } }
+
+    await recordAudit(supabase, [
+      postAuditEntry('post.deleted', { id: 'post-1', workspace_id: 'ws-1', caption: 'Launch day' }),
+      { action: 'post.created' }
+    ], req)
+
+    expect(supabase.from).toHaveBeenCalledWith('workspace_audit_log')
+    expect(insert.mock.calls[0][0]).toEqual([expect.objectContaining({
+      workspace_id: 'ws-1',
+      actor_id: 'user-1',
+      actor_email: 'owner@example.com',
+      action: 'post.deleted',
+      target_type: 'post',
+      target_label: 'Launch day',
+      ip_address: '203.0.113.7'
+    })])
+
+    insert.mockRejectedValueOnce(new Error('down'))
+    await expect(recordAudit(supabase, { workspaceId: 'ws-1', action: 'asset.deleted', actorId: null })).resolves.toBeUndefined()
+  })
+
+  it('should filter by action group, exact action and search', () => {
+    const calls = []
+    const query = new Proxy({}, {
+      get: (_, method) => (...args) => { calls.push([method, ...args]); return query }
+    })
+
+    applyAuditFilters(query, { action: 'post', search: 'launch, (day)%' })
+    expect(calls).toEqual([
+      ['like', 'action', 'post.%'],
+      ['or', 'target_label.ilike.%launch   day%,actor_email.ilike.%launch   day%,target_id.eq.launch   day']
+    ])
+
+    calls.length = 0
+    applyAuditFilters(query, { action: 'member.removed', actorId: 'user-1', from: '2026-10-01T00:00:00Z' })
+    expect(calls).toEqual([
+      ['eq', 'action', 'member.removed'],
+      ['eq', 'actor_id', 'user-1'],
+      ['gte', 'created_at', '2026-10-01T00:00:00Z']
+    ])
+  })
+
+  it('should export entries as CSV with before/after as JSON', () => {
+    const csv = buildAuditCsv([{
+      created_at: '2026-10-19T10:00:00Z',
+      actor_email: null,
+      actor_id: null,
+      action: 'billing.subscription_changed',
+      target_type: 'subscription',
+      target_id: 'sub_1',
+      before_values: { subscription_tier: 'pro' },
+      after_values: { subscription_tier: 'agency' },
+      ip_address: null
+    }])
+    const [header, row] = csv.trim().split('\r\n')
+    expect(header).toBe('timestamp,actor,action,target_type,target,before,after,ip_address')
+    expect(row).toBe('2026-10-19T10:00:00Z,system,billing.subscription_changed,subscription,sub_1,"{""subscription_tier"":""pro""}","{""subscription_tier"":""agency""}",')
+  })
+})
+
+describe('Post Revisions', () => {
+  const post = {
+    caption: 'Launch day!',
+    media_urls: ['https://cdn.example.com/b.png'],
+    platforms: ['instagram'],
+    scheduled_at: '2026-10-25T09:00:00.000Z',
+    post_settings: {}
+  }
+  const revision = {
+    id: 'rev-1',
+    caption: 'Launch day',
+    media_urls: ['https://cdn.example.com/a.png'],
+    platforms: ['instagram', 'facebook'],
+    scheduled_at: '2026-10-24T09:00:00+00:00',
+    post_settings: { instagram: { shareReelsFeed: true } }
+  }
+  const now = new Date('2026-10-19T12:00:00Z')
+
+  it('should match a revision to the post regardless of timestamp format', () => {
+    expect(revisionMatchesPost({ ...post, scheduled_at: '2026-10-25T09:00:00+00:00' }, post)).toBe(true)
+    expect(revisionMatchesPost(revision, post)).toBe(false)
+    expect(revisionMatchesPost({ ...post, media_urls: [] }, post)).toBe(false)
+  })
+
+  it('should restore content and tag the update with the revision', () => {
+    const update = buildRestoreUpdate(revision, post, now)
+    expect(update).toEqual({
+      caption: 'Launch day',
+      media_urls: ['https://cdn.example.com/a.png'],
+      platforms: ['instagram', 'facebook'],
+      post_settings: { instagram: { shareReelsFeed: true } },
+      scheduled_at: '2026-10-24T09:00:00+00:00',
+      restored_from_revision: 'rev-1'
+    })
+  })
+
+  it('should keep the current schedule when the revision time has passed', () => {
+    const past = { ...revision, scheduled_at: '2026-10-01T09:00:00Z' }
+    expect(buildRestoreUpdate(past, post, now).scheduled_at).toBe(post.scheduled_at)
+    expect(buildRestoreUpdate({ ...revision, scheduled_at: null }, post, now).scheduled_at).toBe(post.scheduled_at)
+  })
+})
+
+describe('Edit Versions', () => {
+  it('should read the expected version from JSON or FormData', () => {
+    expect(parseExpectedVersion(3)).toBe(3)
+    expect(parseExpectedVersion('4')).toBe(4)
+    expect(parseExpectedVersion(undefined)).toBeNull()
+    expect(parseExpectedVersion('')).toBeNull()
+    expect(parseExpectedVersion('abc')).toBeNull()
+    expect(parseExpectedVersion(0)).toBeNull()
+  })
+
+  it('should only conflict when a version was sent and has moved on', () => {
+    expect(isVersionConflict(2, { version: 3 })).toBe(true)
+    expect(isVersionConflict(3, { version: 3 })).toBe(false)
+    expect(isVersionConflict(null, { version: 3 })).toBe(false)
+    expect(isVersionConflict(2, null)).toBe(false)
+  })
+
+  it('should reject with 409 and the latest content only', () => {
+    const res = { status: vi.fn().mockReturnThis(), json: vi.fn().mockReturnThis() }
+    sendVersionConflict(res, {
+      id: 'post-1',
+      version: 5,
+      caption: 'Their caption',
+      platforms: ['instagram'],
+      ayr_post_id: 'ayr-1',
+      created_by: 'user-2'
+    })
+
+    expect(res.status).toHaveBeenCalledWith(409)
+    const body = res.json.mock.calls[0][0]
+    expect(body.code).toBe('CONFLICT')
+    expect(body.current).toEqual({ id: 'post-1', version: 5, caption: 'Their caption', platforms: ['instagram'] })
+  })
+})
+
+describe('Link Tracking', () => {
+  const iphoneSafari = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1'
+  const instagramApp = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 Instagram 323.0.3.27.95'
+
+  it('should flag crawlers, unfurlers and prefetches but not people', () => {
+    expect(isBotRequest({ 'user-agent': 'Twitterbot/1.0' })).toBe(true)
+    expect(isBotRequest({ 'user-agent': 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)' })).toBe(true)
+    expect(isBotRequest({ 'user-agent': iphoneSafari, 'sec-purpose': 'prefetch' })).toBe(true)
+    expect(isBotRequest({})).toBe(true)
+    expect(isBotRequest({ 'user-agent': iphoneSafari })).toBe(false)
+  })
+
+  it('should parse device, OS and in-app browsers from user agents', () => {
+    expect(parseUserAgent(iphoneSafari)).toEqual({ device_type: 'mobile', os: 'iOS', browser: 'Safari' })
+    expect(parseUserAgent(instagramApp).browser).toBe('instagram app')
+    expect(parseUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36'))
+      .toEqual({ device_type: 'desktop', os: 'Windows', browser: 'Chrome' })
+  })
+
+  it('should credit clicks to the link platform, then the app, then the referer', () => {
+    expect(getClickPlatform({ linkPlatform: 'linkedin', userAgent: instagramApp, referer: 'https://t.co/abc' })).toBe('linkedin')
+    expect(getClickPlatform({ linkPlatform: null, userAgent: instagramApp, referer: 'https://t.co/abc' })).toBe('instagram')
+    expect(getClickPlatform({ linkPlatform: null, userAgent: iphoneSafari, referer: 'https://t.co/abc' })).toBe('twitter')
+    expect(getClickPlatform({ linkPlatform: null, userAgent: iphoneSafari, referer: '' })).toBeNull()
+  })
+
+  it('should summarize human clicks by day, post and source', () => {
+    const clicks = [
+      { clicked_at: '2026-10-17T09:00:00Z', ip_address: '1.1.1.1', user_agent: 'a', post_id: 'post-1', platform: 'instagram', referer_host: null, device_type: 'mobile', os: 'iOS', is_bot: false },
+      { clicked_at: '2026-10-17T10:00:00Z', ip_address: '1.1.1.1', user_agent: 'a', post_id: 'post-1', platform: 'instagram', referer_host: null, device_type: 'mobile', os: 'iOS', is_bot: false },
+      { clicked_at: '2026-10-19T08:00:00Z', ip_address: '2.2.2.2', user_agent: 'b', post_id: 'post-2', platform: null, referer_host: 't.co', device_type: 'desktop', os: 'macOS', is_bot: false },
+      { clicked_at: '2026-10-19T08:00:01Z', ip_address: '3.3.3.3', user_agent: 'Twitterbot/1.0', post_id: 'post-2', platform: 'twitter', is_bot: true }
+    ]
+    const summary = summarizeLinkClicks(clicks, {
+      from: new Date('2026-10-17T00:00:00Z'),
+      to: new Date('2026-10-19T12:00:00Z'),
+      postCaptions: { 'post-1': 'Launch day!' }
+    })
+
+    expect(summary.totals).toEqual({ clicks: 3, uniqueVisitors: 2, botClicks: 1 })
+    expect(summary.daily).toEqual([
+      { date: '2026-10-17', clicks: 2 },
+      { date: '2026-10-18', clicks: 0 },
+      { date: '2026-10-19', clicks: 1 }
+    ])
+    expect(summary.byPost[0]).toEqual({ postId: 'post-1', caption: 'Launch day!', clicks: 2 })
+    expect(summary.byPlatform).toEqual([{ name: 'instagram', clicks: 2 }, { name: 'other', clicks: 1 }])
+    expect(summary.byReferrer).toEqual([{ name: 'direct', clicks: 2 }, { name: 't.co', clicks: 1 }])
+  })
+})
+
+describe('Short Link Domains', () => {
+  it('should normalize domains and reject the app\'s own', () => {
+    expect(normalizeDomain('https://Go.ClientBrand.com/')).toBe('go.clientbrand.com')
+    expect(normalizeDomain('go.clientbrand.com.')).toBe('go.clientbrand.com')
+    expect(normalizeDomain('not a domain')).toBeNull()
+    expect(normalizeDomain('localhost')).toBeNull()
+    expect(normalizeDomain('woozysocials.com')).toBeNull()
+  })
+
+  it('should verify TXT ownership and routing', async () => {
+    const [txt, cname] = getDnsRecords('go.brand.com', 'tok')
+    expect(txt).toEqual({ type: 'TXT', name: '_woozy-verify.go.brand.com', value: 'woozy-verify=tok' })
+    expect(cname.type).toBe('CNAME')
+    expect(getDnsRecords('brand.com', 'tok')[1].type).toBe('A')
+
+    const notFound = Object.assign(new Error('not found'), { code: 'ENOTFOUND' })
+    const resolver = {
+      resolveTxt: vi.fn().mockResolvedValue([['woozy-verify=', 'tok']]),
+      resolveCname: vi.fn().mockResolvedValue(['cname.vercel-dns.com.']),
+      resolve4: vi.fn()
+    }
+    await expect(checkDomainDns('go.brand.com', 'tok', resolver)).resolves.toEqual({ verified: true, error: null })
+
+    resolver.resolveCname.mockRejectedValue(notFound)
+    const result = await checkDomainDns('go.brand.com', 'tok', resolver)
+    expect(result.verified).toBe(false)
+    expect(result.error).toContain('CNAME')
+  })
+
+  it('should validate custom slugs and expiry dates', () => {
+    expect(normalizeSlug(' Spring-Sale ')).toEqual({ slug: 'spring-sale', error: null })
+    expect(normalizeSlug('')).toEqual({ slug: null, error: null })
+    expect(normalizeSlug('-bad').error).toBeTruthy()
+    expect(normalizeSlug('no spaces').error).toBeTruthy()
+
+    const now = new Date('2026-10-19T12:00:00Z')
+    expect(parseExpiresAt('2026-11-01T00:00:00Z', now)).toEqual({ expiresAt: '2026-11-01T00:00:00.000Z', error: null })
+    expect(parseExpiresAt('2026-10-01T00:00:00Z', now).error).toBe('Expiry must be in the future')
+    expect(parseExpiresAt(null, now)).toEqual({ expiresAt: null, error: null })
+  })
+
+  it('should only treat enabled, unexpired links as active', () => {
+    const now = new Date('2026-10-19T12:00:00Z')
+    expect(getLinkState({ expires_at: null, disabled_at: null }, now)).toBe('active')
+    expect(getLinkState({ expires_at: '2026-10-20T00:00:00Z', disabled_at: null }, now)).toBe('active')
+    expect(getLinkState({ expires_at: '2026-10-19T00:00:00Z', disabled_at: null }, now)).toBe('expired')
+    expect(getLinkState({ expires_at: '2026-10-20T00:00:00Z', disabled_at: '2026-10-18T00:00:00Z' }, now)).toBe('disabled')
+  })
+})
+
+describe('Bio Pages', () => {
+  const now = new Date('2026-10-19T12:00:00Z')
+  const postLink = (code, post, extra = {}) => ({
+    short_code: code, expires_at: null, disabled_at: null, link_domains: null,
+    posts: { status: 'posted', media_urls: [], caption: '', ...post }, ...extra
+  })
+
+  it('should validate page addresses and links', () => {
+    expect(normalizeBioSlug(' Acme-Coffee ')).toEqual({ slug: 'acme-coffee', error: null })
+    expect(normalizeBioSlug('').error).toBeTruthy()
+    expect(normalizeBioSlug('a').error).toBeTruthy()
+
+    expect(validateBioLink({ title: 'Shop', url: 'https://acme.com/shop' })).toBeNull()
+    expect(validateBioLink({ title: ' ', url: 'https://acme.com' })).toBe('Title is required')
+    expect(validateBioLink({ title: 'x'.repeat(81), url: 'https://acme.com' })).toContain('80')
+    expect(validateBioLink({ title: 'Shop', url: 'javascript:alert(1)' })).toContain('http')
+    expect(validateBioLink({ title: 'Shop', url: 'acme.com' })).toContain('full URL')
+  })
+
+  it('should build one tile per posted post, newest first', () => {
+    const tiles = getRecentPostTiles([
+      postLink('old', { id: 'p1', posted_at: '2026-10-01T00:00:00Z', media_urls: ['https://cdn/a.mp4', 'https://cdn/a.jpg'] }),
+      postLink('new', { id: 'p2', posted_at: '2026-10-10T00:00:00Z', caption: 'Hello' }),
+      postLink('dup', { id: 'p2', posted_at: '2026-10-10T00:00:00Z' }),
+      postLink('draft', { id: 'p3', status: 'draft', posted_at: null }),
+      postLink('gone', { id: 'p4', posted_at: '2026-10-12T00:00:00Z' }, { expires_at: '2026-10-18T00:00:00Z' })
+    ], 6, now)
+
+    expect(tiles.map(tile => tile.postId)).toEqual(['p2', 'p1'])
+    expect(tiles[0]).toMatchObject({ caption: 'Hello', imageUrl: null })
+    expect(tiles[0].url).toMatch(/\/l\/new$/)
+    expect(tiles[1].imageUrl).toBe('https://cdn/a.jpg')
+  })
+
+  it('should show only active links, on their own domain', () => {
+    const page = buildPublicBioPage({
+      page: { slug: 'acme', show_recent_posts: false },
+      brand: { brand_name: 'Acme', primary_color: '#112233', accent_color: 'red' },
+      workspace: { name: 'Acme Workspace', logo_url: 'https://cdn/ws.png' },
+      links: [
+        { id: 'l1', title: 'Shop', short_links: { short_code: 'shop', link_domains: { domain: 'go.acme.com' } } },
+        { id: 'l2', title: 'Old', short_links: { short_code: 'old', disabled_at: '2026-10-01T00:00:00Z' } }
+      ],
+      postLinks: [postLink('p', { id: 'p1', posted_at: '2026-10-10T00:00:00Z' })]
+    }, now)
+
+    expect(page.links).toEqual([{ id: 'l1', title: 'Shop', url: 'https://go.acme.com/l/shop' }])
+    expect(page.posts).toEqual([])
+    expect(page.colors).toEqual({ primary: '#112233', accent: null })
+    expect(page.logoUrl).toBe('https://cdn/ws.png')
+  })
+
+  it('should fall back to the workspace name without a brand profile', () => {
+    const page = buildPublicBioPage({
+      page: { slug: 'acme', show_recent_posts: true },
+      brand: null,
+      workspace: { name: 'Acme Workspace' },
+      links: []
+    }, now)
+
+    expect(page).toMatchObject({ name: 'Acme Workspace', description: null, logoUrl: null, posts: [] })
+  })
+})
+
+describe('Analytics Snapshots', () => {
+  const now = new Date('2026-10-19T12:00:00Z')
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * 3600000).toISOString()
+
+  it('should decide what is due from the latest capture of each post', async () => {
+    const rpc = vi.fn().mockResolvedValue({ data: [{ post_id: 'p1', captured_at: hoursAgo(2) }, { post_id: 'p2', captured_at: hoursAgo(0.2) }], error: null })
+    const tables = {
+      workspaces: { data: [{ id: 'w1', ayr_profile_key: 'key' }], error: null },
+      posts: { data: [{ id: 'p1', posted_at: hoursAgo(5) }, { id: 'p2', posted_at: hoursAgo(5) }], error: null },
+      account_metric_snapshots: { data: [{ id: 'a1' }], error: null }
+    }
+    const supabase = { rpc, from: (table) => recordingQuery(tables[table]).query }
+    const fetchPost = vi.fn().mockResolvedValue(null)
+
+    const summary = await processAnalyticsSnapshots(supabase, { now, fetchPost, fetchAccounts: vi.fn() })
+
+    expect(rpc).toHaveBeenCalledWith('latest_post_snapshots', { p_workspace_id: 'w1', p_since: hoursAgo(25) })
+    expect(fetchPost).toHaveBeenCalledTimes(1)
+    expect(fetchPost.mock.calls[0][1].id).toBe('p1')
+    expect(summary).toMatchObject({ workspaces: 1, workspacesDeferred: 0, postsDue: 1 })
+  })
+
+  it('should leave workspaces for the next run once the deadline passes', async () => {
+    const workspaces = { data: [{ id: 'w1', ayr_profile_key: 'a' }, { id: 'w2', ayr_profile_key: 'b' }], error: null }
+    const from = vi.fn(() => recordingQuery(workspaces).query)
+
+    const summary = await processAnalyticsSnapshots({ from, rpc: vi.fn() }, { now, deadline: 0 })
+
+    expect(from).toHaveBeenCalledTimes(1)
+    expect(summary).toMatchObject({ workspaces: 2, workspacesDeferred: 2, postsDue: 0 })
+  })
+
+  it('should capture new posts hourly and older ones less often', () => {
+    expect(isSnapshotDue(hoursAgo(5), null, now)).toBe(true)
+    expect(isSnapshotDue(hoursAgo(5), hoursAgo(0.5), now)).toBe(false)
+    expect(isSnapshotDue(hoursAgo(5), hoursAgo(0.95), now)).toBe(true)
+    expect(isSnapshotDue(hoursAgo(72), hoursAgo(2), now)).toBe(false)
+    expect(isSnapshotDue(hoursAgo(72), hoursAgo(6), now)).toBe(true)
+    expect(isSnapshotDue(hoursAgo(24 * 10), hoursAgo(12), now)).toBe(false)
+    expect(isSnapshotDue(hoursAgo(24 * 31), null, now)).toBe(false)
+  })
+
+  it('should build snapshot rows from Ayrshare analytics', () => {
+    const rows = buildPostSnapshotRows(
+      { id: 'p1', workspace_id: 'w1', platforms: ['Instagram', 'twitter'] },
+      { instagram: { analytics: { likeCount: 10, commentsCount: 2, viewsCount: 300 } }, twitter: { retweets: 4 } },
+      now
+    )
+    expect(rows).toEqual([
+      { workspace_id: 'w1', post_id: 'p1', platform: 'instagram', likes: 10, comments: 2, shares: 0, impressions: 300, captured_at: now.toISOString() },
+      { workspace_id: 'w1', post_id: 'p1', platform: 'twitter', likes: 0, comments: 0, shares: 4, impressions: 0, captured_at: now.toISOString() }
+    ])
+
+    const accounts = buildAccountSnapshotRows('w1', {
+      instagram: { analytics: { followersCount: 1200 } },
+      youtube: { analytics: { subscriberCount: '80' } },
+      pinterest: { analytics: {} }
+    }, now)
+    expect(accounts.map(row => [row.platform, row.followers, row.captured_on])).toEqual([
+      ['instagram', 1200, '2026-10-19'],
+      ['youtube', 80, '2026-10-19']
+    ])
+  })
+
+  it('should compare the first 48 hours with lifetime', () => {
+    const postedAt = hoursAgo(24 * 5)
+    const snap = (platform, hours, likes) => ({
+      platform, likes, comments: 0, shares: 0, impressions: likes * 10,
+      captured_at: new Date(new Date(postedAt).getTime() + hours * 3600000).toISOString()
+    })
+    const rows = [snap('instagram', 1, 10), snap('facebook', 1, 5), snap('instagram', 47, 60), snap('instagram', 96, 80)]
+
+    const curve = buildPostGrowthCurve(rows, postedAt)
+    expect(curve.map(point => [point.hours, point.engagements])).toEqual([[1, 15], [47, 65], [96, 85]])
+
+    const result = compareFirstWindow(rows, postedAt, now)
+    expect(result.first48h.engagements).toBe(65)
+    expect(result.lifetime.engagements).toBe(85)
+    expect(result.first48hShare).toBe(76)
+    expect(result.complete).toBe(true)
+
+    // Captured only after its first 48 hours: unknown, not zero
+    expect(compareFirstWindow([snap('instagram', 96, 80)], postedAt, now).first48hShare).toBeNull()
+  })
+
+  it('should carry follower counts forward across missing days', () => {
+    const series = buildFollowerSeries([
+      { platform: 'instagram', followers: 100, captured_on: '2026-10-10' },
+      { platform: 'instagram', followers: 110, captured_on: '2026-10-13' },
+      { platform: 'facebook', followers: 50, captured_on: '2026-10-14' }
+    ], { from: new Date('2026-10-12T00:00:00Z'), to: new Date('2026-10-14T12:00:00Z') })
+
+    expect(series.daily).toEqual([
+      { date: '2026-10-12', total: 100, instagram: 100 },
+      { date: '2026-10-13', total: 110, instagram: 110 },
+      { date: '2026-10-14', total: 160, instagram: 110, facebook: 50 }
+    ])
+    expect(series.platforms).toEqual([
+      { platform: 'facebook', start: 50, end: 50, change: 0 },
+      { platform: 'instagram', start: 100, end: 110, change: 10 }
+    ])
+
+    expect(getPeriodChange(150, 100)).toBe(50)
+    expect(getPeriodChange(10, -10)).toBe(200)
+    expect(getPeriodChange(5, 0)).toBeNull()
+  })
+})
+
+describe('Client Reports', () => {
+  const analyticsPost = (id, postedAt, likes) => ({
+    id,
+    post: `Caption ${id}`,
+    platforms: ['instagram'],
+    created: postedAt,
+    publishDate: postedAt,
+    analytics: { instagram: { analytics: { likeCount: likes, commentsCount: 1, viewsCount: 500 } } }
+  })
+
+  it('should validate report settings and keep sections in order', () => {
+    const { values, error } = normalizeReportInput({
+      name: ' Acme monthly ',
+      sections: ['approvals', 'summary'],
+      recipients: 'Client@Example.com, team@example.com, client@example.com',
+      primaryColor: '#AABBCC',
+      isScheduled: true
+    })
+    expect(error).toBeNull()
+    expect(values).toMatchObject({
+      name: 'Acme monthly',
+      sections: ['summary', 'approvals'],
+      frequency: 'monthly',
+      format: 'pdf',
+      timezone: 'UTC',
+      primary_color: '#aabbcc',
+      accent_color: null,
+      recipients: ['client@example.com', 'team@example.com'],
+      is_scheduled: true
+    })
+
+    expect(normalizeReportInput({ name: 'A', sections: [] }).error).toBe('Pick at least one section')
+    expect(normalizeReportInput({ name: 'A', sections: ['summary'], recipients: ['nope'] }).error).toMatch(/valid email/)
+    expect(normalizeReportInput({ primaryColor: 'red' }, { partial: true }).error).toMatch(/hex/)
+    expect(normalizeReportInput({ frequency: 'weekly' }, { partial: true }).values).toEqual({ frequency: 'weekly' })
+  })
+
+  it('should only fetch logos from public https hosts', async () => {
+    expect(normalizeReportInput({ logoUrl: 'http://cdn.example.com/logo.png' }, { partial: true }).error).toMatch(/https/)
+    expect(normalizeReportInput({ logoUrl: 'https://cdn.example.com/logo.png' }, { partial: true }).values)
+      .toEqual({ logo_url: 'https://cdn.example.com/logo.png' })
+
+    for (const address of ['127.0.0.1', '10.0.0.5', '169.254.169.254', '192.168.1.1', '::1', 'fd00::1', '::ffff:10.0.0.1']) {
+      expect(isBlockedAddress(address)).toBe(true)
+    }
+    expect(isBlockedAddress('93.184.216.34')).toBe(false)
+    expect(isBlockedAddress('2606:4700::1111')).toBe(false)
+
+    expect(await loadLogo('https://169.254.169.254/latest/meta-data')).toBeNull()
+    expect(await loadLogo('https://[::1]/logo.png')).toBeNull()
+  })
+
+  it('should cover the last complete period and send at 9am local time', () => {
+    const now = new Date('2026-10-19T12:00:00Z')
+
+    const month = getReportPeriod('monthly', now, 'America/New_York')
+    expect(month.from.toISOString()).toBe('2026-09-01T04:00:00.000Z')
+    expect(month.to.toISOString()).toBe('2026-10-01T03:59:59.999Z')
+    expect(month.label).toBe('September 2026')
+    expect(month.days).toBe(30)
+
+    const week = getReportPeriod('weekly', now, 'UTC')
+    expect(week.from.toISOString()).toBe('2026-10-12T00:00:00.000Z')
+    expect(week.label).toBe('Oct 12 - Oct 18, 2026')
+
+    // DST has ended by Nov 1, so 9am is 14:00 UTC
+    expect(getNextRunAt('monthly', now, 'America/New_York').toISOString()).toBe('2026-11-01T14:00:00.000Z')
+    expect(getNextRunAt('weekly', new Date('2026-10-19T08:00:00Z'), 'UTC').toISOString()).toBe('2026-10-19T09:00:00.000Z')
+    expect(getNextRunAt('weekly', now, 'UTC').toISOString()).toBe('2026-10-26T09:00:00.000Z')
+  })
+
+  it('should build only the selected sections from the analytics data', () => {
+    const period = getReportPeriod('monthly', new Date('2026-10-19T12:00:00Z'))
+    const previousPeriod = getReportPeriod('monthly', period.from)
+
+    const data = buildReportData({
+      sections: ['approvals', 'top_posts', 'summary'],
+      period,
+      previousPeriod,
+      posts: [analyticsPost('a', '2026-09-10T15:00:00Z', 49), analyticsPost('b', '2026-09-12T15:00:00Z', 9)],
+      previousPosts: [analyticsPost('c', '2026-08-10T15:00:00Z', 39)],
+      approvals: [
+        { approval_status: 'approved', reviewed_at: '2026-09-10T12:00:00Z', posts: { created_at: '2026-09-10T02:00:00Z' } },
+        { approval_status: 'rejected', reviewed_at: '2026-09-20T12:00:00Z', posts: { created_at: '2026-09-18T12:00:00Z' } },
+        { approval_status: 'pending', reviewed_at: '2026-09-21T12:00:00Z', posts: { created_at: '2026-09-20T12:00:00Z' } }
+      ]
+    })
+
+    expect(data.period.label).toBe('September 2026')
+    expect(data.sections.map(section => section.key)).toEqual(['summary', 'top_posts', 'approvals'])
+
+    const [summary, topPosts, approvals] = data.sections.map(section => section.data)
+    expect(summary).toMatchObject({ totalPosts: 2, totalEngagements: 60, change: { posts: 100, engagements: 50 } })
+    expect(topPosts.map(post => [post.id, post.engagements, post.views, post.engagementRate])).toEqual([
+      ['a', 50, 500, 10],
+      ['b', 10, 500, 2]
+    ])
+    expect(approvals).toEqual({
+      reviewed: 2, approved: 1, rejected: 1, avgHours: 29, medianHours: 29, within24hPercent: 50
+    })
+  })
+
+  it('should render a branded standalone HTML report', () => {
+    const period = getReportPeriod('monthly', new Date('2026-10-19T12:00:00Z'))
+    const data = buildReportData({
+      sections: ['top_posts', 'platforms'],
+      period,
+      previousPeriod: getReportPeriod('monthly', period.from),
+      posts: [analyticsPost('a', '2026-09-10T15:00:00Z', 5)]
+    })
+    data.sections[0].data[0].text = '<script>alert(1)</script>'
+    const report = { name: 'Acme & Co', agency_name: 'Bright Agency', primary_color: '#ffffff', accent_color: '#ff0066', sections: [] }
+
+    const html = renderReportHtml(report, data)
+    expect(html).toContain('<h1>Acme &#38; Co</h1>')
+    expect(html).toContain('Prepared by Bright Agency')
+    expect(html).toContain('border-left: 4px solid #ff0066')
+    expect(html).not.toContain('<script>')
+    expect(html).not.toMatch(/woozy/i)
+  })
+
+  describe('processScheduledReports', () => {
+    const now = new Date('2026-10-19T09:00:00Z')
+    const dueReport = (overrides = {}) => ({
+      id: 'report-1',
+      frequency: 'weekly',
+      timezone: 'UTC',
+      recipients: [],
+      next_run_at: '2026-10-19T09:00:00.000Z',
+      delivery_attempts: 0,
+      ...overrides
+    })
+
+    // The due list, then the claim, then the final reschedule
+    const reportsDb = (report, claimed = [{ id: report.id }]) => {
+      const results = [{ data: [report], error: null }, { data: claimed, error: null }, { data: null, error: null }]
+      const queries = []
+      const supabase = {
+        from: () => {
+          const recorded = recordingQuery(results[queries.length])
+          queries.push(recorded.calls)
+          return recorded.query
+        }
+      }
+      return { supabase, queries }
+    }
+
+    it('should skip a report another run already claimed', async () => {
+      const send = vi.fn()
+      const { supabase, queries } = reportsDb(dueReport({ recipients: ['client@example.com'] }), [])
+
+      const summary = await processScheduledReports(supabase, { now, send })
+
+      expect(send).not.toHaveBeenCalled()
+      expect(queries).toHaveLength(2)
+      expect(queries[1]).toContainEqual(['eq', 'next_run_at', '2026-10-19T09:00:00.000Z'])
+      expect(summary).toMatchObject({ due: 1, sent: 0, failed: 0 })
+    })
+
+    it('should retry a failed delivery an hour later until attempts run out', async () => {
+      const first = reportsDb(dueReport())
+      expect(await processScheduledReports(first.supabase, { now })).toMatchObject({ failed: 1 })
+      expect(first.queries[1]).toContainEqual(['update', { next_run_at: '2026-10-19T09:10:00.000Z', delivery_attempts: 1 }])
+      const [, retry] = first.queries[2].find(([method]) => method === 'update')
+      expect(retry.next_run_at).toBe('2026-10-19T10:00:00.000Z')
+      expect(retry.last_error).toBe('This report has no recipients')
+
+      const last = reportsDb(dueReport({ delivery_attempts: 2 }))
+      await processScheduledReports(last.supabase, { now })
+      const [, giveUp] = last.queries[2].find(([method]) => method === 'update')
+      expect(giveUp.next_run_at).toBe('2026-10-26T09:00:00.000Z')
+      expect(giveUp.delivery_attempts).toBe(0)
+      expect(giveUp.last_error).toMatch(/gave up after 3 attempts/)
+    })
+  })
+})
@@ -3,6 +3,8 @@ import { render, screen, waitFor } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import { BrowserRouter } from 'react-router-dom'
 import { ChakraProvider } from '@chakra-ui/react'
+import { isApiRequest, withAuthHeader } from '../utils/authFetch'
+import { baseURL } from '../utils/constants'
 
 // Test authentication-related functionality
 describe('Authentication', () => {
@@ -128,3 +130,28 @@ describe('Role-Based Access Control', () => {
     expect(canAccessTab('editor', 'compose')).toBe(true)
   })
 })
+
+describe('API Request Authentication', () => {
+  it('should only treat our own API routes as authenticated requests', () => {
+    expect(isApiRequest(`${baseURL}/api/post/approve`)).toBe(true)
+    expect(isApiRequest('/api/media/assets')).toBe(true)
+    expect(isApiRequest('https://api.ayrshare.com/api/post')).toBe(false)
+    expect(isApiRequest('https://test.supabase.co/storage/v1/object')).toBe(false)
+  })
+
+  it('should attach the bearer token when a session exists', () => {
+    const options = withAuthHeader({ method: 'POST', headers: { 'Content-Type': 'application/json' } }, 'token-123')
+
+    expect(options.method).toBe('POST')
+    expect(options.headers.get('Authorization')).toBe('Bearer token-123')
+    expect(options.headers.get('Content-Type')).toBe('application/json')
+  })
+
+  it('should leave requests untouched without a session or with an explicit header', () => {
+    const options = { method: 'GET' }
+    expect(withAuthHeader(options, null)).toBe(options)
+
+    const explicit = withAuthHeader({ headers: { Authorization: 'Bearer other' } }, 'token-123')
+    expect(explicit.headers.get('Authorization')).toBe('Bearer other')
+  })
+})
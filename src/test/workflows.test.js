@@ -1,4 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { applyConversationChange } from '../utils/inboxConversations'
+import { diffWords, diffList, getRevisionChanges } from '../utils/revisionDiff'
+import { toEditContent, mergeEdits } from '../utils/draftMerge'
+import { buildUtmUrl, getUtmPlatform } from '../utils/utm'
 
 // ===========================
 // POST WORKFLOW TESTS
@@ -481,3 +485,160 @@ describe('Notification Workflow', () => {
     })
   })
 })
+
+// ===========================
+// INBOX WORKFLOW TESTS
+// ===========================
+
+describe('Inbox Workflow', () => {
+  describe('Realtime Conversation Updates', () => {
+    const older = { id: 'c1', platform: 'facebook', unread_count: 0, last_message_at: '2026-10-18T10:00:00Z' }
+    const newer = { id: 'c2', platform: 'instagram', unread_count: 2, last_message_at: '2026-10-19T10:00:00Z' }
+    const cached = { conversations: [newer, older], totalUnread: 2 }
+
+    it('should move a conversation with a new message to the top and recount unread', () => {
+      const updated = { ...older, unread_count: 1, last_message_at: '2026-10-19T11:00:00Z' }
+      const result = applyConversationChange(cached, { eventType: 'UPDATE', new: updated })
+
+      expect(result.conversations.map(c => c.id)).toEqual(['c1', 'c2'])
+      expect(result.totalUnread).toBe(3)
+      expect(result.platformStats.facebook).toEqual({ total: 1, unread: 1 })
+    })
+
+    it('should add new conversations and drop archived or deleted ones', () => {
+      const added = applyConversationChange(cached, {
+        eventType: 'INSERT',
+        new: { id: 'c3', platform: 'twitter', unread_count: 1, last_message_at: '2026-10-19T12:00:00Z' }
+      })
+      expect(added.conversations[0].id).toBe('c3')
+
+      const archived = applyConversationChange(cached, { eventType: 'UPDATE', new: { ...newer, is_archived: true } })
+      expect(archived.conversations.map(c => c.id)).toEqual(['c1'])
+
+      const deleted = applyConversationChange(cached, { eventType: 'DELETE', old: { id: 'c1' } })
+      expect(deleted.conversations.map(c => c.id)).toEqual(['c2'])
+    })
+
+    it('should respect the platform a cached list is filtered to', () => {
+      const facebookOnly = { conversations: [older], totalUnread: 0 }
+      const payload = { eventType: 'INSERT', new: { ...newer, id: 'c4' } }
+
+      expect(applyConversationChange(facebookOnly, payload, 'facebook')).toBe(facebookOnly)
+      expect(applyConversationChange(facebookOnly, payload, 'all').conversations).toHaveLength(2)
+    })
+  })
+})
+
+// ===========================
+// REVISION DIFF TESTS
+// ===========================
+
+describe('Revision Diff', () => {
+  it('should mark added and removed words and keep whitespace', () => {
+    const segments = diffWords('Big launch today', 'Big product launch tomorrow')
+    expect(segments.filter(s => s.type !== 'added').map(s => s.text).join('')).toBe('Big launch today')
+    expect(segments.filter(s => s.type !== 'removed').map(s => s.text).join('')).toBe('Big product launch tomorrow')
+    expect(segments.filter(s => s.type === 'removed').map(s => s.text.trim())).toEqual(['today'])
+    expect(segments.filter(s => s.type === 'added').map(s => s.text.trim())).toEqual(['product', 'tomorrow'])
+  })
+
+  it('should diff media and platform lists', () => {
+    expect(diffList(['a.png', 'b.png'], ['b.png', 'c.png'])).toEqual({
+      added: ['c.png'],
+      removed: ['a.png'],
+      kept: ['b.png']
+    })
+    expect(diffList(null, ['a.png']).added).toEqual(['a.png'])
+  })
+
+  it('should report which parts of a post changed', () => {
+    const from = { caption: 'Hi', media_urls: ['a.png'], platforms: ['x'], scheduled_at: '2026-10-20T09:00:00Z', post_settings: null }
+    const to = { ...from, caption: 'Hi there', scheduled_at: '2026-10-20T09:00:00.000+00:00', post_settings: {} }
+    expect(getRevisionChanges(from, to)).toEqual({
+      caption: true, media: false, platforms: false, schedule: false, settings: false
+    })
+    expect(getRevisionChanges(from, null).caption).toBe(false)
+  })
+})
+
+// ===========================
+// DRAFT MERGE TESTS
+// ===========================
+
+describe('Draft Merge', () => {
+  const base = toEditContent({
+    caption: 'Launch day',
+    media_urls: ['a.png'],
+    platforms: ['instagram'],
+    scheduled_date: '2026-10-20T09:00:00Z'
+  })
+
+  it('should normalize drafts and posts to the same shape', () => {
+    expect(base).toEqual({
+      caption: 'Launch day',
+      media_urls: ['a.png'],
+      platforms: ['instagram'],
+      scheduled_at: '2026-10-20T09:00:00Z',
+      post_settings: {}
+    })
+    expect(toEditContent({ caption: null, media_urls: [null, 'b.png'] }).media_urls).toEqual(['b.png'])
+  })
+
+  it('should keep both sides when they changed different fields', () => {
+    const mine = { ...base, caption: 'Launch day!' }
+    const theirs = { ...base, platforms: ['instagram', 'linkedin'], scheduled_at: '2026-10-20T09:00:00.000+00:00' }
+    const { merged, conflicts } = mergeEdits(base, mine, theirs)
+
+    expect(conflicts).toEqual([])
+    expect(merged.caption).toBe('Launch day!')
+    expect(merged.platforms).toEqual(['instagram', 'linkedin'])
+  })
+
+  it('should report fields both sides changed differently, keeping mine', () => {
+    const mine = { ...base, caption: 'Launch day!', media_urls: ['a.png', 'b.png'] }
+    const theirs = { ...base, caption: 'Launch week', media_urls: ['a.png', 'b.png'] }
+    const { merged, conflicts } = mergeEdits(base, mine, theirs)
+
+    expect(conflicts).toEqual(['caption'])
+    expect(merged.caption).toBe('Launch day!')
+    expect(merged.media_urls).toEqual(['a.png', 'b.png'])
+  })
+})
+
+// ===========================
+// UTM BUILDER TESTS
+// ===========================
+
+describe('UTM Builder', () => {
+  it('should add UTM parameters and skip blank ones', () => {
+    const url = buildUtmUrl('https://example.com/shop?ref=home', {
+      utm_source: 'instagram',
+      utm_medium: ' social ',
+      utm_campaign: '',
+      utm_content: 'spring launch'
+    })
+    const params = new URL(url).searchParams
+
+    expect(params.get('ref')).toBe('home')
+    expect(params.get('utm_source')).toBe('instagram')
+    expect(params.get('utm_medium')).toBe('social')
+    expect(params.has('utm_campaign')).toBe(false)
+    expect(params.get('utm_content')).toBe('spring launch')
+  })
+
+  it('should replace UTM parameters the URL already has', () => {
+    const url = buildUtmUrl('https://example.com/?utm_source=newsletter', { utm_source: 'linkedin' })
+    expect(new URL(url).searchParams.getAll('utm_source')).toEqual(['linkedin'])
+  })
+
+  it('should return null for invalid URLs', () => {
+    expect(buildUtmUrl('example.com', { utm_source: 'x' })).toBeNull()
+  })
+
+  it('should map utm_source to the platform it names', () => {
+    expect(getUtmPlatform({ utm_source: 'X' })).toBe('twitter')
+    expect(getUtmPlatform({ utm_source: 'Google Business' })).toBe('googleBusiness')
+    expect(getUtmPlatform({ utm_source: 'newsletter' })).toBeNull()
+    expect(getUtmPlatform({})).toBeNull()
+  })
+})
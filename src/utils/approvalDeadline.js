@@ -0,0 +1,27 @@
+/**
+ * Time left until a post's approval deadline (see api/_approvalSla.js),
+ * as a short label and a tone for styling: 'ok', 'soon' (under a day) or
+ * 'overdue'.
+ */
+export const getTimeLeft = (deadline, now = Date.now()) => {
+  if (!deadline) return null;
+
+  const ms = new Date(deadline).getTime() - now;
+  if (isNaN(ms)) return null;
+  if (ms <= 0) return { label: 'Deadline passed', tone: 'overdue' };
+
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  let label;
+  if (days >= 1) {
+    label = `${days}d ${hours % 24}h left`;
+  } else if (hours >= 1) {
+    label = `${hours}h ${minutes % 60}m left`;
+  } else {
+    label = `${Math.max(minutes, 1)}m left`;
+  }
+
+  return { label, tone: hours < 24 ? 'soon' : 'ok' };
+};
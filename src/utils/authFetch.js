@@ -0,0 +1,57 @@
+/**
+ * Authenticated fetch
+ * Attaches the signed-in user's Supabase access token to every request made to
+ * our own API, so the backend can derive the caller from the session instead of
+ * trusting a userId in the body or query string.
+ */
+import { supabase } from './supabaseClient';
+import { baseURL } from './constants';
+
+/**
+ * Check whether a request URL targets our API
+ * @param {string} url - Absolute or relative URL
+ * @returns {boolean}
+ */
+export const isApiRequest = (url) => {
+  if (typeof url !== 'string') return false;
+  return url.startsWith(`${baseURL}/api/`) || url.startsWith('/api/');
+};
+
+/**
+ * Add the current session's bearer token to fetch options.
+ * Leaves an explicitly provided Authorization header untouched.
+ * @param {RequestInit} options - Fetch options
+ * @param {string|null} accessToken - Supabase access token
+ * @returns {RequestInit}
+ */
+export const withAuthHeader = (options = {}, accessToken) => {
+  if (!accessToken) return options;
+
+  const headers = new Headers(options.headers || {});
+  if (!headers.has('Authorization')) {
+    headers.set('Authorization', `Bearer ${accessToken}`);
+  }
+  return { ...options, headers };
+};
+
+/**
+ * Wrap window.fetch once at startup so every existing call site is covered
+ */
+export const installAuthFetch = () => {
+  if (typeof window === 'undefined' || window.fetch.__authFetch) return;
+
+  const originalFetch = window.fetch.bind(window);
+
+  const authFetch = async (input, options = {}) => {
+    const url = input instanceof URL ? input.toString() : input;
+    if (!isApiRequest(url)) {
+      return originalFetch(input, options);
+    }
+
+    const { data } = await supabase.auth.getSession();
+    return originalFetch(input, withAuthHeader(options, data?.session?.access_token));
+  };
+
+  authFetch.__authFetch = true;
+  window.fetch = authFetch;
+};
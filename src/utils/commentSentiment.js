@@ -0,0 +1,28 @@
+/**
+ * Labels for the sentiment and intent api/_sentiment.js assigns to
+ * incoming comments and DMs.
+ */
+
+export const SENTIMENT_LABELS = {
+  positive: "Positive",
+  neutral: "Neutral",
+  negative: "Negative"
+};
+
+export const INTENT_LABELS = {
+  question: "Question",
+  complaint: "Complaint",
+  praise: "Praise",
+  sales_lead: "Sales lead",
+  spam: "Spam",
+  other: "Other"
+};
+
+/**
+ * Whether a classified item passes the sentiment and intent filters ('all' or a label key)
+ */
+export const matchesSentimentFilters = (item, { sentiment = "all", intent = "all" } = {}) => {
+  if (sentiment !== "all" && item.sentiment !== sentiment) return false;
+  if (intent !== "all" && item.intent !== intent) return false;
+  return true;
+};
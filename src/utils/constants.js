@@ -1,3 +1,5 @@
+import permissionRegistry from './permissionRegistry.json';
+
 // Use environment variable for API URL, with fallback for development
 const baseURL = import.meta.env.VITE_API_URL ||
   (typeof window !== 'undefined' &&
@@ -263,12 +265,18 @@ export const TEAM_ROLES = {
 };
 
 // Legacy role mapping (for backward compatibility)
-export const LEGACY_ROLE_MAP = {
-  admin: 'member',
-  editor: 'member',
-  client: 'viewer',
-  view_only: 'viewer'
-};
+export const LEGACY_ROLE_MAP = permissionRegistry.legacyRoles;
+
+// Every permission with its label and description, shared with the API
+// (api/_utils-access-control.js) through permissionRegistry.json
+export const PERMISSIONS = permissionRegistry.permissions;
+
+// Permissions a custom role can include
+export const ASSIGNABLE_PERMISSIONS = PERMISSIONS.filter(p => !p.ownerOnly);
+
+const rolePermissions = (role) => Object.fromEntries(
+  PERMISSIONS.map(p => [p.key, permissionRegistry.roles[role].permissions.includes(p.key)])
+);
 
 // Normalize legacy roles to new 3-role model
 export const normalizeRole = (role) => {
@@ -276,56 +284,24 @@ export const normalizeRole = (role) => {
   return LEGACY_ROLE_MAP[role] || role;
 };
 
-// Role configuration with base permissions
-// NOTE: canApprovePosts and canManageTeam are now DB toggles —
-// use WorkspaceContext's hasRolePermission() which checks the toggle,
-// NOT these static defaults (except for owner who always has both).
+// Role configuration with base permissions (from the shared registry)
+// NOTE: canApprovePosts, canFinalApproval and canManageTeam are also DB toggles,
+// and members can have a custom role — use WorkspaceContext's hasRolePermission(),
+// which reads the permissions the API resolved, NOT these static defaults.
 export const ROLE_CONFIG = {
   [TEAM_ROLES.OWNER]: {
     name: 'Owner',
     displayName: 'Owner',
-    description: 'Full access to all workspace features',
-    permissions: {
-      canManageTeam: true,
-      canManageSettings: true,
-      canDeletePosts: true,
-      canFinalApproval: true,      // NEW: Owners are final approvers by default
-      canApprovePosts: true,       // Owners can still approve as clients
-      canCreatePosts: true,
-      canEditOwnPosts: true,
-      canEditAllPosts: true,
-      canDeleteOwnPosts: true,
-      canDeleteAllPosts: true,
-      canDeleteWorkspace: true,
-      canTransferOwnership: true,
-      canViewAnalytics: true,
-      canManageConnectedAccounts: true,
-      canAccessSocialInbox: true
-    },
-    tabs: ['dashboard', 'brand-profile', 'compose', 'schedule', 'posts', 'assets', 'analytics', 'social-inbox', 'team', 'approvals', 'settings']
+    description: permissionRegistry.roles.owner.description,
+    permissions: rolePermissions(TEAM_ROLES.OWNER),
+    tabs: ['dashboard', 'brand-profile', 'compose', 'schedule', 'posts', 'assets', 'analytics', 'social-inbox', 'automation', 'team', 'approvals', 'settings']
   },
 
   [TEAM_ROLES.MEMBER]: {
     name: 'Member',
     displayName: 'Member',
-    description: 'Create and manage own posts',
-    permissions: {
-      canManageTeam: false,       // DB toggle overrides this
-      canManageSettings: false,
-      canDeletePosts: false,
-      canFinalApproval: false,    // NEW: DB toggle overrides this
-      canApprovePosts: false,     // REMOVED: Members no longer approve (final approvers do)
-      canCreatePosts: true,
-      canEditOwnPosts: true,
-      canEditAllPosts: false,
-      canDeleteOwnPosts: true,
-      canDeleteAllPosts: false,
-      canDeleteWorkspace: false,
-      canTransferOwnership: false,
-      canViewAnalytics: true,
-      canManageConnectedAccounts: false,
-      canAccessSocialInbox: true
-    },
+    description: permissionRegistry.roles.member.description,
+    permissions: rolePermissions(TEAM_ROLES.MEMBER),
     // Approvals tab added dynamically when can_final_approval is true
     tabs: ['dashboard', 'brand-profile', 'compose', 'schedule', 'posts', 'assets', 'analytics', 'social-inbox', 'team']
   },
@@ -333,29 +309,21 @@ export const ROLE_CONFIG = {
   [TEAM_ROLES.VIEWER]: {
     name: 'Viewer',
     displayName: 'Viewer',
-    description: 'Client portal — view content and optionally approve posts',
-    permissions: {
-      canManageTeam: false,
-      canManageSettings: false,
-      canDeletePosts: false,
-      canFinalApproval: false,    // NEW: Viewers are never final approvers
-      canApprovePosts: false,     // DB toggle overrides this (client approval)
-      canCreatePosts: false,
-      canEditOwnPosts: false,
-      canEditAllPosts: false,
-      canDeleteOwnPosts: false,
-      canDeleteAllPosts: false,
-      canDeleteWorkspace: false,
-      canTransferOwnership: false,
-      canViewAnalytics: false,
-      canManageConnectedAccounts: false,
-      canAccessSocialInbox: false
-    },
+    description: permissionRegistry.roles.viewer.description,
+    permissions: rolePermissions(TEAM_ROLES.VIEWER),
     // Base client portal tabs (approvals tabs added dynamically when can_approve_posts)
     tabs: ['client/dashboard', 'client/calendar', 'client/assets', 'client/notifications']
   }
 };
 
+// Tabs that need a permission beyond the role's tab list (matters for custom roles)
+export const TAB_PERMISSIONS = {
+  compose: 'canCreatePosts',
+  analytics: 'canViewAnalytics',
+  'social-inbox': 'canAccessSocialInbox',
+  'audit-log': 'canViewAuditLog'
+};
+
 // Helper function to get role configuration (handles legacy roles)
 export const getRoleConfig = (role) => {
   const normalized = normalizeRole(role);
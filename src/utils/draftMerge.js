@@ -0,0 +1,59 @@
+/**
+ * Three-way merge for Compose save conflicts. When a save is rejected because
+ * a teammate saved first, the editor compares both versions against the one
+ * it originally loaded and keeps every change that doesn't overlap.
+ */
+
+export const EDIT_FIELDS = ['caption', 'media_urls', 'platforms', 'scheduled_at', 'post_settings'];
+
+export const EDIT_FIELD_LABELS = {
+  caption: 'Caption',
+  media_urls: 'Media',
+  platforms: 'Platforms',
+  scheduled_at: 'Schedule',
+  post_settings: 'Post settings'
+};
+
+/**
+ * Normalize a post or draft row (drafts use scheduled_date) to the fields Compose edits
+ */
+export function toEditContent(row = {}) {
+  return {
+    caption: row.caption || '',
+    media_urls: (row.media_urls || []).filter(Boolean),
+    platforms: row.platforms || [],
+    scheduled_at: row.scheduled_at ?? row.scheduled_date ?? null,
+    post_settings: row.post_settings || {}
+  };
+}
+
+const sameField = (field, a, b) => {
+  if (field === 'scheduled_at') {
+    return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Merge my unsaved edits with the version someone else saved
+ * @param {Object} base - Content when I loaded it
+ * @param {Object} mine - My content now
+ * @param {Object} theirs - Content they saved
+ * @returns {{ merged: Object, conflicts: string[] }} merged keeps my side of conflicting fields
+ */
+export function mergeEdits(base, mine, theirs) {
+  const merged = {};
+  const conflicts = [];
+
+  for (const field of EDIT_FIELDS) {
+    const iChanged = !sameField(field, base[field], mine[field]);
+    const theyChanged = !sameField(field, base[field], theirs[field]);
+
+    if (iChanged && theyChanged && !sameField(field, mine[field], theirs[field])) {
+      conflicts.push(field);
+    }
+    merged[field] = iChanged ? mine[field] : theirs[field];
+  }
+
+  return { merged, conflicts };
+}
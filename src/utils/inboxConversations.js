@@ -0,0 +1,56 @@
+/**
+ * Helpers for keeping a cached /api/inbox/conversations response in step
+ * with Supabase Realtime changes to inbox_conversations, so the list and
+ * unread badges update without refetching.
+ */
+
+// Keep in step with api/_inboxPlatforms.js
+export const INBOX_PLATFORMS = ['facebook', 'instagram', 'twitter', 'linkedin', 'tiktok', 'threads', 'bluesky', 'youtube', 'gmb'];
+
+/**
+ * Totals the conversations endpoint returns alongside the list
+ */
+export const summarizeConversations = (conversations) => ({
+  totalUnread: conversations.reduce((sum, conv) => sum + (conv.unread_count || 0), 0),
+  platformStats: INBOX_PLATFORMS.reduce((acc, platform) => {
+    const platformConvs = conversations.filter(conv => conv.platform === platform);
+    acc[platform] = {
+      total: platformConvs.length,
+      unread: platformConvs.reduce((sum, conv) => sum + (conv.unread_count || 0), 0)
+    };
+    return acc;
+  }, {})
+});
+
+const byLastMessage = (a, b) => {
+  const timeA = a.last_message_at ? new Date(a.last_message_at).getTime() : -Infinity;
+  const timeB = b.last_message_at ? new Date(b.last_message_at).getTime() : -Infinity;
+  return timeB - timeA;
+};
+
+/**
+ * Apply a Realtime postgres_changes payload to a conversations response.
+ * Rows that no longer belong in the list (archived, or another platform
+ * when the list is filtered) are dropped.
+ *
+ * @param {Object} data - Cached response ({ conversations, totalUnread, platformStats, ... })
+ * @param {Object} payload - Realtime payload ({ eventType, new, old })
+ * @param {string} platform - Platform the list is filtered to, or 'all'
+ * @returns {Object} updated response, or data unchanged if nothing applies
+ */
+export const applyConversationChange = (data, payload, platform = 'all') => {
+  if (!data?.conversations) return data;
+
+  const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+  if (!row?.id) return data;
+
+  const others = data.conversations.filter(conv => conv.id !== row.id);
+  const belongs = payload.eventType !== 'DELETE' &&
+    !row.is_archived &&
+    (platform === 'all' || row.platform === platform);
+
+  if (!belongs && others.length === data.conversations.length) return data;
+
+  const conversations = belongs ? [...others, row].sort(byLastMessage) : others;
+  return { ...data, conversations, ...summarizeConversations(conversations) };
+};
@@ -0,0 +1,89 @@
+/**
+ * Diffs between two post revisions, for the side-by-side revision view.
+ */
+
+// Word-level LCS gets slow on very long captions; past this, compare whole lines
+const MAX_DIFF_TOKENS = 2000;
+
+const tokenize = (text) => (text || '').split(/(\s+)/).filter(token => token !== '');
+
+/**
+ * Word-level diff of two captions
+ * @returns {Array<{ type: 'same'|'added'|'removed', text: string }>}
+ */
+export function diffWords(before, after) {
+  let oldTokens = tokenize(before);
+  let newTokens = tokenize(after);
+
+  if (oldTokens.length * newTokens.length > MAX_DIFF_TOKENS * MAX_DIFF_TOKENS) {
+    oldTokens = (before || '').split(/(\n)/);
+    newTokens = (after || '').split(/(\n)/);
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: oldTokens.length + 1 }, () => new Array(newTokens.length + 1).fill(0));
+  for (let i = oldTokens.length - 1; i >= 0; i--) {
+    for (let j = newTokens.length - 1; j >= 0; j--) {
+      lcs[i][j] = oldTokens[i] === newTokens[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += text;
+    else segments.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < oldTokens.length && j < newTokens.length) {
+    if (oldTokens[i] === newTokens[j]) {
+      push('same', oldTokens[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', oldTokens[i++]);
+    } else {
+      push('added', newTokens[j++]);
+    }
+  }
+  while (i < oldTokens.length) push('removed', oldTokens[i++]);
+  while (j < newTokens.length) push('added', newTokens[j++]);
+
+  return segments;
+}
+
+/**
+ * Items added and removed between two lists (media URLs, platforms)
+ */
+export function diffList(before = [], after = []) {
+  const oldItems = before || [];
+  const newItems = after || [];
+  return {
+    added: newItems.filter(item => !oldItems.includes(item)),
+    removed: oldItems.filter(item => !newItems.includes(item)),
+    kept: newItems.filter(item => oldItems.includes(item))
+  };
+}
+
+/**
+ * Which parts of the post changed between two revisions
+ * @returns {{ caption: boolean, media: boolean, platforms: boolean, schedule: boolean, settings: boolean }}
+ */
+export function getRevisionChanges(from, to) {
+  if (!from || !to) {
+    return { caption: false, media: false, platforms: false, schedule: false, settings: false };
+  }
+
+  const sameList = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+  return {
+    caption: (from.caption || '') !== (to.caption || ''),
+    media: !sameList(from.media_urls, to.media_urls),
+    platforms: !sameList(from.platforms, to.platforms),
+    schedule: new Date(from.scheduled_at).getTime() !== new Date(to.scheduled_at).getTime(),
+    settings: JSON.stringify(from.post_settings || {}) !== JSON.stringify(to.post_settings || {})
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * UTM tagging for links shared in posts, so traffic shows up per post and
+ * platform in the destination site's analytics as well as ours.
+ */
+
+export const UTM_FIELDS = [
+  { key: 'utm_source', label: 'Source', placeholder: 'instagram' },
+  { key: 'utm_medium', label: 'Medium', placeholder: 'social' },
+  { key: 'utm_campaign', label: 'Campaign', placeholder: 'spring_launch' },
+  { key: 'utm_term', label: 'Term', placeholder: 'Optional' },
+  { key: 'utm_content', label: 'Content', placeholder: 'Optional' }
+];
+
+// utm_source values that name a platform we publish to
+const SOURCE_PLATFORMS = {
+  facebook: 'facebook',
+  instagram: 'instagram',
+  twitter: 'twitter',
+  x: 'twitter',
+  linkedin: 'linkedin',
+  tiktok: 'tiktok',
+  youtube: 'youtube',
+  pinterest: 'pinterest',
+  threads: 'threads',
+  bluesky: 'bluesky',
+  google: 'googleBusiness',
+  googlebusiness: 'googleBusiness'
+};
+
+/**
+ * Add UTM parameters to a URL, replacing any it already has
+ * @param {string} url
+ * @param {Object} params - { utm_source, utm_medium, ... }; blank values are skipped
+ * @returns {string|null} null if url isn't a valid absolute URL
+ */
+export function buildUtmUrl(url, params = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  for (const { key } of UTM_FIELDS) {
+    const value = (params[key] || '').trim();
+    if (value) parsed.searchParams.set(key, value);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Platform a link is meant for, from its utm_source
+ * @returns {string|null}
+ */
+export function getUtmPlatform(params = {}) {
+  const source = (params.utm_source || '').trim().toLowerCase().replace(/[\s_-]/g, '');
+  return SOURCE_PLATFORMS[source] || null;
+}
@@ -0,0 +1,100 @@
+-- =====================================================
+-- Historical Analytics Snapshots
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: posts.analytics only ever holds the latest numbers from Ayrshare,
+--          so there's no way to chart how a post's reach grew or how an
+--          account's followers changed. A cron (api/analytics-snapshots.js)
+--          now stores per-post, per-platform metric snapshots and a daily
+--          follower count per connected account as time series
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Post metric snapshots
+-- =====================================================
+-- One row per post, platform and capture. Captured often while a post is
+-- new and less often as it ages (see _analyticsSnapshots.js).
+
+CREATE TABLE IF NOT EXISTS public.post_metric_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  post_id UUID NOT NULL REFERENCES public.posts(id) ON DELETE CASCADE,
+  platform TEXT NOT NULL,
+  likes BIGINT NOT NULL DEFAULT 0,
+  comments BIGINT NOT NULL DEFAULT 0,
+  shares BIGINT NOT NULL DEFAULT 0,
+  impressions BIGINT NOT NULL DEFAULT 0,
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_metric_snapshots_post
+ON public.post_metric_snapshots (post_id, captured_at);
+
+CREATE INDEX IF NOT EXISTS idx_post_metric_snapshots_workspace
+ON public.post_metric_snapshots (workspace_id, captured_at);
+
+-- =====================================================
+-- Step 2: Account follower snapshots
+-- =====================================================
+-- One row per connected account per day; later captures that day update it.
+
+CREATE TABLE IF NOT EXISTS public.account_metric_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  platform TEXT NOT NULL,
+  followers BIGINT NOT NULL,
+  captured_on DATE NOT NULL,
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (workspace_id, platform, captured_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_metric_snapshots_workspace
+ON public.account_metric_snapshots (workspace_id, captured_on);
+
+-- =====================================================
+-- Step 3: Row level security
+-- =====================================================
+-- Written by the cron with the service role; members can read their own.
+
+ALTER TABLE public.post_metric_snapshots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.account_metric_snapshots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS post_metric_snapshots_select_policy ON public.post_metric_snapshots;
+CREATE POLICY post_metric_snapshots_select_policy ON public.post_metric_snapshots
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS account_metric_snapshots_select_policy ON public.account_metric_snapshots;
+CREATE POLICY account_metric_snapshots_select_policy ON public.account_metric_snapshots
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- =====================================================
+-- Step 4: Latest capture per post
+-- =====================================================
+-- The cron needs each recent post's last capture to decide what's due. Reading
+-- the raw rows runs into PostgREST's row cap (new posts are captured hourly),
+-- so aggregate here and return one row per post.
+
+CREATE OR REPLACE FUNCTION public.latest_post_snapshots(p_workspace_id UUID, p_since TIMESTAMPTZ)
+RETURNS TABLE (post_id UUID, captured_at TIMESTAMPTZ)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT s.post_id, MAX(s.captured_at)
+  FROM public.post_metric_snapshots s
+  WHERE s.workspace_id = p_workspace_id
+    AND s.captured_at >= p_since
+  GROUP BY s.post_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.latest_post_snapshots(UUID, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.latest_post_snapshots(UUID, TIMESTAMPTZ) TO service_role;
@@ -0,0 +1,51 @@
+-- =====================================================
+-- Approval Chains
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Ordered, per-workspace approval stages (e.g. internal review,
+--          legal sign-off, client). When a workspace has a chain it
+--          replaces the final approver / client flow (api/_approvalChain.js)
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Chain definition
+-- =====================================================
+
+-- [{ "name": "Legal", "approverIds": ["<uuid>"], "roles": ["member"], "rule": "all",
+--    "skipPlatforms": ["twitter"], "skipTags": ["internal"] }], in order
+ALTER TABLE public.workspaces ADD COLUMN IF NOT EXISTS approval_chain JSONB NOT NULL DEFAULT '[]';
+
+COMMENT ON COLUMN public.workspaces.approval_chain IS 'Ordered approval stages; empty = final approver / client approval flow';
+
+-- =====================================================
+-- Step 2: Chain progress on posts
+-- =====================================================
+
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS approval_stage INTEGER;
+
+COMMENT ON COLUMN public.posts.approval_stage IS 'Index into workspaces.approval_chain of the stage reviewing this post (NULL = not in a chain)';
+
+-- =====================================================
+-- Step 3: Sign-offs within a stage
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.post_stage_approvals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  post_id UUID NOT NULL REFERENCES public.posts(id) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  stage INTEGER NOT NULL,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (post_id, stage, user_id)
+);
+
+ALTER TABLE public.post_stage_approvals ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS post_stage_approvals_select_policy ON public.post_stage_approvals;
+CREATE POLICY post_stage_approvals_select_policy ON public.post_stage_approvals
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
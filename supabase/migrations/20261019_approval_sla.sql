@@ -0,0 +1,34 @@
+-- =====================================================
+-- Approval Deadlines
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Per-workspace approval deadline before scheduled_at, with
+--          reminders to approvers and a fallback once it passes
+--          (api/_approvalSla.js, run by /api/approval-deadlines)
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Workspace settings
+-- =====================================================
+
+ALTER TABLE public.workspaces ADD COLUMN IF NOT EXISTS approval_deadline_hours INTEGER
+  CHECK (approval_deadline_hours IS NULL OR approval_deadline_hours BETWEEN 0 AND 168);
+ALTER TABLE public.workspaces ADD COLUMN IF NOT EXISTS approval_fallback TEXT NOT NULL DEFAULT 'hold'
+  CHECK (approval_fallback IN ('auto_approve', 'auto_reschedule', 'hold'));
+
+COMMENT ON COLUMN public.workspaces.approval_deadline_hours IS 'Hours before scheduled_at by which a pending post must be approved; NULL turns deadlines off';
+COMMENT ON COLUMN public.workspaces.approval_fallback IS 'What happens to a post still pending at its deadline: auto_approve, auto_reschedule, or hold and alert the owner';
+
+-- =====================================================
+-- Step 2: Per-post tracking
+-- =====================================================
+
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS approval_reminder_sent_at TIMESTAMPTZ;
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS approval_escalated_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.posts.approval_reminder_sent_at IS 'When approvers were reminded of the approval deadline for the current review stage';
+COMMENT ON COLUMN public.posts.approval_escalated_at IS 'When the approval fallback was applied for the current review stage';
+
+CREATE INDEX IF NOT EXISTS idx_posts_awaiting_approval
+  ON public.posts (workspace_id, scheduled_at)
+  WHERE status = 'pending_approval';
@@ -0,0 +1,83 @@
+-- =====================================================
+-- Workspace Audit Log
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Append-only record of workspace actions (posts, approval
+--          decisions, member roles, invitations, social accounts,
+--          billing and asset deletes) with actor, target, before/after
+--          values and IP. Written by api/_audit.js, read by the owner-only
+--          audit page (api/audit-log.js)
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Audit log table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.workspace_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  -- NULL for system actions (e.g. Stripe billing webhooks)
+  actor_id UUID,
+  -- Kept alongside actor_id so entries stay readable after a user is deleted
+  actor_email TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT,
+  target_id TEXT,
+  target_label TEXT,
+  before_values JSONB,
+  after_values JSONB,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_audit_log_workspace
+ON public.workspace_audit_log (workspace_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_audit_log_action
+ON public.workspace_audit_log (workspace_id, action, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_audit_log_target
+ON public.workspace_audit_log (workspace_id, target_type, target_id);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_audit_log_actor
+ON public.workspace_audit_log (workspace_id, actor_id, created_at DESC);
+
+-- =====================================================
+-- Step 2: Append-only
+-- =====================================================
+
+-- Entries can't be changed or removed, even with the service role.
+-- Workspace deletes still cascade: the trigger only blocks direct edits.
+CREATE OR REPLACE FUNCTION public.prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM public.workspaces WHERE id = OLD.workspace_id) THEN
+    RETURN OLD;
+  END IF;
+  RAISE EXCEPTION 'workspace_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS workspace_audit_log_append_only ON public.workspace_audit_log;
+CREATE TRIGGER workspace_audit_log_append_only
+  BEFORE UPDATE OR DELETE ON public.workspace_audit_log
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prevent_audit_log_changes();
+
+-- =====================================================
+-- Step 3: Row Level Security
+-- =====================================================
+
+ALTER TABLE public.workspace_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Owners read their workspace's log; inserts go through the API (service role)
+DROP POLICY IF EXISTS workspace_audit_log_select_policy ON public.workspace_audit_log;
+CREATE POLICY workspace_audit_log_select_policy ON public.workspace_audit_log
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members
+      WHERE user_id = auth.uid() AND role = 'owner'
+    )
+  );
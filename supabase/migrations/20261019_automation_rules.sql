@@ -0,0 +1,106 @@
+-- =====================================================
+-- Automation Rules Engine
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Per-workspace "when X happens, do Y" rules evaluated every
+--          minute by api/automations/run.js, plus an execution history
+--          shown on the Automation page
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Rules
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.automation_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  trigger_type TEXT NOT NULL CHECK (trigger_type IN (
+    'post_published',    -- A post went out
+    'post_failed',       -- A post failed to publish
+    'comment_keyword',   -- A follower comment contains one of trigger_config.keywords
+    'new_dm',            -- A new inbound direct message
+    'approval_pending'   -- A post has waited for approval longer than trigger_config.hours
+  )),
+  trigger_config JSONB NOT NULL DEFAULT '{}',
+  action_type TEXT NOT NULL CHECK (action_type IN (
+    'auto_reply',        -- Reply to the comment / DM (action_config.message)
+    'notify',            -- In-app notification to workspace members (action_config.message, roles)
+    'requeue_post',      -- Put a failed post back in the queue (action_config.delayMinutes)
+    'tag_asset'          -- Add action_config.tags to the post's media assets
+  )),
+  action_config JSONB NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_evaluated_at TIMESTAMPTZ,
+  -- Last trigger row the runner scanned: { "at": <timestamp>, "id": <uuid> }.
+  -- Cleared when the trigger changes so the new one looks back again.
+  trigger_cursor JSONB,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_automation_rules_workspace
+ON public.automation_rules (workspace_id);
+
+-- The runner picks the least recently evaluated active rules first
+CREATE INDEX IF NOT EXISTS idx_automation_rules_due
+ON public.automation_rules (last_evaluated_at NULLS FIRST)
+WHERE is_active = true;
+
+-- =====================================================
+-- Step 2: Execution history
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.automation_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule_id UUID NOT NULL REFERENCES public.automation_rules(id) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  trigger_type TEXT NOT NULL,
+  action_type TEXT NOT NULL,
+  subject_type TEXT NOT NULL CHECK (subject_type IN ('post', 'comment', 'message')),
+  subject_id UUID NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'success', 'failed', 'skipped')),
+  result JSONB,
+  error_message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+-- A rule fires at most once per subject. The runner inserts the run row
+-- before acting, so this index also stops overlapping cron invocations
+-- from acting twice (and stops a re-queued post that fails again from
+-- being re-queued forever).
+CREATE UNIQUE INDEX IF NOT EXISTS idx_automation_runs_subject
+ON public.automation_runs (rule_id, subject_type, subject_id);
+
+CREATE INDEX IF NOT EXISTS idx_automation_runs_workspace_created
+ON public.automation_runs (workspace_id, created_at DESC);
+
+-- =====================================================
+-- Step 3: RLS (API uses the service role; members may read)
+-- =====================================================
+
+ALTER TABLE public.automation_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.automation_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS automation_rules_select_policy ON public.automation_rules;
+CREATE POLICY automation_rules_select_policy ON public.automation_rules
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS automation_runs_select_policy ON public.automation_runs;
+CREATE POLICY automation_runs_select_policy ON public.automation_runs
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
+
+COMMENT ON TABLE public.automation_rules IS 'Workspace automation rules (trigger + action), evaluated by the automations cron';
+COMMENT ON TABLE public.automation_runs IS 'Execution history for automation rules, one row per rule per subject';
@@ -0,0 +1,83 @@
+-- =====================================================
+-- Link-in-Bio Pages
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: A public, mobile-first landing page per workspace at /bio/:slug
+--          for Instagram and TikTok bios. It's styled from the brand profile
+--          (logo, colors, description) and lists managed links plus,
+--          optionally, recently published posts that contain a short link.
+--          Every link on the page is a short link, so bio clicks are tracked
+--          in link_clicks like any other
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Logo and colors on brand profiles
+-- =====================================================
+
+ALTER TABLE public.brand_profiles ADD COLUMN IF NOT EXISTS logo_url TEXT;
+ALTER TABLE public.brand_profiles ADD COLUMN IF NOT EXISTS primary_color TEXT;
+ALTER TABLE public.brand_profiles ADD COLUMN IF NOT EXISTS accent_color TEXT;
+
+COMMENT ON COLUMN public.brand_profiles.primary_color IS 'Hex color (#rrggbb) for the bio page background';
+COMMENT ON COLUMN public.brand_profiles.accent_color IS 'Hex color (#rrggbb) for bio page buttons';
+
+-- =====================================================
+-- Step 2: Bio pages
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.bio_pages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL UNIQUE REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  slug TEXT NOT NULL UNIQUE CHECK (slug ~ '^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$'),
+  is_published BOOLEAN NOT NULL DEFAULT false,
+  -- Auto-feed of recently published posts that contain a short link
+  show_recent_posts BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- =====================================================
+-- Step 3: Managed links
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.bio_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  -- The tracked link the tile points at
+  short_link_id UUID NOT NULL REFERENCES public.short_links(id) ON DELETE CASCADE,
+  title TEXT NOT NULL CHECK (char_length(title) BETWEEN 1 AND 80),
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bio_links_workspace
+ON public.bio_links (workspace_id, position);
+
+-- =====================================================
+-- Step 4: Row level security
+-- =====================================================
+-- The public page is served by api/bio/[slug].js with the service role,
+-- so only members read these tables directly.
+
+ALTER TABLE public.bio_pages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.bio_links ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS bio_pages_select_policy ON public.bio_pages;
+CREATE POLICY bio_pages_select_policy ON public.bio_pages
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS bio_links_select_policy ON public.bio_links;
+CREATE POLICY bio_links_select_policy ON public.bio_links
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
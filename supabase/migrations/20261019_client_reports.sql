@@ -0,0 +1,71 @@
+-- =====================================================
+-- White-label Client Reports
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Agencies were screenshotting the analytics charts into slide
+--          decks every month. A client report picks the sections to
+--          include, carries the agency's name, logo and colors, renders
+--          server-side to PDF or standalone HTML (api/_reportRender.js),
+--          and can be emailed to client contacts weekly or monthly by a
+--          cron (api/report-delivery.js)
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Report definitions
+-- =====================================================
+-- sections is an ordered subset of the keys in _reports.js REPORT_SECTIONS.
+-- next_run_at is only set while is_scheduled is on. The cron claims a report
+-- by moving next_run_at forward before sending; delivery_attempts counts
+-- failed sends for the current period so retries stop after a few tries.
+
+CREATE TABLE IF NOT EXISTS public.client_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  sections TEXT[] NOT NULL DEFAULT ARRAY['summary', 'top_posts', 'platforms']::TEXT[],
+  frequency TEXT NOT NULL DEFAULT 'monthly' CHECK (frequency IN ('weekly', 'monthly')),
+  format TEXT NOT NULL DEFAULT 'pdf' CHECK (format IN ('pdf', 'html')),
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+
+  -- Branding
+  agency_name TEXT,
+  logo_url TEXT,
+  primary_color TEXT,
+  accent_color TEXT,
+
+  -- Delivery
+  recipients TEXT[] NOT NULL DEFAULT '{}'::TEXT[],
+  is_scheduled BOOLEAN NOT NULL DEFAULT FALSE,
+  next_run_at TIMESTAMPTZ,
+  last_sent_at TIMESTAMPTZ,
+  last_error TEXT,
+  delivery_attempts INTEGER NOT NULL DEFAULT 0,
+
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_reports_workspace
+ON public.client_reports (workspace_id);
+
+-- The cron only looks at scheduled reports that are due
+CREATE INDEX IF NOT EXISTS idx_client_reports_due
+ON public.client_reports (next_run_at)
+WHERE is_scheduled;
+
+-- =====================================================
+-- Step 2: Row level security
+-- =====================================================
+-- Managed through the API with the service role; members can read their own.
+
+ALTER TABLE public.client_reports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS client_reports_select_policy ON public.client_reports;
+CREATE POLICY client_reports_select_policy ON public.client_reports
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
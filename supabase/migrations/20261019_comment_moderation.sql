@@ -0,0 +1,94 @@
+-- =====================================================
+-- Comment Moderation
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Per-workspace rules that hide, delete or flag incoming
+--          follower comments (blocked keywords, regexes, link-only
+--          spam, repeat commenters), and a review queue of what they
+--          did so the team can undo it. Rules are evaluated by
+--          api/_moderation.js from the Ayrshare webhook and comment sync
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Moderation rules
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.comment_moderation_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  rule_type TEXT NOT NULL CHECK (rule_type IN ('keyword', 'regex', 'link_spam', 'repeat_commenter')),
+  -- keyword: { keywords: [] }, regex: { patterns: [] },
+  -- link_spam: { maxOtherWords }, repeat_commenter: { threshold, windowMinutes }
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  action TEXT NOT NULL CHECK (action IN ('hide', 'delete', 'flag')),
+  -- Optional platform filter; NULL applies to every platform
+  platforms TEXT[],
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_moderation_rules_workspace
+ON public.comment_moderation_rules (workspace_id)
+WHERE is_active = true;
+
+ALTER TABLE public.comment_moderation_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS comment_moderation_rules_select_policy ON public.comment_moderation_rules;
+CREATE POLICY comment_moderation_rules_select_policy ON public.comment_moderation_rules
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- =====================================================
+-- Step 2: Comment moderation state
+-- =====================================================
+
+ALTER TABLE public.social_engagement_comments
+  ADD COLUMN IF NOT EXISTS moderation_status TEXT NOT NULL DEFAULT 'visible'
+    CHECK (moderation_status IN ('visible', 'hidden', 'deleted', 'flagged'));
+
+-- Repeat-commenter rules count an author's recent comments
+CREATE INDEX IF NOT EXISTS idx_social_engagement_comments_author
+ON public.social_engagement_comments (workspace_id, author_username, created_at DESC);
+
+-- =====================================================
+-- Step 3: Review queue
+-- =====================================================
+
+-- One entry per moderated comment: the strongest matching rule wins
+CREATE TABLE IF NOT EXISTS public.comment_moderation_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  comment_id UUID NOT NULL UNIQUE REFERENCES public.social_engagement_comments(id) ON DELETE CASCADE,
+  rule_id UUID REFERENCES public.comment_moderation_rules(id) ON DELETE SET NULL,
+  rule_name TEXT,
+  action TEXT NOT NULL CHECK (action IN ('hide', 'delete', 'flag')),
+  reason TEXT NOT NULL,
+  -- pending = awaiting review, approved = the team kept the action, undone = reverted
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'undone')),
+  -- Set when the platform call failed; the comment is then only flagged
+  error_message TEXT,
+  reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_moderation_events_queue
+ON public.comment_moderation_events (workspace_id, status, created_at DESC);
+
+ALTER TABLE public.comment_moderation_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS comment_moderation_events_select_policy ON public.comment_moderation_events;
+CREATE POLICY comment_moderation_events_select_policy ON public.comment_moderation_events
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
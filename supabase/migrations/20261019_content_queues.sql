@@ -0,0 +1,74 @@
+-- =====================================================
+-- Evergreen Content Queues
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Named per-workspace queues with weekly publishing slots.
+--          Posts added to a queue take the next free slot; evergreen
+--          posts are re-queued by api/scheduler.js after publishing
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Queues
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.content_queues (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  -- IANA zone the slot times are written in
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  -- [{ "day": 1, "time": "09:00", "platforms": ["linkedin", "twitter"] }], day 0 = Sunday
+  slots JSONB NOT NULL DEFAULT '[]',
+  -- Evergreen posts are not repeated sooner than this after they go out
+  min_repeat_gap_days INTEGER NOT NULL DEFAULT 30 CHECK (min_repeat_gap_days BETWEEN 1 AND 365),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_queues_workspace
+ON public.content_queues (workspace_id);
+
+ALTER TABLE public.content_queues ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS content_queues_select_policy ON public.content_queues;
+CREATE POLICY content_queues_select_policy ON public.content_queues
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- =====================================================
+-- Step 2: Queue membership on posts
+-- =====================================================
+
+ALTER TABLE public.posts
+ADD COLUMN IF NOT EXISTS queue_id UUID REFERENCES public.content_queues(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS is_evergreen BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS recycled_from_post_id UUID REFERENCES public.posts(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS recycled_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.posts.queue_id IS 'Content queue this post was slotted into (NULL = hand-scheduled)';
+COMMENT ON COLUMN public.posts.is_evergreen IS 'Re-queue a copy of this post after it publishes';
+COMMENT ON COLUMN public.posts.recycled_from_post_id IS 'Published evergreen post this one was copied from';
+COMMENT ON COLUMN public.posts.recycled_at IS 'When the scheduler queued the next copy of this evergreen post';
+
+-- Occupied slots lookup
+CREATE INDEX IF NOT EXISTS idx_posts_queue_scheduled
+ON public.posts (queue_id, scheduled_at)
+WHERE queue_id IS NOT NULL;
+
+-- One post per slot. Two requests can pick the same free slot at once; the
+-- second insert fails here and _queues.js moves it on to the next slot.
+-- Keep the status list in sync with SLOT_HOLDING_STATUSES.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_posts_queue_slot_unique
+ON public.posts (queue_id, scheduled_at)
+WHERE queue_id IS NOT NULL AND status IN ('scheduled', 'pending_approval', 'publishing');
+
+-- Published evergreen posts still waiting to be recycled
+CREATE INDEX IF NOT EXISTS idx_posts_evergreen_pending_recycle
+ON public.posts (posted_at)
+WHERE is_evergreen = true AND recycled_at IS NULL AND status = 'posted';
@@ -0,0 +1,54 @@
+-- =====================================================
+-- Custom Workspace Roles
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Workspace-defined roles (e.g. "Copywriter", "Community
+--          Manager") with their own permission set. Permission keys
+--          come from src/utils/permissionRegistry.json; a custom role
+--          is based on member or viewer, which decides the portal the
+--          member sees. Resolved by resolveMemberPermissions in
+--          api/_utils-access-control.js
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Custom roles
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.workspace_roles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  base_role TEXT NOT NULL DEFAULT 'member' CHECK (base_role IN ('member', 'viewer')),
+  -- Array of permission keys, e.g. ["canCreatePosts", "canAccessSocialInbox"]
+  permissions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspace_roles_name
+ON public.workspace_roles (workspace_id, lower(name));
+
+ALTER TABLE public.workspace_roles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS workspace_roles_select_policy ON public.workspace_roles;
+CREATE POLICY workspace_roles_select_policy ON public.workspace_roles
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- =====================================================
+-- Step 2: Assign custom roles to members
+-- =====================================================
+
+-- Deleting a role puts its members back on their base role
+ALTER TABLE public.workspace_members
+  ADD COLUMN IF NOT EXISTS custom_role_id UUID REFERENCES public.workspace_roles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_custom_role
+ON public.workspace_members (custom_role_id)
+WHERE custom_role_id IS NOT NULL;
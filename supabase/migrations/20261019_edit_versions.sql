@@ -0,0 +1,75 @@
+-- =====================================================
+-- Edit Versions on Drafts and Posts
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Optimistic concurrency for Compose. Every content change bumps
+--          the row's version; saves send the version they loaded and are
+--          rejected when it has moved on (api/_versioning.js), so two
+--          teammates editing the same draft no longer overwrite each other
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Version columns
+-- =====================================================
+
+ALTER TABLE public.post_drafts ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN public.post_drafts.version IS 'Bumped by bump_content_version() on every content change';
+COMMENT ON COLUMN public.posts.version IS 'Bumped by bump_content_version() on every content change';
+
+-- =====================================================
+-- Step 2: Bump on content changes
+-- =====================================================
+-- Only content counts: approvals, status changes and Ayrshare ids don't
+-- conflict with an open editor. The version is owned by the trigger, so a
+-- client can't set it to skip past someone else's save.
+
+CREATE OR REPLACE FUNCTION public.bump_content_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  old_content JSONB;
+  new_content JSONB;
+BEGIN
+  old_content := jsonb_build_object(
+    'caption', OLD.caption,
+    'media_urls', to_jsonb(OLD.media_urls),
+    'platforms', to_jsonb(OLD.platforms),
+    'post_settings', OLD.post_settings
+  );
+  new_content := jsonb_build_object(
+    'caption', NEW.caption,
+    'media_urls', to_jsonb(NEW.media_urls),
+    'platforms', to_jsonb(NEW.platforms),
+    'post_settings', NEW.post_settings
+  );
+
+  IF TG_TABLE_NAME = 'posts' THEN
+    old_content := old_content || jsonb_build_object('scheduled_at', OLD.scheduled_at);
+    new_content := new_content || jsonb_build_object('scheduled_at', NEW.scheduled_at);
+  ELSE
+    old_content := old_content || jsonb_build_object('scheduled_date', OLD.scheduled_date);
+    new_content := new_content || jsonb_build_object('scheduled_date', NEW.scheduled_date);
+  END IF;
+
+  NEW.version := CASE
+    WHEN new_content IS DISTINCT FROM old_content THEN OLD.version + 1
+    ELSE OLD.version
+  END;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS post_drafts_bump_version ON public.post_drafts;
+CREATE TRIGGER post_drafts_bump_version
+  BEFORE UPDATE ON public.post_drafts
+  FOR EACH ROW
+  EXECUTE FUNCTION public.bump_content_version();
+
+DROP TRIGGER IF EXISTS posts_bump_version ON public.posts;
+CREATE TRIGGER posts_bump_version
+  BEFORE UPDATE ON public.posts
+  FOR EACH ROW
+  EXECUTE FUNCTION public.bump_content_version();
@@ -0,0 +1,20 @@
+-- =====================================================
+-- First Comments
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Record the outcome of posting post_settings.firstComment on a
+--          post once it is published (api/_firstComment.js)
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Outcome columns
+-- =====================================================
+
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS first_comment_status TEXT
+  CHECK (first_comment_status IN ('posting', 'posted', 'failed'));
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS first_comment_error TEXT;
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS first_comment_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.posts.first_comment_status IS 'NULL until the first comment is attempted; posting while the request is in flight';
+COMMENT ON COLUMN public.posts.first_comment_error IS 'Ayrshare error when the first comment failed';
+COMMENT ON COLUMN public.posts.first_comment_at IS 'When the first comment was posted or failed';
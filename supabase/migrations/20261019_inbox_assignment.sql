@@ -0,0 +1,85 @@
+-- =====================================================
+-- Inbox Assignment, Status and Internal Notes
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Let teams split up the inbox. Conversations can be assigned
+--          to a workspace member and moved between open / pending /
+--          closed, and carry internal notes that are never sent to the
+--          correspondent (api/inbox/conversations.js, api/inbox/notes.js)
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Assignment and status on conversations
+-- =====================================================
+
+ALTER TABLE public.inbox_conversations ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE public.inbox_conversations ADD COLUMN IF NOT EXISTS assigned_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE public.inbox_conversations ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+ALTER TABLE public.inbox_conversations ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open'
+  CHECK (status IN ('open', 'pending', 'closed'));
+ALTER TABLE public.inbox_conversations ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.inbox_conversations.assigned_to IS 'Workspace member handling this conversation (NULL = unassigned)';
+COMMENT ON COLUMN public.inbox_conversations.status IS 'open = needs a reply, pending = waiting on the correspondent, closed = done';
+
+CREATE INDEX IF NOT EXISTS idx_inbox_conversations_assigned
+  ON public.inbox_conversations (workspace_id, assigned_to);
+
+-- =====================================================
+-- Step 2: Reopen conversations when the correspondent writes back
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION update_conversation_on_message()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE inbox_conversations
+  SET
+    last_message_text = NEW.message_text,
+    last_message_at = NEW.sent_at,
+    last_message_sender = NEW.sender_type,
+    unread_count = CASE
+      WHEN NEW.sender_type = 'correspondent' THEN unread_count + 1
+      ELSE unread_count
+    END,
+    status = CASE
+      WHEN NEW.sender_type = 'correspondent' AND status <> 'open' THEN 'open'
+      ELSE status
+    END,
+    status_changed_at = CASE
+      WHEN NEW.sender_type = 'correspondent' AND status <> 'open' THEN NOW()
+      ELSE status_changed_at
+    END,
+    updated_at = NOW()
+  WHERE id = NEW.conversation_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Step 3: Internal notes
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.inbox_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID NOT NULL REFERENCES public.inbox_conversations(id) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  note TEXT NOT NULL CHECK (char_length(note) BETWEEN 1 AND 2000),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbox_notes_conversation
+  ON public.inbox_notes (conversation_id, created_at);
+
+ALTER TABLE public.inbox_notes ENABLE ROW LEVEL SECURITY;
+
+-- Team only: clients (viewers) never see internal notes
+DROP POLICY IF EXISTS inbox_notes_select_policy ON public.inbox_notes;
+CREATE POLICY inbox_notes_select_policy ON public.inbox_notes
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members
+      WHERE user_id = auth.uid() AND role IN ('owner', 'member', 'admin', 'editor')
+    )
+  );
@@ -0,0 +1,57 @@
+-- =====================================================
+-- Inbox Platforms
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Bring LinkedIn, TikTok, Threads, Bluesky and YouTube
+--          comment threads and Google Business reviews into the
+--          inbox alongside Facebook, Instagram and X DMs.
+--          Platform rules live in api/_inboxPlatforms.js
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Allow the new platforms
+-- =====================================================
+
+ALTER TABLE inbox_conversations
+  DROP CONSTRAINT IF EXISTS inbox_conversations_platform_check;
+
+ALTER TABLE inbox_conversations
+  ADD CONSTRAINT inbox_conversations_platform_check
+  CHECK (platform IN (
+    'facebook', 'instagram', 'twitter',
+    'linkedin', 'tiktok', 'threads', 'bluesky', 'youtube',
+    'gmb'
+  ));
+
+-- =====================================================
+-- Step 2: Conversation type and per-type details
+-- =====================================================
+
+-- dm = direct messages, comment = a comment thread on one of our posts,
+-- review = a Google Business review. Existing rows are all DMs.
+ALTER TABLE inbox_conversations
+  ADD COLUMN IF NOT EXISTS conversation_type TEXT NOT NULL DEFAULT 'dm'
+    CHECK (conversation_type IN ('dm', 'comment', 'review'));
+
+-- Ayrshare post ID a comment thread belongs to
+ALTER TABLE inbox_conversations
+  ADD COLUMN IF NOT EXISTS source_post_id TEXT;
+
+ALTER TABLE inbox_conversations
+  ADD COLUMN IF NOT EXISTS review_rating SMALLINT
+    CHECK (review_rating IS NULL OR review_rating BETWEEN 1 AND 5);
+
+-- Why can_reply is false, shown in the inbox (e.g. Instagram's 7-day window)
+ALTER TABLE inbox_conversations
+  ADD COLUMN IF NOT EXISTS reply_restriction TEXT;
+
+UPDATE inbox_conversations
+SET reply_restriction = 'Instagram conversations expire after 7 days of inactivity from the contact'
+WHERE platform = 'instagram' AND can_reply = false AND reply_restriction IS NULL;
+
+-- =====================================================
+-- Step 3: Indexes
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_inbox_conversations_type
+  ON inbox_conversations(workspace_id, conversation_type);
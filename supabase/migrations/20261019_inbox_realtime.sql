@@ -0,0 +1,37 @@
+-- =====================================================
+-- Inbox Realtime
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Publish inbox conversations and messages to Supabase
+--          Realtime so the inbox and unread badges update live
+--          (src/hooks/useInboxRealtime.js) instead of polling.
+--          Existing RLS policies decide which rows each user receives
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Add inbox tables to the realtime publication
+-- =====================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'inbox_conversations'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.inbox_conversations;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'inbox_messages'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.inbox_messages;
+  END IF;
+END $$;
+
+-- =====================================================
+-- Step 2: Send full rows on delete
+-- =====================================================
+
+-- Lets clients drop deleted conversations by id (and filter by workspace_id)
+ALTER TABLE public.inbox_conversations REPLICA IDENTITY FULL;
@@ -0,0 +1,49 @@
+-- =====================================================
+-- Inbox Sentiment and Intent
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Store sentiment (positive/neutral/negative) and intent
+--          (question, complaint, praise, sales lead, spam, other)
+--          for incoming comments and DMs, classified by
+--          api/_sentiment.js, so negative threads can be found quickly
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Follower comments
+-- =====================================================
+
+ALTER TABLE public.social_engagement_comments
+  ADD COLUMN IF NOT EXISTS sentiment TEXT CHECK (sentiment IN ('positive', 'neutral', 'negative')),
+  ADD COLUMN IF NOT EXISTS intent TEXT CHECK (intent IN ('question', 'complaint', 'praise', 'sales_lead', 'spam', 'other')),
+  -- ai_generated or rule_based
+  ADD COLUMN IF NOT EXISTS classification_source TEXT,
+  ADD COLUMN IF NOT EXISTS classified_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_social_engagement_comments_unclassified
+ON public.social_engagement_comments (workspace_id, created_at DESC)
+WHERE classified_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_social_engagement_comments_sentiment
+ON public.social_engagement_comments (post_id, sentiment);
+
+-- =====================================================
+-- Step 2: Direct messages
+-- =====================================================
+
+ALTER TABLE public.inbox_messages
+  ADD COLUMN IF NOT EXISTS sentiment TEXT CHECK (sentiment IN ('positive', 'neutral', 'negative')),
+  ADD COLUMN IF NOT EXISTS intent TEXT CHECK (intent IN ('question', 'complaint', 'praise', 'sales_lead', 'spam', 'other')),
+  ADD COLUMN IF NOT EXISTS classification_source TEXT,
+  ADD COLUMN IF NOT EXISTS classified_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_inbox_messages_unclassified
+ON public.inbox_messages (conversation_id, sent_at DESC)
+WHERE classified_at IS NULL AND sender_type = 'correspondent';
+
+-- Labels of the contact's latest message, for filtering the conversation list
+ALTER TABLE public.inbox_conversations
+  ADD COLUMN IF NOT EXISTS last_sentiment TEXT CHECK (last_sentiment IN ('positive', 'neutral', 'negative')),
+  ADD COLUMN IF NOT EXISTS last_intent TEXT CHECK (last_intent IN ('question', 'complaint', 'praise', 'sales_lead', 'spam', 'other'));
+
+CREATE INDEX IF NOT EXISTS idx_inbox_conversations_sentiment
+ON public.inbox_conversations (workspace_id, last_sentiment);
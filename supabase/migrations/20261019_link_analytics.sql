@@ -0,0 +1,126 @@
+-- =====================================================
+-- Link Analytics
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Tie short links to the post and platform they were published
+--          in, classify clicks (bots and link-preview fetchers, device, OS,
+--          source platform and referrer) and count them atomically, for the
+--          link analytics view (api/links/analytics.js)
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Post and platform on short links
+-- =====================================================
+
+ALTER TABLE public.short_links
+ADD COLUMN IF NOT EXISTS post_id UUID REFERENCES public.posts(id) ON DELETE SET NULL;
+
+-- Set when the link was made for one platform (UTM source in the link
+-- builder) or its post goes to a single platform
+ALTER TABLE public.short_links ADD COLUMN IF NOT EXISTS platform TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_short_links_post_id ON public.short_links(post_id);
+
+-- =====================================================
+-- Step 2: Click classification
+-- =====================================================
+
+ALTER TABLE public.link_clicks ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE;
+ALTER TABLE public.link_clicks ADD COLUMN IF NOT EXISTS referer_host TEXT;
+ALTER TABLE public.link_clicks ADD COLUMN IF NOT EXISTS platform TEXT;
+ALTER TABLE public.link_clicks ADD COLUMN IF NOT EXISTS device_type TEXT;
+ALTER TABLE public.link_clicks ADD COLUMN IF NOT EXISTS os TEXT;
+ALTER TABLE public.link_clicks ADD COLUMN IF NOT EXISTS browser TEXT;
+ALTER TABLE public.link_clicks ADD COLUMN IF NOT EXISTS is_bot BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.link_clicks.is_bot IS 'Crawler or link-preview fetch (X, Slack, iMessage...); excluded from click counts';
+
+UPDATE public.link_clicks lc
+SET workspace_id = sl.workspace_id
+FROM public.short_links sl
+WHERE lc.short_link_id = sl.id AND lc.workspace_id IS NULL;
+
+-- Best-effort classification of clicks recorded before this migration
+UPDATE public.link_clicks
+SET is_bot = true
+WHERE user_agent IS NULL
+   OR user_agent ~* '(bot\M|bot/|crawler|spider|facebookexternalhit|slack|whatsapp|preview|embedly|curl/|wget/|python-|headlesschrome)';
+
+UPDATE public.link_clicks
+SET referer_host = regexp_replace(lower(substring(referer from '^[a-z]+://([^/:?#]+)')), '^www\.', '')
+WHERE referer IS NOT NULL AND referer_host IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_link_clicks_workspace_clicked
+ON public.link_clicks(workspace_id, clicked_at DESC);
+
+-- =====================================================
+-- Step 3: Atomic click counting
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION increment_link_clicks(p_link_id UUID)
+RETURNS void AS $$
+BEGIN
+  UPDATE public.short_links
+  SET click_count = COALESCE(click_count, 0) + 1,
+      updated_at = NOW()
+  WHERE id = p_link_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Existing counts included bots and lost concurrent clicks; recount from the clicks
+UPDATE public.short_links sl
+SET click_count = (
+  SELECT COUNT(*) FROM public.link_clicks lc
+  WHERE lc.short_link_id = sl.id AND NOT lc.is_bot
+);
+
+-- =====================================================
+-- Step 4: Attribute links to posts
+-- =====================================================
+-- A short link belongs to the first post whose caption (or a platform's
+-- caption variant) contains it.
+
+CREATE OR REPLACE FUNCTION public.attribute_short_links()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  only_platform TEXT;
+BEGIN
+  IF jsonb_array_length(COALESCE(to_jsonb(NEW.platforms), '[]'::jsonb)) = 1 THEN
+    only_platform := to_jsonb(NEW.platforms) ->> 0;
+  END IF;
+
+  UPDATE short_links
+  SET post_id = NEW.id,
+      platform = COALESCE(platform, only_platform),
+      updated_at = NOW()
+  WHERE workspace_id = NEW.workspace_id
+    AND post_id IS NULL
+    AND short_code IN (
+      SELECT (regexp_matches(
+        COALESCE(NEW.caption, '') || ' ' || COALESCE(NEW.post_settings ->> 'captionVariants', ''),
+        '/l/([A-Za-z0-9]{4,10})', 'g'
+      ))[1]
+    );
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS posts_attribute_short_links ON public.posts;
+CREATE TRIGGER posts_attribute_short_links
+  AFTER INSERT OR UPDATE OF caption, post_settings, platforms ON public.posts
+  FOR EACH ROW
+  WHEN (NEW.workspace_id IS NOT NULL)
+  EXECUTE FUNCTION public.attribute_short_links();
+
+-- Links already used in posts
+UPDATE public.short_links sl
+SET post_id = p.id
+FROM public.posts p
+WHERE sl.post_id IS NULL
+  AND p.workspace_id = sl.workspace_id
+  AND (COALESCE(p.caption, '') || ' ' || COALESCE(p.post_settings ->> 'captionVariants', '')) LIKE '%/l/' || sl.short_code || '%';
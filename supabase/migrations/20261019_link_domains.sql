@@ -0,0 +1,114 @@
+-- =====================================================
+-- Branded Link Domains
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Let workspaces serve short links from their own domain
+--          (e.g. go.clientbrand.com/l/spring), verified over DNS. Short
+--          codes become unique per domain rather than globally, so custom
+--          slugs can be reused across domains, and links get expiry and
+--          disable controls
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Custom domains
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.link_domains (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  -- Bare lowercase hostname; one workspace per domain
+  domain TEXT NOT NULL UNIQUE CHECK (domain = lower(domain)),
+  -- Value of the _woozy-verify TXT record that proves ownership
+  verification_token TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'failed')),
+  verified_at TIMESTAMPTZ,
+  last_checked_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_link_domains_workspace ON public.link_domains (workspace_id);
+
+ALTER TABLE public.link_domains ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS link_domains_select_policy ON public.link_domains;
+CREATE POLICY link_domains_select_policy ON public.link_domains
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- =====================================================
+-- Step 2: Domain, expiry and disabling on short links
+-- =====================================================
+
+-- Removing a domain removes the links that only worked on it
+ALTER TABLE public.short_links
+ADD COLUMN IF NOT EXISTS domain_id UUID REFERENCES public.link_domains(id) ON DELETE CASCADE;
+
+ALTER TABLE public.short_links ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE public.short_links ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ;
+
+-- Room for custom slugs (3-50 characters)
+ALTER TABLE public.short_links ALTER COLUMN short_code TYPE VARCHAR(50);
+
+-- =====================================================
+-- Step 3: Codes unique per domain
+-- =====================================================
+
+ALTER TABLE public.short_links DROP CONSTRAINT IF EXISTS short_links_short_code_key;
+
+-- Links on the app's own domain
+CREATE UNIQUE INDEX IF NOT EXISTS idx_short_links_default_code
+ON public.short_links (short_code)
+WHERE domain_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_short_links_domain_code
+ON public.short_links (domain_id, short_code)
+WHERE domain_id IS NOT NULL;
+
+-- =====================================================
+-- Step 4: Domain-aware link attribution
+-- =====================================================
+-- Replaces attribute_short_links() from the link analytics migration. A
+-- mention of go.brand.com/l/spring claims the link on that domain; a mention
+-- on any other host claims the link on the app's own domain.
+
+CREATE OR REPLACE FUNCTION public.attribute_short_links()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  only_platform TEXT;
+BEGIN
+  IF jsonb_array_length(COALESCE(to_jsonb(NEW.platforms), '[]'::jsonb)) = 1 THEN
+    only_platform := to_jsonb(NEW.platforms) ->> 0;
+  END IF;
+
+  WITH mentions AS (
+    SELECT lower(m.parts[1]) AS host, m.parts[2] AS code
+    FROM regexp_matches(
+      COALESCE(NEW.caption, '') || ' ' || COALESCE(NEW.post_settings ->> 'captionVariants', ''),
+      '([A-Za-z0-9.-]+)/l/([A-Za-z0-9-]{3,50})', 'g'
+    ) AS m(parts)
+  )
+  UPDATE short_links sl
+  SET post_id = NEW.id,
+      platform = COALESCE(sl.platform, only_platform),
+      updated_at = NOW()
+  FROM mentions
+  LEFT JOIN link_domains ld ON ld.domain = mentions.host
+  WHERE sl.workspace_id = NEW.workspace_id
+    AND sl.post_id IS NULL
+    AND sl.short_code = mentions.code
+    AND sl.domain_id IS NOT DISTINCT FROM ld.id;
+
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,12 @@
+-- =====================================================
+-- Post Settings on Drafts
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Keep Instagram type / thread settings on drafts so posts
+--          imported from CSV as drafts open in Compose with them set
+-- =====================================================
+
+ALTER TABLE public.post_drafts
+ADD COLUMN IF NOT EXISTS post_settings JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN public.post_drafts.post_settings IS 'Same shape as posts.post_settings: shortenLinks, threadPost, threadNumber, instagramType';
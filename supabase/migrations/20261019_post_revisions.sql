@@ -0,0 +1,154 @@
+-- =====================================================
+-- Post Revision History
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Keep every saved version of a post (caption, media, platforms,
+--          schedule and settings) with its author and time, and mark the
+--          version that was current when the post was approved, so editors
+--          and clients can diff and restore versions (api/post/revisions.js)
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Revisions table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.post_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  post_id UUID NOT NULL REFERENCES public.posts(id) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  caption TEXT,
+  media_urls JSONB NOT NULL DEFAULT '[]'::jsonb,
+  platforms JSONB NOT NULL DEFAULT '[]'::jsonb,
+  scheduled_at TIMESTAMPTZ,
+  post_settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- NULL when the change came from the system (e.g. an approval deadline reschedule)
+  created_by UUID,
+  -- Set on the revision that was current when the post was approved
+  approved_at TIMESTAMPTZ,
+  -- Revision this one was restored from, if any
+  restored_from UUID REFERENCES public.post_revisions(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (post_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_revisions_post
+ON public.post_revisions (post_id, revision_number DESC);
+
+-- =====================================================
+-- Step 2: Editor column on posts
+-- =====================================================
+-- The API saves with the service role, so it names the editor here. The
+-- trigger below reads it once and clears it, so later system updates
+-- aren't credited to the last person who edited the post.
+
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS edited_by UUID;
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS restored_from_revision UUID;
+
+COMMENT ON COLUMN public.posts.edited_by IS 'Author of the pending edit; consumed and cleared by record_post_revision()';
+COMMENT ON COLUMN public.posts.restored_from_revision IS 'Revision being restored by the pending edit; consumed and cleared by record_post_revision()';
+
+-- =====================================================
+-- Step 3: Record revisions
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.record_post_revision()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  next_number INTEGER;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO post_revisions (
+      post_id, workspace_id, revision_number, caption, media_urls, platforms,
+      scheduled_at, post_settings, created_by, approved_at
+    ) VALUES (
+      NEW.id, NEW.workspace_id, 1, NEW.caption, COALESCE(to_jsonb(NEW.media_urls), '[]'::jsonb),
+      COALESCE(to_jsonb(NEW.platforms), '[]'::jsonb), NEW.scheduled_at, COALESCE(NEW.post_settings, '{}'::jsonb),
+      NEW.created_by, CASE WHEN NEW.approval_status = 'approved' THEN NOW() END
+    );
+    RETURN NEW;
+  END IF;
+
+  IF NEW.workspace_id IS NOT NULL AND (
+    NEW.caption IS DISTINCT FROM OLD.caption OR
+    to_jsonb(NEW.media_urls) IS DISTINCT FROM to_jsonb(OLD.media_urls) OR
+    to_jsonb(NEW.platforms) IS DISTINCT FROM to_jsonb(OLD.platforms) OR
+    NEW.scheduled_at IS DISTINCT FROM OLD.scheduled_at OR
+    NEW.post_settings IS DISTINCT FROM OLD.post_settings
+  ) THEN
+    SELECT MAX(revision_number) INTO next_number FROM post_revisions WHERE post_id = NEW.id;
+
+    -- Posts from before revisions existed get their previous version as revision 1
+    IF next_number IS NULL THEN
+      INSERT INTO post_revisions (
+        post_id, workspace_id, revision_number, caption, media_urls, platforms,
+        scheduled_at, post_settings, created_by, approved_at, created_at
+      ) VALUES (
+        OLD.id, OLD.workspace_id, 1, OLD.caption, COALESCE(to_jsonb(OLD.media_urls), '[]'::jsonb),
+        COALESCE(to_jsonb(OLD.platforms), '[]'::jsonb), OLD.scheduled_at, COALESCE(OLD.post_settings, '{}'::jsonb),
+        OLD.created_by,
+        CASE WHEN OLD.approval_status = 'approved' THEN COALESCE(OLD.updated_at, OLD.created_at) END,
+        COALESCE(OLD.updated_at, OLD.created_at, NOW())
+      );
+      next_number := 1;
+    END IF;
+
+    INSERT INTO post_revisions (
+      post_id, workspace_id, revision_number, caption, media_urls, platforms,
+      scheduled_at, post_settings, created_by, restored_from
+    ) VALUES (
+      NEW.id, NEW.workspace_id, next_number + 1, NEW.caption, COALESCE(to_jsonb(NEW.media_urls), '[]'::jsonb),
+      COALESCE(to_jsonb(NEW.platforms), '[]'::jsonb), NEW.scheduled_at, COALESCE(NEW.post_settings, '{}'::jsonb),
+      -- Direct client edits carry the user's JWT; API edits name the editor
+      COALESCE(auth.uid(), NEW.edited_by),
+      NEW.restored_from_revision
+    );
+  END IF;
+
+  -- The version current at approval is what a client signed off on
+  IF NEW.approval_status = 'approved' AND OLD.approval_status IS DISTINCT FROM 'approved' THEN
+    UPDATE post_revisions SET approved_at = NOW()
+    WHERE id = (
+      SELECT id FROM post_revisions WHERE post_id = NEW.id
+      ORDER BY revision_number DESC LIMIT 1
+    );
+  END IF;
+
+  NEW.edited_by := NULL;
+  NEW.restored_from_revision := NULL;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS posts_record_revision_on_update ON public.posts;
+CREATE TRIGGER posts_record_revision_on_update
+  BEFORE UPDATE ON public.posts
+  FOR EACH ROW
+  EXECUTE FUNCTION public.record_post_revision();
+
+DROP TRIGGER IF EXISTS posts_record_revision_on_insert ON public.posts;
+CREATE TRIGGER posts_record_revision_on_insert
+  AFTER INSERT ON public.posts
+  FOR EACH ROW
+  WHEN (NEW.workspace_id IS NOT NULL)
+  EXECUTE FUNCTION public.record_post_revision();
+
+-- =====================================================
+-- Step 4: Row Level Security
+-- =====================================================
+
+ALTER TABLE public.post_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Members (including clients) read their workspace's revisions; writes come from the trigger
+DROP POLICY IF EXISTS post_revisions_select_policy ON public.post_revisions;
+CREATE POLICY post_revisions_select_policy ON public.post_revisions
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,58 @@
+-- =====================================================
+-- Saved Replies
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Per-workspace library of canned responses for DMs and
+--          comment replies. Bodies can use {{variables}} that
+--          api/_savedReplies.js expands when the reply is sent
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Saved replies
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.saved_replies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  category TEXT,
+  -- Reply text; may contain {{first_name}}, {{correspondent_name}}, {{brand_name}}, {{link}}
+  body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 2000),
+  -- Destination of {{link}}, sent as a tracked short link (short_links.short_code)
+  link_url TEXT,
+  short_code TEXT,
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMPTZ,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_replies_workspace
+ON public.saved_replies (workspace_id, category);
+
+ALTER TABLE public.saved_replies ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS saved_replies_select_policy ON public.saved_replies;
+CREATE POLICY saved_replies_select_policy ON public.saved_replies
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id FROM public.workspace_members WHERE user_id = auth.uid()
+    )
+  );
+
+-- =====================================================
+-- Step 2: Usage counting
+-- =====================================================
+
+-- Atomic so replies sent at the same time are all counted
+CREATE OR REPLACE FUNCTION increment_saved_reply_usage(p_reply_id UUID)
+RETURNS void AS $$
+BEGIN
+  UPDATE public.saved_replies
+  SET usage_count = usage_count + 1,
+      last_used_at = NOW()
+  WHERE id = p_reply_id;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,116 @@
+-- =====================================================
+-- Scheduler Publish Leases
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Let api/scheduler.js claim due posts in batches by moving them
+--          to status 'publishing' with a lease, pick the batch fairly
+--          across workspaces, and record how late each post went out
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Allow the 'publishing' status
+-- =====================================================
+
+ALTER TABLE public.posts DROP CONSTRAINT IF EXISTS posts_status_check;
+
+ALTER TABLE public.posts ADD CONSTRAINT posts_status_check
+CHECK (status IN (
+  'draft',
+  'scheduled',
+  'pending_approval',
+  'publishing',   -- Claimed by a scheduler run (see publish_lease_expires_at)
+  'posted',
+  'published',
+  'failed'
+));
+
+-- =====================================================
+-- Step 2: Lease and lateness columns
+-- =====================================================
+
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS publish_claim_id UUID;
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS publish_claimed_at TIMESTAMPTZ;
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS publish_lease_expires_at TIMESTAMPTZ;
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS publish_started_at TIMESTAMPTZ;
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS publish_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS publish_lateness_seconds INTEGER;
+
+COMMENT ON COLUMN public.posts.publish_claim_id IS 'Scheduler run that currently holds the post';
+COMMENT ON COLUMN public.posts.publish_lease_expires_at IS 'After this a publishing post is recovered by the next scheduler run';
+COMMENT ON COLUMN public.posts.publish_started_at IS 'Set just before the post is sent to Ayrshare; NULL means it was never sent';
+COMMENT ON COLUMN public.posts.publish_lateness_seconds IS 'Seconds between scheduled_at and posted_at when the scheduler published the post';
+
+-- =====================================================
+-- Step 3: Indexes
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_posts_due_for_publishing
+ON public.posts (scheduled_at)
+WHERE status = 'scheduled' AND approval_status = 'approved';
+
+CREATE INDEX IF NOT EXISTS idx_posts_publish_lease
+ON public.posts (publish_lease_expires_at)
+WHERE status = 'publishing';
+
+-- =====================================================
+-- Step 4: Batch claim
+-- =====================================================
+-- Due posts are ranked per workspace by scheduled_at and the batch is filled
+-- round-robin (every workspace's 1st post, then every 2nd post, ...), so one
+-- workspace with a large backlog can't push the others out of the batch.
+-- Rows locked by a concurrent run are skipped rather than waited on.
+
+CREATE OR REPLACE FUNCTION public.claim_due_posts(
+  p_claim_id UUID,
+  p_batch_size INTEGER,
+  p_per_workspace INTEGER,
+  p_lease_seconds INTEGER
+)
+RETURNS SETOF public.posts
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  WITH ranked AS (
+    SELECT id, scheduled_at,
+           row_number() OVER (PARTITION BY workspace_id ORDER BY scheduled_at, id) AS workspace_rank
+    FROM posts
+    WHERE status = 'scheduled'
+      AND approval_status = 'approved'
+      AND scheduled_at <= now()
+  ),
+  picked AS (
+    SELECT id
+    FROM ranked
+    WHERE workspace_rank <= p_per_workspace
+    ORDER BY workspace_rank, scheduled_at
+    LIMIT p_batch_size
+  ),
+  locked AS (
+    SELECT p.id
+    FROM posts p
+    JOIN picked ON picked.id = p.id
+    WHERE p.status = 'scheduled'
+    FOR UPDATE OF p SKIP LOCKED
+  )
+  UPDATE posts p
+  SET status = 'publishing',
+      publish_claim_id = p_claim_id,
+      publish_claimed_at = now(),
+      publish_lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      publish_started_at = NULL,
+      publish_attempts = p.publish_attempts + 1
+  FROM locked
+  WHERE p.id = locked.id
+  RETURNING p.*;
+END;
+$$;
+
+COMMENT ON FUNCTION public.claim_due_posts IS 'Atomically move a fair batch of due posts to publishing under a lease';
+
+-- Only the scheduler (service role) may claim posts. PostgREST exposes
+-- functions as RPCs, and this one bypasses RLS across every workspace.
+REVOKE EXECUTE ON FUNCTION public.claim_due_posts(UUID, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_due_posts(UUID, INTEGER, INTEGER, INTEGER) TO service_role;
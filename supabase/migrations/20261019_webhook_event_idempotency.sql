@@ -0,0 +1,64 @@
+-- =====================================================
+-- Webhook Signature Audit & Idempotency
+-- =====================================================
+-- Date: 2026-10-19
+-- Purpose: Let api/webhooks/ayrshare.js and api/inbox/webhook.js record
+--          rejected (unsigned/replayed) deliveries and process each
+--          Ayrshare event exactly once, keyed on its event ID
+-- =====================================================
+
+-- =====================================================
+-- Step 1: Add audit/idempotency columns to the existing log
+-- =====================================================
+
+-- status and claimed_at are added without defaults so the backfill below can
+-- tell existing rows apart; the defaults are set once they're filled in.
+ALTER TABLE public.inbox_webhook_events
+ADD COLUMN IF NOT EXISTS event_id TEXT,
+ADD COLUMN IF NOT EXISTS status TEXT,
+ADD COLUMN IF NOT EXISTS source TEXT,
+ADD COLUMN IF NOT EXISTS source_ip TEXT,
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+
+ALTER TABLE public.inbox_webhook_events DROP CONSTRAINT IF EXISTS inbox_webhook_events_status_check;
+
+ALTER TABLE public.inbox_webhook_events ADD CONSTRAINT inbox_webhook_events_status_check
+CHECK (status IN (
+  'received',   -- Signature verified, processing in progress
+  'processed',  -- Handled successfully
+  'failed',     -- Handled with an error; a redelivery may retry it
+  'rejected'    -- Failed signature/timestamp verification (audit only)
+));
+
+COMMENT ON COLUMN public.inbox_webhook_events.event_id IS
+  'Ayrshare event ID (or sha256 of the signed body). NULL for rejected deliveries so forged requests cannot reserve a genuine ID';
+
+COMMENT ON COLUMN public.inbox_webhook_events.claimed_at IS
+  'When a delivery last started processing the event. A received event whose claim is older than the lease in _webhookSecurity.js is treated as abandoned and may be retried';
+
+-- Backfill existing rows
+UPDATE public.inbox_webhook_events
+SET status = CASE WHEN processed THEN 'processed' ELSE 'received' END
+WHERE status IS NULL;
+
+UPDATE public.inbox_webhook_events
+SET claimed_at = created_at
+WHERE claimed_at IS NULL;
+
+ALTER TABLE public.inbox_webhook_events
+ALTER COLUMN status SET DEFAULT 'received',
+ALTER COLUMN claimed_at SET DEFAULT NOW();
+
+-- =====================================================
+-- Step 2: Indexes
+-- =====================================================
+
+-- Unique event ID = idempotency lock (rejected rows have NULL event_id)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inbox_webhook_events_event_id
+ON public.inbox_webhook_events (event_id)
+WHERE event_id IS NOT NULL;
+
+-- Audit lookups for rejected deliveries
+CREATE INDEX IF NOT EXISTS idx_inbox_webhook_events_rejected
+ON public.inbox_webhook_events (created_at DESC)
+WHERE status = 'rejected';